@@ -28,6 +28,9 @@ const { createContainer, asClass, asValue, asFunction, aliasTo } = require('awil
 const { EventBus } = require('./src/shared/EventBus');
 const { Logger } = require('./src/shared/logging/logger');
 const { MetricsCollector } = require('./src/shared/MetricsCollector');
+const { RecordingUuid, StandardizedName } = require('./src/core/value-objects');
+const { Transcript, conversationMetrics, chatResources } = require('./src/shared/transcript');
+const { PROVENANCE, tagFields } = require('./src/infrastructure/ai/insights');
 
 // Command line argument parsing
 const args = process.argv.slice(2);
@@ -52,7 +55,9 @@ const options = {
     downloadTimeout: 300000, // 5 minutes
     enableResumeDownloads: false,
     maxRetries: 3,
-    maxConnections: 20
+    maxConnections: 20,
+    stages: null, // Comma-separated pipeline stages to rerun (e.g. "ai,sheets")
+    resume: true // Resume from stage checkpoints
 };
 
 // Parse command line arguments
@@ -110,6 +115,18 @@ for (let i = 0; i < args.length; i++) {
             case '--date-range':
                 options.dateRange = parseInt(value);
                 console.log(`🔍 DEBUG: Set dateRange to: ${options.dateRange}`);
+                break;
+            case '--local-dir':
+                options.localDir = value;
+                console.log(`🔍 DEBUG: Set localDir to: ${options.localDir}`);
+                break;
+            case '--stages':
+                options.stages = value;
+                console.log(`🔍 DEBUG: Set stages to: ${options.stages}`);
+                break;
+            case '--resume':
+                options.resume = value !== 'false' && value !== '0';
+                console.log(`🔍 DEBUG: Set resume to: ${options.resume}`);
                 break;
                     case '--auto-approve':
         case '--yes-to-all':
@@ -203,6 +220,20 @@ for (let i = 0; i < args.length; i++) {
             console.log(`🔍 DEBUG: Set dateRange to: ${options.dateRange}`);
             i++;
             break;
+        case '--local-dir':
+            options.localDir = nextArg;
+            console.log(`🔍 DEBUG: Set localDir to: ${options.localDir}`);
+            i++;
+            break;
+        case '--stages':
+            options.stages = nextArg;
+            console.log(`🔍 DEBUG: Set stages to: ${options.stages}`);
+            i++;
+            break;
+        case '--no-resume':
+            options.resume = false;
+            console.log(`🔍 DEBUG: Set resume to: ${options.resume}`);
+            break;
         case '--auto-approve':
         case '--yes-to-all':
             options.autoApprove = true;
@@ -256,11 +287,14 @@ if (options.help) {
 Usage: node complete-production-processor.js [options]
 
 Options:
-  --mode, -m <mode>           Processing mode (test|single|last30days|custom|recent)
+  --mode, -m <mode>           Processing mode (test|single|last30days|custom|recent|local)
   --recording, -r <id>        Specific recording ID to process
   --from, -f <date>           Start date for custom range (YYYY-MM-DD)
   --to, -t <date>             End date for custom range (YYYY-MM-DD)
   --date-range <days>         Number of days to look back (e.g., 90 for last 90 days)
+  --local-dir <path>          Folder (or .zip) of recordings for local mode
+  --stages <list>             Only rerun these pipeline stages, e.g. ai,sheets (others come from checkpoints)
+  --no-resume                 Ignore stage checkpoints and process recordings from the first stage
   --limit, -l <number>        Maximum number of recordings to process
   --dry-run, -d               Run in dry-run mode (no actual updates)
   --lightweight               Skip heavy media files (video, audio) - download only critical files
@@ -281,6 +315,7 @@ Modes:
   last30days  - Process recordings from last 30 days (alias: last30)
   custom      - Process recordings in custom date range
   recent      - Download and process last N recordings from Zoom cloud (this month)
+  local       - Process recordings from a local folder or zip (no Zoom download needed)
 
 Examples:
   # Test mode (default - processes 1 test recording)
@@ -314,6 +349,12 @@ Examples:
 
   # Process all recordings automatically without asking for confirmation
   node complete-production-processor.js --mode last30days --limit 50 --auto-approve
+
+  # Regenerate AI insights and rewrite the Sheet row for one recording, reusing its checkpoints
+  node complete-production-processor.js --mode single --recording 123456789 --stages=ai,sheets
+
+  # Process recordings exported to a local folder
+  node complete-production-processor.js --mode local --local-dir ./exports/coach-jenny --limit 10
 `);
     process.exit(0);
 }
@@ -527,7 +568,9 @@ class ProductionZoomProcessor {
                     studentsFolderId: process.env.STUDENTS_FOLDER_ID,
                     coachesFolderId: process.env.COACHES_FOLDER_ID,
                     miscFolderId: process.env.MISC_FOLDER_ID,
-                    trivialFolderId: process.env.TRIVIAL_FOLDER_ID
+                    trivialFolderId: process.env.TRIVIAL_FOLDER_ID,
+                    archiveFolderId: process.env.ARCHIVE_FOLDER_ID,
+                    archiveOnDelete: process.env.ARCHIVE_ON_DELETE === 'true'
                 },
                 driveFolders: {
                     students: process.env.STUDENTS_FOLDER_ID || process.env.GOOGLE_DRIVE_FOLDER_ID,
@@ -630,13 +673,24 @@ class ProductionZoomProcessor {
         // ========== AI SERVICES (MUST BE FIRST) ==========
         console.log('\n🤖 Loading AI Services...\n');
         
+        // LLM gateway - every model call (insights, summaries) goes through it and is
+        // recorded in the usage ledger (tokens, cost, latency per recording; budget caps).
+        // Prompts come from the versioned template registry (AI_PROMPT_VERSIONS pins versions)
+        const { LLMGateway, LLMUsageLedger } = require('./src/infrastructure/ai/llm');
+        const { PromptRegistry } = require('./src/infrastructure/ai/prompts');
+        container.register({
+            llmUsageLedger: asFunction(({ logger }) => new LLMUsageLedger({ logger })).singleton(),
+            llmGateway: asFunction(({ logger, config, llmUsageLedger }) => new LLMGateway({ logger, config, usage: llmUsageLedger })).singleton(),
+            promptRegistry: asFunction(({ config }) => new PromptRegistry({ versions: config.ai?.promptVersions })).singleton()
+        });
+
         // AI Powered Insights Generator - Consolidated AI service
         try {
             console.log('Loading aiPoweredInsightsGenerator (consolidated)...');
             const AIPoweredInsightsGenerator = diagnosticRequire('./src/infrastructure/ai/ai-powered-insights-generator');
             container.register({
-                aiPoweredInsightsGenerator: asFunction(({ logger, config }) => {
-                    return new AIPoweredInsightsGenerator({ logger, config });
+                aiPoweredInsightsGenerator: asFunction(({ logger, config, llmGateway, promptRegistry }) => {
+                    return new AIPoweredInsightsGenerator({ logger, config, llmGateway, promptRegistry });
                 }).singleton(),
                 aiService: aliasTo('aiPoweredInsightsGenerator')
             });
@@ -737,6 +791,18 @@ class ProductionZoomProcessor {
         
         console.log('✅ webhookFileDownloader registered successfully');
 
+        // Transcript speaker labels -> canonical coach/student/parent, used by the content analyzers
+        const { SpeakerResolver } = require('./src/application/services/SpeakerResolver');
+        container.register({
+            speakerResolver: asFunction(({ logger, knowledgeBaseService }) => new SpeakerResolver({ logger, knowledgeBaseService })).singleton()
+        });
+
+        // Checked-in corrections (data/manual-overrides.json) consulted by the smart services
+        const { ManualOverrideRegistry } = require('./src/infrastructure/services/ManualOverrideRegistry');
+        container.register({
+            manualOverrideRegistry: asValue(ManualOverrideRegistry.getDefault())
+        });
+
         // Smart services - MUST be registered before GoogleSheetsService
         const csnsClass = require('./src/infrastructure/services/CompleteSmartNameStandardizer').CompleteSmartNameStandardizer;
         const swiClass = require('./src/infrastructure/services/SmartWeekInferencer').SmartWeekInferencer;
@@ -777,13 +843,35 @@ class ProductionZoomProcessor {
             driveOrganizer: asClass(doClass).singleton()
         });
 
+        // ========== REPOSITORY ==========
+        // Local record of recordings, attempts, stages, checksums and Drive/Sheet refs
+        const { RecordingStateStore } = require('./src/infrastructure/services/RecordingStateStore');
+        container.register({
+            recordingStateStore: asFunction(({ logger }) => new RecordingStateStore({ logger })).singleton(),
+            recordingRepository: aliasTo('recordingStateStore')
+        });
+        
+        // Content hashes that link one session arriving through several data sources
+        const { ContentHashIndex } = require('./src/infrastructure/services/ContentHashIndex');
+        container.register({
+            contentHashIndex: asFunction(({ logger, googleDriveService }) => new ContentHashIndex({ logger, googleDriveService })).singleton()
+        });
+
+        // Transcript shingles that match Drive imports to the Zoom recording they were copied from
+        const { TranscriptSimilarityMatcher } = require('./src/infrastructure/services/TranscriptSimilarityMatcher');
+        container.register({
+            transcriptMatcher: asFunction(({ logger, recordingStateStore }) => new TranscriptSimilarityMatcher({ logger, recordingStateStore })).singleton()
+        });
+
         // ========== SMART SERVICES INITIALIZATION ==========
         console.log('\n🧠 Initializing Smart Services...\n');
         
         try {
             // Load SmartServicesInitializer to ensure all services are properly wired
             const SmartServicesInitializer = require('./src/infrastructure/helpers/SmartServicesInitializer');
-            const initializer = new SmartServicesInitializer(this.loadConfig());
+            const initializer = new SmartServicesInitializer(this.loadConfig(), {
+                recordingRepository: container.resolve('recordingStateStore')
+            });
             
             // Initialize all smart services with proper wiring
             const smartServices = await initializer.initializeServices();
@@ -814,7 +902,7 @@ class ProductionZoomProcessor {
         
         // Register MultiTabGoogleSheetsService as the main Google Sheets service
         container.register({
-            googleSheetsService: asFunction(({ config, logger, nameStandardizer, weekInferencer, metadataExtractor, transcriptionAnalyzer }) => {
+            googleSheetsService: asFunction(({ config, logger, nameStandardizer, weekInferencer, metadataExtractor, transcriptionAnalyzer, recordingStateStore }) => {
                 try {
                     // Try to use the new MultiTabGoogleSheetsService with 6 tabs (3 pairs)
                     const MultiTabGoogleSheetsService = require('./src/infrastructure/services/MultiTabGoogleSheetsService');
@@ -824,7 +912,8 @@ class ProductionZoomProcessor {
                         nameStandardizer,
                         weekInferencer,
                         metadataExtractor,
-                        transcriptionAnalyzer
+                        transcriptionAnalyzer,
+                        recordingStateStore
                     });
                 } catch (error) {
                     console.log('⚠️ MultiTabGoogleSheetsService not available, falling back to DualTabGoogleSheetsService');
@@ -911,37 +1000,38 @@ class ProductionZoomProcessor {
             cacheService: aliasTo('cache')
         });
 
-        // ========== REPOSITORY ==========
-        const MemoryRecordingRepository = class {
-            constructor() {
-                this.recordings = new Map();
-                this.processedIds = new Set();
-            }
-            
-            async save(recording) {
-                this.recordings.set(recording.id, recording);
-                if (recording.processed) {
-                    this.processedIds.add(recording.id);
-                }
-            }
-            
-            async findById(id) {
-                return this.recordings.get(id);
-            }
-            
-            async isProcessed(id) {
-                return this.processedIds.has(id);
-            }
-            
-            async markAsProcessed(id) {
-                this.processedIds.add(id);
-            }
-        };
+        // ========== RECORDING SOURCES ==========
+        // Every recording reaches processRecording through one of these adapters
+        const {
+            RecordingSourceRegistry,
+            ZoomApiRecordingSource,
+            WebhookRecordingSource,
+            DriveRecordingSource,
+            LocalFolderRecordingSource
+        } = require('./src/infrastructure/sources');
+        const { WebhookRecordingAdapter } = require('./src/infrastructure/services/WebhookRecordingAdapter');
+        const LocalDirectoryScanner = require('./src/drive-source/services/LocalDirectoryScanner');
+        const RecordingMatcherV2 = require('./src/drive-source/services/RecordingMatcherV2');
 
         container.register({
-            recordingRepository: asClass(MemoryRecordingRepository).singleton()
+            recordingSources: asFunction(({ logger, zoomService, recordingDownloader }) => new RecordingSourceRegistry({ logger })
+                .register(new ZoomApiRecordingSource({ logger, zoomService, recordingDownloader }))
+                .register(new WebhookRecordingSource({ logger, webhookAdapter: new WebhookRecordingAdapter(container) }))
+                .register(new DriveRecordingSource({ logger }))
+                .register(new LocalFolderRecordingSource({
+                    logger,
+                    scanner: new LocalDirectoryScanner(),
+                    matcher: new RecordingMatcherV2()
+                }))
+            ).singleton()
         });
 
+        // ========== PIPELINE CHECKPOINTS ==========
+        const { StageCheckpointStore } = require('./src/application/pipeline');
+        container.register({
+            stageCheckpointStore: asFunction(({ logger }) => new StageCheckpointStore({ logger })).singleton()
+        });
+        
         // ========== APPLICATION SERVICES ==========
         console.log('\n📱 Loading Application Services...\n');
         
@@ -1113,9 +1203,18 @@ class ProductionZoomProcessor {
         });
     }
 
+    /**
+     * Run one recording through the stage pipeline (see _getRecordingPipeline).
+     * Completed stages are checkpointed per UUID, so a rerun resumes after the
+     * last completed stage; `options.stages` reruns only the named stages and
+     * `options.resume === false` starts from scratch.
+     */
     async processRecording(recording, options = {}) {
-        const { lightweight = false, cloudLightweight = false } = options;
-        console.log(`🔍 DEBUG: Starting processRecording for: ${recording.id}`);
+        const { lightweight = false, cloudLightweight = false, stages = null, resume = true } = options;
+        
+        // Whatever the source, the pipeline below only sees a normalized recording
+        recording = this.container.resolve('recordingSources').normalize(recording);
+        this.logger.debug(`Starting processRecording for: ${recording.id}`);
         
         const recordingId = recording.id || recording.meeting_id || 'unknown';
         const uuid = recording.uuid || recording.id || 'unknown';
@@ -1129,1099 +1228,1671 @@ class ProductionZoomProcessor {
         
         this.logger.info(`Processing recording: ${recordingId} (UUID: ${uuid})`);
         
-        // Initialize downloadedFiles outside try block so it's accessible in catch
-        let downloadedFiles = {};
+        // Stage outputs accumulate on the context; declared outside try so the catch can report them
+        const context = { recording, options: { lightweight, cloudLightweight } };
+        const attemptId = await this._startRecordingAttempt(recording, { stages });
         
         try {
             const startTime = Date.now();
-            
-            // Get all required services
-            const aiService = this.container.resolve('aiPoweredInsightsGenerator');
-            const outcomeExtractor = this.container.resolve('outcomeExtractor');
-            const relationshipAnalyzer = this.container.resolve('relationshipAnalyzer');
-            const googleSheetsService = this.container.resolve('googleSheetsService');
-            
-            // Get smart services for comprehensive processing
-            const nameStandardizer = this.container.resolve('nameStandardizer');
-            const weekInferencer = this.container.resolve('weekInferencer');
-            const metadataExtractor = this.container.resolve('metadataExtractor');
-            const recordingDownloader = this.container.resolve('recordingDownloader');
-            const driveOrganizer = this.container.resolve('driveOrganizer');
+            context.startTime = startTime;
             
             this.logger.info(`🔍 Starting comprehensive processing for recording: ${recordingId}`);
             
-            // Step 1: Download recording files
-            console.log('📥 Downloading recording files...');
-            let transcriptContent = '';
-            let chatContent = '';
-            let folderPath = null;
+            const pipeline = this._getRecordingPipeline();
+            const { stages: stageReport } = await pipeline.run(context, {
+                stages: pipeline.parseStageList(stages),
+                resume
+            });
             
-            try {
-                // CRITICAL FIX: Use M:<meeting ID>U:<UUID> as unique identifier to prevent conflicts
-                const uniqueIdentifier = `M:${recording.id}U:${recording.uuid}`;
-                const existingFilesPath = path.join(process.env.OUTPUT_DIR || './output', uniqueIdentifier);
-                if (fs.existsSync(existingFilesPath)) {
-                    console.log('📁 Found existing files in output directory, using them...');
-                    folderPath = existingFilesPath;
-                    const existingFiles = fs.readdirSync(existingFilesPath);
-                    
-                    for (const fileName of existingFiles) {
-                        const filePath = path.join(existingFilesPath, fileName);
-                        const stats = fs.statSync(filePath);
-                        
-                        if (fileName.toLowerCase().includes('mp4')) {
-                            downloadedFiles.video = filePath;
-                        } else if (fileName.toLowerCase().includes('m4a')) {
-                            downloadedFiles.audio = filePath;
-                        } else if (fileName.toLowerCase().includes('transcript') || fileName.toLowerCase().includes('vtt')) {
-                            downloadedFiles.transcript = filePath;
-                            try {
-                                transcriptContent = fs.readFileSync(filePath, 'utf8');
-                                console.log(`📝 Successfully read transcript file: ${fileName} (${transcriptContent.length} characters)`);
-                            } catch (error) {
-                                console.log(`⚠️ Failed to read transcript file ${fileName}: ${error.message}`);
-                            }
-                        } else if (fileName.toLowerCase().includes('timeline') || fileName.toLowerCase().includes('json')) {
-                            downloadedFiles.timeline = filePath;
-                        } else if (fileName.toLowerCase().includes('chat') || fileName.toLowerCase().includes('txt')) {
-                            downloadedFiles.chat = filePath;
-                            try {
-                                chatContent = fs.readFileSync(filePath, 'utf8');
-                                console.log(`💬 Successfully read chat file: ${fileName} (${chatContent.length} characters)`);
-                            } catch (error) {
-                                console.log(`⚠️ Failed to read chat file ${fileName}: ${error.message}`);
-                            }
-                        }
-                    }
-                    
-                    console.log('✅ Using existing files:', Object.keys(downloadedFiles).join(', '));
-                } else {
-                    console.log('📁 No existing files found, trying to download from Zoom API...');
-                    
-                    // NEW: Cloud Lightweight Mode - Skip video and audio files
-                    if (cloudLightweight) {
-                        console.log('☁️ CLOUD LIGHTWEIGHT MODE: Skipping video and audio files, downloading only transcript and metadata...');
-                    }
-                    
-                    // Try to download from Zoom API
-                    const recordingDownloader = this.container.resolve('recordingDownloader');
-                    if (recordingDownloader) {
-                        const outputDir = path.join('./output', uniqueIdentifier);
-                        folderPath = outputDir;
-                        
-                        // NEW: Pass cloud lightweight option to downloader
-                        const downloadOptions = cloudLightweight ? { skipVideo: true, skipAudio: true } : {};
-                        const downloadResult = await recordingDownloader.downloadRecordingFiles(recording, outputDir, downloadOptions);
-                        if (downloadResult.success) {
-                            downloadedFiles = downloadResult.files;
-                            
-                            // DEBUG: Log the download result structure
-                            console.log(`🔍 DEBUG: Download result structure:`);
-                            console.log(`   Success: ${downloadResult.success}`);
-                            console.log(`   Files keys: ${Object.keys(downloadResult.files || {}).join(', ')}`);
-                            console.log(`   Transcript path: ${downloadedFiles.transcript}`);
-                            console.log(`   All files: [${Object.keys(downloadResult.files || {}).join(', ')}]`);
-                            
-                            // FIX: Map uppercase keys to lowercase to prevent duplicates
-                            if (downloadResult.files) {
-                                // Replace uppercase keys with lowercase ones and remove duplicates
-                                if (downloadResult.files.TRANSCRIPT) {
-                                    downloadedFiles.transcript = downloadResult.files.TRANSCRIPT;
-                                    delete downloadResult.files.TRANSCRIPT; // Remove uppercase key
-                                    console.log(`🔧 FIXED: Mapped TRANSCRIPT to transcript: ${downloadedFiles.transcript}`);
-                                }
-                                if (downloadResult.files.CHAT) {
-                                    downloadedFiles.chat = downloadResult.files.CHAT;
-                                    delete downloadResult.files.CHAT; // Remove uppercase key
-                                    console.log(`🔧 FIXED: Mapped CHAT to chat: ${downloadedFiles.chat}`);
-                                }
-                                if (downloadResult.files.M4A) {
-                                    downloadedFiles.audio = downloadResult.files.M4A;
-                                    delete downloadResult.files.M4A; // Remove uppercase key
-                                    console.log(`🔧 FIXED: Mapped M4A to audio: ${downloadedFiles.audio}`);
-                                }
-                                if (downloadResult.files.MP4) {
-                                    downloadedFiles.video = downloadResult.files.MP4;
-                                    delete downloadResult.files.MP4; // Remove uppercase key
-                                    console.log(`🔧 FIXED: Mapped MP4 to video: ${downloadedFiles.video}`);
-                                }
-                                if (downloadResult.files.TIMELINE) {
-                                    downloadedFiles.timeline = downloadResult.files.TIMELINE;
-                                    delete downloadResult.files.TIMELINE; // Remove uppercase key
-                                    console.log(`🔧 FIXED: Mapped TIMELINE to timeline: ${downloadedFiles.timeline}`);
-                                }
-                            }
-                            
-                            // Wait a moment for files to be fully written
-                            await new Promise(resolve => setTimeout(resolve, 1000));
-                            
-                            // FIX: Read transcript and chat content AFTER mapping fix is applied
-                            if (downloadedFiles.transcript) {
-                                try {
-                                    transcriptContent = fs.readFileSync(downloadedFiles.transcript, 'utf8');
-                                    console.log(`📝 Successfully read transcript: ${transcriptContent.length} characters`);
-                                } catch (error) {
-                                    console.log(`⚠️ Failed to read transcript: ${error.message}`);
-                                }
-                            } else {
-                                console.log(`⚠️ No transcript path found in downloadedFiles after mapping`);
-                                console.log(`   Available keys: ${Object.keys(downloadedFiles).join(', ')}`);
-                            }
-                            if (downloadedFiles.chat) {
-                                try {
-                                    chatContent = fs.readFileSync(downloadedFiles.chat, 'utf8');
-                                    console.log(`💬 Successfully read chat: ${chatContent.length} characters`);
-                                } catch (error) {
-                                    console.log(`⚠️ Failed to read chat: ${error.message}`);
-                                }
-                            }
-                        } else {
-                            console.log('❌ Download failed: downloadResult.success was false');
-                            // Don't continue with processing if download explicitly failed
-                            throw new Error('Download failed: Zoom API download returned success=false');
-                        }
-                    }
-                }
-            } catch (error) {
-                console.log('⚠️ Failed to download recording files:', error.message);
-                console.log('✅ Downloaded files:', Object.keys(downloadedFiles).join(', '));
-            }
+            recording = context.recording;
+            const {
+                downloadedFiles,
+                transcriptContent,
+                chatContent,
+                nameAnalysis,
+                weekAnalysis,
+                recordingCategory,
+                aiInsights,
+                outcomes,
+                relationships,
+                sheetsUpdated = false
+            } = context;
             
-            // VALIDATION: Check if critical files were actually downloaded
-            const downloadedFileCount = Object.keys(downloadedFiles).length;
-            const hasCriticalFiles = downloadedFiles.transcript || downloadedFiles.video || downloadedFiles.audio;
+            const processingTime = Date.now() - startTime;
+            await this._finishRecordingAttempt(context, attemptId, { stageReport, durationMs: processingTime });
             
-            if (downloadedFileCount === 0) {
-                console.log('❌ DOWNLOAD VALIDATION FAILED: No files were downloaded');
-                console.log(`   Recording ID: ${recording.id}`);
-                console.log(`   Recording Topic: ${recording.topic}`);
-                throw new Error('Download validation failed: No files were downloaded from any source');
-            }
+            this.results.successful++;
+            this.processedCount++;
             
-            if (!hasCriticalFiles) {
-                console.log('⚠️ WARNING: No critical files (transcript, video, or audio) were downloaded');
-                console.log(`   Downloaded files: ${Object.keys(downloadedFiles).join(', ')}`);
-                
-                // In cloud lightweight mode, we expect at least a transcript
-                if (cloudLightweight && !downloadedFiles.transcript) {
-                    console.log('❌ DOWNLOAD VALIDATION FAILED: Expected transcript in cloud lightweight mode');
-                    throw new Error('Download validation failed: Expected transcript in cloud lightweight mode but none was downloaded');
-                }
-                
-                // For non-lightweight mode, we should have at least one critical file
-                if (!cloudLightweight && !lightweight) {
-                    console.log('❌ DOWNLOAD VALIDATION FAILED: No critical files in standard mode');
-                    throw new Error('Download validation failed: No critical files (transcript, video, or audio) were downloaded');
-                }
-            }
+            this.logger.info(`✅ Recording processed successfully: ${recordingId} (${processingTime}ms)`);
+            this.logger.info(`   - Name: ${nameAnalysis.standardizedName}`);
+            this.logger.info(`   - Week: ${weekAnalysis.weekNumber}`);
+            this.logger.info(`   - Downloaded files: ${Object.keys(downloadedFiles).join(', ')}`);
+            this.logger.info(`   - Has transcript: ${!!downloadedFiles.transcript}`);
+            this.logger.info(`   - Has video: ${!!downloadedFiles.video}`);
+            this.logger.info(`   - Has audio: ${!!downloadedFiles.audio}`);
+            this.logger.info(`   - Category: ${recordingCategory}`);
+            this.logger.info(`   - AI Insights: ${!!aiInsights}`);
+            this.logger.info(`   - Outcomes: ${outcomes.length}`);
+            this.logger.info(`   - Files: ${Object.keys(downloadedFiles).length}`);
+            this.logger.info(`   - UUID: ${uuid}`);
             
-            console.log(`✅ Download validation passed:`);
-            console.log(`   Total files downloaded: ${downloadedFileCount}`);
-            console.log(`   Critical files present: ${hasCriticalFiles ? 'Yes' : 'No'}`);
-            console.log(`   Files: ${Object.keys(downloadedFiles).join(', ')}`);
+            console.log(`✅ Recording processing complete:`);
+            console.log(`   🔑 UUID: ${uuid}`);
+            console.log(`   📋 Standardized Name: ${nameAnalysis.standardizedName}`);
+            console.log(`   📅 Week: ${weekAnalysis.weekNumber}`);
+            console.log(`   📂 Category: ${recordingCategory}`);
+            console.log(`   ⏱️ Processing Time: ${processingTime}ms`);
             
-            // Debug: Log transcript and chat content lengths
-            console.log(`📝 Transcript content length: ${transcriptContent.length} characters`);
-            console.log(`💬 Chat content length: ${chatContent.length} characters`);
-            if (transcriptContent.length > 0) {
-                console.log(`📝 Transcript preview: ${transcriptContent.substring(0, 200)}...`);
-            }
-            if (chatContent.length > 0) {
-                console.log(`💬 Chat preview: ${chatContent.substring(0, 200)}...`);
-            }
+            this.logger.debug(`END Processing Recording: ${recording.id} (UUID: ${recording.uuid})`, {
+                downloadedFiles: Object.keys(downloadedFiles),
+                transcriptLength: transcriptContent.length,
+                chatLength: chatContent.length
+            });
             
-            // FIX: Ensure transcript content is properly read for Personal Meeting Room recordings
-            if (transcriptContent.length === 0 && downloadedFiles.transcript) {
-                try {
-                    console.log(`🔧 FIX: Re-reading transcript file: ${downloadedFiles.transcript}`);
-                    transcriptContent = fs.readFileSync(downloadedFiles.transcript, 'utf8');
-                    console.log(`✅ FIX: Successfully re-read transcript: ${transcriptContent.length} characters`);
-                    if (transcriptContent.length > 0) {
-                        console.log(`📝 FIX: Transcript preview: ${transcriptContent.substring(0, 200)}...`);
-                    }
-                } catch (error) {
-                    console.log(`⚠️ FIX: Failed to re-read transcript: ${error.message}`);
+            return {
+                success: true,
+                recordingId,
+                processingTime,
+                aiInsights,
+                outcomes,
+                relationships,
+                nameAnalysis,
+                weekAnalysis,
+                category: recordingCategory,
+                sheetsUpdated,
+                stages: stageReport,
+                downloadedFiles: Object.keys(downloadedFiles),
+                fileDetails: {
+                    hasTranscript: !!downloadedFiles.transcript,
+                    hasVideo: !!downloadedFiles.video,
+                    hasAudio: !!downloadedFiles.audio,
+                    hasChat: !!downloadedFiles.chat,
+                    totalFiles: Object.keys(downloadedFiles).length
                 }
-            }
+            };
             
-            // Additional debugging: Check if transcript content is still available before name standardization
-            console.log(`🔍 DEBUG: Before name standardization - transcript length: ${transcriptContent.length} characters`);
-            if (transcriptContent.length > 0) {
-                console.log(`🔍 DEBUG: Transcript contains "Shah": ${transcriptContent.toLowerCase().includes('shah')}`);
-            }
+        } catch (error) {
+            const downloadedFiles = context.downloadedFiles || {};
+            await this._finishRecordingAttempt(context, attemptId, { error });
+            this.results.failed++;
+            this.failedCount++;
             
-            // Step 1.5: Extract participants from downloaded files (timeline, chat, transcript)
-            console.log('👥 Extracting participants from downloaded files...');
-            const extractedParticipants = await this._extractParticipantsFromFiles(downloadedFiles, transcriptContent, chatContent);
-            recording.participants = extractedParticipants;
-            console.log(`✅ Extracted ${extractedParticipants.length} participants:`, extractedParticipants.map(p => p.name).join(', '));
+            this.logger.error(`❌ Failed to process recording: ${recordingId}${error.stage ? ` (stage: ${error.stage})` : ''}`, error);
             
-            // Step 2: Smart name standardization with transcript/chat content
-            let nameAnalysis = { standardized: recording.topic || 'Unknown Session', confidence: 0, method: 'fallback' };
-            if (nameStandardizer) {
-                try {
-                    this.logger.info('🏷️ Performing smart name standardization with transcript/chat analysis...');
-                    const result = await nameStandardizer.standardizeName(recording.topic || '', {
-                        ...recording,
-                        downloadedFiles,
-                        participants: recording.participants || [],
-                        transcriptContent,
-                        chatContent,
-                        hasTranscript: !!downloadedFiles.transcript,
-                        hasChat: !!downloadedFiles.chat
-                    });
-                    
-                    // Map the result to the expected format
-                    nameAnalysis = {
-                        standardized: result.standardized || result.standardizedName || recording.topic || 'Unknown Session',
-                        standardizedName: result.standardized || result.standardizedName || recording.topic || 'Unknown Session',
-                        confidence: result.confidence || 0,
-                        method: result.method || 'fallback',
-                        components: result.components || {}
-                    };
-                    
-                    this.logger.info(`✅ Name standardized: ${nameAnalysis.standardized} (confidence: ${nameAnalysis.confidence})`);
-                } catch (error) {
-                    this.logger.warn('⚠️ Name standardization failed:', error.message);
-                }
+            // Log download validation specific errors with more detail
+            if (error.message.includes('Download validation failed') || error.message.includes('Download failed')) {
+                this.logger.error(`   - Download validation error: ${error.message}`);
+                this.logger.error(`   - Downloaded files: ${Object.keys(downloadedFiles).join(', ') || 'none'}`);
+                this.logger.error(`   - Recording topic: ${recording.topic}`);
+                this.logger.error(`   - Recording date: ${recording.start_time}`);
+                this.logger.error(`   - Recording duration: ${recording.duration} seconds`);
             }
             
-            // Step 2.5: FIX DURATION BEFORE CATEGORIZATION
-            // Fix incorrect duration from Zoom API by calculating from recording_files if available
-            if (recording.recording_files && Array.isArray(recording.recording_files)) {
-                // Try to get duration from recording files
-                const videoFile = recording.recording_files.find(f => f.file_type === 'MP4');
-                const audioFile = recording.recording_files.find(f => f.file_type === 'M4A');
-                
-                if (videoFile && videoFile.recording_end && videoFile.recording_start) {
-                    const calculatedDuration = (new Date(videoFile.recording_end) - new Date(videoFile.recording_start)) / 1000;
-                    if (calculatedDuration > 0 && Math.abs(calculatedDuration - recording.duration) > 60) {
-                        console.log(`🔧 FIX: Correcting duration from ${recording.duration}s to ${Math.round(calculatedDuration)}s based on video file timestamps`);
-                        recording.duration = Math.round(calculatedDuration);
-                    }
-                } else if (audioFile && audioFile.recording_end && audioFile.recording_start) {
-                    const calculatedDuration = (new Date(audioFile.recording_end) - new Date(audioFile.recording_start)) / 1000;
-                    if (calculatedDuration > 0 && Math.abs(calculatedDuration - recording.duration) > 60) {
-                        console.log(`🔧 FIX: Correcting duration from ${recording.duration}s to ${Math.round(calculatedDuration)}s based on audio file timestamps`);
-                        recording.duration = Math.round(calculatedDuration);
-                    }
-                }
-                
-                // Calculate total file size from recording_files
-                let totalFileSize = 0;
-                recording.recording_files.forEach(file => {
-                    if (file.file_size) {
-                        totalFileSize += file.file_size;
-                    }
+            return {
+                success: false,
+                recordingId,
+                error: error.message,
+                stack: error.stack,
+                downloadedFiles: Object.keys(downloadedFiles),
+                failedStage: error.stage || null,
+                failureReason: error.message.includes('Download') ? 'download_failure' : 'processing_failure'
+            };
+        }
+    }
+
+    /**
+     * Register the recording and a new processing attempt in the local state store.
+     * State bookkeeping never fails the recording itself.
+     */
+    async _startRecordingAttempt(recording, { stages = null } = {}) {
+        try {
+            const store = this.container.resolve('recordingStateStore');
+            await store.upsertRecording(recording.uuid, {
+                ...recording,
+                aliases: RecordingUuid.parse(recording.uuid).variants().filter(alias => alias !== recording.uuid)
+            });
+            return await store.startAttempt(recording.uuid, { source: recording.dataSource, stages });
+        } catch (error) {
+            this.logger.warn(`Could not record processing attempt for ${recording.uuid}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store the attempt outcome together with what the stages produced:
+     * naming, stage statuses, file checksums and the Drive / Sheet references.
+     */
+    async _finishRecordingAttempt(context, attemptId, { stageReport = null, durationMs = null, error = null } = {}) {
+        if (!attemptId) return;
+        const { recording, nameAnalysis, weekAnalysis, recordingCategory } = context;
+        
+        try {
+            const store = this.container.resolve('recordingStateStore');
+            const uuid = recording.uuid;
+            
+            await store.upsertRecording(uuid, {
+                standardizedName: nameAnalysis?.standardizedName,
+                coach: nameAnalysis?.components?.coach,
+                student: nameAnalysis?.components?.student,
+                weekNumber: weekAnalysis?.weekNumber,
+                category: recordingCategory
+            });
+            if (stageReport) {
+                await store.recordStages(uuid, stageReport);
+            }
+            if (context.downloadedFiles) {
+                await store.recordFiles(uuid, context.downloadedFiles);
+            }
+            if (context.driveFolderId) {
+                await store.recordDriveReference(uuid, {
+                    folderId: context.driveFolderId,
+                    folderLink: context.driveLink,
+                    fileIds: context.driveFileIds
                 });
-                if (totalFileSize > 0) {
-                    recording.total_size = totalFileSize;
-                }
             }
-            
-            console.log(`🔍 DEBUG: About to start categorization...`);
-            
-            // Step 2.5: DETERMINE RECORDING CATEGORY
-            const recordingCategory = this._determineRecordingCategory(
-                recording, 
-                nameAnalysis, 
-                extractedParticipants.length
-            );
-            
-            // Store category in recording for Drive organization
-            recording._category = recordingCategory;
-            
-            // FIX: Update sessionType in nameAnalysis to match the final category determination
-            if (recordingCategory === 'TRIVIAL') {
-                nameAnalysis.components.sessionType = 'TRIVIAL';
-            } else if (recordingCategory === 'MISC') {
-                nameAnalysis.components.sessionType = 'MISC';
-            } else if (recordingCategory === 'STUDENTS') {
-                nameAnalysis.components.sessionType = 'Coaching';
-            } else if (recordingCategory === 'COACHES') {
-                nameAnalysis.components.sessionType = 'Coaching';
+            if (context.sheetReference) {
+                await store.recordSheetReference(uuid, context.sheetReference);
             }
-            
-            // FIX: Regenerate standardized name with correct sessionType and dataSource
-            if (nameStandardizer) {
-                // Determine dataSource - Zoom API for batch processing
-                const dataSource = recording.source || recording.dataSource || 'zoom-api';
-                
-                const regeneratedName = nameStandardizer.buildStandardizedFolderName({
-                    coach: nameAnalysis.components?.coach || 'unknown',
-                    student: nameAnalysis.components?.student || 'Unknown',
-                    weekNumber: nameAnalysis.components?.week || null,
-                    sessionType: nameAnalysis.components?.sessionType || 'MISC',
-                    date: recording.start_time.split('T')[0],
+            if (context.contentFingerprint) {
+                await this.container.resolve('contentHashIndex').register(uuid, context.contentFingerprint, {
+                    dataSource: recording.dataSource,
                     meetingId: recording.id,
-                    uuid: recording.uuid,
-                    topic: recording.topic,
-                    dataSource: dataSource
+                    startTime: recording.start_time,
+                    driveFolderId: context.driveFolderId,
+                    driveLink: context.driveLink
                 });
-                nameAnalysis.standardizedName = regeneratedName;
-                console.log(`🔧 FIX: Regenerated standardized name with correct category and source: ${regeneratedName}`);
             }
             
-            console.log(`📂 Recording Category: ${recordingCategory}`);
-            console.log(`   🏷️ Standardized Name: ${nameAnalysis.standardizedName}`);
-            console.log(`   👥 Participants: ${extractedParticipants.length}`);
-            console.log(`   ⏱️ Duration: ${recording.duration || 0} seconds`);
-            console.log(`   📦 File Size: ${recording.file_size || 0} bytes`);
-            console.log(`   🔧 Session Type Updated: ${nameAnalysis.components?.sessionType}`);
-            
-            console.log(`🔍 DEBUG: About to start week inference...`);
-            
-            // Step 2.6: Smart week inference (moved up to fix initialization error)
-            let weekAnalysis = { weekNumber: 0, confidence: 0, method: 'fallback' };
-            console.log(`🔍 DEBUG: WeekInferencer available: ${!!weekInferencer}`);
-            console.log(`🔍 DEBUG: Topic for week inference: "${recording.topic}"`);
-            
-            if (weekInferencer) {
-                try {
-                    this.logger.info('📅 Inferring week number...');
-                    console.log(`🔍 DEBUG: Calling weekInferencer.inferWeek...`);
+            // Without a sheet row the recording is not done yet, even if the optional stage failed
+            const sheetsFailed = stageReport?.some(stage => stage.name === 'sheets' && stage.status === 'failed');
+            await store.finishAttempt(uuid, attemptId, {
+                success: !error && !sheetsFailed,
+                error: error ? error.message : (sheetsFailed ? 'Google Sheets update failed' : null),
+                failedStage: error?.stage || (sheetsFailed ? 'sheets' : null),
+                durationMs
+            });
+        } catch (stateError) {
+            this.logger.warn(`Could not record processing outcome for ${recording.uuid}: ${stateError.message}`);
+        }
+    }
+
+    /**
+     * The per-recording stage pipeline. Stage names are what --stages accepts;
+     * inputs/outputs name the keys each stage reads from and adds to the context.
+     */
+    _getRecordingPipeline() {
+        if (this.recordingPipeline) {
+            return this.recordingPipeline;
+        }
+        
+        const { RecordingPipeline } = require('./src/application/pipeline');
+        this.recordingPipeline = new RecordingPipeline({
+            logger: this.logger,
+            checkpointStore: this.container.resolve('stageCheckpointStore'),
+            stages: [
+                {
+                    name: 'download',
+                    description: 'Download (or locate) the recording files',
+                    outputs: ['downloadedFiles', 'folderPath'],
+                    transientOutputs: ['transcriptContent', 'chatContent'],
+                    run: context => this._runDownloadStage(context)
+                },
+                {
+                    name: 'content',
+                    description: 'Read transcript and chat text',
+                    inputs: ['downloadedFiles'],
+                    transientOutputs: ['transcriptContent', 'chatContent'],
+                    checkpoint: false,
+                    run: context => this._runContentStage(context)
+                },
+                {
+                    name: 'dedupe',
+                    description: 'Match content hashes against recordings from other data sources',
+                    inputs: ['downloadedFiles', 'transcriptContent'],
+                    outputs: ['contentFingerprint', 'duplicateOf'],
+                    optional: true,
+                    run: context => this._runDedupeStage(context)
+                },
+                {
+                    name: 'participants',
+                    description: 'Extract participants from the downloaded files',
+                    inputs: ['downloadedFiles', 'transcriptContent', 'chatContent'],
+                    outputs: ['recording', 'extractedParticipants'],
+                    run: context => this._runParticipantsStage(context)
+                },
+                {
+                    name: 'name',
+                    description: 'Smart name standardization',
+                    inputs: ['downloadedFiles', 'transcriptContent', 'chatContent'],
+                    outputs: ['nameAnalysis'],
+                    run: context => this._runNameStage(context)
+                },
+                {
+                    name: 'category',
+                    description: 'Duration fix, category and regenerated standardized name',
+                    inputs: ['nameAnalysis', 'extractedParticipants'],
+                    outputs: ['recording', 'recordingCategory', 'nameAnalysis'],
+                    run: context => this._runCategoryStage(context)
+                },
+                {
+                    name: 'week',
+                    description: 'Smart week inference',
+                    inputs: ['nameAnalysis', 'downloadedFiles'],
+                    outputs: ['weekAnalysis', 'nameAnalysis'],
+                    run: context => this._runWeekStage(context)
+                },
+                {
+                    name: 'metadata',
+                    description: 'Enhanced metadata extraction',
+                    inputs: ['nameAnalysis', 'weekAnalysis', 'downloadedFiles'],
+                    outputs: ['enhancedMetadata'],
+                    run: context => this._runMetadataStage(context)
+                },
+                {
+                    name: 'speakers',
+                    description: 'Map transcript speaker labels to canonical coach, student and parent names',
+                    inputs: ['transcriptContent', 'nameAnalysis'],
+                    transientOutputs: ['transcriptContent', 'speakerMap', 'resolvedTranscript'],
+                    checkpoint: false,
+                    optional: true,
+                    run: context => this._runSpeakersStage(context)
+                },
+                {
+                    name: 'conversation',
+                    description: 'Talk-time, turn-taking and interaction metrics from transcript timings',
+                    inputs: ['transcriptContent'],
+                    outputs: ['conversationMetrics'],
+                    optional: true,
+                    run: context => this._runConversationStage(context)
+                },
+                {
+                    name: 'chat',
+                    description: 'Links, files, private messages and deadlines shared in the chat',
+                    inputs: ['chatContent'],
+                    outputs: ['chatResources', 'chatResourcesPath'],
+                    optional: true,
+                    run: context => this._runChatStage(context)
+                },
+                {
+                    name: 'ai',
+                    description: 'AI-powered insights (rule-based fallback)',
+                    inputs: ['transcriptContent', 'enhancedMetadata', 'weekAnalysis'],
+                    outputs: ['aiInsights'],
+                    run: context => this._runAIStage(context)
+                },
+                {
+                    name: 'outcomes',
+                    description: 'Outcome extraction',
+                    inputs: ['transcriptContent'],
+                    outputs: ['outcomes'],
+                    run: context => this._runOutcomesStage(context)
+                },
+                {
+                    name: 'relationships',
+                    description: 'Relationship analysis',
+                    inputs: ['transcriptContent'],
+                    outputs: ['relationships'],
+                    run: context => this._runRelationshipsStage(context)
+                },
+                {
+                    name: 'record',
+                    description: 'Build the processed recording row',
+                    inputs: ['nameAnalysis', 'weekAnalysis', 'recordingCategory', 'enhancedMetadata', 'aiInsights', 'outcomes'],
+                    transientOutputs: ['processedRecording'],
+                    checkpoint: false,
+                    run: context => this._runRecordStage(context)
+                },
+                {
+                    name: 'drive',
+                    description: 'Organize files in Google Drive',
+                    inputs: ['downloadedFiles', 'aiInsights', 'nameAnalysis', 'weekAnalysis', 'recordingCategory'],
+                    outputs: ['driveFolderId', 'driveLink', 'driveFileIds'],
+                    optional: true,
+                    run: context => this._runDriveStage(context)
+                },
+                {
+                    name: 'sheets',
+                    description: 'Update Google Sheets',
+                    inputs: ['processedRecording'],
+                    outputs: ['sheetsUpdated', 'sheetReference'],
+                    optional: true,
+                    run: context => this._runSheetsStage(context)
+                }
+            ]
+        });
+        
+        return this.recordingPipeline;
+    }
+    
+    /**
+     * Stage "download": local source files, files left in OUTPUT_DIR by an earlier run, or a Zoom download
+     */
+    async _runDownloadStage(context) {
+        const { recording, options: { lightweight, cloudLightweight } } = context;
+        let downloadedFiles = {};
+        
+        // Step 1: Download recording files
+        console.log('📥 Downloading recording files...');
+        let transcriptContent = '';
+        let chatContent = '';
+        let folderPath = null;
+        
+        try {
+            // CRITICAL FIX: Use M:<meeting ID>U:<UUID> as unique identifier to prevent conflicts
+            const uniqueIdentifier = `M:${recording.id}U:${RecordingUuid.parse(recording.uuid)}`;
+            const existingFilesPath = path.join(process.env.OUTPUT_DIR || './output', uniqueIdentifier);
+            if (recording.local_files && Object.keys(recording.local_files).length > 0) {
+                // Sources that already hold the files locally (local folder import) hand them over as-is
+                console.log('📁 Using files provided by the local recording source...');
+                downloadedFiles = { ...recording.local_files };
+                folderPath = path.dirname(downloadedFiles.video || downloadedFiles.audio || downloadedFiles.transcript || downloadedFiles.chat);
+                
+                if (downloadedFiles.transcript) {
+                    transcriptContent = fs.readFileSync(downloadedFiles.transcript, 'utf8');
+                    console.log(`📝 Successfully read transcript file: ${downloadedFiles.transcript} (${transcriptContent.length} characters)`);
+                }
+                if (downloadedFiles.chat) {
+                    chatContent = fs.readFileSync(downloadedFiles.chat, 'utf8');
+                    console.log(`💬 Successfully read chat file: ${downloadedFiles.chat} (${chatContent.length} characters)`);
+                }
+                
+                console.log('✅ Using local files:', Object.keys(downloadedFiles).join(', '));
+            } else if (fs.existsSync(existingFilesPath)) {
+                console.log('📁 Found existing files in output directory, using them...');
+                folderPath = existingFilesPath;
+                const existingFiles = fs.readdirSync(existingFilesPath);
+                
+                for (const fileName of existingFiles) {
+                    const filePath = path.join(existingFilesPath, fileName);
+                    const stats = fs.statSync(filePath);
                     
-                    weekAnalysis = await weekInferencer.inferWeek({
-                        timestamp: recording.start_time,
-                        metadata: recording,
-                        folderPath: folderPath,
-                        recordingName: nameAnalysis.standardizedName,
-                        downloadedFiles,
-                        additionalContext: {
-                            studentName: nameAnalysis.components?.student || '',
-                            coach: nameAnalysis.components?.coach || recording.host_email?.split('@')[0] || '',
-                            programStartDate: '2025-01-06', // Default program start date
-                            topic: recording.topic,
-                            description: recording.description,
-                            folderName: folderPath
+                    if (fileName.toLowerCase().includes('mp4')) {
+                        downloadedFiles.video = filePath;
+                    } else if (fileName.toLowerCase().includes('m4a')) {
+                        downloadedFiles.audio = filePath;
+                    } else if (fileName.toLowerCase().includes('transcript') || fileName.toLowerCase().includes('vtt')) {
+                        downloadedFiles.transcript = filePath;
+                        try {
+                            transcriptContent = fs.readFileSync(filePath, 'utf8');
+                            console.log(`📝 Successfully read transcript file: ${fileName} (${transcriptContent.length} characters)`);
+                        } catch (error) {
+                            console.log(`⚠️ Failed to read transcript file ${fileName}: ${error.message}`);
                         }
-                    });
-                    
-                    console.log(`🔍 DEBUG: Week inference result:`, weekAnalysis);
-                    this.logger.info(`✅ Week inferred: ${weekAnalysis.weekNumber} (confidence: ${weekAnalysis.confidence})`);
-                    
-                } catch (error) {
-                    console.log(`🔍 DEBUG: Week inference error:`, error);
-                    this.logger.warn('⚠️ Week inference failed:', error.message);
+                    } else if (fileName.toLowerCase().includes('timeline') || fileName.toLowerCase().includes('json')) {
+                        downloadedFiles.timeline = filePath;
+                    } else if (fileName.toLowerCase().includes('chat') || fileName.toLowerCase().includes('txt')) {
+                        downloadedFiles.chat = filePath;
+                        try {
+                            chatContent = fs.readFileSync(filePath, 'utf8');
+                            console.log(`💬 Successfully read chat file: ${fileName} (${chatContent.length} characters)`);
+                        } catch (error) {
+                            console.log(`⚠️ Failed to read chat file ${fileName}: ${error.message}`);
+                        }
+                    }
                 }
+                
+                console.log('✅ Using existing files:', Object.keys(downloadedFiles).join(', '));
             } else {
-                console.log(`🔍 DEBUG: WeekInferencer is null/undefined`);
-            }
-            
-            // Step 2.7: UPDATE WEEK NUMBER AFTER SMART INFERENCE AND REGENERATE FOLDER NAME
-            if (weekAnalysis && weekAnalysis.weekNumber && weekAnalysis.confidence > 0.5) {
-                try {
-                    console.log(`🔧 FIX: Updating week number from SmartWeekInferencer: ${weekAnalysis.weekNumber} (confidence: ${Math.round(weekAnalysis.confidence * 100)}%)`);
-                    
-                    // Regenerate folder name with corrected week number
-                    const coachName = nameAnalysis.components?.coach || 
-                                    nameAnalysis.standardizedName?.split('_')[1] || 
-                                    recording.host_email?.split('@')[0] || 
-                                    'unknown';
-                    
-                    const studentName = nameAnalysis.components?.student || 
-                                      nameAnalysis.standardizedName?.split('_')[2] || 
-                                      'Unknown';
-                    
-                    const correctedStandardizedName = nameStandardizer.buildStandardizedFolderName({
-                        coach: coachName,
-                        student: studentName,
-                        weekNumber: weekAnalysis.weekNumber,
-                        sessionType: nameAnalysis.components?.sessionType || 'Coaching',
-                        date: recording.start_time.split('T')[0],
-                        meetingId: recording.id,
-                        uuid: recording.uuid,
-                        topic: recording.topic,
-                        dataSource: recording.source || recording.dataSource || 'zoom-api'
-                    });
-                    
-                    // Update the name analysis with corrected folder name
-                    nameAnalysis.standardizedName = correctedStandardizedName;
-                    console.log(`🔧 FIX: Updated folder name with corrected week: ${correctedStandardizedName}`);
+                console.log('📁 No existing files found, trying to download from Zoom API...');
+                
+                // NEW: Cloud Lightweight Mode - Skip video and audio files
+                if (cloudLightweight) {
+                    console.log('☁️ CLOUD LIGHTWEIGHT MODE: Skipping video and audio files, downloading only transcript and metadata...');
+                }
+                
+                // Try to download from Zoom API
+                const recordingDownloader = this.container.resolve('recordingDownloader');
+                if (recordingDownloader) {
+                    const outputDir = path.join('./output', uniqueIdentifier);
+                    folderPath = outputDir;
                     
-                } catch (error) {
-                    console.log(`⚠️ Week number update failed: ${error.message}`);
+                    // NEW: Pass cloud lightweight option to downloader
+                    const downloadOptions = cloudLightweight ? { skipVideo: true, skipAudio: true } : {};
+                    const downloadResult = await recordingDownloader.downloadRecordingFiles(recording, outputDir, downloadOptions);
+                    if (downloadResult.success) {
+                        downloadedFiles = downloadResult.files;
+                        
+                        this.logger.debug('Download result structure', {
+                            files: Object.keys(downloadResult.files || {}),
+                            transcript: downloadedFiles.transcript || null
+                        });
+                        
+                        // FIX: Map uppercase keys to lowercase to prevent duplicates
+                        if (downloadResult.files) {
+                            // Replace uppercase keys with lowercase ones and remove duplicates
+                            if (downloadResult.files.TRANSCRIPT) {
+                                downloadedFiles.transcript = downloadResult.files.TRANSCRIPT;
+                                delete downloadResult.files.TRANSCRIPT; // Remove uppercase key
+                                console.log(`🔧 FIXED: Mapped TRANSCRIPT to transcript: ${downloadedFiles.transcript}`);
+                            }
+                            if (downloadResult.files.CHAT) {
+                                downloadedFiles.chat = downloadResult.files.CHAT;
+                                delete downloadResult.files.CHAT; // Remove uppercase key
+                                console.log(`🔧 FIXED: Mapped CHAT to chat: ${downloadedFiles.chat}`);
+                            }
+                            if (downloadResult.files.M4A) {
+                                downloadedFiles.audio = downloadResult.files.M4A;
+                                delete downloadResult.files.M4A; // Remove uppercase key
+                                console.log(`🔧 FIXED: Mapped M4A to audio: ${downloadedFiles.audio}`);
+                            }
+                            if (downloadResult.files.MP4) {
+                                downloadedFiles.video = downloadResult.files.MP4;
+                                delete downloadResult.files.MP4; // Remove uppercase key
+                                console.log(`🔧 FIXED: Mapped MP4 to video: ${downloadedFiles.video}`);
+                            }
+                            if (downloadResult.files.TIMELINE) {
+                                downloadedFiles.timeline = downloadResult.files.TIMELINE;
+                                delete downloadResult.files.TIMELINE; // Remove uppercase key
+                                console.log(`🔧 FIXED: Mapped TIMELINE to timeline: ${downloadedFiles.timeline}`);
+                            }
+                        }
+                        
+                        // Wait a moment for files to be fully written
+                        await new Promise(resolve => setTimeout(resolve, 1000));
+                        
+                        // FIX: Read transcript and chat content AFTER mapping fix is applied
+                        if (downloadedFiles.transcript) {
+                            try {
+                                transcriptContent = fs.readFileSync(downloadedFiles.transcript, 'utf8');
+                                console.log(`📝 Successfully read transcript: ${transcriptContent.length} characters`);
+                            } catch (error) {
+                                console.log(`⚠️ Failed to read transcript: ${error.message}`);
+                            }
+                        } else {
+                            console.log(`⚠️ No transcript path found in downloadedFiles after mapping`);
+                            console.log(`   Available keys: ${Object.keys(downloadedFiles).join(', ')}`);
+                        }
+                        if (downloadedFiles.chat) {
+                            try {
+                                chatContent = fs.readFileSync(downloadedFiles.chat, 'utf8');
+                                console.log(`💬 Successfully read chat: ${chatContent.length} characters`);
+                            } catch (error) {
+                                console.log(`⚠️ Failed to read chat: ${error.message}`);
+                            }
+                        }
+                    } else {
+                        console.log('❌ Download failed: downloadResult.success was false');
+                        // Don't continue with processing if download explicitly failed
+                        throw new Error('Download failed: Zoom API download returned success=false');
+                    }
                 }
             }
+        } catch (error) {
+            console.log('⚠️ Failed to download recording files:', error.message);
+            console.log('✅ Downloaded files:', Object.keys(downloadedFiles).join(', '));
+        }
+        
+        // VALIDATION: Check if critical files were actually downloaded
+        const downloadedFileCount = Object.keys(downloadedFiles).length;
+        const hasCriticalFiles = downloadedFiles.transcript || downloadedFiles.video || downloadedFiles.audio;
+        
+        if (downloadedFileCount === 0) {
+            console.log('❌ DOWNLOAD VALIDATION FAILED: No files were downloaded');
+            console.log(`   Recording ID: ${recording.id}`);
+            console.log(`   Recording Topic: ${recording.topic}`);
+            throw new Error('Download validation failed: No files were downloaded from any source');
+        }
+        
+        if (!hasCriticalFiles) {
+            console.log('⚠️ WARNING: No critical files (transcript, video, or audio) were downloaded');
+            console.log(`   Downloaded files: ${Object.keys(downloadedFiles).join(', ')}`);
             
-            // Step 3: Enhanced metadata extraction
-            let enhancedMetadata = recording;
-            if (metadataExtractor) {
-                try {
-                    this.logger.info('📊 Extracting enhanced metadata...');
-                    enhancedMetadata = await metadataExtractor.extractMetadata({
-                        ...recording,
-                        downloadedFiles,
-                        participants: recording.participants || [],
-                        // Pass the name analysis results to help with metadata extraction
-                        coachName: nameAnalysis.components?.coach || recording.host_email?.split('@')[0] || 'unknown',
-                        studentName: nameAnalysis.components?.student || 'Unknown',
-                        weekNumber: weekAnalysis.weekNumber,
-                        sessionType: nameAnalysis.components?.sessionType || 'Coaching'
-                    });
-                    this.logger.info('✅ Enhanced metadata extracted');
-                } catch (error) {
-                    this.logger.warn('⚠️ Metadata extraction failed:', error.message);
-                }
+            // In cloud lightweight mode, we expect at least a transcript
+            if (cloudLightweight && !downloadedFiles.transcript) {
+                console.log('❌ DOWNLOAD VALIDATION FAILED: Expected transcript in cloud lightweight mode');
+                throw new Error('Download validation failed: Expected transcript in cloud lightweight mode but none was downloaded');
             }
             
-            // Step 4: Generate AI-powered insights
-            let aiInsights = {};
-            if (aiService && transcriptContent) {
-                try {
-                    this.logger.info('🤖 Generating AI-powered insights...');
-                    const rawAIInsights = await aiService.generateAIInsights(transcriptContent, {
-                        topic: recording.topic,
-                        start_time: recording.start_time,
-                        duration: Math.round((recording.duration || 0) / 60), // Convert seconds to minutes
-                        host_email: recording.host_email,
-                        host_name: recording.host_name,
-                        participantCount: enhancedMetadata.participantCount,
-                        coach: enhancedMetadata.coach,
-                        student: enhancedMetadata.student,
-                        weekNumber: weekAnalysis.weekNumber,
-                        forceRuleBased: false
-                    });
-                    
-                    // Transform AI insights from flat structure to nested structure for Google Sheets mapping
-                    aiInsights = this._transformAIInsightsForMapping(rawAIInsights);
-                    
-                    // DEBUG: Log the AI insights object after generation and transformation
-                    this.logger.info(`🔍 [AI INSIGHTS DEBUG] AI Service Response for Recording: ${recording.id}`);
-                    this.logger.info(`🔍 [AI INSIGHTS DEBUG] Raw AI Insights object keys: [${Object.keys(rawAIInsights).join(', ')}]`);
-                    this.logger.info(`🔍 [AI INSIGHTS DEBUG] Transformed AI Insights object keys: [${Object.keys(aiInsights).join(', ')}]`);
-                    // Removed large object logging to prevent numbered array output
-                    
-                    this.logger.info('✅ AI insights generated and transformed');
-                } catch (error) {
-                    this.logger.warn('⚠️ AI insights generation failed:', error.message);
-                    // Generate fallback insights
-                    aiInsights = this._generateFallbackAIInsights(recording, enhancedMetadata, transcriptContent);
+            // For non-lightweight mode, we should have at least one critical file
+            if (!cloudLightweight && !lightweight) {
+                console.log('❌ DOWNLOAD VALIDATION FAILED: No critical files in standard mode');
+                throw new Error('Download validation failed: No critical files (transcript, video, or audio) were downloaded');
+            }
+        }
+        
+        console.log(`✅ Download validation passed:`);
+        console.log(`   Total files downloaded: ${downloadedFileCount}`);
+        console.log(`   Critical files present: ${hasCriticalFiles ? 'Yes' : 'No'}`);
+        console.log(`   Files: ${Object.keys(downloadedFiles).join(', ')}`);
+        
+        return { downloadedFiles, folderPath, transcriptContent, chatContent };
+    }
+
+    /**
+     * Stage "content": make sure transcript and chat text are loaded
+     */
+    async _runContentStage(context) {
+        const { downloadedFiles } = context;
+        let { transcriptContent = '', chatContent = '' } = context;
+        
+        // Debug: Log transcript and chat content lengths
+        console.log(`📝 Transcript content length: ${transcriptContent.length} characters`);
+        console.log(`💬 Chat content length: ${chatContent.length} characters`);
+        if (transcriptContent.length > 0) {
+            console.log(`📝 Transcript preview: ${transcriptContent.substring(0, 200)}...`);
+        }
+        if (chatContent.length > 0) {
+            console.log(`💬 Chat preview: ${chatContent.substring(0, 200)}...`);
+        }
+        
+        // FIX: Ensure transcript content is properly read for Personal Meeting Room recordings
+        if (transcriptContent.length === 0 && downloadedFiles.transcript) {
+            try {
+                console.log(`🔧 FIX: Re-reading transcript file: ${downloadedFiles.transcript}`);
+                transcriptContent = fs.readFileSync(downloadedFiles.transcript, 'utf8');
+                console.log(`✅ FIX: Successfully re-read transcript: ${transcriptContent.length} characters`);
+                if (transcriptContent.length > 0) {
+                    console.log(`📝 FIX: Transcript preview: ${transcriptContent.substring(0, 200)}...`);
                 }
-            } else {
-                this.logger.warn('⚠️ AI service not available or no transcript content');
-                // Generate fallback insights
-                aiInsights = this._generateFallbackAIInsights(recording, enhancedMetadata, transcriptContent);
+            } catch (error) {
+                console.log(`⚠️ FIX: Failed to re-read transcript: ${error.message}`);
             }
-            
-            // Step 5: Extract outcomes
-            let outcomes = [];
-            if (outcomeExtractor && transcriptContent) {
-                try {
-                    this.logger.info('🎯 Extracting outcomes...');
-                    outcomes = await outcomeExtractor.extractOutcomes(transcriptContent);
-                    this.logger.info(`✅ Extracted ${outcomes.length} outcomes`);
-                } catch (error) {
-                    this.logger.warn('⚠️ Outcomes extraction failed:', error.message);
+        }
+        
+        // Content is not checkpointed, so after a resume it is read back from the checkpointed file paths
+        if (chatContent.length === 0 && downloadedFiles.chat) {
+            try {
+                chatContent = fs.readFileSync(downloadedFiles.chat, 'utf8');
+                console.log(`💬 Read chat file: ${downloadedFiles.chat} (${chatContent.length} characters)`);
+            } catch (error) {
+                console.log(`⚠️ Failed to read chat file: ${error.message}`);
+            }
+        }
+        
+        // Additional debugging: Check if transcript content is still available before name standardization
+        console.log(`🔍 DEBUG: Before name standardization - transcript length: ${transcriptContent.length} characters`);
+        if (transcriptContent.length > 0) {
+            console.log(`🔍 DEBUG: Transcript contains "Shah": ${transcriptContent.toLowerCase().includes('shah')}`);
+        }
+        
+        return { transcriptContent, chatContent };
+    }
+
+    /**
+     * Stage "participants"
+     */
+    async _runParticipantsStage(context) {
+        const { recording, downloadedFiles, transcriptContent, chatContent } = context;
+        
+        // Step 1.5: Extract participants from downloaded files (timeline, chat, transcript)
+        console.log('👥 Extracting participants from downloaded files...');
+        const extractedParticipants = await this._extractParticipantsFromFiles(downloadedFiles, transcriptContent, chatContent);
+        recording.participants = extractedParticipants;
+        console.log(`✅ Extracted ${extractedParticipants.length} participants:`, extractedParticipants.map(p => p.name).join(', '));
+        
+        return { recording, extractedParticipants };
+    }
+
+    /**
+     * Stage "name"
+     */
+    async _runNameStage(context) {
+        const { recording, downloadedFiles, transcriptContent, chatContent } = context;
+        const nameStandardizer = this.container.resolve('nameStandardizer');
+        
+        // Step 2: Smart name standardization with transcript/chat content
+        let nameAnalysis = { standardized: recording.topic || 'Unknown Session', confidence: 0, method: 'fallback' };
+        if (nameStandardizer) {
+            try {
+                this.logger.info('🏷️ Performing smart name standardization with transcript/chat analysis...');
+                const result = await nameStandardizer.standardizeName(recording.topic || '', {
+                    ...recording,
+                    downloadedFiles,
+                    participants: recording.participants || [],
+                    transcriptContent,
+                    chatContent,
+                    hasTranscript: !!downloadedFiles.transcript,
+                    hasChat: !!downloadedFiles.chat
+                });
+                
+                // Map the result to the expected format
+                nameAnalysis = {
+                    standardized: result.standardized || result.standardizedName || recording.topic || 'Unknown Session',
+                    standardizedName: result.standardized || result.standardizedName || recording.topic || 'Unknown Session',
+                    confidence: result.confidence || 0,
+                    method: result.method || 'fallback',
+                    components: result.components || {}
+                };
+                
+                this.logger.info(`✅ Name standardized: ${nameAnalysis.standardized} (confidence: ${nameAnalysis.confidence})`);
+            } catch (error) {
+                this.logger.warn('⚠️ Name standardization failed:', error.message);
+            }
+        }
+        
+        return { nameAnalysis };
+    }
+
+    /**
+     * Stage "category": also corrects the duration and regenerates the standardized name
+     */
+    async _runCategoryStage(context) {
+        const { recording, nameAnalysis, extractedParticipants } = context;
+        const nameStandardizer = this.container.resolve('nameStandardizer');
+        
+        // Step 2.5: FIX DURATION BEFORE CATEGORIZATION
+        // Fix incorrect duration from Zoom API by calculating from recording_files if available
+        if (recording.recording_files && Array.isArray(recording.recording_files)) {
+            // Try to get duration from recording files
+            const videoFile = recording.recording_files.find(f => f.file_type === 'MP4');
+            const audioFile = recording.recording_files.find(f => f.file_type === 'M4A');
+            
+            if (videoFile && videoFile.recording_end && videoFile.recording_start) {
+                const calculatedDuration = (new Date(videoFile.recording_end) - new Date(videoFile.recording_start)) / 1000;
+                if (calculatedDuration > 0 && Math.abs(calculatedDuration - recording.duration) > 60) {
+                    console.log(`🔧 FIX: Correcting duration from ${recording.duration}s to ${Math.round(calculatedDuration)}s based on video file timestamps`);
+                    recording.duration = Math.round(calculatedDuration);
+                }
+            } else if (audioFile && audioFile.recording_end && audioFile.recording_start) {
+                const calculatedDuration = (new Date(audioFile.recording_end) - new Date(audioFile.recording_start)) / 1000;
+                if (calculatedDuration > 0 && Math.abs(calculatedDuration - recording.duration) > 60) {
+                    console.log(`🔧 FIX: Correcting duration from ${recording.duration}s to ${Math.round(calculatedDuration)}s based on audio file timestamps`);
+                    recording.duration = Math.round(calculatedDuration);
                 }
             }
             
-            // Step 6: Analyze relationships
-            let relationships = {};
-            if (relationshipAnalyzer && transcriptContent) {
-                try {
-                    this.logger.info('🔗 Analyzing relationships...');
-                    relationships = await relationshipAnalyzer.analyzeRelationships(transcriptContent);
-                    this.logger.info('✅ Relationships analyzed');
-                } catch (error) {
-                    this.logger.warn('⚠️ Relationship analysis failed:', error.message);
+            // Calculate total file size from recording_files
+            let totalFileSize = 0;
+            recording.recording_files.forEach(file => {
+                if (file.file_size) {
+                    totalFileSize += file.file_size;
                 }
+            });
+            if (totalFileSize > 0) {
+                recording.total_size = totalFileSize;
             }
-            
-            // Step 7: Initialize Drive variables (upload will happen after processedRecording is created)
-            let driveFolderId = null;
-            let driveLink = null;
-            let driveFileIds = {};
-            
-            // Step 8: Create comprehensive processed recording object with sophisticated smart schema
-            const processedRecording = {
-                // ===== CORE PROCESSED DATA =====
-                uuid: recording.uuid, // Use the UUID generated before Gate 3
-                fingerprint: recording.fingerprint, // Use the fingerprint generated before Gate 3
-                recordingDate: new Date(recording.start_time).toISOString().split('T')[0],
-                rawName: recording.topic,
-                standardizedName: nameAnalysis.standardizedName,
-                nameConfidence: nameAnalysis.confidence,
-                nameResolutionMethod: nameAnalysis.method,
-                familyAccount: 'No',
-                weekNumber: weekAnalysis.weekNumber,
-                weekConfidence: weekAnalysis.confidence,
-                weekInferenceMethod: weekAnalysis.method,
-                
-                // ===== PRESERVE DATA SOURCE FOR CORRECT TAB ROUTING =====
-                dataSource: recording.dataSource || recording.source || 'zoom-api',
-                source: recording.dataSource || recording.source || 'zoom-api',
-                webhook_received_at: recording.webhook_received_at,
-                
-                // ===== CATEGORY DATA =====
-                category: recordingCategory,
-                categoryReason: recordingCategory === 'TRIVIAL' ? 'Low duration/participants/size' : 
-                                recordingCategory === 'MISC' ? 'Unknown student/no-show' : 'Valid session',
-                
-                // ===== HOST & PARTICIPANT DATA =====
-                hostEmail: recording.host_email,
-                hostName: recording.host_name,
-                meetingTopic: recording.topic,
-                participants: enhancedMetadata.raw?.participants?.map(p => p.user_name || p.name).join(', ') || '',
-                participantCount: enhancedMetadata.participantCount || 2,
+        }
+        
+        console.log(`🔍 DEBUG: About to start categorization...`);
+        
+        // Step 2.5: DETERMINE RECORDING CATEGORY
+        const recordingCategory = this._determineRecordingCategory(
+            recording, 
+            nameAnalysis, 
+            extractedParticipants.length
+        );
+        
+        // Store category in recording for Drive organization
+        recording._category = recordingCategory;
+        
+        // FIX: Update sessionType in nameAnalysis to match the final category determination
+        if (recordingCategory === 'TRIVIAL') {
+            nameAnalysis.components.sessionType = 'TRIVIAL';
+        } else if (recordingCategory === 'MISC') {
+            nameAnalysis.components.sessionType = 'MISC';
+        } else if (recordingCategory === 'STUDENTS') {
+            nameAnalysis.components.sessionType = 'Coaching';
+        } else if (recordingCategory === 'COACHES') {
+            nameAnalysis.components.sessionType = 'Coaching';
+        }
+        
+        // FIX: Regenerate standardized name with correct sessionType and dataSource
+        if (nameStandardizer) {
+            // Determine dataSource - Zoom API for batch processing
+            const dataSource = recording.source || recording.dataSource || 'zoom-api';
+            
+            const regeneratedName = nameStandardizer.buildStandardizedFolderName({
+                coach: nameAnalysis.components?.coach || 'unknown',
+                student: nameAnalysis.components?.student || 'Unknown',
+                weekNumber: nameAnalysis.components?.week || null,
+                sessionType: nameAnalysis.components?.sessionType || 'MISC',
+                date: recording.start_time.split('T')[0],
                 meetingId: recording.id,
-                duration: Math.round((recording.duration || 0) / 60), // minutes
-                startTime: recording.start_time,
-                endTime: recording.end_time || new Date(new Date(recording.start_time).getTime() + (recording.duration || 0) * 1000).toISOString(),
-                recordingType: 'cloud_recording',
-                
-                // ===== FILE DATA =====
-                fileSize: this._calculateTotalFileSize(downloadedFiles),
-                hasTranscript: !!downloadedFiles.transcript,
-                transcriptQuality: downloadedFiles.transcript ? 'Good' : 'None',
-                
-                // ===== AI INSIGHTS =====
-                speakerCount: aiInsights?.transcriptAnalysis?.speakerCount || enhancedMetadata.participantCount || 2,
-                primarySpeaker: aiInsights?.transcriptAnalysis?.primarySpeaker || enhancedMetadata.coach || '',
-                speakingTimeDistribution: aiInsights?.transcriptAnalysis?.speakingTimeDistribution ? JSON.stringify(aiInsights.transcriptAnalysis.speakingTimeDistribution) : '{}',
-                emotionalJourney: aiInsights?.emotionalAnalysis?.emotionalJourney ? JSON.stringify(aiInsights.emotionalAnalysis.emotionalJourney) : '[]',
-                engagementScore: aiInsights?.engagementAnalysis?.overallScore || 0,
-                keyMoments: aiInsights?.keyMomentsAnalysis?.keyMoments ? JSON.stringify(aiInsights.keyMomentsAnalysis.keyMoments) : '[]',
-                coachingTopics: aiInsights?.coachingAnalysis?.topics ? aiInsights.coachingAnalysis.topics.join(', ') : '',
-                coachingStyle: aiInsights?.coachingAnalysis?.style || '',
-                studentResponsePattern: aiInsights?.studentAnalysis?.responsePattern || '',
-                interactionQuality: aiInsights?.interactionAnalysis?.quality || '',
-                keyThemes: aiInsights?.thematicAnalysis?.themes ? aiInsights.thematicAnalysis.themes.join(', ') : '',
-                actionItems: aiInsights?.actionItemsAnalysis?.actionItems ? JSON.stringify(aiInsights.actionItemsAnalysis.actionItems) : '[]',
-                challengesIdentified: aiInsights?.challengesAnalysis?.challenges ? aiInsights.challengesAnalysis.challenges.join(', ') : '',
-                breakthroughs: aiInsights?.breakthroughsAnalysis?.breakthroughs ? aiInsights.breakthroughsAnalysis.breakthroughs.join(', ') : '',
-                goalsSet: aiInsights?.goalsAnalysis?.goals ? aiInsights.goalsAnalysis.goals.join(', ') : '',
-                progressTracked: aiInsights?.progressAnalysis?.progress ? aiInsights.progressAnalysis.progress.join(', ') : '',
-                nextSteps: aiInsights?.nextStepsAnalysis?.nextSteps ? aiInsights.nextStepsAnalysis.nextSteps.join(', ') : '',
-                followUpRequired: aiInsights?.followUpAnalysis?.required ? 'Yes' : 'No',
-                
-                // ===== DRIVE INTEGRATION =====
-                driveFolder: '', // Will be updated after Drive upload
-                driveFolderId: '', // Will be updated after Drive upload
-                driveLink: '', // Will be updated after Drive upload
-                videoFileId: '', // Will be updated after Drive upload
-                transcriptFileId: '', // Will be updated after Drive upload
-                
-                // ===== PROCESSING METADATA =====
-                processedDate: new Date().toISOString(),
-                processingVersion: '2.0-smart',
-                dataSource: 'Comprehensive Processing',
-                lastUpdated: new Date().toISOString(),
-                
-                // ===== OUTCOMES DATA =====
-                outcomes_awards_count: outcomes.filter(o => o.type === 'award').length,
-                outcomes_scores_count: outcomes.filter(o => o.type === 'score').length,
-                outcomes_projects_count: outcomes.filter(o => o.type === 'project').length,
-                outcomes_essays_count: outcomes.filter(o => o.type === 'essay').length,
-                outcomes_scholarships_count: outcomes.filter(o => o.type === 'scholarship').length,
-                
-                // ===== AI INSIGHTS DETAILED MAPPING =====
-                session_overview: aiInsights?.sessionOverview?.summary || '',
-                main_discussion_points: aiInsights?.sessionOverview?.mainPoints ? aiInsights.sessionOverview.mainPoints.join(', ') : '',
-                coaching_strengths: aiInsights?.coachingAnalysis?.strengths ? aiInsights.coachingAnalysis.strengths.join(', ') : '',
-                coaching_improvements: aiInsights?.coachingAnalysis?.improvements ? aiInsights.coachingAnalysis.improvements.join(', ') : '',
-                student_progress_indicators: aiInsights?.studentAnalysis?.progressIndicators ? aiInsights.studentAnalysis.progressIndicators.join(', ') : '',
-                emotional_journey_overall: aiInsights?.emotionalAnalysis?.overallJourney || '',
-                emotional_stability_score: aiInsights?.emotionalAnalysis?.stabilityScore || 0,
-                risk_factors_count: aiInsights?.riskAnalysis?.riskFactors ? aiInsights.riskAnalysis.riskFactors.length : 0,
-                success_predictors_count: aiInsights?.successAnalysis?.predictors ? aiInsights.successAnalysis.predictors.length : 0,
-                conversation_flow: aiInsights?.conversationAnalysis?.flow || '',
-                response_patterns: aiInsights?.studentAnalysis?.responsePatterns ? JSON.stringify(aiInsights.studentAnalysis.responsePatterns) : '{}',
-                session_phases: aiInsights?.sessionAnalysis?.phases ? JSON.stringify(aiInsights.sessionAnalysis.phases) : '[]',
-                pacing_analysis: aiInsights?.pacingAnalysis?.analysis || '',
-                balance_analysis: aiInsights?.balanceAnalysis?.analysis || '',
-                executive_summary: aiInsights?.executiveSummary?.summary || '',
-                key_outcomes: aiInsights?.outcomesAnalysis?.keyOutcomes ? aiInsights.outcomesAnalysis.keyOutcomes.join(', ') : '',
-                next_steps: aiInsights?.nextStepsAnalysis?.nextSteps ? aiInsights.nextStepsAnalysis.nextSteps.join(', ') : '',
-                immediate_recommendations: aiInsights?.recommendationsAnalysis?.immediate ? aiInsights.recommendationsAnalysis.immediate.join(', ') : '',
-                short_term_recommendations: aiInsights?.recommendationsAnalysis?.shortTerm ? aiInsights.recommendationsAnalysis.shortTerm.join(', ') : '',
-                long_term_recommendations: aiInsights?.recommendationsAnalysis?.longTerm ? aiInsights.recommendationsAnalysis.longTerm.join(', ') : '',
-                coach_recommendations: aiInsights?.recommendationsAnalysis?.coach ? aiInsights.recommendationsAnalysis.coach.join(', ') : '',
-                student_recommendations: aiInsights?.recommendationsAnalysis?.student ? aiInsights.recommendationsAnalysis.student.join(', ') : '',
-                
-                // ===== SESSION SUMMARY =====
-                session_summary_executive_summary: aiInsights?.executiveSummary?.summary || '',
-                session_summary_key_outcomes: aiInsights?.outcomesAnalysis?.keyOutcomes ? aiInsights.outcomesAnalysis.keyOutcomes.join(', ') : '',
-                session_summary_main_discussion_points: aiInsights?.sessionOverview?.mainPoints ? aiInsights.sessionOverview.mainPoints.join(', ') : '',
-                session_summary_session_structure_phases: aiInsights?.sessionAnalysis?.phases ? JSON.stringify(aiInsights.sessionAnalysis.phases) : '[]',
-                session_summary_session_structure_flow: aiInsights?.conversationAnalysis?.flow || '',
-                session_summary_session_structure_balance: aiInsights?.balanceAnalysis?.analysis || '',
-                session_summary_session_structure_pacing: aiInsights?.pacingAnalysis?.analysis || '',
-                session_summary_next_steps: aiInsights?.nextStepsAnalysis?.nextSteps ? aiInsights.nextStepsAnalysis.nextSteps.join(', ') : '',
-                
-                // ===== KEY HIGHLIGHTS =====
-                key_highlights_breakthrough_moments: aiInsights?.breakthroughsAnalysis?.breakthroughs ? aiInsights.breakthroughsAnalysis.breakthroughs.join(', ') : '',
-                key_highlights_important_questions: aiInsights?.questionsAnalysis?.importantQuestions ? aiInsights.questionsAnalysis.importantQuestions.join(', ') : '',
-                key_highlights_action_items: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.map(ai => ai.description).join(', ') : '',
-                key_highlights_coaching_excellence: aiInsights?.coachingAnalysis?.excellenceMoments ? aiInsights.coachingAnalysis.excellenceMoments.join(', ') : '',
-                key_highlights_student_growth: aiInsights?.studentAnalysis?.growthMoments ? aiInsights.studentAnalysis.growthMoments.join(', ') : '',
-                
-                // ===== ACTION ITEMS =====
-                action_items_high_priority: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.priority === 'high').map(ai => ai.description).join(', ') : '',
-                action_items_medium_priority: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.priority === 'medium').map(ai => ai.description).join(', ') : '',
-                action_items_low_priority: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.priority === 'low').map(ai => ai.description).join(', ') : '',
-                action_items_coach_actions: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.assignee === 'coach').map(ai => ai.description).join(', ') : '',
-                action_items_student_actions: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.assignee === 'student').map(ai => ai.description).join(', ') : '',
-                
-                // ===== FOLLOW UP RECOMMENDATIONS =====
-                follow_up_recommendations_immediate: aiInsights?.followUpAnalysis?.immediate ? aiInsights.followUpAnalysis.immediate.join(', ') : '',
-                follow_up_recommendations_short_term: aiInsights?.followUpAnalysis?.shortTerm ? aiInsights.followUpAnalysis.shortTerm.join(', ') : '',
-                follow_up_recommendations_long_term: aiInsights?.followUpAnalysis?.longTerm ? aiInsights.followUpAnalysis.longTerm.join(', ') : '',
-                follow_up_recommendations_coach_recommendations: aiInsights?.followUpAnalysis?.coachRecommendations ? aiInsights.followUpAnalysis.coachRecommendations.join(', ') : '',
-                follow_up_recommendations_student_recommendations: aiInsights?.followUpAnalysis?.studentRecommendations ? aiInsights.followUpAnalysis.studentRecommendations.join(', ') : '',
-                
-                // ===== QUALITY METRICS =====
-                quality_metrics_overall_score: aiInsights?.qualityAnalysis?.overallScore || 0,
-                quality_metrics_data_quality_completeness: !!downloadedFiles.transcript ? 0.9 : 0.5,
-                quality_metrics_data_quality_accuracy: 0.8,
-                quality_metrics_data_quality_consistency: 0.8,
-                quality_metrics_data_quality_zoom_insights: !!aiInsights,
-                quality_metrics_data_quality_transcript_analysis: !!downloadedFiles.transcript,
-                quality_metrics_session_metrics_engagement: aiInsights?.engagementAnalysis?.overallScore || 0,
-                quality_metrics_session_metrics_participation: aiInsights?.participationAnalysis?.participationRate || 0,
-                quality_metrics_session_metrics_interaction: aiInsights?.interactionAnalysis?.interactionQuality || '',
-                quality_metrics_coaching_metrics_effectiveness: aiInsights?.coachingAnalysis?.effectivenessScore || 0,
-                quality_metrics_coaching_metrics_techniques: aiInsights?.coachingAnalysis?.techniques ? aiInsights.coachingAnalysis.techniques.join(', ') : '',
-                quality_metrics_coaching_metrics_responsiveness: aiInsights?.coachingAnalysis?.responsiveness || '',
-                quality_metrics_student_metrics_progress: aiInsights?.studentAnalysis?.progressScore || 0,
-                quality_metrics_student_metrics_satisfaction: aiInsights?.studentAnalysis?.satisfactionLevel || '',
-                quality_metrics_student_metrics_learning: aiInsights?.studentAnalysis?.learningOutcomes ? aiInsights.studentAnalysis.learningOutcomes.join(', ') : '',
-                
-                // ===== ZOOM INSIGHTS =====
-                zoom_insights_session_type: aiInsights?.zoomInsights?.zoomSessionAnalysis?.sessionType || '',
-                zoom_insights_duration: aiInsights?.zoomInsights?.zoomSessionAnalysis?.duration || 0,
-                zoom_insights_participant_count: aiInsights?.zoomInsights?.zoomParticipantInsights?.totalParticipants || 0,
-                zoom_insights_active_participants: aiInsights?.zoomInsights?.zoomParticipantInsights?.activeParticipants || 0,
-                zoom_insights_participant_roles: aiInsights?.zoomInsights?.zoomParticipantInsights?.participantRoles ? JSON.stringify(aiInsights.zoomInsights.zoomParticipantInsights.participantRoles) : '[]',
-                zoom_insights_interaction_patterns: aiInsights?.zoomInsights?.zoomParticipantInsights?.interactionPatterns ? JSON.stringify(aiInsights.zoomInsights.zoomParticipantInsights.interactionPatterns) : '{}',
-                zoom_insights_engagement_level: aiInsights?.zoomInsights?.zoomParticipantInsights?.engagementLevel || '',
-                zoom_insights_participants: aiInsights?.zoomInsights?.zoomParticipantInsights?.participants ? JSON.stringify(aiInsights.zoomInsights.zoomParticipantInsights.participants) : '[]',
-                zoom_insights_overall_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.overallQuality || 0,
-                zoom_insights_transcript_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.transcriptQuality || 0,
-                zoom_insights_completeness: aiInsights?.zoomInsights?.zoomQualityMetrics?.completeness || 0,
-                zoom_insights_reliability: aiInsights?.zoomInsights?.zoomQualityMetrics?.reliability || 0,
-                zoom_insights_engagement_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.engagementQuality || 0,
-                zoom_insights_participation_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.participationQuality || 0,
-                zoom_insights_speaking_distribution: aiInsights?.zoomInsights?.zoomEngagementMetrics?.speakingDistribution ? JSON.stringify(aiInsights.zoomInsights.zoomEngagementMetrics.speakingDistribution) : '{}',
-                zoom_insights_interaction_patterns_metrics: aiInsights?.zoomInsights?.zoomEngagementMetrics?.interactionPatterns ? JSON.stringify(aiInsights.zoomInsights.zoomEngagementMetrics.interactionPatterns) : '{}',
-                zoom_insights_overall_score: aiInsights?.zoomInsights?.zoomEngagementMetrics?.overallScore || 0,
-                zoom_insights_participation_rate: aiInsights?.zoomInsights?.zoomEngagementMetrics?.participationRate || 0,
-                zoom_insights_view_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.viewCount || 0,
-                zoom_insights_download_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.downloadCount || 0,
-                zoom_insights_share_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.shareCount || 0,
-                zoom_insights_average_watch_time: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.averageWatchTime || 0,
-                zoom_insights_completion_rate: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.completionRate || 0,
-                zoom_insights_replay_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.replayCount || 0,
-                zoom_insights_total_size: aiInsights?.zoomInsights?.zoomAnalytics?.recordingInfo?.totalSize || 0,
-                zoom_insights_recording_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingInfo?.recordingCount || 0,
-                zoom_insights_file_types: aiInsights?.zoomInsights?.zoomAnalytics?.recordingInfo?.fileTypes ? JSON.stringify(aiInsights.zoomInsights.zoomAnalytics.recordingInfo.fileTypes) : '[]',
-                zoom_insights_zoom_generated: aiInsights?.metadata?.zoomGenerated || false,
-                zoom_insights_meeting_id: aiInsights?.metadata?.meetingId || '',
-                zoom_insights_processing_time: aiInsights?.metadata?.processingTime || 0,
-                zoom_insights_data_sources: aiInsights?.metadata?.dataSources ? JSON.stringify(aiInsights.metadata.dataSources) : '[]',
-                
-                // ===== TANGIBLE OUTCOMES =====
-                tangible_outcomes_metadata_version: aiInsights?.tangibleOutcomes?.metadata?.version || '',
-                tangible_outcomes_metadata_generated_at: aiInsights?.tangibleOutcomes?.metadata?.generatedAt || '',
-                tangible_outcomes_metadata_topic: aiInsights?.tangibleOutcomes?.metadata?.topic || '',
-                tangible_outcomes_metadata_start_time: aiInsights?.tangibleOutcomes?.metadata?.startTime || '',
-                tangible_outcomes_metadata_duration: aiInsights?.tangibleOutcomes?.metadata?.duration || 0,
-                tangible_outcomes_outcomes: aiInsights?.tangibleOutcomes?.outcomes ? JSON.stringify(aiInsights.tangibleOutcomes.outcomes) : '[]',
-                tangible_outcomes_summary_total_outcomes: aiInsights?.tangibleOutcomes?.summary?.totalOutcomes || 0,
-                tangible_outcomes_summary_outcome_types: aiInsights?.tangibleOutcomes?.summary?.outcomeTypes ? JSON.stringify(aiInsights.tangibleOutcomes.summary.outcomeTypes) : '[]',
-                tangible_outcomes_summary_outcome_categories: aiInsights?.tangibleOutcomes?.summary?.outcomeCategories ? JSON.stringify(aiInsights.tangibleOutcomes.summary.outcomeCategories) : '[]',
-                tangible_outcomes_summary_status_breakdown: aiInsights?.tangibleOutcomes?.summary?.statusBreakdown ? JSON.stringify(aiInsights.tangibleOutcomes.summary.statusBreakdown) : '{}',
-                tangible_outcomes_summary_effectiveness_score: aiInsights?.tangibleOutcomes?.summary?.effectivenessScore || 0,
-                tangible_outcomes_summary_key_outcomes: aiInsights?.tangibleOutcomes?.summary?.keyOutcomes ? JSON.stringify(aiInsights.tangibleOutcomes.summary.keyOutcomes) : '[]',
-                tangible_outcomes_quality_metrics_completeness: aiInsights?.tangibleOutcomes?.qualityMetrics?.completeness || 0,
-                tangible_outcomes_quality_metrics_specificity: aiInsights?.tangibleOutcomes?.qualityMetrics?.specificity || 0,
-                tangible_outcomes_quality_metrics_action_ability: aiInsights?.tangibleOutcomes?.qualityMetrics?.actionAbility || 0,
-                tangible_outcomes_quality_metrics_measurability: aiInsights?.tangibleOutcomes?.qualityMetrics?.measurability || 0,
-                tangible_outcomes_quality_metrics_overall_quality: aiInsights?.tangibleOutcomes?.qualityMetrics?.overallQuality || 0,
-                
-                // ===== COMBINED INSIGHTS =====
-                combined_insights_summary_executive_summary: aiInsights?.combinedInsights?.summary?.executiveSummary || '',
-                combined_insights_summary_key_themes: aiInsights?.combinedInsights?.summary?.keyThemes ? JSON.stringify(aiInsights.combinedInsights.summary.keyThemes) : '[]',
-                combined_insights_summary_data_sources: aiInsights?.combinedInsights?.summary?.dataSources ? JSON.stringify(aiInsights.combinedInsights.summary.dataSources) : '[]',
-                combined_insights_summary_confidence: aiInsights?.combinedInsights?.summary?.confidence || 0,
-                combined_insights_highlights_breakthrough_moments: aiInsights?.combinedInsights?.highlights?.breakthroughMoments ? JSON.stringify(aiInsights.combinedInsights.highlights.breakthroughMoments) : '[]',
-                combined_insights_highlights_key_insights: aiInsights?.combinedInsights?.highlights?.keyInsights ? JSON.stringify(aiInsights.combinedInsights.highlights.keyInsights) : '[]',
-                combined_insights_highlights_key_moments: aiInsights?.combinedInsights?.highlights?.keyMoments ? JSON.stringify(aiInsights.combinedInsights.highlights.keyMoments) : '[]',
-                combined_insights_action_items_high_priority: aiInsights?.combinedInsights?.actionItems?.highPriority ? JSON.stringify(aiInsights.combinedInsights.actionItems.highPriority) : '[]',
-                combined_insights_action_items_medium_priority: aiInsights?.combinedInsights?.actionItems?.mediumPriority ? JSON.stringify(aiInsights.combinedInsights.actionItems.mediumPriority) : '[]',
-                combined_insights_action_items_low_priority: aiInsights?.combinedInsights?.actionItems?.lowPriority ? JSON.stringify(aiInsights.combinedInsights.actionItems.lowPriority) : '[]',
-                combined_insights_action_items_total_count: aiInsights?.combinedInsights?.actionItems?.totalCount || 0,
-                combined_insights_recommendations_immediate: aiInsights?.combinedInsights?.recommendations?.immediate ? JSON.stringify(aiInsights.combinedInsights.recommendations.immediate) : '[]',
-                combined_insights_recommendations_short_term: aiInsights?.combinedInsights?.recommendations?.shortTerm ? JSON.stringify(aiInsights.combinedInsights.recommendations.shortTerm) : '[]',
-                combined_insights_recommendations_long_term: aiInsights?.combinedInsights?.recommendations?.longTerm ? JSON.stringify(aiInsights.combinedInsights.recommendations.longTerm) : '[]',
-                combined_insights_quality_assessment_overall_quality: aiInsights?.combinedInsights?.qualityAssessment?.overallQuality || 0,
-                combined_insights_quality_assessment_data_completeness: aiInsights?.combinedInsights?.qualityAssessment?.dataCompleteness || 0,
-                combined_insights_quality_assessment_data_accuracy: aiInsights?.combinedInsights?.qualityAssessment?.dataAccuracy || 0,
-                combined_insights_quality_assessment_action_ability: aiInsights?.combinedInsights?.qualityAssessment?.actionAbility || 0,
-                zoom_insights_summary: aiInsights?.zoomInsights?.summary || '',
-                zoom_insights_highlights: aiInsights?.zoomInsights?.highlights ? aiInsights.zoomInsights.highlights.join(', ') : '',
-                zoom_insights_analytics: aiInsights?.zoomInsights?.analytics ? JSON.stringify(aiInsights.zoomInsights.analytics) : '{}',
-                zoom_insights_ai_summary: aiInsights?.zoomInsights?.aiSummary || '',
-                zoom_insights_topics: aiInsights?.zoomInsights?.topics ? aiInsights.zoomInsights.topics.join(', ') : '',
-                zoom_insights_action_items: aiInsights?.zoomInsights?.actionItems ? aiInsights.zoomInsights.actionItems.join(', ') : '',
-                zoom_insights_questions: aiInsights?.zoomInsights?.questions ? aiInsights.zoomInsights.questions.join(', ') : '',
-                zoom_insights_sentiment: aiInsights?.zoomInsights?.sentiment || '',
-                zoom_insights_engagement: aiInsights?.zoomInsights?.engagement || '',
-                zoom_insights_breakthrough_moments: aiInsights?.zoomInsights?.breakthroughMoments ? aiInsights.zoomInsights.breakthroughMoments.join(', ') : '',
-                zoom_insights_coaching_techniques: aiInsights?.zoomInsights?.coachingTechniques ? aiInsights.zoomInsights.coachingTechniques.join(', ') : '',
-                zoom_insights_student_progress: aiInsights?.zoomInsights?.studentProgress || '',
-                zoom_insights_errors: aiInsights?.zoomInsights?.errors ? aiInsights.zoomInsights.errors.join(', ') : '',
-                
-                // ===== TRANSCRIPT INSIGHTS =====
-                transcript_insights_summary: aiInsights?.transcriptInsights?.summary || '',
-                transcript_insights_key_moments: aiInsights?.transcriptInsights?.keyMoments ? aiInsights.transcriptInsights.keyMoments.join(', ') : '',
-                transcript_insights_speaker_analysis: aiInsights?.transcriptInsights?.speakerAnalysis ? JSON.stringify(aiInsights.transcriptInsights.speakerAnalysis) : '{}',
-                transcript_insights_topics: aiInsights?.transcriptInsights?.topics ? aiInsights.transcriptInsights.topics.join(', ') : '',
-                transcript_insights_action_items: aiInsights?.transcriptInsights?.actionItems ? aiInsights.transcriptInsights.actionItems.join(', ') : '',
-                transcript_insights_questions: aiInsights?.transcriptInsights?.questions ? aiInsights.transcriptInsights.questions.join(', ') : '',
-                transcript_insights_sentiment: aiInsights?.transcriptInsights?.sentiment || '',
-                transcript_insights_engagement: aiInsights?.transcriptInsights?.engagement || '',
-                transcript_insights_coaching_insights: aiInsights?.transcriptInsights?.coachingInsights || '',
-                transcript_insights_emotional_journey: aiInsights?.transcriptInsights?.emotionalJourney ? JSON.stringify(aiInsights.transcriptInsights.emotionalJourney) : '[]',
-                transcript_insights_conversation_patterns: aiInsights?.transcriptInsights?.conversationPatterns ? JSON.stringify(aiInsights.transcriptInsights.conversationPatterns) : '{}',
-                transcript_insights_session_structure: aiInsights?.transcriptInsights?.sessionStructure || '',
-                transcript_insights_breakthrough_moments: aiInsights?.transcriptInsights?.breakthroughMoments ? aiInsights.transcriptInsights.breakthroughMoments.join(', ') : '',
-                transcript_insights_risk_factors: aiInsights?.transcriptInsights?.riskFactors ? aiInsights.transcriptInsights.riskFactors.join(', ') : '',
-                transcript_insights_success_predictors: aiInsights?.transcriptInsights?.successPredictors ? aiInsights.transcriptInsights.successPredictors.join(', ') : '',
-                transcript_insights_metadata_total_duration: aiInsights?.transcriptInsights?.metadata?.totalDuration || 0,
-                transcript_insights_metadata_word_count: aiInsights?.transcriptInsights?.metadata?.wordCount || 0,
-                transcript_insights_metadata_speaker_count: enhancedMetadata.participantCount || 2,
-                transcript_insights_metadata_analyzed_at: new Date().toISOString(),
-                
-                // ===== OUTCOMES DETAILED =====
-                outcomes_summary: outcomes.length > 0 ? outcomes.map(o => `${o.type}: ${o.description}`).join('; ') : '',
-                outcomes_outcomes: outcomes.length > 0 ? JSON.stringify(outcomes) : '[]',
-                outcomes_quality_metrics: outcomes.length > 0 ? JSON.stringify({
-                    completeness: outcomes.filter(o => o.status === 'completed').length / outcomes.length,
-                    specificity: outcomes.filter(o => o.specificity === 'high').length / outcomes.length,
-                    actionability: outcomes.filter(o => o.actionability === 'high').length / outcomes.length,
-                    measurability: outcomes.filter(o => o.measurability === 'high').length / outcomes.length
-                }) : '{}',
-                outcomes_metadata_version: '2.0',
-                outcomes_metadata_generated_at: new Date().toISOString(),
-                outcomes_metadata_recording_id: recording.id,
-                outcomes_metadata_meeting_id: recording.id,
-                outcomes_metadata_meeting_uuid: recording.uuid,
-                outcomes_metadata_topic: recording.topic,
-                outcomes_metadata_start_time: recording.start_time,
-                outcomes_metadata_duration: recording.duration,
-                outcomes_metadata_summary_total_outcomes: outcomes.length,
-                outcomes_metadata_summary_outcome_types: outcomes.length > 0 ? [...new Set(outcomes.map(o => o.type))].join(', ') : '',
-                outcomes_metadata_summary_outcome_categories: outcomes.length > 0 ? [...new Set(outcomes.map(o => o.category))].join(', ') : '',
-                outcomes_metadata_summary_status_breakdown_planned: outcomes.filter(o => o.status === 'planned').length,
-                outcomes_metadata_summary_status_breakdown_in_progress: outcomes.filter(o => o.status === 'in_progress').length,
-                outcomes_metadata_summary_status_breakdown_achieved: outcomes.filter(o => o.status === 'achieved').length,
-                outcomes_metadata_summary_status_breakdown_failed: outcomes.filter(o => o.status === 'failed').length,
-                outcomes_metadata_summary_effectiveness_score: outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + (o.effectiveness || 0), 0) / outcomes.length : 0,
-                outcomes_metadata_summary_key_outcomes: outcomes.filter(o => o.priority === 'high').map(o => o.description).join(', '),
-                outcomes_metadata_quality_overall_score: outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + (o.quality || 0), 0) / outcomes.length : 0,
-                outcomes_metadata_quality_completeness: outcomes.length > 0 ? outcomes.filter(o => o.status === 'completed').length / outcomes.length : 0,
-                outcomes_metadata_quality_specificity: outcomes.length > 0 ? outcomes.filter(o => o.specificity === 'high').length / outcomes.length : 0,
-                outcomes_metadata_quality_actionability: outcomes.length > 0 ? outcomes.filter(o => o.actionability === 'high').length / outcomes.length : 0,
-                outcomes_metadata_quality_measurability: outcomes.length > 0 ? outcomes.filter(o => o.measurability === 'high').length / outcomes.length : 0,
-                
-                // ===== GENERATED FILES =====
-                generated_files_summary: Object.keys(downloadedFiles).length > 0 ? `${Object.keys(downloadedFiles).length} files generated` : 'No files generated',
-                generated_files_highlights: Object.keys(downloadedFiles).join(', '),
-                generated_files_action_items: Object.keys(downloadedFiles).includes('action_items') ? 'Action items file generated' : 'No action items file',
-                generated_files_coaching_notes: Object.keys(downloadedFiles).includes('coaching_notes') ? 'Coaching notes generated' : 'No coaching notes',
-                generated_files_insights_path: folderPath ? `${folderPath}/insights.json` : '',
-                generated_files_outcomes_path: folderPath ? `${folderPath}/outcomes.json` : '',
-                generated_files_summary_path: folderPath ? `${folderPath}/summary.md` : '',
-                generated_files_highlights_path: folderPath ? `${folderPath}/highlights.md` : '',
-                generated_files_action_items_path: folderPath ? `${folderPath}/action_items.md` : '',
-                generated_files_coaching_notes_path: folderPath ? `${folderPath}/coaching_notes.md` : '',
-                
-                // ===== UPLOAD METRICS =====
-                files_uploaded_count: Object.keys(downloadedFiles).length,
-                total_upload_size: this._calculateTotalFileSize(downloadedFiles),
-                upload_success: true,
-                upload_duration_ms: Date.now() - startTime,
+                uuid: recording.uuid,
+                topic: recording.topic,
+                dataSource: dataSource
+            });
+            nameAnalysis.standardizedName = regeneratedName;
+            console.log(`🔧 FIX: Regenerated standardized name with correct category and source: ${regeneratedName}`);
+        }
+        
+        console.log(`📂 Recording Category: ${recordingCategory}`);
+        console.log(`   🏷️ Standardized Name: ${nameAnalysis.standardizedName}`);
+        console.log(`   👥 Participants: ${extractedParticipants.length}`);
+        console.log(`   ⏱️ Duration: ${recording.duration || 0} seconds`);
+        console.log(`   📦 File Size: ${recording.file_size || 0} bytes`);
+        console.log(`   🔧 Session Type Updated: ${nameAnalysis.components?.sessionType}`);
+        
+        return { recording, recordingCategory, nameAnalysis };
+    }
+
+    /**
+     * Stage "week": infers the week and puts it into the standardized name
+     */
+    async _runWeekStage(context) {
+        const { recording, nameAnalysis, folderPath, downloadedFiles } = context;
+        const weekInferencer = this.container.resolve('weekInferencer');
+        const nameStandardizer = this.container.resolve('nameStandardizer');
+        
+        console.log(`🔍 DEBUG: About to start week inference...`);
+        
+        // Step 2.6: Smart week inference (moved up to fix initialization error)
+        let weekAnalysis = { weekNumber: 0, confidence: 0, method: 'fallback' };
+        console.log(`🔍 DEBUG: WeekInferencer available: ${!!weekInferencer}`);
+        console.log(`🔍 DEBUG: Topic for week inference: "${recording.topic}"`);
+        
+        if (weekInferencer) {
+            try {
+                this.logger.info('📅 Inferring week number...');
+                console.log(`🔍 DEBUG: Calling weekInferencer.inferWeek...`);
                 
-                // ===== PROCESSING METADATA =====
-                processing_id: this._generateUUID(),
-                insights_version: '2.0-smart',
-                metadata_version: '2.0-smart',
-                insights_metadata_version: '2.0-smart',
-                insights_metadata_generated_at: new Date().toISOString(),
-                insights_metadata_recording_id: recording.id,
-                insights_metadata_meeting_id: recording.id,
-                insights_metadata_meeting_uuid: recording.uuid,
-                insights_metadata_topic: recording.topic,
-                insights_metadata_start_time: recording.start_time,
-                insights_metadata_duration: recording.duration,
-                insights_metadata_processing_version: '2.0-smart',
+                weekAnalysis = await weekInferencer.inferWeek({
+                    timestamp: recording.start_time,
+                    metadata: recording,
+                    folderPath: folderPath,
+                    recordingName: nameAnalysis.standardizedName,
+                    downloadedFiles,
+                    additionalContext: {
+                        studentName: nameAnalysis.components?.student || '',
+                        coach: nameAnalysis.components?.coach || recording.host_email?.split('@')[0] || '',
+                        programStartDate: '2025-01-06', // Default program start date
+                        topic: recording.topic,
+                        description: recording.description,
+                        folderName: folderPath
+                    }
+                });
                 
-                // ===== NAME ANALYSIS DETAILED =====
-                name_analysis_standardized_name: nameAnalysis.standardizedName,
-                name_analysis_confidence: nameAnalysis.confidence,
-                name_analysis_method: nameAnalysis.method,
-                name_analysis_details_coach: nameAnalysis.components?.coach || '',
-                name_analysis_details_student: nameAnalysis.components?.student || '',
-                name_analysis_details_week: nameAnalysis.components?.week || '',
-                name_analysis_details_session_type: nameAnalysis.components?.sessionType || '',
-                name_analysis_details_name_variations: nameAnalysis.variations?.join(', ') || '',
-                name_analysis_details_confidence_factors: nameAnalysis.confidenceFactors?.join(', ') || '',
+                console.log(`🔍 DEBUG: Week inference result:`, weekAnalysis);
+                this.logger.info(`✅ Week inferred: ${weekAnalysis.weekNumber} (confidence: ${weekAnalysis.confidence})`);
                 
-                // ===== WEEK ANALYSIS DETAILED =====
-                week_analysis_week_number: weekAnalysis.weekNumber,
-                week_analysis_confidence: weekAnalysis.confidence,
-                week_analysis_method: weekAnalysis.method,
-                week_analysis_standardized_name: weekAnalysis.standardizedName,
-                week_analysis_details_extracted_week: weekAnalysis.details?.extractedWeek || '',
-                week_analysis_details_inferred_week: weekAnalysis.details?.inferredWeek || '',
-                week_analysis_details_confidence_factors: weekAnalysis.details?.confidenceFactors?.join(', ') || '',
-                week_analysis_details_alternatives: weekAnalysis.details?.alternatives?.join(', ') || '',
+            } catch (error) {
+                console.log(`🔍 DEBUG: Week inference error:`, error);
+                this.logger.warn('⚠️ Week inference failed:', error.message);
+            }
+        } else {
+            console.log(`🔍 DEBUG: WeekInferencer is null/undefined`);
+        }
+        
+        // Step 2.7: UPDATE WEEK NUMBER AFTER SMART INFERENCE AND REGENERATE FOLDER NAME
+        if (weekAnalysis && weekAnalysis.weekNumber && weekAnalysis.confidence > 0.5) {
+            try {
+                console.log(`🔧 FIX: Updating week number from SmartWeekInferencer: ${weekAnalysis.weekNumber} (confidence: ${Math.round(weekAnalysis.confidence * 100)}%)`);
                 
-                // ===== DOWNLOAD RESULT DETAILED =====
-                download_result_folder_path: folderPath || '',
-                download_result_downloaded_files: Object.keys(downloadedFiles).join(', '),
-                download_result_organized_files: Object.keys(downloadedFiles).length > 0 ? 'Files organized successfully' : 'No files downloaded',
-                download_result_details_file_count: Object.keys(downloadedFiles).length,
-                download_result_details_total_size: this._calculateTotalFileSize(downloadedFiles),
-                download_result_details_has_video: !!downloadedFiles.video,
-                download_result_details_has_audio: !!downloadedFiles.audio,
-                download_result_details_has_transcript: !!downloadedFiles.transcript,
+                // Regenerate folder name with corrected week number
+                const parsedName = StandardizedName.tryParse(nameAnalysis.standardizedName)?.name;
+                const coachName = nameAnalysis.components?.coach || 
+                                parsedName?.coach || 
+                                recording.host_email?.split('@')[0] || 
+                                'unknown';
                 
-                // ===== INSIGHTS RESULT DETAILED =====
-                insights_result_insights_path: folderPath ? `${folderPath}/insights.json` : '',
-                insights_result_details_insights_version: '2.0-smart',
-                insights_result_details_data_quality: !!downloadedFiles.transcript ? 'high' : 'medium',
-                insights_result_details_overall_score: aiInsights ? 0.8 : 0,
+                const studentName = nameAnalysis.components?.student || 
+                                  parsedName?.student || 
+                                  'Unknown';
                 
-                // ===== OUTCOMES RESULT DETAILED =====
-                outcomes_result_outcomes_path: folderPath ? `${folderPath}/outcomes.json` : '',
-                outcomes_result_details_outcomes_count: outcomes.length,
-                outcomes_result_details_outcome_types: outcomes.map(o => o.type).join(', '),
+                const correctedStandardizedName = nameStandardizer.buildStandardizedFolderName({
+                    coach: coachName,
+                    student: studentName,
+                    weekNumber: weekAnalysis.weekNumber,
+                    sessionType: nameAnalysis.components?.sessionType || 'Coaching',
+                    date: recording.start_time.split('T')[0],
+                    meetingId: recording.id,
+                    uuid: recording.uuid,
+                    topic: recording.topic,
+                    dataSource: recording.source || recording.dataSource || 'zoom-api'
+                });
                 
-                // ===== FILE GENERATION RESULT DETAILED =====
-                file_generation_result_files: Object.keys(downloadedFiles).join(', '),
-                file_generation_result_details_files_generated: Object.keys(downloadedFiles).length,
-                file_generation_result_details_file_types: Object.keys(downloadedFiles).join(', '),
+                // Update the name analysis with corrected folder name
+                nameAnalysis.standardizedName = correctedStandardizedName;
+                console.log(`🔧 FIX: Updated folder name with corrected week: ${correctedStandardizedName}`);
                 
-                // ===== QUALITY RESULT DETAILED =====
-                quality_result_metrics_overall_score: 0.8,
-                quality_result_metrics_data_quality_completeness: !!downloadedFiles.transcript ? 0.9 : 0.5,
-                quality_result_metrics_data_quality_accuracy: 0.8,
-                quality_result_metrics_data_quality_consistency: 0.8,
-                quality_result_metrics_processing_quality_success_rate: 1.0,
-                quality_result_metrics_processing_quality_error_rate: 0.0,
-                quality_result_metrics_processing_quality_warning_rate: 0.0,
-                quality_result_metrics_insights_quality_zoom_insights: !!aiInsights,
-                quality_result_metrics_insights_quality_transcript_analysis: !!downloadedFiles.transcript,
-                quality_result_metrics_insights_quality_outcomes_processing: outcomes.length > 0,
-                quality_result_metrics_file_quality_files_generated: Object.keys(downloadedFiles).length,
-                quality_result_metrics_file_quality_expected_files: 3,
-                quality_result_metrics_file_quality_completeness: Object.keys(downloadedFiles).length > 0 ? 0.7 : 0,
+            } catch (error) {
+                console.log(`⚠️ Week number update failed: ${error.message}`);
+            }
+        }
+        
+        return { weekAnalysis, nameAnalysis };
+    }
+
+    /**
+     * Stage "metadata"
+     */
+    async _runMetadataStage(context) {
+        const { recording, downloadedFiles, nameAnalysis, weekAnalysis } = context;
+        const metadataExtractor = this.container.resolve('metadataExtractor');
+        
+        // Step 3: Enhanced metadata extraction
+        let enhancedMetadata = recording;
+        if (metadataExtractor) {
+            try {
+                this.logger.info('📊 Extracting enhanced metadata...');
+                enhancedMetadata = await metadataExtractor.extractMetadata({
+                    ...recording,
+                    downloadedFiles,
+                    participants: recording.participants || [],
+                    // Pass the name analysis results to help with metadata extraction
+                    coachName: nameAnalysis.components?.coach || recording.host_email?.split('@')[0] || 'unknown',
+                    studentName: nameAnalysis.components?.student || 'Unknown',
+                    weekNumber: weekAnalysis.weekNumber,
+                    sessionType: nameAnalysis.components?.sessionType || 'Coaching'
+                });
+                this.logger.info('✅ Enhanced metadata extracted');
+            } catch (error) {
+                this.logger.warn('⚠️ Metadata extraction failed:', error.message);
+            }
+        }
+        
+        return { enhancedMetadata };
+    }
+
+    /**
+     * Stage "speakers": downstream stages see the transcript with canonical
+     * names; the cues keep Zoom's label as originalSpeaker
+     */
+    async _runSpeakersStage(context) {
+        const { transcriptContent, nameAnalysis } = context;
+        if (!transcriptContent) {
+            return { transcriptContent, speakerMap: [], resolvedTranscript: null };
+        }
+        
+        const speakerResolver = this.container.resolve('speakerResolver');
+        const { transcript, speakers } = await speakerResolver.resolve(transcriptContent, {
+            coach: nameAnalysis?.components?.coach,
+            student: nameAnalysis?.components?.student
+        });
+        this.logger.info(`🗣️ Speakers: ${speakers.map(speaker => `${speaker.label} → ${speaker.name} (${speaker.role})`).join(', ') || 'none labelled'}`);
+        
+        return {
+            // Only timed transcripts are rewritten; plain text would gain made-up timings
+            transcriptContent: ['vtt', 'srt'].includes(transcript.format) && !transcript.isEmpty ? transcript.toVTT() : transcriptContent,
+            speakerMap: speakers,
+            resolvedTranscript: transcript
+        };
+    }
+
+    /**
+     * Stage "conversation": reproducible numbers the AI stage and the Sheet
+     * use instead of estimating them
+     */
+    async _runConversationStage(context) {
+        const { transcriptContent, resolvedTranscript } = context;
+        if (!transcriptContent) {
+            return { conversationMetrics: null };
+        }
+        
+        const metrics = conversationMetrics(resolvedTranscript || Transcript.parse(transcriptContent));
+        const { coach, student } = metrics.roles;
+        this.logger.info(`📐 Conversation: ${metrics.turnCount} turns, ${metrics.interruptionCount} interruptions` +
+            (coach && student ? `, coach/student talk ${coach.talkRatio}/${student.talkRatio}` : ''));
+        
+        return { conversationMetrics: metrics };
+    }
+
+    /**
+     * Stage "chat": writes chat-resources.json next to the downloaded files
+     * for the drive stage to upload
+     */
+    async _runChatStage(context) {
+        const { recording, chatContent, folderPath } = context;
+        if (!chatContent) {
+            return { chatResources: null, chatResourcesPath: null };
+        }
+        
+        const resources = chatResources(Transcript.parse(chatContent, { format: 'chat' }), { sessionDate: recording.start_time });
+        this.logger.info(`💬 Chat: ${resources.urls.length} links, ${resources.files.length} files, ${resources.deadlines.length} deadlines, ${resources.privateMessages.length} private messages`);
+        
+        let chatResourcesPath = null;
+        if (folderPath) {
+            chatResourcesPath = path.join(folderPath, 'chat-resources.json');
+            await fsp.writeFile(chatResourcesPath, JSON.stringify(resources, null, 2));
+        }
+        
+        return { chatResources: resources, chatResourcesPath };
+    }
+
+    /**
+     * Stage "ai"
+     */
+    async _runAIStage(context) {
+        const { recording, transcriptContent, enhancedMetadata, weekAnalysis } = context;
+        const aiService = this.container.resolve('aiPoweredInsightsGenerator');
+        
+        // Step 4: Generate AI-powered insights
+        let aiInsights = {};
+        if (aiService && transcriptContent) {
+            try {
+                this.logger.info('🤖 Generating AI-powered insights...');
+                const rawAIInsights = await aiService.generateAIInsights(transcriptContent, {
+                    uuid: recording.uuid,
+                    topic: recording.topic,
+                    start_time: recording.start_time,
+                    duration: Math.round((recording.duration || 0) / 60), // Convert seconds to minutes
+                    host_email: recording.host_email,
+                    host_name: recording.host_name,
+                    participantCount: enhancedMetadata.participantCount,
+                    coach: enhancedMetadata.coach,
+                    student: enhancedMetadata.student,
+                    weekNumber: weekAnalysis.weekNumber,
+                    forceRuleBased: false
+                });
                 
-                // ===== UPLOAD RESULT DETAILED =====
-                upload_result_folder_id: driveFolderId || '',
-                upload_result_drive_link: driveLink || '',
-                upload_result_details_files_uploaded: Object.keys(downloadedFiles).length,
-                upload_result_details_total_size: this._calculateTotalFileSize(downloadedFiles),
+                // Transform AI insights from flat structure to nested structure for Google Sheets mapping
+                aiInsights = this._transformAIInsightsForMapping(rawAIInsights);
                 
-                // ===== PROCESSING STEPS =====
-                processing_steps_name_and_week_processing_success: true,
-                processing_steps_name_and_week_processing_duration: Date.now() - startTime,
-                processing_steps_name_and_week_processing_details: 'Name and week analysis completed successfully',
-                processing_steps_file_download_and_organization_success: Object.keys(downloadedFiles).length > 0,
-                processing_steps_file_download_and_organization_duration: Date.now() - startTime,
-                processing_steps_file_download_and_organization_details: `Downloaded ${Object.keys(downloadedFiles).length} files`,
-                processing_steps_comprehensive_insights_generation_success: !!aiInsights,
-                processing_steps_comprehensive_insights_generation_duration: Date.now() - startTime,
-                processing_steps_comprehensive_insights_generation_details: aiInsights ? 'AI insights generated successfully' : 'No insights generated',
-                processing_steps_tangible_outcomes_processing_success: outcomes.length > 0,
-                processing_steps_tangible_outcomes_processing_duration: Date.now() - startTime,
-                processing_steps_tangible_outcomes_processing_details: `Processed ${outcomes.length} outcomes`,
-                processing_steps_additional_file_generation_success: Object.keys(downloadedFiles).length > 0,
-                processing_steps_additional_file_generation_duration: Date.now() - startTime,
-                processing_steps_additional_file_generation_details: `Generated ${Object.keys(downloadedFiles).length} files`,
-                processing_steps_quality_assessment_success: true,
-                processing_steps_quality_assessment_duration: Date.now() - startTime,
-                processing_steps_quality_assessment_details: 'Quality assessment completed',
-                processing_steps_google_drive_upload_success: !!driveFolderId,
-                processing_steps_google_drive_upload_duration: Date.now() - startTime,
-                processing_steps_google_drive_upload_details: driveFolderId ? 'Files uploaded to Google Drive' : 'Drive upload failed',
+                // DEBUG: Log the AI insights object after generation and transformation
+                this.logger.info(`🔍 [AI INSIGHTS DEBUG] AI Service Response for Recording: ${recording.id}`);
+                this.logger.info(`🔍 [AI INSIGHTS DEBUG] Raw AI Insights object keys: [${Object.keys(rawAIInsights).join(', ')}]`);
+                this.logger.info(`🔍 [AI INSIGHTS DEBUG] Transformed AI Insights object keys: [${Object.keys(aiInsights).join(', ')}]`);
+                // Removed large object logging to prevent numbered array output
                 
-                // ===== DATA SOURCE =====
-                data_source: 'zoom_cloud_processing',
-                driveFolderId,
-                driveLink,
-                driveFileIds
+                this.logger.info('✅ AI insights generated and transformed');
+            } catch (error) {
+                this.logger.warn('⚠️ AI insights generation failed:', error.message);
+                // Generate fallback insights
+                aiInsights = this._generateFallbackAIInsights(recording, enhancedMetadata, transcriptContent);
+            }
+        } else {
+            this.logger.warn('⚠️ AI service not available or no transcript content');
+            // Generate fallback insights
+            aiInsights = this._generateFallbackAIInsights(recording, enhancedMetadata, transcriptContent);
+        }
+        
+        if (context.conversationMetrics) {
+            this._applyConversationMetrics(aiInsights, context.conversationMetrics);
+        }
+        if (context.chatResources) {
+            aiInsights.chatResources = context.chatResources;
+        }
+        
+        return { aiInsights };
+    }
+
+    /**
+     * Measured talk time, speakers and response times replace the AI's (or
+     * the fallback's) estimates of the same numbers
+     */
+    _applyConversationMetrics(aiInsights, metrics) {
+        aiInsights.conversationMetrics = metrics;
+        if (metrics.speakers.length === 0) return;
+        
+        const primary = metrics.speakers.reduce((top, speaker) => (speaker.talkRatio > top.talkRatio ? speaker : top));
+        aiInsights.transcriptAnalysis = {
+            ...aiInsights.transcriptAnalysis,
+            speakerCount: metrics.speakerCount,
+            primarySpeaker: primary.speaker,
+            speakingTimeDistribution: Object.fromEntries(metrics.speakers.map(speaker => [speaker.speaker, speaker.talkRatio]))
+        };
+        
+        const factors = aiInsights.aiEngagement?.engagementFactors;
+        if (factors) {
+            aiInsights.aiEngagement.engagementFactors = {
+                ...factors,
+                responseTime: { ...factors.responseTime, average: metrics.averageResponseLatency },
+                questionFrequency: { ...factors.questionFrequency, count: metrics.questionCount }
             };
-            
-            // Step 9: Organize files in Google Drive (after processedRecording is created)
-            if (driveOrganizer && typeof driveOrganizer.organizeRecording === 'function') {
-                console.log('📁 DEBUG: About to call driveOrganizer.organizeRecording...');
-                this.logger.info('📁 [FIX] Uploading files to Google Drive using DriveOrganizer (main processor)');
-                try {
-                    const driveResult = await driveOrganizer.organizeRecording(recording, {
-                        files: downloadedFiles,
-                        insights: aiInsights,
-                        metadata: enhancedMetadata,
-                        nameAnalysis: nameAnalysis,
-                        weekAnalysis: weekAnalysis,
-                        outcomes: outcomes,
-                        zoomInsights: aiInsights.zoomInsights,
-                        transcriptContent: transcriptContent,
-                        chatContent: chatContent,
-                        category: recordingCategory // PASS THE CATEGORY
-                    });
-                    
-                    console.log('📁 DEBUG: driveOrganizer.organizeRecording completed successfully');
-                    console.log('📁 DEBUG: driveResult:', driveResult ? `{${Object.keys(driveResult).join(', ')}}` : 'null');
-                    
-                    driveFolderId = driveResult.folderId;
-                    driveLink = driveResult.folderLink;
-                    driveFileIds = driveResult.fileIds || {};
-                    
-                    // Update the processed recording with Drive information
-                    processedRecording.driveFolder = driveLink || '';
-                    processedRecording.driveFolderId = driveFolderId || '';
-                    processedRecording.driveLink = driveLink || '';
-                    processedRecording.videoFileId = driveFileIds?.video?.id || driveFileIds?.video || '';
-                    processedRecording.transcriptFileId = driveFileIds?.transcript?.id || driveFileIds?.transcript || '';
-                    
-                    this.logger.info('✅ Drive organization completed successfully', {
-                        recordingId: recording.id,
-                        folderId: driveFolderId,
-                        folderLink: driveLink,
-                        fileCount: Object.keys(driveFileIds).length,
-                        category: recordingCategory
-                    });
-                } catch (error) {
-                    console.log('❌ DEBUG: driveOrganizer.organizeRecording failed:', error.message);
-                    this.logger.error('Failed to organize files in Drive', {
-                        recordingId: recording.id,
-                        error: error.message,
-                        stack: error.stack
-                    });
-                }
-            } else {
-                console.log('🔍 DEBUG: Skipping Drive upload - driveOrganizer not available');
-                console.log('🔍 DEBUG: driveOrganizer exists:', !!driveOrganizer);
-                console.log('🔍 DEBUG: organizeRecording is function:', !!(driveOrganizer && typeof driveOrganizer.organizeRecording === 'function'));
+        }
+    }
+
+    /**
+     * Stage "outcomes"
+     */
+    async _runOutcomesStage(context) {
+        const { transcriptContent } = context;
+        const outcomeExtractor = this.container.resolve('outcomeExtractor');
+        
+        // Step 5: Extract outcomes
+        let outcomes = [];
+        if (outcomeExtractor && transcriptContent) {
+            try {
+                this.logger.info('🎯 Extracting outcomes...');
+                outcomes = await outcomeExtractor.extractOutcomes(transcriptContent);
+                this.logger.info(`✅ Extracted ${outcomes.length} outcomes`);
+            } catch (error) {
+                this.logger.warn('⚠️ Outcomes extraction failed:', error.message);
             }
-            
-            // Step 10: Update Google Sheets with comprehensive data (AFTER Drive organization)
+        }
+        
+        return { outcomes };
+    }
+
+    /**
+     * Stage "relationships"
+     */
+    async _runRelationshipsStage(context) {
+        const { transcriptContent } = context;
+        const relationshipAnalyzer = this.container.resolve('relationshipAnalyzer');
+        
+        // Step 6: Analyze relationships
+        let relationships = {};
+        if (relationshipAnalyzer && transcriptContent) {
             try {
-                this.logger.info('📊 Updating Google Sheets with comprehensive processed data...');
-                // Update processedRecording with the drive results before sheets update
-                processedRecording.upload_result_drive_link = driveLink || '';
-                processedRecording.upload_result_folder_id = driveFolderId || '';
-                processedRecording.driveFolderId = driveFolderId || '';
-                processedRecording.driveLink = driveLink || '';
-                processedRecording.driveFileIds = driveFileIds || {};
-                
-                await googleSheetsService.updateMasterSpreadsheet(
-                    { processed: processedRecording, original: recording },
-                    'Comprehensive Processing'
-                );
-                this.logger.info('✅ Google Sheets updated successfully with comprehensive data');
-            } catch (sheetsError) {
-                this.logger.error('❌ Failed to update Google Sheets:', sheetsError);
-                // Continue processing even if sheets update fails
+                this.logger.info('🔗 Analyzing relationships...');
+                relationships = await relationshipAnalyzer.analyzeRelationships(transcriptContent);
+                this.logger.info('✅ Relationships analyzed');
+            } catch (error) {
+                this.logger.warn('⚠️ Relationship analysis failed:', error.message);
             }
-            
-            const processingTime = Date.now() - startTime;
-            
-            this.results.successful++;
-            this.processedCount++;
-            
-            this.logger.info(`✅ Recording processed successfully: ${recordingId} (${processingTime}ms)`);
-            this.logger.info(`   - Name: ${nameAnalysis.standardizedName}`);
-            this.logger.info(`   - Week: ${weekAnalysis.weekNumber}`);
-            this.logger.info(`   - Downloaded files: ${Object.keys(downloadedFiles).join(', ')}`);
-            this.logger.info(`   - Has transcript: ${!!downloadedFiles.transcript}`);
-            this.logger.info(`   - Has video: ${!!downloadedFiles.video}`);
-            this.logger.info(`   - Has audio: ${!!downloadedFiles.audio}`);
-            this.logger.info(`   - Category: ${recordingCategory}`);
-            this.logger.info(`   - AI Insights: ${!!aiInsights}`);
-            this.logger.info(`   - Outcomes: ${outcomes.length}`);
-            this.logger.info(`   - Files: ${Object.keys(downloadedFiles).length}`);
-            this.logger.info(`   - UUID: ${uuid}`);
-            
-            console.log(`✅ Recording processing complete:`);
-            console.log(`   🔑 UUID: ${uuid}`);
-            console.log(`   📋 Standardized Name: ${nameAnalysis.standardizedName}`);
-            console.log(`   📅 Week: ${weekAnalysis.weekNumber}`);
-            console.log(`   📂 Category: ${recordingCategory}`);
-            console.log(`   ⏱️ Processing Time: ${processingTime}ms`);
-            
-            // DEBUG: End of recording processing
-            console.log('==============================');
-            console.log(`✅ [DEBUG] END Processing Recording: ${recording.id} (UUID: ${recording.uuid})`);
-                            console.log(`   Final downloadedFiles: [${Object.keys(downloadedFiles).join(', ')}]`);
-            console.log(`   Final transcriptContent length: ${transcriptContent.length}`);
-            if (transcriptContent.length > 0) {
-                console.log(`   Final transcript preview: ${transcriptContent.substring(0, 200)}`);
+        }
+        
+        return { relationships };
+    }
+
+    /**
+     * Stage "record": the row written to Sheets (rebuilt every run, so reruns of earlier stages show up)
+     */
+    async _runRecordStage(context) {
+        const {
+            recording,
+            startTime,
+            downloadedFiles,
+            folderPath,
+            nameAnalysis,
+            weekAnalysis,
+            recordingCategory,
+            enhancedMetadata,
+            aiInsights,
+            outcomes,
+            conversationMetrics: metrics = null
+        } = context;
+        
+        // Step 7: Drive fields start empty; the sheets stage fills them from the drive stage's output
+        const driveFolderId = null;
+        const driveLink = null;
+        const driveFileIds = {};
+        
+        // Step 8: Create comprehensive processed recording object with sophisticated smart schema
+        const processedRecording = {
+            // ===== CORE PROCESSED DATA =====
+            uuid: recording.uuid, // Use the UUID generated before Gate 3
+            fingerprint: recording.fingerprint, // Use the fingerprint generated before Gate 3
+            recordingDate: new Date(recording.start_time).toISOString().split('T')[0],
+            rawName: recording.topic,
+            standardizedName: nameAnalysis.standardizedName,
+            nameConfidence: nameAnalysis.confidence,
+            nameResolutionMethod: nameAnalysis.method,
+            familyAccount: 'No',
+            weekNumber: weekAnalysis.weekNumber,
+            weekConfidence: weekAnalysis.confidence,
+            weekInferenceMethod: weekAnalysis.method,
+            
+            // ===== PRESERVE DATA SOURCE FOR CORRECT TAB ROUTING =====
+            dataSource: recording.dataSource || recording.source || 'zoom-api',
+            source: recording.dataSource || recording.source || 'zoom-api',
+            webhook_received_at: recording.webhook_received_at,
+            
+            // ===== CATEGORY DATA =====
+            category: recordingCategory,
+            categoryReason: recordingCategory === 'TRIVIAL' ? 'Low duration/participants/size' : 
+                            recordingCategory === 'MISC' ? 'Unknown student/no-show' : 'Valid session',
+            
+            // ===== HOST & PARTICIPANT DATA =====
+            hostEmail: recording.host_email,
+            hostName: recording.host_name,
+            meetingTopic: recording.topic,
+            participants: enhancedMetadata.raw?.participants?.map(p => p.user_name || p.name).join(', ') || '',
+            participantCount: enhancedMetadata.participantCount || 2,
+            meetingId: recording.id,
+            duration: Math.round((recording.duration || 0) / 60), // minutes
+            startTime: recording.start_time,
+            endTime: recording.end_time || new Date(new Date(recording.start_time).getTime() + (recording.duration || 0) * 1000).toISOString(),
+            recordingType: 'cloud_recording',
+            
+            // ===== FILE DATA =====
+            fileSize: this._calculateTotalFileSize(downloadedFiles),
+            hasTranscript: !!downloadedFiles.transcript,
+            transcriptQuality: downloadedFiles.transcript ? 'Good' : 'None',
+            
+            // ===== AI INSIGHTS =====
+            speakerCount: aiInsights?.transcriptAnalysis?.speakerCount || enhancedMetadata.participantCount || 2,
+            primarySpeaker: aiInsights?.transcriptAnalysis?.primarySpeaker || enhancedMetadata.coach || '',
+            speakingTimeDistribution: aiInsights?.transcriptAnalysis?.speakingTimeDistribution ? JSON.stringify(aiInsights.transcriptAnalysis.speakingTimeDistribution) : '{}',
+            emotionalJourney: aiInsights?.emotionalAnalysis?.emotionalJourney ? JSON.stringify(aiInsights.emotionalAnalysis.emotionalJourney) : '[]',
+            engagementScore: aiInsights?.engagementAnalysis?.overallScore || 0,
+            keyMoments: aiInsights?.keyMomentsAnalysis?.keyMoments ? JSON.stringify(aiInsights.keyMomentsAnalysis.keyMoments) : '[]',
+            coachingTopics: aiInsights?.coachingAnalysis?.topics ? aiInsights.coachingAnalysis.topics.join(', ') : '',
+            coachingStyle: aiInsights?.coachingAnalysis?.style || '',
+            studentResponsePattern: aiInsights?.studentAnalysis?.responsePattern || '',
+            interactionQuality: aiInsights?.interactionAnalysis?.quality || '',
+            keyThemes: aiInsights?.thematicAnalysis?.themes ? aiInsights.thematicAnalysis.themes.join(', ') : '',
+            actionItems: aiInsights?.actionItemsAnalysis?.actionItems ? JSON.stringify(aiInsights.actionItemsAnalysis.actionItems) : '[]',
+            challengesIdentified: aiInsights?.challengesAnalysis?.challenges ? aiInsights.challengesAnalysis.challenges.join(', ') : '',
+            breakthroughs: aiInsights?.breakthroughsAnalysis?.breakthroughs ? aiInsights.breakthroughsAnalysis.breakthroughs.join(', ') : '',
+            goalsSet: aiInsights?.goalsAnalysis?.goals ? aiInsights.goalsAnalysis.goals.join(', ') : '',
+            progressTracked: aiInsights?.progressAnalysis?.progress ? aiInsights.progressAnalysis.progress.join(', ') : '',
+            nextSteps: aiInsights?.nextStepsAnalysis?.nextSteps ? aiInsights.nextStepsAnalysis.nextSteps.join(', ') : '',
+            followUpRequired: aiInsights?.followUpAnalysis?.required ? 'Yes' : 'No',
+            
+            // ===== CONVERSATION METRICS (from transcript timings) =====
+            conversationMetrics: metrics,
+            
+            // ===== INSIGHT PROVENANCE (ai / zoom / rule-based / default per field) =====
+            insightsProvenance: aiInsights?.provenance || null,
+            
+            // ===== PROMPT VERSION (template that produced the AI insights, e.g. insights@1.0.0) =====
+            insightsPromptVersion: aiInsights?.metadata?.promptVersion || null,
+            
+            // ===== AI USAGE (LLM calls, tokens, cost, latency for this recording) =====
+            aiUsage: this._aiUsageFor(recording.uuid),
+            
+            // ===== DRIVE INTEGRATION =====
+            driveFolder: '', // Will be updated after Drive upload
+            driveFolderId: '', // Will be updated after Drive upload
+            driveLink: '', // Will be updated after Drive upload
+            videoFileId: '', // Will be updated after Drive upload
+            transcriptFileId: '', // Will be updated after Drive upload
+            
+            // ===== PROCESSING METADATA =====
+            processedDate: new Date().toISOString(),
+            processingVersion: '2.0-smart',
+            dataSource: 'Comprehensive Processing',
+            lastUpdated: new Date().toISOString(),
+            
+            // ===== OUTCOMES DATA =====
+            outcomes_awards_count: outcomes.filter(o => o.type === 'award').length,
+            outcomes_scores_count: outcomes.filter(o => o.type === 'score').length,
+            outcomes_projects_count: outcomes.filter(o => o.type === 'project').length,
+            outcomes_essays_count: outcomes.filter(o => o.type === 'essay').length,
+            outcomes_scholarships_count: outcomes.filter(o => o.type === 'scholarship').length,
+            
+            // ===== AI INSIGHTS DETAILED MAPPING =====
+            session_overview: aiInsights?.sessionOverview?.summary || '',
+            main_discussion_points: aiInsights?.sessionOverview?.mainPoints ? aiInsights.sessionOverview.mainPoints.join(', ') : '',
+            coaching_strengths: aiInsights?.coachingAnalysis?.strengths ? aiInsights.coachingAnalysis.strengths.join(', ') : '',
+            coaching_improvements: aiInsights?.coachingAnalysis?.improvements ? aiInsights.coachingAnalysis.improvements.join(', ') : '',
+            student_progress_indicators: aiInsights?.studentAnalysis?.progressIndicators ? aiInsights.studentAnalysis.progressIndicators.join(', ') : '',
+            emotional_journey_overall: aiInsights?.emotionalAnalysis?.overallJourney || '',
+            emotional_stability_score: aiInsights?.emotionalAnalysis?.stabilityScore || 0,
+            risk_factors_count: aiInsights?.riskAnalysis?.riskFactors ? aiInsights.riskAnalysis.riskFactors.length : 0,
+            success_predictors_count: aiInsights?.successAnalysis?.predictors ? aiInsights.successAnalysis.predictors.length : 0,
+            conversation_flow: aiInsights?.conversationAnalysis?.flow || '',
+            response_patterns: aiInsights?.studentAnalysis?.responsePatterns ? JSON.stringify(aiInsights.studentAnalysis.responsePatterns) : '{}',
+            session_phases: aiInsights?.sessionAnalysis?.phases ? JSON.stringify(aiInsights.sessionAnalysis.phases) : '[]',
+            pacing_analysis: aiInsights?.pacingAnalysis?.analysis || '',
+            balance_analysis: aiInsights?.balanceAnalysis?.analysis || '',
+            executive_summary: aiInsights?.executiveSummary?.summary || '',
+            key_outcomes: aiInsights?.outcomesAnalysis?.keyOutcomes ? aiInsights.outcomesAnalysis.keyOutcomes.join(', ') : '',
+            next_steps: aiInsights?.nextStepsAnalysis?.nextSteps ? aiInsights.nextStepsAnalysis.nextSteps.join(', ') : '',
+            immediate_recommendations: aiInsights?.recommendationsAnalysis?.immediate ? aiInsights.recommendationsAnalysis.immediate.join(', ') : '',
+            short_term_recommendations: aiInsights?.recommendationsAnalysis?.shortTerm ? aiInsights.recommendationsAnalysis.shortTerm.join(', ') : '',
+            long_term_recommendations: aiInsights?.recommendationsAnalysis?.longTerm ? aiInsights.recommendationsAnalysis.longTerm.join(', ') : '',
+            coach_recommendations: aiInsights?.recommendationsAnalysis?.coach ? aiInsights.recommendationsAnalysis.coach.join(', ') : '',
+            student_recommendations: aiInsights?.recommendationsAnalysis?.student ? aiInsights.recommendationsAnalysis.student.join(', ') : '',
+            
+            // ===== SESSION SUMMARY =====
+            session_summary_executive_summary: aiInsights?.executiveSummary?.summary || '',
+            session_summary_key_outcomes: aiInsights?.outcomesAnalysis?.keyOutcomes ? aiInsights.outcomesAnalysis.keyOutcomes.join(', ') : '',
+            session_summary_main_discussion_points: aiInsights?.sessionOverview?.mainPoints ? aiInsights.sessionOverview.mainPoints.join(', ') : '',
+            session_summary_session_structure_phases: aiInsights?.sessionAnalysis?.phases ? JSON.stringify(aiInsights.sessionAnalysis.phases) : '[]',
+            session_summary_session_structure_flow: aiInsights?.conversationAnalysis?.flow || '',
+            session_summary_session_structure_balance: aiInsights?.balanceAnalysis?.analysis || '',
+            session_summary_session_structure_pacing: aiInsights?.pacingAnalysis?.analysis || '',
+            session_summary_next_steps: aiInsights?.nextStepsAnalysis?.nextSteps ? aiInsights.nextStepsAnalysis.nextSteps.join(', ') : '',
+            
+            // ===== KEY HIGHLIGHTS =====
+            key_highlights_breakthrough_moments: aiInsights?.breakthroughsAnalysis?.breakthroughs ? aiInsights.breakthroughsAnalysis.breakthroughs.join(', ') : '',
+            key_highlights_important_questions: aiInsights?.questionsAnalysis?.importantQuestions ? aiInsights.questionsAnalysis.importantQuestions.join(', ') : '',
+            key_highlights_action_items: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.map(ai => ai.description).join(', ') : '',
+            key_highlights_coaching_excellence: aiInsights?.coachingAnalysis?.excellenceMoments ? aiInsights.coachingAnalysis.excellenceMoments.join(', ') : '',
+            key_highlights_student_growth: aiInsights?.studentAnalysis?.growthMoments ? aiInsights.studentAnalysis.growthMoments.join(', ') : '',
+            
+            // ===== ACTION ITEMS =====
+            action_items_high_priority: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.priority === 'high').map(ai => ai.description).join(', ') : '',
+            action_items_medium_priority: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.priority === 'medium').map(ai => ai.description).join(', ') : '',
+            action_items_low_priority: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.priority === 'low').map(ai => ai.description).join(', ') : '',
+            action_items_coach_actions: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.assignee === 'coach').map(ai => ai.description).join(', ') : '',
+            action_items_student_actions: aiInsights?.actionItemsAnalysis?.actionItems ? aiInsights.actionItemsAnalysis.actionItems.filter(ai => ai.assignee === 'student').map(ai => ai.description).join(', ') : '',
+            
+            // ===== FOLLOW UP RECOMMENDATIONS =====
+            follow_up_recommendations_immediate: aiInsights?.followUpAnalysis?.immediate ? aiInsights.followUpAnalysis.immediate.join(', ') : '',
+            follow_up_recommendations_short_term: aiInsights?.followUpAnalysis?.shortTerm ? aiInsights.followUpAnalysis.shortTerm.join(', ') : '',
+            follow_up_recommendations_long_term: aiInsights?.followUpAnalysis?.longTerm ? aiInsights.followUpAnalysis.longTerm.join(', ') : '',
+            follow_up_recommendations_coach_recommendations: aiInsights?.followUpAnalysis?.coachRecommendations ? aiInsights.followUpAnalysis.coachRecommendations.join(', ') : '',
+            follow_up_recommendations_student_recommendations: aiInsights?.followUpAnalysis?.studentRecommendations ? aiInsights.followUpAnalysis.studentRecommendations.join(', ') : '',
+            
+            // ===== QUALITY METRICS =====
+            quality_metrics_overall_score: aiInsights?.qualityAnalysis?.overallScore || 0,
+            quality_metrics_data_quality_completeness: !!downloadedFiles.transcript ? 0.9 : 0.5,
+            quality_metrics_data_quality_accuracy: 0.8,
+            quality_metrics_data_quality_consistency: 0.8,
+            quality_metrics_data_quality_zoom_insights: !!aiInsights,
+            quality_metrics_data_quality_transcript_analysis: !!downloadedFiles.transcript,
+            quality_metrics_session_metrics_engagement: aiInsights?.engagementAnalysis?.overallScore || 0,
+            quality_metrics_session_metrics_participation: aiInsights?.participationAnalysis?.participationRate || 0,
+            quality_metrics_session_metrics_interaction: aiInsights?.interactionAnalysis?.interactionQuality || '',
+            quality_metrics_coaching_metrics_effectiveness: aiInsights?.coachingAnalysis?.effectivenessScore || 0,
+            quality_metrics_coaching_metrics_techniques: aiInsights?.coachingAnalysis?.techniques ? aiInsights.coachingAnalysis.techniques.join(', ') : '',
+            quality_metrics_coaching_metrics_responsiveness: aiInsights?.coachingAnalysis?.responsiveness || '',
+            quality_metrics_student_metrics_progress: aiInsights?.studentAnalysis?.progressScore || 0,
+            quality_metrics_student_metrics_satisfaction: aiInsights?.studentAnalysis?.satisfactionLevel || '',
+            quality_metrics_student_metrics_learning: aiInsights?.studentAnalysis?.learningOutcomes ? aiInsights.studentAnalysis.learningOutcomes.join(', ') : '',
+            
+            // ===== ZOOM INSIGHTS =====
+            zoom_insights_session_type: aiInsights?.zoomInsights?.zoomSessionAnalysis?.sessionType || '',
+            zoom_insights_duration: aiInsights?.zoomInsights?.zoomSessionAnalysis?.duration || 0,
+            zoom_insights_participant_count: aiInsights?.zoomInsights?.zoomParticipantInsights?.totalParticipants || 0,
+            zoom_insights_active_participants: aiInsights?.zoomInsights?.zoomParticipantInsights?.activeParticipants || 0,
+            zoom_insights_participant_roles: aiInsights?.zoomInsights?.zoomParticipantInsights?.participantRoles ? JSON.stringify(aiInsights.zoomInsights.zoomParticipantInsights.participantRoles) : '[]',
+            zoom_insights_interaction_patterns: aiInsights?.zoomInsights?.zoomParticipantInsights?.interactionPatterns ? JSON.stringify(aiInsights.zoomInsights.zoomParticipantInsights.interactionPatterns) : '{}',
+            zoom_insights_engagement_level: aiInsights?.zoomInsights?.zoomParticipantInsights?.engagementLevel || '',
+            zoom_insights_participants: aiInsights?.zoomInsights?.zoomParticipantInsights?.participants ? JSON.stringify(aiInsights.zoomInsights.zoomParticipantInsights.participants) : '[]',
+            zoom_insights_overall_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.overallQuality || 0,
+            zoom_insights_transcript_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.transcriptQuality || 0,
+            zoom_insights_completeness: aiInsights?.zoomInsights?.zoomQualityMetrics?.completeness || 0,
+            zoom_insights_reliability: aiInsights?.zoomInsights?.zoomQualityMetrics?.reliability || 0,
+            zoom_insights_engagement_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.engagementQuality || 0,
+            zoom_insights_participation_quality: aiInsights?.zoomInsights?.zoomQualityMetrics?.participationQuality || 0,
+            zoom_insights_speaking_distribution: aiInsights?.zoomInsights?.zoomEngagementMetrics?.speakingDistribution ? JSON.stringify(aiInsights.zoomInsights.zoomEngagementMetrics.speakingDistribution) : '{}',
+            zoom_insights_interaction_patterns_metrics: aiInsights?.zoomInsights?.zoomEngagementMetrics?.interactionPatterns ? JSON.stringify(aiInsights.zoomInsights.zoomEngagementMetrics.interactionPatterns) : '{}',
+            zoom_insights_overall_score: aiInsights?.zoomInsights?.zoomEngagementMetrics?.overallScore || 0,
+            zoom_insights_participation_rate: aiInsights?.zoomInsights?.zoomEngagementMetrics?.participationRate || 0,
+            zoom_insights_view_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.viewCount || 0,
+            zoom_insights_download_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.downloadCount || 0,
+            zoom_insights_share_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.shareCount || 0,
+            zoom_insights_average_watch_time: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.averageWatchTime || 0,
+            zoom_insights_completion_rate: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.completionRate || 0,
+            zoom_insights_replay_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingAnalytics?.replayCount || 0,
+            zoom_insights_total_size: aiInsights?.zoomInsights?.zoomAnalytics?.recordingInfo?.totalSize || 0,
+            zoom_insights_recording_count: aiInsights?.zoomInsights?.zoomAnalytics?.recordingInfo?.recordingCount || 0,
+            zoom_insights_file_types: aiInsights?.zoomInsights?.zoomAnalytics?.recordingInfo?.fileTypes ? JSON.stringify(aiInsights.zoomInsights.zoomAnalytics.recordingInfo.fileTypes) : '[]',
+            zoom_insights_zoom_generated: aiInsights?.metadata?.zoomGenerated || false,
+            zoom_insights_meeting_id: aiInsights?.metadata?.meetingId || '',
+            zoom_insights_processing_time: aiInsights?.metadata?.processingTime || 0,
+            zoom_insights_data_sources: aiInsights?.metadata?.dataSources ? JSON.stringify(aiInsights.metadata.dataSources) : '[]',
+            
+            // ===== TANGIBLE OUTCOMES =====
+            tangible_outcomes_metadata_version: aiInsights?.tangibleOutcomes?.metadata?.version || '',
+            tangible_outcomes_metadata_generated_at: aiInsights?.tangibleOutcomes?.metadata?.generatedAt || '',
+            tangible_outcomes_metadata_topic: aiInsights?.tangibleOutcomes?.metadata?.topic || '',
+            tangible_outcomes_metadata_start_time: aiInsights?.tangibleOutcomes?.metadata?.startTime || '',
+            tangible_outcomes_metadata_duration: aiInsights?.tangibleOutcomes?.metadata?.duration || 0,
+            tangible_outcomes_outcomes: aiInsights?.tangibleOutcomes?.outcomes ? JSON.stringify(aiInsights.tangibleOutcomes.outcomes) : '[]',
+            tangible_outcomes_summary_total_outcomes: aiInsights?.tangibleOutcomes?.summary?.totalOutcomes || 0,
+            tangible_outcomes_summary_outcome_types: aiInsights?.tangibleOutcomes?.summary?.outcomeTypes ? JSON.stringify(aiInsights.tangibleOutcomes.summary.outcomeTypes) : '[]',
+            tangible_outcomes_summary_outcome_categories: aiInsights?.tangibleOutcomes?.summary?.outcomeCategories ? JSON.stringify(aiInsights.tangibleOutcomes.summary.outcomeCategories) : '[]',
+            tangible_outcomes_summary_status_breakdown: aiInsights?.tangibleOutcomes?.summary?.statusBreakdown ? JSON.stringify(aiInsights.tangibleOutcomes.summary.statusBreakdown) : '{}',
+            tangible_outcomes_summary_effectiveness_score: aiInsights?.tangibleOutcomes?.summary?.effectivenessScore || 0,
+            tangible_outcomes_summary_key_outcomes: aiInsights?.tangibleOutcomes?.summary?.keyOutcomes ? JSON.stringify(aiInsights.tangibleOutcomes.summary.keyOutcomes) : '[]',
+            tangible_outcomes_quality_metrics_completeness: aiInsights?.tangibleOutcomes?.qualityMetrics?.completeness || 0,
+            tangible_outcomes_quality_metrics_specificity: aiInsights?.tangibleOutcomes?.qualityMetrics?.specificity || 0,
+            tangible_outcomes_quality_metrics_action_ability: aiInsights?.tangibleOutcomes?.qualityMetrics?.actionAbility || 0,
+            tangible_outcomes_quality_metrics_measurability: aiInsights?.tangibleOutcomes?.qualityMetrics?.measurability || 0,
+            tangible_outcomes_quality_metrics_overall_quality: aiInsights?.tangibleOutcomes?.qualityMetrics?.overallQuality || 0,
+            
+            // ===== COMBINED INSIGHTS =====
+            combined_insights_summary_executive_summary: aiInsights?.combinedInsights?.summary?.executiveSummary || '',
+            combined_insights_summary_key_themes: aiInsights?.combinedInsights?.summary?.keyThemes ? JSON.stringify(aiInsights.combinedInsights.summary.keyThemes) : '[]',
+            combined_insights_summary_data_sources: aiInsights?.combinedInsights?.summary?.dataSources ? JSON.stringify(aiInsights.combinedInsights.summary.dataSources) : '[]',
+            combined_insights_summary_confidence: aiInsights?.combinedInsights?.summary?.confidence || 0,
+            combined_insights_highlights_breakthrough_moments: aiInsights?.combinedInsights?.highlights?.breakthroughMoments ? JSON.stringify(aiInsights.combinedInsights.highlights.breakthroughMoments) : '[]',
+            combined_insights_highlights_key_insights: aiInsights?.combinedInsights?.highlights?.keyInsights ? JSON.stringify(aiInsights.combinedInsights.highlights.keyInsights) : '[]',
+            combined_insights_highlights_key_moments: aiInsights?.combinedInsights?.highlights?.keyMoments ? JSON.stringify(aiInsights.combinedInsights.highlights.keyMoments) : '[]',
+            combined_insights_action_items_high_priority: aiInsights?.combinedInsights?.actionItems?.highPriority ? JSON.stringify(aiInsights.combinedInsights.actionItems.highPriority) : '[]',
+            combined_insights_action_items_medium_priority: aiInsights?.combinedInsights?.actionItems?.mediumPriority ? JSON.stringify(aiInsights.combinedInsights.actionItems.mediumPriority) : '[]',
+            combined_insights_action_items_low_priority: aiInsights?.combinedInsights?.actionItems?.lowPriority ? JSON.stringify(aiInsights.combinedInsights.actionItems.lowPriority) : '[]',
+            combined_insights_action_items_total_count: aiInsights?.combinedInsights?.actionItems?.totalCount || 0,
+            combined_insights_recommendations_immediate: aiInsights?.combinedInsights?.recommendations?.immediate ? JSON.stringify(aiInsights.combinedInsights.recommendations.immediate) : '[]',
+            combined_insights_recommendations_short_term: aiInsights?.combinedInsights?.recommendations?.shortTerm ? JSON.stringify(aiInsights.combinedInsights.recommendations.shortTerm) : '[]',
+            combined_insights_recommendations_long_term: aiInsights?.combinedInsights?.recommendations?.longTerm ? JSON.stringify(aiInsights.combinedInsights.recommendations.longTerm) : '[]',
+            combined_insights_quality_assessment_overall_quality: aiInsights?.combinedInsights?.qualityAssessment?.overallQuality || 0,
+            combined_insights_quality_assessment_data_completeness: aiInsights?.combinedInsights?.qualityAssessment?.dataCompleteness || 0,
+            combined_insights_quality_assessment_data_accuracy: aiInsights?.combinedInsights?.qualityAssessment?.dataAccuracy || 0,
+            combined_insights_quality_assessment_action_ability: aiInsights?.combinedInsights?.qualityAssessment?.actionAbility || 0,
+            zoom_insights_summary: aiInsights?.zoomInsights?.summary || '',
+            zoom_insights_highlights: aiInsights?.zoomInsights?.highlights ? aiInsights.zoomInsights.highlights.join(', ') : '',
+            zoom_insights_analytics: aiInsights?.zoomInsights?.analytics ? JSON.stringify(aiInsights.zoomInsights.analytics) : '{}',
+            zoom_insights_ai_summary: aiInsights?.zoomInsights?.aiSummary || '',
+            zoom_insights_topics: aiInsights?.zoomInsights?.topics ? aiInsights.zoomInsights.topics.join(', ') : '',
+            zoom_insights_action_items: aiInsights?.zoomInsights?.actionItems ? aiInsights.zoomInsights.actionItems.join(', ') : '',
+            zoom_insights_questions: aiInsights?.zoomInsights?.questions ? aiInsights.zoomInsights.questions.join(', ') : '',
+            zoom_insights_sentiment: aiInsights?.zoomInsights?.sentiment || '',
+            zoom_insights_engagement: aiInsights?.zoomInsights?.engagement || '',
+            zoom_insights_breakthrough_moments: aiInsights?.zoomInsights?.breakthroughMoments ? aiInsights.zoomInsights.breakthroughMoments.join(', ') : '',
+            zoom_insights_coaching_techniques: aiInsights?.zoomInsights?.coachingTechniques ? aiInsights.zoomInsights.coachingTechniques.join(', ') : '',
+            zoom_insights_student_progress: aiInsights?.zoomInsights?.studentProgress || '',
+            zoom_insights_errors: aiInsights?.zoomInsights?.errors ? aiInsights.zoomInsights.errors.join(', ') : '',
+            
+            // ===== TRANSCRIPT INSIGHTS =====
+            transcript_insights_summary: aiInsights?.transcriptInsights?.summary || '',
+            transcript_insights_key_moments: aiInsights?.transcriptInsights?.keyMoments ? aiInsights.transcriptInsights.keyMoments.join(', ') : '',
+            transcript_insights_speaker_analysis: aiInsights?.transcriptInsights?.speakerAnalysis ? JSON.stringify(aiInsights.transcriptInsights.speakerAnalysis) : '{}',
+            transcript_insights_topics: aiInsights?.transcriptInsights?.topics ? aiInsights.transcriptInsights.topics.join(', ') : '',
+            transcript_insights_action_items: aiInsights?.transcriptInsights?.actionItems ? aiInsights.transcriptInsights.actionItems.join(', ') : '',
+            transcript_insights_questions: aiInsights?.transcriptInsights?.questions ? aiInsights.transcriptInsights.questions.join(', ') : '',
+            transcript_insights_sentiment: aiInsights?.transcriptInsights?.sentiment || '',
+            transcript_insights_engagement: aiInsights?.transcriptInsights?.engagement || '',
+            transcript_insights_coaching_insights: aiInsights?.transcriptInsights?.coachingInsights || '',
+            transcript_insights_emotional_journey: aiInsights?.transcriptInsights?.emotionalJourney ? JSON.stringify(aiInsights.transcriptInsights.emotionalJourney) : '[]',
+            transcript_insights_conversation_patterns: aiInsights?.transcriptInsights?.conversationPatterns ? JSON.stringify(aiInsights.transcriptInsights.conversationPatterns) : '{}',
+            transcript_insights_session_structure: aiInsights?.transcriptInsights?.sessionStructure || '',
+            transcript_insights_breakthrough_moments: aiInsights?.transcriptInsights?.breakthroughMoments ? aiInsights.transcriptInsights.breakthroughMoments.join(', ') : '',
+            transcript_insights_risk_factors: aiInsights?.transcriptInsights?.riskFactors ? aiInsights.transcriptInsights.riskFactors.join(', ') : '',
+            transcript_insights_success_predictors: aiInsights?.transcriptInsights?.successPredictors ? aiInsights.transcriptInsights.successPredictors.join(', ') : '',
+            transcript_insights_metadata_total_duration: aiInsights?.transcriptInsights?.metadata?.totalDuration || 0,
+            transcript_insights_metadata_word_count: aiInsights?.transcriptInsights?.metadata?.wordCount || 0,
+            transcript_insights_metadata_speaker_count: enhancedMetadata.participantCount || 2,
+            transcript_insights_metadata_analyzed_at: new Date().toISOString(),
+            
+            // ===== OUTCOMES DETAILED =====
+            outcomes_summary: outcomes.length > 0 ? outcomes.map(o => `${o.type}: ${o.description}`).join('; ') : '',
+            outcomes_outcomes: outcomes.length > 0 ? JSON.stringify(outcomes) : '[]',
+            outcomes_quality_metrics: outcomes.length > 0 ? JSON.stringify({
+                completeness: outcomes.filter(o => o.status === 'completed').length / outcomes.length,
+                specificity: outcomes.filter(o => o.specificity === 'high').length / outcomes.length,
+                actionability: outcomes.filter(o => o.actionability === 'high').length / outcomes.length,
+                measurability: outcomes.filter(o => o.measurability === 'high').length / outcomes.length
+            }) : '{}',
+            outcomes_metadata_version: '2.0',
+            outcomes_metadata_generated_at: new Date().toISOString(),
+            outcomes_metadata_recording_id: recording.id,
+            outcomes_metadata_meeting_id: recording.id,
+            outcomes_metadata_meeting_uuid: recording.uuid,
+            outcomes_metadata_topic: recording.topic,
+            outcomes_metadata_start_time: recording.start_time,
+            outcomes_metadata_duration: recording.duration,
+            outcomes_metadata_summary_total_outcomes: outcomes.length,
+            outcomes_metadata_summary_outcome_types: outcomes.length > 0 ? [...new Set(outcomes.map(o => o.type))].join(', ') : '',
+            outcomes_metadata_summary_outcome_categories: outcomes.length > 0 ? [...new Set(outcomes.map(o => o.category))].join(', ') : '',
+            outcomes_metadata_summary_status_breakdown_planned: outcomes.filter(o => o.status === 'planned').length,
+            outcomes_metadata_summary_status_breakdown_in_progress: outcomes.filter(o => o.status === 'in_progress').length,
+            outcomes_metadata_summary_status_breakdown_achieved: outcomes.filter(o => o.status === 'achieved').length,
+            outcomes_metadata_summary_status_breakdown_failed: outcomes.filter(o => o.status === 'failed').length,
+            outcomes_metadata_summary_effectiveness_score: outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + (o.effectiveness || 0), 0) / outcomes.length : 0,
+            outcomes_metadata_summary_key_outcomes: outcomes.filter(o => o.priority === 'high').map(o => o.description).join(', '),
+            outcomes_metadata_quality_overall_score: outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + (o.quality || 0), 0) / outcomes.length : 0,
+            outcomes_metadata_quality_completeness: outcomes.length > 0 ? outcomes.filter(o => o.status === 'completed').length / outcomes.length : 0,
+            outcomes_metadata_quality_specificity: outcomes.length > 0 ? outcomes.filter(o => o.specificity === 'high').length / outcomes.length : 0,
+            outcomes_metadata_quality_actionability: outcomes.length > 0 ? outcomes.filter(o => o.actionability === 'high').length / outcomes.length : 0,
+            outcomes_metadata_quality_measurability: outcomes.length > 0 ? outcomes.filter(o => o.measurability === 'high').length / outcomes.length : 0,
+            
+            // ===== GENERATED FILES =====
+            generated_files_summary: Object.keys(downloadedFiles).length > 0 ? `${Object.keys(downloadedFiles).length} files generated` : 'No files generated',
+            generated_files_highlights: Object.keys(downloadedFiles).join(', '),
+            generated_files_action_items: Object.keys(downloadedFiles).includes('action_items') ? 'Action items file generated' : 'No action items file',
+            generated_files_coaching_notes: Object.keys(downloadedFiles).includes('coaching_notes') ? 'Coaching notes generated' : 'No coaching notes',
+            generated_files_insights_path: folderPath ? `${folderPath}/insights.json` : '',
+            generated_files_outcomes_path: folderPath ? `${folderPath}/outcomes.json` : '',
+            generated_files_summary_path: folderPath ? `${folderPath}/summary.md` : '',
+            generated_files_highlights_path: folderPath ? `${folderPath}/highlights.md` : '',
+            generated_files_action_items_path: folderPath ? `${folderPath}/action_items.md` : '',
+            generated_files_coaching_notes_path: folderPath ? `${folderPath}/coaching_notes.md` : '',
+            
+            // ===== UPLOAD METRICS =====
+            files_uploaded_count: Object.keys(downloadedFiles).length,
+            total_upload_size: this._calculateTotalFileSize(downloadedFiles),
+            upload_success: true,
+            upload_duration_ms: Date.now() - startTime,
+            
+            // ===== PROCESSING METADATA =====
+            processing_id: this._generateUUID(),
+            insights_version: '2.0-smart',
+            metadata_version: '2.0-smart',
+            insights_metadata_version: '2.0-smart',
+            insights_metadata_generated_at: new Date().toISOString(),
+            insights_metadata_recording_id: recording.id,
+            insights_metadata_meeting_id: recording.id,
+            insights_metadata_meeting_uuid: recording.uuid,
+            insights_metadata_topic: recording.topic,
+            insights_metadata_start_time: recording.start_time,
+            insights_metadata_duration: recording.duration,
+            insights_metadata_processing_version: '2.0-smart',
+            
+            // ===== NAME ANALYSIS DETAILED =====
+            name_analysis_standardized_name: nameAnalysis.standardizedName,
+            name_analysis_confidence: nameAnalysis.confidence,
+            name_analysis_method: nameAnalysis.method,
+            name_analysis_details_coach: nameAnalysis.components?.coach || '',
+            name_analysis_details_student: nameAnalysis.components?.student || '',
+            name_analysis_details_week: nameAnalysis.components?.week || '',
+            name_analysis_details_session_type: nameAnalysis.components?.sessionType || '',
+            name_analysis_details_name_variations: nameAnalysis.variations?.join(', ') || '',
+            name_analysis_details_confidence_factors: nameAnalysis.confidenceFactors?.join(', ') || '',
+            
+            // ===== WEEK ANALYSIS DETAILED =====
+            week_analysis_week_number: weekAnalysis.weekNumber,
+            week_analysis_confidence: weekAnalysis.confidence,
+            week_analysis_method: weekAnalysis.method,
+            week_analysis_standardized_name: weekAnalysis.standardizedName,
+            week_analysis_details_extracted_week: weekAnalysis.details?.extractedWeek || '',
+            week_analysis_details_inferred_week: weekAnalysis.details?.inferredWeek || '',
+            week_analysis_details_confidence_factors: weekAnalysis.details?.confidenceFactors?.join(', ') || '',
+            week_analysis_details_alternatives: weekAnalysis.details?.alternatives?.join(', ') || '',
+            
+            // ===== DOWNLOAD RESULT DETAILED =====
+            download_result_folder_path: folderPath || '',
+            download_result_downloaded_files: Object.keys(downloadedFiles).join(', '),
+            download_result_organized_files: Object.keys(downloadedFiles).length > 0 ? 'Files organized successfully' : 'No files downloaded',
+            download_result_details_file_count: Object.keys(downloadedFiles).length,
+            download_result_details_total_size: this._calculateTotalFileSize(downloadedFiles),
+            download_result_details_has_video: !!downloadedFiles.video,
+            download_result_details_has_audio: !!downloadedFiles.audio,
+            download_result_details_has_transcript: !!downloadedFiles.transcript,
+            
+            // ===== INSIGHTS RESULT DETAILED =====
+            insights_result_insights_path: folderPath ? `${folderPath}/insights.json` : '',
+            insights_result_details_insights_version: '2.0-smart',
+            insights_result_details_data_quality: !!downloadedFiles.transcript ? 'high' : 'medium',
+            insights_result_details_overall_score: aiInsights ? 0.8 : 0,
+            
+            // ===== OUTCOMES RESULT DETAILED =====
+            outcomes_result_outcomes_path: folderPath ? `${folderPath}/outcomes.json` : '',
+            outcomes_result_details_outcomes_count: outcomes.length,
+            outcomes_result_details_outcome_types: outcomes.map(o => o.type).join(', '),
+            
+            // ===== FILE GENERATION RESULT DETAILED =====
+            file_generation_result_files: Object.keys(downloadedFiles).join(', '),
+            file_generation_result_details_files_generated: Object.keys(downloadedFiles).length,
+            file_generation_result_details_file_types: Object.keys(downloadedFiles).join(', '),
+            
+            // ===== QUALITY RESULT DETAILED =====
+            quality_result_metrics_overall_score: 0.8,
+            quality_result_metrics_data_quality_completeness: !!downloadedFiles.transcript ? 0.9 : 0.5,
+            quality_result_metrics_data_quality_accuracy: 0.8,
+            quality_result_metrics_data_quality_consistency: 0.8,
+            quality_result_metrics_processing_quality_success_rate: 1.0,
+            quality_result_metrics_processing_quality_error_rate: 0.0,
+            quality_result_metrics_processing_quality_warning_rate: 0.0,
+            quality_result_metrics_insights_quality_zoom_insights: !!aiInsights,
+            quality_result_metrics_insights_quality_transcript_analysis: !!downloadedFiles.transcript,
+            quality_result_metrics_insights_quality_outcomes_processing: outcomes.length > 0,
+            quality_result_metrics_file_quality_files_generated: Object.keys(downloadedFiles).length,
+            quality_result_metrics_file_quality_expected_files: 3,
+            quality_result_metrics_file_quality_completeness: Object.keys(downloadedFiles).length > 0 ? 0.7 : 0,
+            
+            // ===== UPLOAD RESULT DETAILED =====
+            upload_result_folder_id: driveFolderId || '',
+            upload_result_drive_link: driveLink || '',
+            upload_result_details_files_uploaded: Object.keys(downloadedFiles).length,
+            upload_result_details_total_size: this._calculateTotalFileSize(downloadedFiles),
+            
+            // ===== PROCESSING STEPS =====
+            processing_steps_name_and_week_processing_success: true,
+            processing_steps_name_and_week_processing_duration: Date.now() - startTime,
+            processing_steps_name_and_week_processing_details: 'Name and week analysis completed successfully',
+            processing_steps_file_download_and_organization_success: Object.keys(downloadedFiles).length > 0,
+            processing_steps_file_download_and_organization_duration: Date.now() - startTime,
+            processing_steps_file_download_and_organization_details: `Downloaded ${Object.keys(downloadedFiles).length} files`,
+            processing_steps_comprehensive_insights_generation_success: !!aiInsights,
+            processing_steps_comprehensive_insights_generation_duration: Date.now() - startTime,
+            processing_steps_comprehensive_insights_generation_details: aiInsights ? 'AI insights generated successfully' : 'No insights generated',
+            processing_steps_tangible_outcomes_processing_success: outcomes.length > 0,
+            processing_steps_tangible_outcomes_processing_duration: Date.now() - startTime,
+            processing_steps_tangible_outcomes_processing_details: `Processed ${outcomes.length} outcomes`,
+            processing_steps_additional_file_generation_success: Object.keys(downloadedFiles).length > 0,
+            processing_steps_additional_file_generation_duration: Date.now() - startTime,
+            processing_steps_additional_file_generation_details: `Generated ${Object.keys(downloadedFiles).length} files`,
+            processing_steps_quality_assessment_success: true,
+            processing_steps_quality_assessment_duration: Date.now() - startTime,
+            processing_steps_quality_assessment_details: 'Quality assessment completed',
+            processing_steps_google_drive_upload_success: !!driveFolderId,
+            processing_steps_google_drive_upload_duration: Date.now() - startTime,
+            processing_steps_google_drive_upload_details: driveFolderId ? 'Files uploaded to Google Drive' : 'Drive upload failed',
+            
+            // ===== DATA SOURCE =====
+            data_source: 'zoom_cloud_processing',
+            driveFolderId,
+            driveLink,
+            driveFileIds
+        };
+        
+        return { processedRecording };
+    }
+
+    /**
+     * Stage "dedupe": hash the video and transcript and look for a recording of
+     * the same session from another data source (see ContentHashIndex). A match
+     * is linked, and the drive stage puts this recording in its folder.
+     */
+    async _runDedupeStage(context) {
+        const { recording, downloadedFiles, transcriptContent } = context;
+        const contentHashIndex = this.container.resolve('contentHashIndex');
+        
+        const contentFingerprint = await contentHashIndex.fingerprint(downloadedFiles, { transcriptContent });
+        const match = await contentHashIndex.findDuplicate(contentFingerprint, { uuid: recording.uuid });
+        if (!match) {
+            return { contentFingerprint, duplicateOf: null };
+        }
+        
+        await contentHashIndex.link(recording.uuid, match.uuid, match.matchedOn);
+        this.logger.info(`🔗 ${recording.uuid} (${recording.dataSource}) is the same session as ${match.uuid} (${match.entry.dataSource || 'unknown source'}), matched on ${match.matchedOn.join(' and ')}`);
+        
+        return {
+            contentFingerprint,
+            duplicateOf: {
+                uuid: match.uuid,
+                dataSource: match.entry.dataSource || null,
+                matchedOn: match.matchedOn,
+                driveFolderId: match.entry.driveFolderId || null,
+                driveLink: match.entry.driveLink || null
             }
-            console.log(`   Final chatContent length: ${chatContent.length}`);
-            if (chatContent.length > 0) {
-                console.log(`   Final chat preview: ${chatContent.substring(0, 200)}`);
+        };
+    }
+
+    /**
+     * Stage "drive": a failure is checkpointed and retried on the next run
+     */
+    async _runDriveStage(context) {
+        const {
+            recording,
+            downloadedFiles,
+            transcriptContent,
+            chatContent,
+            nameAnalysis,
+            weekAnalysis,
+            recordingCategory,
+            enhancedMetadata,
+            aiInsights,
+            outcomes,
+            chatResourcesPath = null
+        } = context;
+        const driveOrganizer = this.container.resolve('driveOrganizer');
+        let driveFolderId = null;
+        let driveLink = null;
+        let driveFileIds = {};
+        
+        // The same session already has a folder from another data source; link to it
+        const { duplicateOf } = context;
+        if (duplicateOf?.driveFolderId) {
+            this.logger.info(`🔗 Reusing Drive folder ${duplicateOf.driveFolderId} of ${duplicateOf.uuid} (${duplicateOf.dataSource || 'unknown source'}) instead of creating a second one`);
+            return { driveFolderId: duplicateOf.driveFolderId, driveLink: duplicateOf.driveLink || null, driveFileIds };
+        }
+        
+        // Step 9: Organize files in Google Drive (after processedRecording is created)
+        if (driveOrganizer && typeof driveOrganizer.organizeRecording === 'function') {
+            console.log('📁 DEBUG: About to call driveOrganizer.organizeRecording...');
+            this.logger.info('📁 [FIX] Uploading files to Google Drive using DriveOrganizer (main processor)');
+            try {
+                const driveResult = await driveOrganizer.organizeRecording(recording, {
+                    files: chatResourcesPath ? { ...downloadedFiles, chatResources: chatResourcesPath } : downloadedFiles,
+                    insights: aiInsights,
+                    metadata: enhancedMetadata,
+                    nameAnalysis: nameAnalysis,
+                    weekAnalysis: weekAnalysis,
+                    outcomes: outcomes,
+                    zoomInsights: aiInsights.zoomInsights,
+                    transcriptContent: transcriptContent,
+                    chatContent: chatContent,
+                    category: recordingCategory // PASS THE CATEGORY
+                });
+                
+                console.log('📁 DEBUG: driveOrganizer.organizeRecording completed successfully');
+                console.log('📁 DEBUG: driveResult:', driveResult ? `{${Object.keys(driveResult).join(', ')}}` : 'null');
+                
+                driveFolderId = driveResult.folderId;
+                driveLink = driveResult.folderLink;
+                driveFileIds = driveResult.fileIds || {};
+                
+                this.logger.info('✅ Drive organization completed successfully', {
+                    recordingId: recording.id,
+                    folderId: driveFolderId,
+                    folderLink: driveLink,
+                    fileCount: Object.keys(driveFileIds).length,
+                    category: recordingCategory
+                });
+            } catch (error) {
+                console.log('❌ DEBUG: driveOrganizer.organizeRecording failed:', error.message);
+                this.logger.error('Failed to organize files in Drive', {
+                    recordingId: recording.id,
+                    error: error.message,
+                    stack: error.stack
+                });
+                // Rethrow so the stage is checkpointed as failed and retried on the next run
+                throw error;
             }
-            console.log('==============================');
+        } else {
+            console.log('🔍 DEBUG: Skipping Drive upload - driveOrganizer not available');
+            console.log('🔍 DEBUG: driveOrganizer exists:', !!driveOrganizer);
+            console.log('🔍 DEBUG: organizeRecording is function:', !!(driveOrganizer && typeof driveOrganizer.organizeRecording === 'function'));
+        }
+        
+        return { driveFolderId, driveLink, driveFileIds };
+    }
+
+    /**
+     * Stage "sheets": a failure is checkpointed and retried on the next run
+     */
+    async _runSheetsStage(context) {
+        const { recording, processedRecording, driveFolderId = null, driveLink = null, driveFileIds = {} } = context;
+        const googleSheetsService = this.container.resolve('googleSheetsService');
+        
+        // Step 10: Update Google Sheets with comprehensive data (AFTER Drive organization)
+        try {
+            this.logger.info('📊 Updating Google Sheets with comprehensive processed data...');
+            // Update processedRecording with the drive results before sheets update
+            // (the drive stage may have been restored from its checkpoint)
+            processedRecording.driveFolder = driveLink || '';
+            processedRecording.videoFileId = driveFileIds?.video?.id || driveFileIds?.video || '';
+            processedRecording.transcriptFileId = driveFileIds?.transcript?.id || driveFileIds?.transcript || '';
+            processedRecording.upload_result_drive_link = driveLink || '';
+            processedRecording.upload_result_folder_id = driveFolderId || '';
+            processedRecording.driveFolderId = driveFolderId || '';
+            processedRecording.driveLink = driveLink || '';
+            processedRecording.driveFileIds = driveFileIds || {};
+            
+            const sheetResult = await googleSheetsService.updateMasterSpreadsheet(
+                { processed: processedRecording, original: recording },
+                'Comprehensive Processing'
+            );
+            this.logger.info('✅ Google Sheets updated successfully with comprehensive data');
             
             return {
-                success: true,
-                recordingId,
-                processingTime,
-                aiInsights,
-                outcomes,
-                relationships,
-                nameAnalysis,
-                weekAnalysis,
-                category: recordingCategory,
                 sheetsUpdated: true,
-                downloadedFiles: Object.keys(downloadedFiles),
-                fileDetails: {
-                    hasTranscript: !!downloadedFiles.transcript,
-                    hasVideo: !!downloadedFiles.video,
-                    hasAudio: !!downloadedFiles.audio,
-                    hasChat: !!downloadedFiles.chat,
-                    totalFiles: Object.keys(downloadedFiles).length
+                sheetReference: {
+                    spreadsheetId: googleSheetsService.spreadsheetId || null,
+                    tab: sheetResult?.tabs?.standardized || null,
+                    rawTab: sheetResult?.tabs?.raw || null,
+                    row: sheetResult?.row || null,
+                    action: sheetResult?.action || null
                 }
             };
-            
-        } catch (error) {
-            this.results.failed++;
-            this.failedCount++;
-            
-            this.logger.error(`❌ Failed to process recording: ${recordingId}`, error);
-            
-            // Log download validation specific errors with more detail
-            if (error.message.includes('Download validation failed') || error.message.includes('Download failed')) {
-                this.logger.error(`   - Download validation error: ${error.message}`);
-                this.logger.error(`   - Downloaded files: ${Object.keys(downloadedFiles).join(', ') || 'none'}`);
-                this.logger.error(`   - Recording topic: ${recording.topic}`);
-                this.logger.error(`   - Recording date: ${recording.start_time}`);
-                this.logger.error(`   - Recording duration: ${recording.duration} seconds`);
-            }
-            
-            return {
-                success: false,
-                recordingId,
-                error: error.message,
-                stack: error.stack,
-                downloadedFiles: Object.keys(downloadedFiles),
-                failureReason: error.message.includes('Download') ? 'download_failure' : 'processing_failure'
-            };
+        } catch (sheetsError) {
+            this.logger.error('❌ Failed to update Google Sheets:', sheetsError);
+            // The rest of the recording is kept; the failed stage is retried on the next run
+            throw sheetsError;
         }
     }
 
     async processAllRecordings(options = {}) {
-        const { dryRun = false, limit = 1, mode = 'test', lightweight = false, cloudLightweight = false, dateRange = null } = options;
+        const { dryRun = false, limit = 1, mode = 'test', lightweight = false, cloudLightweight = false, dateRange = null, stages = null, resume = true } = options;
         
         console.log(`\n🎯 Processing recordings (${dryRun ? 'DRY RUN' : 'LIVE'})...`);
         console.log(`📊 Mode: ${mode.toUpperCase()}`);
         console.log(`📊 Limit: ${limit} recording(s)`);
         console.log(`📊 Lightweight: ${lightweight ? 'Yes' : 'No'}`);
         console.log(`📊 Cloud Lightweight: ${cloudLightweight ? 'Yes' : 'No'}`);
+        if (stages) {
+            // Fail fast on a typo instead of failing every recording
+            console.log(`📊 Stages: ${this._getRecordingPipeline().parseStageList(stages).join(', ')}`);
+        }
         
         let recordings = [];
         
@@ -2261,6 +2932,11 @@ class ProductionZoomProcessor {
                 recordings = await this._getRecentRecordings(limit);
                 break;
                 
+            case 'local':
+                recordings = await this.container.resolve('recordingSources').get('local-folder')
+                    .listRecordings({ rootDir: options.localDir, limit });
+                break;
+                
             default:
                 throw new Error(`Unknown processing mode: ${mode}`);
         }
@@ -2330,48 +3006,53 @@ class ProductionZoomProcessor {
                 // Preserve original UUID for Gate 3 checking
                 const originalUuid = recording.uuid || uuid;
                 
+                // Unfinished stage checkpoints (or an explicit --stages rerun) continue instead of being skipped
+                const checkpointStatus = await this._getRecordingPipeline().getStatus(originalUuid);
+                const skipExistenceCheck = !!stages || (resume && checkpointStatus.exists && !checkpointStatus.isComplete);
+                
                 // 🚪 CRITICAL GATE 3: Check if recording already exists in sheets using ORIGINAL UUID
                 try {
                     console.log(`🔍 [GATE 3] Checking if recording exists in sheets for ORIGINAL UUID: ${originalUuid}`);
                     
+                    // The local recording state answers most checks without touching the Sheets API
+                    const storedRecording = skipExistenceCheck ? null : await this._findProcessedInStateStore(originalUuid);
+                    
                     // Add delay to avoid Google Sheets API quota limits (60 requests per minute)
-                    // With 4 checks per recording, we need at least 4 seconds between recordings
-                    await new Promise(resolve => setTimeout(resolve, 4500)); // 4.5 seconds delay
+                    // One check reads 4 tabs, so we need at least 4 seconds between recordings
+                    if (!skipExistenceCheck && !storedRecording) {
+                        await new Promise(resolve => setTimeout(resolve, 4500)); // 4.5 seconds delay
+                    }
                     
                     const googleSheetsService = this.container.resolve('googleSheetsService');
                     console.log(`🔍 [GATE 3] GoogleSheetsService resolved: ${googleSheetsService ? 'YES' : 'NO'}`);
                     
-                    if (googleSheetsService) {
-                        // Convert UUID to different formats for matching
-                        const uuidFormats = this._convertUuidFormats(originalUuid);
-                        console.log(`🔍 [GATE 3] UUID formats for matching: [original, base64, hex, hexWithDashes]`);
-                        
-                        // Try to find existing recording using all UUID formats
+                    if (skipExistenceCheck) {
+                        console.log(stages
+                            ? `⏯️ [GATE 3] Rerunning stages ${stages}, not checking for an existing row`
+                            : `⏯️ [GATE 3] Resuming unfinished stages: ${checkpointStatus.pending.join(', ')}`);
+                    } else if (storedRecording || googleSheetsService) {
                         let existingCheck = { exists: false, recording: null };
                         
-                        // First try with original UUID
-                        console.log(`🔍 [GATE 3] Trying original UUID: ${uuidFormats.original}`);
-                        existingCheck = await googleSheetsService.checkRecordingExists(uuidFormats.original);
-                        
-                        // If not found, try with hex format (most common in sheets)
-                        if (!existingCheck.exists && uuidFormats.hex) {
-                            await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between checks
-                            console.log(`🔍 [GATE 3] Trying hex UUID: ${uuidFormats.hex}`);
-                            existingCheck = await googleSheetsService.checkRecordingExists(uuidFormats.hex);
-                        }
-                        
-                        // If not found, try with hex with dashes format
-                        if (!existingCheck.exists && uuidFormats.hexWithDashes) {
-                            await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between checks
-                            console.log(`🔍 [GATE 3] Trying hex with dashes UUID: ${uuidFormats.hexWithDashes}`);
-                            existingCheck = await googleSheetsService.checkRecordingExists(uuidFormats.hexWithDashes);
-                        }
-                        
-                        // If not found, try with base64 format
-                        if (!existingCheck.exists && uuidFormats.base64) {
-                            await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay between checks
-                            console.log(`🔍 [GATE 3] Trying base64 UUID: ${uuidFormats.base64}`);
-                            existingCheck = await googleSheetsService.checkRecordingExists(uuidFormats.base64);
+                        if (storedRecording) {
+                            console.log(`🔍 [GATE 3] Found in local recording state (processed ${storedRecording.processedAt || 'earlier'})`);
+                            existingCheck = {
+                                exists: true,
+                                recording: {
+                                    uuid: storedRecording.uuid,
+                                    standardizedName: storedRecording.standardizedName,
+                                    weekNumber: storedRecording.weekNumber,
+                                    meetingTopic: storedRecording.topic,
+                                    meetingId: storedRecording.meetingId,
+                                    startTime: storedRecording.startTime,
+                                    driveLink: storedRecording.drive?.folderLink,
+                                    processedDate: storedRecording.processedAt,
+                                    dataSource: storedRecording.dataSource
+                                }
+                            };
+                        } else {
+                            // Rows match on the UUID itself, so base64, hex and dashed spellings all hit
+                            console.log(`🔍 [GATE 3] Checking UUID: ${originalUuid}`);
+                            existingCheck = await googleSheetsService.checkRecordingExists(originalUuid);
                         }
                         
                         console.log(`🔍 [GATE 3] Final existing check result:`, existingCheck);
@@ -2428,7 +3109,7 @@ class ProductionZoomProcessor {
                 console.log(`🔑 Using ORIGINAL UUID from Zoom: ${recording.uuid}`);
                 console.log(`🔑 Generated Fingerprint: ${recording.fingerprint}`);
                 
-                const result = await this.processRecording(recording, { lightweight, cloudLightweight });
+                const result = await this.processRecording(recording, { lightweight, cloudLightweight, stages, resume });
                 this.results.details.push(result);
                 
                 // 🚪 CRITICAL GATE 2: Post-Recording Review
@@ -2549,6 +3230,7 @@ class ProductionZoomProcessor {
                 }
             },
             processingTime: Date.now() - this.startTime,
+            ai: await this._aiUsageReport(),
             details: this.results.details,
             logging: {
                 logFile: this.logFilePath,
@@ -2568,6 +3250,12 @@ class ProductionZoomProcessor {
         console.log(`   Failed: ${report.summary.failed}`);
         console.log(`   Success Rate: ${report.summary.successRate}%`);
         console.log(`   Processing Time: ${report.processingTime}ms`);
+        if (report.ai) {
+            console.log(`   AI: ${report.ai.calls} LLM calls (${report.ai.cachedCalls} cached, ${report.ai.failedCalls} failed), ${report.ai.totalTokens} tokens, $${report.ai.cost.toFixed(4)}, ${(report.ai.latencyMs / 1000).toFixed(1)}s`);
+            if (report.ai.budgetExceeded) {
+                console.log(`   ⚠️ AI ${report.ai.budgetExceeded.scope} budget of $${report.ai.budgetExceeded.limit} reached; later recordings used rule-based insights`);
+            }
+        }
         console.log(`   Report saved to: ${reportPath}`);
         
         // Enhanced log file information display
@@ -2588,6 +3276,23 @@ class ProductionZoomProcessor {
         return report;
     }
     
+    /**
+     * LLM usage for the run: totals with per-model/task/caller breakdowns,
+     * today's spend across runs, and the budget that stopped AI calls, if any
+     */
+    async _aiUsageReport() {
+        if (!this.container?.hasRegistration('llmUsageLedger')) return null;
+        
+        const ledger = this.container.resolve('llmUsageLedger');
+        const gateway = this.container.resolve('llmGateway');
+        return {
+            ...ledger.summary(),
+            dayCost: await ledger.dayCost(),
+            budgets: gateway.settings.budgets,
+            budgetExceeded: await gateway.budgetStatus()
+        };
+    }
+    
     async _getLogFileInfo() {
         // ENHANCEMENT: Get log file statistics
         const fs = require('fs');
@@ -2755,6 +3460,14 @@ class ProductionZoomProcessor {
         return count;
     }
     
+    /**
+     * LLM calls made for one recording in this run (see LLMUsageLedger.totals)
+     */
+    _aiUsageFor(uuid) {
+        if (!this.container?.hasRegistration('llmUsageLedger')) return null;
+        return this.container.resolve('llmUsageLedger').totals({ recordingUuid: uuid });
+    }
+    
     _calculateTotalFileSize(downloadedFiles) {
         if (!downloadedFiles || Object.keys(downloadedFiles).length === 0) return 0;
         
@@ -2808,19 +3521,14 @@ class ProductionZoomProcessor {
         };
     }
 
+    _getZoomSource() {
+        return this.container.resolve('recordingSources').get('zoom-api');
+    }
+
     async _getRecordingById(recordingId) {
         try {
-            const zoomService = this.container.resolve('zoomService');
-            if (!zoomService) {
-                throw new Error('ZoomService not available - cannot fetch real recording');
-            }
-            
-            if (typeof zoomService.getRecordingByUUID !== 'function') {
-                throw new Error('ZoomService.getRecordingByUUID method not available');
-            }
-            
             this.logger.info(`🔍 Fetching real recording from Zoom cloud by UUID: ${recordingId}`);
-            return await zoomService.getRecordingByUUID(recordingId);
+            return await this._getZoomSource().fetchMetadata(recordingId);
             
         } catch (error) {
             this.logger.error(`❌ Failed to get recording by UUID: ${recordingId}`, error);
@@ -2830,27 +3538,18 @@ class ProductionZoomProcessor {
 
     async _getRecordingsLast30Days(limit = 50) {
         try {
-            const zoomService = this.container.resolve('zoomService');
-            if (!zoomService) {
-                throw new Error('ZoomService not available - cannot fetch real recordings');
-            }
-            
-            if (typeof zoomService.getRecordings !== 'function') {
-                throw new Error('ZoomService.getRecordings method not available');
-            }
-            
             this.logger.info(`🔍 Fetching real recordings from Zoom cloud (last 30 days)...`);
             
             const thirtyDaysAgo = new Date();
             thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
             
-            const recordings = await zoomService.getRecordings({
+            const recordings = await this._getZoomSource().listRecordings({
                 from: thirtyDaysAgo.toISOString(),
                 to: new Date().toISOString(),
                 limit: limit
             });
             
-            if (!recordings || recordings.length === 0) {
+            if (recordings.length === 0) {
                 this.logger.warn('⚠️ No recordings found for last 30 days');
                 return [];
             }
@@ -2866,37 +3565,18 @@ class ProductionZoomProcessor {
 
     async _getRecordingsByDateRange(fromDate, toDate, limit = 50) {
         try {
-            const zoomService = this.container.resolve('zoomService');
-            if (!zoomService) {
-                throw new Error('ZoomService not available - cannot fetch real recordings');
-            }
-            
-            if (typeof zoomService.getRecordings !== 'function') {
-                throw new Error('ZoomService.getRecordings method not available');
-            }
-            
             this.logger.info(`🔍 Fetching real recordings from Zoom cloud (${fromDate} to ${toDate})...`);
             
-            // Get ALL recordings from the date range without applying limit
-            const allRecordings = await zoomService.getAllRecordings(fromDate, toDate);
+            // The source fetches the whole range, sorts most recent first, then applies the limit
+            const recordings = await this._getZoomSource().listRecordings({ from: fromDate, to: toDate, limit });
             
-            if (!allRecordings || allRecordings.length === 0) {
+            if (recordings.length === 0) {
                 this.logger.warn('⚠️ No recordings found for specified date range');
                 return [];
             }
             
-            this.logger.info(`✅ Found ${allRecordings.length} total recordings from Zoom cloud`);
-            
-            // Sort by start_time descending to get the most recent ones
-            const sortedRecordings = allRecordings.sort((a, b) => 
-                new Date(b.start_time) - new Date(a.start_time)
-            );
-            
-            // Apply limit after getting all recordings
-            const limitedRecordings = sortedRecordings.slice(0, limit);
-            this.logger.info(`📊 Limited to ${limitedRecordings.length} recordings (requested: ${limit})`);
-            
-            return limitedRecordings;
+            this.logger.info(`📊 Limited to ${recordings.length} recordings (requested: ${limit})`);
+            return recordings;
             
         } catch (error) {
             this.logger.error('❌ Failed to get recordings by date range', error);
@@ -2906,15 +3586,6 @@ class ProductionZoomProcessor {
 
     async _getRecentRecordings(limit = 5) {
         try {
-            const zoomService = this.container.resolve('zoomService');
-            if (!zoomService) {
-                throw new Error('ZoomService not available - cannot fetch real recordings');
-            }
-            
-            if (typeof zoomService.getRecordings !== 'function') {
-                throw new Error('ZoomService.getRecordings method not available');
-            }
-            
             this.logger.info(`🔍 Fetching last ${limit} real recordings from Zoom cloud (this month)...`);
             
             // Get recordings from the start of current month to now
@@ -2923,26 +3594,19 @@ class ProductionZoomProcessor {
             
             this.logger.info(`📅 Date range: ${startDate.toISOString()} to ${currentDate.toISOString()}`);
             
-            const recordings = await zoomService.getRecordings({
+            const recordings = await this._getZoomSource().listRecordings({
                 from: startDate.toISOString(),
                 to: currentDate.toISOString(),
                 limit: limit
             });
             
-            if (!recordings || recordings.length === 0) {
+            if (recordings.length === 0) {
                 this.logger.warn('⚠️ No recordings found for this month');
                 return [];
             }
             
             this.logger.info(`✅ Found ${recordings.length} real recordings from Zoom cloud`);
-            
-            // Sort by start_time descending to get the most recent ones
-            const sortedRecordings = recordings.sort((a, b) => 
-                new Date(b.start_time) - new Date(a.start_time)
-            );
-            
-            // Return only the requested limit
-            return sortedRecordings.slice(0, limit);
+            return recordings;
             
         } catch (error) {
             this.logger.error('❌ Failed to get recent recordings from Zoom:', error);
@@ -3198,7 +3862,10 @@ class ProductionZoomProcessor {
                     wordCount: hasTranscript ? transcriptContent.length : 0,
                     speakerCount: participantCount
                 }
-            }
+            },
+            
+            // None of the above was read off the session
+            provenance: tagFields({}, PROVENANCE.DEFAULT)
         };
     }
 
@@ -3234,6 +3901,7 @@ class ProductionZoomProcessor {
             
             // Enhanced Metadata
             metadata: aiInsights.metadata,
+            provenance: aiInsights.provenance,
             
             // Backward compatibility mappings (for existing Google Sheets)
             sessionOverview: {
@@ -3537,50 +4205,22 @@ class ProductionZoomProcessor {
      * Extract participants from chat content
      */
     _extractParticipantsFromChat(chatContent) {
-        const participants = [];
-        const lines = chatContent.split('\n');
-        
-        for (const line of lines) {
-            // Chat format: timestamp\tName: message
-            const match = line.match(/^\d{2}:\d{2}:\d{2}\t([^:]+):/);
-            if (match) {
-                const name = match[1].trim();
-                if (name && !participants.some(p => p.name === name)) {
-                    participants.push({
-                        name: name,
-                        email: '',
-                        source: 'chat'
-                    });
-                }
-            }
-        }
-        
-        return participants;
+        return Transcript.parse(chatContent, { format: 'chat' }).speakers.map(name => ({
+            name: name,
+            email: '',
+            source: 'chat'
+        }));
     }
     
     /**
      * Extract participants from transcript content
      */
     _extractParticipantsFromTranscript(transcriptContent) {
-        const participants = [];
-        const lines = transcriptContent.split('\n');
-        
-        for (const line of lines) {
-            // Transcript format: Name: message
-            const match = line.match(/^([^:]+):\s*(.+)$/);
-            if (match) {
-                const name = match[1].trim();
-                if (name && !participants.some(p => p.name === name)) {
-                    participants.push({
-                        name: name,
-                        email: '',
-                        source: 'transcript'
-                    });
-                }
-            }
-        }
-        
-        return participants;
+        return Transcript.parse(transcriptContent).speakers.map(name => ({
+            name: name,
+            email: '',
+            source: 'transcript'
+        }));
     }
 
     /**
@@ -3768,6 +4408,19 @@ class ProductionZoomProcessor {
         return false;
     }
 
+    /**
+     * Look up a processed recording in the local state store under any UUID format
+     */
+    async _findProcessedInStateStore(uuid) {
+        try {
+            return await this.container.resolve('recordingStateStore')
+                .findProcessed(RecordingUuid.parse(uuid).variants());
+        } catch (error) {
+            this.logger.warn(`Recording state lookup failed for ${uuid}: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Convert UUID between different formats for matching
      * ENHANCEMENT: Base64 is now the primary format, hex formats are for backward compatibility only
@@ -3775,53 +4428,13 @@ class ProductionZoomProcessor {
      * @returns {Object} Object with different UUID formats (base64 prioritized)
      */
     _convertUuidFormats(uuid) {
-        if (!uuid) {
-            return {
-                original: null,
-                base64: null,
-                hex: null,
-                hexWithDashes: null
-            };
-        }
-        
-        const formats = {
-            original: uuid,
-            base64: null,
-            hex: null,
-            hexWithDashes: null
+        const parsed = RecordingUuid.tryParse(uuid);
+        return {
+            original: uuid || null,
+            base64: parsed?.isValid() ? parsed.toBase64() : null,
+            hex: parsed?.toHex() || null,
+            hexWithDashes: parsed?.toHexWithDashes() || null
         };
-        
-        try {
-            // If it's base64 (ends with == and contains + or /) - PRIMARY FORMAT
-            if (uuid.includes('==') || uuid.includes('+') || uuid.includes('/')) {
-                formats.base64 = uuid;
-                // Convert base64 to hex (for backward compatibility only)
-                const buffer = Buffer.from(uuid, 'base64');
-                formats.hex = buffer.toString('hex');
-                // Add dashes for UUID format (for backward compatibility only)
-                formats.hexWithDashes = `${formats.hex.slice(0, 8)}-${formats.hex.slice(8, 12)}-${formats.hex.slice(12, 16)}-${formats.hex.slice(16, 20)}-${formats.hex.slice(20, 32)}`;
-            }
-            // If it's hex with dashes (UUID format) - convert to base64
-            else if (uuid.includes('-') && uuid.length === 36) {
-                formats.hexWithDashes = uuid;
-                formats.hex = uuid.replace(/-/g, '');
-                // Convert hex to base64 (primary format)
-                const buffer = Buffer.from(formats.hex, 'hex');
-                formats.base64 = buffer.toString('base64');
-            }
-            // If it's hex without dashes - convert to base64
-            else if (uuid.length === 32 && /^[0-9a-fA-F]+$/.test(uuid)) {
-                formats.hex = uuid;
-                formats.hexWithDashes = `${uuid.slice(0, 8)}-${uuid.slice(8, 12)}-${uuid.slice(12, 16)}-${uuid.slice(16, 20)}-${uuid.slice(20, 32)}`;
-                // Convert hex to base64 (primary format)
-                const buffer = Buffer.from(uuid, 'hex');
-                formats.base64 = buffer.toString('base64');
-            }
-        } catch (error) {
-            console.log(`⚠️ UUID conversion error for ${uuid}: ${error.message}`);
-        }
-        
-        return formats;
     }
 
     /**
@@ -3941,7 +4554,10 @@ async function main() {
             dateRange: options.dateRange,
             lightweight: options.lightweight,
             cloudLightweight: options.cloudLightweight,
-            autoApprove: options.autoApprove
+            autoApprove: options.autoApprove,
+            localDir: options.localDir,
+            stages: options.stages,
+            resume: options.resume
         };
         
         console.log('\n🔍 DEBUG: Processing options being passed:');
@@ -3960,6 +4576,12 @@ async function main() {
         if (processingOptions.fromDate && processingOptions.toDate) {
             console.log(`   Date Range: ${processingOptions.fromDate} to ${processingOptions.toDate}`);
         }
+        if (processingOptions.localDir) {
+            console.log(`   Local Folder: ${processingOptions.localDir}`);
+        }
+        if (processingOptions.stages) {
+            console.log(`   Stages: ${processingOptions.stages}`);
+        }
         console.log(`   📝 Log File: ${processor.logFilePath || 'Not initialized'}`);
         console.log('');
         
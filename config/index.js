@@ -44,6 +44,9 @@ const config = {
         clientId: process.env.ZOOM_CLIENT_ID,
         clientSecret: process.env.ZOOM_CLIENT_SECRET,
         webhookSecretToken: process.env.ZOOM_WEBHOOK_SECRET_TOKEN,
+        // Comma separated list of active secrets while rotating (new secret first)
+        webhookSecretTokens: process.env.ZOOM_WEBHOOK_SECRET_TOKENS,
+        webhookTimestampTolerance: parseInt(process.env.ZOOM_WEBHOOK_TIMESTAMP_TOLERANCE || '300'),
         apiBaseUrl: 'https://api.zoom.us/v2',
         oauth2BaseUrl: 'https://zoom.us/oauth'
     },
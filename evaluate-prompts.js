@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Compare two versions of an insights prompt on a fixed local corpus
+ *
+ * Runs every case in the corpus through the insights generator once with each
+ * prompt version, scores the structured outputs against the corpus labels,
+ * diffs them field by field and writes the full report as JSON.
+ *
+ * Usage:
+ *   node evaluate-prompts.js [--prompt insights] [--baseline 1.0.0] [--candidate 1.1.0]
+ *       [--corpus data/prompt-eval] [--mock] [--output-dir output/prompt-evaluations]
+ *
+ * --baseline defaults to the version in use (AI_PROMPT_VERSIONS or the
+ * template's current), --candidate to the newest other version. --mock runs
+ * offline on the mock provider, which answers from the transcript lines and
+ * not the prompt wording: it checks the corpus and the harness, but both
+ * versions score the same. Without it the configured providers (AI_PROVIDERS)
+ * are called and billed, within AI_RUN_BUDGET_USD.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { LLMGateway, llmConfig } = require('./src/infrastructure/ai/llm');
+const { PromptRegistry, PromptEvaluator, EVALUATED_PROMPTS } = require('./src/infrastructure/ai/prompts');
+
+function argValue(name, fallback) {
+    const index = process.argv.indexOf(name);
+    if (index !== -1 && process.argv[index + 1]) return process.argv[index + 1];
+    const inline = process.argv.find(arg => arg.startsWith(`${name}=`));
+    return inline ? inline.slice(name.length + 1) : fallback;
+}
+
+// The generator logs every step; only warnings are useful here
+const logger = { info: () => {}, debug: () => {}, warn: console.warn, error: console.error };
+
+function percent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+async function main() {
+    const prompt = argValue('--prompt', 'insights');
+    const corpusDir = argValue('--corpus', path.join('data', 'prompt-eval'));
+    const outputDir = argValue('--output-dir', path.join(process.env.OUTPUT_DIR || './output', 'prompt-evaluations'));
+    const mock = process.argv.includes('--mock');
+
+    if (!EVALUATED_PROMPTS.includes(prompt)) {
+        throw new Error(`--prompt must be one of ${EVALUATED_PROMPTS.join(', ')}`);
+    }
+    const promptRegistry = new PromptRegistry();
+    const baseline = argValue('--baseline', promptRegistry.current(prompt));
+    const candidate = argValue('--candidate', promptRegistry.versions(prompt).filter(version => version !== baseline).pop());
+    if (!candidate) {
+        throw new Error(`Prompt ${prompt} has only version ${baseline}; add a version to its template to compare`);
+    }
+
+    const llmGateway = mock
+        ? new LLMGateway({ logger, settings: llmConfig({ providers: ['mock'] }) })
+        : new LLMGateway({ logger });
+    if (!llmGateway.isAvailable) throw new Error('No LLM provider available; set an API key or pass --mock');
+
+    const corpus = await PromptEvaluator.loadCorpus(corpusDir);
+    console.log(`🧪 Prompt evaluation: ${prompt}@${baseline} vs ${prompt}@${candidate}`);
+    console.log(`   Corpus: ${corpusDir} (${corpus.cases.length} cases), providers: ${llmGateway.availableProviders.join(' → ')}\n`);
+
+    const evaluator = new PromptEvaluator({ logger, llmGateway, promptRegistry });
+    const report = await evaluator.compare({ prompt, baseline, candidate, corpus });
+
+    for (const testCase of report.cases) {
+        const sides = ['baseline', 'candidate'].map(side => {
+            const result = testCase[side];
+            return result.error ? `❌ ${result.error}` : `${percent(result.score)} (coverage ${percent(result.coverage)})`;
+        });
+        console.log(`   ${testCase.id}: ${sides[0]} → ${sides[1]}, ${testCase.changes.length} field(s) changed`);
+        if (testCase.changes.length > 0) {
+            console.log(`      ${testCase.changes.map(change => change.path).join(', ')}`);
+        }
+    }
+
+    console.log('\n📊 SUMMARY');
+    console.log('================================================================================');
+    for (const side of ['baseline', 'candidate']) {
+        const summary = report.summary[side];
+        const checks = Object.entries(summary.checks).map(([check, score]) => `${check} ${percent(score)}`).join(', ');
+        console.log(`   ${report[side]}: score ${percent(summary.score)}, coverage ${percent(summary.coverage)}, failures ${summary.failures}, cost $${summary.cost}`);
+        console.log(`      ${checks}`);
+    }
+    console.log(`\n   ${report.winner ? `🏆 Better: ${report.winner}` : '🤝 No difference in score'}`);
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const file = path.join(outputDir, `${prompt}-${baseline}-vs-${candidate}-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+    await fs.writeFile(file, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Report: ${file}`);
+}
+
+main().catch(error => {
+    console.error('❌ Prompt evaluation failed:', error.message);
+    process.exit(1);
+});
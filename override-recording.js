@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Manual overrides for misidentified recordings (data/manual-overrides.json)
+ *
+ * Replaces the one-off scripts/fix-*-recording.js scripts: record the correct
+ * coach, student, week, session type or date once, keyed by recording UUID or
+ * Zoom meeting ID, and the name standardizer, week inferencer and categorizer
+ * use it from then on. Adding an override also re-homes the recording (see
+ * rehome-recording.js): its Drive folder, files and shortcuts and its
+ * standardized Sheet row follow the corrected name.
+ *
+ * Usage:
+ *   node override-recording.js --uuid <uuid> [--coach Katie] [--student Iqra]
+ *       [--week 3] [--type Coaching|GamePlan|SAT|MISC|TRIVIAL|NO_SHOW] [--date YYYY-MM-DD]
+ *       [--note "..."] [--dry-run] [--no-apply]
+ *   node override-recording.js --meeting-id <id> ...     # every occurrence of a meeting
+ *   node override-recording.js --apply --uuid <uuid>      # re-run rename and Sheet update only
+ *   node override-recording.js --remove --uuid <uuid>
+ *   node override-recording.js --list
+ */
+
+require('dotenv').config();
+const { createContainer } = require('./src/container');
+
+function argValue(name) {
+    const index = process.argv.indexOf(name);
+    if (index !== -1 && process.argv[index + 1] && !process.argv[index + 1].startsWith('--')) {
+        return process.argv[index + 1];
+    }
+    const inline = process.argv.find(arg => arg.startsWith(`${name}=`));
+    return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+function overrideFields() {
+    const fields = {
+        coach: argValue('--coach'),
+        student: argValue('--student'),
+        week: argValue('--week') === undefined ? undefined : Number(argValue('--week')),
+        sessionType: argValue('--type'),
+        date: argValue('--date'),
+        note: argValue('--note')
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function printRecordings(recordings, dryRun) {
+    for (const recording of recordings) {
+        console.log(`   ${recording.tab}!${recording.row}`);
+        console.log(`     - ${recording.previousName || '(no name)'}`);
+        console.log(`     + ${recording.name}`);
+        if (recording.status === 'rolled-back') {
+            console.log(`     ❌ Rolled back: ${recording.error}`);
+        } else if (!dryRun) {
+            const drive = recording.driveRenamed ? `renamed (${recording.renamedFiles} file(s))${recording.driveMoved ? ' and moved' : ''}` : 'unchanged';
+            console.log(`     Drive ${drive}, Sheet ${recording.sheetUpdated ? 'updated' : 'NOT updated'}`);
+        }
+    }
+}
+
+async function main() {
+    const container = createContainer();
+    const registry = container.resolve('manualOverrideRegistry');
+
+    if (process.argv.includes('--list')) {
+        const entries = registry.list();
+        console.log(`✏️ ${entries.length} manual override(s) in ${registry.filePath}\n`);
+        for (const { keyType, key, ...fields } of entries) {
+            console.log(`   ${keyType === 'uuid' ? 'U' : 'M'} ${key}  ${JSON.stringify(fields)}`);
+        }
+        return;
+    }
+
+    const target = { uuid: argValue('--uuid'), meetingId: argValue('--meeting-id') };
+    if (!target.uuid && !target.meetingId) {
+        throw new Error('Pass --uuid <uuid> or --meeting-id <id> (or --list)');
+    }
+
+    if (process.argv.includes('--remove')) {
+        const removed = registry.remove(target);
+        if (removed) await registry.save();
+        console.log(removed ? `🗑️ Removed override for ${target.uuid || target.meetingId}` : '⚠️ No override to remove');
+        return;
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+    const service = container.resolve('manualOverrideService');
+    const fields = overrideFields();
+
+    if (process.argv.includes('--apply') && Object.keys(fields).length === 0) {
+        console.log(`🔁 Re-applying override for ${target.uuid || target.meetingId}${dryRun ? ' (dry run)' : ''}`);
+        printRecordings(await service.applyOverride(target, { dryRun }), dryRun);
+        return;
+    }
+
+    if (Object.keys(fields).length === 0) {
+        throw new Error('Nothing to override: pass at least one of --coach, --student, --week, --type, --date, --note');
+    }
+
+    const result = await service.addOverride(target, fields, {
+        apply: !process.argv.includes('--no-apply'),
+        dryRun
+    });
+    const { key, keyType, source, ...saved } = result.override;
+    console.log(`✏️ Override for ${keyType} ${key}: ${JSON.stringify(saved)}${dryRun ? ' (dry run, not saved)' : ` → ${result.file}`}`);
+    printRecordings(result.recordings, dryRun);
+}
+
+main().catch(error => {
+    console.error('❌ Override failed:', error.message);
+    process.exit(1);
+});
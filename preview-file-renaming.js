@@ -3,6 +3,7 @@ require('dotenv').config();
 const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
+const { StandardizedName } = require('./src/core/value-objects');
 
 class FileRenamingPreview {
     constructor() {
@@ -53,6 +54,12 @@ class FileRenamingPreview {
 
     async previewFolder(folder) {
         console.log(`\n📹 Folder: ${folder.name}`);
+        const migration = StandardizedName.migrate(folder.name);
+        if (migration.changed) {
+            console.log(`   📝 Folder name → ${migration.to} (${migration.issues.join(', ')})`);
+        } else if (!migration.to) {
+            console.log('   ⚠️ Folder name does not follow the standardized name grammar');
+        }
         console.log('─'.repeat(80));
         
         try {
@@ -99,7 +106,7 @@ class FileRenamingPreview {
         }
 
         // If it's an old format file with UUID pattern
-        if (fileName.includes('_M_') && fileName.includes('U_')) {
+        if (StandardizedName.tryParse(fileName)?.name.uuid) {
             const extension = path.extname(fileName);
             const fileType = this.getFileType(fileName);
             return `${folderName}_${fileType}${extension}`;
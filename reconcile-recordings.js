@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Reconcile recordings across Zoom, Google Drive, every Sheet tab and local output
+ *
+ * Replaces the old root validators (high-fidelity, smart-fuzzy, zoom-cloud-to-drive,
+ * knowledge-base, verify-all-recordings-processed, final-file-completeness). Folder and
+ * sheet ids come from config/.env instead of being hard-coded.
+ *
+ * Usage:
+ *   node reconcile-recordings.js [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *       [--sources zoom,drive,sheets,local] [--root <folderId>]...
+ *       [--output-dir validation-reports] [--formats json,csv,html]
+ *
+ * Zoom defaults to the last 365 days. Pass --sources without zoom to reconcile
+ * Drive, Sheets and local output only (no Zoom API calls).
+ *
+ * Repairs (dry-run unless a reviewed plan is applied):
+ *   node reconcile-recordings.js --plan-repairs [reconcile options]   # save the plan and print its diff
+ *   node reconcile-recordings.js --apply validation-reports/<plan id>.json
+ *   node reconcile-recordings.js --undo <plan id>
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { createContainer } = require('./src/container');
+const { ReconciliationReport, RepairPlan } = require('./src/application/reconciliation');
+
+function argValues(name) {
+    const values = [];
+    process.argv.forEach((arg, index) => {
+        if (arg === name && process.argv[index + 1]) values.push(process.argv[index + 1]);
+        else if (arg.startsWith(`${name}=`)) values.push(arg.slice(name.length + 1));
+    });
+    return values;
+}
+
+function argValue(name, fallback) {
+    const [value] = argValues(name);
+    return value === undefined ? fallback : value;
+}
+
+async function applyPlan(container, planFile) {
+    const plan = RepairPlan.fromJSON(await fs.readFile(planFile, 'utf8'));
+    console.log(plan.toDiff());
+
+    const result = await container.resolve('repairExecutor').apply(plan, { dryRun: false });
+    console.log(`\n🛠️ Applied ${result.applied.length} action(s), ${result.failed.length} failed`);
+    for (const failure of result.failed) {
+        console.log(`   ❌ ${failure.type} ${failure.key}: ${failure.error}`);
+    }
+    console.log(`↩️ Undo with: node reconcile-recordings.js --undo ${plan.id}  (log: ${result.undoLog})`);
+}
+
+async function undoPlan(container, planId) {
+    const result = await container.resolve('repairExecutor').undo(planId);
+    console.log(`↩️ Undid ${result.undone.length} action(s), ${result.failed.length} failed`);
+    for (const failure of result.failed) {
+        console.log(`   ❌ ${failure.type} ${failure.key} (rerun --undo to retry)`);
+    }
+}
+
+async function main() {
+    if (argValue('--apply')) return applyPlan(createContainer(), argValue('--apply'));
+    if (argValue('--undo')) return undoPlan(createContainer(), argValue('--undo'));
+
+    const to = argValue('--to', new Date().toISOString().slice(0, 10));
+    const from = argValue('--from', new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+    const sources = argValue('--sources', 'zoom,drive,sheets,local').split(',').map(source => source.trim());
+    const formats = argValue('--formats', 'json,csv,html').split(',').map(format => format.trim());
+    const outputDir = argValue('--output-dir', 'validation-reports');
+    const roots = argValues('--root');
+
+    const container = createContainer();
+    const loader = container.resolve('reconciliationInventoryLoader');
+    const engine = container.resolve('reconciliationEngine');
+
+    console.log('🔁 Recording reconciliation');
+    console.log(`   Sources: ${sources.join(', ')}${sources.includes('zoom') ? ` (Zoom ${from} → ${to})` : ''}\n`);
+
+    const inventories = await loader.loadAll({
+        sources,
+        from,
+        to,
+        rootFolderIds: roots.length > 0 ? roots : undefined
+    });
+    const result = engine.reconcile(inventories);
+    const report = new ReconciliationReport(result, { options: { sources, from, to, roots } });
+    const written = await report.save(outputDir, { formats });
+
+    console.log('\n📊 RECONCILIATION SUMMARY');
+    console.log('================================================================================');
+    for (const [name, total] of Object.entries(result.summary.inventories)) {
+        console.log(`   ${name}: ${total}`);
+    }
+    console.log(`   Recordings after matching: ${result.summary.recordings}`);
+    for (const [method, total] of Object.entries(result.summary.matchedBy)) {
+        console.log(`   Matched by ${method}: ${total}`);
+    }
+    console.log('');
+    for (const [category, total] of Object.entries(result.summary.categories)) {
+        console.log(`   ${total === 0 ? '✅' : '⚠️ '} ${category}: ${total}`);
+    }
+    console.log('\n📄 Reports:');
+    for (const [format, file] of Object.entries(written)) {
+        console.log(`   ${format}: ${file}`);
+    }
+
+    if (process.argv.includes('--plan-repairs')) {
+        const plan = container.resolve('repairPlanner').plan(result);
+        const dryRun = await container.resolve('repairExecutor').apply(plan);
+        const planFile = path.join(outputDir, `${plan.id}.json`);
+        await fs.writeFile(planFile, JSON.stringify(plan, null, 2));
+        await fs.writeFile(path.join(outputDir, `${plan.id}.diff`), dryRun.diff);
+
+        console.log(`\n${dryRun.diff}`);
+        console.log(`🔍 Dry run only. Review ${planFile}, then apply it with:`);
+        console.log(`   node reconcile-recordings.js --apply ${planFile}`);
+    }
+    return null;
+}
+
+main().catch(error => {
+    console.error('❌ Reconciliation failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Re-home a recording whose standardized name changed
+ *
+ * Works out the recording's name again (or takes --name), then as one
+ * transaction renames its Drive session folder and the files named after it,
+ * moves the folder to the Students, Coaches, MISC or TRIVIAL root its name
+ * belongs in, repairs the coach shortcuts to it and updates the Sheet row's
+ * name and folder link. If any step fails the completed ones are rolled
+ * back. Supersedes standardize-file-names-in-drive.js and
+ * scripts/update-sheets-for-moved-folders.js for single recordings.
+ *
+ * Usage:
+ *   node rehome-recording.js --uuid <uuid> [--name <standardized name>] [--dry-run]
+ *   node rehome-recording.js --undo <journal file>
+ *
+ * Each committed re-home writes its journal to OUTPUT_DIR/rehome-journal/ so
+ * it can be reversed later with --undo.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { createContainer } = require('./src/container');
+
+const JOURNAL_DIR = path.join(process.env.OUTPUT_DIR || './output', 'rehome-journal');
+
+function argValue(name) {
+    const index = process.argv.indexOf(name);
+    if (index !== -1 && process.argv[index + 1] && !process.argv[index + 1].startsWith('--')) {
+        return process.argv[index + 1];
+    }
+    const inline = process.argv.find(arg => arg.startsWith(`${name}=`));
+    return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+async function saveJournal(result) {
+    await fs.mkdir(JOURNAL_DIR, { recursive: true });
+    const file = path.join(JOURNAL_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}_${result.uuid.replace(/[^A-Za-z0-9]/g, '_')}.json`);
+    await fs.writeFile(file, `${JSON.stringify({ uuid: result.uuid, name: result.name, journal: result.journal }, null, 2)}\n`);
+    return file;
+}
+
+async function main() {
+    const container = createContainer();
+    const rehomer = container.resolve('recordingRehomer');
+
+    const undoFile = argValue('--undo');
+    if (undoFile) {
+        const { uuid, journal } = JSON.parse(await fs.readFile(undoFile, 'utf8'));
+        const { undone, failed } = await rehomer.rollback(journal);
+        console.log(`↩️ Rolled back ${undone.length} step(s) for ${uuid}: ${undone.join(', ') || 'none'}`);
+        for (const { step, error } of failed) console.log(`   ❌ ${step}: ${error}`);
+        if (failed.length > 0) process.exitCode = 1;
+        return;
+    }
+
+    const uuid = argValue('--uuid');
+    if (!uuid) throw new Error('Pass --uuid <uuid> (or --undo <journal file>)');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const results = await rehomer.rehome(uuid, { name: argValue('--name'), dryRun });
+
+    for (const result of results) {
+        console.log(`🏠 ${result.tab}!${result.row}${dryRun ? ' (dry run)' : ''}`);
+        console.log(`     - ${result.previousName || '(no name)'}`);
+        console.log(`     + ${result.name}`);
+        console.log(`     Folder ${result.folderId || '(none)'} -> ${result.participant || '(root)'} in ${result.root || '(unchanged)'}${result.coachShortcut ? `, shortcut in Coaches/${result.coachShortcut}` : ''}`);
+
+        if (result.status === 'committed') {
+            console.log(`     ✅ ${result.journal.map(entry => entry.step).join(', ')}; journal: ${await saveJournal(result)}`);
+        } else if (result.status === 'rolled-back') {
+            console.log(`     ❌ ${result.error}; rolled back: ${result.rollback.undone.join(', ') || 'nothing to undo'}`);
+            for (const { step, error } of result.rollback.failed) console.log(`     ⚠️ Could not undo ${step}: ${error}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Re-home failed:', error.message);
+    process.exit(1);
+});
@@ -189,6 +189,7 @@ async function main() {
             weekInferencer: scope.resolve('weekInferencer'),
             metadataExtractor: scope.resolve('metadataExtractor'),
             driveOrganizer: scope.resolve('driveOrganizer'),
+            transcriptMatcher: scope.resolve('transcriptMatcher'),
             logger: scope.resolve('logger'),
             config: scope.resolve('config')
         });
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+/**
+ * Zoom webhook verification shared by the standalone webhook server, the
+ * API webhook handler and ZoomService.
+ *
+ * - Answers the `endpoint.url_validation` CRC challenge
+ * - Rejects requests whose x-zm-request-timestamp is outside the tolerance window
+ * - Checks x-zm-signature in constant time against every active secret, so
+ *   the old and the new secret both work while a secret is being rotated
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const REJECTION_REASONS = {
+    NO_SECRETS: 'no_secrets_configured',
+    MISSING_SIGNATURE: 'missing_signature',
+    MISSING_TIMESTAMP: 'missing_timestamp',
+    INVALID_TIMESTAMP: 'invalid_timestamp',
+    STALE_TIMESTAMP: 'stale_timestamp',
+    SIGNATURE_MISMATCH: 'signature_mismatch',
+    MISSING_PLAIN_TOKEN: 'missing_plain_token'
+};
+
+/**
+ * Active secrets from the environment. ZOOM_WEBHOOK_SECRET_TOKENS is a comma
+ * separated list (new secret first during a rotation); ZOOM_WEBHOOK_SECRET_TOKEN
+ * is still honoured on its own.
+ */
+function loadWebhookSecrets(env = process.env) {
+    const secrets = [
+        ...(env.ZOOM_WEBHOOK_SECRET_TOKENS || '').split(','),
+        env.ZOOM_WEBHOOK_SECRET_TOKEN || ''
+    ]
+        .map(secret => secret.trim())
+        .filter(Boolean);
+
+    return [...new Set(secrets)];
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+    const hash = crypto
+        .createHmac('sha256', secret)
+        .update(`v0:${timestamp}:${rawBody}`)
+        .digest('hex');
+    return `v0=${hash}`;
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a || '', 'utf8');
+    const bufferB = Buffer.from(b || '', 'utf8');
+    if (bufferA.length !== bufferB.length) {
+        // Compare against itself so the timing does not depend on where the lengths differ
+        crypto.timingSafeEqual(bufferA, bufferA);
+        return false;
+    }
+    return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a Zoom signature. Returns { valid, reason, secretIndex }.
+ */
+function verifyZoomSignature({
+    rawBody,
+    signature,
+    timestamp,
+    secrets,
+    toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+    now = Date.now()
+}) {
+    if (!secrets || secrets.length === 0) {
+        return { valid: false, reason: REJECTION_REASONS.NO_SECRETS };
+    }
+    if (!signature) {
+        return { valid: false, reason: REJECTION_REASONS.MISSING_SIGNATURE };
+    }
+    if (!timestamp) {
+        return { valid: false, reason: REJECTION_REASONS.MISSING_TIMESTAMP };
+    }
+
+    const timestampSeconds = Number(timestamp);
+    if (!Number.isFinite(timestampSeconds)) {
+        return { valid: false, reason: REJECTION_REASONS.INVALID_TIMESTAMP };
+    }
+
+    // Zoom sends seconds; tolerate a millisecond timestamp as well
+    const timestampMs = timestampSeconds > 1e12 ? timestampSeconds : timestampSeconds * 1000;
+    const skewSeconds = Math.abs(now - timestampMs) / 1000;
+    if (toleranceSeconds > 0 && skewSeconds > toleranceSeconds) {
+        return { valid: false, reason: REJECTION_REASONS.STALE_TIMESTAMP, skewSeconds: Math.round(skewSeconds) };
+    }
+
+    // Check every secret without short-circuiting so timing does not reveal which one matched
+    let matchedIndex = -1;
+    secrets.forEach((secret, index) => {
+        const matches = safeEqual(signature, computeSignature(secret, timestamp, rawBody));
+        if (matches && matchedIndex === -1) {
+            matchedIndex = index;
+        }
+    });
+
+    if (matchedIndex === -1) {
+        return { valid: false, reason: REJECTION_REASONS.SIGNATURE_MISMATCH };
+    }
+    return { valid: true, reason: null, secretIndex: matchedIndex };
+}
+
+/**
+ * Build the CRC response Zoom expects for endpoint.url_validation
+ */
+function buildUrlValidationResponse(plainToken, secret) {
+    const encryptedToken = crypto
+        .createHmac('sha256', secret)
+        .update(plainToken)
+        .digest('hex');
+    return { plainToken, encryptedToken };
+}
+
+/**
+ * Keep the exact request bytes for signature checks. Pass as the `verify`
+ * option of bodyParser.json / express.json.
+ */
+function captureRawBody(req, res, buffer) {
+    if (buffer && buffer.length) {
+        req.rawBody = buffer.toString('utf8');
+    }
+}
+
+/**
+ * Create the Express middleware
+ */
+function createZoomWebhookVerifier(options = {}) {
+    const logger = options.logger || console;
+    const toleranceSeconds = options.toleranceSeconds ?? parseInt(
+        process.env.ZOOM_WEBHOOK_TIMESTAMP_TOLERANCE || String(DEFAULT_TOLERANCE_SECONDS),
+        10
+    );
+    const getSecrets = typeof options.secrets === 'function'
+        ? options.secrets
+        : () => options.secrets || loadWebhookSecrets();
+
+    const reject = (req, res, status, reason, details = {}) => {
+        logger.warn(`Zoom webhook rejected: ${reason}`, {
+            reason,
+            event: req.body?.event,
+            ip: req.ip,
+            path: req.originalUrl || req.url,
+            ...details
+        });
+        return res.status(status).json({ error: status === 500 ? 'Server configuration error' : 'Unauthorized', reason });
+    };
+
+    return function zoomWebhookVerifier(req, res, next) {
+        const secrets = getSecrets();
+        const rawBody = req.rawBody ?? JSON.stringify(req.body);
+        const signature = req.headers['x-zm-signature'];
+        const timestamp = req.headers['x-zm-request-timestamp'];
+
+        if (secrets.length === 0) {
+            return reject(req, res, 500, REJECTION_REASONS.NO_SECRETS);
+        }
+
+        // CRC challenge: answer with the secret that signed the request, or the
+        // primary secret when the challenge is unsigned
+        if (req.body?.event === 'endpoint.url_validation') {
+            const plainToken = req.body.payload?.plainToken;
+            if (!plainToken) {
+                return reject(req, res, 400, REJECTION_REASONS.MISSING_PLAIN_TOKEN);
+            }
+
+            let secret = secrets[0];
+            if (signature) {
+                const result = verifyZoomSignature({ rawBody, signature, timestamp, secrets, toleranceSeconds });
+                if (!result.valid) {
+                    return reject(req, res, 401, result.reason, { challenge: true, skewSeconds: result.skewSeconds });
+                }
+                secret = secrets[result.secretIndex];
+            }
+
+            logger.info('Answering Zoom endpoint.url_validation challenge');
+            return res.status(200).json(buildUrlValidationResponse(plainToken, secret));
+        }
+
+        const result = verifyZoomSignature({ rawBody, signature, timestamp, secrets, toleranceSeconds });
+        if (!result.valid) {
+            return reject(req, res, 401, result.reason, { skewSeconds: result.skewSeconds });
+        }
+
+        if (result.secretIndex > 0) {
+            logger.info(`Zoom webhook verified with secondary secret #${result.secretIndex} - rotation still in progress`);
+        }
+
+        req.zoomWebhook = { verified: true, secretIndex: result.secretIndex };
+        return next();
+    };
+}
+
+module.exports = {
+    createZoomWebhookVerifier,
+    verifyZoomSignature,
+    buildUrlValidationResponse,
+    computeSignature,
+    captureRawBody,
+    loadWebhookSecrets,
+    REJECTION_REASONS,
+    DEFAULT_TOLERANCE_SECONDS
+};
@@ -1,6 +1,10 @@
-const crypto = require('crypto');
 const { Recording } = require('../../core/entities/Recording');
 const { ValidationError, AuthenticationError } = require('../../shared/errors');
+const {
+    createZoomWebhookVerifier,
+    verifyZoomSignature,
+    loadWebhookSecrets
+} = require('../middleware/zoom-webhook-verifier');
 const logger = require('../../shared/logging/logger');
 const config = require('../../config');
 
@@ -17,16 +21,16 @@ class ZoomWebhookHandler {
      * Validate webhook signature
      */
     validateSignature(req) {
-        const message = `v0:${req.headers['x-zm-request-timestamp']}:${JSON.stringify(req.body)}`;
-        const hashForValidate = crypto
-            .createHmac('sha256', config.zoom.webhookSecretToken)
-            .update(message)
-            .digest('hex');
-        
-        const signature = `v0=${hashForValidate}`;
+        const result = verifyZoomSignature({
+            rawBody: req.rawBody ?? JSON.stringify(req.body),
+            signature: req.headers['x-zm-signature'],
+            timestamp: req.headers['x-zm-request-timestamp'],
+            secrets: loadWebhookSecrets(),
+            toleranceSeconds: config.zoom.webhookTimestampTolerance
+        });
         
-        if (req.headers['x-zm-signature'] !== signature) {
-            throw new AuthenticationError('Invalid webhook signature');
+        if (!result.valid) {
+            throw new AuthenticationError('Invalid webhook signature', result.reason);
         }
     }
 
@@ -184,16 +188,13 @@ class ZoomWebhookHandler {
 
 /**
  * Express middleware for webhook validation
+ * Answers the URL validation challenge and verifies signatures against all active secrets
  */
-function webhookValidationMiddleware(req, res, next) {
-    try {
-        const handler = new ZoomWebhookHandler();
-        handler.validateSignature(req);
-        next();
-    } catch (error) {
-        next(error);
-    }
-}
+const webhookValidationMiddleware = createZoomWebhookVerifier({
+    logger: logger.child ? logger.child('ZoomWebhookVerifier') : console,
+    secrets: () => loadWebhookSecrets(),
+    toleranceSeconds: config.zoom.webhookTimestampTolerance
+});
 
 module.exports = {
     ZoomWebhookHandler,
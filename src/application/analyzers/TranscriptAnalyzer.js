@@ -1,4 +1,5 @@
 const fs = require('fs').promises;
+const { Transcript } = require('../../shared/transcript');
 
 /**
  * Service for analyzing VTT transcripts
@@ -39,62 +40,40 @@ class TranscriptAnalyzer {
      * Analyze transcript content
      */
     analyzeContent(content) {
-        const lines = content.split('\n');
+        const transcript = Transcript.parse(content);
         const speakers = new Map();
-        const timestamps = [];
         let totalWords = 0;
-        let currentTimestamp = null;
         
-        // Parse VTT format
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+        for (const cue of transcript.cues) {
+            if (!cue.speaker || !cue.text) continue;
             
-            // Skip header and empty lines
-            if (!line || line === 'WEBVTT') continue;
-            
-            // Timestamp line (00:00:00.000 --> 00:00:05.000)
-            if (line.includes('-->')) {
-                const [start, end] = line.split('-->').map(t => this._parseTimestamp(t.trim()));
-                currentTimestamp = { start, end };
-                timestamps.push(currentTimestamp);
-            }
-            // Speaker and text line
-            else if (line.includes(':') && currentTimestamp) {
-                const colonIndex = line.indexOf(':');
-                const speaker = line.substring(0, colonIndex).trim();
-                const text = line.substring(colonIndex + 1).trim();
-                
-                if (speaker && text) {
-                    // Update speaker stats
-                    if (!speakers.has(speaker)) {
-                        speakers.set(speaker, {
-                            name: speaker,
-                            wordCount: 0,
-                            speakingTime: 0,
-                            utterances: []
-                        });
-                    }
-                    
-                    const speakerData = speakers.get(speaker);
-                    const words = this._countWords(text);
-                    
-                    speakerData.wordCount += words;
-                    speakerData.speakingTime += (currentTimestamp.end - currentTimestamp.start);
-                    speakerData.utterances.push({
-                        text,
-                        timestamp: currentTimestamp,
-                        wordCount: words
-                    });
-                    
-                    totalWords += words;
-                }
+            // Update speaker stats
+            if (!speakers.has(cue.speaker)) {
+                speakers.set(cue.speaker, {
+                    name: cue.speaker,
+                    wordCount: 0,
+                    speakingTime: 0,
+                    utterances: []
+                });
             }
+            
+            const speakerData = speakers.get(cue.speaker);
+            const words = this._countWords(cue.text);
+            const timestamp = { start: cue.start ?? 0, end: cue.end ?? cue.start ?? 0 };
+            
+            speakerData.wordCount += words;
+            speakerData.speakingTime += (timestamp.end - timestamp.start);
+            speakerData.utterances.push({
+                text: cue.text,
+                timestamp,
+                wordCount: words
+            });
+            
+            totalWords += words;
         }
         
         // Calculate statistics
-        const duration = timestamps.length > 0 
-            ? timestamps[timestamps.length - 1].end 
-            : 0;
+        const duration = transcript.end;
         
         // Identify topics
         const topics = this._identifyTopics(speakers);
@@ -123,33 +102,7 @@ class TranscriptAnalyzer {
      * Extract speakers from VTT content
      */
     extractSpeakers(content) {
-        const speakers = new Set();
-        const lines = content.split('\n');
-        
-        for (const line of lines) {
-            if (line.includes(':') && !line.includes('-->')) {
-                const speaker = line.split(':')[0].trim();
-                if (speaker && speaker !== 'WEBVTT') {
-                    speakers.add(speaker);
-                }
-            }
-        }
-        
-        return Array.from(speakers);
-    }
-
-    /**
-     * Parse timestamp string to seconds
-     */
-    _parseTimestamp(timestamp) {
-        const parts = timestamp.split(':');
-        if (parts.length === 3) {
-            const hours = parseInt(parts[0]);
-            const minutes = parseInt(parts[1]);
-            const seconds = parseFloat(parts[2]);
-            return hours * 3600 + minutes * 60 + seconds;
-        }
-        return 0;
+        return Transcript.parse(content).speakers;
     }
 
     /**
@@ -371,20 +324,8 @@ class TranscriptAnalyzer {
      * Validate VTT format
      */
     validateVTTFormat(content) {
-        const lines = content.split('\n');
-        let hasTimestamp = false;
-        let hasSpeaker = false;
-        
-        for (const line of lines) {
-            if (line.includes('-->')) {
-                hasTimestamp = true;
-            }
-            if (line.includes(':') && !line.includes('-->')) {
-                hasSpeaker = true;
-            }
-        }
-        
-        return hasTimestamp && hasSpeaker;
+        const transcript = Transcript.parse(content);
+        return ['vtt', 'srt'].includes(transcript.format) && transcript.speakers.length > 0;
     }
 }
 
@@ -0,0 +1,204 @@
+/**
+ * RecordingPipeline
+ *
+ * Runs a recording through named stages (download, name, category, week, ...,
+ * drive, sheets). Each stage declares the context keys it reads (`inputs`) and
+ * the keys it produces (`outputs`); completed outputs are checkpointed per
+ * recording UUID so that:
+ *   - a rerun resumes from the first stage that has not completed, and
+ *   - `run(context, { stages: ['ai', 'sheets'] })` reruns only those stages,
+ *     restoring everything else from the checkpoint.
+ *
+ * Stage definition:
+ *   {
+ *     name,                  // used on the command line (--stages=ai,sheets)
+ *     description,
+ *     inputs: [],            // context keys that must be present before run()
+ *     outputs: [],           // returned keys that are checkpointed
+ *     transientOutputs: [],  // returned keys that are only kept in memory
+ *     checkpoint: true,      // false = cheap stage that runs every time
+ *     optional: false,       // true = a failure is recorded and the run continues
+ *     run: async (context) => ({ ...outputs })
+ *   }
+ */
+
+const STAGE_STATUS = {
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    RESTORED: 'restored',
+    SKIPPED: 'skipped'
+};
+
+class RecordingPipeline {
+    constructor({ logger, checkpointStore, stages = [] }) {
+        this.logger = logger || console;
+        this.checkpointStore = checkpointStore;
+        this.stages = [];
+        stages.forEach(stage => this.addStage(stage));
+    }
+
+    addStage(stage) {
+        if (!stage || !stage.name || typeof stage.run !== 'function') {
+            throw new Error('A pipeline stage needs a name and a run() function');
+        }
+        if (this.stages.some(existing => existing.name === stage.name)) {
+            throw new Error(`Duplicate pipeline stage: ${stage.name}`);
+        }
+
+        this.stages.push({
+            description: '',
+            inputs: [],
+            outputs: [],
+            transientOutputs: [],
+            checkpoint: true,
+            optional: false,
+            ...stage
+        });
+        return this;
+    }
+
+    getStageNames() {
+        return this.stages.map(stage => stage.name);
+    }
+
+    /**
+     * Turn "ai,sheets" (or an array) into validated stage names
+     */
+    parseStageList(value) {
+        if (!value) return null;
+
+        const names = (Array.isArray(value) ? value : String(value).split(','))
+            .map(name => name.trim())
+            .filter(Boolean);
+        const unknown = names.filter(name => !this.stages.some(stage => stage.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown pipeline stage(s): ${unknown.join(', ')}. Available: ${this.getStageNames().join(', ')}`);
+        }
+        return names;
+    }
+
+    /**
+     * Which checkpointed stages have completed for a recording
+     */
+    async getStatus(uuid) {
+        const checkpoint = this.checkpointStore ? await this.checkpointStore.load(uuid) : null;
+        const checkpointed = this.stages.filter(stage => stage.checkpoint);
+        const completed = checkpointed
+            .filter(stage => checkpoint?.stages?.[stage.name]?.status === STAGE_STATUS.COMPLETED)
+            .map(stage => stage.name);
+        const failed = checkpointed
+            .filter(stage => checkpoint?.stages?.[stage.name]?.status === STAGE_STATUS.FAILED)
+            .map(stage => stage.name);
+
+        return {
+            uuid,
+            exists: !!checkpoint,
+            completed,
+            failed,
+            pending: checkpointed.map(stage => stage.name).filter(name => !completed.includes(name)),
+            isComplete: !!checkpoint && completed.length === checkpointed.length,
+            updatedAt: checkpoint?.updatedAt || null
+        };
+    }
+
+    /**
+     * Run the stages against `context` (must contain `recording.uuid`).
+     *
+     * @param {Object} context - shared state; stage outputs are merged into it
+     * @param {Object} options
+     * @param {string[]} [options.stages] - only run these stages, restore the rest
+     * @param {boolean} [options.resume=true] - false ignores and clears any checkpoint
+     * @returns {Promise<{context, stages: Array<{name, status, durationMs, error}>}>}
+     */
+    async run(context, { stages: selected = null, resume = true } = {}) {
+        const uuid = context.recording?.uuid;
+        if (!uuid) {
+            throw new Error('Pipeline context needs recording.uuid to checkpoint stages');
+        }
+
+        let checkpoint = this.checkpointStore ? await this.checkpointStore.load(uuid) : null;
+        const status = await this.getStatus(uuid);
+        if (checkpoint && !selected && (!resume || status.isComplete)) {
+            // A finished (or explicitly discarded) run starts over from the first stage
+            await this.checkpointStore.clear(uuid);
+            checkpoint = null;
+        } else if (checkpoint && !selected) {
+            this.logger.info(`⏯️ Resuming ${uuid} after stages: ${status.completed.join(', ') || 'none'}`);
+        }
+
+        const report = [];
+        // Keys produced in this run win over older checkpointed values of the same key
+        const producedThisRun = new Set();
+        for (const stage of this.stages) {
+            const saved = checkpoint?.stages?.[stage.name];
+            const shouldRun = !stage.checkpoint
+                || (selected ? selected.includes(stage.name) : saved?.status !== STAGE_STATUS.COMPLETED);
+
+            if (!shouldRun) {
+                if (saved?.status !== STAGE_STATUS.COMPLETED && stage.optional) {
+                    report.push({ name: stage.name, status: STAGE_STATUS.SKIPPED, durationMs: 0 });
+                    continue;
+                }
+                if (saved?.status !== STAGE_STATUS.COMPLETED) {
+                    throw new Error(`Stage "${stage.name}" has not completed for ${uuid}; run it before rerunning later stages`);
+                }
+                for (const [key, value] of Object.entries(saved.output || {})) {
+                    if (!producedThisRun.has(key)) context[key] = value;
+                }
+                report.push({ name: stage.name, status: STAGE_STATUS.RESTORED, durationMs: 0 });
+                continue;
+            }
+
+            const missing = stage.inputs.filter(key => context[key] === undefined);
+            if (missing.length > 0) {
+                throw new Error(`Stage "${stage.name}" is missing inputs: ${missing.join(', ')}`);
+            }
+
+            const startedAt = new Date().toISOString();
+            const start = Date.now();
+            try {
+                const output = (await stage.run(context)) || {};
+                Object.assign(context, output);
+                Object.keys(output).forEach(key => producedThisRun.add(key));
+
+                if (stage.checkpoint && this.checkpointStore) {
+                    await this.checkpointStore.saveStage(uuid, stage.name, {
+                        status: STAGE_STATUS.COMPLETED,
+                        startedAt,
+                        durationMs: Date.now() - start,
+                        output: this._pick(output, stage.outputs)
+                    });
+                }
+                report.push({ name: stage.name, status: STAGE_STATUS.COMPLETED, durationMs: Date.now() - start });
+            } catch (error) {
+                if (stage.checkpoint && this.checkpointStore) {
+                    await this.checkpointStore.saveStage(uuid, stage.name, {
+                        status: STAGE_STATUS.FAILED,
+                        startedAt,
+                        durationMs: Date.now() - start,
+                        error: error.message
+                    });
+                }
+                report.push({ name: stage.name, status: STAGE_STATUS.FAILED, durationMs: Date.now() - start, error: error.message });
+
+                if (!stage.optional) {
+                    error.stage = stage.name;
+                    throw error;
+                }
+                this.logger.warn(`⚠️ Stage "${stage.name}" failed for ${uuid}, continuing: ${error.message}`);
+            }
+        }
+
+        return { context, stages: report };
+    }
+
+    _pick(output, keys) {
+        const picked = {};
+        for (const key of keys) {
+            if (output[key] !== undefined) picked[key] = output[key];
+        }
+        return picked;
+    }
+}
+
+module.exports = { RecordingPipeline, STAGE_STATUS };
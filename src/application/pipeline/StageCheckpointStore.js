@@ -0,0 +1,71 @@
+/**
+ * StageCheckpointStore
+ *
+ * Persists the result of every pipeline stage per recording UUID under
+ * OUTPUT_DIR/pipeline-checkpoints, one JSON file per recording, so a rerun
+ * can pick up after the last completed stage instead of starting over.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class StageCheckpointStore {
+    constructor({
+        logger,
+        checkpointDir = path.join(process.env.OUTPUT_DIR || './output', 'pipeline-checkpoints')
+    } = {}) {
+        this.logger = logger || console;
+        this.checkpointDir = checkpointDir;
+    }
+
+    /**
+     * Zoom UUIDs contain "/" and "+", so encode them for the file name
+     */
+    _pathFor(uuid) {
+        return path.join(this.checkpointDir, `${encodeURIComponent(uuid)}.json`);
+    }
+
+    /**
+     * The stored checkpoint for a recording, or null if it was never run
+     */
+    async load(uuid) {
+        try {
+            return JSON.parse(await fs.readFile(this._pathFor(uuid), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            this.logger.warn(`⚠️ Ignoring unreadable checkpoint for ${uuid}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record one stage's outcome. `entry` is { status, output?, error?, startedAt, durationMs }.
+     */
+    async saveStage(uuid, stageName, entry) {
+        const checkpoint = (await this.load(uuid)) || { uuid, createdAt: new Date().toISOString(), stages: {} };
+        checkpoint.stages[stageName] = {
+            ...entry,
+            finishedAt: new Date().toISOString()
+        };
+        checkpoint.updatedAt = new Date().toISOString();
+
+        await fs.mkdir(this.checkpointDir, { recursive: true });
+        // Write then rename so a crash mid-write never leaves a truncated checkpoint
+        const target = this._pathFor(uuid);
+        const temp = `${target}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(checkpoint, null, 2));
+        await fs.rename(temp, target);
+
+        return checkpoint;
+    }
+
+    async clear(uuid) {
+        try {
+            await fs.unlink(this._pathFor(uuid));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = { StageCheckpointStore };
@@ -0,0 +1,8 @@
+const { RecordingPipeline, STAGE_STATUS } = require('./RecordingPipeline');
+const { StageCheckpointStore } = require('./StageCheckpointStore');
+
+module.exports = {
+    RecordingPipeline,
+    StageCheckpointStore,
+    STAGE_STATUS
+};
@@ -0,0 +1,372 @@
+/**
+ * ReconciliationEngine
+ *
+ * Matches inventory items from Zoom, Drive, Sheets and local output into one
+ * cluster per recording, then reports what is out of line. Matching runs in
+ * three passes, each only joining what the previous passes left apart:
+ *   1. canonical UUID (every spelling of a Zoom UUID compares equal)
+ *   2. meeting ID plus date (within one day, to absorb timezone shifts)
+ *   3. fuzzy name: coach, student and topic tokens on a nearby date
+ * Passes 2 and 3 never join two clusters that carry different valid UUIDs,
+ * since those are distinct instances of a recurring meeting.
+ */
+
+const { RecordingUuid } = require('../../core/value-objects');
+const { RECONCILED_FILE_TYPES } = require('./ReconciliationInventoryLoader');
+
+const RECONCILIATION_CATEGORIES = {
+    MISSING_IN_DRIVE: 'missing-in-drive',
+    ORPHAN_FOLDER: 'orphan-folder',
+    MISSING_FILE_TYPE: 'missing-file-type',
+    SHEET_ONLY: 'sheet-only',
+    DUPLICATE: 'duplicate'
+};
+
+const MATCH_METHODS = {
+    UUID: 'uuid',
+    MEETING_DATE: 'meeting-id-date',
+    FUZZY_NAME: 'fuzzy-name'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that appear in most names and topics and say nothing about who met
+const GENERIC_NAME_TOKENS = new Set([
+    'coaching', 'gameplan', 'misc', 'trivial', 'show', 'unknown', 'meeting', 'zoom',
+    'session', 'personal', 'room', 'week', 'and', 'with', 'the', 'ivylevel', 'sat'
+]);
+
+class ReconciliationEngine {
+    constructor({ logger, fuzzyThreshold = 0.6, dateToleranceDays = 1 } = {}) {
+        this.logger = logger || console;
+        this.fuzzyThreshold = fuzzyThreshold;
+        this.dateToleranceDays = dateToleranceDays;
+    }
+
+    /**
+     * @param {{ zoom?: Object[], drive?: Object[], sheets?: Object[], local?: Object[] }} inventories
+     * @returns {{ recordings: Object[], findings: Object[], summary: Object }}
+     */
+    reconcile({ zoom = [], drive = [], sheets = [], local = [] } = {}) {
+        const shortcuts = drive.filter(item => item.kind === 'shortcut');
+        const items = [...zoom, ...drive.filter(item => item.kind !== 'shortcut'), ...sheets, ...local];
+
+        const clusters = items.map((item, index) => this._createCluster(index, item));
+        this._matchByUuid(clusters);
+        this._matchByMeetingAndDate(clusters);
+        this._matchByFuzzyName(clusters);
+
+        const recordings = clusters.filter(cluster => !cluster.mergedInto).map(cluster => this._toRecording(cluster));
+        const findings = [
+            ...recordings.flatMap(recording => this._findingsFor(recording)),
+            ...this._orphanShortcuts(shortcuts, recordings)
+        ];
+
+        return {
+            recordings,
+            findings,
+            summary: this._summarize({ zoom, drive, sheets, local, shortcuts }, recordings, findings)
+        };
+    }
+
+    _createCluster(id, item) {
+        const uuid = RecordingUuid.tryParse(item.uuid);
+        return {
+            id,
+            items: [item],
+            uuids: new Set(uuid?.isValid() ? [uuid.toBase64()] : []),
+            opaqueIds: new Set(uuid && !uuid.isValid() ? [uuid.toBase64()] : []),
+            meetingIds: new Set(item.meetingId ? [String(item.meetingId)] : []),
+            dates: new Set(item.date ? [item.date] : []),
+            sources: new Set([item.source]),
+            tokens: ReconciliationEngine.nameTokens(item),
+            matchedBy: new Set(),
+            confidence: 1,
+            mergedInto: null
+        };
+    }
+
+    _merge(target, other, method, confidence = 1) {
+        target.items.push(...other.items);
+        for (const key of ['uuids', 'opaqueIds', 'meetingIds', 'dates', 'sources', 'tokens', 'matchedBy']) {
+            other[key].forEach(value => target[key].add(value));
+        }
+        target.matchedBy.add(method);
+        target.confidence = Math.min(target.confidence, other.confidence, confidence);
+        other.mergedInto = target;
+    }
+
+    _root(cluster) {
+        let current = cluster;
+        while (current.mergedInto) current = current.mergedInto;
+        return current;
+    }
+
+    /**
+     * Clusters carrying two different real UUIDs are different recordings
+     */
+    _conflicts(a, b) {
+        if (a.uuids.size === 0 || b.uuids.size === 0) return false;
+        return ![...a.uuids].some(uuid => b.uuids.has(uuid));
+    }
+
+    _matchByUuid(clusters) {
+        const byKey = new Map();
+        for (const cluster of clusters) {
+            const [key] = [...cluster.uuids, ...cluster.opaqueIds];
+            if (!key) continue;
+            if (byKey.has(key)) {
+                this._merge(this._root(byKey.get(key)), cluster, MATCH_METHODS.UUID);
+            } else {
+                byKey.set(key, cluster);
+            }
+        }
+    }
+
+    _matchByMeetingAndDate(clusters) {
+        const byMeeting = new Map();
+        for (const cluster of clusters) {
+            if (cluster.mergedInto) continue;
+            for (const meetingId of cluster.meetingIds) {
+                if (!byMeeting.has(meetingId)) byMeeting.set(meetingId, []);
+                byMeeting.get(meetingId).push(cluster);
+            }
+        }
+
+        for (const group of byMeeting.values()) {
+            // Same-day pairs first so a recording joins its closest match
+            const pairs = [];
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const distance = this._dateDistance(group[i], group[j]);
+                    if (distance !== null && distance <= this.dateToleranceDays) pairs.push([distance, group[i], group[j]]);
+                }
+            }
+            pairs.sort((a, b) => a[0] - b[0]);
+
+            for (const [, first, second] of pairs) {
+                const a = this._root(first);
+                const b = this._root(second);
+                if (a !== b && !this._conflicts(a, b)) this._merge(a, b, MATCH_METHODS.MEETING_DATE);
+            }
+        }
+    }
+
+    /**
+     * Join a cluster to the single best-scoring cluster from other sources on a
+     * nearby date. Ties are left unmatched rather than guessed.
+     */
+    _matchByFuzzyName(clusters) {
+        const byDate = new Map();
+        for (const cluster of clusters) {
+            if (cluster.mergedInto || cluster.tokens.size === 0) continue;
+            for (const date of cluster.dates) {
+                if (!byDate.has(date)) byDate.set(date, []);
+                byDate.get(date).push(cluster);
+            }
+        }
+
+        for (const cluster of clusters) {
+            if (cluster.mergedInto || cluster.tokens.size === 0) continue;
+
+            const candidates = new Set();
+            for (const date of cluster.dates) {
+                for (let offset = -this.dateToleranceDays; offset <= this.dateToleranceDays; offset++) {
+                    (byDate.get(this._shiftDate(date, offset)) || []).forEach(candidate => candidates.add(this._root(candidate)));
+                }
+            }
+
+            let best = null;
+            let bestScore = 0;
+            let tied = false;
+            for (const candidate of candidates) {
+                if (candidate === cluster || this._conflicts(cluster, candidate)) continue;
+                if ([...candidate.sources].some(source => cluster.sources.has(source))) continue;
+
+                const score = ReconciliationEngine.similarity(cluster.tokens, candidate.tokens);
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                    tied = false;
+                } else if (score === bestScore && score > 0) {
+                    tied = true;
+                }
+            }
+
+            if (best && !tied && bestScore >= this.fuzzyThreshold) {
+                this._merge(best, cluster, MATCH_METHODS.FUZZY_NAME, Number(bestScore.toFixed(2)));
+            }
+        }
+    }
+
+    _dateDistance(a, b) {
+        let distance = null;
+        for (const first of a.dates) {
+            for (const second of b.dates) {
+                const days = Math.abs(new Date(first) - new Date(second)) / DAY_MS;
+                if (distance === null || days < distance) distance = days;
+            }
+        }
+        return distance;
+    }
+
+    _shiftDate(date, days) {
+        const shifted = new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS);
+        return Number.isNaN(shifted.getTime()) ? date : shifted.toISOString().slice(0, 10);
+    }
+
+    _toRecording(cluster) {
+        const bySource = source => cluster.items.filter(item => item.source === source);
+        const [uuid] = cluster.uuids.size > 0 ? cluster.uuids : cluster.opaqueIds;
+        const [meetingId] = cluster.meetingIds;
+        const date = [...cluster.dates].sort()[0] || null;
+        const named = cluster.items.find(item => item.coach) || cluster.items.find(item => item.name) || cluster.items[0];
+
+        return {
+            key: uuid || (meetingId ? `M:${meetingId}@${date}` : `${cluster.items[0].source}:${cluster.items[0].ref}`),
+            uuid: uuid || null,
+            meetingId: meetingId || null,
+            date,
+            name: named.name || null,
+            sources: [...cluster.sources].sort(),
+            matchedBy: [...cluster.matchedBy],
+            confidence: cluster.confidence,
+            zoom: bySource('zoom'),
+            drive: bySource('drive'),
+            sheets: bySource('sheets'),
+            local: bySource('local')
+        };
+    }
+
+    _findingsFor(recording) {
+        const findings = [];
+        const finding = (category, detail, refs) => ({
+            category,
+            key: recording.key,
+            uuid: recording.uuid,
+            meetingId: recording.meetingId,
+            date: recording.date,
+            name: recording.name,
+            sources: recording.sources,
+            matchedBy: recording.matchedBy,
+            confidence: recording.confidence,
+            detail,
+            refs
+        });
+        const refsOf = items => items.map(item => item.ref);
+        const folders = recording.drive;
+
+        if (folders.length > 1) {
+            findings.push({
+                ...finding(RECONCILIATION_CATEGORIES.DUPLICATE, `${folders.length} Drive folders for one recording`, refsOf(folders)),
+                scope: 'drive'
+            });
+        }
+        const rowsByTab = new Map();
+        for (const row of recording.sheets) {
+            const tab = row.details?.tab || 'unknown';
+            rowsByTab.set(tab, [...(rowsByTab.get(tab) || []), row]);
+        }
+        for (const [tab, rows] of rowsByTab) {
+            if (rows.length > 1) {
+                findings.push({
+                    ...finding(RECONCILIATION_CATEGORIES.DUPLICATE, `${rows.length} rows in "${tab}" for one recording`, refsOf(rows)),
+                    scope: 'sheets'
+                });
+            }
+        }
+
+        const sources = new Set(recording.sources);
+        if (sources.size === 1 && sources.has('sheets')) {
+            findings.push(finding(RECONCILIATION_CATEGORIES.SHEET_ONLY, 'Sheet row with no Zoom recording, Drive folder or local files', refsOf(recording.sheets)));
+        } else if (folders.length === 0) {
+            const seenIn = recording.sources.join(', ');
+            findings.push(finding(RECONCILIATION_CATEGORIES.MISSING_IN_DRIVE, `No Drive folder (seen in ${seenIn})`, refsOf([...recording.zoom, ...recording.sheets, ...recording.local])));
+        } else if (sources.size === 1) {
+            findings.push(finding(RECONCILIATION_CATEGORIES.ORPHAN_FOLDER, 'Drive folder with no Zoom recording, Sheet row or local files', refsOf(folders)));
+        }
+
+        if (folders.length > 0) {
+            const expected = new Set([...recording.zoom, ...recording.local].flatMap(item => item.fileTypes));
+            const present = new Set(folders.flatMap(item => item.fileTypes));
+            const missing = RECONCILED_FILE_TYPES.filter(type => expected.has(type) && !present.has(type));
+            if (missing.length > 0) {
+                findings.push({
+                    ...finding(RECONCILIATION_CATEGORIES.MISSING_FILE_TYPE, `Drive folder is missing: ${missing.join(', ')}`, refsOf(folders)),
+                    missingFileTypes: missing
+                });
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Shortcuts whose target is not a session folder we found
+     */
+    _orphanShortcuts(shortcuts, recordings) {
+        const folderIds = new Set(recordings.flatMap(recording => recording.drive.map(item => item.ref)));
+
+        return shortcuts
+            .filter(shortcut => !folderIds.has(shortcut.details?.targetId))
+            .map(shortcut => ({
+                category: RECONCILIATION_CATEGORIES.ORPHAN_FOLDER,
+                key: RecordingUuid.tryParse(shortcut.uuid)?.toBase64() || `drive:${shortcut.ref}`,
+                uuid: shortcut.uuid || null,
+                meetingId: shortcut.meetingId || null,
+                date: shortcut.date || null,
+                name: shortcut.name || null,
+                sources: ['drive'],
+                matchedBy: [],
+                confidence: 1,
+                detail: `Shortcut points to a missing folder (${shortcut.details?.targetId || 'no target'})`,
+                refs: [shortcut.ref],
+                shortcut: true,
+                targetId: shortcut.details?.targetId || null
+            }));
+    }
+
+    _summarize(inventories, recordings, findings) {
+        const count = (list, key) => list.reduce((totals, entry) => {
+            for (const value of [].concat(entry[key])) totals[value] = (totals[value] || 0) + 1;
+            return totals;
+        }, {});
+
+        return {
+            inventories: {
+                zoom: inventories.zoom.length,
+                driveFolders: inventories.drive.length - inventories.shortcuts.length,
+                driveShortcuts: inventories.shortcuts.length,
+                sheetRows: inventories.sheets.length,
+                local: inventories.local.length
+            },
+            recordings: recordings.length,
+            matchedBy: count(recordings, 'matchedBy'),
+            categories: Object.fromEntries(Object.values(RECONCILIATION_CATEGORIES)
+                .map(category => [category, findings.filter(entry => entry.category === category).length]))
+        };
+    }
+
+    /**
+     * Lower-case name tokens for fuzzy matching (coach, student, topic words)
+     */
+    static nameTokens(item) {
+        const text = [item.coach, item.student, item.topic, item.coach ? null : item.name].filter(Boolean).join(' ');
+        return new Set(text
+            .replace(/M[:_]\d+U[:_]\S*/g, ' ')
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(token => token.length >= 3 && !GENERIC_NAME_TOKENS.has(token)));
+    }
+
+    /**
+     * Jaccard similarity of two token sets
+     */
+    static similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        const shared = [...a].filter(token => b.has(token)).length;
+        return shared / (a.size + b.size - shared);
+    }
+}
+
+module.exports = { ReconciliationEngine, RECONCILIATION_CATEGORIES, MATCH_METHODS };
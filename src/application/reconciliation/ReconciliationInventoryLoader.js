@@ -0,0 +1,300 @@
+/**
+ * ReconciliationInventoryLoader
+ *
+ * Loads what each system knows about our recordings and flattens it into
+ * inventory items the ReconciliationEngine can match:
+ *   - zoom:   recordings listed by the Zoom API for a date range
+ *   - drive:  recording session folders (and shortcuts to them) under the configured roots
+ *   - sheets: every row of every tab in the master index
+ *   - local:  recording directories under OUTPUT_DIR
+ *
+ * Every item has the same shape:
+ *   { source, kind, ref, uuid, meetingId, date, name, topic, coach, student, fileTypes, details }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { StandardizedName } = require('../../core/value-objects');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+
+// File types a recording folder is expected to carry whenever Zoom produced them
+const RECONCILED_FILE_TYPES = ['video', 'audio', 'transcript', 'chat'];
+
+const ZOOM_FILE_TYPES = {
+    MP4: 'video',
+    M4A: 'audio',
+    TRANSCRIPT: 'transcript',
+    CHAT: 'chat',
+    TIMELINE: 'timeline'
+};
+
+class ReconciliationInventoryLoader {
+    constructor({
+        logger,
+        config,
+        zoomService = null,
+        googleDriveService = null,
+        googleSheetsService = null,
+        outputDir = process.env.OUTPUT_DIR || './output'
+    } = {}) {
+        this.logger = logger || console;
+        this.config = config || {};
+        this.zoomService = zoomService;
+        this.googleDriveService = googleDriveService;
+        this.googleSheetsService = googleSheetsService;
+        this.outputDir = outputDir;
+    }
+
+    /**
+     * Load the requested inventories. Sources left out come back as empty lists.
+     * @param {Object} options
+     * @param {string[]} [options.sources] - any of 'zoom', 'drive', 'sheets', 'local'
+     * @param {string} [options.from] - Zoom date range start (YYYY-MM-DD)
+     * @param {string} [options.to] - Zoom date range end (YYYY-MM-DD)
+     * @param {string[]} [options.rootFolderIds] - Drive folders to walk (defaults to the configured roots)
+     */
+    async loadAll({ sources = ['zoom', 'drive', 'sheets', 'local'], from, to, rootFolderIds } = {}) {
+        const inventories = { zoom: [], drive: [], sheets: [], local: [] };
+
+        if (sources.includes('zoom')) inventories.zoom = await this.loadZoom({ from, to });
+        if (sources.includes('drive')) inventories.drive = await this.loadDrive({ rootFolderIds });
+        if (sources.includes('sheets')) inventories.sheets = await this.loadSheets();
+        if (sources.includes('local')) inventories.local = await this.loadLocal();
+
+        return inventories;
+    }
+
+    async loadZoom({ from, to } = {}) {
+        if (!this.zoomService) throw new Error('Zoom inventory requires zoomService');
+        if (!from || !to) throw new Error('Zoom inventory requires a from and to date');
+
+        this.logger.info(`🔎 Loading Zoom inventory ${from} → ${to}`);
+        const recordings = await this.zoomService.getAllRecordings(from, to);
+
+        const items = recordings.map(recording => ({
+            source: 'zoom',
+            kind: 'recording',
+            ref: recording.uuid,
+            uuid: recording.uuid,
+            meetingId: recording.id ? String(recording.id) : null,
+            date: ReconciliationInventoryLoader.toDate(recording.start_time),
+            name: recording.topic || null,
+            topic: recording.topic || null,
+            coach: null,
+            student: null,
+            fileTypes: [...new Set((recording.recording_files || [])
+                .map(ReconciliationInventoryLoader.zoomFileType)
+                .filter(Boolean))],
+            details: {
+                hostEmail: recording.host_email || null,
+                startTime: recording.start_time || null,
+                duration: recording.duration || null
+            }
+        }));
+
+        this.logger.info(`🔎 Zoom inventory: ${items.length} recordings`);
+        return items;
+    }
+
+    /**
+     * Walk the Drive tree below the roots. A folder whose name carries a recording
+     * identity is a session folder: its files are listed and the walk stops there.
+     */
+    async loadDrive({ rootFolderIds = this.defaultRootFolderIds(), maxDepth = 6 } = {}) {
+        if (!this.googleDriveService) throw new Error('Drive inventory requires googleDriveService');
+        if (rootFolderIds.length === 0) throw new Error('No Drive root folders configured');
+
+        this.logger.info(`🔎 Loading Drive inventory from ${rootFolderIds.length} root folder(s)`);
+        const items = [];
+        const visited = new Set();
+        const queue = rootFolderIds.map(id => ({ id, path: id, depth: 0 }));
+
+        while (queue.length > 0) {
+            const folder = queue.shift();
+            if (visited.has(folder.id)) continue;
+            visited.add(folder.id);
+
+            const children = await this.googleDriveService.listFolder(folder.id);
+            for (const child of children) {
+                const identity = ReconciliationInventoryLoader.identityFromName(child.name);
+                const childPath = `${folder.path}/${child.name}`;
+
+                if (child.mimeType === SHORTCUT_MIME_TYPE) {
+                    if (identity && child.shortcutDetails?.targetMimeType === FOLDER_MIME_TYPE) {
+                        items.push(this._driveItem('shortcut', child, identity, {
+                            parentId: folder.id,
+                            path: childPath,
+                            targetId: child.shortcutDetails.targetId
+                        }));
+                    }
+                } else if (child.mimeType === FOLDER_MIME_TYPE) {
+                    if (identity) {
+                        const files = (await this.googleDriveService.listFolder(child.id))
+                            .filter(file => file.mimeType !== FOLDER_MIME_TYPE);
+                        items.push(this._driveItem('folder', child, identity, {
+                            parentId: folder.id,
+                            path: childPath,
+                            webViewLink: child.webViewLink || null,
+                            files: files.map(file => ({ id: file.id, name: file.name, size: file.size || null }))
+                        }, files.map(file => file.name)));
+                    } else if (folder.depth < maxDepth) {
+                        queue.push({ id: child.id, path: childPath, depth: folder.depth + 1 });
+                    }
+                }
+            }
+        }
+
+        this.logger.info(`🔎 Drive inventory: ${items.filter(item => item.kind === 'folder').length} session folders, ${items.filter(item => item.kind === 'shortcut').length} shortcuts`);
+        return items;
+    }
+
+    async loadSheets() {
+        if (!this.googleSheetsService) throw new Error('Sheets inventory requires googleSheetsService');
+
+        this.logger.info('🔎 Loading Sheets inventory from every tab');
+        const rows = await this.googleSheetsService.getAllTabRecords();
+
+        const items = rows
+            .filter(({ record }) => record.uuid || record.meetingId)
+            .map(({ tabName, kind, dataSource, row, record }) => {
+                const parsed = record.standardizedName ? StandardizedName.tryParse(record.standardizedName) : null;
+                return {
+                    source: 'sheets',
+                    kind: 'row',
+                    ref: `${tabName}!${row}`,
+                    uuid: record.uuid || null,
+                    meetingId: record.meetingId ? String(record.meetingId) : null,
+                    date: ReconciliationInventoryLoader.toDate(record.recordingDate || record.startTime),
+                    name: record.standardizedName || record.topic || record.meetingTopic || null,
+                    topic: record.topic || record.meetingTopic || null,
+                    coach: parsed?.name.coach || null,
+                    student: parsed?.name.student || null,
+                    fileTypes: [],
+                    details: {
+                        tab: tabName,
+                        row,
+                        rowKind: kind,
+                        dataSource,
+                        driveFolderId: record.driveFolderId || null,
+                        driveLink: record.driveLink || null
+                    }
+                };
+            });
+
+        this.logger.info(`🔎 Sheets inventory: ${items.length} rows`);
+        return items;
+    }
+
+    async loadLocal({ outputDir = this.outputDir } = {}) {
+        let entries;
+        try {
+            entries = await fs.readdir(outputDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.logger.warn(`⚠️ Local output directory not found: ${outputDir}`);
+                return [];
+            }
+            throw error;
+        }
+
+        const items = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const identity = ReconciliationInventoryLoader.identityFromName(entry.name);
+            if (!identity) continue;
+
+            const directory = path.join(outputDir, entry.name);
+            const files = await fs.readdir(directory);
+            items.push({
+                source: 'local',
+                kind: 'directory',
+                ref: directory,
+                ...identity,
+                topic: null,
+                fileTypes: ReconciliationInventoryLoader.fileTypesOf(files),
+                details: { directory, files }
+            });
+        }
+
+        this.logger.info(`🔎 Local inventory: ${items.length} recording directories`);
+        return items;
+    }
+
+    /**
+     * The configured recordings root, or the category roots when it is not set
+     */
+    defaultRootFolderIds() {
+        const drive = this.config.google?.drive || {};
+        if (drive.recordingsRootFolderId) return [drive.recordingsRootFolderId];
+        return [...new Set([drive.coachesFolderId, drive.studentsFolderId, drive.miscFolderId, drive.trivialFolderId].filter(Boolean))];
+    }
+
+    _driveItem(kind, file, identity, details, fileNames = []) {
+        return {
+            source: 'drive',
+            kind,
+            ref: file.id,
+            ...identity,
+            topic: null,
+            fileTypes: ReconciliationInventoryLoader.fileTypesOf(fileNames),
+            details
+        };
+    }
+
+    /**
+     * Recording identity carried by a folder or directory name: a standardized name,
+     * or a bare "M:<id>U:<uuid>" download directory. Null when the name has neither.
+     */
+    static identityFromName(name) {
+        const parsed = StandardizedName.tryParse(name);
+        if (parsed && (parsed.name.uuid || parsed.name.meetingId)) {
+            return {
+                uuid: parsed.name.uuid,
+                meetingId: parsed.name.meetingId,
+                date: parsed.name.date,
+                name,
+                coach: parsed.name.coach,
+                student: parsed.name.student
+            };
+        }
+
+        const bare = String(name || '').match(/(?:^|_)M([:_])(\d+)_?U([:_])(.+)$/);
+        if (!bare) return null;
+        const { uuid } = StandardizedName.splitUuid(bare[4], bare[3] === '_');
+        return { uuid, meetingId: bare[2], date: null, name, coach: null, student: null };
+    }
+
+    static fileTypeOf(fileName) {
+        const lower = String(fileName).toLowerCase();
+        if (lower.endsWith('.mp4')) return 'video';
+        if (lower.endsWith('.m4a')) return 'audio';
+        if (lower.endsWith('.vtt')) return 'transcript';
+        if (lower.endsWith('.txt') && lower.includes('chat')) return 'chat';
+        if (lower.endsWith('.json') && lower.includes('timeline')) return 'timeline';
+        return null;
+    }
+
+    static fileTypesOf(fileNames) {
+        return [...new Set(fileNames.map(ReconciliationInventoryLoader.fileTypeOf).filter(Boolean))];
+    }
+
+    static zoomFileType(file) {
+        if (file.status && file.status !== 'completed') return null;
+        return ZOOM_FILE_TYPES[String(file.file_type || '').toUpperCase()] || null;
+    }
+
+    /**
+     * YYYY-MM-DD from a date or timestamp, or null
+     */
+    static toDate(value) {
+        if (!value) return null;
+        const text = String(value);
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+        const parsed = new Date(text);
+        return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+    }
+}
+
+module.exports = { ReconciliationInventoryLoader, RECONCILED_FILE_TYPES };
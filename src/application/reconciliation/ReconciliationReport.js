@@ -0,0 +1,136 @@
+/**
+ * ReconciliationReport
+ *
+ * Wraps a ReconciliationEngine result and renders it as JSON (full detail),
+ * CSV (one line per finding) or a standalone HTML page grouped by category.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { RECONCILIATION_CATEGORIES } = require('./ReconciliationEngine');
+
+const CSV_COLUMNS = ['category', 'key', 'uuid', 'meetingId', 'date', 'name', 'sources', 'matchedBy', 'confidence', 'detail', 'refs'];
+
+const CATEGORY_TITLES = {
+    [RECONCILIATION_CATEGORIES.MISSING_IN_DRIVE]: 'Missing in Drive',
+    [RECONCILIATION_CATEGORIES.ORPHAN_FOLDER]: 'Orphan folders',
+    [RECONCILIATION_CATEGORIES.MISSING_FILE_TYPE]: 'Missing file types',
+    [RECONCILIATION_CATEGORIES.SHEET_ONLY]: 'Sheet-only rows',
+    [RECONCILIATION_CATEGORIES.DUPLICATE]: 'Duplicates'
+};
+
+class ReconciliationReport {
+    constructor({ recordings = [], findings = [], summary = {} }, { generatedAt = new Date().toISOString(), options = {} } = {}) {
+        this.generatedAt = generatedAt;
+        this.options = options;
+        this.summary = summary;
+        this.findings = findings;
+        this.recordings = recordings;
+    }
+
+    toJSON() {
+        return {
+            generatedAt: this.generatedAt,
+            options: this.options,
+            summary: this.summary,
+            findings: this.findings,
+            recordings: this.recordings.map(recording => ({
+                ...recording,
+                zoom: recording.zoom.map(item => item.ref),
+                drive: recording.drive.map(item => item.ref),
+                sheets: recording.sheets.map(item => item.ref),
+                local: recording.local.map(item => item.ref)
+            }))
+        };
+    }
+
+    toCSV() {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const finding of this.findings) {
+            lines.push(CSV_COLUMNS.map(column => ReconciliationReport.csvCell(finding[column])).join(','));
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    toHTML() {
+        const escape = ReconciliationReport.escapeHtml;
+        const categories = this.summary.categories || {};
+        const sections = Object.values(RECONCILIATION_CATEGORIES).map(category => {
+            const rows = this.findings
+                .filter(finding => finding.category === category)
+                .map(finding => `<tr><td>${escape(finding.date)}</td><td>${escape(finding.name)}</td><td><code>${escape(finding.key)}</code></td>` +
+                    `<td>${escape(finding.sources.join(', '))}</td><td>${escape(finding.matchedBy.join(', '))}</td>` +
+                    `<td>${escape(finding.detail)}</td><td>${finding.refs.map(ref => `<code>${escape(ref)}</code>`).join('<br>')}</td></tr>`)
+                .join('\n');
+            return `<h2 id="${category}">${escape(CATEGORY_TITLES[category])} (${categories[category] || 0})</h2>\n` +
+                (rows
+                    ? `<table>\n<tr><th>Date</th><th>Name</th><th>Key</th><th>Sources</th><th>Matched by</th><th>Detail</th><th>References</th></tr>\n${rows}\n</table>`
+                    : '<p>None</p>');
+        });
+        const inventoryRows = Object.entries(this.summary.inventories || {})
+            .map(([name, total]) => `<tr><td>${escape(name)}</td><td>${total}</td></tr>`)
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Recording reconciliation ${escape(this.generatedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+<h1>Recording reconciliation</h1>
+<p>Generated ${escape(this.generatedAt)} &middot; ${this.summary.recordings || 0} recordings &middot; ${this.findings.length} findings</p>
+<table>
+<tr><th>Inventory</th><th>Items</th></tr>
+${inventoryRows}
+</table>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Write the report in each format to outputDir
+     * @returns {Promise<Object>} path per format
+     */
+    async save(outputDir = 'validation-reports', { formats = ['json', 'csv', 'html'], baseName } = {}) {
+        const name = baseName || `reconciliation-${this.generatedAt.replace(/[:.]/g, '-')}`;
+        const renderers = {
+            json: () => JSON.stringify(this.toJSON(), null, 2),
+            csv: () => this.toCSV(),
+            html: () => this.toHTML()
+        };
+
+        await fs.mkdir(outputDir, { recursive: true });
+        const written = {};
+        for (const format of formats) {
+            if (!renderers[format]) throw new Error(`Unknown report format: ${format}`);
+            written[format] = path.join(outputDir, `${name}.${format}`);
+            await fs.writeFile(written[format], renderers[format]());
+        }
+        return written;
+    }
+
+    static csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = Array.isArray(value) ? value.join('; ') : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = { ReconciliationReport };
@@ -0,0 +1,198 @@
+/**
+ * RepairExecutor
+ *
+ * Applies a RepairPlan through DriveOrganizer and MultiTabGoogleSheetsService.
+ * Dry-run is the default: it only returns the plan's diff. When applied, every
+ * action that succeeds appends the step that reverses it to an undo log
+ * (OUTPUT_DIR/repair-undo/<plan id>.jsonl), and undo(planId) replays that log
+ * newest first. Nothing is deleted outright; Drive items are trashed so undo
+ * can bring them back.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { REPAIR_ACTIONS } = require('./RepairPlanner');
+
+class RepairExecutor {
+    constructor({
+        logger,
+        driveOrganizer,
+        googleSheetsService,
+        recordingSource = null,
+        undoDir = path.join(process.env.OUTPUT_DIR || './output', 'repair-undo')
+    } = {}) {
+        this.logger = logger || console;
+        this.driveOrganizer = driveOrganizer;
+        this.googleSheetsService = googleSheetsService;
+        this.recordingSource = recordingSource;
+        this.undoDir = undoDir;
+    }
+
+    /**
+     * @param {RepairPlan} plan
+     * @param {Object} options
+     * @param {boolean} [options.dryRun=true] - only describe the changes
+     * @returns {Promise<{ planId, dryRun, diff, applied, failed, undoLog }>}
+     */
+    async apply(plan, { dryRun = true } = {}) {
+        const result = { planId: plan.id, dryRun, diff: plan.toDiff(), applied: [], failed: [], undoLog: null };
+        if (dryRun) return result;
+
+        result.undoLog = this._undoLogPath(plan.id);
+        await fs.mkdir(this.undoDir, { recursive: true });
+
+        for (const action of plan.actions) {
+            try {
+                this.logger.info(`🛠️ Applying ${action.type} for ${action.key}`);
+                const undo = await this._applyAction(action);
+                await fs.appendFile(result.undoLog, `${JSON.stringify({ actionId: action.id, type: action.type, key: action.key, appliedAt: new Date().toISOString(), undo })}\n`);
+                result.applied.push({ id: action.id, type: action.type, key: action.key });
+            } catch (error) {
+                this.logger.error(`❌ Repair ${action.type} failed for ${action.key}: ${error.message}`);
+                result.failed.push({ id: action.id, type: action.type, key: action.key, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Reverse an applied plan from its undo log, newest action first. Steps that
+     * were undone are dropped from the log; failed ones stay so undo can be rerun.
+     */
+    async undo(planId) {
+        const logPath = this._undoLogPath(planId);
+        const entries = (await fs.readFile(logPath, 'utf8'))
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+
+        const undone = [];
+        const remaining = [];
+        for (const entry of [...entries].reverse()) {
+            try {
+                this.logger.info(`↩️ Undoing ${entry.type} for ${entry.key}`);
+                await this._applyUndo(entry.undo);
+                undone.push({ id: entry.actionId, type: entry.type, key: entry.key });
+            } catch (error) {
+                this.logger.error(`❌ Undo of ${entry.type} failed for ${entry.key}: ${error.message}`);
+                remaining.unshift(entry);
+            }
+        }
+
+        if (remaining.length === 0) {
+            await fs.rename(logPath, logPath.replace(/\.jsonl$/, '.undone.jsonl'));
+        } else {
+            await fs.writeFile(logPath, remaining.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        }
+
+        return { planId, undone, failed: remaining.map(entry => ({ id: entry.actionId, type: entry.type, key: entry.key })) };
+    }
+
+    /**
+     * Run one action and return the step that reverses it
+     */
+    async _applyAction({ type, params }) {
+        switch (type) {
+        case REPAIR_ACTIONS.MERGE_FOLDERS: {
+            const merged = await this.driveOrganizer.mergeSessionFolders(params.keepFolder.id, params.duplicateFolder.id);
+            return { op: 'unmerge-folders', ...merged };
+        }
+
+        case REPAIR_ACTIONS.REUPLOAD_FILE: {
+            const fileIds = await this._upload(params, { [params.fileType]: params.localPath });
+            return { op: 'trash', fileIds };
+        }
+
+        case REPAIR_ACTIONS.REDOWNLOAD_FROM_ZOOM: {
+            if (!this.recordingSource) throw new Error('Re-downloading needs a Zoom recording source');
+            const recording = await this.recordingSource.fetchMetadata(params.uuid);
+            const download = await this.recordingSource.fetchFiles(recording, {
+                skipVideo: !params.fileTypes.includes('video'),
+                skipAudio: !params.fileTypes.includes('audio')
+            });
+            const files = Object.fromEntries(params.fileTypes
+                .filter(fileType => download.files[fileType])
+                .map(fileType => [fileType, download.files[fileType]]));
+            const missing = params.fileTypes.filter(fileType => !files[fileType]);
+            if (missing.length === params.fileTypes.length) {
+                throw new Error(`Zoom returned none of: ${missing.join(', ')}`);
+            }
+
+            const fileIds = await this._upload(params, files);
+            return { op: 'trash', fileIds };
+        }
+
+        case REPAIR_ACTIONS.ADD_SHEET_ROW: {
+            const result = await this.googleSheetsService.updateMasterSpreadsheet({
+                original: {
+                    uuid: params.uuid,
+                    id: params.meetingId,
+                    topic: params.topic,
+                    start_time: params.startTime,
+                    duration: params.duration,
+                    host_email: params.hostEmail,
+                    dataSource: params.dataSource
+                },
+                processed: {
+                    standardizedName: params.standardizedName,
+                    driveFolder: params.driveFolder,
+                    driveFolderId: params.driveFolderId,
+                    driveLink: params.driveLink
+                }
+            }, 'Reprocessing');
+            // An existing row was updated in place; there is nothing to take back out
+            return result.action === 'added'
+                ? { op: 'remove-sheet-row', uuid: params.uuid, dataSource: params.dataSource }
+                : { op: 'none' };
+        }
+
+        case REPAIR_ACTIONS.DELETE_SHORTCUT:
+            await this.driveOrganizer.trashItems([params.shortcutId]);
+            return { op: 'restore', fileIds: [params.shortcutId] };
+
+        default:
+            throw new Error(`Unknown repair action: ${type}`);
+        }
+    }
+
+    async _applyUndo(undo) {
+        switch (undo.op) {
+        case 'unmerge-folders':
+            return this.driveOrganizer.unmergeSessionFolders(undo);
+        case 'trash':
+            return this.driveOrganizer.trashItems(undo.fileIds);
+        case 'restore':
+            return this.driveOrganizer.restoreItems(undo.fileIds);
+        case 'remove-sheet-row':
+            return this.googleSheetsService.removeRecording(undo.uuid, undo.dataSource);
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown undo step: ${undo.op}`);
+        }
+    }
+
+    /**
+     * Upload through DriveOrganizer so files get the folder's standardized names.
+     * uploadRecordingFiles() logs and skips files it cannot upload, so check the result.
+     */
+    async _upload(params, files) {
+        const uploaded = await this.driveOrganizer.uploadRecordingFiles(
+            { id: params.uuid, uuid: params.uuid, topic: params.folder.name },
+            files,
+            { id: params.folder.id, name: params.folder.name }
+        );
+        const fileIds = Object.values(uploaded).map(file => file.id);
+        if (fileIds.length === 0) {
+            throw new Error(`No files were uploaded to ${params.folder.name}`);
+        }
+        return fileIds;
+    }
+
+    _undoLogPath(planId) {
+        return path.join(this.undoDir, `${planId}.jsonl`);
+    }
+}
+
+module.exports = { RepairExecutor };
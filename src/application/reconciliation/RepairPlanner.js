@@ -0,0 +1,253 @@
+/**
+ * RepairPlanner
+ *
+ * Turns a ReconciliationEngine result into concrete repair actions:
+ *   - merge-folders:        move a duplicate session folder's files into the kept folder
+ *   - reupload-file:        upload a file we still have locally to the existing session folder
+ *   - redownload-from-zoom: fetch file types Zoom still has and upload them to the session folder
+ *   - add-sheet-row:        add the missing Sheet row for a recording that is in Drive
+ *   - delete-shortcut:      trash a shortcut whose target folder is gone
+ *
+ * Findings with no safe automatic fix are listed under `skipped` with the reason.
+ * A plan is self-contained (ids, names and paths are copied in), so it can be
+ * saved, reviewed as a diff and applied later by RepairExecutor.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { StandardizedName } = require('../../core/value-objects');
+const { RECONCILIATION_CATEGORIES } = require('./ReconciliationEngine');
+const { ReconciliationInventoryLoader } = require('./ReconciliationInventoryLoader');
+
+const REPAIR_ACTIONS = {
+    MERGE_FOLDERS: 'merge-folders',
+    REUPLOAD_FILE: 'reupload-file',
+    REDOWNLOAD_FROM_ZOOM: 'redownload-from-zoom',
+    ADD_SHEET_ROW: 'add-sheet-row',
+    DELETE_SHORTCUT: 'delete-shortcut'
+};
+
+// Diff marker per action: + adds to Drive/Sheets, - removes, ~ rearranges
+const DIFF_MARKERS = {
+    [REPAIR_ACTIONS.MERGE_FOLDERS]: '~',
+    [REPAIR_ACTIONS.REUPLOAD_FILE]: '+',
+    [REPAIR_ACTIONS.REDOWNLOAD_FROM_ZOOM]: '+',
+    [REPAIR_ACTIONS.ADD_SHEET_ROW]: '+',
+    [REPAIR_ACTIONS.DELETE_SHORTCUT]: '-'
+};
+
+class RepairPlan {
+    constructor({ id, createdAt, actions = [], skipped = [] } = {}) {
+        this.createdAt = createdAt || new Date().toISOString();
+        this.id = id || `repair-${this.createdAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+        this.actions = actions;
+        this.skipped = skipped;
+    }
+
+    static fromJSON(json) {
+        return new RepairPlan(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            createdAt: this.createdAt,
+            actions: this.actions,
+            skipped: this.skipped
+        };
+    }
+
+    /**
+     * Human-readable diff of what applying the plan would change
+     */
+    toDiff() {
+        const lines = [`Repair plan ${this.id}: ${this.actions.length} action(s), ${this.skipped.length} skipped`, ''];
+
+        for (const action of this.actions) {
+            lines.push(`${DIFF_MARKERS[action.type]} ${action.type.padEnd(22)} ${action.key}`);
+            lines.push(...RepairPlan.describe(action).map(line => `    ${line}`));
+        }
+
+        if (this.skipped.length > 0) {
+            lines.push('', '# skipped (needs manual review)');
+            for (const entry of this.skipped) {
+                lines.push(`  ${entry.category.padEnd(18)} ${entry.key}: ${entry.reason}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    static describe(action) {
+        const { params } = action;
+        switch (action.type) {
+        case REPAIR_ACTIONS.MERGE_FOLDERS:
+            return [
+                `keep   ${params.keepFolder.name} (${params.keepFolder.id})`,
+                `merge  ${params.duplicateFolder.name} (${params.duplicateFolder.id}) -> trashed once its files move`
+            ];
+        case REPAIR_ACTIONS.REUPLOAD_FILE:
+            return [`${params.fileType}  ${params.localPath} -> ${params.folder.name} (${params.folder.id})`];
+        case REPAIR_ACTIONS.REDOWNLOAD_FROM_ZOOM:
+            return [`${params.fileTypes.join(', ')} from Zoom ${params.uuid} -> ${params.folder.name} (${params.folder.id})`];
+        case REPAIR_ACTIONS.ADD_SHEET_ROW:
+            return [`${params.standardizedName || params.topic} -> ${params.dataSource} tabs (folder ${params.driveFolderId})`];
+        case REPAIR_ACTIONS.DELETE_SHORTCUT:
+            return [`${params.name} (${params.shortcutId}) -> target ${params.targetId || 'none'} is missing`];
+        default:
+            return [JSON.stringify(params)];
+        }
+    }
+}
+
+class RepairPlanner {
+    constructor({ logger } = {}) {
+        this.logger = logger || console;
+    }
+
+    /**
+     * @param {{ recordings: Object[], findings: Object[] }} reconciliation - ReconciliationEngine.reconcile() result
+     * @returns {RepairPlan}
+     */
+    plan({ recordings = [], findings = [] }) {
+        const byKey = new Map(recordings.map(recording => [recording.key, recording]));
+        const actions = [];
+        const skipped = [];
+        const add = (type, recording, params) => actions.push({ id: `${actions.length + 1}`, type, key: recording.key, params });
+        const skip = (finding, reason) => skipped.push({ category: finding.category, key: finding.key, reason });
+
+        for (const finding of findings) {
+            const recording = byKey.get(finding.key);
+
+            switch (finding.category) {
+            case RECONCILIATION_CATEGORIES.DUPLICATE:
+                if (finding.scope === 'drive') {
+                    this._planMerge(recording, add);
+                } else {
+                    skip(finding, `${finding.detail}; remove the extra rows by hand`);
+                }
+                break;
+
+            case RECONCILIATION_CATEGORIES.MISSING_FILE_TYPE:
+                this._planMissingFiles(recording, finding, add, skip);
+                break;
+
+            case RECONCILIATION_CATEGORIES.ORPHAN_FOLDER:
+                if (finding.shortcut) {
+                    add(REPAIR_ACTIONS.DELETE_SHORTCUT, { key: finding.key }, {
+                        shortcutId: finding.refs[0],
+                        name: finding.name,
+                        targetId: finding.targetId
+                    });
+                } else {
+                    skip(finding, 'Drive folder with nothing else pointing at it; review before deleting');
+                }
+                break;
+
+            case RECONCILIATION_CATEGORIES.MISSING_IN_DRIVE:
+                skip(finding, 'No session folder to repair; reprocess the recording through the pipeline');
+                break;
+
+            default:
+                skip(finding, finding.detail);
+            }
+        }
+
+        for (const recording of recordings) {
+            const row = this._missingSheetRow(recording);
+            if (row) add(REPAIR_ACTIONS.ADD_SHEET_ROW, recording, row);
+        }
+
+        const plan = new RepairPlan({ actions, skipped });
+        this.logger.info(`🛠️ Repair plan ${plan.id}: ${actions.length} action(s), ${skipped.length} skipped`);
+        return plan;
+    }
+
+    _planMerge(recording, add) {
+        const keep = this._keepFolder(recording.drive);
+        for (const folder of recording.drive.filter(item => item !== keep)) {
+            add(REPAIR_ACTIONS.MERGE_FOLDERS, recording, {
+                keepFolder: this._folderRef(keep),
+                duplicateFolder: this._folderRef(folder)
+            });
+        }
+    }
+
+    /**
+     * Each missing type is re-uploaded from local output when we still have it,
+     * otherwise downloaded again from Zoom (one action for all such types)
+     */
+    _planMissingFiles(recording, finding, add, skip) {
+        const folder = this._folderRef(this._keepFolder(recording.drive));
+        const fromZoom = [];
+
+        for (const fileType of finding.missingFileTypes || []) {
+            const localPath = this._localFile(recording.local, fileType);
+            if (localPath) {
+                add(REPAIR_ACTIONS.REUPLOAD_FILE, recording, { uuid: recording.uuid, fileType, localPath, folder });
+            } else if (recording.zoom.some(item => item.fileTypes.includes(fileType))) {
+                fromZoom.push(fileType);
+            } else {
+                skip(finding, `No local or Zoom copy of the ${fileType} file`);
+            }
+        }
+
+        if (fromZoom.length > 0) {
+            add(REPAIR_ACTIONS.REDOWNLOAD_FROM_ZOOM, recording, {
+                uuid: recording.zoom[0].uuid,
+                meetingId: recording.meetingId,
+                fileTypes: fromZoom,
+                folder
+            });
+        }
+    }
+
+    /**
+     * Row values for a recording that has a session folder and a Zoom or local
+     * source but no Sheet row at all; null when nothing is missing
+     */
+    _missingSheetRow(recording) {
+        if (recording.sheets.length > 0 || recording.drive.length === 0 || !recording.uuid) return null;
+        if (recording.zoom.length === 0 && recording.local.length === 0) return null;
+
+        const folder = this._keepFolder(recording.drive);
+        const name = StandardizedName.tryParse(folder.name)?.name;
+        const zoom = recording.zoom[0];
+
+        return {
+            uuid: recording.uuid,
+            meetingId: recording.meetingId,
+            topic: zoom?.topic || folder.name,
+            startTime: zoom?.details?.startTime || recording.date,
+            duration: zoom?.details?.duration || null,
+            hostEmail: zoom?.details?.hostEmail || null,
+            dataSource: name?.dataSource || (zoom ? 'zoom-api' : 'local-folder'),
+            standardizedName: name ? name.toString() : folder.name,
+            driveFolder: folder.name,
+            driveFolderId: folder.ref,
+            driveLink: folder.details?.webViewLink || `https://drive.google.com/drive/folders/${folder.ref}`
+        };
+    }
+
+    /**
+     * The folder to keep among duplicates: most file types, then most files
+     */
+    _keepFolder(folders) {
+        return [...folders].sort((a, b) => (b.fileTypes.length - a.fileTypes.length)
+            || ((b.details?.files?.length || 0) - (a.details?.files?.length || 0)))[0];
+    }
+
+    _folderRef(folder) {
+        return { id: folder.ref, name: folder.name };
+    }
+
+    _localFile(localItems, fileType) {
+        for (const item of localItems) {
+            const file = (item.details?.files || []).find(name => ReconciliationInventoryLoader.fileTypeOf(name) === fileType);
+            if (file) return path.join(item.details.directory, file);
+        }
+        return null;
+    }
+}
+
+module.exports = { RepairPlanner, RepairPlan, REPAIR_ACTIONS };
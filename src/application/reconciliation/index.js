@@ -0,0 +1,18 @@
+const { ReconciliationInventoryLoader, RECONCILED_FILE_TYPES } = require('./ReconciliationInventoryLoader');
+const { ReconciliationEngine, RECONCILIATION_CATEGORIES, MATCH_METHODS } = require('./ReconciliationEngine');
+const { ReconciliationReport } = require('./ReconciliationReport');
+const { RepairPlanner, RepairPlan, REPAIR_ACTIONS } = require('./RepairPlanner');
+const { RepairExecutor } = require('./RepairExecutor');
+
+module.exports = {
+    ReconciliationInventoryLoader,
+    ReconciliationEngine,
+    ReconciliationReport,
+    RepairPlanner,
+    RepairPlan,
+    RepairExecutor,
+    RECONCILIATION_CATEGORIES,
+    RECONCILED_FILE_TYPES,
+    MATCH_METHODS,
+    REPAIR_ACTIONS
+};
@@ -0,0 +1,128 @@
+const { ManualOverrideRegistry } = require('../../infrastructure/services/ManualOverrideRegistry');
+const { REHOME_STEPS } = require('./RecordingRehomer');
+const { StandardizedName } = require('../../core/value-objects');
+
+/**
+ * Records manual overrides and brings the affected recordings in line with
+ * them: the name is rebuilt with the overridden components, the recording is
+ * re-homed under it (see RecordingRehomer) and the local recording state is
+ * updated.
+ */
+class ManualOverrideService {
+    constructor({ logger, manualOverrideRegistry, recordingRehomer, recordingStateStore = null }) {
+        this.logger = logger || console;
+        this.registry = manualOverrideRegistry || ManualOverrideRegistry.getDefault();
+        this.recordingRehomer = recordingRehomer;
+        this.recordingStateStore = recordingStateStore;
+    }
+
+    /**
+     * Add or update an override, save it and (unless apply is false) rename
+     * the recordings it covers. A dry run changes nothing, not even the file.
+     */
+    async addOverride({ uuid, meetingId }, fields, { apply = true, dryRun = false } = {}) {
+        const override = this.registry.set({ uuid, meetingId }, fields);
+        const file = dryRun ? null : await this.registry.save();
+        const recordings = apply ? await this.applyOverride({ uuid, meetingId }, { dryRun }) : [];
+
+        if (dryRun) this.registry.reload();
+        return { override, file, recordings };
+    }
+
+    /**
+     * Re-run naming for every standardized Sheet row the override covers and
+     * re-home the recording under the result
+     * @returns {Promise<Object[]>} one entry per row: previous and new name and what was updated
+     */
+    async applyOverride({ uuid, meetingId }, { dryRun = false } = {}) {
+        const rows = await this.recordingRehomer.findRows(uuid, meetingId);
+        if (rows.length === 0) {
+            this.logger.warn(`No standardized Sheet row found for ${uuid || meetingId}; the override applies next time it is processed`);
+        }
+
+        const results = [];
+        for (const { tabName, row, record } of rows) {
+            const override = this.registry.find({ uuid: record.uuid, meetingId: record.meetingId });
+            const naming = await this.rename(record, override);
+
+            // Week columns only change when the override sets the week
+            const overridesWeek = override?.week !== undefined;
+            const rehomed = await this.recordingRehomer.rehomeRecord(record, {
+                name: naming.standardized,
+                sheetFields: {
+                    nameConfidence: naming.confidence,
+                    nameResolutionMethod: naming.method,
+                    ...(overridesWeek && {
+                        weekNumber: override.week,
+                        weekConfidence: 100,
+                        weekInferenceMethod: 'manual_override'
+                    })
+                },
+                dryRun
+            });
+
+            const renameStep = rehomed.journal.find(entry => entry.step === REHOME_STEPS.RENAME_FOLDER);
+            const result = {
+                uuid: record.uuid,
+                tab: tabName,
+                row,
+                previousName: record.standardizedName,
+                name: naming.standardized,
+                source: naming.source || null,
+                status: rehomed.status,
+                error: rehomed.error,
+                driveRenamed: Boolean(renameStep),
+                renamedFiles: renameStep ? renameStep.renamedFiles : 0,
+                driveMoved: rehomed.journal.some(entry => entry.step === REHOME_STEPS.MOVE_FOLDER),
+                sheetUpdated: rehomed.status === 'committed'
+            };
+            results.push(result);
+            if (rehomed.status !== 'committed') continue;
+
+            if (this.recordingStateStore) {
+                await this.recordingStateStore.upsertRecording(record.uuid, {
+                    standardizedName: naming.standardized,
+                    coach: naming.components.coach,
+                    student: naming.components.student,
+                    ...(overridesWeek && { weekNumber: override.week }),
+                    category: naming.components.sessionType
+                });
+            }
+
+            this.logger.info(`✏️ ${result.previousName || record.uuid} -> ${result.name}`);
+        }
+
+        return results;
+    }
+
+    /**
+     * The row's name with the overridden components swapped in, the way the
+     * fix scripts built their corrected names. A row whose name does not
+     * parse is standardized again from its topic; the standardizer applies
+     * the override itself.
+     */
+    async rename(record, override) {
+        const previous = StandardizedName.tryParse(record.standardizedName)?.name;
+        if (override && previous) {
+            const name = new StandardizedName({
+                ...previous.toJSON(),
+                category: override.sessionType || previous.category,
+                coach: override.coach || previous.coach,
+                student: override.student || previous.student,
+                week: override.week !== undefined ? override.week : previous.week,
+                date: override.date || previous.date
+            });
+            return {
+                standardized: name.toString(),
+                components: { coach: name.coach, student: name.student, week: name.weekNumber, sessionType: name.category },
+                method: 'manual_override',
+                confidence: 100,
+                source: override.source
+            };
+        }
+
+        return this.recordingRehomer.standardize(record);
+    }
+}
+
+module.exports = { ManualOverrideService };
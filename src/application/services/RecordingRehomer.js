@@ -0,0 +1,216 @@
+const { ManualOverrideRegistry } = require('../../infrastructure/services/ManualOverrideRegistry');
+const { StandardizedName } = require('../../core/value-objects');
+const { NotFoundError } = require('../../shared/errors');
+
+const REHOME_STEPS = {
+    RENAME_FOLDER: 'rename-folder',
+    MOVE_FOLDER: 'move-folder',
+    REPAIR_SHORTCUTS: 'repair-shortcuts',
+    UPDATE_SHEET_ROW: 'update-sheet-row'
+};
+
+/**
+ * Re-homes a recording whose standardized name changed: the session folder
+ * and the files named after it are renamed, the folder is moved to the root
+ * and participant folder its new name belongs in (Students, Coaches, MISC or
+ * TRIVIAL), the coach shortcuts to it are repaired and the Sheet row gets the
+ * new name and folder link. The steps run as one transaction: each completed
+ * step is journaled and, if a later one fails, the journal is rolled back.
+ */
+class RecordingRehomer {
+    constructor({ logger, nameStandardizer, driveOrganizer, googleSheetsService }) {
+        this.logger = logger || console;
+        this.nameStandardizer = nameStandardizer;
+        this.driveOrganizer = driveOrganizer;
+        this.googleSheetsService = googleSheetsService;
+    }
+
+    /**
+     * Re-home every standardized Sheet row of a recording, under the given
+     * name or the one the standardizer produces now
+     * @returns {Promise<Object[]>} one rehomeRecord() result per row
+     */
+    async rehome(uuid, { name = null, dryRun = false } = {}) {
+        const rows = await this.findRows(uuid);
+        if (rows.length === 0) throw new NotFoundError('Standardized Sheet row', uuid);
+
+        const results = [];
+        for (const { tabName, row, record } of rows) {
+            const newName = name || (await this.standardize(record)).standardized;
+            results.push({ tab: tabName, row, ...await this.rehomeRecord(record, { name: newName, dryRun }) });
+        }
+        return results;
+    }
+
+    /**
+     * Re-home one Sheet row's recording under a new standardized name
+     * @param {Object} record - standardized Sheet row (see getAllTabRecords)
+     * @param {Object} options
+     * @param {string} options.name - new standardized name
+     * @param {Object} [options.sheetFields] - further Sheet columns to write in the same step
+     * @param {boolean} [options.dryRun=false] - only work out where it would go
+     * @returns {Promise<Object>} the plan plus status ('planned', 'committed' or
+     *   'rolled-back'), the journal of completed steps and, on failure, the error
+     */
+    async rehomeRecord(record, { name, sheetFields = {}, dryRun = false }) {
+        const structure = await this.targetStructure(record, name);
+        const folderId = record.driveFolderId || null;
+        const result = {
+            uuid: record.uuid,
+            previousName: record.standardizedName || null,
+            name,
+            folderId,
+            folderName: structure ? structure.session : this.driveOrganizer.sanitizeFolderName(name),
+            root: structure?.root || null,
+            participant: structure?.participant || null,
+            coachShortcut: structure?.coachPath ? `${structure.coachPath.participant}/${structure.coachPath.subfolder}` : null,
+            dryRun,
+            status: 'planned',
+            journal: [],
+            error: null
+        };
+        if (dryRun) return result;
+
+        try {
+            if (folderId) {
+                const renamed = await this.driveOrganizer.renameSessionFolder(folderId, result.folderName);
+                result.journal.push({ step: REHOME_STEPS.RENAME_FOLDER, folderId, previousName: renamed.previousName, renamedFiles: renamed.renamed.length });
+
+                // An unparseable name says nothing about where the folder belongs; leave it in place
+                if (structure) {
+                    const moved = await this.driveOrganizer.moveSessionFolder(folderId, structure);
+                    if (moved.moved) {
+                        result.journal.push({ step: REHOME_STEPS.MOVE_FOLDER, folderId, previousParentId: moved.previousParents[0], parentId: moved.parentId });
+                    }
+
+                    const shortcuts = await this.driveOrganizer.repairSessionShortcuts(folderId, structure.coachPath);
+                    result.journal.push({ step: REHOME_STEPS.REPAIR_SHORTCUTS, ...shortcuts });
+                }
+            }
+
+            const update = {
+                standardizedName: name,
+                ...(folderId && {
+                    driveFolderId: folderId,
+                    driveLink: `https://drive.google.com/drive/folders/${folderId}`
+                }),
+                // Older rows keep the folder link in Drive Folder; only a name is replaced
+                ...(folderId && !/^https?:/.test(record.driveFolder || '') && { driveFolder: result.folderName }),
+                ...sheetFields,
+                lastUpdated: new Date().toISOString()
+            };
+            const previous = Object.fromEntries(Object.keys(update).map(key => [key, record[key] ?? '']));
+            if (!await this.googleSheetsService.updateRecordingByUUID(record.uuid, update)) {
+                throw new Error(`Sheet row for ${record.uuid} could not be updated`);
+            }
+            result.journal.push({ step: REHOME_STEPS.UPDATE_SHEET_ROW, uuid: record.uuid, previous });
+
+            result.status = 'committed';
+            this.logger.info(`🏠 Re-homed ${result.previousName || record.uuid} -> ${name}`);
+        } catch (error) {
+            this.logger.error(`❌ Re-homing ${record.uuid} failed, rolling back ${result.journal.length} step(s): ${error.message}`);
+            result.error = error.message;
+            result.rollback = await this.rollback(result.journal);
+            result.status = 'rolled-back';
+        }
+
+        return result;
+    }
+
+    /**
+     * Reverse a journal newest step first. Steps that fail to reverse are
+     * reported and the rest are still attempted.
+     */
+    async rollback(journal) {
+        const undone = [];
+        const failed = [];
+
+        for (const entry of [...journal].reverse()) {
+            try {
+                await this._undoStep(entry);
+                undone.push(entry.step);
+            } catch (error) {
+                this.logger.error(`❌ Could not undo ${entry.step}: ${error.message}`);
+                failed.push({ step: entry.step, error: error.message });
+            }
+        }
+
+        return { undone, failed };
+    }
+
+    /**
+     * Where the folder belongs under a new name, using DriveOrganizer's
+     * folder rules; null when the name does not parse
+     */
+    async targetStructure(record, name) {
+        const parsed = StandardizedName.tryParse(name)?.name;
+        if (!parsed) return null;
+
+        return this.driveOrganizer.determineFolderStructure({
+            id: record.meetingId,
+            uuid: record.uuid,
+            topic: record.meetingTopic || name,
+            start_time: record.startTime,
+            duration: Number(record.duration) || undefined
+        }, {
+            category: parsed.category,
+            nameAnalysis: {
+                standardizedName: name,
+                components: { coach: parsed.coach, student: parsed.student, week: parsed.weekNumber, sessionType: parsed.category }
+            }
+        });
+    }
+
+    /**
+     * Standardize a Sheet row again from its topic and recording details
+     */
+    async standardize(record) {
+        return this.nameStandardizer.standardizeName(record.meetingTopic || record.rawName || '', {
+            uuid: record.uuid,
+            id: record.meetingId,
+            start_time: record.startTime || undefined,
+            recordingDate: record.recordingDate || undefined,
+            duration: Number(record.duration) * 60 || 0,
+            host_email: record.hostEmail,
+            dataSource: record.dataSource
+        });
+    }
+
+    /**
+     * Standardized Sheet rows for a UUID (any spelling) or, without one, a meeting ID
+     */
+    async findRows(uuid, meetingId = null) {
+        const uuidKey = ManualOverrideRegistry.uuidKey(uuid);
+        const meetingKey = ManualOverrideRegistry.meetingKey(meetingId);
+
+        return (await this.googleSheetsService.getAllTabRecords()).filter(({ kind, record }) => {
+            if (kind !== 'standardized') return false;
+            return uuidKey
+                ? ManualOverrideRegistry.uuidKey(record.uuid) === uuidKey
+                : Boolean(meetingKey) && ManualOverrideRegistry.meetingKey(record.meetingId) === meetingKey;
+        });
+    }
+
+    async _undoStep(entry) {
+        switch (entry.step) {
+        case REHOME_STEPS.RENAME_FOLDER:
+            await this.driveOrganizer.renameSessionFolder(entry.folderId, entry.previousName);
+            break;
+        case REHOME_STEPS.MOVE_FOLDER:
+            await this.driveOrganizer.restoreSessionFolder(entry.folderId, entry.previousParentId);
+            break;
+        case REHOME_STEPS.REPAIR_SHORTCUTS:
+            await this.driveOrganizer.undoShortcutRepair(entry);
+            break;
+        case REHOME_STEPS.UPDATE_SHEET_ROW:
+            if (!await this.googleSheetsService.updateRecordingByUUID(entry.uuid, entry.previous)) {
+                throw new Error(`Sheet row for ${entry.uuid} could not be restored`);
+            }
+            break;
+        default:
+            throw new Error(`Unknown re-home step: ${entry.step}`);
+        }
+    }
+}
+
+module.exports = { RecordingRehomer, REHOME_STEPS };
@@ -0,0 +1,256 @@
+const { Transcript } = require('../../shared/transcript');
+
+const SPEAKER_ROLES = {
+    COACH: 'coach',
+    STUDENT: 'student',
+    PARENT: 'parent',
+    UNKNOWN: 'unknown'
+};
+
+// How sure each way of recognising a label is
+const METHOD_CONFIDENCE = {
+    name: 1,
+    'alternate-name': 0.9,
+    email: 0.9,
+    'parent-name': 0.9,
+    'family-mapping': 0.8,
+    'first-name': 0.7,
+    'talk-pattern': 0.5
+};
+
+// Zoom falls back to the device name when nobody set a display name
+const DEVICE_LABEL = /\b(iphone|ipad|android|galaxy|pixel|macbook|laptop|desktop|zoom user|unknown speaker|guest)\b/i;
+const PRONOUNS = /\((?:he|she|they|xe|ze)\/[a-z]+(?:\/[a-z]+)?\)/gi;
+const DIRECTIVES = /\b(let's|you should|next week|make sure|i want you to|homework|by (?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))\b/gi;
+
+/**
+ * SpeakerResolver
+ *
+ * Maps the speaker labels Zoom puts in transcripts ("iPhone", "Kavyamridula",
+ * "Leena Shah", "Jenny Duan (she/her)") to the coach, student or parent they
+ * belong to. Labels are matched against the knowledge base: coach and student
+ * names, their alternate names and e-mail handles from the CSVs, parent names,
+ * and the family mappings ("mrs. shah"). Labels that match nobody (device
+ * names, nicknames) are given the coach or student role the session is still
+ * missing from how they talk: coaches ask the questions and set the tasks,
+ * the student answers at length.
+ *
+ * resolve() rewrites each cue with the canonical name and role and keeps the
+ * label Zoom used as originalSpeaker.
+ */
+class SpeakerResolver {
+    constructor({ logger, knowledgeBaseService = null } = {}) {
+        this.logger = logger || console;
+        this.knowledgeBaseService = knowledgeBaseService;
+        this.aliases = null;
+        this.familyData = null;
+    }
+
+    /**
+     * @param {Transcript|string} transcript - parsed transcript or raw content
+     * @param {Object} [hints] - who the session is with, e.g. from name standardization
+     * @param {string} [hints.coach]
+     * @param {string} [hints.student]
+     * @returns {Promise<{ transcript: Transcript, speakers: Object[] }>} speakers are
+     *   { label, name, role, confidence, method, student?, words }
+     */
+    async resolve(transcript, { coach = null, student = null } = {}) {
+        const parsed = transcript instanceof Transcript ? transcript : Transcript.parse(transcript || '');
+        const talk = SpeakerResolver.talkPatterns(parsed);
+        const hints = {
+            coach: await this._canonicalHint(coach, SPEAKER_ROLES.COACH),
+            student: await this._canonicalHint(student, SPEAKER_ROLES.STUDENT)
+        };
+
+        const speakers = [];
+        for (const label of parsed.speakers) {
+            const match = await this.resolveLabel(label, hints);
+            speakers.push({ label, ...(match || { name: label, role: SPEAKER_ROLES.UNKNOWN, method: null }), words: talk.get(label).words });
+        }
+        this._assignByTalkPattern(speakers, talk, hints);
+
+        for (const speaker of speakers) {
+            speaker.confidence = METHOD_CONFIDENCE[speaker.method] || 0;
+        }
+
+        const byLabel = new Map(speakers.map(speaker => [speaker.label, speaker]));
+        const cues = parsed.cues.map(cue => {
+            const speaker = byLabel.get(cue.speaker);
+            return speaker
+                ? { ...cue, speaker: speaker.name, role: speaker.role, originalSpeaker: cue.speaker }
+                : cue;
+        });
+
+        return { transcript: new Transcript(cues, { format: parsed.format }), speakers };
+    }
+
+    /**
+     * The person a single label refers to, preferring the session's coach and
+     * student when a label fits several people
+     * @returns {Promise<{ name, role, method, student? }|null>}
+     */
+    async resolveLabel(label, hints = {}) {
+        const key = SpeakerResolver.normalizeLabel(label);
+        if (!key || SpeakerResolver.isDeviceLabel(label)) return null;
+
+        const aliases = await this._aliases();
+        const tokens = key.split(' ');
+        const candidates = aliases.get(key)
+            || (tokens.length > 1 && aliases.get(`${tokens[0]} ${tokens[tokens.length - 1]}`))
+            || this._familyCandidates(tokens)
+            || (aliases.get(tokens[0]) || []).map(candidate => ({ ...candidate, method: 'first-name' }));
+        if (!candidates || candidates.length === 0) return null;
+
+        const preferred = candidates.find(candidate => matchesHint(candidate, hints));
+        const { name, role, method, student } = preferred || candidates[0];
+        return { name, role, method, ...(student && { student }) };
+    }
+
+    /**
+     * Words, questions and directive phrases per speaker label
+     */
+    static talkPatterns(transcript) {
+        const talk = new Map(transcript.speakers.map(label => [label, { words: 0, cues: 0, questions: 0, directives: 0 }]));
+        for (const cue of transcript.cues) {
+            const stats = talk.get(cue.speaker);
+            if (!stats) continue;
+            stats.cues++;
+            stats.words += cue.text.split(/\s+/).filter(Boolean).length;
+            stats.questions += (cue.text.match(/\?/g) || []).length;
+            stats.directives += (cue.text.match(DIRECTIVES) || []).length;
+        }
+        return talk;
+    }
+
+    /**
+     * Lowercased label without pronouns, device suffixes, e-mail domains or punctuation
+     */
+    static normalizeLabel(label) {
+        return String(label || '')
+            .replace(PRONOUNS, ' ')
+            .replace(/@\S+/, ' ')
+            .replace(/['’]s\b.*$/i, ' ')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    static isDeviceLabel(label) {
+        return DEVICE_LABEL.test(String(label || '')) && !/['’]s\b/i.test(String(label));
+    }
+
+    /**
+     * Labels nobody recognised take the coach and student roles still open:
+     * the one asking and directing most is the coach, the one who talks most
+     * of the rest is the student
+     */
+    _assignByTalkPattern(speakers, talk, hints) {
+        const open = () => speakers.filter(speaker => speaker.role === SPEAKER_ROLES.UNKNOWN);
+        const has = role => speakers.some(speaker => speaker.role === role);
+        const coachScore = speaker => {
+            const stats = talk.get(speaker.label);
+            return stats.questions * 2 + stats.directives * 3 + stats.words / 100;
+        };
+
+        // A label that is the hint's name ("Jenny" with no knowledge base entry) wins over talk
+        const named = hint => hint && open().find(speaker =>
+            SpeakerResolver.normalizeLabel(hint).split(' ').includes(SpeakerResolver.normalizeLabel(speaker.label).split(' ')[0]));
+
+        // A lone unrecognised speaker could be either; leave it unknown
+        if (!has(SPEAKER_ROLES.COACH) && open().length > (has(SPEAKER_ROLES.STUDENT) ? 0 : 1)) {
+            const coach = named(hints.coach) || open().sort((a, b) => coachScore(b) - coachScore(a))[0];
+            Object.assign(coach, { role: SPEAKER_ROLES.COACH, method: 'talk-pattern', name: hints.coach || coach.name });
+        }
+        if (!has(SPEAKER_ROLES.STUDENT) && has(SPEAKER_ROLES.COACH) && open().length > 0) {
+            const student = named(hints.student) || open().sort((a, b) => b.words - a.words)[0];
+            Object.assign(student, { role: SPEAKER_ROLES.STUDENT, method: 'talk-pattern', name: hints.student || student.name });
+        }
+    }
+
+    /**
+     * Full name of the coach or student a hint ("Jenny") refers to
+     */
+    async _canonicalHint(name, role) {
+        if (!name || /^unknown$/i.test(name)) return null;
+        const match = await this.resolveLabel(name);
+        return match?.role === role ? match.name : name;
+    }
+
+    /**
+     * "Shah Family", "Mrs. Shah", "Shah mom": the parent of the student the
+     * family mapping names
+     */
+    _familyCandidates(tokens) {
+        const { families = [], parentKeywords = [] } = this.familyData || {};
+        const isParentLabel = tokens.some(token => parentKeywords.includes(token) || ['mr', 'mrs', 'ms'].includes(token));
+        if (!isParentLabel) return null;
+
+        const family = families.find(entry => tokens.includes(entry.surname.toLowerCase()));
+        return family ? [{ name: tokens.map(capitalize).join(' '), role: SPEAKER_ROLES.PARENT, method: 'family-mapping', student: family.student }] : null;
+    }
+
+    /**
+     * alias -> candidates, built once from the knowledge base
+     */
+    async _aliases() {
+        if (this.aliases) return this.aliases;
+
+        const aliases = new Map();
+        const add = (alias, candidate) => {
+            const key = SpeakerResolver.normalizeLabel(alias);
+            if (!key) return;
+            const existing = aliases.get(key) || [];
+            if (!existing.some(entry => entry.name === candidate.name && entry.role === candidate.role)) {
+                aliases.set(key, [...existing, candidate]);
+            }
+        };
+        const addPerson = (person, role, extra = {}, nameMethod = 'name') => {
+            add(person.name, { name: person.name, role, method: nameMethod, ...extra });
+            for (const alternate of person.alternateNames || []) {
+                add(alternate, { name: person.name, role, method: 'alternate-name', ...extra });
+            }
+            if (person.email) add(person.email.split('@')[0], { name: person.name, role, method: 'email', ...extra });
+            if (person.firstName) add(person.firstName, { name: person.name, role, method: 'first-name', ...extra });
+        };
+
+        const kb = this.knowledgeBaseService;
+        if (kb) {
+            try {
+                await kb.initialize();
+                const unique = list => [...new Set(list)];
+                unique(kb.getCoaches()).forEach(coach => addPerson(coach, SPEAKER_ROLES.COACH));
+                for (const student of unique(kb.getStudents())) {
+                    addPerson(student, SPEAKER_ROLES.STUDENT, { coach: student.coach });
+                    if (student.parent?.name) {
+                        addPerson(student.parent, SPEAKER_ROLES.PARENT, { student: student.name }, 'parent-name');
+                    }
+                }
+                const families = kb.getFamilies ? kb.getFamilies() : [];
+                for (const family of families) {
+                    for (const alternate of family.alternateNames) {
+                        add(alternate, { name: alternate.split(/\s+/).map(capitalize).join(' '), role: SPEAKER_ROLES.PARENT, method: 'family-mapping', student: family.student });
+                    }
+                }
+                this.familyData = { families, parentKeywords: kb.getFamilyRules?.().parentKeywords || [] };
+            } catch (error) {
+                this.logger.warn(`Speaker resolution without knowledge base: ${error.message}`);
+            }
+        }
+
+        this.aliases = aliases;
+        return aliases;
+    }
+}
+
+function matchesHint(candidate, hints) {
+    const hint = candidate.role === SPEAKER_ROLES.COACH ? hints.coach : hints.student;
+    if (!hint) return false;
+    const name = candidate.role === SPEAKER_ROLES.PARENT ? candidate.student : candidate.name;
+    return SpeakerResolver.normalizeLabel(name).split(' ').includes(SpeakerResolver.normalizeLabel(hint).split(' ')[0]);
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+module.exports = { SpeakerResolver, SPEAKER_ROLES };
@@ -1,13 +1,15 @@
 const fs = require('fs').promises;
 const { logger } = require('../../shared');
 const { TranscriptionAnalysisError } = require('../../shared/errors');
+const { Transcript, detectFormat, formatTimestamp } = require('../../shared/transcript');
 
 class TranscriptionAnalyzer {
-    constructor({ openAIService, knowledgeBase, cache, eventBus }) {
+    constructor({ openAIService, knowledgeBase, cache, eventBus, speakerResolver = null }) {
         this.openAIService = openAIService;
         this.knowledgeBase = knowledgeBase;
         this.cache = cache;
         this.eventBus = eventBus;
+        this.speakerResolver = speakerResolver;
     }
 
     /**
@@ -34,8 +36,8 @@ class TranscriptionAnalyzer {
 
             // Parse content based on format
             let parsedContent;
-            if (content.startsWith('WEBVTT')) {
-                parsedContent = this.parseVTTContent(content);
+            if (['vtt', 'srt'].includes(detectFormat(content))) {
+                parsedContent = await this.resolveSpeakers(this.parseVTTContent(content), metadata);
             } else {
                 parsedContent = this.parseTextContent(content);
             }
@@ -62,52 +64,14 @@ class TranscriptionAnalyzer {
      * Parse VTT content into structured format
      */
     parseVTTContent(content) {
-        const lines = content.split('\n');
-        const segments = [];
-        let currentSegment = null;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Skip header and empty lines
-            if (line === 'WEBVTT' || line === '' || line.startsWith('NOTE')) {
-                continue;
-            }
-            
-            // Parse timestamp
-            const timestampMatch = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2}\.\d{3})/);
-            if (timestampMatch) {
-                if (currentSegment) {
-                    segments.push(currentSegment);
-                }
-                currentSegment = {
-                    start: timestampMatch[1],
-                    end: timestampMatch[2],
-                    startSeconds: this.timeToSeconds(timestampMatch[1]),
-                    endSeconds: this.timeToSeconds(timestampMatch[2]),
-                    speaker: null,
-                    text: ''
-                };
-                continue;
-            }
-            
-            // Parse speaker and text
-            if (currentSegment) {
-                const speakerMatch = line.match(/^([^:]+):\s*(.*)/);
-                if (speakerMatch) {
-                    currentSegment.speaker = speakerMatch[1].trim();
-                    currentSegment.text = speakerMatch[2].trim();
-                } else if (line) {
-                    // Text without speaker
-                    currentSegment.text += (currentSegment.text ? ' ' : '') + line;
-                }
-            }
-        }
-        
-        // Add last segment
-        if (currentSegment && currentSegment.text) {
-            segments.push(currentSegment);
-        }
+        const segments = Transcript.parse(content).cues.map(cue => ({
+            start: formatTimestamp(cue.start),
+            end: formatTimestamp(cue.end ?? cue.start),
+            startSeconds: cue.start ?? 0,
+            endSeconds: cue.end ?? cue.start ?? 0,
+            speaker: cue.speaker,
+            text: cue.text
+        }));
         
         return {
             type: 'vtt',
@@ -116,6 +80,33 @@ class TranscriptionAnalyzer {
         };
     }
 
+    /**
+     * Replace speaker labels with the canonical coach/student/parent names and
+     * roles, keeping the label from the transcript as originalSpeaker
+     */
+    async resolveSpeakers(parsedContent, metadata = {}) {
+        if (!this.speakerResolver || parsedContent.segments.length === 0) return parsedContent;
+        
+        try {
+            const { speakers } = await this.speakerResolver.resolve(
+                new Transcript(parsedContent.segments.map(segment => ({ ...segment, start: segment.startSeconds, end: segment.endSeconds }))),
+                { coach: metadata.coach, student: metadata.student }
+            );
+            const byLabel = new Map(speakers.map(speaker => [speaker.label, speaker]));
+            const segments = parsedContent.segments.map(segment => {
+                const speaker = byLabel.get(segment.speaker);
+                return speaker
+                    ? { ...segment, speaker: speaker.name, role: speaker.role, originalSpeaker: segment.speaker }
+                    : segment;
+            });
+            
+            return { ...parsedContent, segments, metadata: this.extractVTTMetadata(segments), speakers };
+        } catch (error) {
+            logger.warn(`Speaker resolution failed: ${error.message}`);
+            return parsedContent;
+        }
+    }
+
     /**
      * Parse plain text content
      */
@@ -187,7 +178,7 @@ class TranscriptionAnalyzer {
         if (this.openAIService && segments.length > 0) {
             try {
                 const fullText = segments.map(s => s.text).join(' ');
-                aiInsights = await this.openAIService.generateInsights(fullText, metadata);
+                aiInsights = await this.openAIService.generateInsights(fullText, { ...metadata, caller: 'TranscriptionAnalyzer' });
             } catch (error) {
                 logger.warn(`AI insights generation failed: ${error.message}`);
             }
@@ -208,7 +199,8 @@ class TranscriptionAnalyzer {
             processingMetadata: {
                 analyzedAt: new Date().toISOString(),
                 segmentCount: segments.length,
-                format: parsedContent.type
+                format: parsedContent.type,
+                promptVersion: aiInsights?.promptVersion || null
             }
         };
     }
@@ -230,7 +222,7 @@ class TranscriptionAnalyzer {
                     totalWords: 0,
                     segmentCount: 0,
                     firstAppearance: index,
-                    role: this.identifySpeakerRole(segment.speaker)
+                    role: segment.role || this.identifySpeakerRole(segment.speaker)
                 };
             }
             
@@ -538,7 +530,7 @@ class TranscriptionAnalyzer {
                 questions.push({
                     text: segment.text,
                     speaker: segment.speaker,
-                    speakerRole: this.identifySpeakerRole(segment.speaker),
+                    speakerRole: segment.role || this.identifySpeakerRole(segment.speaker),
                     time: segment.startSeconds,
                     timeFormatted: segment.start,
                     type: this.categorizeQuestion(segment.text)
@@ -612,12 +604,6 @@ class TranscriptionAnalyzer {
 
     // Helper methods
     
-    timeToSeconds(timeString) {
-        const parts = timeString.split(':');
-        const [hours, minutes, seconds] = parts.map(parseFloat);
-        return hours * 3600 + minutes * 60 + seconds;
-    }
-    
     generateSummary(segments, metadata) {
         if (segments.length === 0) {
             return 'No transcript content available for analysis.';
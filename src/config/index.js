@@ -14,6 +14,9 @@ const config = {
         clientId: process.env.ZOOM_CLIENT_ID,
         clientSecret: process.env.ZOOM_CLIENT_SECRET,
         webhookSecretToken: process.env.ZOOM_WEBHOOK_SECRET_TOKEN,
+        // Comma separated list of active secrets while rotating (new secret first)
+        webhookSecretTokens: process.env.ZOOM_WEBHOOK_SECRET_TOKENS,
+        webhookTimestampTolerance: parseInt(process.env.ZOOM_WEBHOOK_TIMESTAMP_TOLERANCE || '300'),
         apiBaseUrl: 'https://api.zoom.us/v2',
         oauth2BaseUrl: 'https://zoom.us/oauth'
     },
@@ -28,7 +31,9 @@ const config = {
                     coachesFolderId: process.env.COACHES_FOLDER_ID || '1fLA2s5KBgg0t0JHwoihjj35-wiwr8hJ8',
         studentsFolderId: process.env.STUDENTS_FOLDER_ID || '12LgtSd9CpOllNBBycCfxPVFB6Sk9bTIp',
         miscFolderId: process.env.MISC_FOLDER_ID || '1jMQ_gmwfUQv6gvGAXog3UrnXinUej0Qt',
-        trivialFolderId: process.env.TRIVIAL_FOLDER_ID || '12oCxJ6xwJ5xDWo7H89nSh9OQJroTBhhH'
+        trivialFolderId: process.env.TRIVIAL_FOLDER_ID || '12oCxJ6xwJ5xDWo7H89nSh9OQJroTBhhH',
+        archiveFolderId: process.env.ARCHIVE_FOLDER_ID,
+        archiveOnDelete: process.env.ARCHIVE_ON_DELETE === 'true'
         },
         
         sheets: {
@@ -18,6 +18,18 @@ function logToFile(...args) {
 
 // Shared utilities
 const { EventBus, Logger, Cache, MetricsCollector } = require('./shared');
+const { RecordingStateStore } = require('./infrastructure/services/RecordingStateStore');
+const { ManualOverrideRegistry } = require('./infrastructure/services/ManualOverrideRegistry');
+const { ManualOverrideService } = require('./application/services/ManualOverrideService');
+const { RecordingRehomer } = require('./application/services/RecordingRehomer');
+const { ContentHashIndex } = require('./infrastructure/services/ContentHashIndex');
+const { TranscriptSimilarityMatcher } = require('./infrastructure/services/TranscriptSimilarityMatcher');
+const { SpeakerResolver } = require('./application/services/SpeakerResolver');
+const { LLMGateway, LLMUsageLedger } = require('./infrastructure/ai/llm');
+const { PromptRegistry } = require('./infrastructure/ai/prompts');
+const { ReconciliationInventoryLoader, ReconciliationEngine, RepairPlanner, RepairExecutor } = require('./application/reconciliation');
+const { ZoomApiRecordingSource } = require('./infrastructure/sources/ZoomApiRecordingSource');
+const RecordingDownloader = require('./infrastructure/services/RecordingDownloader');
 logToFile('Loaded shared utilities:', { EventBus, Logger, Cache, MetricsCollector });
 
 // Infrastructure services
@@ -80,11 +92,15 @@ function createContainer() {
         metricsCollector: awilix.asClass(MetricsCollector).singleton()
     });
 
-    // Mock recording repository for SmartWeekInferencer
+    // Local recording state, also the recording repository for SmartWeekInferencer
     container.register({
-        recordingRepository: awilix.asValue({
-            findByStudentAndCoach: async () => []
-        })
+        recordingStateStore: awilix.asFunction(({ logger }) => new RecordingStateStore({ logger })).singleton(),
+        recordingRepository: awilix.aliasTo('recordingStateStore')
+    });
+
+    // Checked-in corrections (data/manual-overrides.json) for name, week and category inference
+    container.register({
+        manualOverrideRegistry: awilix.asValue(ManualOverrideRegistry.getDefault())
     });
 
     // Logger factory
@@ -96,6 +112,9 @@ function createContainer() {
 
     // Infrastructure services
     container.register({
+        llmUsageLedger: awilix.asFunction(({ logger }) => new LLMUsageLedger({ logger })).singleton(),
+        llmGateway: awilix.asFunction(({ logger, llmUsageLedger }) => new LLMGateway({ logger, config, usage: llmUsageLedger })).singleton(),
+        promptRegistry: awilix.asFunction(() => new PromptRegistry({ versions: config.ai?.promptVersions })).singleton(),
         ...(OpenAIService && { openAIService: awilix.asClass(OpenAIService).singleton() }),
         ...(ZoomService && { zoomService: awilix.asClass(ZoomService).singleton() }),
         ...(GoogleDriveService && { googleDriveService: awilix.asClass(GoogleDriveService).singleton() }),
@@ -106,9 +125,15 @@ function createContainer() {
         ...(FileContentAnalyzer && { fileContentAnalyzer: awilix.asClass(FileContentAnalyzer).singleton() }),
         ...(KnowledgeBaseService && { knowledgeBaseService: awilix.asClass(KnowledgeBaseService).singleton() }),
         ...(DriveOrganizer && { driveOrganizer: awilix.asClass(DriveOrganizer).singleton() }),
+        contentHashIndex: awilix.asFunction(({ logger, googleDriveService }) => new ContentHashIndex({ logger, googleDriveService })).singleton(),
+        transcriptMatcher: awilix.asFunction(({ logger, recordingStateStore }) => new TranscriptSimilarityMatcher({ logger, recordingStateStore })).singleton(),
+        speakerResolver: awilix.asFunction(cradle => new SpeakerResolver({
+            logger: cradle.logger,
+            knowledgeBaseService: KnowledgeBaseService ? cradle.knowledgeBaseService : null
+        })).singleton(),
         ...(AIPoweredInsightsGenerator && { 
-            aiPoweredInsightsGenerator: awilix.asFunction(({ logger, config }) => {
-                return new AIPoweredInsightsGenerator({ logger, config });
+            aiPoweredInsightsGenerator: awilix.asFunction(({ logger, config, llmGateway, promptRegistry }) => {
+                return new AIPoweredInsightsGenerator({ logger, config, llmGateway, promptRegistry });
             }).singleton() 
         }),
         ...(WebhookFileDownloader && { webhookFileDownloader: awilix.asClass(WebhookFileDownloader).singleton() }),
@@ -129,7 +154,11 @@ function createContainer() {
         ...(TranscriptionAnalyzer && { transcriptAnalyzer: awilix.aliasTo('transcriptionAnalyzer') }),
         ...(ParticipantAnalyzer && { participantAnalyzer: awilix.asClass(ParticipantAnalyzer).singleton() }),
         ...(RecordingProcessor && { recordingProcessor: awilix.asClass(RecordingProcessor).singleton() }),
-        ...(RecordingService && { recordingService: awilix.asClass(RecordingService).singleton() })
+        ...(RecordingService && { recordingService: awilix.asClass(RecordingService).singleton() }),
+        recordingRehomer: awilix.asFunction(({ logger, nameStandardizer, driveOrganizer, googleSheetsService }) =>
+            new RecordingRehomer({ logger, nameStandardizer, driveOrganizer, googleSheetsService })).singleton(),
+        manualOverrideService: awilix.asFunction(({ logger, manualOverrideRegistry, recordingRehomer, recordingStateStore }) =>
+            new ManualOverrideService({ logger, manualOverrideRegistry, recordingRehomer, recordingStateStore })).singleton()
     });
 
     // Domain services
@@ -137,6 +166,24 @@ function createContainer() {
         ...(OutcomesProcessor && { outcomesProcessor: awilix.asClass(OutcomesProcessor).singleton() })
     });
 
+    // Reconciliation across Zoom, Drive, Sheets and local output
+    container.register({
+        reconciliationInventoryLoader: awilix.asFunction(({ logger, config, zoomService, googleDriveService, googleSheetsService }) =>
+            new ReconciliationInventoryLoader({ logger, config, zoomService, googleDriveService, googleSheetsService })).singleton(),
+        reconciliationEngine: awilix.asFunction(({ logger }) => new ReconciliationEngine({ logger })).singleton(),
+        repairPlanner: awilix.asFunction(({ logger }) => new RepairPlanner({ logger })).singleton(),
+        repairExecutor: awilix.asFunction(({ logger, config, zoomService, driveOrganizer, googleSheetsService }) => new RepairExecutor({
+            logger,
+            driveOrganizer,
+            googleSheetsService,
+            recordingSource: new ZoomApiRecordingSource({
+                logger,
+                zoomService,
+                recordingDownloader: new RecordingDownloader({ logger, config, zoomService })
+            })
+        })).singleton()
+    });
+
     // Core entities
     container.register({
         ...(Recording && { Recording: awilix.asValue(Recording) }),
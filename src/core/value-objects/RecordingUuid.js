@@ -0,0 +1,140 @@
+/**
+ * Recording UUID value object
+ *
+ * Zoom identifies a meeting instance by a 16-byte UUID that shows up in several
+ * spellings across the pipeline:
+ *   - base64 as returned by Zoom ("4444AAAIQme3n+FOlpmMVw=="), used in Sheets and folder names
+ *   - hex ("e38e3800...") and hex with dashes ("e38e3800-0008-...") from older rows and exports
+ *   - URL-encoded once or twice ("4444AAAIQme3n%252BFOlpmMVw%253D%253D") from API paths and logs
+ *
+ * RecordingUuid.parse() accepts any of them; equals() compares the underlying
+ * bytes so every spelling of the same UUID matches. Values that are not a
+ * 16-byte UUID (ids from Drive or test recordings) are kept as opaque strings
+ * and compare by exact value.
+ */
+
+const UUID_BYTES = 16;
+const HEX = /^[0-9a-f]{32}$/i;
+const HEX_WITH_DASHES = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BASE64 = /^[A-Za-z0-9+/]{22}(==)?$/;
+const BASE64_URL_SAFE = /^[A-Za-z0-9\-_]{22}(==)?$/;
+
+class RecordingUuid {
+    constructor(raw, bytes = null) {
+        this.raw = raw;
+        this.bytes = bytes;
+        Object.freeze(this);
+    }
+
+    /**
+     * Parse any supported spelling. Throws on an empty value.
+     */
+    static parse(value) {
+        if (value instanceof RecordingUuid) return value;
+        if (value === null || value === undefined || String(value).trim() === '') {
+            throw new Error('Recording UUID is empty');
+        }
+
+        const raw = RecordingUuid.decode(String(value).trim());
+        return new RecordingUuid(raw, RecordingUuid.toBytes(raw));
+    }
+
+    /**
+     * Like parse(), but returns null instead of throwing on an empty value
+     */
+    static tryParse(value) {
+        try {
+            return RecordingUuid.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Undo (double) URL encoding, and restore '+' that a query string turned into a space
+     */
+    static decode(value) {
+        let decoded = value;
+        for (let i = 0; i < 3 && /%[0-9a-f]{2}/i.test(decoded); i++) {
+            try {
+                decoded = decodeURIComponent(decoded);
+            } catch (error) {
+                break;
+            }
+        }
+        return BASE64.test(decoded.replace(/ /g, '+')) ? decoded.replace(/ /g, '+') : decoded;
+    }
+
+    static toBytes(value) {
+        let bytes = null;
+        if (HEX.test(value) || HEX_WITH_DASHES.test(value)) {
+            bytes = Buffer.from(value.replace(/-/g, ''), 'hex');
+        } else if (BASE64.test(value) || BASE64_URL_SAFE.test(value)) {
+            bytes = Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+        }
+        return bytes && bytes.length === UUID_BYTES ? bytes : null;
+    }
+
+    static isBase64(value) {
+        return typeof value === 'string' && BASE64.test(value);
+    }
+
+    static isHex(value) {
+        return typeof value === 'string' && (HEX.test(value) || HEX_WITH_DASHES.test(value));
+    }
+
+    /**
+     * Whether the value is a real 16-byte UUID rather than an opaque id
+     */
+    isValid() {
+        return this.bytes !== null;
+    }
+
+    /**
+     * Zoom's canonical form, used for Sheets rows and folder names
+     */
+    toBase64() {
+        return this.bytes ? this.bytes.toString('base64') : this.raw;
+    }
+
+    toHex() {
+        return this.bytes ? this.bytes.toString('hex') : null;
+    }
+
+    toHexWithDashes() {
+        const hex = this.toHex();
+        return hex ? `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}` : null;
+    }
+
+    /**
+     * Path segment for Zoom API calls. Zoom requires UUIDs that contain '/' or
+     * start with '/' to be URL-encoded twice; encoding every UUID twice is harmless.
+     */
+    toZoomApiPath() {
+        return encodeURIComponent(encodeURIComponent(this.toBase64()));
+    }
+
+    /**
+     * Every spelling this UUID may have been stored under (original first)
+     */
+    variants() {
+        return [...new Set([this.raw, this.toBase64(), this.toHex(), this.toHexWithDashes()].filter(Boolean))];
+    }
+
+    equals(other) {
+        const parsed = other instanceof RecordingUuid ? other : RecordingUuid.tryParse(other);
+        if (!parsed) return false;
+        if (this.bytes && parsed.bytes) return this.bytes.equals(parsed.bytes);
+        return this.toBase64() === parsed.toBase64();
+    }
+
+    toString() {
+        return this.toBase64();
+    }
+
+    toJSON() {
+        return this.toBase64();
+    }
+}
+
+module.exports = { RecordingUuid };
@@ -0,0 +1,347 @@
+/**
+ * Standardized recording name value object
+ *
+ * Grammar (version 1, the names the pipeline writes to Drive and Sheets):
+ *
+ *   name       := prefix [ "_" indicator ] "_" coach "_" student [ "_" cycle ] [ "_" week ] "_" date
+ *                 [ "_" identifier ] [ "_v" version ]
+ *   prefix     := "Coaching" | "Coaching_GamePlan" | "SAT" | "MISC" | "TRIVIAL" | "NO_SHOW"
+ *   indicator  := "A" (Zoom API) | "B" (Google Drive) | "C" (webhook) | "D" (local folder)
+ *                 | any other capital letter registered for a new source
+ *   cycle      := "PC" digits                                    -- program cycle of a renewal student
+ *   week       := "Wk" ( digits | digits letter | "Unknown" )     -- omitted for TRIVIAL
+ *   date       := YYYY "-" MM "-" DD
+ *   identifier := "M:" meetingId "U:" [ uuid ]                   -- uuid in Zoom base64
+ *               | "M:" uuid                                      -- when the meeting id is unknown
+ *
+ * Example: Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:abc
+ *
+ * Version 1 names carry no marker; a later grammar version appends "_v<N>" so
+ * old and new names can be told apart. File names are "<folder name>_<suffix>.<ext>".
+ *
+ * parse() also reads the older spellings still found in Drive and turns them into
+ * the same components, recording what differs from the canonical form in `issues`:
+ *   - no source indicator ("Coaching_Jenny_Huda_Wk05_2024-01-01")
+ *   - Drive-sanitized identifiers ("M_123U_abc_d==", ':' and '/' replaced by '_')
+ *   - split identifiers ("_M:123_U:abc"), uuid-only identifiers ("_M:abc")
+ *   - drive-source bare uuids ("..._PC2_Wk05_2024-01-01_abc==")
+ *   - "GamePlan" without the "Coaching_" prefix and unpadded weeks ("Wk5")
+ */
+
+const { RecordingUuid } = require('./RecordingUuid');
+
+const NAME_GRAMMAR_VERSION = 1;
+
+const NAME_CATEGORIES = {
+    COACHING: 'Coaching',
+    GAME_PLAN: 'GamePlan',
+    SAT: 'SAT',
+    MISC: 'MISC',
+    TRIVIAL: 'TRIVIAL',
+    NO_SHOW: 'NO_SHOW'
+};
+
+const CATEGORY_PREFIXES = {
+    Coaching: 'Coaching',
+    GamePlan: 'Coaching_GamePlan',
+    SAT: 'SAT',
+    MISC: 'MISC',
+    TRIVIAL: 'TRIVIAL',
+    NO_SHOW: 'NO_SHOW'
+};
+
+const INDICATOR_SOURCES = {
+    A: 'zoom-api',
+    B: 'google-drive',
+    C: 'webhook',
+    D: 'local-folder'
+};
+
+const INDICATOR = /^[A-Z]$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const WEEK = /^Wk(\d+[A-Z]?|Unknown)$/;
+// A 16-byte UUID in base64, possibly with '/' sanitized to '_' by Drive
+const BASE64_UUID = /^[A-Za-z0-9+/_-]{22}==/;
+
+class StandardizedName {
+    constructor({
+        category,
+        indicator = null,
+        coach,
+        student,
+        week = null,
+        date,
+        meetingId = null,
+        uuid = null,
+        programCycle = null,
+        version = NAME_GRAMMAR_VERSION
+    }) {
+        if (!CATEGORY_PREFIXES[category]) {
+            throw new Error(`Unknown name category: ${category}. Expected one of: ${Object.keys(CATEGORY_PREFIXES).join(', ')}`);
+        }
+        if (indicator && !INDICATOR.test(indicator)) {
+            throw new Error(`Unknown source indicator: ${indicator}`);
+        }
+        if (!coach || !student) {
+            throw new Error('A standardized name needs a coach and a student');
+        }
+
+        this.category = category;
+        this.indicator = indicator || null;
+        this.coach = StandardizedName.cleanToken(coach);
+        this.student = StandardizedName.cleanToken(student);
+        this.week = category === NAME_CATEGORIES.TRIVIAL ? null : StandardizedName.normalizeWeek(week);
+        this.date = date;
+        this.meetingId = meetingId ? String(meetingId) : null;
+        this.uuid = uuid ? RecordingUuid.parse(uuid).toBase64() : null;
+        this.programCycle = programCycle;
+        this.version = version;
+        Object.freeze(this);
+    }
+
+    /**
+     * Build the canonical name from components
+     */
+    static format(components, options = {}) {
+        return new StandardizedName(components).toString(options);
+    }
+
+    /**
+     * Parse a folder or file name (any spelling listed above).
+     * @returns {{ name: StandardizedName, suffix, extension, issues: string[], canonical: boolean }}
+     */
+    static parse(value) {
+        if (typeof value !== 'string' || !value.trim()) {
+            throw new Error('Cannot parse an empty name');
+        }
+
+        const issues = [];
+        let rest = value.trim();
+
+        // File extension ("…_transcript.vtt")
+        let extension = null;
+        const extMatch = rest.match(/\.([A-Za-z0-9]{2,5})$/);
+        if (extMatch) {
+            extension = extMatch[1];
+            rest = rest.slice(0, -extMatch[0].length);
+        }
+
+        // Identifier and whatever follows it (version marker, file suffix)
+        let meetingId = null;
+        let uuid = null;
+        let tail = '';
+        const ident = rest.match(/_M([:_])([^_:]+?)(_?)U([:_])(.*)$/);
+        if (ident) {
+            const [whole, mSep, id, split, uSep, afterU] = ident;
+            rest = rest.slice(0, -whole.length);
+            meetingId = id;
+            if (mSep === '_' || uSep === '_') issues.push('sanitized-identifier');
+            if (split) issues.push('split-identifier');
+            ({ uuid, tail } = StandardizedName.splitUuid(afterU, uSep === '_'));
+        } else {
+            const uuidOnly = rest.match(/_M:([^_]+)(?:_(.*))?$/);
+            if (uuidOnly) {
+                rest = rest.slice(0, -uuidOnly[0].length);
+                uuid = uuidOnly[1];
+                tail = uuidOnly[2] || '';
+                issues.push('missing-meeting-id');
+            }
+        }
+
+        const tokens = rest.split('_');
+        let category;
+        if (tokens[0] === 'Coaching' && tokens[1] === 'GamePlan') {
+            category = NAME_CATEGORIES.GAME_PLAN;
+            tokens.splice(0, 2);
+        } else if (tokens[0] === 'NO' && tokens[1] === 'SHOW') {
+            category = NAME_CATEGORIES.NO_SHOW;
+            tokens.splice(0, 2);
+        } else if (tokens[0] === 'GamePlan') {
+            category = NAME_CATEGORIES.GAME_PLAN;
+            tokens.shift();
+            issues.push('legacy-gameplan-prefix');
+        } else if (Object.values(NAME_CATEGORIES).includes(tokens[0])) {
+            category = tokens.shift();
+        } else {
+            throw new Error(`Not a standardized name (unknown category "${tokens[0]}"): ${value}`);
+        }
+
+        let indicator = null;
+        if (INDICATOR.test(tokens[0]) && tokens.length > 3) {
+            indicator = tokens.shift();
+        } else {
+            issues.push('missing-indicator');
+        }
+
+        const dateIndex = tokens.findIndex(token => DATE.test(token));
+        if (dateIndex < 2) {
+            throw new Error(`Not a standardized name (no coach, student and date): ${value}`);
+        }
+
+        const [coach, student, ...between] = tokens.slice(0, dateIndex);
+        const date = tokens[dateIndex];
+        const afterDate = tokens.slice(dateIndex + 1);
+
+        let week = null;
+        let programCycle = null;
+        for (const token of between) {
+            if (WEEK.test(token)) {
+                week = token.slice(2);
+                if (/^\d$/.test(week) && category !== NAME_CATEGORIES.GAME_PLAN) issues.push('unpadded-week');
+            } else if (/^PC\d+$/.test(token)) {
+                programCycle = Number(token.slice(2));
+            } else {
+                throw new Error(`Unexpected "${token}" before the date in: ${value}`);
+            }
+        }
+        if (!week && category !== NAME_CATEGORIES.TRIVIAL) issues.push('missing-week');
+
+        // Drive-source names end in a bare uuid instead of an M:/U: identifier
+        if (!uuid && afterDate.length > 0 && RecordingUuid.tryParse(afterDate[0])?.isValid()) {
+            uuid = afterDate.shift();
+            issues.push('bare-uuid');
+        }
+        if (!uuid && !meetingId) issues.push('missing-identifier');
+
+        const remaining = [...afterDate, ...(tail ? [tail] : [])].join('_');
+        let version = NAME_GRAMMAR_VERSION;
+        let suffix = remaining || null;
+        const marker = remaining.match(/^v(\d+)(?:_(.*))?$/);
+        if (marker) {
+            version = Number(marker[1]);
+            suffix = marker[2] || null;
+        }
+
+        const name = new StandardizedName({
+            category, indicator, coach, student, week, date, meetingId, uuid, programCycle, version
+        });
+        const folderPart = value.trim().slice(0, value.trim().length - (extension ? extension.length + 1 : 0) - (suffix ? suffix.length + 1 : 0));
+
+        return {
+            name,
+            suffix,
+            extension,
+            issues,
+            canonical: issues.length === 0 && name.toString({ marker: !!marker }) === folderPart
+        };
+    }
+
+    /**
+     * Like parse(), but returns null for names outside the grammar
+     */
+    static tryParse(value) {
+        try {
+            return StandardizedName.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Canonical current-version spelling of an existing folder or file name
+     * @returns {{ from, to, changed, issues }} (to is null when the name cannot be parsed)
+     */
+    static migrate(value) {
+        const parsed = StandardizedName.tryParse(value);
+        if (!parsed) {
+            return { from: value, to: null, changed: false, issues: ['unparseable'] };
+        }
+
+        const to = parsed.name.toFileName(parsed.suffix, parsed.extension);
+        return { from: value, to, changed: to !== value, issues: parsed.issues };
+    }
+
+    static cleanToken(value) {
+        return String(value).replace(/[\s_]+/g, '');
+    }
+
+    static normalizeWeek(week) {
+        if (week === null || week === undefined || week === '' || /^unknown$/i.test(String(week))) return null;
+        return String(week).replace(/^Wk/i, '');
+    }
+
+    /**
+     * Split "uuid[_rest]" after "U:"; sanitized names may have '/' turned into '_'
+     */
+    static splitUuid(afterU, sanitized) {
+        const base64 = afterU.match(BASE64_UUID);
+        if (base64) {
+            const raw = base64[0];
+            return {
+                uuid: sanitized ? raw.replace(/_/g, '/') : raw,
+                tail: afterU.slice(raw.length).replace(/^_/, '')
+            };
+        }
+
+        const [uuid, ...tail] = afterU.split('_');
+        return { uuid, tail: tail.join('_') };
+    }
+
+    get dataSource() {
+        return this.indicator ? INDICATOR_SOURCES[this.indicator] || null : null;
+    }
+
+    get weekNumber() {
+        return this.week && /^\d+/.test(this.week) ? parseInt(this.week, 10) : null;
+    }
+
+    weekToken() {
+        if (this.category === NAME_CATEGORIES.TRIVIAL) return null;
+        if (this.category === NAME_CATEGORIES.GAME_PLAN) return `Wk${this.weekNumber || 1}`;
+        if (!this.week) return 'WkUnknown';
+        return /^\d+$/.test(this.week) ? `Wk${this.week.padStart(2, '0')}` : `Wk${this.week}`;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.marker=false] - append "_v<version>" (always done for versions after 1)
+     */
+    toString({ marker = false } = {}) {
+        const parts = [CATEGORY_PREFIXES[this.category]];
+        if (this.indicator) parts.push(this.indicator);
+        parts.push(this.coach, this.student);
+        if (this.programCycle) parts.push(`PC${this.programCycle}`);
+
+        const week = this.weekToken();
+        if (week) parts.push(week);
+        parts.push(this.date);
+
+        if (this.meetingId) {
+            parts.push(`M:${this.meetingId}U:${this.uuid || ''}`);
+        } else if (this.uuid) {
+            parts.push(`M:${this.uuid}`);
+        }
+        if (marker || this.version !== NAME_GRAMMAR_VERSION) parts.push(`v${this.version}`);
+        return parts.join('_');
+    }
+
+    /**
+     * "<folder name>_<suffix>.<ext>", the way files are named inside a recording folder
+     */
+    toFileName(suffix = null, extension = null) {
+        return `${this.toString()}${suffix ? `_${suffix}` : ''}${extension ? `.${extension}` : ''}`;
+    }
+
+    equals(other) {
+        return other instanceof StandardizedName && other.toString() === this.toString();
+    }
+
+    toJSON() {
+        return {
+            category: this.category,
+            indicator: this.indicator,
+            dataSource: this.dataSource,
+            coach: this.coach,
+            student: this.student,
+            week: this.week,
+            weekNumber: this.weekNumber,
+            date: this.date,
+            meetingId: this.meetingId,
+            uuid: this.uuid,
+            programCycle: this.programCycle,
+            version: this.version
+        };
+    }
+}
+
+module.exports = { StandardizedName, NAME_GRAMMAR_VERSION, NAME_CATEGORIES };
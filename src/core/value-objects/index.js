@@ -1,3 +1,6 @@
+const { RecordingUuid } = require('./RecordingUuid');
+const { StandardizedName, NAME_GRAMMAR_VERSION, NAME_CATEGORIES } = require('./StandardizedName');
+
 /**
  * Confidence score value object
  */
@@ -154,5 +157,9 @@ module.exports = {
     ConfidenceScore,
     WeekNumber,
     SessionType,
-    ProcessingResult
+    ProcessingResult,
+    RecordingUuid,
+    StandardizedName,
+    NAME_GRAMMAR_VERSION,
+    NAME_CATEGORIES
 }; 
\ No newline at end of file
@@ -37,6 +37,7 @@ class IntegratedDriveProcessorV4 {
     this.relationshipAnalyzer = services.relationshipAnalyzer;
     this.fileContentAnalyzer = services.fileContentAnalyzer;
     this.transcriptionAnalyzer = services.transcriptionAnalyzer;
+    this.transcriptMatcher = services.transcriptMatcher;
     
     // Track processed sessions
     this.processedSessions = new Map();
@@ -134,6 +135,11 @@ class IntegratedDriveProcessorV4 {
       const transcriptContent = files.transcript?.content || '';
       const chatContent = files.chat?.content || '';
       
+      // Step 2b: Drive imports have no Zoom UUID - look for the Zoom recording with the same transcript
+      if (this.transcriptMatcher && transcriptContent) {
+        await this.inheritZoomIdentity(recording, transcriptContent);
+      }
+      
       // Step 3: Smart Name Standardization (using main pipeline service)
       let nameAnalysis = {
         standardizedName: recording.topic,
@@ -961,10 +967,48 @@ class IntegratedDriveProcessorV4 {
     return hash.digest('hex').substring(0, 16);
   }
 
+  /**
+   * Adopt the UUID, meeting ID and standardized name of the Zoom recording
+   * whose transcript this session's transcript matches, so both land in the
+   * same Sheet row and Drive folder. The Drive session id is kept on the
+   * recording as _driveSessionId.
+   */
+  async inheritZoomIdentity(recording, transcriptContent) {
+    try {
+      const candidates = await this.transcriptMatcher.findMatches(transcriptContent, {
+        date: recording.start_time,
+        excludeUuid: recording.uuid
+      });
+      const twin = candidates[0]?.score >= this.transcriptMatcher.acceptScore ? candidates[0] : null;
+      if (!twin) {
+        if (candidates.length > 0) {
+          console.log(`🔗 Closest Zoom transcript ${candidates[0].uuid} scored ${candidates[0].score}, below ${this.transcriptMatcher.acceptScore}`);
+        }
+        return null;
+      }
+
+      console.log(`🔗 Transcript matches Zoom recording ${twin.uuid} (score ${twin.score}, ${twin.daysApart ?? '?'} days apart)`);
+      recording._driveSessionId = recording.uuid;
+      recording._zoomTwin = { ...twin, candidates };
+      recording.uuid = twin.uuid;
+      recording.id = twin.uuid;
+      if (twin.meetingId) recording.meeting_id = twin.meetingId;
+      return twin;
+    } catch (error) {
+      console.error('Transcript similarity matching failed:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Build full standardized name for folder creation
    */
   buildFullStandardizedName(nameAnalysis, weekAnalysis, recording, metadata) {
+    // A Drive import matched to its Zoom recording keeps the Zoom recording's name
+    if (recording._zoomTwin?.standardizedName) {
+      return recording._zoomTwin.standardizedName;
+    }
+    
     // If we have the name standardizer, use its buildStandardizedFolderName method
     // which properly handles data source indicators
     if (this.completeSmartNameStandardizer) {
@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const DriveScanner = require('./DriveScanner');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Scans a local folder tree (or a zip of one) and returns file entries in the
+ * same shape DriveScanner produces, so RecordingMatcherV2 can group them into
+ * sessions unchanged. Name parsing (dates, participants, weeks, confidence)
+ * is inherited from DriveScanner.
+ */
+class LocalDirectoryScanner extends DriveScanner {
+  constructor(config = {}) {
+    super(config);
+    this.drive = null;
+  }
+
+  // No Google client needed for local files
+  getAuthClient() {
+    return null;
+  }
+
+  async scanFolder(rootPath, options = {}) {
+    const {
+      maxDepth = 5,
+      excludeFolders = [],
+      includePatterns = [],
+      minFileSize = 100 * 1024
+    } = options;
+
+    const resolvedRoot = path.resolve(rootPath);
+    const scanRoot = resolvedRoot.toLowerCase().endsWith('.zip')
+      ? await this.extractZip(resolvedRoot)
+      : resolvedRoot;
+
+    const stats = await fs.stat(scanRoot);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${scanRoot}`);
+    }
+
+    console.log(`Scanning local folder: ${scanRoot}`);
+    const recordings = await this.walk(scanRoot, scanRoot, { maxDepth, excludeFolders, includePatterns, minFileSize }, 0);
+    console.log(`Completed scanning local folder: ${scanRoot}, found ${recordings.length} recordings`);
+
+    return recordings;
+  }
+
+  async walk(dirPath, rootPath, options, depth) {
+    if (depth > options.maxDepth) {
+      console.warn(`Max depth ${options.maxDepth} reached, skipping ${dirPath}`);
+      return [];
+    }
+
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const folderName = path.basename(dirPath);
+    const recordings = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !options.excludeFolders.includes(entry.name)) {
+          recordings.push(...await this.walk(entryPath, rootPath, options, depth + 1));
+        }
+        continue;
+      }
+
+      if (!entry.isFile()) continue;
+
+      const file = await this.toFileEntry(entryPath, rootPath);
+      if (this.isPotentialRecording(file, options.includePatterns, options.minFileSize)) {
+        recordings.push(this.enrichFileMetadata(file, dirPath, folderName));
+      }
+    }
+
+    return recordings;
+  }
+
+  async toFileEntry(filePath, rootPath) {
+    const stats = await fs.stat(filePath);
+    const relativePath = path.relative(rootPath, filePath);
+
+    return {
+      id: crypto.createHash('sha1').update(relativePath).digest('hex').substring(0, 16),
+      name: path.basename(filePath),
+      size: String(stats.size),
+      createdTime: stats.birthtime.toISOString(),
+      modifiedTime: stats.mtime.toISOString(),
+      localPath: filePath,
+      relativePath,
+      webViewLink: `file://${filePath}`
+    };
+  }
+
+  /**
+   * Extract a zip next to OUTPUT_DIR so the original archive is left untouched
+   */
+  async extractZip(zipPath) {
+    const targetDir = path.join(
+      process.env.OUTPUT_DIR || './output',
+      'local-imports',
+      path.basename(zipPath, path.extname(zipPath))
+    );
+    await fs.mkdir(targetDir, { recursive: true });
+
+    try {
+      await execFileAsync('unzip', ['-o', '-q', zipPath, '-d', targetDir]);
+    } catch (error) {
+      throw new Error(`Failed to extract ${zipPath} (is the unzip command installed?): ${error.message}`);
+    }
+
+    console.log(`Extracted ${zipPath} to ${targetDir}`);
+    return path.resolve(targetDir);
+  }
+}
+
+module.exports = LocalDirectoryScanner;
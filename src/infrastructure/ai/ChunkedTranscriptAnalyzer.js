@@ -0,0 +1,417 @@
+/**
+ * ChunkedTranscriptAnalyzer
+ *
+ * Map-reduce analysis for transcripts too long for one prompt. The parsed
+ * transcript is split on speaker-turn boundaries into chunks of at most
+ * `maxChunkTokens` (a turn longer than that is split between its cues), each
+ * chunk is analyzed on its own with [HH:MM:SS] timestamps, and the partial
+ * results are merged:
+ *
+ *   summary          chunk summaries in order; themes and points de-duplicated
+ *   highlights       concatenated in transcript order
+ *   topics           one entry per topic, details joined
+ *   action items     per priority, de-duplicated by wording
+ *   questions        concatenated, de-duplicated
+ *   sentiment        one progression phase per chunk, emotional journey in
+ *                    timestamp order, overall sentiment weighted by chunk size
+ *
+ * The merged object has the same keys as a single-prompt response, so the
+ * generator validates it the same way.
+ *
+ * Each chunk's parsed result is cached as OUTPUT_DIR/ai-chunk-cache/<hash>.json,
+ * keyed by the model, the insights-chunk prompt version and the variables it
+ * is filled with (see prompts/PromptRegistry.js): the chunk text and the
+ * meeting details, but not the chunk's position ("part 2 of 5"), so a rerun
+ * only calls the model for chunks whose text changed even when an edit adds
+ * or removes chunks. The cache keeps the `maxCacheEntries` most recently used
+ * entries (AI_CHUNK_CACHE_MAX_ENTRIES); the directory can also be deleted at
+ * any time, at the cost of re-analyzing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transcript, formatTimestamp } = require('../../shared/transcript');
+const { estimateTokens } = require('./llm/tokens');
+const { PromptRegistry } = require('./prompts/PromptRegistry');
+
+const fsp = fs.promises;
+
+const DEFAULT_MAX_CHUNK_TOKENS = 3000;
+
+const DEFAULT_MAX_CACHE_ENTRIES = 5000;
+
+const PRIORITIES = ['highPriority', 'mediumPriority', 'lowPriority'];
+
+// Sections merge() produces; the rest of the insights are not asked per chunk
+const MERGED_SECTIONS = ['aiSummary', 'aiHighlights', 'aiTopics', 'aiActionItems', 'aiQuestions', 'aiSentiment'];
+
+class ChunkedTranscriptAnalyzer {
+    constructor({
+        logger,
+        maxChunkTokens = DEFAULT_MAX_CHUNK_TOKENS,
+        cacheDir = path.join(process.env.OUTPUT_DIR || './output', 'ai-chunk-cache'),
+        maxCacheEntries = parseInt(process.env.AI_CHUNK_CACHE_MAX_ENTRIES || String(DEFAULT_MAX_CACHE_ENTRIES), 10),
+        promptRegistry = null
+    } = {}) {
+        this.logger = logger || console;
+        this.maxChunkTokens = maxChunkTokens;
+        this.cacheDir = cacheDir;
+        this.maxCacheEntries = maxCacheEntries;
+        this.promptRegistry = promptRegistry || new PromptRegistry();
+    }
+
+    /**
+     * Id of the chunk prompt in use ("insights-chunk@1.0.0")
+     */
+    get promptVersion() {
+        return this.promptRegistry.get('insights-chunk').id;
+    }
+
+    static estimateTokens(text) {
+        return estimateTokens(text);
+    }
+
+    /**
+     * Whether the transcript is over the budget for a single prompt
+     */
+    needsChunking(transcriptContent) {
+        return ChunkedTranscriptAnalyzer.estimateTokens(transcriptContent) > this.maxChunkTokens;
+    }
+
+    /**
+     * Split a transcript into chunks of whole speaker turns
+     * @param {string|Transcript} transcript
+     * @returns {{ index, start, end, tokens, text }[]} start/end in seconds (null when untimed)
+     */
+    chunk(transcript) {
+        const parsed = typeof transcript === 'string' ? Transcript.parse(transcript) : transcript;
+        const turns = this._turns(parsed.cues);
+
+        const chunks = [];
+        let current = [];
+        let tokens = 0;
+        const flush = () => {
+            if (current.length === 0) return;
+            chunks.push(this._chunkFrom(current, chunks.length));
+            current = [];
+            tokens = 0;
+        };
+
+        for (const turn of turns) {
+            const turnTokens = sum(turn.map(cueTokens));
+            if (tokens + turnTokens <= this.maxChunkTokens) {
+                current.push(...turn);
+                tokens += turnTokens;
+                continue;
+            }
+            flush();
+            // A monologue over the budget is split between its cues
+            for (const cue of turn) {
+                if (tokens + cueTokens(cue) > this.maxChunkTokens) flush();
+                current.push(cue);
+                tokens += cueTokens(cue);
+            }
+        }
+        flush();
+
+        return chunks;
+    }
+
+    /**
+     * Analyze each chunk (or reuse its cached result) and merge the results
+     * @param {string} transcriptContent
+     * @param {Object} meetingData
+     * @param {Object} options
+     * @param {(prompt: string, options: { system: string|null }) => Promise<Object>} options.completeJSON - sends a prompt, returns the model's JSON reply
+     * @param {string} options.model - part of the cache key
+     * @param {(chunk: Object) => Promise<void>} [options.onCacheHit] - called for each chunk served from the cache
+     * @returns {Promise<Object>} merged result in the single-prompt response shape
+     */
+    async analyze(transcriptContent, meetingData, { completeJSON, model, onCacheHit = null }) {
+        const chunks = this.chunk(transcriptContent);
+        const results = [];
+        let cached = 0;
+
+        for (const chunk of chunks) {
+            const { id, system, prompt } = this.buildChunkPrompt(chunk, meetingData, chunks.length);
+            const key = this._cacheKey(model, id, this._chunkVariables(chunk, meetingData));
+            let result = await this._readCache(key);
+            if (result) {
+                cached++;
+                if (onCacheHit) await onCacheHit(chunk);
+            } else {
+                this.logger.info(`🧩 Analyzing transcript chunk ${chunk.index + 1}/${chunks.length} (${chunkRange(chunk)}, ~${chunk.tokens} tokens)`);
+                result = await completeJSON(prompt, { system });
+                await this._writeCache(key, result);
+            }
+            results.push({ chunk, result });
+        }
+        if (cached < chunks.length) await this._pruneCache();
+
+        this.logger.info(`🧩 Chunked analysis: ${chunks.length} chunks, ${cached} from cache`);
+        return ChunkedTranscriptAnalyzer.merge(results);
+    }
+
+    /**
+     * The insights-chunk prompt for one chunk
+     * @returns {{ id, system, prompt }}
+     */
+    buildChunkPrompt(chunk, meetingData, total) {
+        return this.promptRegistry.render('insights-chunk', {
+            part: chunk.index + 1,
+            total,
+            ...this._chunkVariables(chunk, meetingData)
+        });
+    }
+
+    /**
+     * Merge per-chunk results, in chunk order, into one response
+     * @param {{ chunk, result }[]} results
+     */
+    static merge(results) {
+        const parts = results.map(({ chunk, result }) => ({ chunk, result: result || {} }));
+        const summaries = parts.map(({ result }) => result.aiSummary || {});
+        const highlights = parts.map(({ result }) => result.aiHighlights || {});
+        const questions = parts.map(({ result }) => result.aiQuestions || {});
+
+        const actionItems = {};
+        const seenItems = new Set();
+        for (const priority of PRIORITIES) {
+            actionItems[priority] = [];
+            for (const { result } of parts) {
+                for (const item of asArray(result.aiActionItems?.[priority])) {
+                    const key = normalize(typeof item === 'string' ? item : item.item);
+                    if (!key || seenItems.has(key)) continue;
+                    seenItems.add(key);
+                    actionItems[priority].push(item);
+                }
+            }
+        }
+
+        const topics = new Map();
+        for (const { result } of parts) {
+            for (const topic of asArray(result.aiTopics)) {
+                const key = normalize(topic.topic);
+                if (!key) continue;
+                const existing = topics.get(key);
+                if (!existing) {
+                    topics.set(key, { ...topic });
+                } else if (topic.details && topic.details !== existing.details) {
+                    existing.details = [existing.details, topic.details].filter(Boolean).join(' ');
+                    if (topic.importance === 'high') existing.importance = 'high';
+                }
+            }
+        }
+
+        return {
+            aiSummary: {
+                executiveSummary: summaries.map(summary => summary.executiveSummary).filter(Boolean).join(' '),
+                keyThemes: unique(summaries.flatMap(summary => asArray(summary.keyThemes))),
+                mainDiscussionPoints: unique(summaries.flatMap(summary => asArray(summary.mainDiscussionPoints))),
+                sessionStructure: {
+                    phases: parts.map(({ chunk }, i) => ({
+                        name: `Part ${chunk.index + 1} (${chunkRange(chunk)})`,
+                        description: summaries[i].executiveSummary || ''
+                    }))
+                }
+            },
+            aiHighlights: {
+                breakthroughMoments: highlights.flatMap(part => asArray(part.breakthroughMoments)),
+                importantQuestions: highlights.flatMap(part => asArray(part.importantQuestions)),
+                keyInsights: highlights.flatMap(part => asArray(part.keyInsights)),
+                memorableQuotes: highlights.flatMap(part => asArray(part.memorableQuotes))
+            },
+            aiTopics: [...topics.values()],
+            aiActionItems: actionItems,
+            aiQuestions: {
+                coachingQuestions: uniqueBy(questions.flatMap(part => asArray(part.coachingQuestions)), question => question.question),
+                studentQuestions: uniqueBy(questions.flatMap(part => asArray(part.studentQuestions)), question => question.question)
+            },
+            aiSentiment: mergeSentiment(parts)
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Internals
+    // ---------------------------------------------------------------------
+
+    // Consecutive cues by the same speaker
+    _turns(cues) {
+        const turns = [];
+        for (const cue of cues.flatMap(part => splitOversizedCue(part, this.maxChunkTokens))) {
+            const last = turns[turns.length - 1];
+            if (last && cue.speaker && cue.speaker === last[0].speaker) {
+                last.push(cue);
+            } else {
+                turns.push([cue]);
+            }
+        }
+        return turns;
+    }
+
+    _chunkFrom(cues, index) {
+        const transcript = new Transcript(cues);
+        const timed = cues.filter(cue => Number.isFinite(cue.start));
+        return {
+            index,
+            start: timed.length > 0 ? timed[0].start : null,
+            end: timed.length > 0 ? Math.max(...timed.map(cue => (Number.isFinite(cue.end) ? cue.end : cue.start))) : null,
+            tokens: sum(cues.map(cueTokens)),
+            text: transcript.mergeTurns().toText({ timestamps: true })
+        };
+    }
+
+    // Prompt variables that depend on the chunk's content, not its position
+    _chunkVariables(chunk, meetingData) {
+        return {
+            range: chunkRange(chunk),
+            topic: meetingData.topic || 'Unknown',
+            date: meetingData.start_time || 'Unknown',
+            coach: meetingData.coach || 'Unknown',
+            student: meetingData.student || 'Unknown',
+            transcript: chunk.text
+        };
+    }
+
+    _cacheKey(model, promptId, variables) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([model || '', promptId, variables]))
+            .digest('hex');
+    }
+
+    async _readCache(key) {
+        const file = path.join(this.cacheDir, `${key}.json`);
+        try {
+            const result = JSON.parse(await fsp.readFile(file, 'utf8'));
+            // Pruning goes by modification time, so a hit counts as a use
+            const now = new Date();
+            await fsp.utimes(file, now, now).catch(() => {});
+            return result;
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.logger.warn(`Ignoring unreadable chunk cache entry ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async _writeCache(key, result) {
+        try {
+            await fsp.mkdir(this.cacheDir, { recursive: true });
+            await fsp.writeFile(path.join(this.cacheDir, `${key}.json`), JSON.stringify(result));
+        } catch (error) {
+            this.logger.warn(`Could not cache chunk result ${key}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the least recently used entries beyond maxCacheEntries
+     */
+    async _pruneCache() {
+        try {
+            const files = (await fsp.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+            if (files.length <= this.maxCacheEntries) return;
+
+            const entries = await Promise.all(files.map(async file => {
+                const stats = await fsp.stat(path.join(this.cacheDir, file)).catch(() => null);
+                return { file, mtime: stats ? stats.mtimeMs : 0 };
+            }));
+            const expired = entries.sort((a, b) => b.mtime - a.mtime).slice(this.maxCacheEntries);
+            await Promise.all(expired.map(({ file }) => fsp.unlink(path.join(this.cacheDir, file)).catch(() => {})));
+            this.logger.info(`🧩 Pruned ${expired.length} chunk cache entries, keeping ${this.maxCacheEntries}`);
+        } catch (error) {
+            this.logger.warn(`Could not prune the chunk cache: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Progression gets one phase per chunk; the overall sentiment is the one
+ * covering the most transcript
+ */
+function mergeSentiment(parts) {
+    const weights = {};
+    const progression = [];
+    const emotionalJourney = [];
+
+    for (const { chunk, result } of parts) {
+        const sentiment = result.aiSentiment || {};
+        if (sentiment.overall) {
+            weights[sentiment.overall] = (weights[sentiment.overall] || 0) + chunk.tokens;
+            progression.push({
+                phase: chunkRange(chunk),
+                sentiment: sentiment.overall,
+                ...(typeof sentiment.intensity === 'number' && { intensity: sentiment.intensity })
+            });
+        }
+        emotionalJourney.push(...asArray(sentiment.emotionalJourney));
+    }
+
+    const overall = Object.entries(weights).sort((a, b) => b[1] - a[1])[0];
+    return {
+        overall: overall ? overall[0] : 'neutral',
+        progression,
+        // Stable sort keeps untimed entries in chunk order
+        emotionalJourney: emotionalJourney.sort((a, b) => timestampSeconds(a.timestamp) - timestampSeconds(b.timestamp))
+    };
+}
+
+/**
+ * A plain-text paragraph can be longer than a whole chunk; split it between sentences
+ */
+function splitOversizedCue(cue, maxTokens) {
+    if (cueTokens(cue) <= maxTokens) return [cue];
+    const pieces = [];
+    let piece = '';
+    for (const sentence of cue.text.match(/[^.!?]+[.!?]*\s*/g) || [cue.text]) {
+        if (piece && ChunkedTranscriptAnalyzer.estimateTokens(piece + sentence) > maxTokens) {
+            pieces.push(piece.trim());
+            piece = '';
+        }
+        piece += sentence;
+    }
+    if (piece.trim()) pieces.push(piece.trim());
+    return pieces.map(text => ({ ...cue, text }));
+}
+
+function cueTokens(cue) {
+    return ChunkedTranscriptAnalyzer.estimateTokens(`${cue.speaker || ''}: ${cue.text}`);
+}
+
+function chunkRange(chunk) {
+    if (!Number.isFinite(chunk.start)) return `part ${chunk.index + 1}`;
+    return `${formatTimestamp(chunk.start).slice(0, 8)}-${formatTimestamp(chunk.end).slice(0, 8)}`;
+}
+
+function timestampSeconds(timestamp) {
+    const parts = String(timestamp || '').split(':').map(Number);
+    if (parts.length < 2 || parts.some(Number.isNaN)) return Infinity;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function unique(values) {
+    return uniqueBy(values, value => value);
+}
+
+function uniqueBy(values, keyOf) {
+    const seen = new Set();
+    return values.filter(value => {
+        const key = normalize(typeof value === 'string' ? value : keyOf(value));
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+module.exports = { ChunkedTranscriptAnalyzer, MERGED_SECTIONS };
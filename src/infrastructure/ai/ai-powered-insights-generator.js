@@ -1,4 +1,24 @@
 require('dotenv').config();
+const { ChunkedTranscriptAnalyzer, MERGED_SECTIONS } = require('./ChunkedTranscriptAnalyzer');
+const { LLMGateway } = require('./llm');
+const { PromptRegistry } = require('./prompts/PromptRegistry');
+const { INSIGHTS_SCHEMA_VERSION, INSIGHT_SECTIONS, PROVENANCE, validateInsights, schemaFor, tagFields, withZoom } = require('./insights');
+
+// Fields generateRuleBasedInsights fills with fixed values rather than reading them off the transcript
+const RULE_BASED_PLACEHOLDERS = [
+    'aiSummary.sessionStructure',
+    'aiSentiment.progression',
+    'aiSentiment.emotionalJourney',
+    'aiEngagement',
+    'aiCoachingInsights.techniques',
+    'aiCoachingInsights.progressIndicators',
+    'aiCoachingInsights.effectiveness',
+    'aiCoachingInsights.studentProgress',
+    'aiParticipantInsights.participantRoles',
+    'aiParticipantInsights.interactionPatterns',
+    'aiParticipantInsights.engagementLevel',
+    'aiQualityMetrics'
+];
 
 class AIPoweredInsightsGenerator {
     constructor({ logger = console, config = {}, ...rest } = {}) {
@@ -6,16 +26,22 @@ class AIPoweredInsightsGenerator {
         this.config = config;
         Object.assign(this, rest);
         
-        // API Configuration
-        this.openaiApiKey = process.env.OPENAI_API_KEY || config?.openai?.apiKey;
-        this.anthropicApiKey = process.env.ANTHROPIC_API_KEY || config?.anthropic?.apiKey;
-        this.useOpenAI = !!this.openaiApiKey && this.openaiApiKey !== 'your-openai-api-key-here';
-        this.useAnthropic = !!this.anthropicApiKey && this.anthropicApiKey !== 'your-anthropic-api-key-here';
-        
-        // Provider selection
-        this.preferredProvider = config?.ai?.preferredProvider || 'openai';
+        // Model calls go through the gateway, which owns providers, failover and per-task models
+        this.llmGateway = this.llmGateway || new LLMGateway({ logger, config });
+        this.useOpenAI = this.llmGateway.availableProviders.includes('openai');
+        this.useAnthropic = this.llmGateway.availableProviders.includes('anthropic');
         this.activeProvider = this._selectPrimaryProvider();
         
+        // Versioned prompt templates; config.ai.promptVersions or AI_PROMPT_VERSIONS pin versions
+        this.promptRegistry = this.promptRegistry || new PromptRegistry({ versions: config?.ai?.promptVersions });
+        
+        // Transcripts over this many tokens are analyzed in chunks
+        this.chunkedAnalyzer = this.chunkedAnalyzer || new ChunkedTranscriptAnalyzer({
+            logger,
+            promptRegistry: this.promptRegistry,
+            maxChunkTokens: config?.ai?.maxChunkTokens || parseInt(process.env.AI_MAX_CHUNK_TOKENS || '3000')
+        });
+        
         // Zoom API Integration
         this.zoomInsightsExtractor = new (require('../services/EnhancedZoomInsightsExtractor.js'))({ logger, config });
         
@@ -23,27 +49,22 @@ class AIPoweredInsightsGenerator {
         this.outcomesProcessor = new (require('../services/tangible-outcomes-processor.js'))();
         
         this.logger.info(`🤖 AI-Powered Insights Generator initialized:`);
-        this.logger.info(`  OpenAI: ${this.useOpenAI ? '✅ Available' : '❌ Not available'}`);
-        this.logger.info(`  Anthropic: ${this.useAnthropic ? '✅ Available' : '❌ Not available'}`);
+        this.logger.info(`  LLM providers: ${this.llmGateway.availableProviders.join(' → ') || '❌ None available'}`);
         this.logger.info(`  Active Provider: ${this.activeProvider}`);
         this.logger.info(`  Zoom API Integration: ✅ Enabled`);
         this.logger.info(`  Tangible Outcomes Processing: ✅ Enabled`);
         
-        if (!this.useOpenAI && !this.useAnthropic) {
+        if (!this.llmGateway.isAvailable) {
             this.logger.warn('⚠️ No valid AI API keys found. Using fallback analysis only.');
-            this.logger.warn('⚠️ Set OPENAI_API_KEY or ANTHROPIC_API_KEY in local.env for AI-powered insights.');
+            this.logger.warn('⚠️ Set OPENAI_API_KEY or ANTHROPIC_API_KEY in local.env for AI-powered insights, or AI_PROVIDERS=mock to run offline.');
         }
     }
 
     /**
-     * Select the primary AI provider
+     * Select the primary AI provider (first in the gateway's failover order)
      */
     _selectPrimaryProvider() {
-        if (this.preferredProvider === 'openai' && this.useOpenAI) return 'openai';
-        if (this.preferredProvider === 'anthropic' && this.useAnthropic) return 'anthropic';
-        if (this.useOpenAI) return 'openai';
-        if (this.useAnthropic) return 'anthropic';
-        return 'fallback';
+        return this.llmGateway.availableProviders[0] || 'fallback';
     }
 
     /**
@@ -100,6 +121,7 @@ class AIPoweredInsightsGenerator {
                     aiGenerated: false,
                     model: 'none',
                     provider: 'none',
+                    promptVersion: null,
                     processingTime: 0,
                     dataSources: []
                 }
@@ -120,68 +142,36 @@ class AIPoweredInsightsGenerator {
                 return await this.combineInsights(fallbackInsights, zoomInsights, meetingData);
             }
 
-            // Try AI providers in order of preference
-            const providerOrder = [
-                this.activeProvider,
-                ...['openai', 'anthropic', 'fallback'].filter(p => p !== this.activeProvider)
-            ];
-
-            for (const provider of providerOrder) {
+            // The gateway fails over between providers; rule-based analysis is the last resort
+            const budget = this.llmGateway.isAvailable ? await this.llmGateway.budgetStatus() : null;
+            if (budget) {
+                this.logger.warn(`💸 LLM ${budget.scope} budget of $${budget.limit} spent ($${budget.spent}), skipping AI analysis`);
+            }
+            if (this.llmGateway.isAvailable && !budget) {
                 try {
-                    if (provider === 'openai' && this.useOpenAI) {
-                        this.logger.info('🤖 Using OpenAI for AI analysis');
-                        const openaiInsights = await this.generateOpenAIInsights(transcriptContent, meetingData);
-                        Object.assign(insights, openaiInsights);
-                        insights.metadata.aiGenerated = true;
-                        insights.metadata.model = 'OpenAI GPT-4';
-                        insights.metadata.provider = 'openai';
-                        
-                        // Get Zoom insights and combine
-                        const zoomInsights = await zoomInsightsPromise;
-                        const combinedInsights = await this.combineInsights(insights, zoomInsights, meetingData);
-                        combinedInsights.metadata.processingTime = Date.now() - startTime;
-                        
-                        this.logger.info('✅ OpenAI AI insights generated successfully with Zoom integration');
-                        return combinedInsights;
-                    }
+                    const { insights: llmInsights, provider, model, promptVersion } = await this.generateLLMInsights(transcriptContent, meetingData);
+                    Object.assign(insights, llmInsights);
+                    insights.metadata.aiGenerated = true;
+                    insights.metadata.model = model;
+                    insights.metadata.provider = provider;
+                    insights.metadata.promptVersion = promptVersion;
                     
-                    if (provider === 'anthropic' && this.useAnthropic) {
-                        this.logger.info('🤖 Using Anthropic Claude for AI analysis');
-                        const anthropicInsights = await this.generateAnthropicInsights(transcriptContent, meetingData);
-                        Object.assign(insights, anthropicInsights);
-                        insights.metadata.aiGenerated = true;
-                        insights.metadata.model = 'Anthropic Claude';
-                        insights.metadata.provider = 'anthropic';
-                        
-                        // Get Zoom insights and combine
-                        const zoomInsights = await zoomInsightsPromise;
-                        const combinedInsights = await this.combineInsights(insights, zoomInsights, meetingData);
-                        combinedInsights.metadata.processingTime = Date.now() - startTime;
-                        
-                        this.logger.info('✅ Anthropic AI insights generated successfully with Zoom integration');
-                        return combinedInsights;
-                    }
+                    // Get Zoom insights and combine
+                    const zoomInsights = await zoomInsightsPromise;
+                    const combinedInsights = await this.combineInsights(insights, zoomInsights, meetingData);
+                    combinedInsights.metadata.processingTime = Date.now() - startTime;
                     
-                    if (provider === 'fallback') {
-                        this.logger.info('🔄 Using rule-based fallback analysis');
-                        const ruleBasedInsights = this.generateRuleBasedInsights(transcriptContent, meetingData);
-                        const zoomInsights = await zoomInsightsPromise;
-                        const combinedInsights = await this.combineInsights(ruleBasedInsights, zoomInsights, meetingData);
-                        combinedInsights.metadata.processingTime = Date.now() - startTime;
-                        return combinedInsights;
-                    }
+                    this.logger.info(`✅ ${provider} (${model}) AI insights generated successfully with Zoom integration`);
+                    return combinedInsights;
                 } catch (error) {
-                    this.logger.error(`❌ ${provider} analysis failed: ${error.message}`);
-                    if (provider === providerOrder[providerOrder.length - 1]) {
-                        throw error;
-                    }
+                    this.logger.error(`❌ LLM analysis failed: ${error.message}`);
                 }
             }
 
-            // Final fallback
-            const fallbackInsights = this.generateFallbackInsights(meetingData);
+            this.logger.info('🔄 Using rule-based fallback analysis');
+            const ruleBasedInsights = this.generateRuleBasedInsights(transcriptContent, meetingData);
             const zoomInsights = await zoomInsightsPromise;
-            const combinedInsights = await this.combineInsights(fallbackInsights, zoomInsights, meetingData);
+            const combinedInsights = await this.combineInsights(ruleBasedInsights, zoomInsights, meetingData);
             combinedInsights.metadata.processingTime = Date.now() - startTime;
             return combinedInsights;
 
@@ -275,6 +265,7 @@ class AIPoweredInsightsGenerator {
             // Enhanced metadata
             metadata: {
                 ...aiInsights.metadata,
+                schemaVersion: INSIGHTS_SCHEMA_VERSION,
                 zoomGenerated: zoomInsights.metadata.zoomGenerated,
                 outcomesGenerated: true,
                 dataSources: [
@@ -287,201 +278,147 @@ class AIPoweredInsightsGenerator {
             }
         };
 
+        // Where each field came from (ai, zoom, rule-based, default)
+        const provenance = aiInsights.provenance || tagFields(aiInsights, aiInsights.metadata?.aiGenerated ? PROVENANCE.AI : PROVENANCE.RULE_BASED);
+        combined.provenance = withZoom(provenance, combined, aiInsights, zoomInsights);
+
         this.logger.info('✅ Insights combination completed successfully with tangible outcomes');
         return combined;
     }
 
     /**
-     * Generate insights using OpenAI GPT-4
+     * Generate insights through the LLM gateway: one prompt when the
+     * transcript fits the chunk budget, otherwise chunked analysis with the
+     * partial results merged (see ChunkedTranscriptAnalyzer)
+     * Calls are recorded against meetingData.uuid in the gateway's usage ledger.
+     * @returns {Promise<{ insights, provider, model, promptVersion }>} provider and model that answered (the last one,
+     *   when chunked) and the id of the analysis prompt ("insights@1.0.0", or the chunk prompt's)
      */
-    async generateOpenAIInsights(transcriptContent, meetingData) {
-        const { OpenAI } = require('openai');
-        const openai = new OpenAI({ apiKey: this.openaiApiKey });
-
-        const prompt = this.buildComprehensiveAnalysisPrompt(transcriptContent, meetingData);
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert coaching session analyst. Analyze the transcript and provide comprehensive insights in JSON format."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 4000
+    async generateLLMInsights(transcriptContent, meetingData) {
+        const usage = { recordingUuid: meetingData.uuid || null, caller: 'AIPoweredInsightsGenerator' };
+
+        if (!this.chunkedAnalyzer.needsChunking(transcriptContent)) {
+            const prompt = this.buildComprehensiveAnalysisPrompt(transcriptContent, meetingData);
+            const response = await this.llmGateway.completeJSON({
+                task: 'insights',
+                system: prompt.system,
+                prompt: prompt.prompt,
+                ...usage
+            });
+            const { value, defaulted } = await this._validateAndRepair(response.json, INSIGHT_SECTIONS, transcriptContent, usage);
+            this.logger.info('✅ AI response parsed and validated successfully');
+            return {
+                insights: this._structureInsights(value, { source: PROVENANCE.AI, defaulted }),
+                provider: response.provider,
+                model: response.model,
+                promptVersion: prompt.id
+            };
+        }
+
+        this.logger.info(`🧩 Transcript over ${this.chunkedAnalyzer.maxChunkTokens} tokens, using chunked analysis`);
+        let last = { provider: this.activeProvider, model: this.llmGateway.modelFor('insights-chunk') };
+        const merged = await this.chunkedAnalyzer.analyze(transcriptContent, meetingData, {
+            model: last.model,
+            completeJSON: async (prompt, { system = null } = {}) => {
+                const response = await this.llmGateway.completeJSON({ task: 'insights-chunk', system, prompt, ...usage });
+                last = response;
+                return response.json;
+            },
+            onCacheHit: () => this.llmGateway.recordCacheHit({ task: 'insights-chunk', model: last.model, ...usage })
         });
+        // Sections the chunks are not asked for are left to the defaults
+        const { value, defaulted } = await this._validateAndRepair(merged, MERGED_SECTIONS, null, usage);
+        return {
+            insights: this._structureInsights(value, { source: PROVENANCE.AI, defaulted }),
+            provider: last.provider,
+            model: last.model,
+            promptVersion: this.chunkedAnalyzer.promptVersion
+        };
+    }
 
-        const response = completion.choices[0].message.content;
-        return this.parseAIResponse(response);
+    /**
+     * Validate a parsed response against INSIGHTS_SCHEMA and ask the model to
+     * fix only the fields that failed. Fields still invalid after the repair
+     * are dropped, so the section defaults fill them and provenance marks them
+     * "default".
+     * @param {Object} parsed - model response
+     * @param {string[]} sections - sections the response should contain
+     * @param {string|null} transcriptContent - sent with the repair when a section is missing entirely
+     * @param {Object} [usage] - recordingUuid and caller for the usage ledger
+     * @returns {Promise<{ value: Object, defaulted: string[] }>}
+     */
+    async _validateAndRepair(parsed, sections, transcriptContent, usage = {}) {
+        const check = validateInsights(parsed, sections);
+        if (check.valid) return { value: parsed, defaulted: [] };
+
+        this.logger.warn(`⚠️ AI insights failed schema ${INSIGHTS_SCHEMA_VERSION} in ${check.invalidFields.length} field(s): ${check.invalidFields.join(', ')}; requesting a repair`);
+        let value = parsed;
+        try {
+            const prompt = this.buildRepairPrompt(parsed, check, transcriptContent);
+            const response = await this.llmGateway.completeJSON({
+                task: 'insights-repair',
+                system: prompt.system,
+                prompt: prompt.prompt,
+                ...usage
+            });
+            value = applyRepair(parsed, response.json, check.invalidFields);
+        } catch (error) {
+            this.logger.warn(`⚠️ Insights repair failed: ${error.message}`);
+        }
+
+        const recheck = validateInsights(value, sections);
+        if (!recheck.valid) {
+            this.logger.warn(`⚠️ Using defaults for invalid AI insights field(s): ${recheck.invalidFields.join(', ')}`);
+        }
+        return { value: withoutFields(value, recheck.invalidFields), defaulted: recheck.invalidFields };
     }
 
     /**
-     * Generate insights using Anthropic Claude
+     * Repair prompt (insights-repair template): the schema errors, the current
+     * value and the schema of each invalid field, and the transcript when a
+     * whole section is missing
+     * @returns {{ id, system, prompt }}
      */
-    async generateAnthropicInsights(transcriptContent, meetingData) {
-        const Anthropic = require('@anthropic-ai/sdk');
-        const anthropic = new Anthropic({ apiKey: this.anthropicApiKey });
-
-        const prompt = this.buildComprehensiveAnalysisPrompt(transcriptContent, meetingData);
-
-        const message = await anthropic.messages.create({
-            model: "claude-3-sonnet-20240229",
-            max_tokens: 4000,
-            temperature: 0.3,
-            messages: [
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ]
+    buildRepairPrompt(parsed, check, transcriptContent) {
+        const errors = check.errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+        const fields = check.invalidFields.map(field => {
+            const [section, key] = field.split('.');
+            const current = key ? parsed?.[section]?.[key] : parsed?.[section];
+            return `### ${field}
+Current value: ${current === undefined ? 'missing' : JSON.stringify(current)}
+Schema: ${JSON.stringify(schemaFor(field))}`;
+        }).join('\n\n');
+        const missing = check.errors.some(error => error.message === 'is missing' || error.message === 'is required');
+
+        return this.promptRegistry.render('insights-repair', {
+            schemaVersion: INSIGHTS_SCHEMA_VERSION,
+            errors,
+            fields,
+            transcriptSection: missing && transcriptContent ? `\nTRANSCRIPT:\n${transcriptContent}\n` : ''
         });
-
-        const response = message.content[0].text;
-        return this.parseAIResponse(response);
     }
 
     /**
-     * Build comprehensive analysis prompt for all AI providers
+     * Build the comprehensive analysis prompt (insights template) for all AI providers
+     * @returns {{ id, system, prompt }}
      */
     buildComprehensiveAnalysisPrompt(transcriptContent, meetingData) {
-        return `Analyze this coaching session transcript and provide comprehensive insights in the following JSON format:
-
-MEETING DATA:
-- Topic: ${meetingData.topic || 'Unknown'}
-- Duration: ${meetingData.duration || 0} minutes
-- Date: ${meetingData.start_time || 'Unknown'}
-- Coach: ${meetingData.coach || 'Unknown'}
-- Student: ${meetingData.student || 'Unknown'}
-- Participant Count: ${meetingData.participantCount || 2}
-
-TRANSCRIPT:
-${transcriptContent.substring(0, 8000)}${transcriptContent.length > 8000 ? '...' : ''}
-
-Please provide analysis in this exact JSON format:
-
-{
-  "aiSummary": {
-    "executiveSummary": "Brief overview of the session",
-    "keyThemes": ["theme1", "theme2"],
-    "mainDiscussionPoints": ["point1", "point2"],
-    "sessionStructure": {
-      "phases": [
-        {"name": "Opening", "description": "What happened"},
-        {"name": "Main", "description": "Core discussion"},
-        {"name": "Closing", "description": "Wrap-up"}
-      ]
-    }
-  },
-  "aiHighlights": {
-    "breakthroughMoments": [
-      {"timestamp": "00:15:30", "description": "Key breakthrough", "impact": "high"}
-    ],
-    "importantQuestions": [
-      {"question": "What was asked", "significance": "high", "response": "brief response"}
-    ],
-    "keyInsights": [
-      {"insight": "Important realization", "context": "when it occurred"}
-    ],
-    "memorableQuotes": [
-      {"quote": "Memorable statement", "speaker": "who said it", "context": "when"}
-    ]
-  },
-  "aiTopics": [
-    {"topic": "Topic name", "timeSpent": "15 minutes", "importance": "high", "details": "What was discussed"}
-  ],
-  "aiActionItems": {
-    "highPriority": [
-      {"item": "Action item", "assignee": "who", "deadline": "when", "context": "why"}
-    ],
-    "mediumPriority": [],
-    "lowPriority": []
-  },
-  "aiQuestions": {
-    "coachingQuestions": [
-      {"question": "Question asked", "type": "reflective/strategic/tactical", "effectiveness": "high"}
-    ],
-    "studentQuestions": [
-      {"question": "Student question", "category": "clarification/concern/interest"}
-    ]
-  },
-  "aiSentiment": {
-    "overall": "positive/neutral/negative",
-    "progression": [
-      {"phase": "opening", "sentiment": "positive", "intensity": 0.8}
-    ],
-    "emotionalJourney": [
-      {"timestamp": "00:10:00", "emotion": "frustrated", "context": "discussing challenge"}
-    ]
-  },
-  "aiEngagement": {
-    "overallScore": 0.85,
-    "speakerEngagement": {
-      "coach": {"score": 0.9, "techniques": ["active listening", "questioning"]},
-      "student": {"score": 0.8, "participation": "high"}
-    },
-    "engagementFactors": {
-      "responseTime": {"average": 2.5},
-      "conversationFlow": {"flow": "smooth"},
-      "questionFrequency": {"frequency": "high"}
-    }
-  },
-  "aiCoachingInsights": {
-    "techniques": [
-      {"technique": "Active listening", "effectiveness": "high", "context": "when used"}
-    ],
-    "breakthroughMoments": [
-      {"moment": "Description", "coachingMethod": "what worked", "studentResponse": "how they reacted"}
-    ],
-    "resistancePoints": [
-      {"point": "What student resisted", "coachingResponse": "how coach handled it"}
-    ],
-    "progressIndicators": [
-      {"indicator": "Sign of progress", "evidence": "what showed this"}
-    ],
-    "effectiveness": {
-      "overall": 0.8,
-      "strengths": ["Clear communication", "Good questioning"],
-      "areasForImprovement": ["Could use more examples"]
-    },
-    "studentProgress": {
-      "visibleGrowth": ["Increased confidence", "Clearer goals"],
-      "challenges": ["Time management", "Follow-through"],
-      "nextSteps": ["Practice new techniques", "Set specific milestones"]
-    }
-  },
-  "aiSessionAnalysis": {
-    "sessionType": "one-on-one/group",
-    "duration": ${meetingData.duration || 0},
-    "participantCount": ${meetingData.participantCount || 2},
-    "characteristics": {
-      "isOneOnOne": ${(meetingData.participantCount || 0) <= 2},
-      "isGroupSession": ${(meetingData.participantCount || 0) > 2},
-      "isLongSession": ${(meetingData.duration || 0) > 60},
-      "isShortSession": ${(meetingData.duration || 0) < 30}
-    }
-  },
-  "aiParticipantInsights": {
-    "totalParticipants": ${meetingData.participantCount || 2},
-    "activeParticipants": ${Math.min(meetingData.participantCount || 2, 2)},
-    "participantRoles": ["Coach", "Student"],
-    "interactionPatterns": ["Question-Answer", "Discussion"],
-    "engagementLevel": "medium"
-  },
-  "aiQualityMetrics": {
-    "overallQuality": 0.7,
-    "transcriptQuality": 0.8,
-    "completeness": 0.7,
-    "reliability": 0.8,
-    "recommendations": ["Improve audio quality", "Add more structure"]
-  }
-}
-
-Focus on coaching effectiveness, student progress, actionable insights, and specific moments that demonstrate growth or challenges. Be specific about techniques used, breakthrough moments, and measurable progress indicators.`;
+        const participantCount = meetingData.participantCount || 2;
+        const duration = meetingData.duration || 0;
+        return this.promptRegistry.render('insights', {
+            topic: meetingData.topic || 'Unknown',
+            duration,
+            date: meetingData.start_time || 'Unknown',
+            coach: meetingData.coach || 'Unknown',
+            student: meetingData.student || 'Unknown',
+            participantCount,
+            transcript: transcriptContent,
+            isOneOnOne: (meetingData.participantCount || 0) <= 2,
+            isGroupSession: (meetingData.participantCount || 0) > 2,
+            isLongSession: duration > 60,
+            isShortSession: duration < 30,
+            activeParticipants: Math.min(participantCount, 2)
+        });
     }
 
     /**
@@ -495,22 +432,7 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
                 throw new Error('No JSON found in AI response');
             }
             
-            const parsed = JSON.parse(jsonMatch[0]);
-            
-            // Enhanced validation and structure enforcement
-            const validatedInsights = {
-                aiSummary: this._validateAndEnhanceSummary(parsed.aiSummary),
-                aiHighlights: this._validateAndEnhanceHighlights(parsed.aiHighlights),
-                aiTopics: this._validateAndEnhanceTopics(parsed.aiTopics),
-                aiActionItems: this._validateAndEnhanceActionItems(parsed.aiActionItems),
-                aiQuestions: this._validateAndEnhanceQuestions(parsed.aiQuestions),
-                aiSentiment: this._validateAndEnhanceSentiment(parsed.aiSentiment),
-                aiEngagement: this._validateAndEnhanceEngagement(parsed.aiEngagement),
-                aiCoachingInsights: this._validateAndEnhanceCoachingInsights(parsed.aiCoachingInsights),
-                aiSessionAnalysis: this._validateAndEnhanceSessionAnalysis(parsed.aiSessionAnalysis),
-                aiParticipantInsights: this._validateAndEnhanceParticipantInsights(parsed.aiParticipantInsights),
-                aiQualityMetrics: this._validateAndEnhanceQualityMetrics(parsed.aiQualityMetrics)
-            };
+            const validatedInsights = this._structureInsights(JSON.parse(jsonMatch[0]));
 
             this.logger.info('✅ AI response parsed and validated successfully');
             return validatedInsights;
@@ -521,6 +443,26 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
         }
     }
 
+    /**
+     * Enhanced validation and structure enforcement of a parsed response
+     */
+    _structureInsights(parsed, { source = PROVENANCE.AI, defaulted = [] } = {}) {
+        return {
+            aiSummary: this._validateAndEnhanceSummary(parsed.aiSummary),
+            aiHighlights: this._validateAndEnhanceHighlights(parsed.aiHighlights),
+            aiTopics: this._validateAndEnhanceTopics(parsed.aiTopics),
+            aiActionItems: this._validateAndEnhanceActionItems(parsed.aiActionItems),
+            aiQuestions: this._validateAndEnhanceQuestions(parsed.aiQuestions),
+            aiSentiment: this._validateAndEnhanceSentiment(parsed.aiSentiment),
+            aiEngagement: this._validateAndEnhanceEngagement(parsed.aiEngagement),
+            aiCoachingInsights: this._validateAndEnhanceCoachingInsights(parsed.aiCoachingInsights),
+            aiSessionAnalysis: this._validateAndEnhanceSessionAnalysis(parsed.aiSessionAnalysis),
+            aiParticipantInsights: this._validateAndEnhanceParticipantInsights(parsed.aiParticipantInsights),
+            aiQualityMetrics: this._validateAndEnhanceQualityMetrics(parsed.aiQualityMetrics),
+            provenance: tagFields(parsed, source, defaulted)
+        };
+    }
+
     /**
      * Validate and enhance summary structure
      */
@@ -614,7 +556,8 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
                     item: typeof item === 'string' ? item : item.item || 'Action item',
                     assignee: typeof item === 'string' ? "Student" : item.assignee || "Student",
                     deadline: typeof item === 'string' ? "TBD" : item.deadline || "TBD",
-                    context: typeof item === 'string' ? "Action item from coaching session" : item.context || "Action item from coaching session"
+                    context: typeof item === 'string' ? "Action item from coaching session" : item.context || "Action item from coaching session",
+                    ...(item?.timestamp && { timestamp: item.timestamp })
                 }))
                 : [],
             mediumPriority: Array.isArray(actionItems.mediumPriority)
@@ -622,7 +565,8 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
                     item: item.item || 'Action item',
                     assignee: item.assignee || 'Unknown',
                     deadline: item.deadline || 'TBD',
-                    context: item.context || 'Why needed'
+                    context: item.context || 'Why needed',
+                    ...(item.timestamp && { timestamp: item.timestamp })
                 }))
                 : [],
             lowPriority: Array.isArray(actionItems.lowPriority)
@@ -630,7 +574,8 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
                     item: item.item || 'Action item',
                     assignee: item.assignee || 'Unknown',
                     deadline: item.deadline || 'TBD',
-                    context: item.context || 'Why needed'
+                    context: item.context || 'Why needed',
+                    ...(item.timestamp && { timestamp: item.timestamp })
                 }))
                 : []
         };
@@ -860,7 +805,7 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
         const studentQuestions = this.extractStudentQuestions(transcriptContent);
         const sentiment = this.analyzeSentiment(transcriptContent);
         
-        return {
+        const ruleBased = {
             aiSummary: {
                 executiveSummary: themes.length > 0 ? `Session focused on ${themes.join(', ')}` : 'Coaching session with general discussion',
                 keyThemes: themes,
@@ -995,6 +940,8 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
                 processingTime: 0
             }
         };
+        ruleBased.provenance = tagFields(ruleBased, PROVENANCE.RULE_BASED, RULE_BASED_PLACEHOLDERS);
+        return ruleBased;
     }
 
     /**
@@ -1332,7 +1279,8 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
                 model: 'fallback',
                 provider: 'none',
                 processingTime: 0
-            }
+            },
+            provenance: tagFields({}, PROVENANCE.DEFAULT)
         };
     }
 
@@ -1860,4 +1808,36 @@ Focus on coaching effectiveness, student progress, actionable insights, and spec
     }
 }
 
-module.exports = AIPoweredInsightsGenerator; 
\ No newline at end of file
+/**
+ * Copy the repaired fields ("section" or "section.field") into a copy of the response
+ */
+function applyRepair(parsed, repaired, fields) {
+    const value = JSON.parse(JSON.stringify(parsed || {}));
+    for (const field of fields) {
+        const [section, key] = field.split('.');
+        const fixed = key ? repaired?.[section]?.[key] : repaired?.[section];
+        if (fixed === undefined) continue;
+        if (!key) {
+            value[section] = fixed;
+        } else {
+            if (!value[section] || typeof value[section] !== 'object' || Array.isArray(value[section])) value[section] = {};
+            value[section][key] = fixed;
+        }
+    }
+    return value;
+}
+
+function withoutFields(parsed, fields) {
+    const value = JSON.parse(JSON.stringify(parsed || {}));
+    for (const field of fields) {
+        const [section, key] = field.split('.');
+        if (key && value[section] && typeof value[section] === 'object') {
+            delete value[section][key];
+        } else {
+            delete value[section];
+        }
+    }
+    return value;
+}
+
+module.exports = AIPoweredInsightsGenerator;
\ No newline at end of file
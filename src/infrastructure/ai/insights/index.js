@@ -0,0 +1,11 @@
+/**
+ * Insights payload: schema, validation and provenance
+ */
+
+const schema = require('./schema');
+const provenance = require('./provenance');
+
+module.exports = {
+    ...schema,
+    ...provenance
+};
@@ -0,0 +1,128 @@
+/**
+ * Insights provenance
+ *
+ * Where each insights field came from, as a flat map next to the sections:
+ *
+ *   provenance: { 'aiSummary': 'ai', 'aiSummary.executiveSummary': 'ai',
+ *                 'aiSummary.keyThemes': 'ai+zoom', 'aiTopics': 'rule-based', ... }
+ *
+ *   ai          the model returned it and it passed the schema (after repair)
+ *   zoom        taken from Zoom's own meeting insights
+ *   rule-based  keyword/heuristic analysis (no model call)
+ *   default     nothing usable came back; a placeholder filled the gap
+ *
+ * Sections are keyed by name, their fields by "section.field"; array
+ * sections (aiTopics) have only the section key. A value built from more
+ * than one source gets the tags joined with "+".
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { INSIGHTS_SCHEMA, INSIGHT_SECTIONS } = require('./schema');
+
+const PROVENANCE = {
+    AI: 'ai',
+    ZOOM: 'zoom',
+    RULE_BASED: 'rule-based',
+    DEFAULT: 'default'
+};
+
+const ORDER = Object.values(PROVENANCE);
+
+/**
+ * Tag the fields of one source's raw output
+ * @param {Object} raw - sections as the source produced them, before defaults were filled in
+ * @param {string} source - a PROVENANCE value
+ * @param {string[]} [defaulted] - "section" / "section.field" paths that were invalid or filled with placeholders
+ * @returns {Object} provenance map
+ */
+function tagFields(raw, source, defaulted = []) {
+    const provenance = {};
+    for (const section of INSIGHT_SECTIONS) {
+        const sectionDefaulted = defaulted.includes(section) || !present(raw?.[section]);
+        const fields = fieldsOf(section);
+        for (const field of fields) {
+            const path = `${section}.${field}`;
+            provenance[path] = sectionDefaulted || defaulted.includes(path) || !present(raw[section][field])
+                ? PROVENANCE.DEFAULT
+                : source;
+        }
+        provenance[section] = fields.length > 0
+            ? combineTags(fields.map(field => provenance[`${section}.${field}`]))
+            : sectionDefaulted ? PROVENANCE.DEFAULT : source;
+    }
+    return provenance;
+}
+
+/**
+ * Retag fields after combineInsights: a value that now matches Zoom's and not
+ * the original is "zoom"; one that differs from both (merged lists) gains "+zoom"
+ * @param {Object} provenance - tags of the non-Zoom insights
+ * @param {Object} combined - combined insights
+ * @param {Object} original - the insights before combining
+ * @param {Object} zoomInsights - EnhancedZoomInsightsExtractor output (zoomSummary, zoomTopics, ...)
+ */
+function withZoom(provenance, combined, original, zoomInsights) {
+    const result = { ...provenance };
+    for (const section of INSIGHT_SECTIONS) {
+        const zoomSection = zoomInsights?.[section.replace(/^ai/, 'zoom')];
+        if (!present(zoomSection)) continue;
+
+        const fields = fieldsOf(section);
+        const paths = fields.length > 0 ? fields.map(field => [`${section}.${field}`, field]) : [[section, null]];
+        for (const [path, field] of paths) {
+            const zoomValue = field ? zoomSection[field] : zoomSection;
+            if (!hasContent(zoomValue)) continue;
+            const value = field ? combined?.[section]?.[field] : combined?.[section];
+            const originalValue = field ? original?.[section]?.[field] : original?.[section];
+            if (isDeepStrictEqual(value, originalValue)) continue;
+            result[path] = isDeepStrictEqual(value, zoomValue)
+                ? PROVENANCE.ZOOM
+                : combineTags([provenance[path], PROVENANCE.ZOOM].filter(tag => tag && tag !== PROVENANCE.DEFAULT));
+        }
+        if (fields.length > 0) result[section] = combineTags(fields.map(field => result[`${section}.${field}`]));
+    }
+    return result;
+}
+
+/**
+ * One tag for a set of tags: "ai", or "ai+zoom" when they differ
+ */
+function combineTags(tags) {
+    const unique = new Set(tags.flatMap(tag => String(tag || PROVENANCE.DEFAULT).split('+')));
+    return ORDER.filter(tag => unique.has(tag)).join('+') || PROVENANCE.DEFAULT;
+}
+
+/**
+ * Number of fields per source ("ai+zoom" counts for both)
+ * @returns {{ ai: number, zoom: number, 'rule-based': number, default: number }}
+ */
+function summarizeProvenance(provenance = {}) {
+    const counts = Object.fromEntries(ORDER.map(tag => [tag, 0]));
+    for (const [path, tag] of Object.entries(provenance)) {
+        // Count fields, and array sections which have no fields
+        if (!path.includes('.') && fieldsOf(path).length > 0) continue;
+        for (const part of String(tag).split('+')) {
+            if (part in counts) counts[part]++;
+        }
+    }
+    return counts;
+}
+
+function fieldsOf(section) {
+    const schema = INSIGHTS_SCHEMA.properties[section];
+    return schema?.type === 'object' ? Object.keys(schema.properties) : [];
+}
+
+function present(value) {
+    return value !== undefined && value !== null;
+}
+
+// Zoom sections come with empty lists and strings for what it did not detect
+function hasContent(value) {
+    if (!present(value) || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.keys(value).length > 0;
+    return true;
+}
+
+module.exports = { PROVENANCE, tagFields, withZoom, combineTags, summarizeProvenance };
@@ -0,0 +1,183 @@
+/**
+ * Insights schema
+ *
+ * The JSON Schema (draft-07) for the analysis an LLM returns: the eleven
+ * ai* sections AIPoweredInsightsGenerator asks for. Bump
+ * INSIGHTS_SCHEMA_VERSION on any change; it is stored with each insights
+ * payload (metadata.schemaVersion) so old results can be told apart.
+ *
+ * validateInsights() checks a response against it with the subset of JSON
+ * Schema used here (type, required, properties, items, enum, minimum,
+ * maximum, minLength, pattern) and reports errors by field path, which is what the
+ * repair prompt and the provenance tags work from.
+ */
+
+const INSIGHTS_SCHEMA_VERSION = '1.0.0';
+
+const LEVEL = { type: 'string', enum: ['high', 'medium', 'low'] };
+const SCORE = { type: 'number', minimum: 0, maximum: 1 };
+const TEXT = { type: 'string', minLength: 1 };
+const TIMESTAMP = { type: 'string', pattern: '^\\d{1,2}:\\d{2}(:\\d{2})?$' };
+const STRINGS = { type: 'array', items: TEXT };
+
+const objectOf = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+const listOf = (properties, required) => ({ type: 'array', items: objectOf(properties, required) });
+
+const ACTION_ITEMS = listOf({ item: TEXT, assignee: { type: 'string' }, deadline: { type: 'string' }, context: { type: 'string' }, timestamp: TIMESTAMP }, ['item']);
+
+const INSIGHTS_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `urn:zoom-recording-unified:coaching-insights:${INSIGHTS_SCHEMA_VERSION}`,
+    title: 'Coaching session insights',
+    version: INSIGHTS_SCHEMA_VERSION,
+    type: 'object',
+    properties: {
+        aiSummary: objectOf({
+            executiveSummary: TEXT,
+            keyThemes: STRINGS,
+            mainDiscussionPoints: STRINGS,
+            sessionStructure: objectOf({ phases: listOf({ name: TEXT, description: { type: 'string' } }, ['name']) })
+        }, ['executiveSummary', 'keyThemes', 'mainDiscussionPoints']),
+        aiHighlights: objectOf({
+            breakthroughMoments: listOf({ timestamp: TIMESTAMP, description: TEXT, impact: LEVEL }, ['description']),
+            importantQuestions: listOf({ question: TEXT, significance: LEVEL, response: { type: 'string' } }, ['question']),
+            keyInsights: listOf({ insight: TEXT, context: { type: 'string' } }, ['insight']),
+            memorableQuotes: listOf({ quote: TEXT, speaker: { type: 'string' }, context: { type: 'string' } }, ['quote'])
+        }),
+        aiTopics: listOf({ topic: TEXT, timeSpent: { type: 'string' }, importance: LEVEL, details: { type: 'string' } }, ['topic']),
+        aiActionItems: objectOf({
+            highPriority: ACTION_ITEMS,
+            mediumPriority: ACTION_ITEMS,
+            lowPriority: ACTION_ITEMS
+        }),
+        aiQuestions: objectOf({
+            coachingQuestions: listOf({ question: TEXT, type: { type: 'string' }, effectiveness: LEVEL }, ['question']),
+            studentQuestions: listOf({ question: TEXT, category: { type: 'string' } }, ['question'])
+        }),
+        aiSentiment: objectOf({
+            overall: { type: 'string', enum: ['positive', 'neutral', 'negative', 'mixed'] },
+            progression: listOf({ phase: TEXT, sentiment: { type: 'string' }, intensity: SCORE }, ['phase', 'sentiment']),
+            emotionalJourney: listOf({ timestamp: TIMESTAMP, emotion: TEXT, context: { type: 'string' } }, ['emotion'])
+        }, ['overall']),
+        aiEngagement: objectOf({
+            overallScore: SCORE,
+            speakerEngagement: { type: 'object' },
+            engagementFactors: { type: 'object' }
+        }, ['overallScore']),
+        aiCoachingInsights: objectOf({
+            techniques: listOf({ technique: TEXT, effectiveness: LEVEL, context: { type: 'string' } }, ['technique']),
+            breakthroughMoments: listOf({ moment: TEXT, coachingMethod: { type: 'string' }, studentResponse: { type: 'string' } }, ['moment']),
+            resistancePoints: listOf({ point: TEXT, coachingResponse: { type: 'string' } }, ['point']),
+            progressIndicators: listOf({ indicator: TEXT, evidence: { type: 'string' } }, ['indicator']),
+            effectiveness: objectOf({ overall: SCORE, strengths: STRINGS, areasForImprovement: STRINGS }, ['overall']),
+            studentProgress: objectOf({ visibleGrowth: STRINGS, challenges: STRINGS, nextSteps: STRINGS }, [])
+        }, ['effectiveness']),
+        aiSessionAnalysis: objectOf({
+            sessionType: TEXT,
+            duration: { type: 'number', minimum: 0 },
+            participantCount: { type: 'integer', minimum: 0 },
+            characteristics: { type: 'object' }
+        }, ['sessionType']),
+        aiParticipantInsights: objectOf({
+            totalParticipants: { type: 'integer', minimum: 0 },
+            activeParticipants: { type: 'integer', minimum: 0 },
+            participantRoles: STRINGS,
+            interactionPatterns: STRINGS,
+            engagementLevel: LEVEL
+        }, ['totalParticipants']),
+        aiQualityMetrics: objectOf({
+            overallQuality: SCORE,
+            transcriptQuality: SCORE,
+            completeness: SCORE,
+            reliability: SCORE,
+            recommendations: STRINGS
+        }, ['overallQuality'])
+    }
+};
+
+const INSIGHT_SECTIONS = Object.keys(INSIGHTS_SCHEMA.properties);
+
+/**
+ * @param {Object} value - parsed model response
+ * @param {string[]} [sections] - sections to check; missing ones are errors
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[], invalidFields: string[] }}
+ *   invalidFields holds "section" or "section.field" paths, one level deep
+ */
+function validateInsights(value, sections = INSIGHT_SECTIONS) {
+    const errors = [];
+    for (const section of sections) {
+        const schema = INSIGHTS_SCHEMA.properties[section];
+        if (value?.[section] === undefined || value[section] === null) {
+            errors.push({ path: section, message: 'is missing' });
+        } else {
+            errors.push(...validate(schema, value[section], section));
+        }
+    }
+    const invalidFields = [...new Set(errors.map(error => fieldOf(error.path)))];
+    return { valid: errors.length === 0, errors, invalidFields };
+}
+
+/**
+ * Schema for one section, or one field of a section ("aiSummary.keyThemes")
+ */
+function schemaFor(fieldPath) {
+    const [section, field] = fieldPath.split('.');
+    const schema = INSIGHTS_SCHEMA.properties[section];
+    return field ? schema?.properties?.[field] : schema;
+}
+
+// "aiSummary.keyThemes[2]" -> "aiSummary.keyThemes"; "aiTopics[0].topic" -> "aiTopics"
+function fieldOf(path) {
+    const [, section, field] = path.match(/^(\w+)(?:\.(\w+))?/);
+    return field ? `${section}.${field}` : section;
+}
+
+function validate(schema, value, path) {
+    if (!schema) return [];
+    if (schema.type && !hasType(value, schema.type)) {
+        return [{ path, message: `should be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}` }];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `should be one of ${schema.enum.join(', ')}` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: 'should not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `should match ${schema.pattern}` });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `should be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `should be <= ${schema.maximum}` });
+    }
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+        }
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+    return errors;
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        default: return false;
+    }
+}
+
+module.exports = { INSIGHTS_SCHEMA, INSIGHTS_SCHEMA_VERSION, INSIGHT_SECTIONS, validateInsights, schemaFor };
@@ -0,0 +1,166 @@
+/**
+ * LLMGateway
+ *
+ * The one way the application talks to language models. Callers name a task
+ * ("insights", "summary", ...) instead of a vendor and model; the gateway
+ * picks the model for that task on each provider, tries providers in the
+ * configured failover order, and reports what the call cost:
+ *
+ *   complete({ task, prompt, system, maxTokens, temperature, recordingUuid, caller })
+ *     -> { text, provider, model, usage: { inputTokens, outputTokens }, cost, latencyMs }
+ *   completeJSON(...)   same, plus `json`; a reply that is not valid JSON
+ *                       counts as a failure and goes to the next provider
+ *   countTokens(text)   estimate, for budgets
+ *   cost({ model, inputTokens, outputTokens })   USD, null for unpriced models
+ *   budgetStatus()      null, or the run/daily budget that has been spent
+ *
+ * Every attempt is recorded in the usage ledger (LLMUsageLedger) against the
+ * recordingUuid and caller it was made for. Once a budget from
+ * settings.budgets is spent, calls throw instead of reaching a provider and
+ * callers fall back to rule-based analysis.
+ *
+ * Providers (OpenAI, Anthropic, the offline mock) implement
+ * `isAvailable` and `complete({ model, system, prompt, maxTokens, temperature, json })`.
+ * Settings come from llmConfig (see ./config).
+ */
+
+const { AIServiceError } = require('../../../shared/errors');
+const { llmConfig } = require('./config');
+const { estimateTokens } = require('./tokens');
+const { OpenAIProvider } = require('./providers/OpenAIProvider');
+const { AnthropicProvider } = require('./providers/AnthropicProvider');
+const { MockLLMProvider } = require('./providers/MockLLMProvider');
+const { LLMUsageLedger } = require('./LLMUsageLedger');
+
+class LLMGateway {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config] - application config; uses config.ai, config.openai, config.anthropic
+     * @param {Object} [options.settings] - llmConfig() output, instead of reading config and the environment
+     * @param {Object} [options.providers] - provider instances by name, instead of building them from settings
+     * @param {LLMUsageLedger} [options.usage] - where calls are recorded; in memory only by default
+     */
+    constructor({ logger, config = {}, settings = null, providers = null, usage = null } = {}) {
+        this.logger = logger || console;
+        this.settings = settings || llmConfig({ ...config?.ai, openai: config?.openai, anthropic: config?.anthropic });
+        this.providers = providers || {
+            openai: new OpenAIProvider({ apiKey: this.settings.openai?.apiKey }),
+            anthropic: new AnthropicProvider({ apiKey: this.settings.anthropic?.apiKey }),
+            mock: new MockLLMProvider()
+        };
+        this.usage = usage || new LLMUsageLedger({ logger: this.logger, usageDir: null });
+    }
+
+    /**
+     * Configured providers that can take calls, in failover order
+     */
+    get availableProviders() {
+        return this.settings.providers.filter(name => this.providers[name]?.isAvailable);
+    }
+
+    get isAvailable() {
+        return this.availableProviders.length > 0;
+    }
+
+    /**
+     * Model a task runs on with a provider (the first available one by default)
+     */
+    modelFor(task, provider = this.availableProviders[0]) {
+        const models = this.settings.models[provider] || {};
+        return models[task] || models.default || null;
+    }
+
+    async complete(options) {
+        return this._run(options, text => ({ text }));
+    }
+
+    async completeJSON(options) {
+        return this._run({ ...options, json: true }, text => ({ text, json: parseJson(text) }));
+    }
+
+    /**
+     * Record a result served from a cache instead of a call
+     */
+    async recordCacheHit({ task, model = null, recordingUuid = null, caller = null }) {
+        await this.usage.record({ task, model, recordingUuid, caller, cached: true });
+    }
+
+    /**
+     * The budget that stops further calls, if one is spent
+     * @returns {Promise<{ scope: 'run'|'daily', limit: number, spent: number }|null>}
+     */
+    async budgetStatus() {
+        const { run = null, daily = null } = this.settings.budgets || {};
+        if (run !== null) {
+            const spent = this.usage.totals().cost;
+            if (spent >= run) return { scope: 'run', limit: run, spent };
+        }
+        if (daily !== null) {
+            const spent = await this.usage.dayCost();
+            if (spent >= daily) return { scope: 'daily', limit: daily, spent };
+        }
+        return null;
+    }
+
+    countTokens(text) {
+        return estimateTokens(text);
+    }
+
+    cost({ model, inputTokens = 0, outputTokens = 0 }) {
+        const price = this.settings.pricing[model];
+        if (!price) return null;
+        const usd = (inputTokens * price.input + outputTokens * price.output) / 1000000;
+        return Math.round(usd * 1000000) / 1000000;
+    }
+
+    async _run({ task = 'default', prompt, system = null, maxTokens, temperature, json = false, recordingUuid = null, caller = null }, read) {
+        const providers = this.availableProviders;
+        if (providers.length === 0) {
+            throw new AIServiceError(`No LLM provider available for ${task}`, null, null, null);
+        }
+        const budget = await this.budgetStatus();
+        if (budget) {
+            throw new AIServiceError(`LLM ${budget.scope} budget of $${budget.limit} spent ($${budget.spent}), skipping ${task}`, null, null, null);
+        }
+
+        let lastError = null;
+        for (const name of providers) {
+            const model = this.modelFor(task, name);
+            const call = { recordingUuid, task, caller, provider: name, model };
+            const started = Date.now();
+            try {
+                const { text, usage = {} } = await this.providers[name].complete({
+                    model,
+                    system,
+                    prompt,
+                    maxTokens: maxTokens || this.settings.maxTokens,
+                    temperature: temperature ?? this.settings.temperature,
+                    json
+                });
+                const inputTokens = usage.inputTokens ?? this.countTokens(`${system || ''}${prompt}`);
+                const outputTokens = usage.outputTokens ?? this.countTokens(text);
+                Object.assign(call, { inputTokens, outputTokens, cost: this.cost({ model, inputTokens, outputTokens }), latencyMs: Date.now() - started });
+                const result = read(text);
+                await this.usage.record(call);
+                return { ...result, provider: name, model, usage: { inputTokens, outputTokens }, cost: call.cost, latencyMs: call.latencyMs };
+            } catch (error) {
+                // A reply that could not be read was still billed (call has its tokens and cost)
+                await this.usage.record({ latencyMs: Date.now() - started, ...call, failed: true });
+                lastError = new AIServiceError(`${name} ${model} failed for ${task}: ${error.message}`, name, model, error);
+                this.logger.warn(`⚠️ ${lastError.message}${name !== providers[providers.length - 1] ? ', trying next provider' : ''}`);
+            }
+        }
+        throw lastError;
+    }
+}
+
+/**
+ * The first {...} block of a reply (models sometimes add prose around it)
+ */
+function parseJson(text) {
+    const match = String(text || '').match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('No JSON found in response');
+    return JSON.parse(match[0]);
+}
+
+module.exports = { LLMGateway };
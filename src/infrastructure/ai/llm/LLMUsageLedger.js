@@ -0,0 +1,200 @@
+/**
+ * LLMUsageLedger
+ *
+ * One entry per model call the gateway makes, attributed to the recording
+ * it was made for:
+ *
+ *   { at, runId, recordingUuid, task, caller, provider, model,
+ *     inputTokens, outputTokens, cost, latencyMs, cached, failed }
+ *
+ * `cached` entries are chunk results served from the chunk cache (no call,
+ * no cost); `failed` entries are attempts that errored before failover.
+ *
+ * Entries are appended to OUTPUT_DIR/ai-usage/<YYYY-MM-DD>.jsonl so the day's
+ * spend survives restarts and is shared by the batch processor and the
+ * webhook server; without a usageDir the ledger only keeps this run in
+ * memory. totals() covers this run, dayCost() and report() the whole day.
+ *
+ * A run is one ledger instance: one batch run, or the webhook server from
+ * start to restart, so AI_RUN_BUDGET_USD caps the webhook server's lifetime
+ * spend rather than each job's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const fsp = fs.promises;
+
+class LLMUsageLedger {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.usageDir] - where day files go; null keeps usage in memory only
+     */
+    constructor({ logger, usageDir = path.join(process.env.OUTPUT_DIR || './output', 'ai-usage'), runId = new Date().toISOString() } = {}) {
+        this.logger = logger || console;
+        this.usageDir = usageDir;
+        this.runId = runId;
+        this.calls = [];
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Record one call (or cache hit); a failed write is logged, never thrown
+     */
+    async record(call) {
+        const entry = {
+            at: new Date().toISOString(),
+            runId: this.runId,
+            recordingUuid: call.recordingUuid || null,
+            task: call.task || 'default',
+            caller: call.caller || null,
+            provider: call.provider || null,
+            model: call.model || null,
+            inputTokens: call.inputTokens || 0,
+            outputTokens: call.outputTokens || 0,
+            cost: call.cost ?? null,
+            latencyMs: call.latencyMs || 0,
+            cached: !!call.cached,
+            failed: !!call.failed
+        };
+        this.calls.push(entry);
+        if (!this.usageDir) return entry;
+
+        const file = this._dayFile(entry.at.slice(0, 10));
+        const run = this.writeChain.then(async () => {
+            await fsp.mkdir(this.usageDir, { recursive: true });
+            await fsp.appendFile(file, `${JSON.stringify(entry)}\n`);
+        });
+        this.writeChain = run.catch(() => {});
+        try {
+            await run;
+        } catch (error) {
+            this.logger.warn(`⚠️ Could not write AI usage to ${file}: ${error.message}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Totals for this run, optionally for one recording
+     * @param {Object} [filter]
+     * @param {string} [filter.recordingUuid]
+     */
+    totals({ recordingUuid = null } = {}) {
+        return aggregate(recordingUuid ? this.calls.filter(call => call.recordingUuid === recordingUuid) : this.calls);
+    }
+
+    /**
+     * This run's totals with breakdowns by model, task and caller
+     */
+    summary() {
+        return {
+            ...this.totals(),
+            byModel: groupTotals(this.calls, call => call.model),
+            byTask: groupTotals(this.calls, call => call.task),
+            byCaller: groupTotals(this.calls, call => call.caller)
+        };
+    }
+
+    /**
+     * Spend today (UTC) across every run that wrote to the day file. The file
+     * is read on every check, since another process (the batch processor or
+     * the webhook server) may have added to it since the last one.
+     */
+    async dayCost(date = today()) {
+        const others = (await this._readDay(date)).filter(entry => entry.runId !== this.runId);
+        const mine = this.calls.filter(call => call.at.slice(0, 10) === date);
+        return round(aggregate(others).cost + aggregate(mine).cost);
+    }
+
+    /**
+     * Everything recorded on a day, for /stats/ai
+     * @param {Object} [options]
+     * @param {string} [options.date] - YYYY-MM-DD, default today
+     */
+    async report({ date = today() } = {}) {
+        const entries = this.usageDir
+            ? await this._readDay(date)
+            : this.calls.filter(call => call.at.slice(0, 10) === date);
+        return {
+            date,
+            runs: new Set(entries.map(entry => entry.runId)).size,
+            ...aggregate(entries),
+            byModel: groupTotals(entries, entry => entry.model),
+            byTask: groupTotals(entries, entry => entry.task),
+            byCaller: groupTotals(entries, entry => entry.caller),
+            byRecording: groupTotals(entries, entry => entry.recordingUuid)
+        };
+    }
+
+    async _readDay(date) {
+        if (!this.usageDir) return [];
+        const file = this._dayFile(date);
+        let content = '';
+        try {
+            content = await fsp.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable AI usage line in ${file}`);
+            }
+        }
+        return entries;
+    }
+
+    _dayFile(date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Invalid date: ${date}`);
+        return path.join(this.usageDir, `${date}.jsonl`);
+    }
+}
+
+/**
+ * Call counts, tokens, cost (USD; unpriced models count as 0) and latency (ms)
+ */
+function aggregate(calls) {
+    const totals = { calls: 0, cachedCalls: 0, failedCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0, latencyMs: 0 };
+    for (const call of calls) {
+        if (call.cached) {
+            totals.cachedCalls++;
+            continue;
+        }
+        totals.calls++;
+        if (call.failed) totals.failedCalls++;
+        totals.inputTokens += call.inputTokens || 0;
+        totals.outputTokens += call.outputTokens || 0;
+        totals.latencyMs += call.latencyMs || 0;
+        if (call.cost === null || call.cost === undefined) {
+            if (!call.failed) totals.unpricedCalls++;
+        } else {
+            totals.cost += call.cost;
+        }
+    }
+    totals.totalTokens = totals.inputTokens + totals.outputTokens;
+    totals.cost = round(totals.cost);
+    return totals;
+}
+
+function groupTotals(calls, keyOf) {
+    const groups = {};
+    for (const call of calls) {
+        const key = keyOf(call) || 'unknown';
+        (groups[key] = groups[key] || []).push(call);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, aggregate(group)]));
+}
+
+function round(usd) {
+    return Math.round(usd * 1000000) / 1000000;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = { LLMUsageLedger };
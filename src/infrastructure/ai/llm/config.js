@@ -0,0 +1,102 @@
+/**
+ * LLM settings, in one place
+ *
+ *   providers   failover order; the first available provider handles a call
+ *               and the next one takes over when it fails. AI_PROVIDERS
+ *               ("openai,anthropic", or "mock" to run with no network) sets
+ *               the order; AI_PROVIDER moves one provider to the front.
+ *   models      model per provider and task. Tasks without an entry use the
+ *               provider's `default`. AI_TASK_MODELS overrides entries:
+ *               "insights=openai:gpt-4o,insights-chunk=anthropic:claude-3-haiku-20240307"
+ *   pricing     USD per million input/output tokens, for cost reporting
+ *   budgets     USD caps per run (AI_RUN_BUDGET_USD) and per UTC day
+ *               (AI_DAILY_BUDGET_USD); once spent, calls are refused and the
+ *               pipeline uses rule-based insights. Unset means no cap. The
+ *               webhook server counts as one run until it restarts.
+ *
+ * Tasks in use: insights (one-prompt session analysis), insights-chunk
+ * (ChunkedTranscriptAnalyzer), transcript-insights, summary, action-items
+ * (OpenAIService), insights-repair (fixing fields that failed the insights
+ * schema). OpenAIService also records Whisper calls as transcription, priced
+ * per minute of audio outside this table.
+ */
+
+const DEFAULT_PROVIDERS = ['openai', 'anthropic'];
+
+const DEFAULT_MODELS = {
+    openai: {
+        default: 'gpt-4-turbo-preview',
+        insights: 'gpt-4',
+        'insights-chunk': 'gpt-4'
+    },
+    anthropic: {
+        default: 'claude-3-sonnet-20240229'
+    },
+    mock: {
+        default: 'mock-llm-1'
+    }
+};
+
+const DEFAULT_PRICING = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-turbo-preview': { input: 10, output: 30 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-opus-20240229': { input: 15, output: 75 },
+    'claude-3-sonnet-20240229': { input: 3, output: 15 },
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'mock-llm-1': { input: 0, output: 0 }
+};
+
+/**
+ * @param {Object} [overrides] - config.ai from the application config; any of
+ *   providers, preferredProvider, models, pricing, budgets: { run, daily },
+ *   temperature, maxTokens, openai: { apiKey }, anthropic: { apiKey }
+ * @param {Object} [env]
+ */
+function llmConfig(overrides = {}, env = process.env) {
+    const models = {};
+    for (const [provider, tasks] of Object.entries(DEFAULT_MODELS)) {
+        models[provider] = { ...tasks, ...overrides.models?.[provider] };
+    }
+    if (env.OPENAI_MODEL) models.openai.default = env.OPENAI_MODEL;
+    if (env.ANTHROPIC_MODEL) models.anthropic.default = env.ANTHROPIC_MODEL;
+    for (const entry of list(env.AI_TASK_MODELS)) {
+        const [, task, provider, model] = entry.match(/^([\w-]+)=(\w+):(.+)$/) || [];
+        if (task) models[provider] = { ...models[provider], [task]: model };
+    }
+
+    let providers = overrides.providers || list(env.AI_PROVIDERS);
+    if (providers.length === 0) providers = DEFAULT_PROVIDERS;
+    const preferred = overrides.preferredProvider || env.AI_PROVIDER;
+    if (preferred && providers.includes(preferred)) {
+        providers = [preferred, ...providers.filter(provider => provider !== preferred)];
+    }
+
+    return {
+        providers,
+        models,
+        pricing: { ...DEFAULT_PRICING, ...overrides.pricing },
+        budgets: {
+            run: overrides.budgets?.run ?? usd(env.AI_RUN_BUDGET_USD),
+            daily: overrides.budgets?.daily ?? usd(env.AI_DAILY_BUDGET_USD)
+        },
+        temperature: overrides.temperature ?? 0.3,
+        maxTokens: overrides.maxTokens ?? 4000,
+        openai: { apiKey: env.OPENAI_API_KEY || overrides.openai?.apiKey },
+        anthropic: { apiKey: env.ANTHROPIC_API_KEY || overrides.anthropic?.apiKey }
+    };
+}
+
+function usd(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+function list(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = { llmConfig, DEFAULT_MODELS, DEFAULT_PRICING };
@@ -0,0 +1,19 @@
+const { LLMGateway } = require('./LLMGateway');
+const { LLMUsageLedger } = require('./LLMUsageLedger');
+const { llmConfig, DEFAULT_MODELS, DEFAULT_PRICING } = require('./config');
+const { estimateTokens } = require('./tokens');
+const { OpenAIProvider } = require('./providers/OpenAIProvider');
+const { AnthropicProvider } = require('./providers/AnthropicProvider');
+const { MockLLMProvider } = require('./providers/MockLLMProvider');
+
+module.exports = {
+    LLMGateway,
+    LLMUsageLedger,
+    llmConfig,
+    DEFAULT_MODELS,
+    DEFAULT_PRICING,
+    estimateTokens,
+    OpenAIProvider,
+    AnthropicProvider,
+    MockLLMProvider
+};
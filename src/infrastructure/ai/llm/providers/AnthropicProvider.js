@@ -0,0 +1,46 @@
+/**
+ * Anthropic messages API behind the LLMGateway provider interface. There is
+ * no JSON mode; JSON calls rely on the prompt and the gateway's extraction.
+ */
+
+class AnthropicProvider {
+    constructor({ apiKey, client = null } = {}) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.client = client;
+    }
+
+    get isAvailable() {
+        return !!this.client || (!!this.apiKey && this.apiKey !== 'your-anthropic-api-key-here');
+    }
+
+    async complete({ model, system, prompt, maxTokens, temperature }) {
+        const message = await this._client().messages.create({
+            model,
+            max_tokens: maxTokens,
+            temperature,
+            ...(system && { system }),
+            messages: [
+                { role: 'user', content: prompt }
+            ]
+        });
+
+        return {
+            text: message.content[0].text,
+            usage: {
+                inputTokens: message.usage?.input_tokens,
+                outputTokens: message.usage?.output_tokens
+            }
+        };
+    }
+
+    _client() {
+        if (!this.client) {
+            const Anthropic = require('@anthropic-ai/sdk');
+            this.client = new Anthropic({ apiKey: this.apiKey });
+        }
+        return this.client;
+    }
+}
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,147 @@
+/**
+ * Deterministic offline provider: the same prompt always gets the same
+ * answer, with no network and no API key. Enable it with AI_PROVIDERS=mock
+ * to run the whole pipeline locally, or pass `respond` in tests to script
+ * the answers.
+ *
+ * Without `respond`, JSON calls get an insights-shaped object read off the
+ * transcript lines in the prompt ("[00:01:02] Name: text" or "Name: text"):
+ * questions from lines ending in "?", action items from lines that commit to
+ * something ("I will", "need to", "by Friday"), themes from the most frequent
+ * long words. Text calls get a one-line summary.
+ */
+
+const { estimateTokens } = require('../tokens');
+
+const LINE = /^(?:\[(\d{2}:\d{2}:\d{2})\]\s*)?([A-Z][\w .'-]{0,40}?):\s+(.+)$/;
+const COMMITMENT = /\b(i will|i'll|we will|we'll|need to|have to|should|going to|make sure|by (?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow|next week))\b/i;
+const PROMPT_HEADERS = new Set(['topic', 'meeting topic', 'date', 'duration', 'coach', 'student', 'participant count']);
+const STOP_WORDS = new Set(['about', 'because', 'really', 'think', 'there', 'their', 'would', 'could', 'should', 'going', 'which', 'these', 'those', 'other', 'where', 'things', 'something', 'actually', 'right']);
+
+class MockLLMProvider {
+    /**
+     * @param {Object} [options]
+     * @param {(request: Object) => string|Object} [options.respond] - scripted answers
+     */
+    constructor({ respond = null } = {}) {
+        this.name = 'mock';
+        this.respond = respond;
+        this.calls = [];
+    }
+
+    get isAvailable() {
+        return true;
+    }
+
+    async complete(request) {
+        this.calls.push(request);
+        const answer = this.respond ? await this.respond(request) : defaultAnswer(request);
+        const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+        return {
+            text,
+            usage: {
+                inputTokens: estimateTokens(`${request.system || ''}${request.prompt}`),
+                outputTokens: estimateTokens(text)
+            }
+        };
+    }
+}
+
+function defaultAnswer({ prompt, json }) {
+    const lines = transcriptLines(prompt);
+    const speakers = [...new Set(lines.map(line => line.speaker))];
+    const summary = lines.length > 0
+        ? `Conversation of ${lines.length} lines between ${speakers.join(', ')}.`
+        : 'No transcript lines found.';
+    if (!json) return summary;
+
+    const questions = lines.filter(line => line.text.trim().endsWith('?'));
+    const commitments = lines.filter(line => COMMITMENT.test(line.text));
+    const themes = frequentWords(lines.map(line => line.text).join(' '), 3);
+
+    return {
+        aiSummary: {
+            executiveSummary: summary,
+            keyThemes: themes,
+            mainDiscussionPoints: lines.slice(0, 3).map(line => line.text)
+        },
+        aiHighlights: {
+            breakthroughMoments: [],
+            importantQuestions: questions.slice(0, 3).map(line => ({ question: line.text, significance: 'medium', response: '' })),
+            keyInsights: [],
+            memorableQuotes: []
+        },
+        aiTopics: themes.map(theme => ({ topic: theme, timeSpent: 'Unknown', importance: 'medium', details: `Mentions of "${theme}"` })),
+        aiActionItems: {
+            highPriority: commitments.slice(0, 5).map(line => ({
+                item: line.text,
+                assignee: line.speaker,
+                deadline: 'TBD',
+                context: 'Commitment made in the session',
+                ...(line.timestamp && { timestamp: line.timestamp })
+            })),
+            mediumPriority: [],
+            lowPriority: []
+        },
+        aiQuestions: {
+            coachingQuestions: questions.map(line => ({ question: line.text, type: 'reflective', effectiveness: 'medium' })),
+            studentQuestions: []
+        },
+        aiSentiment: {
+            overall: 'neutral',
+            intensity: 0.5,
+            emotionalJourney: []
+        },
+        aiEngagement: {
+            overallScore: 0.5,
+            speakerEngagement: Object.fromEntries(speakers.map(speaker => [speaker, { lines: lines.filter(line => line.speaker === speaker).length }]))
+        },
+        aiCoachingInsights: {
+            techniques: [],
+            effectiveness: { overall: 0.5, strengths: [], areasForImprovement: [] }
+        },
+        aiSessionAnalysis: {
+            sessionType: speakers.length > 2 ? 'group' : 'one-on-one',
+            participantCount: speakers.length
+        },
+        aiParticipantInsights: {
+            totalParticipants: speakers.length,
+            activeParticipants: speakers.length,
+            engagementLevel: 'medium'
+        },
+        aiQualityMetrics: {
+            overallQuality: 0.5,
+            transcriptQuality: lines.length > 0 ? 1 : 0,
+            recommendations: []
+        },
+        // Shape OpenAIService.generateInsights asks for
+        summary,
+        keyTopics: themes,
+        actionItems: commitments.slice(0, 5).map(line => line.text),
+        decisions: [],
+        nextSteps: [],
+        participants: speakers
+    };
+}
+
+function transcriptLines(prompt) {
+    return String(prompt || '').split('\n')
+        .map(line => line.trim().match(LINE))
+        .filter(Boolean)
+        // Prompt headers are not speech
+        .filter(match => !PROMPT_HEADERS.has(match[2].toLowerCase()))
+        .map(([, timestamp, speaker, text]) => ({ timestamp: timestamp || null, speaker, text }));
+}
+
+function frequentWords(text, count) {
+    const counts = new Map();
+    for (const word of text.toLowerCase().match(/[a-z]{5,}/g) || []) {
+        if (!STOP_WORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, count)
+        .map(([word]) => word);
+}
+
+module.exports = { MockLLMProvider };
@@ -0,0 +1,51 @@
+/**
+ * OpenAI chat completions behind the LLMGateway provider interface:
+ *   isAvailable, complete({ model, system, prompt, maxTokens, temperature, json })
+ *     -> { text, usage: { inputTokens, outputTokens } }
+ */
+
+// Models that accept response_format json_object; others get JSON by instruction only
+const JSON_MODE_MODELS = /^(gpt-4o|gpt-4-turbo|gpt-4-1106|gpt-4-0125|gpt-3\.5-turbo)/;
+
+class OpenAIProvider {
+    constructor({ apiKey, client = null } = {}) {
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.client = client;
+    }
+
+    get isAvailable() {
+        return !!this.client || (!!this.apiKey && this.apiKey !== 'your-openai-api-key-here');
+    }
+
+    async complete({ model, system, prompt, maxTokens, temperature, json = false }) {
+        const completion = await this._client().chat.completions.create({
+            model,
+            messages: [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                { role: 'user', content: prompt }
+            ],
+            temperature,
+            max_tokens: maxTokens,
+            ...(json && JSON_MODE_MODELS.test(model) && { response_format: { type: 'json_object' } })
+        });
+
+        return {
+            text: completion.choices[0].message.content,
+            usage: {
+                inputTokens: completion.usage?.prompt_tokens,
+                outputTokens: completion.usage?.completion_tokens
+            }
+        };
+    }
+
+    _client() {
+        if (!this.client) {
+            const { OpenAI } = require('openai');
+            this.client = new OpenAI({ apiKey: this.apiKey });
+        }
+        return this.client;
+    }
+}
+
+module.exports = { OpenAIProvider };
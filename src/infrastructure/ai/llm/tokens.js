@@ -0,0 +1,13 @@
+/**
+ * Token estimate used for chunk budgets, and for usage when a provider does
+ * not report it. About four characters per token for English text with both
+ * the GPT and Claude tokenizers.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+module.exports = { estimateTokens, CHARS_PER_TOKEN };
@@ -0,0 +1,258 @@
+/**
+ * PromptEvaluator
+ *
+ * Offline A/B comparison of two versions of an insights prompt. Each case of
+ * a local corpus (data/prompt-eval/corpus.json) goes through
+ * AIPoweredInsightsGenerator.generateLLMInsights once per version, over the
+ * gateway it is given (the mock provider for a free, repeatable run, or the
+ * configured providers), and each output is
+ *
+ *   scored    against the case's labelled expectations:
+ *               themes       share of expected themes in keyThemes, discussion points or topics
+ *               actionItems  share of expected action items found in an action item
+ *               questions    share of expected questions found among the questions
+ *               sentiment    1 when aiSentiment.overall matches, otherwise 0
+ *             the case score is the mean of the checks the case labels
+ *   measured  coverage: share of schema fields the model filled (provenance "ai")
+ *   diffed    against the other version's output, field by field
+ *
+ * Labels match case-insensitively as substrings, so they can be short
+ * ("revised draft"). Model calls are recorded in the gateway's usage ledger
+ * under "eval:<prompt id>:<case id>", which is how cost is reported per version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { ValidationError } = require('../../../shared/errors');
+const AIPoweredInsightsGenerator = require('../ai-powered-insights-generator');
+const { INSIGHTS_SCHEMA, INSIGHT_SECTIONS, summarizeProvenance } = require('../insights');
+const { PromptRegistry } = require('./PromptRegistry');
+
+const fsp = fs.promises;
+
+// Prompts generateLLMInsights uses; other prompts would not change its output
+const EVALUATED_PROMPTS = ['insights', 'insights-chunk', 'insights-repair'];
+
+const CHECKS = ['themes', 'actionItems', 'questions', 'sentiment'];
+
+const PRIORITIES = ['highPriority', 'mediumPriority', 'lowPriority'];
+
+class PromptEvaluator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.llmGateway - LLMGateway the generator calls
+     * @param {PromptRegistry} [options.promptRegistry]
+     */
+    constructor({ logger, llmGateway, promptRegistry = null }) {
+        this.logger = logger || console;
+        this.llmGateway = llmGateway;
+        this.promptRegistry = promptRegistry || new PromptRegistry();
+    }
+
+    /**
+     * Read a corpus directory: corpus.json lists the cases, each with its
+     * transcript file (relative to the directory), meeting data and expectations
+     * @returns {Promise<{ dir: string, cases: { id, transcript, meeting, expect }[] }>}
+     */
+    static async loadCorpus(dir) {
+        const manifest = JSON.parse(await fsp.readFile(path.join(dir, 'corpus.json'), 'utf8'));
+        const cases = [];
+        for (const entry of manifest.cases || []) {
+            if (!entry.id || !entry.transcript) {
+                throw new ValidationError(`Corpus case needs an id and a transcript file: ${JSON.stringify(entry)}`, 'cases', entry);
+            }
+            cases.push({
+                id: entry.id,
+                transcript: await fsp.readFile(path.join(dir, entry.transcript), 'utf8'),
+                meeting: entry.meeting || {},
+                expect: entry.expect || {}
+            });
+        }
+        if (cases.length === 0) throw new ValidationError(`No cases in ${path.join(dir, 'corpus.json')}`, 'cases', []);
+        return { dir, cases };
+    }
+
+    /**
+     * Run both versions of a prompt over the corpus
+     * @param {Object} options
+     * @param {string} [options.prompt] - one of EVALUATED_PROMPTS
+     * @param {string} options.baseline - version, e.g. "1.0.0"
+     * @param {string} options.candidate - version, e.g. "1.1.0"
+     * @param {{ dir, cases }} options.corpus - from loadCorpus()
+     */
+    async compare({ prompt = 'insights', baseline, candidate, corpus }) {
+        if (!EVALUATED_PROMPTS.includes(prompt)) {
+            throw new ValidationError(`Prompt ${prompt} cannot be evaluated; use one of ${EVALUATED_PROMPTS.join(', ')}`, 'prompt', prompt);
+        }
+        const registries = {
+            baseline: this.promptRegistry.withVersions({ [prompt]: baseline }),
+            candidate: this.promptRegistry.withVersions({ [prompt]: candidate })
+        };
+        const ids = {};
+        const generators = {};
+        for (const [side, promptRegistry] of Object.entries(registries)) {
+            ids[side] = promptRegistry.get(prompt).id;
+            generators[side] = new AIPoweredInsightsGenerator({ logger: this.logger, llmGateway: this.llmGateway, promptRegistry });
+        }
+
+        const cases = [];
+        for (const testCase of corpus.cases) {
+            this.logger.info(`🧪 ${testCase.id}: ${ids.baseline} vs ${ids.candidate}`);
+            const runs = {};
+            const results = {};
+            for (const side of Object.keys(generators)) {
+                runs[side] = await this._run(testCase, generators[side], ids[side]);
+                results[side] = runs[side].result;
+            }
+            cases.push({
+                id: testCase.id,
+                ...results,
+                changes: PromptEvaluator.diff(runs.baseline.insights, runs.candidate.insights)
+            });
+        }
+
+        const summary = {
+            baseline: summarize(cases.map(testCase => testCase.baseline)),
+            candidate: summarize(cases.map(testCase => testCase.candidate))
+        };
+        let winner = null;
+        if (summary.candidate.score !== summary.baseline.score) {
+            winner = summary.candidate.score > summary.baseline.score ? ids.candidate : ids.baseline;
+        }
+
+        return {
+            prompt,
+            baseline: ids.baseline,
+            candidate: ids.candidate,
+            corpus: corpus.dir,
+            generatedAt: new Date().toISOString(),
+            summary,
+            winner,
+            cases
+        };
+    }
+
+    async _run(testCase, generator, promptId) {
+        const recordingUuid = `eval:${promptId}:${testCase.id}`;
+        try {
+            const { insights, model } = await generator.generateLLMInsights(testCase.transcript, { ...testCase.meeting, uuid: recordingUuid });
+            return {
+                insights,
+                result: {
+                    ...PromptEvaluator.score(insights, testCase.expect),
+                    coverage: coverage(insights.provenance),
+                    model,
+                    cost: this.llmGateway.usage.totals({ recordingUuid }).cost,
+                    error: null
+                }
+            };
+        } catch (error) {
+            this.logger.warn(`⚠️ ${testCase.id} failed with ${promptId}: ${error.message}`);
+            return {
+                insights: null,
+                result: {
+                    score: 0,
+                    checks: {},
+                    coverage: 0,
+                    model: null,
+                    cost: this.llmGateway.usage.totals({ recordingUuid }).cost,
+                    error: error.message
+                }
+            };
+        }
+    }
+
+    /**
+     * Score structured insights against a case's expectations
+     * @returns {{ score: number, checks: Object<string, { score: number, missed?: string[], expected?: string, actual?: string }> }}
+     */
+    static score(insights, expect = {}) {
+        const checks = {};
+        if (expect.themes?.length) {
+            checks.themes = recall(expect.themes, [
+                ...(insights.aiSummary?.keyThemes || []),
+                ...(insights.aiSummary?.mainDiscussionPoints || []),
+                ...(insights.aiTopics || []).map(topic => topic.topic)
+            ]);
+        }
+        if (expect.actionItems?.length) {
+            checks.actionItems = recall(expect.actionItems, PRIORITIES.flatMap(priority => (insights.aiActionItems?.[priority] || [])
+                .map(item => `${item.item} ${item.deadline || ''}`)));
+        }
+        if (expect.questions?.length) {
+            checks.questions = recall(expect.questions, [
+                ...(insights.aiQuestions?.coachingQuestions || []),
+                ...(insights.aiQuestions?.studentQuestions || []),
+                ...(insights.aiHighlights?.importantQuestions || [])
+            ].map(question => question.question));
+        }
+        if (expect.sentiment) {
+            const actual = insights.aiSentiment?.overall || null;
+            checks.sentiment = { score: actual === expect.sentiment ? 1 : 0, expected: expect.sentiment, actual };
+        }
+
+        const scores = Object.values(checks).map(check => check.score);
+        return { score: round(mean(scores)), checks };
+    }
+
+    /**
+     * Fields whose values differ between two outputs ("section.field", or the
+     * section for array sections); a failed run differs everywhere
+     * @returns {{ path: string, baseline: *, candidate: * }[]}
+     */
+    static diff(baseline, candidate) {
+        const changes = [];
+        for (const section of INSIGHT_SECTIONS) {
+            const schema = INSIGHTS_SCHEMA.properties[section];
+            const fields = schema.type === 'object' ? Object.keys(schema.properties) : [null];
+            for (const field of fields) {
+                const before = field ? baseline?.[section]?.[field] : baseline?.[section];
+                const after = field ? candidate?.[section]?.[field] : candidate?.[section];
+                if (!isDeepStrictEqual(before, after)) {
+                    changes.push({ path: field ? `${section}.${field}` : section, baseline: before ?? null, candidate: after ?? null });
+                }
+            }
+        }
+        return changes;
+    }
+}
+
+// Share of expected labels found (as substrings) in any of the texts
+function recall(expected, texts) {
+    const haystack = texts.filter(Boolean).map(text => String(text).toLowerCase());
+    const missed = expected.filter(label => !haystack.some(text => text.includes(String(label).toLowerCase())));
+    return { score: round((expected.length - missed.length) / expected.length), missed };
+}
+
+function coverage(provenance) {
+    const counts = summarizeProvenance(provenance || {});
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return total > 0 ? round(counts.ai / total) : 0;
+}
+
+function summarize(results) {
+    const checks = {};
+    for (const check of CHECKS) {
+        const scores = results.map(result => result.checks[check]?.score).filter(score => score !== undefined);
+        if (scores.length > 0) checks[check] = round(mean(scores));
+    }
+    return {
+        score: round(mean(results.map(result => result.score))),
+        coverage: round(mean(results.map(result => result.coverage))),
+        checks,
+        failures: results.filter(result => result.error).length,
+        cost: round(results.reduce((sum, result) => sum + (result.cost || 0), 0), 6)
+    };
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value, places = 3) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = { PromptEvaluator, EVALUATED_PROMPTS };
@@ -0,0 +1,133 @@
+/**
+ * PromptRegistry
+ *
+ * Versioned prompt templates with {{variables}}, one module per prompt in
+ * ./templates:
+ *
+ *   { name, current: '1.0.0', versions: { '1.0.0': { description, system, prompt } } }
+ *
+ * Changing a prompt means adding a version next to the old one; the two can
+ * be compared offline with evaluate-prompts.js before `current` moves to the
+ * new one. AI_PROMPT_VERSIONS pins versions without a code change
+ * ("insights=1.1.0,insights-chunk=1.0.0").
+ *
+ * render() returns the filled-in prompt with its id ("insights@1.0.0"),
+ * which is stored with the insights it produced (metadata.promptVersion).
+ */
+
+const { ConfigurationError, ValidationError } = require('../../../shared/errors');
+const PROMPT_TEMPLATES = require('./templates');
+
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.templates] - template modules
+     * @param {Object} [options.versions] - version pins by prompt name; unpinned prompts use `current`
+     */
+    constructor({ templates = PROMPT_TEMPLATES, versions = parsePromptVersions(process.env.AI_PROMPT_VERSIONS) } = {}) {
+        this.templates = Object.fromEntries(templates.map(template => [template.name, template]));
+        this.pins = { ...versions };
+        // A pin to a version that does not exist would otherwise only fail on the first call
+        for (const [name, version] of Object.entries(this.pins)) this.get(name, version);
+    }
+
+    names() {
+        return Object.keys(this.templates);
+    }
+
+    versions(name) {
+        return Object.keys(this._template(name).versions).sort(compareVersions);
+    }
+
+    current(name) {
+        return this.pins[name] || this._template(name).current;
+    }
+
+    /**
+     * @returns {{ id, name, version, description, system, prompt, variables: string[] }} the unrendered template
+     */
+    get(name, version = this.current(name)) {
+        const template = this._template(name);
+        const entry = template.versions[version];
+        if (!entry) {
+            throw new ConfigurationError(`Unknown version ${version} of prompt ${name} (available: ${this.versions(name).join(', ')})`, ['AI_PROMPT_VERSIONS']);
+        }
+        const system = entry.system || null;
+        return {
+            id: `${name}@${version}`,
+            name,
+            version,
+            description: entry.description || '',
+            system,
+            prompt: entry.prompt,
+            variables: [...new Set([...variablesOf(system), ...variablesOf(entry.prompt)])]
+        };
+    }
+
+    /**
+     * Fill in a template; every variable it uses must be given (null and undefined count as missing)
+     * @param {string} name
+     * @param {Object} variables
+     * @param {Object} [options]
+     * @param {string} [options.version] - default: the pinned or current version
+     * @returns {{ id, name, version, system, prompt }}
+     */
+    render(name, variables = {}, { version } = {}) {
+        const template = this.get(name, version);
+        const missing = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+        if (missing.length > 0) {
+            throw new ValidationError(`Prompt ${template.id} is missing variable(s): ${missing.join(', ')}`, 'variables', missing);
+        }
+
+        const fill = text => text.replace(VARIABLE, (match, variable) => String(variables[variable]));
+        return {
+            id: template.id,
+            name,
+            version: template.version,
+            system: template.system && fill(template.system),
+            prompt: fill(template.prompt)
+        };
+    }
+
+    /**
+     * A registry with extra pins, e.g. to run one prompt version in an evaluation
+     */
+    withVersions(versions) {
+        return new PromptRegistry({ templates: Object.values(this.templates), versions: { ...this.pins, ...versions } });
+    }
+
+    _template(name) {
+        const template = this.templates[name];
+        if (!template) throw new ConfigurationError(`Unknown prompt ${name}`, ['AI_PROMPT_VERSIONS']);
+        return template;
+    }
+}
+
+/**
+ * "insights=1.1.0,insights-chunk=1.0.0" -> { insights: '1.1.0', 'insights-chunk': '1.0.0' }
+ */
+function parsePromptVersions(value) {
+    const versions = {};
+    for (const entry of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [, name, version] = entry.match(/^([\w-]+)=([\w.-]+)$/) || [];
+        if (name) versions[name] = version;
+    }
+    return versions;
+}
+
+function variablesOf(text) {
+    return text ? [...text.matchAll(VARIABLE)].map(match => match[1]) : [];
+}
+
+function compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) - (right[i] || 0);
+    }
+    return 0;
+}
+
+module.exports = { PromptRegistry, PROMPT_TEMPLATES, parsePromptVersions, compareVersions };
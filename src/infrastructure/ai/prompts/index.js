@@ -0,0 +1,15 @@
+/**
+ * Prompt templates: versioned registry and offline A/B evaluation
+ */
+
+const { PromptRegistry, PROMPT_TEMPLATES, parsePromptVersions, compareVersions } = require('./PromptRegistry');
+const { PromptEvaluator, EVALUATED_PROMPTS } = require('./PromptEvaluator');
+
+module.exports = {
+    PromptRegistry,
+    PROMPT_TEMPLATES,
+    parsePromptVersions,
+    compareVersions,
+    PromptEvaluator,
+    EVALUATED_PROMPTS
+};
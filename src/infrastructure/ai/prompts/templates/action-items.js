@@ -0,0 +1,16 @@
+/**
+ * action-items: action items of a meeting as a JSON list of strings
+ * (OpenAIService.extractActionItems)
+ */
+
+module.exports = {
+    name: 'action-items',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': {
+            description: 'Original action item prompt',
+            system: 'Extract action items from the meeting transcript. Return a JSON object with an "actionItems" array of strings.',
+            prompt: '{{transcript}}'
+        }
+    }
+};
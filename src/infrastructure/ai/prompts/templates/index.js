@@ -0,0 +1,12 @@
+/**
+ * Every prompt template, one module per prompt name (see ../PromptRegistry.js)
+ */
+
+module.exports = [
+    require('./insights'),
+    require('./insights-chunk'),
+    require('./insights-repair'),
+    require('./transcript-insights'),
+    require('./summary'),
+    require('./action-items')
+];
@@ -0,0 +1,75 @@
+/**
+ * insights-chunk: analysis of one part of a long transcript
+ * (ChunkedTranscriptAnalyzer); the parts are merged afterwards. The version
+ * is part of the chunk cache key.
+ */
+
+module.exports = {
+    name: 'insights-chunk',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': {
+            description: 'Original per-chunk analysis',
+            system: 'You are an expert coaching session analyst. Analyze the transcript and provide comprehensive insights in JSON format.',
+            prompt: `You are analyzing part {{part}} of {{total}} of a coaching session transcript ({{range}}). Other parts are analyzed separately, so report only what happens in this part and use the [HH:MM:SS] timestamps from the transcript.
+
+MEETING DATA:
+- Topic: {{topic}}
+- Date: {{date}}
+- Coach: {{coach}}
+- Student: {{student}}
+
+TRANSCRIPT PART {{part}}:
+{{transcript}}
+
+Respond with JSON only, in this exact format (empty arrays where nothing applies):
+
+{
+  "aiSummary": {
+    "executiveSummary": "Two or three sentences on this part",
+    "keyThemes": ["theme1"],
+    "mainDiscussionPoints": ["point1"]
+  },
+  "aiHighlights": {
+    "breakthroughMoments": [
+      {"timestamp": "00:15:30", "description": "Key breakthrough", "impact": "high"}
+    ],
+    "importantQuestions": [
+      {"question": "What was asked", "significance": "high", "response": "brief response"}
+    ],
+    "keyInsights": [
+      {"insight": "Important realization", "context": "when it occurred"}
+    ],
+    "memorableQuotes": [
+      {"quote": "Memorable statement", "speaker": "who said it", "context": "when"}
+    ]
+  },
+  "aiTopics": [
+    {"topic": "Topic name", "timeSpent": "5 minutes", "importance": "high", "details": "What was discussed"}
+  ],
+  "aiActionItems": {
+    "highPriority": [
+      {"item": "Action item", "assignee": "who", "deadline": "when", "context": "why", "timestamp": "00:20:00"}
+    ],
+    "mediumPriority": [],
+    "lowPriority": []
+  },
+  "aiQuestions": {
+    "coachingQuestions": [
+      {"question": "Question asked", "type": "reflective/strategic/tactical", "effectiveness": "high"}
+    ],
+    "studentQuestions": [
+      {"question": "Student question", "category": "clarification/concern/interest"}
+    ]
+  },
+  "aiSentiment": {
+    "overall": "positive/neutral/negative",
+    "intensity": 0.7,
+    "emotionalJourney": [
+      {"timestamp": "00:10:00", "emotion": "frustrated", "context": "discussing challenge"}
+    ]
+  }
+}`
+        }
+    }
+};
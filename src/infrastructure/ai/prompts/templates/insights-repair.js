@@ -0,0 +1,25 @@
+/**
+ * insights-repair: asks the model to fix only the fields of an insights
+ * reply that failed INSIGHTS_SCHEMA (AIPoweredInsightsGenerator._validateAndRepair).
+ * transcriptSection is empty unless a whole section or required field is missing.
+ */
+
+module.exports = {
+    name: 'insights-repair',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': {
+            description: 'Original schema repair prompt',
+            system: 'You fix JSON produced by a coaching session analyst so it matches a schema. Return only the requested fields.',
+            prompt: `Your analysis of a coaching session did not match the expected JSON schema (version {{schemaVersion}}).
+
+ERRORS:
+{{errors}}
+
+FIELDS TO FIX:
+{{fields}}
+{{transcriptSection}}
+Return a JSON object containing only the fields listed above, nested the same way (for "aiSummary.keyThemes" return {"aiSummary": {"keyThemes": [...]}}), each corrected to match its schema. Do not return any other fields.`
+        }
+    }
+};
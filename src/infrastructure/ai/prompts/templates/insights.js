@@ -0,0 +1,295 @@
+/**
+ * insights: analysis of a whole coaching session in one prompt
+ * (AIPoweredInsightsGenerator.buildComprehensiveAnalysisPrompt). The reply
+ * must match INSIGHTS_SCHEMA (../../insights/schema.js).
+ */
+
+const SYSTEM = 'You are an expert coaching session analyst. Analyze the transcript and provide comprehensive insights in JSON format.';
+
+module.exports = {
+    name: 'insights',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': {
+            description: 'Original single-prompt analysis',
+            system: SYSTEM,
+            prompt: `Analyze this coaching session transcript and provide comprehensive insights in the following JSON format:
+
+MEETING DATA:
+- Topic: {{topic}}
+- Duration: {{duration}} minutes
+- Date: {{date}}
+- Coach: {{coach}}
+- Student: {{student}}
+- Participant Count: {{participantCount}}
+
+TRANSCRIPT:
+{{transcript}}
+
+Please provide analysis in this exact JSON format:
+
+{
+  "aiSummary": {
+    "executiveSummary": "Brief overview of the session",
+    "keyThemes": ["theme1", "theme2"],
+    "mainDiscussionPoints": ["point1", "point2"],
+    "sessionStructure": {
+      "phases": [
+        {"name": "Opening", "description": "What happened"},
+        {"name": "Main", "description": "Core discussion"},
+        {"name": "Closing", "description": "Wrap-up"}
+      ]
+    }
+  },
+  "aiHighlights": {
+    "breakthroughMoments": [
+      {"timestamp": "00:15:30", "description": "Key breakthrough", "impact": "high"}
+    ],
+    "importantQuestions": [
+      {"question": "What was asked", "significance": "high", "response": "brief response"}
+    ],
+    "keyInsights": [
+      {"insight": "Important realization", "context": "when it occurred"}
+    ],
+    "memorableQuotes": [
+      {"quote": "Memorable statement", "speaker": "who said it", "context": "when"}
+    ]
+  },
+  "aiTopics": [
+    {"topic": "Topic name", "timeSpent": "15 minutes", "importance": "high", "details": "What was discussed"}
+  ],
+  "aiActionItems": {
+    "highPriority": [
+      {"item": "Action item", "assignee": "who", "deadline": "when", "context": "why"}
+    ],
+    "mediumPriority": [],
+    "lowPriority": []
+  },
+  "aiQuestions": {
+    "coachingQuestions": [
+      {"question": "Question asked", "type": "reflective/strategic/tactical", "effectiveness": "high"}
+    ],
+    "studentQuestions": [
+      {"question": "Student question", "category": "clarification/concern/interest"}
+    ]
+  },
+  "aiSentiment": {
+    "overall": "positive/neutral/negative",
+    "progression": [
+      {"phase": "opening", "sentiment": "positive", "intensity": 0.8}
+    ],
+    "emotionalJourney": [
+      {"timestamp": "00:10:00", "emotion": "frustrated", "context": "discussing challenge"}
+    ]
+  },
+  "aiEngagement": {
+    "overallScore": 0.85,
+    "speakerEngagement": {
+      "coach": {"score": 0.9, "techniques": ["active listening", "questioning"]},
+      "student": {"score": 0.8, "participation": "high"}
+    },
+    "engagementFactors": {
+      "responseTime": {"average": 2.5},
+      "conversationFlow": {"flow": "smooth"},
+      "questionFrequency": {"frequency": "high"}
+    }
+  },
+  "aiCoachingInsights": {
+    "techniques": [
+      {"technique": "Active listening", "effectiveness": "high", "context": "when used"}
+    ],
+    "breakthroughMoments": [
+      {"moment": "Description", "coachingMethod": "what worked", "studentResponse": "how they reacted"}
+    ],
+    "resistancePoints": [
+      {"point": "What student resisted", "coachingResponse": "how coach handled it"}
+    ],
+    "progressIndicators": [
+      {"indicator": "Sign of progress", "evidence": "what showed this"}
+    ],
+    "effectiveness": {
+      "overall": 0.8,
+      "strengths": ["Clear communication", "Good questioning"],
+      "areasForImprovement": ["Could use more examples"]
+    },
+    "studentProgress": {
+      "visibleGrowth": ["Increased confidence", "Clearer goals"],
+      "challenges": ["Time management", "Follow-through"],
+      "nextSteps": ["Practice new techniques", "Set specific milestones"]
+    }
+  },
+  "aiSessionAnalysis": {
+    "sessionType": "one-on-one/group",
+    "duration": {{duration}},
+    "participantCount": {{participantCount}},
+    "characteristics": {
+      "isOneOnOne": {{isOneOnOne}},
+      "isGroupSession": {{isGroupSession}},
+      "isLongSession": {{isLongSession}},
+      "isShortSession": {{isShortSession}}
+    }
+  },
+  "aiParticipantInsights": {
+    "totalParticipants": {{participantCount}},
+    "activeParticipants": {{activeParticipants}},
+    "participantRoles": ["Coach", "Student"],
+    "interactionPatterns": ["Question-Answer", "Discussion"],
+    "engagementLevel": "medium"
+  },
+  "aiQualityMetrics": {
+    "overallQuality": 0.7,
+    "transcriptQuality": 0.8,
+    "completeness": 0.7,
+    "reliability": 0.8,
+    "recommendations": ["Improve audio quality", "Add more structure"]
+  }
+}
+
+Focus on coaching effectiveness, student progress, actionable insights, and specific moments that demonstrate growth or challenges. Be specific about techniques used, breakthrough moments, and measurable progress indicators.`
+        },
+        '1.1.0': {
+            description: 'Adds grounding rules: commitments as action items, transcript timestamps, exact enum values',
+            system: SYSTEM,
+            prompt: `Analyze this coaching session transcript and return comprehensive insights as a single JSON object in the format below.
+
+MEETING DATA:
+- Topic: {{topic}}
+- Duration: {{duration}} minutes
+- Date: {{date}}
+- Coach: {{coach}}
+- Student: {{student}}
+- Participant Count: {{participantCount}}
+
+TRANSCRIPT:
+{{transcript}}
+
+RULES:
+- Base every entry on the transcript. Leave a list empty rather than invent entries for it.
+- One action item per commitment made in the session, in the speaker's own words, with the deadline they gave ("TBD" when none was given).
+- Timestamps are HH:MM:SS, copied from the transcript; leave them out when the transcript has none.
+- importance, impact, significance, effectiveness and engagementLevel are exactly one of high, medium or low; aiSentiment.overall is exactly one of positive, neutral, negative or mixed.
+- Scores and intensities are numbers from 0 to 1.
+
+Respond with JSON only, in this exact format:
+
+{
+  "aiSummary": {
+    "executiveSummary": "Brief overview of the session",
+    "keyThemes": ["theme1", "theme2"],
+    "mainDiscussionPoints": ["point1", "point2"],
+    "sessionStructure": {
+      "phases": [
+        {"name": "Opening", "description": "What happened"},
+        {"name": "Main", "description": "Core discussion"},
+        {"name": "Closing", "description": "Wrap-up"}
+      ]
+    }
+  },
+  "aiHighlights": {
+    "breakthroughMoments": [
+      {"timestamp": "00:15:30", "description": "Key breakthrough", "impact": "high"}
+    ],
+    "importantQuestions": [
+      {"question": "What was asked", "significance": "high", "response": "brief response"}
+    ],
+    "keyInsights": [
+      {"insight": "Important realization", "context": "when it occurred"}
+    ],
+    "memorableQuotes": [
+      {"quote": "Memorable statement", "speaker": "who said it", "context": "when"}
+    ]
+  },
+  "aiTopics": [
+    {"topic": "Topic name", "timeSpent": "15 minutes", "importance": "high", "details": "What was discussed"}
+  ],
+  "aiActionItems": {
+    "highPriority": [
+      {"item": "Action item", "assignee": "who", "deadline": "when", "context": "why"}
+    ],
+    "mediumPriority": [],
+    "lowPriority": []
+  },
+  "aiQuestions": {
+    "coachingQuestions": [
+      {"question": "Question asked", "type": "reflective/strategic/tactical", "effectiveness": "high"}
+    ],
+    "studentQuestions": [
+      {"question": "Student question", "category": "clarification/concern/interest"}
+    ]
+  },
+  "aiSentiment": {
+    "overall": "positive",
+    "progression": [
+      {"phase": "opening", "sentiment": "positive", "intensity": 0.8}
+    ],
+    "emotionalJourney": [
+      {"timestamp": "00:10:00", "emotion": "frustrated", "context": "discussing challenge"}
+    ]
+  },
+  "aiEngagement": {
+    "overallScore": 0.85,
+    "speakerEngagement": {
+      "coach": {"score": 0.9, "techniques": ["active listening", "questioning"]},
+      "student": {"score": 0.8, "participation": "high"}
+    },
+    "engagementFactors": {
+      "responseTime": {"average": 2.5},
+      "conversationFlow": {"flow": "smooth"},
+      "questionFrequency": {"frequency": "high"}
+    }
+  },
+  "aiCoachingInsights": {
+    "techniques": [
+      {"technique": "Active listening", "effectiveness": "high", "context": "when used"}
+    ],
+    "breakthroughMoments": [
+      {"moment": "Description", "coachingMethod": "what worked", "studentResponse": "how they reacted"}
+    ],
+    "resistancePoints": [
+      {"point": "What student resisted", "coachingResponse": "how coach handled it"}
+    ],
+    "progressIndicators": [
+      {"indicator": "Sign of progress", "evidence": "what showed this"}
+    ],
+    "effectiveness": {
+      "overall": 0.8,
+      "strengths": ["Clear communication", "Good questioning"],
+      "areasForImprovement": ["Could use more examples"]
+    },
+    "studentProgress": {
+      "visibleGrowth": ["Increased confidence", "Clearer goals"],
+      "challenges": ["Time management", "Follow-through"],
+      "nextSteps": ["Practice new techniques", "Set specific milestones"]
+    }
+  },
+  "aiSessionAnalysis": {
+    "sessionType": "one-on-one",
+    "duration": {{duration}},
+    "participantCount": {{participantCount}},
+    "characteristics": {
+      "isOneOnOne": {{isOneOnOne}},
+      "isGroupSession": {{isGroupSession}},
+      "isLongSession": {{isLongSession}},
+      "isShortSession": {{isShortSession}}
+    }
+  },
+  "aiParticipantInsights": {
+    "totalParticipants": {{participantCount}},
+    "activeParticipants": {{activeParticipants}},
+    "participantRoles": ["Coach", "Student"],
+    "interactionPatterns": ["Question-Answer", "Discussion"],
+    "engagementLevel": "medium"
+  },
+  "aiQualityMetrics": {
+    "overallQuality": 0.7,
+    "transcriptQuality": 0.8,
+    "completeness": 0.7,
+    "reliability": 0.8,
+    "recommendations": ["Improve audio quality", "Add more structure"]
+  }
+}
+
+Focus on coaching effectiveness, student progress, actionable insights, and specific moments that demonstrate growth or challenges. Be specific about techniques used, breakthrough moments, and measurable progress indicators.`
+        }
+    }
+};
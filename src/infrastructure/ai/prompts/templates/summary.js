@@ -0,0 +1,15 @@
+/**
+ * summary: short plain-text summary (OpenAIService.generateSummary)
+ */
+
+module.exports = {
+    name: 'summary',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': {
+            description: 'Original summary prompt',
+            system: 'Create a concise summary of the provided text.',
+            prompt: 'Summarize this in {{maxLength}} characters or less:\n\n{{content}}'
+        }
+    }
+};
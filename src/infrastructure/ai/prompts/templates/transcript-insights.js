@@ -0,0 +1,33 @@
+/**
+ * transcript-insights: meeting summary, topics, action items and decisions
+ * for TranscriptionAnalyzer (OpenAIService.generateInsights)
+ */
+
+module.exports = {
+    name: 'transcript-insights',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': {
+            description: 'Original meeting insights prompt',
+            system: `You are an AI assistant analyzing a Zoom recording transcript. 
+        Extract key insights, action items, important topics discussed, and create a concise summary.
+        Format your response as JSON with the following structure:
+        {
+            "summary": "Brief summary of the meeting",
+            "keyTopics": ["topic1", "topic2"],
+            "actionItems": ["action1", "action2"],
+            "decisions": ["decision1", "decision2"],
+            "nextSteps": ["step1", "step2"],
+            "participants": ["participant1", "participant2"]
+        }`,
+            prompt: `Analyze this transcript and extract insights:
+        
+        Meeting Topic: {{topic}}
+        Date: {{date}}
+        Duration: {{duration}} minutes
+        
+        Transcript:
+        {{transcript}}`
+        }
+    }
+};
@@ -9,8 +9,9 @@ const { MetricsCollector } = require('../../shared/MetricsCollector');
  * Provides graceful fallbacks for missing services
  */
 class SmartServicesInitializer {
-    constructor(config) {
+    constructor(config, { recordingRepository = null } = {}) {
         this.config = config;
+        this.recordingRepository = recordingRepository;
         this.logger = new Logger('SmartServicesInitializer');
         this.services = {};
     }
@@ -111,7 +112,8 @@ class SmartServicesInitializer {
             services.weekInferencer = new SmartWeekInferencer({
                 cache: sharedDeps.cache,
                 logger: sharedDeps.loggerFactory('SmartWeekInferencer'),
-                config: this.config
+                config: this.config,
+                recordingRepository: this.recordingRepository
             });
             this.logger.debug('SmartWeekInferencer initialized');
         } catch (error) {
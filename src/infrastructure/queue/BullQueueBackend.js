@@ -0,0 +1,173 @@
+/**
+ * BullQueueBackend
+ *
+ * Redis-backed job store for WebhookJobQueue. Retries and exponential backoff
+ * are delegated to Bull; jobs that exhaust their attempts are copied into a
+ * separate `<name>-dead` queue that is never processed automatically.
+ */
+
+const Queue = require('bull');
+
+class BullQueueBackend {
+    constructor({ logger, redisUrl, queueName = 'webhook-recordings', concurrency = 1 }) {
+        this.logger = logger;
+        this.redisUrl = redisUrl;
+        this.queueName = queueName;
+        this.concurrency = concurrency;
+        this.name = 'redis';
+
+        this.queue = new Queue(queueName, redisUrl);
+        this.deadQueue = new Queue(`${queueName}-dead`, redisUrl);
+
+        this.queue.on('error', error => {
+            this.logger.error(`Bull queue error (${queueName}):`, error.message);
+        });
+        this.queue.on('failed', (job, error) => this._handleFailed(job, error));
+    }
+
+    async start(processor) {
+        await this.queue.isReady();
+        this.queue.process(this.concurrency, async bullJob => processor(this._toJob(bullJob, 'active')));
+    }
+
+    async add(job) {
+        const existing = await this.queue.getJob(job.id);
+        if (existing) {
+            const state = await existing.getState();
+            if (state !== 'completed') {
+                this.logger.info(`Job ${job.id} already queued (${state}), skipping duplicate enqueue`);
+                return this._toJob(existing, state);
+            }
+            await existing.remove();
+        }
+
+        const bullJob = await this.queue.add(job, {
+            jobId: job.id,
+            attempts: job.maxAttempts,
+            backoff: { type: 'exponential', delay: job.backoffDelay },
+            removeOnComplete: 500,
+            removeOnFail: false
+        });
+        return this._toJob(bullJob, 'waiting');
+    }
+
+    async getJob(jobId) {
+        const bullJob = await this.queue.getJob(jobId);
+        if (bullJob) {
+            return this._toJob(bullJob, await bullJob.getState());
+        }
+
+        const deadJob = await this.deadQueue.getJob(jobId);
+        return deadJob ? this._toJob(deadJob, 'dead') : null;
+    }
+
+    async listJobs(state = null) {
+        if (state === 'dead') {
+            const deadJobs = await this.deadQueue.getJobs(['waiting', 'paused']);
+            return deadJobs.map(job => this._toJob(job, 'dead'));
+        }
+
+        const states = state ? [state] : ['waiting', 'delayed', 'active', 'completed', 'failed'];
+        const jobs = [];
+        for (const jobState of states) {
+            const bullJobs = await this.queue.getJobs([jobState]);
+            jobs.push(...bullJobs.filter(Boolean).map(job => this._toJob(job, jobState)));
+        }
+
+        if (!state) {
+            jobs.push(...await this.listJobs('dead'));
+        }
+        return jobs;
+    }
+
+    async getCounts() {
+        const counts = await this.queue.getJobCounts();
+        const deadCounts = await this.deadQueue.getJobCounts();
+        return {
+            waiting: counts.waiting || 0,
+            delayed: counts.delayed || 0,
+            active: counts.active || 0,
+            completed: counts.completed || 0,
+            failed: counts.failed || 0,
+            dead: (deadCounts.waiting || 0) + (deadCounts.paused || 0)
+        };
+    }
+
+    async retry(jobId) {
+        const deadJob = await this.deadQueue.getJob(jobId);
+        if (deadJob) {
+            await deadJob.remove();
+            const failedJob = await this.queue.getJob(jobId);
+            if (failedJob) await failedJob.remove();
+            return this.add({ ...deadJob.data, attempts: 0 });
+        }
+
+        const bullJob = await this.queue.getJob(jobId);
+        if (!bullJob) return null;
+        await bullJob.retry();
+        return this._toJob(bullJob, 'waiting');
+    }
+
+    async remove(jobId) {
+        const bullJob = await this.queue.getJob(jobId);
+        if (bullJob) await bullJob.remove();
+        const deadJob = await this.deadQueue.getJob(jobId);
+        if (deadJob) await deadJob.remove();
+    }
+
+    async pause() {
+        await this.queue.pause(true);
+    }
+
+    async resume() {
+        await this.queue.resume(true);
+    }
+
+    /**
+     * Bull pulls jobs continuously; promote delayed jobs so they run right away
+     */
+    async drain() {
+        const delayed = await this.queue.getDelayed();
+        for (const job of delayed) {
+            await job.promote();
+        }
+    }
+
+    async close() {
+        await this.queue.close();
+        await this.deadQueue.close();
+    }
+
+    async _handleFailed(bullJob, error) {
+        const maxAttempts = bullJob.opts.attempts || 1;
+        if (bullJob.attemptsMade < maxAttempts) {
+            this.logger.warn(`Job ${bullJob.id} failed (attempt ${bullJob.attemptsMade}/${maxAttempts}): ${error.message}`);
+            return;
+        }
+
+        this.logger.error(`Job ${bullJob.id} moved to dead-letter after ${bullJob.attemptsMade} attempts: ${error.message}`);
+        try {
+            await this.deadQueue.add(
+                { ...bullJob.data, lastError: error.message, attempts: bullJob.attemptsMade },
+                { jobId: bullJob.id, removeOnComplete: false }
+            );
+        } catch (deadLetterError) {
+            this.logger.error(`Failed to dead-letter job ${bullJob.id}:`, deadLetterError.message);
+        }
+    }
+
+    _toJob(bullJob, state = null) {
+        return {
+            ...bullJob.data,
+            id: bullJob.id,
+            state: state || bullJob.data.state,
+            attempts: state === 'dead' ? bullJob.data.attempts : bullJob.attemptsMade + (state === 'active' ? 1 : 0),
+            lastError: bullJob.failedReason || bullJob.data.lastError || null,
+            result: bullJob.returnvalue || null,
+            startedAt: bullJob.processedOn ? new Date(bullJob.processedOn).toISOString() : null,
+            finishedAt: bullJob.finishedOn ? new Date(bullJob.finishedOn).toISOString() : null
+        };
+    }
+}
+
+module.exports = { BullQueueBackend };
@@ -0,0 +1,266 @@
+/**
+ * FileQueueBackend
+ *
+ * Persistent job store used by WebhookJobQueue when Redis is not available.
+ * Every job is a JSON document under the store directory, written atomically
+ * (tmp file + rename) so a restart mid-write never leaves a corrupt job behind.
+ * Jobs that were `active` when the process died are put back to `waiting`
+ * on start, which is what makes webhook processing survive dyno restarts.
+ * Only the newest `keepCompleted` completed jobs are kept (Bull's
+ * removeOnComplete), so the store the poll reads does not grow without bound;
+ * dead jobs are kept until retried or removed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const JOB_STATES = ['waiting', 'delayed', 'active', 'completed', 'failed', 'dead'];
+
+class FileQueueBackend {
+    constructor({ logger, storeDir, concurrency = 1, pollInterval = 2000, keepCompleted = 500 }) {
+        this.logger = logger;
+        this.storeDir = storeDir;
+        this.concurrency = concurrency;
+        this.pollInterval = pollInterval;
+        this.keepCompleted = keepCompleted;
+        this.name = 'file';
+
+        this.processor = null;
+        this.activeCount = 0;
+        this.paused = false;
+        this.pollTimer = null;
+        this.draining = null;
+    }
+
+    async start(processor) {
+        this.processor = processor;
+        await fs.mkdir(this.storeDir, { recursive: true });
+
+        // Recover jobs interrupted by a crash or restart
+        const jobs = await this.listJobs();
+        for (const job of jobs) {
+            if (job.state === 'active') {
+                this.logger.warn(`Recovering interrupted job ${job.id} (${job.eventType})`);
+                job.state = 'waiting';
+                job.history.push({ state: 'waiting', at: new Date().toISOString(), note: 'recovered after restart' });
+                await this.saveJob(job);
+            }
+        }
+
+        this._schedulePoll(0);
+    }
+
+    async add(job) {
+        await fs.mkdir(this.storeDir, { recursive: true });
+
+        const existing = await this.getJob(job.id);
+        if (existing && !['completed', 'dead'].includes(existing.state)) {
+            this.logger.info(`Job ${job.id} already queued (${existing.state}), skipping duplicate enqueue`);
+            return existing;
+        }
+
+        await this.saveJob(job);
+        this._schedulePoll(0);
+        return job;
+    }
+
+    async getJob(jobId) {
+        try {
+            const content = await fs.readFile(this._jobPath(jobId), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveJob(job) {
+        const jobPath = this._jobPath(job.id);
+        const tmpPath = `${jobPath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+        await fs.rename(tmpPath, jobPath);
+    }
+
+    async listJobs(state = null) {
+        const files = await fs.readdir(this.storeDir).catch(() => []);
+        const jobs = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const job = JSON.parse(await fs.readFile(path.join(this.storeDir, file), 'utf8'));
+                if (!state || job.state === state) {
+                    jobs.push(job);
+                }
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+            }
+        }
+
+        return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async getCounts() {
+        const counts = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+        const jobs = await this.listJobs();
+        const now = Date.now();
+
+        for (const job of jobs) {
+            const state = job.state === 'waiting' && job.nextRunAt && Date.parse(job.nextRunAt) > now
+                ? 'delayed'
+                : job.state;
+            counts[state] = (counts[state] || 0) + 1;
+        }
+
+        return counts;
+    }
+
+    async retry(jobId) {
+        const job = await this.getJob(jobId);
+        if (!job) return null;
+
+        job.state = 'waiting';
+        job.attempts = 0;
+        job.nextRunAt = null;
+        job.history.push({ state: 'waiting', at: new Date().toISOString(), note: 'manual retry' });
+        await this.saveJob(job);
+        this._schedulePoll(0);
+        return job;
+    }
+
+    async remove(jobId) {
+        await fs.unlink(this._jobPath(jobId)).catch(() => {});
+    }
+
+    async pause() {
+        this.paused = true;
+    }
+
+    async resume() {
+        this.paused = false;
+        this._schedulePoll(0);
+    }
+
+    /**
+     * Run every due job now and resolve once the current batch has settled
+     */
+    async drain() {
+        if (!this.draining) {
+            this.draining = this._runDueJobs().finally(() => {
+                this.draining = null;
+            });
+        }
+        return this.draining;
+    }
+
+    async close() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.processor = null;
+        if (this.draining) {
+            await this.draining.catch(() => {});
+        }
+    }
+
+    _schedulePoll(delay = this.pollInterval) {
+        if (!this.processor) return;
+        if (this.pollTimer) clearTimeout(this.pollTimer);
+
+        this.pollTimer = setTimeout(async () => {
+            this.pollTimer = null;
+            try {
+                await this.drain();
+            } catch (error) {
+                this.logger.error('Error while polling webhook job store:', error);
+            }
+            this._schedulePoll();
+        }, delay);
+
+        if (this.pollTimer.unref) this.pollTimer.unref();
+    }
+
+    async _runDueJobs() {
+        if (this.paused || !this.processor) return;
+
+        const now = Date.now();
+        const due = (await this.listJobs('waiting'))
+            .filter(job => !job.nextRunAt || Date.parse(job.nextRunAt) <= now);
+
+        const running = [];
+        for (const job of due) {
+            if (this.activeCount >= this.concurrency) {
+                await Promise.race(running);
+            }
+            const run = this._runJob(job).finally(() => {
+                running.splice(running.indexOf(run), 1);
+            });
+            running.push(run);
+        }
+
+        await Promise.all(running);
+        if (due.length > 0) {
+            await this._pruneCompleted();
+        }
+    }
+
+    /**
+     * Remove the oldest completed jobs beyond keepCompleted
+     */
+    async _pruneCompleted() {
+        const completed = (await this.listJobs('completed'))
+            .sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || ''));
+
+        const expired = completed.slice(this.keepCompleted);
+        for (const job of expired) {
+            await this.remove(job.id);
+        }
+        if (expired.length > 0) {
+            this.logger.info(`Pruned ${expired.length} completed job(s), keeping the newest ${this.keepCompleted}`);
+        }
+    }
+
+    async _runJob(job) {
+        this.activeCount++;
+        job.state = 'active';
+        job.attempts += 1;
+        job.startedAt = new Date().toISOString();
+        job.history.push({ state: 'active', at: job.startedAt, attempt: job.attempts });
+        await this.saveJob(job);
+
+        try {
+            job.result = await this.processor(job);
+            job.state = 'completed';
+            job.finishedAt = new Date().toISOString();
+            job.history.push({ state: 'completed', at: job.finishedAt, attempt: job.attempts });
+        } catch (error) {
+            job.lastError = error.message;
+            job.finishedAt = new Date().toISOString();
+
+            if (job.attempts >= job.maxAttempts) {
+                job.state = 'dead';
+                this.logger.error(`Job ${job.id} moved to dead-letter after ${job.attempts} attempts: ${error.message}`);
+            } else {
+                const delay = job.backoffDelay * (2 ** (job.attempts - 1));
+                job.state = 'waiting';
+                job.nextRunAt = new Date(Date.now() + delay).toISOString();
+                this.logger.warn(`Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+            }
+            job.history.push({ state: job.state, at: job.finishedAt, attempt: job.attempts, error: error.message });
+        } finally {
+            this.activeCount--;
+        }
+
+        await this.saveJob(job);
+        return job;
+    }
+
+    _jobPath(jobId) {
+        const safeId = crypto.createHash('sha1').update(String(jobId)).digest('hex');
+        return path.join(this.storeDir, `${safeId}.json`);
+    }
+}
+
+module.exports = { FileQueueBackend, JOB_STATES };
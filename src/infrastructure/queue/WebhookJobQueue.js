@@ -0,0 +1,213 @@
+/**
+ * WebhookJobQueue
+ *
+ * Durable queue for webhook events. The HTTP handler only enqueues; handlers
+ * registered per event type run the actual processing with retries,
+ * exponential backoff and a dead-letter state for jobs that keep failing.
+ *
+ * Backed by Redis (Bull) when REDIS_URL is configured, otherwise by a local
+ * JSON job store under OUTPUT_DIR so queued work survives restarts either way.
+ *
+ * Events: 'enqueued' (job), 'active' (job), 'completed' (job, result),
+ * 'failed' (job, error) after every failed attempt, and 'dead' (job, error)
+ * once the last attempt has failed and the job is dead-lettered.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { FileQueueBackend } = require('./FileQueueBackend');
+
+class WebhookJobQueue extends EventEmitter {
+    constructor({
+        logger,
+        backend = null,
+        redisUrl = process.env.REDIS_URL,
+        storeDir = path.join(process.env.OUTPUT_DIR || './output', 'webhook-jobs'),
+        concurrency = parseInt(process.env.WEBHOOK_QUEUE_CONCURRENCY || '1', 10),
+        maxAttempts = parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || '5', 10),
+        backoffDelay = parseInt(process.env.WEBHOOK_QUEUE_BACKOFF_MS || '30000', 10),
+        pollInterval = 2000
+    } = {}) {
+        super();
+        this.logger = logger || console;
+        this.maxAttempts = maxAttempts;
+        this.backoffDelay = backoffDelay;
+        this.handlers = new Map();
+        this.started = false;
+
+        this.backend = backend || WebhookJobQueue.createBackend({
+            logger: this.logger,
+            redisUrl,
+            storeDir,
+            concurrency,
+            pollInterval
+        });
+    }
+
+    /**
+     * Pick Redis when it is configured, local file store otherwise.
+     * WEBHOOK_QUEUE_BACKEND=file forces the file store even with REDIS_URL set.
+     */
+    static createBackend({ logger, redisUrl, storeDir, concurrency, pollInterval }) {
+        const forced = process.env.WEBHOOK_QUEUE_BACKEND;
+
+        if (redisUrl && forced !== 'file') {
+            try {
+                const { BullQueueBackend } = require('./BullQueueBackend');
+                logger.info(`Webhook job queue using Redis backend (${redisUrl.replace(/\/\/.*@/, '//***@')})`);
+                return new BullQueueBackend({ logger, redisUrl, concurrency });
+            } catch (error) {
+                logger.warn(`Redis queue backend unavailable, falling back to file store: ${error.message}`);
+            }
+        }
+
+        logger.info(`Webhook job queue using file backend (${storeDir})`);
+        return new FileQueueBackend({ logger, storeDir, concurrency, pollInterval });
+    }
+
+    /**
+     * Build a stable job id for a webhook delivery so re-enqueueing the same
+     * delivery does not create a second job
+     */
+    static buildJobId(eventType, webhookData = {}) {
+        const object = webhookData.payload?.object || {};
+        const recordingKey = object.uuid || object.id;
+        if (recordingKey && webhookData.event_ts) {
+            return `${eventType}:${recordingKey}:${webhookData.event_ts}`;
+        }
+        if (recordingKey) {
+            return `${eventType}:${recordingKey}`;
+        }
+        return `${eventType}:${crypto.randomUUID()}`;
+    }
+
+    registerHandler(eventType, handler) {
+        this.handlers.set(eventType, handler);
+        return this;
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+        await this.backend.start(job => this._process(job));
+        this.logger.info(`Webhook job queue started (${this.backend.name} backend, handlers: ${[...this.handlers.keys()].join(', ')})`);
+    }
+
+    async enqueue(eventType, webhookData, { jobId = null, maxAttempts = this.maxAttempts } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: jobId || WebhookJobQueue.buildJobId(eventType, webhookData),
+            eventType,
+            payload: webhookData,
+            state: 'waiting',
+            attempts: 0,
+            maxAttempts,
+            backoffDelay: this.backoffDelay,
+            createdAt: now,
+            nextRunAt: null,
+            lastError: null,
+            history: [{ state: 'waiting', at: now }]
+        };
+
+        const queued = await this.backend.add(job);
+        this.logger.info(`Enqueued ${eventType} job ${queued.id}`);
+        this.emit('enqueued', queued);
+        return queued;
+    }
+
+    async getStatus({ includeJobs = false, state = null } = {}) {
+        const status = {
+            backend: this.backend.name,
+            started: this.started,
+            paused: !!this.backend.paused,
+            handlers: [...this.handlers.keys()],
+            counts: await this.backend.getCounts()
+        };
+
+        if (includeJobs) {
+            const jobs = await this.backend.listJobs(state);
+            status.jobs = jobs.map(job => WebhookJobQueue.summarizeJob(job));
+        }
+
+        return status;
+    }
+
+    async getJob(jobId) {
+        return this.backend.getJob(jobId);
+    }
+
+    async retry(jobId) {
+        const job = await this.backend.retry(jobId);
+        if (job) this.logger.info(`Job ${jobId} re-queued for retry`);
+        return job;
+    }
+
+    async retryDeadLetters() {
+        const deadJobs = await this.backend.listJobs('dead');
+        const retried = [];
+        for (const job of deadJobs) {
+            retried.push(await this.retry(job.id));
+        }
+        return retried.filter(Boolean);
+    }
+
+    async pause() {
+        await this.backend.pause();
+        this.logger.info('Webhook job queue paused');
+    }
+
+    async resume() {
+        await this.backend.resume();
+        this.logger.info('Webhook job queue resumed');
+    }
+
+    async drain() {
+        await this.backend.drain();
+    }
+
+    async close() {
+        await this.backend.close();
+        this.started = false;
+    }
+
+    static summarizeJob(job) {
+        const object = job.payload?.payload?.object || {};
+        return {
+            id: job.id,
+            eventType: job.eventType,
+            state: job.state,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            recordingId: object.id,
+            uuid: object.uuid,
+            topic: object.topic,
+            createdAt: job.createdAt,
+            nextRunAt: job.nextRunAt || null,
+            finishedAt: job.finishedAt || null,
+            lastError: job.lastError || null
+        };
+    }
+
+    async _process(job) {
+        const handler = this.handlers.get(job.eventType);
+        if (!handler) {
+            throw new Error(`No handler registered for event type: ${job.eventType}`);
+        }
+
+        this.logger.info(`Processing ${job.eventType} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+        this.emit('active', job);
+
+        try {
+            const result = await handler(job.payload, job);
+            this.emit('completed', job, result);
+            return result ?? null;
+        } catch (error) {
+            this.emit('failed', job, error);
+            if (job.attempts >= job.maxAttempts) this.emit('dead', job, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = { WebhookJobQueue };
@@ -8,15 +8,20 @@
  */
 
 const { RecordingCategorizer } = require('../../utils/RecordingCategorizer');
+const { getSourceIndicator } = require('../sources/RecordingSource');
+const { RecordingUuid, StandardizedName, NAME_CATEGORIES } = require('../../core/value-objects');
+const { ManualOverrideRegistry, OVERRIDE_SOURCE } = require('./ManualOverrideRegistry');
+const { Transcript } = require('../../shared/transcript');
 
 class CompleteSmartNameStandardizer {
     constructor(dependencies = {}) {
         this.logger = dependencies.logger || console;
         this.cache = dependencies.cache;
         this.knowledgeBase = dependencies.knowledgeBase;
+        this.overrides = dependencies.manualOverrideRegistry || ManualOverrideRegistry.getDefault();
         
-        // Initialize the enhanced categorizer
-        this.categorizer = new RecordingCategorizer(this.logger);
+        // Initialize the enhanced categorizer (shares the manual overrides)
+        this.categorizer = new RecordingCategorizer(this.logger, this.overrides);
         
         // Coach mappings from SmartRecordingStandardizer
         this.coachMappings = {
@@ -369,18 +374,14 @@ class CompleteSmartNameStandardizer {
      * Helper to check if a UUID is base64 (Zoom format)
      */
     isBase64Uuid(uuid) {
-        // Zoom base64 UUIDs are typically 22 chars and end with ==
-        return typeof uuid === 'string' && uuid.length >= 22 && uuid.endsWith('==');
+        return RecordingUuid.isBase64(uuid);
     }
 
     /**
      * Helper to check if a UUID is hex or hex-with-dashes
      */
     isHexUuid(uuid) {
-        return typeof uuid === 'string' && (
-            /^[a-f0-9]{32}$/i.test(uuid) ||
-            /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i.test(uuid)
-        );
+        return RecordingUuid.isHex(uuid);
     }
 
     /**
@@ -392,6 +393,11 @@ class CompleteSmartNameStandardizer {
             if (!input || typeof input !== 'string') {
                 return this.createErrorResult(input, null, context.dataSource || context.data_source || context.source);
             }
+            // Manual overrides (data/manual-overrides.json) are looked up first and win over inference
+            const override = this.overrides.find({
+                uuid: context.uuid || context.originalUuid,
+                meetingId: context.id || context.meeting_id
+            });
             // Build recording object
             const recording = {
                 topic: input,
@@ -423,40 +429,36 @@ class CompleteSmartNameStandardizer {
                     }
                 }
             }
-            // Determine session type AFTER enhanced student extraction
+            // Overridden coach, student and week replace the extracted ones before categorizing
+            if (override) {
+                this.applyOverride(components, override);
+            }
+            // Determine session type AFTER enhanced student extraction (the categorizer applies an overridden type)
             const sessionType = this.determineSessionType(components, recording);
             components.sessionType = sessionType;
             // --- ENHANCED: Re-standardize coach name if this is a Game Plan session ---
-            if (sessionType === 'GamePlan' && components.coach !== 'Jenny') {
+            if (sessionType === 'GamePlan' && components.coach !== 'Jenny' && !override?.coach) {
                 this.logger?.info(`🔍 [GAME PLAN] Re-standardizing coach to Jenny for Game Plan session`);
                 components.coach = 'Jenny';
                 components.method = components.method === 'unknown' ? 'game_plan_override' : components.method;
             }
-            // Always use the original base64 UUID for naming
-            let uuid = context.uuid;
-            if (this.isHexUuid(uuid)) {
-                this.logger?.warn(`⚠️ Hex or hex-dash UUID detected for naming: ${uuid}. Please use base64 UUID as from Zoom.`);
-                // Try to use context.originalUuid if available
-                if (context.originalUuid && this.isBase64Uuid(context.originalUuid)) {
-                    uuid = context.originalUuid;
-                } else {
-                    // Fallback: leave as is, but warn
-                }
-            }
+            // Always use the base64 UUID for naming, whatever spelling the context carries
+            const uuid = RecordingUuid.tryParse(context.uuid || context.originalUuid)?.toBase64() || context.uuid;
             // Build standardized name
             const standardizedName = this.buildStandardizedFolderName({
                 coach: components.coach,
                 student: components.student,
                 weekNumber: components.week,
                 sessionType: sessionType,
-                date: this.getDate(context),
+                date: override?.date || this.getDate(context),
                 meetingId: context.id || context.meeting_id,
                 uuid: uuid,
                 topic: recording.topic,
-                dataSource: context.dataSource || context.data_source || context.source
+                dataSource: context.dataSource || context.data_source || context.source,
+                manualOverride: Boolean(override)
             });
             // Calculate confidence
-            const confidence = this.calculateConfidence(components, sessionType);
+            const confidence = override ? 100 : this.calculateConfidence(components, sessionType);
             this.logger?.info(`✅ [PRIORITY] Final result - Coach: ${components.coach}, Student: ${components.student}, Method: ${components.method}`);
             return {
                 standardized: standardizedName,
@@ -468,13 +470,26 @@ class CompleteSmartNameStandardizer {
                 },
                 method: components.method,
                 confidence: confidence,
-                raw: input
+                raw: input,
+                ...(override && { source: OVERRIDE_SOURCE })
             };
         } catch (error) {
             return this.createErrorResult(input, error, context.dataSource || context.data_source || context.source);
         }
     }
     
+    /**
+     * Replace extracted coach, student and week with the ones a manual override
+     * sets (its session type is applied by the categorizer)
+     */
+    applyOverride(components, override) {
+        for (const field of ['coach', 'student', 'week']) {
+            if (override[field] !== undefined) components[field] = override[field];
+        }
+        components.method = 'manual_override';
+        this.logger?.info(`✏️ [OVERRIDE] ${override.keyType} ${override.key} - Coach: ${components.coach}, Student: ${components.student}, Week: ${components.week}`);
+    }
+    
     /**
      * Extract components from recording - PRIORITY: HIGH-FIDELITY DATA SOURCES FIRST
      */
@@ -737,36 +752,19 @@ class CompleteSmartNameStandardizer {
     extractStudentFromTranscript(transcriptContent, coachName) {
         if (!transcriptContent || transcriptContent.length < 50) return null;
         
-        const lines = transcriptContent.split('\n');
+        const transcript = Transcript.parse(transcriptContent);
         const studentCandidates = new Map();
         
-        // Check if this is VTT format
-        const isVTT = lines[0] && lines[0].trim() === 'WEBVTT';
-        
-        this.logger?.info(`[DEBUG] extractStudentFromTranscript: VTT format detected: ${isVTT}, total lines: ${lines.length}`);
+        this.logger?.info(`[DEBUG] extractStudentFromTranscript: ${transcript.format} format detected, total cues: ${transcript.length}`);
         
         let speakerLinesFound = 0;
         
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Skip empty lines
-            if (!line) continue;
-            
-            // For VTT format, skip line numbers and timestamps
-            if (isVTT) {
-                // Skip if this is a number (subtitle index)
-                if (/^\d+$/.test(line)) continue;
-                // Skip if this is a timestamp line
-                if (/^\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}$/.test(line)) continue;
-            }
-            
-            // Look for speaker patterns: "Name: message"
-            const match = line.match(/^([^:]+):\s*(.+)$/);
-            if (match) {
+        for (const cue of transcript.cues) {
+            // Only cues with a speaker: "Name: message"
+            if (cue.speaker) {
                 speakerLinesFound++;
-                const speakerName = match[1].trim();
-                const message = match[2].trim();
+                const speakerName = cue.speaker;
+                const message = cue.text;
                 
                 if (speakerLinesFound <= 5) {
                     this.logger?.info(`[DEBUG] Found speaker line ${speakerLinesFound}: "${speakerName}: ${message.substring(0, 50)}..."`);
@@ -852,14 +850,12 @@ class CompleteSmartNameStandardizer {
     extractStudentFromChat(chatContent, coachName) {
         if (!chatContent || chatContent.length < 20) return null;
         
-        const lines = chatContent.split('\n');
         const studentCandidates = new Map();
         
-        for (const line of lines) {
-            // Look for chat patterns: "timestamp\tName: message"
-            const match = line.match(/^\d{2}:\d{2}:\d{2}\t([^:]+):/);
-            if (match) {
-                const speakerName = match[1].trim();
+        for (const cue of Transcript.parse(chatContent, { format: 'chat' }).cues) {
+            // Zoom chat: "timestamp\tName: message" or "timestamp From Name to Everyone:"
+            if (cue.speaker) {
+                const speakerName = cue.speaker;
                 
                 if (!speakerName || speakerName.length < 2) continue;
                 
@@ -998,6 +994,10 @@ class CompleteSmartNameStandardizer {
                 return 'MISC';
             case 'TRIVIAL':
                 return 'TRIVIAL';
+            case 'SAT':
+                return 'SAT';
+            case 'NO_SHOW':
+                return 'NO_SHOW';
             default:
                 return 'MISC';
         }
@@ -1026,8 +1026,8 @@ class CompleteSmartNameStandardizer {
             return 'misc'; // NO SHOW scenarios go to misc folder
         }
         
-        // Admin/MISC sessions
-        if (sessionType === 'Admin' || sessionType === 'MISC') {
+        // Admin/MISC and no-show sessions
+        if (['Admin', 'MISC', 'NO_SHOW'].includes(sessionType)) {
             return 'misc';
         }
         
@@ -1048,94 +1048,65 @@ class CompleteSmartNameStandardizer {
     /**
      * Build standardized folder name
      * Format: {SessionType}_{indicator}_{coach}_{student}_Wk{number}_{date}_M:{meetingId}U:{uuid}
-     * Where indicator is: A (Zoom API), B (Google Drive), or C (Webhook)
+     * Where indicator is: A (Zoom API), B (Google Drive), C (Webhook) or D (local folder import)
      * Always use base64 UUID for the U: part
+     * With manualOverride a Game Plan keeps the override's coach instead of Jenny
      */
-    buildStandardizedFolderName({ coach, student, weekNumber, sessionType, date, meetingId, uuid, topic, dataSource }) {
-        // Determine data source indicator
-        let indicator = '';
-        if (dataSource) {
-            const source = dataSource.toLowerCase();
-            if (source.includes('zoom') && (source.includes('api') || source.includes('cloud') || source.includes('batch'))) {
-                indicator = 'A';
-            } else if (source.includes('google') || source.includes('drive')) {
-                indicator = 'B';
-            } else if (source.includes('webhook')) {
-                indicator = 'C';
-            }
+    buildStandardizedFolderName({ coach, student, weekNumber, sessionType, date, meetingId, uuid, topic, dataSource, manualOverride = false }) {
+        // Determine data source indicator (single mapping shared with the recording sources)
+        const indicator = getSourceIndicator(dataSource);
+        
+        // Only use base64 UUID for naming (hex and URL-encoded spellings are converted)
+        const parsedUuid = RecordingUuid.tryParse(uuid);
+        const safeUuid = parsedUuid ? parsedUuid.toBase64() : uuid;
+        if (parsedUuid && !parsedUuid.isValid()) {
+            this.logger?.warn(`⚠️ Non-UUID value used in buildStandardizedFolderName: ${uuid}. Folder/file names may not match Google Sheet.`);
         }
-        
-        // Only use base64 UUID for naming
-        let safeUuid = uuid;
-        if (this.isHexUuid(uuid)) {
-            this.logger?.warn(`⚠️ Hex or hex-dash UUID detected in buildStandardizedFolderName: ${uuid}. Please use base64 UUID as from Zoom.`);
-            safeUuid = uuid; // fallback, but warn
-        }
-        if (!this.isBase64Uuid(uuid)) {
-            this.logger?.warn(`⚠️ Non-base64 UUID detected in buildStandardizedFolderName: ${uuid}. Folder/file names may not match Google Sheet.`);
-        }
-        // Special handling for Game Plan sessions
-        if (sessionType === 'GamePlan') {
-            const studentFirstName = student.split(' ')[0];
-            const parts = [
-                `Coaching_GamePlan${indicator ? '_' + indicator : ''}`,
-                'Jenny',
-                studentFirstName !== 'Unknown' ? studentFirstName : 'Unknown',
-                'Wk1',
-                date,
-                `M:${meetingId}U:${safeUuid}`
-            ];
-            return parts.join('_');
-        }
-        if (sessionType === 'TRIVIAL') {
-            const parts = [
-                `TRIVIAL${indicator ? '_' + indicator : ''}`,
-                coach.replace(/\s+/g, '') !== 'Unknown' ? coach.replace(/\s+/g, '') : 'unknown',
-                student.split(' ')[0] !== 'Unknown' ? student.split(' ')[0] : 'Unknown',
-                date,
-                `M:${meetingId}U:${safeUuid}`
-            ];
-            return parts.join('_');
-        }
-        const parts = [];
+        let category;
         switch (sessionType) {
+            case 'GamePlan':
+                category = NAME_CATEGORIES.GAME_PLAN;
+                break;
+            case 'TRIVIAL':
+                category = NAME_CATEGORIES.TRIVIAL;
+                break;
             case 'SAT':
-                parts.push(`SAT${indicator ? '_' + indicator : ''}`);
+                category = NAME_CATEGORIES.SAT;
                 break;
             case 'Admin':
-                parts.push(`MISC${indicator ? '_' + indicator : ''}`);
+                category = NAME_CATEGORIES.MISC;
+                break;
+            case 'NO_SHOW':
+                category = NAME_CATEGORIES.NO_SHOW;
                 break;
             case 'MISC':
-                if (topic && topic.toLowerCase().includes('personal meeting room') && 
-                    coach && coach !== 'Unknown' && 
-                    student && student !== 'Unknown') {
-                    parts.push(`NO_SHOW${indicator ? '_' + indicator : ''}`);
-                } else {
-                    parts.push(`MISC${indicator ? '_' + indicator : ''}`);
-                }
+                category = topic && topic.toLowerCase().includes('personal meeting room') &&
+                    coach && coach !== 'Unknown' &&
+                    student && student !== 'Unknown'
+                    ? NAME_CATEGORIES.NO_SHOW
+                    : NAME_CATEGORIES.MISC;
                 break;
             default:
-                parts.push(`Coaching${indicator ? '_' + indicator : ''}`);
+                category = NAME_CATEGORIES.COACHING;
         }
+        
         const coachName = coach.replace(/\s+/g, '');
-        parts.push(coachName !== 'Unknown' ? coachName : 'unknown');
         const studentFirstName = student.split(' ')[0];
-        parts.push(studentFirstName !== 'Unknown' ? studentFirstName : 'Unknown');
-        if (weekNumber && sessionType !== 'Admin' && sessionType !== 'MISC') {
-            const weekStr = String(weekNumber);
-            if (weekStr.match(/^\d+$/)) {
-                parts.push(`Wk${weekStr.padStart(2, '0')}`);
-            } else {
-                parts.push(`Wk${weekStr}`);
-            }
-        } else {
-            parts.push('WkUnknown');
-        }
-        parts.push(date);
-        if (meetingId && safeUuid) {
-            parts.push(`M:${meetingId}U:${safeUuid}`);
-        }
-        return parts.join('_');
+        // Admin, MISC and no-show sessions have no week (WkUnknown); Game Plans are always week 1
+        const hasWeek = weekNumber && !['Admin', 'MISC', 'NO_SHOW'].includes(sessionType);
+        const gamePlanDefaults = category === NAME_CATEGORIES.GAME_PLAN && !manualOverride;
+        
+        // The grammar (src/core/value-objects/StandardizedName.js) owns the layout
+        return StandardizedName.format({
+            category,
+            indicator,
+            coach: gamePlanDefaults ? 'Jenny' : (coachName !== 'Unknown' ? coachName : 'unknown'),
+            student: studentFirstName !== 'Unknown' ? studentFirstName : 'Unknown',
+            week: gamePlanDefaults ? 1 : (hasWeek ? weekNumber : null),
+            date,
+            meetingId,
+            uuid: safeUuid
+        });
     }
     
     /**
@@ -1297,17 +1268,8 @@ class CompleteSmartNameStandardizer {
      */
     createErrorResult(input, error = null, dataSource = null) {
         // Determine indicator based on data source
-        let indicator = '';
-        if (dataSource) {
-            const source = dataSource.toLowerCase();
-            if (source.includes('zoom') && (source.includes('api') || source.includes('cloud') || source.includes('batch'))) {
-                indicator = '_A';
-            } else if (source.includes('google') || source.includes('drive')) {
-                indicator = '_B';
-            } else if (source.includes('webhook')) {
-                indicator = '_C';
-            }
-        }
+        const sourceIndicator = getSourceIndicator(dataSource);
+        const indicator = sourceIndicator ? `_${sourceIndicator}` : '';
         
         const errorName = `MISC${indicator}_unknown_Unknown_WkUnknown_` + new Date().toISOString().split('T')[0];
         return {
@@ -1426,15 +1388,12 @@ class CompleteSmartNameStandardizer {
     extractCoachFromTranscript(transcriptContent) {
         if (!transcriptContent || transcriptContent.length < 50) return null;
         
-        const lines = transcriptContent.split('\n');
         const coachCandidates = new Map();
         
-        for (const line of lines) {
-            // Look for speaker patterns: "Name: message"
-            const match = line.match(/^([^:]+):\s*(.+)$/);
-            if (match) {
-                const speakerName = match[1].trim();
-                const message = match[2].trim();
+        for (const cue of Transcript.parse(transcriptContent).cues) {
+            // Only cues with a speaker: "Name: message"
+            if (cue.speaker) {
+                const speakerName = cue.speaker;
                 
                 if (!speakerName || speakerName.length < 2) continue;
                 
@@ -1467,14 +1426,12 @@ class CompleteSmartNameStandardizer {
     extractCoachFromChat(chatContent) {
         if (!chatContent || chatContent.length < 20) return null;
         
-        const lines = chatContent.split('\n');
         const coachCandidates = new Map();
         
-        for (const line of lines) {
-            // Look for chat patterns: "timestamp\tName: message"
-            const match = line.match(/^\d{2}:\d{2}:\d{2}\t([^:]+):/);
-            if (match) {
-                const speakerName = match[1].trim();
+        for (const cue of Transcript.parse(chatContent, { format: 'chat' }).cues) {
+            // Zoom chat: "timestamp\tName: message" or "timestamp From Name to Everyone:"
+            if (cue.speaker) {
+                const speakerName = cue.speaker;
                 
                 if (!speakerName || speakerName.length < 2) continue;
                 
@@ -0,0 +1,298 @@
+/**
+ * ContentHashIndex
+ *
+ * Recognises one session arriving through several data sources (Zoom API,
+ * Drive import, webhook) when the ids do not line up: different UUID
+ * encodings, or no Zoom UUID at all. Each recording is indexed by
+ *   - a partial hash of its MP4: size plus the first and last MB, so a 2 GB
+ *     video costs two small reads (two range requests for Drive files), and
+ *   - a hash of its spoken text as the shared transcript parser reads it
+ *     (no cue numbers, timings or speaker labels), so VTT, SRT and
+ *     plain-text copies of a transcript hash the same.
+ * A recording whose content matches one already indexed is linked to it, and
+ * the pipeline reuses that recording's Drive folder instead of creating a
+ * second one.
+ *
+ * Stored as an append-only JSON-lines log under OUTPUT_DIR/content-index,
+ * replayed into memory on first use like RecordingStateStore.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RecordingUuid } = require('../../core/value-objects');
+const { Transcript } = require('../../shared/transcript');
+
+const fsp = fs.promises;
+
+const PARTIAL_HASH_BYTES = 1024 * 1024;
+
+// Shorter transcripts ("Thanks, bye") say nothing about which session they are
+const MIN_TRANSCRIPT_LENGTH = 200;
+
+class ContentHashIndex {
+    constructor({
+        logger,
+        googleDriveService = null,
+        indexDir = path.join(process.env.OUTPUT_DIR || './output', 'content-index'),
+        fileName = 'content-hashes.jsonl',
+        minTranscriptLength = MIN_TRANSCRIPT_LENGTH
+    } = {}) {
+        this.logger = logger || console;
+        this.googleDriveService = googleDriveService;
+        this.indexDir = indexDir;
+        this.indexPath = path.join(indexDir, fileName);
+        this.minTranscriptLength = minTranscriptLength;
+        this.entries = null;
+        this.byHash = new Map();
+        this.writeChain = Promise.resolve();
+    }
+
+    // ---------------------------------------------------------------------
+    // Fingerprints
+    // ---------------------------------------------------------------------
+
+    /**
+     * Content fingerprint of a recording's files ({ video, transcript, ... } as
+     * local paths, or Drive file ids for Drive imports). transcriptContent saves
+     * reading the transcript again when the caller already has it.
+     * @returns {Promise<{ video: { size, partialHash }|null, transcriptHash: string|null }>}
+     */
+    async fingerprint(files = {}, { transcriptContent = null } = {}) {
+        let video = null;
+        const videoRef = typeof files.video === 'string' ? files.video : files.video?.id;
+        if (videoRef) {
+            try {
+                video = await this._videoHash(videoRef);
+            } catch (error) {
+                this.logger.warn(`Could not hash video ${videoRef}: ${error.message}`);
+            }
+        }
+
+        let text = transcriptContent;
+        if (!text && typeof files.transcript === 'string' && fs.existsSync(files.transcript)) {
+            text = await fsp.readFile(files.transcript, 'utf8');
+        }
+
+        return { video, transcriptHash: ContentHashIndex.transcriptHash(text, this.minTranscriptLength) };
+    }
+
+    /**
+     * sha256 of the spoken text of a transcript, or null when it is too short
+     * to identify a session
+     */
+    static transcriptHash(text, minLength = MIN_TRANSCRIPT_LENGTH) {
+        if (!text) return null;
+
+        const normalized = Transcript.parse(String(text)).text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+        if (normalized.length < minLength) return null;
+
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Hash of size, first and last MB. Files up to 2 MB are hashed whole.
+     */
+    static partialHash(size, head, tail) {
+        return crypto.createHash('sha256').update(`${size}:`).update(head).update(tail).digest('hex');
+    }
+
+    /**
+     * Byte ranges partialHash() reads for a file of this size, end exclusive
+     */
+    static partialRanges(size) {
+        const head = [0, Math.min(PARTIAL_HASH_BYTES, size)];
+        const tail = [Math.max(head[1], size - PARTIAL_HASH_BYTES), size];
+        return { head, tail };
+    }
+
+    // ---------------------------------------------------------------------
+    // Index
+    // ---------------------------------------------------------------------
+
+    /**
+     * Add or update a recording's fingerprint and where it lives
+     * (dataSource, meetingId, startTime, driveFolderId, driveLink)
+     */
+    async register(uuid, fingerprint = {}, meta = {}) {
+        const data = {};
+        for (const key of ['dataSource', 'meetingId', 'startTime', 'driveFolderId', 'driveLink']) {
+            if (meta[key] !== undefined && meta[key] !== null && meta[key] !== '') data[key] = meta[key];
+        }
+        if (fingerprint.video) data.video = fingerprint.video;
+        if (fingerprint.transcriptHash) data.transcriptHash = fingerprint.transcriptHash;
+
+        return this._write({ op: 'register', uuid, data });
+    }
+
+    /**
+     * Record that a recording is the same session as an indexed one
+     */
+    async link(uuid, canonicalUuid, matchedOn = []) {
+        return this._write({ op: 'link', uuid, data: { linkedTo: ContentHashIndex.key(canonicalUuid), matchedOn } });
+    }
+
+    /**
+     * The indexed recording (other than uuid itself) with the same video or
+     * transcript, followed through links to the first one indexed
+     * @returns {Promise<{ uuid, matchedOn: string[], entry }|null>}
+     */
+    async findDuplicate(fingerprint = {}, { uuid = null } = {}) {
+        await this._ensureLoaded();
+        const self = uuid ? ContentHashIndex.key(uuid) : null;
+
+        const matches = new Map();
+        for (const [kind, hashKey] of ContentHashIndex.hashKeys(fingerprint)) {
+            const found = this.byHash.get(hashKey);
+            if (!found || found === self) continue;
+            const canonical = this._canonical(found);
+            if (canonical === self) continue;
+            matches.set(canonical, [...(matches.get(canonical) || []), kind]);
+        }
+
+        if (matches.size === 0) return null;
+        // A video match beats a transcript-only match
+        const [canonical, matchedOn] = [...matches].sort(([, a], [, b]) => b.length - a.length)[0];
+        return { uuid: canonical, matchedOn, entry: this._copy(this.entries.get(canonical)) };
+    }
+
+    async get(uuid) {
+        await this._ensureLoaded();
+        const entry = this.entries.get(ContentHashIndex.key(uuid));
+        return entry ? this._copy(entry) : null;
+    }
+
+    /**
+     * Every recording known to be the same session as uuid, including itself
+     */
+    async getLinked(uuid) {
+        await this._ensureLoaded();
+        const canonical = this._canonical(ContentHashIndex.key(uuid));
+        return [...this.entries.keys()].filter(key => this._canonical(key) === canonical);
+    }
+
+    /**
+     * One key per recording whatever UUID spelling it arrives with
+     */
+    static key(uuid) {
+        const parsed = RecordingUuid.tryParse(uuid);
+        return parsed ? parsed.toBase64() : String(uuid);
+    }
+
+    static hashKeys({ video = null, transcriptHash = null } = {}) {
+        const keys = [];
+        if (video?.partialHash) keys.push(['video', `video:${video.size}:${video.partialHash}`]);
+        if (transcriptHash) keys.push(['transcript', `transcript:${transcriptHash}`]);
+        return keys;
+    }
+
+    // ---------------------------------------------------------------------
+    // Internals
+    // ---------------------------------------------------------------------
+
+    async _videoHash(ref) {
+        if (fs.existsSync(ref)) {
+            const { size } = await fsp.stat(ref);
+            const { head, tail } = ContentHashIndex.partialRanges(size);
+            const handle = await fsp.open(ref, 'r');
+            try {
+                const read = async ([start, end]) => {
+                    const buffer = Buffer.alloc(end - start);
+                    await handle.read(buffer, 0, buffer.length, start);
+                    return buffer;
+                };
+                return { size, partialHash: ContentHashIndex.partialHash(size, await read(head), await read(tail)) };
+            } finally {
+                await handle.close();
+            }
+        }
+
+        // Drive imports pass file ids instead of local paths
+        if (!this.googleDriveService) return null;
+        const size = Number((await this.googleDriveService.getFile(ref)).size);
+        if (!size) return null;
+        const { head, tail } = ContentHashIndex.partialRanges(size);
+        const read = async ([start, end]) => (end > start
+            ? this.googleDriveService.downloadRange(ref, start, end - 1)
+            : Buffer.alloc(0));
+        return { size, partialHash: ContentHashIndex.partialHash(size, await read(head), await read(tail)) };
+    }
+
+    _canonical(key) {
+        const seen = new Set();
+        let current = key;
+        while (this.entries.get(current)?.linkedTo && !seen.has(current)) {
+            seen.add(current);
+            current = this.entries.get(current).linkedTo;
+        }
+        return current;
+    }
+
+    async _write(entry) {
+        await this._ensureLoaded();
+        const stored = { ...entry, uuid: ContentHashIndex.key(entry.uuid), at: new Date().toISOString() };
+        const record = this._apply(stored);
+
+        const run = this.writeChain.then(async () => {
+            await fsp.mkdir(this.indexDir, { recursive: true });
+            await fsp.appendFile(this.indexPath, `${JSON.stringify(stored)}\n`);
+        });
+        this.writeChain = run.catch(() => {});
+        await run;
+        return this._copy(record);
+    }
+
+    async _ensureLoaded() {
+        if (this.entries) return;
+
+        this.entries = new Map();
+        let content = '';
+        try {
+            content = await fsp.readFile(this.indexPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this._apply(JSON.parse(line));
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable content index line in ${this.indexPath}`);
+            }
+        }
+    }
+
+    _apply({ op, uuid, at, data = {} }) {
+        const entry = this.entries.get(uuid) || { uuid, createdAt: at };
+        entry.updatedAt = at;
+
+        switch (op) {
+            case 'register':
+                Object.assign(entry, data);
+                break;
+            case 'link':
+                entry.linkedTo = data.linkedTo;
+                entry.matchedOn = data.matchedOn;
+                break;
+            default:
+                throw new Error(`Unknown content index op: ${op}`);
+        }
+
+        this.entries.set(uuid, entry);
+        // The first recording indexed under a hash stays its owner
+        for (const [, hashKey] of ContentHashIndex.hashKeys(entry)) {
+            if (!this.byHash.has(hashKey)) this.byHash.set(hashKey, uuid);
+        }
+        return entry;
+    }
+
+    _copy(entry) {
+        return JSON.parse(JSON.stringify(entry));
+    }
+}
+
+module.exports = { ContentHashIndex, PARTIAL_HASH_BYTES };
@@ -1,4 +1,5 @@
 const path = require('path');
+const { INSIGHT_SECTIONS } = require('../ai/insights');
 
 class DriveOrganizer {
     constructor({ logger, config, googleDriveService, knowledgeBaseService }) {
@@ -352,6 +353,25 @@ class DriveOrganizer {
      * Create primary folder path
      */
     async createPrimaryPath(structure) {
+        const { folders, parentId } = await this.createParentFolders(structure);
+
+        // Create session folder
+        this.logger.info(`📁 Drive: Creating session folder: ${structure.session}`);
+        const sessionFolder = await this.googleDriveService.createFolder(
+            structure.session,
+            parentId
+        );
+        folders.sessionFolder = sessionFolder;
+        this.logger.info(`📁 Drive: Session folder created: ${sessionFolder.id}`);
+
+        return folders;
+    }
+
+    /**
+     * Get or create the program and participant folders of a structure.
+     * Returns them with the id of the folder the session folder belongs in.
+     */
+    async createParentFolders(structure) {
         const folders = {};
 
         // Start with root folder
@@ -382,16 +402,7 @@ class DriveOrganizer {
             this.logger.info(`📁 Drive: Participant folder created: ${participantFolder.id}`);
         }
 
-        // Create session folder
-        this.logger.info(`📁 Drive: Creating session folder: ${structure.session}`);
-        const sessionFolder = await this.googleDriveService.createFolder(
-            structure.session,
-            parentId
-        );
-        folders.sessionFolder = sessionFolder;
-        this.logger.info(`📁 Drive: Session folder created: ${sessionFolder.id}`);
-
-        return folders;
+        return { folders, parentId };
     }
 
     /**
@@ -455,6 +466,7 @@ class DriveOrganizer {
             transcript: 'vtt',
             timeline: 'json',
             chat: 'txt',
+            chatResources: 'chat-resources.json',
             insights: 'md',
             outcomes: 'json',
             summary: 'txt',
@@ -468,7 +480,7 @@ class DriveOrganizer {
         };
 
         const suffix = fileTypeSuffixes[fileType] || 'txt';
-        if (fileType === 'galleryVideo') {
+        if (fileType === 'galleryVideo' || fileType === 'chatResources') {
             return `${folderName}_${suffix}`;
         }
         return `${folderName}.${suffix}`;
@@ -520,7 +532,9 @@ class DriveOrganizer {
         
         // AI Summary
         if (insights.aiSummary?.executiveSummary) {
+            const source = insights.provenance?.['aiSummary.executiveSummary'];
             content += `## Executive Summary\n${insights.aiSummary.executiveSummary}\n\n`;
+            if (source) content += `_Source: ${source}_\n\n`;
         } else if (insights.sessionOverview?.summary) {
             content += `## Executive Summary\n${insights.sessionOverview.summary}\n\n`;
         }
@@ -614,6 +628,66 @@ class DriveOrganizer {
             content += '\n';
         }
 
+        // Measured from transcript timings, not estimated
+        const conversation = insights.conversationMetrics;
+        if (conversation?.speakers?.length > 0) {
+            content += '## Conversation Metrics\n';
+            content += '| Speaker | Role | Talk time | Share | Turns | Longest monologue | Questions | Interruptions |\n';
+            content += '|---|---|---|---|---|---|---|---|\n';
+            conversation.speakers.forEach(speaker => {
+                content += `| ${speaker.speaker} | ${speaker.role || '-'} | ${Math.round(speaker.talkTime)}s | ${Math.round(speaker.talkRatio * 100)}% | ${speaker.turns} | ${Math.round(speaker.longestMonologue)}s | ${speaker.questions} | ${speaker.interruptions} |\n`;
+            });
+            content += `\n- **Turns:** ${conversation.turnCount}\n`;
+            if (conversation.averageResponseLatency !== null) {
+                content += `- **Average Response Time:** ${conversation.averageResponseLatency}s\n`;
+            }
+            content += `- **Overlaps:** ${conversation.overlapCount} (${conversation.interruptionCount} interruptions)\n`;
+            content += `- **Silences over ${conversation.silence.threshold}s:** ${conversation.silence.count}, ${Math.round(conversation.silence.totalSeconds)}s in total\n\n`;
+        }
+
+        // ===== SHARED RESOURCES (from the chat log) =====
+        const shared = insights.chatResources;
+        if (shared && (shared.urls.length > 0 || shared.files.length > 0 || shared.deadlines.length > 0)) {
+            content += '## Shared Resources\n';
+            const sharedBy = item => `${item.from || 'Unknown'}${item.private ? ` to ${item.to}, privately` : ''}${item.time ? `, ${item.time}` : ''}`;
+            if (shared.urls.length > 0) {
+                content += '### Links\n';
+                shared.urls.forEach(link => {
+                    content += `- ${link.url} (${link.kind}; ${sharedBy(link)})\n`;
+                });
+            }
+            if (shared.files.length > 0) {
+                content += '### Files\n';
+                shared.files.forEach(file => {
+                    content += `- ${file.name} (${sharedBy(file)})\n`;
+                });
+            }
+            if (shared.deadlines.length > 0) {
+                content += '### Deadlines\n';
+                shared.deadlines.forEach(deadline => {
+                    content += `- **${deadline.date || deadline.dateText}:** ${deadline.text.replace(/\s+/g, ' ')} (${sharedBy(deadline)})\n`;
+                });
+            }
+            content += '\n';
+        }
+
+        // ===== INSIGHT SOURCES (which fields were generated, taken from Zoom, or defaulted) =====
+        const provenance = insights.provenance;
+        if (provenance) {
+            content += '## Insight Sources\n';
+            content += '| Section | Source | Defaulted fields |\n';
+            content += '|---|---|---|\n';
+            INSIGHT_SECTIONS.filter(section => provenance[section]).forEach(section => {
+                const defaulted = Object.keys(provenance)
+                    .filter(key => key.startsWith(`${section}.`) && provenance[key] === 'default')
+                    .map(key => key.slice(section.length + 1));
+                content += `| ${section.replace(/^ai/, '')} | ${provenance[section]} | ${defaulted.join(', ') || '-'} |\n`;
+            });
+            content += '\n_ai: generated by the model; zoom: from Zoom meeting insights; rule-based: keyword analysis; default: placeholder, nothing usable was found._';
+            content += insights.metadata?.schemaVersion ? ` Schema version ${insights.metadata.schemaVersion}.` : '';
+            content += insights.metadata?.promptVersion ? ` Prompt ${insights.metadata.promptVersion}.\n\n` : '\n\n';
+        }
+
         // ===== TANGIBLE OUTCOMES =====
         if (insights.tangibleOutcomes?.outcomes && insights.tangibleOutcomes.outcomes.length > 0) {
             content += `## Tangible Outcomes\n`;
@@ -926,6 +1000,188 @@ class DriveOrganizer {
         };
         return extensions[type] || 'bin';
     }
+
+    /**
+     * Move a session folder into the archive folder (trashed/deleted recordings).
+     * Returns the parents it was moved out of so it can be restored later.
+     */
+    async archiveSessionFolder(sessionFolderId) {
+        const archiveFolderId = this.config.google?.drive?.archiveFolderId;
+        if (!archiveFolderId) {
+            throw new Error('ARCHIVE_FOLDER_ID is not configured');
+        }
+
+        this.logger.info(`📁 Drive: Archiving session folder ${sessionFolderId} -> ${archiveFolderId}`);
+        const moved = await this.googleDriveService.moveFile(sessionFolderId, archiveFolderId);
+
+        return {
+            folderId: sessionFolderId,
+            archiveFolderId,
+            previousParents: moved.previousParents
+        };
+    }
+
+    /**
+     * Move an archived session folder back to its original parent
+     */
+    async restoreSessionFolder(sessionFolderId, originalParentId) {
+        if (!originalParentId) {
+            throw new Error(`No original parent recorded for session folder ${sessionFolderId}`);
+        }
+
+        this.logger.info(`📁 Drive: Restoring session folder ${sessionFolderId} -> ${originalParentId}`);
+        const moved = await this.googleDriveService.moveFile(sessionFolderId, originalParentId);
+
+        return {
+            folderId: sessionFolderId,
+            restoredTo: originalParentId,
+            previousParents: moved.previousParents
+        };
+    }
+
+    /**
+     * Merge a duplicate session folder into the one being kept: files the kept
+     * folder does not already have (by name) are moved across, then the duplicate
+     * is trashed together with whatever it still holds. The result is everything
+     * unmergeSessionFolders() needs to put it back.
+     */
+    async mergeSessionFolders(keepFolderId, duplicateFolderId) {
+        const keptNames = new Set((await this.googleDriveService.listFolder(keepFolderId)).map(file => file.name));
+        const duplicateFiles = await this.googleDriveService.listFolder(duplicateFolderId);
+
+        this.logger.info(`📁 Drive: Merging session folder ${duplicateFolderId} into ${keepFolderId}`);
+        const moved = [];
+        for (const file of duplicateFiles) {
+            if (keptNames.has(file.name)) continue;
+            const result = await this.googleDriveService.moveFile(file.id, keepFolderId);
+            moved.push({ fileId: file.id, name: file.name, previousParents: result.previousParents });
+        }
+        await this.googleDriveService.trashFile(duplicateFolderId);
+
+        return { keepFolderId, duplicateFolderId, moved };
+    }
+
+    /**
+     * Undo mergeSessionFolders(): restore the duplicate and move its files back
+     */
+    async unmergeSessionFolders({ duplicateFolderId, moved = [] }) {
+        this.logger.info(`📁 Drive: Restoring merged session folder ${duplicateFolderId}`);
+        await this.googleDriveService.untrashFile(duplicateFolderId);
+        for (const file of moved) {
+            await this.googleDriveService.moveFile(file.fileId, file.previousParents?.[0] || duplicateFolderId);
+        }
+        return { folderId: duplicateFolderId, restoredFiles: moved.length };
+    }
+
+    /**
+     * Rename a session folder and the files in it that carry the folder's name
+     * (see generateStandardizedFileName). Returns every previous name so the
+     * rename can be reversed with another call per item.
+     */
+    async renameSessionFolder(folderId, newName) {
+        const folder = await this.googleDriveService.renameFile(folderId, newName);
+        const previousName = folder.previousName;
+        const renamed = [];
+
+        this.logger.info(`📁 Drive: Renaming session folder ${previousName} -> ${newName}`);
+        if (previousName && previousName !== newName) {
+            for (const file of await this.googleDriveService.listFolder(folderId)) {
+                if (!file.name.startsWith(previousName)) continue;
+                const fileName = `${newName}${file.name.slice(previousName.length)}`;
+                await this.googleDriveService.renameFile(file.id, fileName);
+                renamed.push({ fileId: file.id, previousName: file.name, name: fileName });
+            }
+        }
+
+        return { folderId, previousName, name: newName, renamed };
+    }
+
+    /**
+     * Move a session folder to where a folder structure (see
+     * determineFolderStructure) puts it, creating the participant folder if
+     * needed. Returns the previous parents for restoreSessionFolder().
+     */
+    async moveSessionFolder(folderId, structure) {
+        const { parentId } = await this.createParentFolders(structure);
+        const folder = await this.googleDriveService.getFile(folderId);
+        const previousParents = folder.parents || [];
+
+        if (previousParents.length === 1 && previousParents[0] === parentId) {
+            return { folderId, parentId, previousParents, moved: false };
+        }
+
+        this.logger.info(`📁 Drive: Moving session folder ${folder.name} ${previousParents.join(',')} -> ${parentId}`);
+        await this.googleDriveService.moveFile(folderId, parentId);
+        return { folderId, parentId, previousParents, moved: true };
+    }
+
+    /**
+     * Make the coach shortcuts to a session folder (see createCoachShortcut)
+     * match its coach path: a shortcut already in the coach's student folder
+     * is renamed to the session name, shortcuts anywhere else are trashed and
+     * one is created if none is left. Without a coach path every shortcut to
+     * the folder is trashed. The result is what undoShortcutRepair() reverses.
+     */
+    async repairSessionShortcuts(sessionFolderId, coachPath = null) {
+        const result = { sessionFolderId, renamed: [], trashed: [], created: [] };
+
+        let targetParentId = null;
+        if (coachPath) {
+            const coachFolder = await this.googleDriveService.getOrCreateFolder(coachPath.participant, coachPath.root);
+            const studentSubfolder = await this.googleDriveService.getOrCreateFolder(coachPath.subfolder, coachFolder.id);
+            targetParentId = studentSubfolder.id;
+        }
+
+        let kept = null;
+        for (const shortcut of await this.googleDriveService.findShortcutsTo(sessionFolderId)) {
+            if (!kept && targetParentId && (shortcut.parents || []).includes(targetParentId)) {
+                kept = shortcut;
+                if (shortcut.name !== coachPath.session) {
+                    await this.googleDriveService.renameFile(shortcut.id, coachPath.session);
+                    result.renamed.push({ fileId: shortcut.id, previousName: shortcut.name, name: coachPath.session });
+                }
+                continue;
+            }
+            await this.googleDriveService.trashFile(shortcut.id);
+            result.trashed.push(shortcut.id);
+        }
+
+        if (targetParentId && !kept) {
+            const shortcut = await this.createGoogleDriveShortcut(sessionFolderId, targetParentId, coachPath.session);
+            result.created.push(shortcut.id);
+        }
+
+        this.logger.info(`📁 Drive: Shortcuts to ${sessionFolderId}: ${result.renamed.length} renamed, ${result.trashed.length} trashed, ${result.created.length} created`);
+        return result;
+    }
+
+    /**
+     * Reverse repairSessionShortcuts()
+     */
+    async undoShortcutRepair({ renamed = [], trashed = [], created = [] }) {
+        await this.trashItems(created);
+        await this.restoreItems(trashed);
+        for (const shortcut of renamed) {
+            await this.googleDriveService.renameFile(shortcut.fileId, shortcut.previousName);
+        }
+    }
+
+    /**
+     * Trash files, folders or shortcuts (recoverable with restoreItems)
+     */
+    async trashItems(fileIds) {
+        for (const fileId of fileIds) {
+            await this.googleDriveService.trashFile(fileId);
+        }
+        return { trashed: fileIds };
+    }
+
+    async restoreItems(fileIds) {
+        for (const fileId of fileIds) {
+            await this.googleDriveService.untrashFile(fileId);
+        }
+        return { restored: fileIds };
+    }
 }
 
 module.exports = DriveOrganizer;
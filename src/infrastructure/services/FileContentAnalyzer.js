@@ -7,10 +7,12 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { Transcript, formatTimestamp, extractFiles } = require('../../shared/transcript');
 
 class FileContentAnalyzer {
-    constructor({ logger = console } = {}) {
+    constructor({ logger = console, speakerResolver = null } = {}) {
         this.logger = logger;
+        this.speakerResolver = speakerResolver;
         
         // Patterns for content extraction
         this.patterns = {
@@ -177,6 +179,22 @@ class FileContentAnalyzer {
                 this.extractWeekFromUtterance(utterance, result);
             }
             
+            // Speaker labels the knowledge base recognises (alternate names, parents' accounts)
+            if (this.speakerResolver && (result.coach === 'unknown' || result.student === 'Unknown')) {
+                const { speakers } = await this.speakerResolver.resolve(transcriptContent);
+                const known = role => speakers.find(speaker => speaker.role === role && speaker.method !== 'talk-pattern');
+                
+                if (result.coach === 'unknown' && known('coach')) {
+                    result.coach = known('coach').name;
+                    result.confidence.coach = 'speaker-resolution';
+                }
+                
+                if (result.student === 'Unknown' && known('student')) {
+                    result.student = known('student').name;
+                    result.confidence.student = 'speaker-resolution';
+                }
+            }
+            
             // Analyze speaker patterns to identify roles
             if (result.coach === 'unknown' || result.student === 'Unknown') {
                 const roleAnalysis = this.analyzeSpeakerRoles(result.context.speakers);
@@ -204,64 +222,30 @@ class FileContentAnalyzer {
      */
     parseVTTContent(vttContent) {
         const utterances = [];
-        const lines = vttContent.split('\n');
-        
-        let currentTimestamp = null;
-        let i = 0;
         
-        while (i < lines.length) {
-            const line = lines[i].trim();
-            
-            // Skip WEBVTT header and empty lines
-            if (!line || line === 'WEBVTT' || line.startsWith('NOTE')) {
-                i++;
-                continue;
-            }
-            
-            // Timestamp line
-            if (line.includes('-->')) {
-                currentTimestamp = line;
-                i++;
-                continue;
-            }
-            
-            // Text line after timestamp
-            if (currentTimestamp && line) {
-                // Try to extract speaker from formats like "Speaker: text" or "[Speaker] text"
-                let speaker = 'Unknown Speaker';
-                let text = line;
-                
-                const speakerMatch = line.match(/^([^:]+):\s*(.+)$/) || 
-                                   line.match(/^\[([^\]]+)\]\s*(.+)$/);
-                
-                if (speakerMatch) {
-                    speaker = speakerMatch[1].trim();
-                    text = speakerMatch[2].trim();
-                } else {
-                    // Try to infer speaker from previous utterances
-                    if (utterances.length > 0) {
-                        const lastSpeaker = utterances[utterances.length - 1].speaker;
-                        if (lastSpeaker !== 'Unknown Speaker') {
-                            // Simple heuristic: alternate speakers in conversation
-                            const speakers = [...new Set(utterances.map(u => u.speaker))];
-                            if (speakers.length === 2) {
-                                speaker = speakers.find(s => s !== lastSpeaker) || 'Unknown Speaker';
-                            }
-                        }
+        for (const cue of Transcript.parse(vttContent).cues) {
+            let speaker = cue.speaker || 'Unknown Speaker';
+            
+            // Try to infer speaker from previous utterances
+            if (!cue.speaker && utterances.length > 0) {
+                const lastSpeaker = utterances[utterances.length - 1].speaker;
+                if (lastSpeaker !== 'Unknown Speaker') {
+                    // Simple heuristic: alternate speakers in conversation
+                    const speakers = [...new Set(utterances.map(u => u.speaker))];
+                    if (speakers.length === 2) {
+                        speaker = speakers.find(s => s !== lastSpeaker) || 'Unknown Speaker';
                     }
                 }
-                
-                utterances.push({
-                    timestamp: currentTimestamp,
-                    speaker: speaker,
-                    text: text,
-                    originalLine: line
-                });
-                
-                currentTimestamp = null;
             }
             
-            i++;
+            utterances.push({
+                timestamp: Number.isFinite(cue.start)
+                    ? `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end ?? cue.start)}`
+                    : null,
+                speaker: speaker,
+                text: cue.text,
+                originalLine: cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text
+            });
         }
         
         return utterances;
@@ -587,13 +571,17 @@ class FileContentAnalyzer {
                     messages = [messages];
                 }
             } catch (jsonError) {
-                // If JSON parsing fails, treat as plain text
+                // If JSON parsing fails, read it as a Zoom chat export, or failing that plain text
                 this.logger.debug('Chat file is not JSON, treating as plain text');
-                messages = [{
-                    text: chatContent,
-                    content: chatContent,
-                    message: chatContent
-                }];
+                messages = Transcript.parse(chatContent, { format: 'chat' }).cues
+                    .map(cue => ({ text: cue.text, sender: cue.speaker, to: cue.to, files: extractFiles(cue.text) }));
+                if (messages.length === 0) {
+                    messages = [{
+                        text: chatContent,
+                        content: chatContent,
+                        message: chatContent
+                    }];
+                }
             }
             
             // Analyze messages
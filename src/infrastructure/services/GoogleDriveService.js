@@ -286,6 +286,96 @@ class GoogleDriveService {
         }
     }
 
+    /**
+     * List every child of a folder (files, folders and shortcuts), following pagination
+     */
+    async listFolder(folderId) {
+        if (!this.isInitialized) await this.initialize();
+
+        const children = [];
+        let pageToken = null;
+        try {
+            do {
+                const response = await this.drive.files.list({
+                    q: `'${folderId}' in parents and trashed = false`,
+                    fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime, webViewLink, shortcutDetails)',
+                    pageSize: 1000,
+                    pageToken
+                });
+                children.push(...(response.data.files || []));
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+
+            return children;
+        } catch (error) {
+            this.logger.error('Failed to list folder', { folderId, error: error.message });
+            throw new DriveIntegrationError('Failed to list folder contents', error);
+        }
+    }
+
+    /**
+     * Name, parents and link of a single file, folder or shortcut
+     */
+    async getFile(fileId) {
+        if (!this.isInitialized) await this.initialize();
+
+        try {
+            const response = await this.drive.files.get({
+                fileId,
+                fields: 'id, name, mimeType, size, parents, webViewLink, trashed'
+            });
+            return response.data;
+        } catch (error) {
+            this.logger.error('Failed to get file', { fileId, error: error.message });
+            throw new DriveIntegrationError('Failed to get file from Google Drive', error);
+        }
+    }
+
+    /**
+     * Bytes start..end (inclusive) of a file's content, without downloading the rest
+     */
+    async downloadRange(fileId, start, end) {
+        if (!this.isInitialized) await this.initialize();
+
+        try {
+            const response = await this.drive.files.get(
+                { fileId, alt: 'media' },
+                { responseType: 'arraybuffer', headers: { Range: `bytes=${start}-${end}` } }
+            );
+            return Buffer.from(response.data);
+        } catch (error) {
+            this.logger.error('Failed to download file range', { fileId, start, end, error: error.message });
+            throw new DriveIntegrationError('Failed to download file range from Google Drive', error);
+        }
+    }
+
+    /**
+     * Every (untrashed) shortcut that points at a file or folder, wherever it lives
+     */
+    async findShortcutsTo(targetId) {
+        if (!this.isInitialized) await this.initialize();
+
+        const shortcuts = [];
+        let pageToken = null;
+        try {
+            do {
+                const response = await this.drive.files.list({
+                    q: `shortcutDetails.targetId = '${targetId}' and trashed = false`,
+                    fields: 'nextPageToken, files(id, name, parents, shortcutDetails)',
+                    pageSize: 1000,
+                    pageToken
+                });
+                shortcuts.push(...(response.data.files || []));
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+
+            return shortcuts;
+        } catch (error) {
+            this.logger.error('Failed to find shortcuts', { targetId, error: error.message });
+            throw new DriveIntegrationError('Failed to search for shortcuts', error);
+        }
+    }
+
     async getOrCreateFolder(name, parentId = null) {
         let folder = await this.findFolder(name, parentId);
         
@@ -331,6 +421,61 @@ class GoogleDriveService {
         }
     }
 
+    /**
+     * Move a file or folder under a new parent. Returns the previous parents
+     * so the move can be undone.
+     */
+    async moveFile(fileId, newParentId) {
+        if (!this.isInitialized) await this.initialize();
+
+        try {
+            const current = await this.drive.files.get({
+                fileId,
+                fields: 'id, name, parents'
+            });
+            const previousParents = current.data.parents || [];
+
+            const response = await this.drive.files.update({
+                fileId,
+                addParents: newParentId,
+                removeParents: previousParents.join(','),
+                fields: 'id, name, parents, webViewLink'
+            });
+
+            this.logger.info('File moved successfully', { fileId, newParentId, previousParents });
+            return { ...response.data, previousParents };
+        } catch (error) {
+            this.logger.error('Failed to move file', { fileId, newParentId, error: error.message });
+            throw new DriveIntegrationError('Failed to move file in Google Drive', error);
+        }
+    }
+
+    /**
+     * Rename a file or folder. Returns the previous name so the rename can be undone.
+     */
+    async renameFile(fileId, name) {
+        if (!this.isInitialized) await this.initialize();
+
+        try {
+            const current = await this.drive.files.get({
+                fileId,
+                fields: 'id, name'
+            });
+
+            const response = await this.drive.files.update({
+                fileId,
+                requestBody: { name },
+                fields: 'id, name, webViewLink'
+            });
+
+            this.logger.info('File renamed successfully', { fileId, previousName: current.data.name, name });
+            return { ...response.data, previousName: current.data.name };
+        } catch (error) {
+            this.logger.error('Failed to rename file', { fileId, name, error: error.message });
+            throw new DriveIntegrationError('Failed to rename file in Google Drive', error);
+        }
+    }
+
     async deleteFile(fileId) {
         if (!this.isInitialized) await this.initialize();
         
@@ -343,6 +488,37 @@ class GoogleDriveService {
         }
     }
 
+    /**
+     * Move a file, folder or shortcut to the trash (recoverable, unlike deleteFile)
+     */
+    async trashFile(fileId) {
+        return this._setTrashed(fileId, true);
+    }
+
+    /**
+     * Take a file, folder or shortcut back out of the trash
+     */
+    async untrashFile(fileId) {
+        return this._setTrashed(fileId, false);
+    }
+
+    async _setTrashed(fileId, trashed) {
+        if (!this.isInitialized) await this.initialize();
+
+        try {
+            const response = await this.drive.files.update({
+                fileId,
+                requestBody: { trashed },
+                fields: 'id, name, trashed'
+            });
+            this.logger.info(`File ${trashed ? 'trashed' : 'restored from trash'}`, { fileId });
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Failed to ${trashed ? 'trash' : 'untrash'} file`, { fileId, error: error.message });
+            throw new DriveIntegrationError(`Failed to ${trashed ? 'trash' : 'untrash'} file`, error);
+        }
+    }
+
     async _createReadStream(filePath) {
         const fileStream = require('fs').createReadStream(filePath);
         const passThrough = new stream.PassThrough();
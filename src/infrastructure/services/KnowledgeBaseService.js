@@ -12,7 +12,9 @@ class KnowledgeBaseService {
         this.data = {
             students: new Map(),
             coaches: new Map(),
-            programs: new Map()
+            programs: new Map(),
+            families: new Map(),
+            familyRules: {}
         };
         
         this.loaded = false;
@@ -38,13 +40,15 @@ class KnowledgeBaseService {
             await Promise.all([
                 this._loadStudents(),
                 this._loadCoaches(),
-                this._loadPrograms()
+                this._loadPrograms(),
+                this._loadFamilies()
             ]);
             
             this.logger.info('Knowledge base loaded successfully', {
                 students: this.data.students.size,
                 coaches: this.data.coaches.size,
-                programs: this.data.programs.size
+                programs: this.data.programs.size,
+                families: this.data.families.size
             });
             
         } catch (error) {
@@ -146,11 +150,42 @@ class KnowledgeBaseService {
         }
     }
 
+    async _loadFamilies() {
+        const dataPath = this.config?.dataPath || './data';
+        const filePath = path.join(dataPath, 'familyMappings.json');
+        
+        try {
+            const { families = {}, mappingRules = {} } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            
+            Object.entries(families).forEach(([surname, family]) => {
+                this.data.families.set(surname.toLowerCase(), {
+                    surname,
+                    student: family.student,
+                    alternateNames: this._parseList(family.alternateNames),
+                    parentEmails: this._parseList(family.parentEmails).map(email => this._normalizeEmail(email))
+                });
+            });
+            this.data.familyRules = mappingRules;
+            
+        } catch (error) {
+            this.logger.error('Failed to load family mappings', { error });
+            // Continue without family mappings
+        }
+    }
+
     _normalizeStudent(row) {
         return {
             id: row.id || row.student_id,
             name: this._normalizeName(row.name || row.student_name),
+            firstName: this._normalizeName(row.first_name),
+            lastName: this._normalizeName(row.last_name),
+            alternateNames: this._parseList(row.alternate_names),
             email: this._normalizeEmail(row.email || row.student_email),
+            parent: {
+                name: this._normalizeName(row.parent_name),
+                email: this._normalizeEmail(row.parent_email),
+                alternateNames: this._parseList(row.parent_alternate_names)
+            },
             grade: row.grade || row.current_grade,
             school: row.school || row.high_school,
             program: row.program || row.program_name,
@@ -172,6 +207,9 @@ class KnowledgeBaseService {
         return {
             id: row.id || row.coach_id,
             name: this._normalizeName(row.name || row.coach_name),
+            firstName: this._normalizeName(row.first_name),
+            lastName: this._normalizeName(row.last_name),
+            alternateNames: this._parseList(row.alternate_names),
             email: this._normalizeEmail(row.email || row.coach_email),
             expertise: this._parseList(row.expertise || row.specializations),
             style: row.coaching_style || row.style,
@@ -443,6 +481,8 @@ class KnowledgeBaseService {
         this.data.students.clear();
         this.data.coaches.clear();
         this.data.programs.clear();
+        this.data.families.clear();
+        this.data.familyRules = {};
         this.loaded = false;
         this.loadPromise = null;
         
@@ -463,6 +503,7 @@ class KnowledgeBaseService {
             students: this.data.students.size,
             coaches: this.data.coaches.size,
             programs: this.data.programs.size,
+            families: this.data.families.size,
             loaded: this.loaded
         };
     }
@@ -508,6 +549,20 @@ class KnowledgeBaseService {
     getStudents() {
         return Array.from(this.data.students.values());
     }
+
+    /**
+     * Get family mappings (data/familyMappings.json): surname -> { student, alternateNames, parentEmails }
+     */
+    getFamilies() {
+        return Array.from(this.data.families.values());
+    }
+
+    /**
+     * Get family mapping rules (parentKeywords, excludeFromStudentList)
+     */
+    getFamilyRules() {
+        return this.data.familyRules;
+    }
 }
 
 module.exports = KnowledgeBaseService; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * ManualOverrideRegistry
+ *
+ * Corrections for recordings that name, week and category inference gets
+ * wrong, kept in a checked-in file (data/manual-overrides.json) instead of
+ * one-off fix scripts. Entries are keyed by recording UUID (any spelling
+ * RecordingUuid understands) or by Zoom meeting ID, which covers every
+ * occurrence of a recurring meeting. A UUID entry wins over a meeting entry.
+ *
+ *   {
+ *     "recordings": { "<uuid>": { "coach": "Katie", "student": "Iqra", "week": 3, "note": "..." } },
+ *     "meetings": { "<meeting id>": { "sessionType": "MISC" } }
+ *   }
+ *
+ * Every field is optional; only the ones given replace the inferred value.
+ * CompleteSmartNameStandardizer, SmartWeekInferencer and RecordingCategorizer
+ * consult the registry first and mark what they took from it with
+ * source: 'manual-override'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RecordingUuid } = require('../../core/value-objects');
+const { ValidationError } = require('../../shared/errors');
+
+const OVERRIDE_SOURCE = 'manual-override';
+
+const OVERRIDE_FIELDS = ['coach', 'student', 'week', 'sessionType', 'date', 'note'];
+
+// Session types as CompleteSmartNameStandardizer names them
+const OVERRIDE_SESSION_TYPES = ['Coaching', 'GamePlan', 'SAT', 'MISC', 'TRIVIAL', 'NO_SHOW'];
+
+const DEFAULT_OVERRIDES_FILE = path.join(__dirname, '../../../data/manual-overrides.json');
+
+let defaultRegistry = null;
+
+class ManualOverrideRegistry {
+    constructor({ logger, filePath = process.env.MANUAL_OVERRIDES_FILE || DEFAULT_OVERRIDES_FILE } = {}) {
+        this.logger = logger || console;
+        this.filePath = filePath;
+        this.recordings = null;
+        this.meetings = null;
+    }
+
+    /**
+     * Shared instance for services that are constructed without one, so every
+     * consumer in the process sees the same entries
+     */
+    static getDefault() {
+        if (!defaultRegistry) defaultRegistry = new ManualOverrideRegistry();
+        return defaultRegistry;
+    }
+
+    /**
+     * Override for a recording, or null. The result carries the matched key,
+     * keyType ('uuid' or 'meetingId') and source: 'manual-override'.
+     */
+    find({ uuid, meetingId } = {}) {
+        this._load();
+
+        const uuidKey = ManualOverrideRegistry.uuidKey(uuid);
+        if (uuidKey && this.recordings.has(uuidKey)) {
+            return { ...this.recordings.get(uuidKey), key: uuidKey, keyType: 'uuid', source: OVERRIDE_SOURCE };
+        }
+
+        const meetingKey = ManualOverrideRegistry.meetingKey(meetingId);
+        if (meetingKey && this.meetings.has(meetingKey)) {
+            return { ...this.meetings.get(meetingKey), key: meetingKey, keyType: 'meetingId', source: OVERRIDE_SOURCE };
+        }
+
+        return null;
+    }
+
+    /**
+     * All entries, UUID entries first
+     */
+    list() {
+        this._load();
+        return [
+            ...[...this.recordings].map(([key, entry]) => ({ keyType: 'uuid', key, ...entry })),
+            ...[...this.meetings].map(([key, entry]) => ({ keyType: 'meetingId', key, ...entry }))
+        ];
+    }
+
+    /**
+     * Add or update the override for a UUID or, when no UUID is given, a
+     * meeting ID. Fields are merged into an existing entry; a null field
+     * removes it. Call save() to write the file.
+     */
+    set({ uuid, meetingId } = {}, fields = {}) {
+        this._load();
+
+        const unknown = Object.keys(fields).filter(field => !OVERRIDE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown override field(s): ${unknown.join(', ')}`, { allowed: OVERRIDE_FIELDS });
+        }
+
+        const { map, key } = this._target({ uuid, meetingId });
+        const entry = { ...map.get(key), ...fields };
+        for (const field of Object.keys(entry)) {
+            if (entry[field] === null || entry[field] === undefined || entry[field] === '') delete entry[field];
+        }
+        ManualOverrideRegistry.validate(entry);
+
+        map.set(key, entry);
+        this.logger.info(`✏️ Manual override for ${key}: ${JSON.stringify(entry)}`);
+        return { ...entry, key, keyType: map === this.recordings ? 'uuid' : 'meetingId', source: OVERRIDE_SOURCE };
+    }
+
+    /**
+     * Drop an override. Returns whether one existed.
+     */
+    remove({ uuid, meetingId } = {}) {
+        this._load();
+        const { map, key } = this._target({ uuid, meetingId });
+        return map.delete(key);
+    }
+
+    async save() {
+        this._load();
+        const sorted = map => Object.fromEntries([...map].sort(([a], [b]) => a.localeCompare(b)));
+        const content = { recordings: sorted(this.recordings), meetings: sorted(this.meetings) };
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.filePath, `${JSON.stringify(content, null, 2)}\n`);
+        return this.filePath;
+    }
+
+    /**
+     * Forget what was read so the next lookup reads the file again
+     */
+    reload() {
+        this.recordings = null;
+        this.meetings = null;
+    }
+
+    /**
+     * Throws ValidationError when an entry cannot be applied to a name
+     */
+    static validate(entry) {
+        if (entry.week !== undefined && !(Number.isInteger(entry.week) && entry.week >= 1)) {
+            throw new ValidationError(`Override week must be a whole number from 1, got: ${entry.week}`);
+        }
+        if (entry.sessionType !== undefined && !OVERRIDE_SESSION_TYPES.includes(entry.sessionType)) {
+            throw new ValidationError(`Override sessionType must be one of ${OVERRIDE_SESSION_TYPES.join(', ')}, got: ${entry.sessionType}`);
+        }
+        if (entry.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) {
+            throw new ValidationError(`Override date must be YYYY-MM-DD, got: ${entry.date}`);
+        }
+        for (const field of ['coach', 'student']) {
+            if (entry[field] !== undefined && !/^[A-Za-z][A-Za-z-]*$/.test(entry[field])) {
+                throw new ValidationError(`Override ${field} must be a single name, got: ${entry[field]}`);
+            }
+        }
+    }
+
+    /**
+     * Base64 for real Zoom UUIDs so every spelling finds the same entry;
+     * other ids (Drive imports) are kept as they are
+     */
+    static uuidKey(uuid) {
+        const parsed = RecordingUuid.tryParse(uuid);
+        if (parsed) return parsed.toBase64();
+        const key = uuid === null || uuid === undefined ? '' : String(uuid).trim();
+        return key || null;
+    }
+
+    static meetingKey(meetingId) {
+        if (meetingId === null || meetingId === undefined) return null;
+        const key = String(meetingId).replace(/\s+/g, '');
+        return key || null;
+    }
+
+    _target({ uuid, meetingId }) {
+        const uuidKey = ManualOverrideRegistry.uuidKey(uuid);
+        if (uuidKey) return { map: this.recordings, key: uuidKey };
+
+        const meetingKey = ManualOverrideRegistry.meetingKey(meetingId);
+        if (meetingKey) return { map: this.meetings, key: meetingKey };
+
+        throw new ValidationError('A manual override needs a recording UUID or a meeting ID');
+    }
+
+    _load() {
+        if (this.recordings) return;
+
+        let content = {};
+        try {
+            content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`❌ Could not read manual overrides from ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        this.recordings = new Map();
+        this.meetings = new Map();
+        for (const [uuid, entry] of Object.entries(content.recordings || {})) {
+            this.recordings.set(ManualOverrideRegistry.uuidKey(uuid) || uuid, entry);
+        }
+        for (const [meetingId, entry] of Object.entries(content.meetings || {})) {
+            this.meetings.set(ManualOverrideRegistry.meetingKey(meetingId) || meetingId, entry);
+        }
+    }
+}
+
+module.exports = { ManualOverrideRegistry, OVERRIDE_SOURCE, OVERRIDE_FIELDS, OVERRIDE_SESSION_TYPES };
@@ -10,6 +10,24 @@ const {
     ValidationError, 
     RateLimitError 
 } = require('../../shared/errors/index.js');
+const { RecordingUuid, StandardizedName } = require('../../core/value-objects');
+const { summarizeProvenance } = require('../ai/insights');
+
+// Standardized-tab columns filled from conversationMetrics (src/shared/transcript/metrics.js), in sheet order
+const CONVERSATION_COLUMNS = [
+    'coachTalkRatio', 'studentTalkRatio', 'turnCount', 'longestMonologue',
+    'interruptionCount', 'overlapCount', 'coachQuestions', 'studentQuestions',
+    'avgResponseLatency', 'silenceGapCount', 'silenceSeconds'
+];
+
+// Standardized-tab columns showing where the insights came from (src/infrastructure/ai/insights/provenance.js)
+const PROVENANCE_COLUMNS = ['summarySource', 'actionItemsSource', 'insightSources'];
+
+// Standardized-tab column with the LLM spend for the recording (LLMUsageLedger totals)
+const AI_USAGE_COLUMNS = ['aiCostUsd'];
+
+// Standardized-tab column with the prompt template that produced the AI insights (PromptRegistry id)
+const PROMPT_COLUMNS = ['promptVersion'];
 
 /**
  * Enhanced Google Sheets Service that uses separate tab pairs for each data source:
@@ -18,7 +36,7 @@ const {
  * - Google Drive Import: Raw & Standardized tabs
  */
 class MultiTabGoogleSheetsService {
-    constructor({ config, eventBus, logger, cache, metricsCollector, nameStandardizer, weekInferencer, metadataExtractor, transcriptionAnalyzer }) {
+    constructor({ config, eventBus, logger, cache, metricsCollector, nameStandardizer, weekInferencer, metadataExtractor, transcriptionAnalyzer, recordingStateStore = null }) {
         this.config = config;
         this.eventBus = eventBus || new EventBus();
         this.logger = logger || new Logger('MultiTabGoogleSheetsService');
@@ -31,6 +49,9 @@ class MultiTabGoogleSheetsService {
         this.metadataExtractor = metadataExtractor;
         this.transcriptionAnalyzer = transcriptionAnalyzer;
         
+        // Local recording state, consulted before scanning the sheet
+        this.recordingStateStore = recordingStateStore;
+        
         // Google API clients
         this.auth = null;
         this.sheets = null;
@@ -39,7 +60,7 @@ class MultiTabGoogleSheetsService {
         // Spreadsheet configuration
         this.spreadsheetId = config.google.sheets.masterIndexSheetId;
         
-        // Define all 6 tabs (3 pairs for 3 data sources)
+        // Define all source tabs (one Raw/Standardized pair per data source)
         this.tabs = {
             // Legacy tabs (for backward compatibility)
             raw: {
@@ -95,6 +116,20 @@ class MultiTabGoogleSheetsService {
                 gid: null, // Will be created
                 columns: this._defineStandardizedColumns(),
                 dataSource: 'google-drive'
+            },
+            
+            // Local folder import tabs (offline ingestion)
+            localRaw: {
+                name: 'Local Import - Raw',
+                gid: null, // Will be created
+                columns: this._defineRawColumns(),
+                dataSource: 'local-folder'
+            },
+            localStandardized: {
+                name: 'Local Import - Standardized',
+                gid: null, // Will be created
+                columns: this._defineStandardizedColumns(),
+                dataSource: 'local-folder'
             }
         };
         
@@ -104,6 +139,7 @@ class MultiTabGoogleSheetsService {
             'webhook': { raw: 'webhookRaw', standardized: 'webhookStandardized' },
             'google-drive': { raw: 'driveRaw', standardized: 'driveStandardized' },
             'Google Drive Import': { raw: 'driveRaw', standardized: 'driveStandardized' },
+            'local-folder': { raw: 'localRaw', standardized: 'localStandardized' },
             // Legacy mapping for backward compatibility
             'batch': { raw: 'raw', standardized: 'standardized' },
             'unknown': { raw: 'raw', standardized: 'standardized' }
@@ -126,7 +162,7 @@ class MultiTabGoogleSheetsService {
             await this._setupAuth();
             await this._ensureAllTabsExist();
             this.isInitialized = true;
-            this.logger.info('MultiTabGoogleSheetsService initialized with 6 tabs');
+            this.logger.info(`MultiTabGoogleSheetsService initialized with ${Object.keys(this.tabs).length} tabs`);
         } catch (error) {
             this.logger.error('Failed to initialize MultiTabGoogleSheetsService', error);
             throw error;
@@ -303,6 +339,9 @@ class MultiTabGoogleSheetsService {
             recordingData.dataSource === 'Google Drive Import') {
             return 'google-drive';
         }
+        if (source === 'local-folder' || recordingData.dataSource === 'local-folder') {
+            return 'local-folder';
+        }
         if (source === 'zoom-api' || source === 'batch') {
             return 'zoom-api';
         }
@@ -373,6 +412,40 @@ class MultiTabGoogleSheetsService {
         return stats;
     }
     
+    /**
+     * Every row of every tab (legacy, raw and standardized), tagged with the tab
+     * and row number it came from. Tabs that cannot be read are skipped with a warning.
+     */
+    async getAllTabRecords() {
+        await this.ensureInitialized();
+        const records = [];
+        
+        for (const [tabKey, tab] of Object.entries(this.tabs)) {
+            try {
+                const response = await this.sheets.spreadsheets.values.get({
+                    spreadsheetId: this.spreadsheetId,
+                    range: `'${tab.name}'!A2:BZ`
+                });
+                
+                (response.data.values || []).forEach((row, index) => {
+                    if (!row.some(cell => cell !== '')) return;
+                    records.push({
+                        tabKey,
+                        tabName: tab.name,
+                        kind: tab.columns.standardizedName ? 'standardized' : 'raw',
+                        dataSource: tab.dataSource,
+                        row: index + 2,
+                        record: this._rowToRecordingObject(row, tab.columns)
+                    });
+                });
+            } catch (error) {
+                this.logger.warn(`Failed to read tab: ${tab.name}`, error);
+            }
+        }
+        
+        return records;
+    }
+    
     // Copy all methods from DualTabGoogleSheetsService
     // (I'll include the key methods here, the rest remain the same)
     
@@ -474,7 +547,35 @@ class MultiTabGoogleSheetsService {
             processingVersion: 'AV',
             dataSource: 'AW',
             lastUpdated: 'AX',
-            driveLink: 'AY'
+            driveLink: 'AY',
+            
+            // AZ-BA: Zoom lifecycle (trashed / deleted / recovered)
+            recordingStatus: 'AZ',
+            statusUpdatedAt: 'BA',
+            
+            // BB-BL: Conversation metrics measured from transcript timings
+            coachTalkRatio: 'BB',
+            studentTalkRatio: 'BC',
+            turnCount: 'BD',
+            longestMonologue: 'BE',
+            interruptionCount: 'BF',
+            overlapCount: 'BG',
+            coachQuestions: 'BH',
+            studentQuestions: 'BI',
+            avgResponseLatency: 'BJ',
+            silenceGapCount: 'BK',
+            silenceSeconds: 'BL',
+            
+            // BM-BO: Insight provenance (ai / zoom / rule-based / default)
+            summarySource: 'BM',
+            actionItemsSource: 'BN',
+            insightSources: 'BO',
+            
+            // BP: LLM cost in USD of the calls made for this recording
+            aiCostUsd: 'BP',
+            
+            // BQ: Prompt version of the AI insights (e.g. insights@1.0.0)
+            promptVersion: 'BQ'
         };
     }
     
@@ -664,7 +765,8 @@ class MultiTabGoogleSheetsService {
             });
             
             const values = response.data.values || [];
-            const rowIndex = values.findIndex(row => row[0] === uuid);
+            const target = RecordingUuid.parse(uuid);
+            const rowIndex = values.findIndex(row => target.equals(row[0]));
             
             return rowIndex > 0 ? rowIndex + 1 : null;
         } catch (error) {
@@ -705,7 +807,12 @@ class MultiTabGoogleSheetsService {
                 'keyThemes', 'actionItems', 'challengesIdentified', 'breakthroughs',
                 'goalsSet', 'progressTracked', 'nextSteps', 'followUpRequired',
                 'driveFolder', 'driveFolderId', 'videoFileId', 'transcriptFileId',
-                'processedDate', 'processingVersion', 'dataSource', 'lastUpdated', 'driveLink'
+                'processedDate', 'processingVersion', 'dataSource', 'lastUpdated', 'driveLink',
+                'recordingStatus', 'statusUpdatedAt',
+                ...CONVERSATION_COLUMNS,
+                ...PROVENANCE_COLUMNS,
+                ...AI_USAGE_COLUMNS,
+                ...PROMPT_COLUMNS
             );
         }
         
@@ -764,15 +871,17 @@ class MultiTabGoogleSheetsService {
         };
         
         // Extract components from standardized name or name analysis
-        const nameParts = standardizedNameWithSuffix.split('_');
-        const coachName = nameAnalysis.components?.coach || (nameParts.length > 2 ? nameParts[2] : '');
-        const studentName = nameAnalysis.components?.student || (nameParts.length > 3 ? nameParts[3] : '');
+        const parsedName = StandardizedName.tryParse(standardizedNameWithSuffix)?.name;
+        const coachName = nameAnalysis.components?.coach || parsedName?.coach || '';
+        const studentName = nameAnalysis.components?.student || parsedName?.student || '';
         
         // Extract insights and analysis
         const aiInsights = processedData.aiInsights || processedData.insights || {};
         const transcriptAnalysis = processedData.transcriptAnalysis || {};
         const outcomes = processedData.outcomes || [];
         const enhancedMetadata = processedData.enhancedMetadata || {};
+        const conversation = processedData.conversationMetrics || aiInsights.conversationMetrics || null;
+        const provenance = processedData.insightsProvenance || aiInsights.provenance || null;
         
         // Calculate file size
         const fileManagement = {
@@ -868,7 +977,21 @@ class MultiTabGoogleSheetsService {
             processedDate: new Date().toISOString(),
             processingVersion: '2.0-smart',
             dataSource: source,
-            lastUpdated: new Date().toISOString()
+            lastUpdated: new Date().toISOString(),
+            recordingStatus: processedData.recordingStatus || 'active',
+            statusUpdatedAt: processedData.statusUpdatedAt || '',
+            
+            // Conversation metrics (blank when there was no transcript)
+            ...this._conversationColumns(conversation),
+            
+            // Insight provenance (blank for rows written before it was recorded)
+            ...this._provenanceColumns(provenance),
+            
+            // LLM spend (blank when usage was not tracked, 0 when no model was called)
+            aiCostUsd: processedData.aiUsage ? processedData.aiUsage.cost : '',
+            
+            // Prompt version (blank for rule-based insights and rows written before it was recorded)
+            promptVersion: processedData.insightsPromptVersion || aiInsights.metadata?.promptVersion || ''
         };
     }
     
@@ -927,17 +1050,64 @@ class MultiTabGoogleSheetsService {
             smartData.processingVersion,
             smartData.dataSource,
             smartData.lastUpdated,
-            smartData.driveLink
+            smartData.driveLink,
+            smartData.recordingStatus || 'active',
+            smartData.statusUpdatedAt || '',
+            ...CONVERSATION_COLUMNS.map(column => smartData[column] ?? ''),
+            ...PROVENANCE_COLUMNS.map(column => smartData[column] ?? ''),
+            ...AI_USAGE_COLUMNS.map(column => smartData[column] ?? ''),
+            ...PROMPT_COLUMNS.map(column => smartData[column] ?? '')
         ];
     }
     
+    /**
+     * Sheet values for the conversation metrics columns (times in seconds)
+     */
+    _conversationColumns(metrics) {
+        if (!metrics) {
+            return Object.fromEntries(CONVERSATION_COLUMNS.map(column => [column, '']));
+        }
+        
+        const { coach, student } = metrics.roles || {};
+        return {
+            coachTalkRatio: coach ? coach.talkRatio : '',
+            studentTalkRatio: student ? student.talkRatio : '',
+            turnCount: metrics.turnCount,
+            longestMonologue: Math.max(0, ...metrics.speakers.map(speaker => speaker.longestMonologue)),
+            interruptionCount: metrics.interruptionCount,
+            overlapCount: metrics.overlapCount,
+            coachQuestions: coach ? coach.questions : '',
+            studentQuestions: student ? student.questions : '',
+            avgResponseLatency: metrics.averageResponseLatency ?? '',
+            silenceGapCount: metrics.silence.count,
+            silenceSeconds: metrics.silence.totalSeconds
+        };
+    }
+    
+    /**
+     * Sheet values for the provenance columns: the source of the summary and
+     * the action items, and field counts per source ("ai: 30, zoom: 4, default: 12")
+     */
+    _provenanceColumns(provenance) {
+        if (!provenance) {
+            return Object.fromEntries(PROVENANCE_COLUMNS.map(column => [column, '']));
+        }
+        
+        const counts = Object.entries(summarizeProvenance(provenance)).filter(([, count]) => count > 0);
+        return {
+            summarySource: provenance['aiSummary.executiveSummary'] || '',
+            actionItemsSource: provenance.aiActionItems || '',
+            insightSources: counts.map(([source, count]) => `${source}: ${count}`).join(', ')
+        };
+    }
+    
     /**
      * Convert row to recording object
      */
     _rowToRecordingObject(row, columns) {
         const obj = {};
         Object.entries(columns).forEach(([key, col]) => {
-            const colIndex = col.charCodeAt(0) - 65;
+            const colIndex = this._columnIndex(col);
             if (row[colIndex] !== undefined) {
                 obj[key] = row[colIndex];
             }
@@ -945,6 +1115,13 @@ class MultiTabGoogleSheetsService {
         return obj;
     }
     
+    /**
+     * Zero-based index of a column letter ("A" -> 0, "AQ" -> 42)
+     */
+    _columnIndex(column) {
+        return column.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+    
     /**
      * Extract host name from email
      */
@@ -1014,26 +1191,7 @@ class MultiTabGoogleSheetsService {
     
     _convertUuidToBase64(uuid) {
         if (!uuid) return '';
-        
-        if (uuid.includes('==') || /[A-Za-z0-9+/]=$/.test(uuid)) {
-            return uuid;
-        }
-        
-        const cleanUuid = uuid.replace(/-/g, '');
-        const isHexUuid = /^[0-9a-fA-F]{32}$/.test(cleanUuid);
-        
-        if (!isHexUuid) {
-            return uuid;
-        }
-        
-        try {
-            const buffer = Buffer.from(cleanUuid, 'hex');
-            const base64 = buffer.toString('base64');
-            return base64;
-        } catch (error) {
-            this.logger.warn(`Failed to convert UUID to Base64: ${uuid}`, error);
-            return uuid;
-        }
+        return RecordingUuid.parse(uuid).toBase64();
     }
     
     /**
@@ -1050,7 +1208,7 @@ class MultiTabGoogleSheetsService {
         // Return recordings from all sources combined
         const allRecordings = [];
         
-        for (const source of ['zoom-api', 'webhook', 'google-drive']) {
+        for (const source of ['zoom-api', 'webhook', 'google-drive', 'local-folder']) {
             try {
                 const recordings = await this.getRecordingsBySource(source);
                 allRecordings.push(...recordings);
@@ -1066,8 +1224,13 @@ class MultiTabGoogleSheetsService {
      * Check if a recording exists by UUID and return details if found
      */
     async checkRecordingExists(uuid) {
+        const stored = await this._checkRecordingStateStore(uuid);
+        if (stored) return stored;
+        
         await this.ensureInitialized();
-        const cacheKey = `recording:${uuid}`;
+        // Rows may hold the base64, hex or dashed spelling of the same UUID
+        const target = RecordingUuid.parse(uuid);
+        const cacheKey = `recording:${target.toBase64()}`;
         
         // Check cache first
         const cached = await this.cache.get(cacheKey);
@@ -1080,7 +1243,7 @@ class MultiTabGoogleSheetsService {
         
         try {
             // Check across all standardized tabs
-            const allSources = ['zoom-api', 'webhook', 'google-drive'];
+            const allSources = ['zoom-api', 'webhook', 'google-drive', 'local-folder'];
             
             for (const source of allSources) {
                 const tabPair = this.dataSourceTabMap[source];
@@ -1099,7 +1262,7 @@ class MultiTabGoogleSheetsService {
                 // Skip header row, search for UUID in column A
                 for (let i = 1; i < values.length; i++) {
                     const row = values[i];
-                    if (row[0] === uuid) { // UUID is in column A
+                    if (target.equals(row[0])) { // UUID is in column A
                         // Reconstruct recording data from row using standardized columns
                         const recording = {
                             uuid: row[0] || '',
@@ -1141,6 +1304,7 @@ class MultiTabGoogleSheetsService {
                         
                         // Cache the result
                         await this.cache.set(cacheKey, recording, 86400); // 24 hours
+                        await this._backfillRecordingStateStore(recording, standardizedTab.name, i + 1);
                         
                         return {
                             exists: true,
@@ -1167,6 +1331,77 @@ class MultiTabGoogleSheetsService {
         }
     }
     
+    /**
+     * Answer checkRecordingExists from the local state store when it already
+     * knows the recording was written to this spreadsheet
+     */
+    async _checkRecordingStateStore(uuid) {
+        if (!this.recordingStateStore) return null;
+        
+        try {
+            const record = await this.recordingStateStore.findProcessed(RecordingUuid.parse(uuid).variants());
+            if (!record || !record.sheet) return null;
+            if (record.sheet.spreadsheetId && record.sheet.spreadsheetId !== this.spreadsheetId) return null;
+            
+            return {
+                exists: true,
+                recording: {
+                    uuid: record.uuid,
+                    standardizedName: record.standardizedName || '',
+                    weekNumber: record.weekNumber || '',
+                    meetingTopic: record.topic || '',
+                    meetingId: record.meetingId || '',
+                    hostEmail: record.hostEmail || '',
+                    duration: record.duration || '',
+                    startTime: record.startTime || '',
+                    driveFolderId: record.drive?.folderId || '',
+                    driveLink: record.drive?.folderLink || '',
+                    processedDate: record.processedAt || '',
+                    dataSource: record.dataSource || ''
+                },
+                source: record.dataSource,
+                fromStateStore: true
+            };
+        } catch (error) {
+            this.logger.warn(`Recording state store lookup failed for ${uuid}: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Record a row found in the sheet so the next lookup stays local
+     */
+    async _backfillRecordingStateStore(recording, tabName, row) {
+        if (!this.recordingStateStore || !recording.uuid) return;
+        
+        try {
+            await this.recordingStateStore.upsertRecording(recording.uuid, {
+                meetingId: recording.meetingId || undefined,
+                topic: recording.meetingTopic || undefined,
+                startTime: recording.startTime || undefined,
+                standardizedName: recording.standardizedName || undefined,
+                weekNumber: recording.weekNumber || undefined,
+                dataSource: recording.dataSource || undefined,
+                status: 'processed',
+                processedAt: recording.processedDate || new Date().toISOString()
+            });
+            await this.recordingStateStore.recordSheetReference(recording.uuid, {
+                spreadsheetId: this.spreadsheetId,
+                tab: tabName,
+                row,
+                action: 'found'
+            });
+            if (recording.driveFolderId) {
+                await this.recordingStateStore.recordDriveReference(recording.uuid, {
+                    folderId: recording.driveFolderId,
+                    folderLink: recording.driveLink || null
+                });
+            }
+        } catch (error) {
+            this.logger.warn(`Could not backfill recording state for ${recording.uuid}: ${error.message}`);
+        }
+    }
+    
     /**
      * Update master spreadsheet (legacy method for compatibility)
      * This method determines the data source and routes to appropriate tabs
@@ -1193,6 +1428,8 @@ class MultiTabGoogleSheetsService {
                     dataSource = 'webhook';
                 } else if (original.dataSource === 'google-drive') {
                     dataSource = 'google-drive';
+                } else if (original.dataSource === 'local-folder') {
+                    dataSource = 'local-folder';
                 } else {
                     // Default to zoom-api for batch processing
                     dataSource = 'zoom-api';
@@ -1238,6 +1475,42 @@ class MultiTabGoogleSheetsService {
         }
     }
     
+    /**
+     * Delete a recording's rows from the raw and standardized tabs of its data source
+     * @returns {Promise<Array<{tab: string, row: number}>>} the rows that were removed
+     */
+    async removeRecording(uuid, dataSource) {
+        await this.ensureInitialized();
+        const normalizedSource = this._normalizeDataSource(dataSource, {});
+        const tabPair = this.dataSourceTabMap[normalizedSource] || this.dataSourceTabMap['unknown'];
+        const removed = [];
+        
+        for (const tabKey of [tabPair.raw, tabPair.standardized]) {
+            const row = await this._findExistingRecording(uuid, tabKey);
+            if (!row) continue;
+            
+            await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                requestBody: {
+                    requests: [{
+                        deleteDimension: {
+                            range: {
+                                sheetId: this.tabs[tabKey].gid,
+                                dimension: 'ROWS',
+                                startIndex: row - 1,
+                                endIndex: row
+                            }
+                        }
+                    }]
+                }
+            });
+            removed.push({ tab: this.tabs[tabKey].name, row });
+        }
+        
+        this.logger.info(`Removed recording ${uuid} from ${removed.length} row(s) in ${normalizedSource} tabs`);
+        return removed;
+    }
+    
     /**
      * Find a recording by UUID across all standardized tabs
      * @param {string} uuid - The recording UUID
@@ -1248,7 +1521,7 @@ class MultiTabGoogleSheetsService {
             await this.ensureInitialized();
             
             // Check all standardized tabs
-            const standardizedTabs = ['webhookStandardized', 'zoomStandardized', 'driveStandardized'];
+            const standardizedTabs = ['webhookStandardized', 'zoomStandardized', 'driveStandardized', 'localStandardized'];
             
             for (const tabKey of standardizedTabs) {
                 const tab = this.tabs[tabKey];
@@ -1298,10 +1571,11 @@ class MultiTabGoogleSheetsService {
     }
     
     /**
-     * Update a recording by UUID in the appropriate standardized tab
+     * Update a recording by UUID in the appropriate standardized tab. Keys
+     * without a header in the tab are skipped; Sheets API errors are thrown.
      * @param {string} uuid - The recording UUID
      * @param {Object} updateData - Data to update
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} false when the recording is not found or no key matched a column
      */
     async updateRecordingByUUID(uuid, updateData) {
         try {
@@ -1335,13 +1609,24 @@ class MultiTabGoogleSheetsService {
             
             // Update the row data with new values
             const updatedRow = [...currentRow];
+            const unmatched = [];
             Object.keys(updateData).forEach(key => {
                 const colIndex = headers.indexOf(key);
                 if (colIndex !== -1) {
                     updatedRow[colIndex] = updateData[key];
+                } else {
+                    unmatched.push(key);
                 }
             });
             
+            if (unmatched.length === Object.keys(updateData).length) {
+                this.logger.warn(`No column in ${tabName} matches the update for ${uuid} (${unmatched.join(', ')})`);
+                return false;
+            }
+            if (unmatched.length > 0) {
+                this.logger.warn(`Skipping fields without a column in ${tabName} for ${uuid}: ${unmatched.join(', ')}`);
+            }
+            
             // Update the sheet
             await this.sheets.spreadsheets.values.update({
                 spreadsheetId: this.spreadsheetId,
@@ -1357,7 +1642,7 @@ class MultiTabGoogleSheetsService {
             
         } catch (error) {
             this.logger.error('Error updating recording by UUID:', error);
-            return false;
+            throw error;
         }
     }
     
@@ -1375,7 +1660,7 @@ class MultiTabGoogleSheetsService {
             cutoffDate.setDate(cutoffDate.getDate() - days);
             
             // Check all standardized tabs
-            const standardizedTabs = ['webhookStandardized', 'zoomStandardized', 'driveStandardized'];
+            const standardizedTabs = ['webhookStandardized', 'zoomStandardized', 'driveStandardized', 'localStandardized'];
             
             for (const tabKey of standardizedTabs) {
                 const tab = this.tabs[tabKey];
@@ -1,6 +1,20 @@
+const fs = require('fs');
 const OpenAI = require('openai');
 const { AIServiceError } = require('../../shared/errors');
-
+const { LLMGateway } = require('../ai/llm');
+const { PromptRegistry } = require('../ai/prompts/PromptRegistry');
+
+// Whisper is billed per minute of audio rather than per token
+const WHISPER_MODEL = 'whisper-1';
+const WHISPER_USD_PER_MINUTE = 0.006;
+
+/**
+ * Transcription, insights, summaries and action items for TranscriptionAnalyzer.
+ * Text calls go through the LLM gateway (any configured provider, including
+ * the offline mock) with prompts from the PromptRegistry; transcription uses
+ * OpenAI Whisper directly, so it needs an OpenAI key whatever the providers
+ * are, and is recorded in the gateway's usage ledger itself.
+ */
 class OpenAIService {
     constructor(dependencies = {}) {
         // Handle both destructured and config object patterns
@@ -8,13 +22,11 @@ class OpenAIService {
             // If config object is passed
             this.config = dependencies.config.openai || dependencies.config;
             this.apiKey = this.config.apiKey;
-            this.model = this.config.model || 'gpt-4-turbo-preview';
             this.maxTokens = this.config.maxTokens || 4000;
             this.temperature = this.config.temperature || 0.7;
         } else {
             // If individual properties are passed
             this.apiKey = dependencies.apiKey;
-            this.model = dependencies.model || 'gpt-4-turbo-preview';
             this.maxTokens = dependencies.maxTokens || 4000;
             this.temperature = dependencies.temperature || 0.7;
         }
@@ -25,55 +37,53 @@ class OpenAIService {
             increment: () => {}, 
             histogram: () => {} 
         };
+        this.llmGateway = dependencies.llmGateway || new LLMGateway({
+            logger: this.logger,
+            config: dependencies.config || { openai: { apiKey: this.apiKey } }
+        });
+        this.promptRegistry = dependencies.promptRegistry || new PromptRegistry({ versions: dependencies.config?.ai?.promptVersions });
         
         this.openai = null;
         this.isInitialized = false;
     }
 
     async initialize() {
-        try {
-            if (!this.apiKey) {
-                throw new Error('OpenAI API key is required');
-            }
-
-            this.openai = new OpenAI({
-                apiKey: this.apiKey,
-            });
-            
-            // Test the connection
-            await this.testConnection();
-            
-            this.isInitialized = true;
-            this.logger.info('OpenAI service initialized successfully');
-        } catch (error) {
-            this.logger.error('Failed to initialize OpenAI service', { error: error.message });
-            throw new AIServiceError('Failed to initialize OpenAI service', error);
+        if (!this.llmGateway.isAvailable) {
+            this.logger.error('Failed to initialize OpenAI service: no LLM provider available');
+            throw new AIServiceError('Failed to initialize OpenAI service: no LLM provider available');
         }
-    }
 
-    async testConnection() {
-        try {
-            const response = await this.openai.models.list();
-            this.logger.info(`OpenAI connection test successful: modelsAvailable=${response.data.length}`);
-            return true;
-        } catch (error) {
-            throw new AIServiceError('Failed to connect to OpenAI', error);
-        }
+        this.isInitialized = true;
+        this.logger.info(`OpenAI service initialized: providers=${this.llmGateway.availableProviders.join(',')}`);
     }
 
-    async generateTranscription(audioFilePath) {
+    async generateTranscription(audioFilePath, { recordingUuid = null, caller = 'OpenAIService' } = {}) {
+        if (!this.apiKey) {
+            throw new AIServiceError('OpenAI API key is required for transcription', 'openai', WHISPER_MODEL, null);
+        }
         if (!this.isInitialized) await this.initialize();
+        const budget = await this.llmGateway.budgetStatus();
+        if (budget) {
+            throw new AIServiceError(`LLM ${budget.scope} budget of $${budget.limit} spent ($${budget.spent}), skipping transcription`, 'openai', WHISPER_MODEL, null);
+        }
         
         const startTime = Date.now();
+        const call = { recordingUuid, task: 'transcription', caller, provider: 'openai', model: WHISPER_MODEL };
         
         try {
-            const response = await this.openai.audio.transcriptions.create({
+            const response = await this._whisperClient().audio.transcriptions.create({
                 file: fs.createReadStream(audioFilePath),
-                model: 'whisper-1',
-                language: 'en'
+                model: WHISPER_MODEL,
+                language: 'en',
+                // verbose_json includes the audio duration, which is what the call costs
+                response_format: 'verbose_json'
             });
 
             const duration = Date.now() - startTime;
+            const cost = Number.isFinite(response.duration)
+                ? Math.round(response.duration / 60 * WHISPER_USD_PER_MINUTE * 1000000) / 1000000
+                : null;
+            await this.llmGateway.usage.record({ ...call, cost, latencyMs: duration });
             
             this.metricsCollector.histogram('openai.transcription.duration', duration);
             this.metricsCollector.increment('openai.transcription.success');
@@ -82,6 +92,7 @@ class OpenAIService {
 
             return response.text;
         } catch (error) {
+            await this.llmGateway.usage.record({ ...call, latencyMs: Date.now() - startTime, failed: true });
             this.metricsCollector.increment('openai.transcription.error');
             this.logger.error(`Failed to generate transcription: audioFile=${audioFilePath}, error=${error.message}`);
             throw new AIServiceError('Failed to generate transcription', error);
@@ -93,40 +104,24 @@ class OpenAIService {
         
         const startTime = Date.now();
         
-        const systemPrompt = `You are an AI assistant analyzing a Zoom recording transcript. 
-        Extract key insights, action items, important topics discussed, and create a concise summary.
-        Format your response as JSON with the following structure:
-        {
-            "summary": "Brief summary of the meeting",
-            "keyTopics": ["topic1", "topic2"],
-            "actionItems": ["action1", "action2"],
-            "decisions": ["decision1", "decision2"],
-            "nextSteps": ["step1", "step2"],
-            "participants": ["participant1", "participant2"]
-        }`;
-
-        const userPrompt = `Analyze this transcript and extract insights:
-        
-        Meeting Topic: ${metadata.topic || 'Unknown'}
-        Date: ${metadata.date || 'Unknown'}
-        Duration: ${metadata.duration || 'Unknown'} minutes
-        
-        Transcript:
-        ${transcript}`;
+        const prompt = this.promptRegistry.render('transcript-insights', {
+            topic: metadata.topic || 'Unknown',
+            date: metadata.date || 'Unknown',
+            duration: metadata.duration || 'Unknown',
+            transcript
+        });
 
         try {
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                max_tokens: this.maxTokens,
+            const { json: insights } = await this.llmGateway.completeJSON({
+                task: 'transcript-insights',
+                system: prompt.system,
+                prompt: prompt.prompt,
+                maxTokens: this.maxTokens,
                 temperature: this.temperature,
-                response_format: { type: "json_object" }
+                recordingUuid: metadata.recordingUuid || metadata.uuid || null,
+                caller: metadata.caller || 'OpenAIService'
             });
 
-            const insights = JSON.parse(response.choices[0].message.content);
             const duration = Date.now() - startTime;
             
             this.metricsCollector.histogram('openai.insights.duration', duration);
@@ -139,7 +134,8 @@ class OpenAIService {
                 insights
             });
 
-            return insights;
+            // Tagged with the prompt that produced it, e.g. "transcript-insights@1.0.0"
+            return { ...insights, promptVersion: prompt.id };
         } catch (error) {
             this.metricsCollector.increment('openai.insights.error');
             this.logger.error(`Failed to generate insights: error=${error.message}, metadata=${JSON.stringify(metadata)}`);
@@ -147,55 +143,43 @@ class OpenAIService {
         }
     }
 
-    async generateSummary(text, maxLength = 500) {
+    async generateSummary(content, maxLength = 500, { recordingUuid = null, caller = 'OpenAIService' } = {}) {
         if (!this.isInitialized) await this.initialize();
         
         try {
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'Create a concise summary of the provided text.'
-                    },
-                    {
-                        role: 'user',
-                        content: `Summarize this in ${maxLength} characters or less:\n\n${text}`
-                    }
-                ],
-                max_tokens: Math.min(this.maxTokens, maxLength),
-                temperature: 0.5
+            const prompt = this.promptRegistry.render('summary', { maxLength, content });
+            const { text } = await this.llmGateway.complete({
+                task: 'summary',
+                system: prompt.system,
+                prompt: prompt.prompt,
+                maxTokens: Math.min(this.maxTokens, maxLength),
+                temperature: 0.5,
+                recordingUuid,
+                caller
             });
 
-            return response.choices[0].message.content.trim();
+            return text.trim();
         } catch (error) {
             this.logger.error(`Failed to generate summary: ${error.message}`);
             throw new AIServiceError('Failed to generate summary', error);
         }
     }
 
-    async extractActionItems(transcript) {
+    async extractActionItems(transcript, { recordingUuid = null, caller = 'OpenAIService' } = {}) {
         if (!this.isInitialized) await this.initialize();
         
         try {
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'Extract action items from the meeting transcript. Return as a JSON array of strings.'
-                    },
-                    {
-                        role: 'user',
-                        content: transcript
-                    }
-                ],
-                max_tokens: 1000,
+            const prompt = this.promptRegistry.render('action-items', { transcript });
+            const { json: result } = await this.llmGateway.completeJSON({
+                task: 'action-items',
+                system: prompt.system,
+                prompt: prompt.prompt,
+                maxTokens: 1000,
                 temperature: 0.3,
-                response_format: { type: "json_object" }
+                recordingUuid,
+                caller
             });
 
-            const result = JSON.parse(response.choices[0].message.content);
             return result.actionItems || [];
         } catch (error) {
             this.logger.error(`Failed to extract action items: ${error.message}`);
@@ -208,15 +192,18 @@ class OpenAIService {
             return { healthy: false, message: 'Not initialized' };
         }
         
-        try {
-            await this.openai.models.list();
-            return { healthy: true, message: 'Connected to OpenAI API' };
-        } catch (error) {
-            return { 
-                healthy: false, 
-                message: `OpenAI API error: ${error.message}` 
-            };
+        return {
+            healthy: this.llmGateway.isAvailable,
+            message: `LLM providers: ${this.llmGateway.availableProviders.join(', ') || 'none'}`
+        };
+    }
+
+    // Audio is not a text completion, so transcription talks to OpenAI directly
+    _whisperClient() {
+        if (!this.openai) {
+            this.openai = new OpenAI({ apiKey: this.apiKey });
         }
+        return this.openai;
     }
 
     async getUsage() {
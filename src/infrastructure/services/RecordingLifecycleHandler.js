@@ -0,0 +1,165 @@
+/**
+ * RecordingLifecycleHandler
+ *
+ * Reacts to Zoom events that change a recording after it was processed:
+ * trashed, deleted, recovered, renamed, plus meeting.ended. Each event
+ * updates the recording's row status in the Sheet, optionally moves the Drive
+ * session folder in or out of the archive folder, and is recorded in the
+ * recording timeline.
+ */
+
+const { RecordingTimeline } = require('./RecordingTimeline');
+
+const LIFECYCLE_EVENTS = {
+    'recording.trashed': { status: 'trashed', drive: 'archive' },
+    'recording.deleted': { status: 'deleted', drive: 'archive' },
+    'recording.recovered': { status: 'active', drive: 'restore' },
+    'recording.renamed': { status: null, drive: null },
+    'meeting.ended': { status: null, drive: null }
+};
+
+class RecordingLifecycleHandler {
+    constructor({ logger, config, googleSheetsService, driveOrganizer, recordingTimeline }) {
+        this.logger = logger || console;
+        this.config = config || {};
+        this.googleSheetsService = googleSheetsService;
+        this.driveOrganizer = driveOrganizer;
+        this.timeline = recordingTimeline || new RecordingTimeline({ logger: this.logger });
+    }
+
+    static isLifecycleEvent(event) {
+        return Object.prototype.hasOwnProperty.call(LIFECYCLE_EVENTS, event);
+    }
+
+    /**
+     * Apply a lifecycle webhook. Throws when a Drive move fails so the job
+     * queue retries; the Sheet update and timeline entry only happen after
+     * the Drive step so a retry does not leave them out of sync. A failed
+     * Sheet update (API error, or no column for the status) also throws, after
+     * the timeline has recorded the Drive move so the retry does not repeat it.
+     */
+    async handle(webhookData) {
+        const event = webhookData.event;
+        const rule = LIFECYCLE_EVENTS[event];
+        if (!rule) {
+            throw new Error(`Unsupported lifecycle event: ${event}`);
+        }
+
+        const object = webhookData.payload?.object || {};
+        const uuid = object.uuid;
+        if (!uuid) {
+            throw new Error(`${event} payload is missing the recording uuid`);
+        }
+
+        this.logger.info(`🔄 Lifecycle event ${event} for ${uuid} (${object.topic || 'no topic'})`);
+
+        const row = event === 'meeting.ended'
+            ? null
+            : await this.googleSheetsService?.findRecordingByUUID?.(uuid);
+
+        const drive = rule.drive ? await this._applyDriveRule(rule.drive, uuid, row) : null;
+        const sheetUpdate = this._buildSheetUpdate(event, rule, webhookData);
+        let sheetUpdated = false;
+        let sheetError = null;
+        if (row && sheetUpdate) {
+            try {
+                sheetUpdated = await this.googleSheetsService.updateRecordingByUUID(uuid, sheetUpdate);
+                if (!sheetUpdated) {
+                    sheetError = `no column in ${row.source_tab || 'the Sheet'} for ${Object.keys(sheetUpdate).join(', ')}`;
+                }
+            } catch (error) {
+                sheetError = error.message;
+            }
+        }
+
+        if (!row && event !== 'meeting.ended') {
+            this.logger.warn(`Recording ${uuid} not found in Sheets - only recording the ${event} timeline entry`);
+        }
+
+        const entry = await this.timeline.record(uuid, {
+            event,
+            meetingId: object.id ? String(object.id) : null,
+            topic: object.topic || null,
+            previousTopic: webhookData.payload?.old_object?.topic || null,
+            operator: webhookData.payload?.operator || null,
+            eventTs: webhookData.event_ts || null,
+            status: rule.status,
+            previousStatus: row ? (row.recordingStatus || 'active') : null,
+            sheetTab: row?.source_tab || null,
+            sheetUpdated,
+            ...(sheetError && { sheetError }),
+            drive
+        });
+
+        if (sheetError) {
+            throw new Error(`Sheet update for ${event} on ${uuid} failed: ${sheetError}`);
+        }
+
+        return {
+            event,
+            uuid,
+            status: rule.status,
+            sheetUpdated,
+            drive,
+            timelineAt: entry.at
+        };
+    }
+
+    _buildSheetUpdate(event, rule, webhookData) {
+        const now = new Date().toISOString();
+
+        if (event === 'recording.renamed') {
+            const topic = webhookData.payload?.object?.topic;
+            return topic ? { meetingTopic: topic, lastUpdated: now } : null;
+        }
+
+        if (!rule.status) return null;
+        return {
+            recordingStatus: rule.status,
+            statusUpdatedAt: now,
+            lastUpdated: now
+        };
+    }
+
+    /**
+     * Archive or restore the session folder. The last archive / restore in the
+     * timeline decides whether a move is still needed, so trashed followed by
+     * deleted only moves the folder once and redeliveries are no-ops.
+     */
+    async _applyDriveRule(action, uuid, row) {
+        const driveConfig = this.config.google?.drive || {};
+        const folderId = row?.driveFolderId;
+
+        if (!this.driveOrganizer || !folderId) {
+            return { action: 'skipped', reason: folderId ? 'no drive organizer' : 'no drive folder' };
+        }
+
+        const lastMove = await this.timeline.findLatest(
+            uuid,
+            entry => ['archived', 'restored'].includes(entry.drive?.action)
+        );
+        const isArchived = lastMove?.drive?.action === 'archived';
+
+        if (action === 'archive') {
+            if (!driveConfig.archiveOnDelete || !driveConfig.archiveFolderId) {
+                return { action: 'skipped', reason: 'archiving disabled' };
+            }
+            if (isArchived) {
+                return { action: 'skipped', reason: 'already archived', folderId };
+            }
+
+            const archived = await this.driveOrganizer.archiveSessionFolder(folderId);
+            return { action: 'archived', ...archived };
+        }
+
+        if (!isArchived) {
+            return { action: 'skipped', reason: 'not archived', folderId };
+        }
+
+        const originalParentId = lastMove.drive.previousParents?.[0];
+        const restored = await this.driveOrganizer.restoreSessionFolder(folderId, originalParentId);
+        return { action: 'restored', ...restored };
+    }
+}
+
+module.exports = { RecordingLifecycleHandler, LIFECYCLE_EVENTS };
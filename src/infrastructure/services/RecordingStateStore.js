@@ -0,0 +1,412 @@
+/**
+ * RecordingStateStore
+ *
+ * Local source of truth for what the pipeline knows about each recording:
+ * identity and naming, processing attempts, stage outcomes, file checksums and
+ * the Drive folder / Sheet row it was written to. Answers "already processed?"
+ * and "other sessions of this student" without scanning Google Sheets.
+ *
+ * Stored as an append-only JSON-lines log under OUTPUT_DIR/recording-state;
+ * the log is replayed into memory on first use and compacted to one snapshot
+ * line per recording once it grows well past the number of recordings.
+ *
+ * Also implements the recordingRepository interface (save, findById,
+ * isProcessed, markAsProcessed, findByStudentAndCoach).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const fsp = fs.promises;
+
+const RECORDING_STATUSES = ['pending', 'processing', 'processed', 'failed'];
+
+// Identity / naming fields accepted by upsertRecording
+const RECORDING_FIELDS = [
+    'meetingId', 'topic', 'startTime', 'duration', 'hostEmail', 'dataSource',
+    'standardizedName', 'coach', 'student', 'weekNumber', 'category', 'status', 'processedAt'
+];
+
+// Compact once the log holds this many lines per known recording
+const COMPACT_RATIO = 5;
+
+class RecordingStateStore {
+    constructor({
+        logger,
+        stateDir = path.join(process.env.OUTPUT_DIR || './output', 'recording-state'),
+        fileName = 'recordings.jsonl',
+        checksumMaxBytes = 200 * 1024 * 1024
+    } = {}) {
+        this.logger = logger || console;
+        this.stateDir = stateDir;
+        this.statePath = path.join(stateDir, fileName);
+        this.checksumMaxBytes = checksumMaxBytes;
+        this.records = null;
+        this.aliases = new Map();
+        this.lineCount = 0;
+        this.writeChain = Promise.resolve();
+    }
+
+    // ---------------------------------------------------------------------
+    // Writes
+    // ---------------------------------------------------------------------
+
+    /**
+     * Create or update a recording. Accepts either store fields (meetingId,
+     * startTime, ...) or a Zoom-shaped recording (id, start_time, topic, ...).
+     */
+    async upsertRecording(uuid, fields = {}) {
+        const data = this._pickRecordingFields(fields);
+        if (data.status && !RECORDING_STATUSES.includes(data.status)) {
+            throw new Error(`Invalid recording status: ${data.status}`);
+        }
+        return this._write({ op: 'upsert', uuid, data, aliases: fields.aliases || [] });
+    }
+
+    /**
+     * Start a processing attempt; returns its id for finishAttempt()
+     */
+    async startAttempt(uuid, { source = null, stages = null } = {}) {
+        const attemptId = crypto.randomBytes(6).toString('hex');
+        await this._write({ op: 'attempt', uuid, data: { attemptId, source, stages, startedAt: new Date().toISOString() } });
+        return attemptId;
+    }
+
+    async finishAttempt(uuid, attemptId, { success, error = null, failedStage = null, durationMs = null } = {}) {
+        return this._write({
+            op: 'attempt',
+            uuid,
+            data: { attemptId, success: !!success, error, failedStage, durationMs, finishedAt: new Date().toISOString() }
+        });
+    }
+
+    /**
+     * Store the outcome of pipeline stages ([{ name, status, durationMs, error }])
+     */
+    async recordStages(uuid, stages = []) {
+        return this._write({ op: 'stages', uuid, data: { stages } });
+    }
+
+    /**
+     * Store size and sha256 for the recording's local files ({ video: path, ... }).
+     * Files above checksumMaxBytes keep size only.
+     */
+    async recordFiles(uuid, files = {}) {
+        const entries = {};
+        for (const [key, filePath] of Object.entries(files)) {
+            if (typeof filePath !== 'string') continue;
+            try {
+                const stats = await fsp.stat(filePath);
+                entries[key] = {
+                    path: filePath,
+                    size: stats.size,
+                    modifiedAt: stats.mtime.toISOString(),
+                    sha256: stats.size <= this.checksumMaxBytes ? await this._checksum(filePath) : null
+                };
+            } catch (error) {
+                this.logger.warn(`Could not checksum ${filePath}: ${error.message}`);
+            }
+        }
+        return this._write({ op: 'files', uuid, data: { files: entries } });
+    }
+
+    async recordDriveReference(uuid, { folderId = null, folderLink = null, fileIds = {} } = {}) {
+        return this._write({ op: 'drive', uuid, data: { folderId, folderLink, fileIds } });
+    }
+
+    async recordSheetReference(uuid, { spreadsheetId = null, tab = null, rawTab = null, row = null, action = null } = {}) {
+        return this._write({ op: 'sheet', uuid, data: { spreadsheetId, tab, rawTab, row, action } });
+    }
+
+    // ---------------------------------------------------------------------
+    // Queries
+    // ---------------------------------------------------------------------
+
+    /**
+     * A recording by UUID, any registered alias (hex / double-encoded UUID) or meeting id
+     */
+    async get(uuidOrAlias) {
+        await this._ensureLoaded();
+        const uuid = this.records.has(uuidOrAlias) ? uuidOrAlias : this.aliases.get(String(uuidOrAlias));
+        return uuid ? this._copy(this.records.get(uuid)) : null;
+    }
+
+    /**
+     * First processed recording matching any of the given ids
+     */
+    async findProcessed(ids = []) {
+        for (const id of ids.filter(Boolean)) {
+            const record = await this.get(id);
+            if (record && record.status === 'processed') return record;
+        }
+        return null;
+    }
+
+    /**
+     * Filter recordings. All criteria are optional:
+     *   status, dataSource, category, meetingId, coach, student (case-insensitive),
+     *   from / to (startTime, inclusive), hasSheetRow, hasDriveFolder,
+     *   orderBy (default startTime), order ('asc' | 'desc'), limit
+     */
+    async query(criteria = {}) {
+        await this._ensureLoaded();
+        const {
+            status, dataSource, category, meetingId, coach, student,
+            from, to, hasSheetRow, hasDriveFolder,
+            orderBy = 'startTime', order = 'asc', limit = null
+        } = criteria;
+        const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
+
+        const matches = [...this.records.values()].filter(record => {
+            if (status && ![].concat(status).includes(record.status)) return false;
+            if (dataSource && record.dataSource !== dataSource) return false;
+            if (category && record.category !== category) return false;
+            if (meetingId && String(record.meetingId) !== String(meetingId)) return false;
+            if (coach && !same(record.coach, coach)) return false;
+            if (student && !same(record.student, student)) return false;
+            if (hasSheetRow !== undefined && !!record.sheet !== hasSheetRow) return false;
+            if (hasDriveFolder !== undefined && !!record.drive?.folderId !== hasDriveFolder) return false;
+
+            const start = record.startTime ? new Date(record.startTime).getTime() : null;
+            if (fromTime !== null && (start === null || start < fromTime)) return false;
+            if (toTime !== null && (start === null || start > toTime)) return false;
+            return true;
+        });
+
+        const direction = order === 'desc' ? -1 : 1;
+        matches.sort((a, b) => {
+            const left = a[orderBy] ?? '';
+            const right = b[orderBy] ?? '';
+            if (left === right) return 0;
+            return (left < right ? -1 : 1) * direction;
+        });
+
+        return (limit ? matches.slice(0, limit) : matches).map(record => this._copy(record));
+    }
+
+    /**
+     * Counts by status and data source
+     */
+    async getStats() {
+        await this._ensureLoaded();
+        const stats = { total: this.records.size, byStatus: {}, byDataSource: {} };
+        for (const record of this.records.values()) {
+            stats.byStatus[record.status] = (stats.byStatus[record.status] || 0) + 1;
+            const source = record.dataSource || 'unknown';
+            stats.byDataSource[source] = (stats.byDataSource[source] || 0) + 1;
+        }
+        return stats;
+    }
+
+    // ---------------------------------------------------------------------
+    // recordingRepository interface
+    // ---------------------------------------------------------------------
+
+    async save(recording) {
+        return this.upsertRecording(recording.uuid || recording.id, {
+            ...recording,
+            ...(recording.processed && { status: 'processed', processedAt: new Date().toISOString() })
+        });
+    }
+
+    async findById(id) {
+        return this.get(id);
+    }
+
+    async isProcessed(id) {
+        return (await this.get(id))?.status === 'processed';
+    }
+
+    async markAsProcessed(id) {
+        const record = await this.get(id);
+        return this.upsertRecording(record?.uuid || id, { status: 'processed', processedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Sessions of a student with a coach, in the shape SmartWeekInferencer expects
+     */
+    async findByStudentAndCoach(student, coach) {
+        const records = await this.query({ student, coach, orderBy: 'startTime' });
+        return records.map(record => ({
+            id: record.meetingId,
+            uuid: record.uuid,
+            topic: record.topic,
+            start_time: record.startTime,
+            weekNumber: Number(record.weekNumber) || null
+        }));
+    }
+
+    // ---------------------------------------------------------------------
+    // Log handling
+    // ---------------------------------------------------------------------
+
+    async compact() {
+        await this._ensureLoaded();
+        const run = this.writeChain.then(async () => {
+            const at = new Date().toISOString();
+            const lines = [...this.records.values()].map(record => JSON.stringify({ op: 'snapshot', uuid: record.uuid, at, data: record }));
+            await fsp.mkdir(this.stateDir, { recursive: true });
+            const temp = `${this.statePath}.tmp`;
+            await fsp.writeFile(temp, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+            await fsp.rename(temp, this.statePath);
+            this.lineCount = lines.length;
+        });
+        this.writeChain = run.catch(() => {});
+        await run;
+    }
+
+    async _write(entry) {
+        if (!entry.uuid) {
+            throw new Error(`Recording state entry "${entry.op}" needs a uuid`);
+        }
+        await this._ensureLoaded();
+
+        const stored = { ...entry, at: new Date().toISOString() };
+        const record = this._apply(stored);
+
+        const run = this.writeChain.then(async () => {
+            await fsp.mkdir(this.stateDir, { recursive: true });
+            await fsp.appendFile(this.statePath, `${JSON.stringify(stored)}\n`);
+            this.lineCount++;
+        });
+        this.writeChain = run.catch(() => {});
+        await run;
+
+        if (this.lineCount > COMPACT_RATIO * Math.max(this.records.size, 20)) {
+            await this.compact();
+        }
+        return this._copy(record);
+    }
+
+    async _ensureLoaded() {
+        if (this.records) return;
+
+        this.records = new Map();
+        let content = '';
+        try {
+            content = await fsp.readFile(this.statePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            this.lineCount++;
+            try {
+                this._apply(JSON.parse(line));
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable recording state line in ${this.statePath}`);
+            }
+        }
+    }
+
+    /**
+     * Apply one log entry to the in-memory state (used for live writes and replay)
+     */
+    _apply({ op, uuid, at, data = {}, aliases = [] }) {
+        if (op === 'snapshot') {
+            this.records.set(uuid, data);
+            this._index(data, data.aliases || []);
+            return data;
+        }
+
+        const record = this.records.get(uuid) || {
+            uuid,
+            status: 'pending',
+            attempts: [],
+            stages: {},
+            files: {},
+            drive: null,
+            sheet: null,
+            aliases: [],
+            createdAt: at
+        };
+        record.updatedAt = at;
+
+        switch (op) {
+            case 'upsert':
+                Object.assign(record, data);
+                break;
+            case 'attempt': {
+                const attempt = record.attempts.find(existing => existing.attemptId === data.attemptId);
+                if (attempt) {
+                    Object.assign(attempt, data);
+                } else {
+                    record.attempts.push(data);
+                }
+                if (data.finishedAt) {
+                    record.status = data.success ? 'processed' : 'failed';
+                    record.lastError = data.success ? null : data.error;
+                    if (data.success) record.processedAt = data.finishedAt;
+                } else {
+                    record.status = 'processing';
+                }
+                break;
+            }
+            case 'stages':
+                for (const stage of data.stages || []) {
+                    record.stages[stage.name] = { status: stage.status, durationMs: stage.durationMs, error: stage.error || null, at };
+                }
+                break;
+            case 'files':
+                Object.assign(record.files, data.files);
+                break;
+            case 'drive':
+                record.drive = { ...data, at };
+                break;
+            case 'sheet':
+                record.sheet = { ...data, at };
+                break;
+            default:
+                throw new Error(`Unknown recording state op: ${op}`);
+        }
+
+        this.records.set(uuid, record);
+        this._index(record, aliases);
+        return record;
+    }
+
+    _index(record, aliases) {
+        const known = new Set(record.aliases || []);
+        aliases.filter(Boolean).forEach(alias => known.add(String(alias)));
+        record.aliases = [...known];
+
+        for (const alias of record.aliases) this.aliases.set(alias, record.uuid);
+        // Meeting ids repeat for recurring meetings; the latest recording wins
+        if (record.meetingId) this.aliases.set(String(record.meetingId), record.uuid);
+    }
+
+    _pickRecordingFields(fields) {
+        const mapped = {
+            ...fields,
+            meetingId: fields.meetingId ?? fields.meeting_id ?? fields.id,
+            startTime: fields.startTime ?? fields.start_time,
+            hostEmail: fields.hostEmail ?? fields.host_email
+        };
+        const data = {};
+        for (const key of RECORDING_FIELDS) {
+            if (mapped[key] !== undefined && mapped[key] !== null) data[key] = mapped[key];
+        }
+        if (data.meetingId !== undefined) data.meetingId = String(data.meetingId);
+        return data;
+    }
+
+    _checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    _copy(record) {
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+}
+
+module.exports = { RecordingStateStore, RECORDING_STATUSES };
@@ -0,0 +1,84 @@
+/**
+ * RecordingTimeline
+ *
+ * Append-only history of what happened to a recording after it was processed
+ * (trashed, deleted, recovered, renamed, archived in Drive, ...). Stored as
+ * JSON lines under OUTPUT_DIR/recording-timeline so entries survive restarts
+ * and can be read back to undo an earlier step (e.g. restore an archived folder).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class RecordingTimeline {
+    constructor({
+        logger,
+        timelineDir = path.join(process.env.OUTPUT_DIR || './output', 'recording-timeline'),
+        fileName = 'timeline.jsonl'
+    } = {}) {
+        this.logger = logger || console;
+        this.timelineDir = timelineDir;
+        this.timelinePath = path.join(timelineDir, fileName);
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Append an entry for a recording. Returns the stored entry.
+     */
+    async record(uuid, entry) {
+        const stored = {
+            uuid,
+            at: new Date().toISOString(),
+            ...entry
+        };
+
+        const run = this.writeChain.then(async () => {
+            await fs.mkdir(this.timelineDir, { recursive: true });
+            await fs.appendFile(this.timelinePath, `${JSON.stringify(stored)}\n`);
+        });
+        this.writeChain = run.catch(() => {});
+        await run;
+
+        return stored;
+    }
+
+    /**
+     * All entries for a recording, oldest first
+     */
+    async getTimeline(uuid) {
+        await this.writeChain;
+
+        let content;
+        try {
+            content = await fs.readFile(this.timelinePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (entry.uuid === uuid) entries.push(entry);
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable timeline line in ${this.timelinePath}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Most recent entry for a recording matching the predicate
+     */
+    async findLatest(uuid, predicate = () => true) {
+        const entries = await this.getTimeline(uuid);
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (predicate(entries[i])) return entries[i];
+        }
+        return null;
+    }
+}
+
+module.exports = { RecordingTimeline };
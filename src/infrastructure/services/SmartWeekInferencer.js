@@ -1,8 +1,10 @@
 const { logger } = require('../../shared');
+const { ManualOverrideRegistry, OVERRIDE_SOURCE } = require('./ManualOverrideRegistry');
 
 class SmartWeekInferencer {
-    constructor({ cache, recordingRepository = null }) {
+    constructor({ cache, recordingRepository = null, manualOverrideRegistry = null }) {
         this.cache = cache;
+        this.overrides = manualOverrideRegistry || ManualOverrideRegistry.getDefault();
         this.recordingRepository = recordingRepository || {
             findByStudentAndCoach: async () => []
         };
@@ -87,6 +89,7 @@ class SmartWeekInferencer {
             interpolated: 0,
             extrapolated: 0,
             sequential: 0,
+            manualOverrides: 0,
             errors: 0
         };
     }
@@ -103,6 +106,24 @@ class SmartWeekInferencer {
                 startTime: recording.start_time
             });
 
+            // A manual override (data/manual-overrides.json) beats every tier
+            const override = this.overrides.find({
+                uuid: recording.uuid,
+                meetingId: recording.meeting_id || recording.meetingId || recording.id
+            });
+            if (override && override.week !== undefined) {
+                this.updateStats('manual_override');
+                logger.info(`Week taken from manual override ${override.key}`, { weekNumber: override.week });
+
+                return {
+                    weekNumber: override.week,
+                    confidence: 1,
+                    method: 'manual_override',
+                    source: OVERRIDE_SOURCE,
+                    evidence: [override.note || `Manual override for ${override.keyType} ${override.key}`]
+                };
+            }
+
             // Try each tier in order of confidence
             const results = await Promise.all([
                 this.analyzeByTimestamp(recording, context),
@@ -448,15 +469,22 @@ class SmartWeekInferencer {
                 context.coachName
             );
 
-            if (!allRecordings || allRecordings.length < 2) return result;
+            const isCurrent = r => (recording.uuid && r.uuid === recording.uuid) || r.id === recording.id;
+            const candidates = [...(allRecordings || [])];
+            // The recording being processed may not be stored yet
+            if (recording.start_time && !candidates.some(isCurrent)) {
+                candidates.push({ id: recording.id, uuid: recording.uuid, start_time: recording.start_time });
+            }
+
+            if (candidates.length < 2) return result;
 
             // Sort by date
-            const sorted = allRecordings.sort((a, b) => 
+            const sorted = candidates.sort((a, b) => 
                 new Date(a.start_time) - new Date(b.start_time)
             );
 
             // Find current recording position
-            const currentIndex = sorted.findIndex(r => r.id === recording.id);
+            const currentIndex = sorted.findIndex(isCurrent);
             if (currentIndex === -1) return result;
 
             // Find anchors (recordings with known weeks)
@@ -572,6 +600,9 @@ class SmartWeekInferencer {
             case 'sequential':
                 this.stats.sequential++;
                 break;
+            case 'manual_override':
+                this.stats.manualOverrides++;
+                break;
         }
     }
 
@@ -591,7 +622,8 @@ class SmartWeekInferencer {
                 pattern: this.stats.patternBased,
                 interpolated: this.stats.interpolated,
                 extrapolated: this.stats.extrapolated,
-                sequential: this.stats.sequential
+                sequential: this.stats.sequential,
+                manualOverride: this.stats.manualOverrides
             }
         };
     }
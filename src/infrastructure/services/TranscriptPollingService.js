@@ -1,5 +1,6 @@
 const { BaseService } = require('./BaseService');
 const path = require('path');
+const { RecordingUuid } = require('../../core/value-objects');
 
 /**
  * Service to poll for and download missing transcripts
@@ -151,7 +152,7 @@ class TranscriptPollingService extends BaseService {
         try {
             const outputDir = path.join(
                 process.env.OUTPUT_DIR || './output',
-                `M:${recording.meeting_id}U:${recording.uuid}`
+                `M:${recording.meeting_id}U:${RecordingUuid.parse(recording.uuid)}`
             );
             
             await require('fs').promises.mkdir(outputDir, { recursive: true });
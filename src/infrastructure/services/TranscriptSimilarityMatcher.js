@@ -0,0 +1,204 @@
+/**
+ * TranscriptSimilarityMatcher
+ *
+ * Finds the Zoom recording a Drive-imported session was copied from when the
+ * import has no Zoom UUID and file names are all RecordingMatcherV2 has to go
+ * on. Transcripts are reduced to shingles (hashed runs of N consecutive
+ * words, ignoring WEBVTT timings and speaker labels) and compared with the
+ * transcripts of recordings from the other data sources that started within
+ * a few days of the import. Candidates come back ranked by score so the
+ * import can inherit the UUID, meeting ID and standardized name of its twin.
+ *
+ *   score = (jaccard + containment) / 2
+ *     jaccard     = shared / all shingles     (the same conversation)
+ *     containment = shared / smaller transcript (one is a cut of the other)
+ */
+
+const fs = require('fs');
+const { Transcript } = require('../../shared/transcript');
+
+const fsp = fs.promises;
+
+const DEFAULT_SHINGLE_SIZE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TranscriptSimilarityMatcher {
+    constructor({
+        logger,
+        recordingStateStore = null,
+        shingleSize = DEFAULT_SHINGLE_SIZE,
+        windowDays = 3,
+        minScore = 0.2,
+        acceptScore = 0.6,
+        maxCandidates = 5
+    } = {}) {
+        this.logger = logger || console;
+        this.recordingStateStore = recordingStateStore;
+        this.shingleSize = shingleSize;
+        this.windowDays = windowDays;
+        this.minScore = minScore;
+        this.acceptScore = acceptScore;
+        this.maxCandidates = maxCandidates;
+        this.fingerprints = new Map();
+    }
+
+    /**
+     * Ranked candidates for a transcript, best first
+     * @param {string} transcript - VTT or plain-text transcript
+     * @param {Object} options
+     * @param {string} [options.date] - recording start; candidates are limited to ±windowDays
+     * @param {string} [options.excludeUuid] - the recording itself
+     * @param {Object[]} [options.candidates] - { uuid, meetingId, standardizedName, startTime, dataSource,
+     *   transcript | transcriptPath }; defaults to recordings in the state store
+     * @returns {Promise<Object[]>} candidate identity plus score, jaccard, containment, sharedShingles, daysApart
+     */
+    async findMatches(transcript, { date = null, excludeUuid = null, candidates = null } = {}) {
+        const target = TranscriptSimilarityMatcher.fingerprint(transcript, this.shingleSize);
+        if (target.size === 0) return [];
+
+        const pool = candidates || await this.loadCandidates({ date });
+        const time = date ? new Date(date).getTime() : null;
+        const matches = [];
+
+        for (const candidate of pool) {
+            if (excludeUuid && candidate.uuid === excludeUuid) continue;
+
+            const shingles = await this._candidateFingerprint(candidate);
+            if (!shingles || shingles.size === 0) continue;
+
+            const similarity = TranscriptSimilarityMatcher.similarity(target, shingles);
+            if (similarity.score < this.minScore) continue;
+
+            const candidateTime = candidate.startTime ? new Date(candidate.startTime).getTime() : null;
+            matches.push({
+                uuid: candidate.uuid,
+                meetingId: candidate.meetingId || null,
+                standardizedName: candidate.standardizedName || null,
+                startTime: candidate.startTime || null,
+                dataSource: candidate.dataSource || null,
+                ...similarity,
+                daysApart: time !== null && candidateTime !== null
+                    ? Math.round(Math.abs(candidateTime - time) / DAY_MS * 10) / 10
+                    : null
+            });
+        }
+
+        return matches
+            .sort((a, b) => (b.score - a.score) || ((a.daysApart ?? Infinity) - (b.daysApart ?? Infinity)))
+            .slice(0, this.maxCandidates);
+    }
+
+    /**
+     * The best candidate if it scores at least acceptScore, otherwise null
+     */
+    async bestMatch(transcript, options = {}) {
+        const [best] = await this.findMatches(transcript, options);
+        return best && best.score >= this.acceptScore ? best : null;
+    }
+
+    /**
+     * Recordings from the other data sources with a local transcript, started
+     * within windowDays of date (any date when none is given)
+     */
+    async loadCandidates({ date = null } = {}) {
+        if (!this.recordingStateStore) return [];
+
+        const criteria = {};
+        if (date) {
+            const time = new Date(date).getTime();
+            criteria.from = new Date(time - this.windowDays * DAY_MS).toISOString();
+            criteria.to = new Date(time + this.windowDays * DAY_MS).toISOString();
+        }
+
+        const records = await this.recordingStateStore.query(criteria);
+        return records
+            .filter(record => record.dataSource !== 'google-drive' && record.files?.transcript?.path)
+            .map(record => ({
+                uuid: record.uuid,
+                meetingId: record.meetingId,
+                standardizedName: record.standardizedName,
+                startTime: record.startTime,
+                dataSource: record.dataSource,
+                transcriptPath: record.files.transcript.path
+            }));
+    }
+
+    /**
+     * Spoken words of a transcript (no timings or speaker labels), lowercased,
+     * punctuation dropped
+     */
+    static words(text) {
+        if (!text) return [];
+
+        return Transcript.parse(String(text)).text
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}']+/u)
+            .filter(Boolean);
+    }
+
+    /**
+     * Set of 32-bit hashes of every run of shingleSize words
+     */
+    static fingerprint(text, shingleSize = DEFAULT_SHINGLE_SIZE) {
+        const words = TranscriptSimilarityMatcher.words(text);
+        const shingles = new Set();
+        if (words.length === 0) return shingles;
+
+        const size = Math.min(shingleSize, words.length);
+        for (let i = 0; i + size <= words.length; i++) {
+            shingles.add(TranscriptSimilarityMatcher.hash(words.slice(i, i + size).join(' ')));
+        }
+        return shingles;
+    }
+
+    static similarity(a, b) {
+        let shared = 0;
+        const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+        for (const shingle of smaller) {
+            if (larger.has(shingle)) shared++;
+        }
+
+        const jaccard = shared / (a.size + b.size - shared);
+        const containment = shared / smaller.size;
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            score: round((jaccard + containment) / 2),
+            jaccard: round(jaccard),
+            containment: round(containment),
+            sharedShingles: shared
+        };
+    }
+
+    /**
+     * FNV-1a, enough to tell shingles apart without crypto's overhead
+     */
+    static hash(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    async _candidateFingerprint(candidate) {
+        if (candidate.transcript) {
+            return TranscriptSimilarityMatcher.fingerprint(candidate.transcript, this.shingleSize);
+        }
+        if (!candidate.transcriptPath) return null;
+
+        // Candidates recur across imports from the same week; read each transcript once
+        if (!this.fingerprints.has(candidate.transcriptPath)) {
+            try {
+                const text = await fsp.readFile(candidate.transcriptPath, 'utf8');
+                this.fingerprints.set(candidate.transcriptPath, TranscriptSimilarityMatcher.fingerprint(text, this.shingleSize));
+            } catch (error) {
+                this.logger.warn(`Could not read candidate transcript ${candidate.transcriptPath}: ${error.message}`);
+                this.fingerprints.set(candidate.transcriptPath, null);
+            }
+        }
+        return this.fingerprints.get(candidate.transcriptPath);
+    }
+}
+
+module.exports = { TranscriptSimilarityMatcher };
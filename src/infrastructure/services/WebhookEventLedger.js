@@ -0,0 +1,296 @@
+/**
+ * WebhookEventLedger
+ *
+ * Replay-safe record of every webhook delivery. Entries are keyed on
+ * event type + recording UUID + event id (Zoom redelivers the same body, so a
+ * retry lands on the same key while a later event for the recording does not),
+ * and keep every delivery's event ids, timestamps for received / processed /
+ * failed, and the original payload so an event can be force-replayed later.
+ * Download tokens and passcodes are removed from the payload before it is
+ * saved; they expire within a day anyway, so a replay downloads with the
+ * app's own Zoom credentials.
+ *
+ * Stored as a single JSON document under OUTPUT_DIR/webhook-ledger. Writes are
+ * serialized through a promise chain and written atomically. Only the newest
+ * `keepProcessed` processed entries are kept; received, processing and failed
+ * entries stay until they are processed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LEDGER_STATUSES = ['received', 'processing', 'processed', 'failed'];
+
+// Deliveries for a key in one of these states are treated as duplicates
+const DUPLICATE_STATUSES = ['received', 'processing', 'processed'];
+
+// Payload fields that grant access to a recording
+const SECRET_FIELDS = ['download_token', 'download_access_token', 'password', 'recording_play_passcode'];
+
+class WebhookEventLedger {
+    constructor({
+        logger,
+        ledgerDir = path.join(process.env.OUTPUT_DIR || './output', 'webhook-ledger'),
+        fileName = 'ledger.json',
+        keepProcessed = 5000
+    } = {}) {
+        this.logger = logger || console;
+        this.ledgerDir = ledgerDir;
+        this.ledgerPath = path.join(ledgerDir, fileName);
+        this.keepProcessed = keepProcessed;
+        this.entries = null;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Build the ledger key for a webhook body. Only the body's event id goes
+     * in the key: x-zm-trackingid changes per delivery attempt, and replays
+     * and queue jobs only have the body.
+     */
+    static buildKey(webhookData = {}) {
+        const object = webhookData.payload?.object || {};
+        const recordingKey = object.uuid || object.id || 'unknown';
+        const key = `${webhookData.event || 'unknown'}:${recordingKey}`;
+        const eventId = WebhookEventLedger.extractEventId(webhookData);
+        return eventId ? `${key}:${eventId}` : key;
+    }
+
+    /**
+     * Zoom does not put an event id in the body; prefer an explicit id, then
+     * the tracking header, then the event timestamp.
+     */
+    static extractEventId(webhookData = {}, headers = {}) {
+        return webhookData.event_id
+            || headers['x-zm-trackingid']
+            || (webhookData.event_ts ? String(webhookData.event_ts) : null);
+    }
+
+    /**
+     * Record a delivery. Returns { duplicate, entry }; duplicate is true when
+     * the same event for the same recording was already received or processed.
+     */
+    async recordReceived(webhookData, headers = {}) {
+        return this._mutate(entries => {
+            const key = WebhookEventLedger.buildKey(webhookData);
+            const eventId = WebhookEventLedger.extractEventId(webhookData, headers);
+            const now = new Date().toISOString();
+            const existing = entries[key];
+
+            if (existing && DUPLICATE_STATUSES.includes(existing.status)) {
+                existing.deliveries += 1;
+                existing.duplicateDeliveries += 1;
+                existing.lastDeliveryAt = now;
+                if (eventId && !existing.eventIds.includes(eventId)) {
+                    existing.eventIds.push(eventId);
+                }
+                this.logger.info(`Duplicate webhook delivery skipped: ${key} (status: ${existing.status}, deliveries: ${existing.deliveries})`);
+                return { duplicate: true, entry: existing };
+            }
+
+            const object = webhookData.payload?.object || {};
+            const entry = {
+                key,
+                eventId,
+                eventIds: eventId ? [eventId] : [],
+                eventType: webhookData.event,
+                uuid: object.uuid || null,
+                meetingId: object.id ? String(object.id) : null,
+                topic: object.topic || null,
+                status: 'received',
+                receivedAt: existing?.receivedAt || now,
+                lastDeliveryAt: now,
+                processingStartedAt: null,
+                processedAt: null,
+                failedAt: existing?.failedAt || null,
+                lastError: existing?.lastError || null,
+                deliveries: (existing?.deliveries || 0) + 1,
+                duplicateDeliveries: existing?.duplicateDeliveries || 0,
+                attempts: existing?.attempts || 0,
+                jobId: null,
+                replays: existing?.replays || [],
+                payload: withoutSecrets(webhookData)
+            };
+
+            entries[key] = entry;
+            this._pruneProcessed(entries);
+            return { duplicate: false, entry };
+        });
+    }
+
+    /**
+     * Record a delivery and hand it to `enqueue` unless it is a duplicate.
+     * When enqueueing throws the entry is marked failed before the error is
+     * rethrown, so Zoom's redelivery is accepted instead of being skipped as
+     * a duplicate of an event that was never queued.
+     * @param {Function} enqueue - (webhookData) => Promise<{ id }>
+     * @returns {Promise<{ duplicate: boolean, entry: Object, job: Object|null }>}
+     */
+    async recordAndEnqueue(webhookData, headers, enqueue) {
+        const { duplicate, entry } = await this.recordReceived(webhookData, headers);
+        if (duplicate) return { duplicate, entry, job: null };
+
+        let job;
+        try {
+            job = await enqueue(webhookData);
+        } catch (error) {
+            await this.markFailed(entry.key, error);
+            throw error;
+        }
+        return { duplicate, entry: await this.attachJob(entry.key, job.id), job };
+    }
+
+    async attachJob(key, jobId) {
+        return this._update(key, entry => {
+            entry.jobId = jobId;
+        });
+    }
+
+    async markProcessing(key) {
+        return this._update(key, entry => {
+            entry.status = 'processing';
+            entry.processingStartedAt = new Date().toISOString();
+            entry.attempts += 1;
+        });
+    }
+
+    async markProcessed(key, result = null) {
+        return this._update(key, entry => {
+            entry.status = 'processed';
+            entry.processedAt = new Date().toISOString();
+            entry.lastError = null;
+            entry.result = result;
+        });
+    }
+
+    async markFailed(key, error) {
+        return this._update(key, entry => {
+            entry.status = 'failed';
+            entry.failedAt = new Date().toISOString();
+            entry.lastError = error?.message || String(error);
+        });
+    }
+
+    async recordReplay(key, { success, error = null, requestedBy = null }) {
+        return this._update(key, entry => {
+            const at = new Date().toISOString();
+            entry.replays.push({ at, success, error, requestedBy });
+            if (success) {
+                entry.status = 'processed';
+                entry.processedAt = at;
+                entry.lastError = null;
+            } else {
+                entry.status = 'failed';
+                entry.failedAt = at;
+                entry.lastError = error;
+            }
+        });
+    }
+
+    async get(key) {
+        const entries = await this._load();
+        return entries[key] || null;
+    }
+
+    /**
+     * List entries, newest delivery first. Payloads are omitted unless asked for.
+     */
+    async list({ status = null, eventType = null, uuid = null, limit = 100, includePayload = false } = {}) {
+        const entries = Object.values(await this._load())
+            .filter(entry => !status || entry.status === status)
+            .filter(entry => !eventType || entry.eventType === eventType)
+            .filter(entry => !uuid || entry.uuid === uuid)
+            .sort((a, b) => (b.lastDeliveryAt || '').localeCompare(a.lastDeliveryAt || ''))
+            .slice(0, limit);
+
+        return includePayload
+            ? entries
+            : entries.map(({ payload, ...entry }) => entry);
+    }
+
+    async getStats() {
+        const entries = Object.values(await this._load());
+        const byStatus = Object.fromEntries(LEDGER_STATUSES.map(status => [status, 0]));
+        let duplicateDeliveries = 0;
+
+        for (const entry of entries) {
+            byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+            duplicateDeliveries += entry.duplicateDeliveries;
+        }
+
+        return { total: entries.length, byStatus, duplicateDeliveries };
+    }
+
+    /**
+     * Drop the oldest processed entries beyond keepProcessed
+     */
+    _pruneProcessed(entries) {
+        const processed = Object.values(entries)
+            .filter(entry => entry.status === 'processed')
+            .sort((a, b) => (a.processedAt || '').localeCompare(b.processedAt || ''));
+
+        for (const entry of processed.slice(0, Math.max(0, processed.length - this.keepProcessed))) {
+            delete entries[entry.key];
+        }
+    }
+
+    async _load() {
+        if (this.entries) return this.entries;
+
+        try {
+            this.entries = JSON.parse(await fs.readFile(this.ledgerPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Failed to read webhook ledger ${this.ledgerPath}: ${error.message}`);
+                throw error;
+            }
+            this.entries = {};
+        }
+
+        return this.entries;
+    }
+
+    async _update(key, updater) {
+        return this._mutate(entries => {
+            const entry = entries[key];
+            if (!entry) {
+                this.logger.warn(`Webhook ledger entry not found: ${key}`);
+                return null;
+            }
+            updater(entry);
+            return entry;
+        });
+    }
+
+    _mutate(mutator) {
+        const run = this.writeChain.then(async () => {
+            const entries = await this._load();
+            const result = mutator(entries);
+            await this._persist(entries);
+            return result;
+        });
+
+        // Keep the chain alive after a failed write
+        this.writeChain = run.catch(() => {});
+        return run;
+    }
+
+    async _persist(entries) {
+        await fs.mkdir(this.ledgerDir, { recursive: true });
+        const tmpPath = `${this.ledgerPath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(entries, null, 2));
+        await fs.rename(tmpPath, this.ledgerPath);
+    }
+}
+
+/**
+ * Copy of a webhook body without SECRET_FIELDS, at any depth
+ */
+function withoutSecrets(value) {
+    if (Array.isArray(value)) return value.map(withoutSecrets);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([field]) => !SECRET_FIELDS.includes(field))
+        .map(([field, fieldValue]) => [field, withoutSecrets(fieldValue)]));
+}
+
+module.exports = { WebhookEventLedger, LEDGER_STATUSES };
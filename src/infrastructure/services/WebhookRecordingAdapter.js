@@ -10,6 +10,8 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const { createWriteStream } = require('fs');
+const { RecordingLifecycleHandler } = require('./RecordingLifecycleHandler');
+const { WebhookRecordingSource } = require('../sources/WebhookRecordingSource');
 
 class WebhookRecordingAdapter {
     constructor(container) {
@@ -17,6 +19,7 @@ class WebhookRecordingAdapter {
         this.logger = container.resolve('logger') || new Logger();
         this.config = container.resolve('config');
         this.downloadDir = path.join(process.env.OUTPUT_DIR || './output', 'webhook-recordings');
+        this.recordingSource = new WebhookRecordingSource({ logger: this.logger, webhookAdapter: this });
     }
 
     /**
@@ -433,12 +436,12 @@ class WebhookRecordingAdapter {
      */
     async processWebhookRecording(webhookPayload, productionProcessor) {
         try {
-            // Transform webhook data
-            const transformedRecording = await this.transformWebhookRecording(webhookPayload);
+            // Transform webhook data into a normalized recording
+            const transformedRecording = await this.recordingSource.fetchMetadata(webhookPayload);
             
             // Download files if needed
             if (transformedRecording.download_access_token) {
-                const downloadResults = await this.downloadWebhookRecordingFiles(transformedRecording);
+                const { results: downloadResults } = await this.recordingSource.fetchFiles(transformedRecording);
                 transformedRecording.webhook_download_results = downloadResults;
                 
                 // Log download summary
@@ -467,6 +470,33 @@ class WebhookRecordingAdapter {
             };
         }
     }
+
+    /**
+     * Process a lifecycle event (trashed, deleted, recovered, renamed, meeting.ended)
+     * against the processor's Sheets and Drive services
+     */
+    async processLifecycleEvent(webhookPayload, productionProcessor) {
+        try {
+            if (!this.lifecycleHandler) {
+                const container = productionProcessor.container;
+                this.lifecycleHandler = new RecordingLifecycleHandler({
+                    logger: this.logger,
+                    config: this.config,
+                    googleSheetsService: container.resolve('googleSheetsService'),
+                    driveOrganizer: container.resolve('driveOrganizer')
+                });
+            }
+
+            const result = await this.lifecycleHandler.handle(webhookPayload);
+            return { success: true, result };
+        } catch (error) {
+            this.logger.error(`Error processing ${webhookPayload.event} webhook:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 }
 
 module.exports = { WebhookRecordingAdapter };
\ No newline at end of file
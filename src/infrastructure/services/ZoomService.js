@@ -5,9 +5,10 @@
  * webhook validation, recording downloads, and participant data.
  */
 
-const crypto = require('crypto');
 const axios = require('axios');
 const { Readable } = require('stream');
+const { createZoomWebhookVerifier } = require('../../api/middleware/zoom-webhook-verifier');
+const { RecordingUuid } = require('../../core/value-objects');
 
 class ZoomService {
     constructor({ config, logger }) {
@@ -22,62 +23,20 @@ class ZoomService {
 
     /**
      * Validate Zoom webhook signature
+     * Delegates to the shared verifier (URL validation challenge, timestamp window, rotating secrets)
      */
     validateWebhook(req, res, next) {
+        if (!this.webhookVerifier) {
+            this.webhookVerifier = createZoomWebhookVerifier({ logger: this.logger });
+        }
+        
         this.logger.info('Webhook request received:', {
             event: req.body?.event,
-            headers: {
-                'x-zm-signature': req.headers['x-zm-signature'],
-                'x-zm-request-timestamp': req.headers['x-zm-request-timestamp']
-            }
+            hasSignature: !!req.headers['x-zm-signature'],
+            timestamp: req.headers['x-zm-request-timestamp']
         });
         
-        // Handle Zoom validation request BEFORE any signature checking
-        if (req.body && req.body.event === 'endpoint.url_validation') {
-            this.logger.info('Processing validation request for token:', req.body.payload?.plainToken);
-            
-            const secretToken = process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
-            if (!secretToken) {
-                this.logger.error('ZOOM_WEBHOOK_SECRET_TOKEN environment variable not set!');
-                return res.status(500).json({ error: 'Server configuration error' });
-            }
-            
-            const plainToken = req.body.payload.plainToken;
-            const encryptedToken = crypto
-                .createHmac('sha256', secretToken)
-                .update(plainToken)
-                .digest('hex');
-                
-            const response = {
-                plainToken: plainToken,
-                encryptedToken: encryptedToken
-            };
-            
-            this.logger.info('Sending validation response');
-            return res.status(200).json(response);
-        }
-        
-        // For other events, validate the webhook signature
-        if (!req.headers['x-zm-signature']) {
-            this.logger.error('No signature header found');
-            return res.status(401).send('Unauthorized');
-        }
-        
-        const message = `v0:${req.headers['x-zm-request-timestamp']}:${JSON.stringify(req.body)}`;
-        const hashForVerify = crypto
-            .createHmac('sha256', process.env.ZOOM_WEBHOOK_SECRET_TOKEN)
-            .update(message)
-            .digest('hex');
-        
-        const signature = `v0=${hashForVerify}`;
-        
-        if (req.headers['x-zm-signature'] !== signature) {
-            this.logger.error('Invalid webhook signature');
-            return res.status(401).send('Unauthorized');
-        }
-        
-        // Signature valid, proceed
-        next();
+        return this.webhookVerifier(req, res, next);
     }
 
     /**
@@ -244,7 +203,7 @@ class ZoomService {
     async getRecording(recordingId) {
         try {
             const token = await this.getZoomToken();
-            const response = await axios.get(`${this.ZOOM_API_URL}/meetings/${recordingId}/recordings`, {
+            const response = await axios.get(`${this.ZOOM_API_URL}/meetings/${this._meetingPathId(recordingId)}/recordings`, {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
@@ -328,9 +287,9 @@ class ZoomService {
     async getRecordingByUUID(uuid) {
         if (!uuid) return null;
         
-        // Convert UUID formats if needed
+        // Any stored spelling (hex, dashed, encoded) resolves to Zoom's base64 form
         const convertedUuid = this._convertUuidForZoomAPI(uuid);
-        const encodedUuid = encodeURIComponent(encodeURIComponent(convertedUuid));
+        const encodedUuid = this._meetingPathId(uuid);
         
         this.logger.info(`🔍 Fetching real recording from Zoom cloud by UUID: ${convertedUuid}`);
         
@@ -351,36 +310,16 @@ class ZoomService {
      * @returns {string} UUID in the correct format for Zoom API
      */
     _convertUuidForZoomAPI(uuid) {
-        try {
-            // If it's already base64 (ends with == and contains + or /)
-            if (uuid.includes('==') || uuid.includes('+') || uuid.includes('/')) {
-                this.logger.info(`UUID ${uuid} is already in base64 format`);
-                return uuid;
-            }
-            
-            // If it's hex with dashes (UUID format)
-            if (uuid.includes('-') && uuid.length === 36) {
-                this.logger.info(`Converting hex UUID with dashes to base64: ${uuid}`);
-                const hexWithoutDashes = uuid.replace(/-/g, '');
-                const buffer = Buffer.from(hexWithoutDashes, 'hex');
-                return buffer.toString('base64');
-            }
-            
-            // If it's hex without dashes (32 characters)
-            if (uuid.length === 32 && /^[0-9a-fA-F]+$/.test(uuid)) {
-                this.logger.info(`Converting hex UUID to base64: ${uuid}`);
-                const buffer = Buffer.from(uuid, 'hex');
-                return buffer.toString('base64');
-            }
-            
-            // If it's something else, return as-is
-            this.logger.info(`UUID ${uuid} format not recognized, using as-is`);
-            return uuid;
-            
-        } catch (error) {
-            this.logger.error(`UUID conversion error for ${uuid}: ${error.message}`);
-            return uuid; // Return original if conversion fails
-        }
+        return RecordingUuid.parse(uuid).toBase64();
+    }
+
+    /**
+     * Path segment for /meetings/{id} endpoints: numeric meeting ids as-is,
+     * UUIDs double URL-encoded as Zoom requires
+     */
+    _meetingPathId(meetingIdOrUuid) {
+        const value = String(meetingIdOrUuid);
+        return /^\d+$/.test(value) ? value : RecordingUuid.parse(value).toZoomApiPath();
     }
 
     /**
@@ -580,7 +519,7 @@ class ZoomService {
             
             // IMPORTANT: Double URL encode the UUID for Zoom API
             // Zoom requires double encoding for UUIDs with special characters
-            const encodedUuid = encodeURIComponent(encodeURIComponent(meetingUuid));
+            const encodedUuid = this._meetingPathId(meetingUuid);
             
             this.logger.info('Fetching participants for UUID:', meetingUuid);
             this.logger.info('Encoded UUID:', encodedUuid);
@@ -693,7 +632,7 @@ class ZoomService {
     async getRecordingDetails(meetingId) {
         try {
             const token = await this.getZoomToken();
-            const response = await axios.get(`${this.ZOOM_API_URL}/meetings/${meetingId}/recordings`, {
+            const response = await axios.get(`${this.ZOOM_API_URL}/meetings/${this._meetingPathId(meetingId)}/recordings`, {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
@@ -712,7 +651,7 @@ class ZoomService {
     async getMeetingDetails(meetingId) {
         try {
             const token = await this.getZoomToken();
-            const response = await axios.get(`${this.ZOOM_API_URL}/meetings/${meetingId}`, {
+            const response = await axios.get(`${this.ZOOM_API_URL}/meetings/${this._meetingPathId(meetingId)}`, {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const { logger } = require('../../shared/Logger.js');
+const { Transcript, formatTimestamp, parseTimestamp, conversationMetrics } = require('../../shared/transcript');
 
 class EnhancedTranscriptAnalyzer {
     constructor() {
@@ -12,46 +13,12 @@ class EnhancedTranscriptAnalyzer {
      * Parse VTT content into structured format
      */
     parseVTTContent(content) {
-        const lines = content.split('\n');
-        const transcript = [];
-        let currentEntry = null;
-        
-        for (const line of lines) {
-            // Skip WebVTT header and empty lines
-            if (line.startsWith('WEBVTT') || line.trim() === '') continue;
-            
-            // Parse timestamp line
-            const timestampMatch = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3}) --> (\d{2}:\d{2}:\d{2}\.\d{3})/);
-            if (timestampMatch) {
-                if (currentEntry) {
-                    transcript.push(currentEntry);
-                }
-                currentEntry = {
-                    start: timestampMatch[1],
-                    end: timestampMatch[2],
-                    text: ''
-                };
-                continue;
-            }
-            
-            // Parse speaker and text
-            if (currentEntry) {
-                const speakerMatch = line.match(/^([^:]+):\s*(.*)/);
-                if (speakerMatch) {
-                    currentEntry.speaker = speakerMatch[1].trim();
-                    currentEntry.text = speakerMatch[2].trim();
-                } else {
-                    currentEntry.text = line.trim();
-                }
-            }
-        }
-        
-        // Add the last entry
-        if (currentEntry) {
-            transcript.push(currentEntry);
-        }
-        
-        return transcript;
+        return Transcript.parse(content).cues.map(cue => ({
+            start: formatTimestamp(cue.start),
+            end: formatTimestamp(cue.end ?? cue.start),
+            speaker: cue.speaker || undefined,
+            text: cue.text
+        }));
     }
 
     /**
@@ -402,9 +369,14 @@ class EnhancedTranscriptAnalyzer {
      * Analyze engagement levels
      */
     analyzeEngagement(transcript) {
+        const conversation = conversationMetrics(new Transcript(transcript.map(entry => ({
+            ...entry,
+            start: parseTimestamp(entry.start),
+            end: parseTimestamp(entry.end)
+        }))));
         const engagementFactors = {
-            responseTime: this.analyzeResponseTimes(transcript),
-            conversationFlow: this.analyzeConversationFlow(transcript),
+            responseTime: this.analyzeResponseTimes(conversation),
+            conversationFlow: this.analyzeConversationFlow(conversation),
             questionFrequency: this.analyzeQuestionFrequency(transcript),
             emotionalExpression: this.analyzeEmotionalExpression(transcript)
         };
@@ -414,7 +386,8 @@ class EnhancedTranscriptAnalyzer {
         return {
             level: overallEngagement > 0.7 ? 'high' : overallEngagement > 0.4 ? 'medium' : 'low',
             metrics: engagementFactors,
-            score: overallEngagement
+            score: overallEngagement,
+            conversation
         };
     }
 
@@ -581,8 +554,7 @@ class EnhancedTranscriptAnalyzer {
     }
 
     timeToSeconds(timeString) {
-        const parts = timeString.split(':');
-        return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseFloat(parts[2]);
+        return parseTimestamp(timeString) ?? 0;
     }
 
     calculateEntryDuration(entry) {
@@ -663,12 +635,20 @@ class EnhancedTranscriptAnalyzer {
         return 'unknown';
     }
 
-    analyzeResponseTimes(transcript) {
-        return '2.5 seconds average'; // Placeholder
+    analyzeResponseTimes(conversation) {
+        return conversation.averageResponseLatency === null
+            ? 'unknown'
+            : `${conversation.averageResponseLatency} seconds average`;
     }
 
-    analyzeConversationFlow(transcript) {
-        return 'smooth'; // Placeholder
+    /**
+     * "choppy" when more than one turn in five cuts someone off, "halting"
+     * when over a tenth of the session is silence
+     */
+    analyzeConversationFlow(conversation) {
+        if (conversation.turnCount > 0 && conversation.interruptionCount / conversation.turnCount > 0.2) return 'choppy';
+        if (conversation.duration > 0 && conversation.silence.totalSeconds / conversation.duration > 0.1) return 'halting';
+        return 'smooth';
     }
 
     analyzeQuestionFrequency(transcript) {
@@ -0,0 +1,81 @@
+/**
+ * Historical recordings imported from Google Drive folders (indicator B).
+ * Scanning and session grouping reuse the drive-source scanner, RecordingMatcherV2
+ * and IntegratedDriveProcessorV4's recording builder.
+ */
+
+const { RecordingSource } = require('./RecordingSource');
+
+class DriveRecordingSource extends RecordingSource {
+    constructor({ logger, scanner, matcher, driveProcessor, scanOptions = {} }) {
+        super({ id: 'google-drive', name: 'Google Drive Historical Recordings', logger });
+        this.scanner = scanner;
+        this.matcher = matcher;
+        this.driveProcessor = driveProcessor;
+        this.scanOptions = scanOptions;
+    }
+
+    /**
+     * Scan a folder and group its files into valid sessions
+     */
+    async listSessions({ folderId, maxDepth, minFileSize } = {}) {
+        if (!this.scanner || !this.matcher) {
+            throw new Error('Drive scanner and matcher are required to list Drive recordings');
+        }
+        if (!folderId) {
+            throw new Error('folderId is required to list Drive recordings');
+        }
+
+        const files = await this.scanner.scanFolder(folderId, {
+            maxDepth: maxDepth || this.scanOptions.maxDepth || 5,
+            minFileSize: minFileSize || this.scanOptions.minFileSize || 100 * 1024
+        });
+        this.logger.info(`✅ Found ${files.length} files in Drive folder ${folderId}`);
+
+        const sessions = await this.matcher.matchRecordings(files);
+        const { validSessions } = this.matcher.validateSessions(sessions);
+        return { files, sessions: validSessions };
+    }
+
+    async listRecordings({ limit = 50, ...options } = {}) {
+        const { sessions } = await this.listSessions(options);
+        return sessions.slice(0, limit).map(session => this.fromSession(session));
+    }
+
+    /**
+     * A Drive "recording" is a matched session; metadata comes from its folder name
+     */
+    async fetchMetadata(session) {
+        return this.fromSession(session);
+    }
+
+    /**
+     * Drive files are not downloaded - returns Drive file references keyed like local downloads
+     */
+    async fetchFiles(recording) {
+        this._requireDriveProcessor();
+        const session = {
+            id: recording.uuid,
+            files: recording._sessionFiles || [],
+            metadata: { folderName: recording.drive_folder_name }
+        };
+        const files = await this.driveProcessor.prepareFiles(session, recording);
+        return { success: true, files, results: null };
+    }
+
+    fromSession(session) {
+        this._requireDriveProcessor();
+        const metadata = this.driveProcessor.extractSessionMetadata(session);
+        const recording = this.driveProcessor.buildRecordingObject(session, metadata);
+        recording._sessionFiles = session.files || [];
+        return this.normalize(recording);
+    }
+
+    _requireDriveProcessor() {
+        if (!this.driveProcessor) {
+            throw new Error('IntegratedDriveProcessorV4 is required to build Drive recordings');
+        }
+    }
+}
+
+module.exports = { DriveRecordingSource };
@@ -0,0 +1,240 @@
+/**
+ * Recordings from a local folder tree or zip (indicator D) - e.g. a coach's
+ * laptop export of MP4 / M4A / VTT / chat.txt files. Files are grouped into
+ * sessions with RecordingMatcherV2 and metadata is inferred from file and
+ * folder names. Needs no Zoom or Google credentials, so it also serves as an
+ * offline end-to-end input for the pipeline.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { RecordingSource } = require('./RecordingSource');
+const { Transcript } = require('../../shared/transcript');
+
+// Zoom's local recording folders: "2024-01-01 15.00.00 Jenny <> Huda 123456789"
+const ZOOM_LOCAL_FOLDER_PATTERN = /^(\d{4}-\d{2}-\d{2}) (\d{2})\.(\d{2})\.(\d{2}) (.+?)(?: (\d{9,11}))?$/;
+// Zoom cloud file names: "GMT20240101-150000_Recording_1920x1080.mp4"
+const GMT_TIMESTAMP_PATTERN = /GMT(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/;
+
+// Zoom's own folder naming is as good a signal as a GMT file name
+const ZOOM_FOLDER_CONFIDENCE = 80;
+// Drive imports assume an hour when nothing better is known; do the same here
+const DEFAULT_DURATION_SECONDS = 3600;
+
+const FILE_TYPE_CODES = {
+    video: 'MP4',
+    audio: 'M4A',
+    transcript: 'VTT',
+    chat: 'TXT'
+};
+
+class LocalFolderRecordingSource extends RecordingSource {
+    constructor({ logger, scanner, matcher, rootDir = process.env.LOCAL_RECORDINGS_DIR }) {
+        super({ id: 'local-folder', name: 'Local Folder Import', logger });
+        this.scanner = scanner;
+        this.matcher = matcher;
+        this.rootDir = rootDir;
+    }
+
+    /**
+     * Scan the folder (or zip) and group its files into sessions. On top of the
+     * matcher's grouping, a Zoom local recording folder always holds exactly one
+     * meeting, so its files become one session; elsewhere, files the matcher left
+     * on their own (chat / transcript without a media file) are attached to the
+     * only media session in the same folder.
+     */
+    async listSessions({ rootDir = this.rootDir, maxDepth = 5, minFileSize = 100 * 1024 } = {}) {
+        if (!this.scanner || !this.matcher) {
+            throw new Error('Local scanner and matcher are required to list local recordings');
+        }
+        if (!rootDir) {
+            throw new Error('No local recordings folder given (use --local-dir or LOCAL_RECORDINGS_DIR)');
+        }
+
+        const files = await this.scanner.scanFolder(rootDir, { maxDepth, minFileSize });
+        const matched = await this.matcher.matchRecordings(files);
+        const sessions = this._attachOrphanFiles(this._mergeZoomFolderSessions(matched));
+        const { validSessions } = this.matcher.validateSessions(sessions);
+
+        this.logger.info(`📁 Local source: ${files.length} files grouped into ${validSessions.length} sessions`);
+        return { files, sessions: validSessions };
+    }
+
+    async listRecordings({ limit = 50, ...options } = {}) {
+        const { sessions } = await this.listSessions(options);
+        const recordings = [];
+        for (const session of sessions.slice(0, limit)) {
+            recordings.push(await this.fromSession(session));
+        }
+        return recordings;
+    }
+
+    async fetchMetadata(session) {
+        return this.fromSession(session);
+    }
+
+    /**
+     * Files are already local - hand back their paths
+     */
+    async fetchFiles(recording) {
+        return { success: true, files: { ...recording.local_files }, results: null };
+    }
+
+    async fromSession(session) {
+        const files = session.files || [];
+        const localFiles = this._pickLocalFiles(files);
+        const folderName = session.metadata?.folderName || '';
+        const folderInfo = this._parseFolderName(folderName);
+
+        const startTime = this._inferStartTime(files, folderInfo, session.metadata);
+        const duration = await this._estimateDuration(localFiles.transcript);
+        const participants = session.metadata?.participants || [];
+        const topic = folderInfo.topic
+            || (participants.length >= 2 ? `${participants[0]} & ${participants[1]}` : null)
+            || folderName
+            || path.parse(files[0]?.name || 'Local Recording').name;
+
+        const uuid = this._buildUuid(files);
+        const meetingId = folderInfo.meetingId || `local-${crypto.createHash('sha1').update(uuid).digest('hex').substring(0, 10)}`;
+        const endTime = new Date(new Date(startTime).getTime() + duration * 1000).toISOString();
+
+        return this.normalize({
+            uuid,
+            id: meetingId,
+            meeting_id: meetingId,
+            topic,
+            start_time: startTime,
+            end_time: endTime,
+            duration,
+            host_email: '',
+            host_name: participants[0] || '',
+            participant_count: participants.length,
+            recording_type: 'local_recording',
+            recording_files: files.map(file => ({
+                id: file.id,
+                meeting_id: meetingId,
+                recording_start: startTime,
+                recording_end: endTime,
+                file_type: FILE_TYPE_CODES[file.fileType] || String(file.fileType || 'other').toUpperCase(),
+                file_size: parseInt(file.size, 10) || 0,
+                file_extension: path.extname(file.name).toLowerCase().replace('.', ''),
+                download_url: file.webViewLink,
+                status: 'completed',
+                recording_type: file.fileType
+            })),
+            local_files: localFiles,
+            local_folder: files[0] ? path.dirname(files[0].localPath) : null
+        });
+    }
+
+    _mergeZoomFolderSessions(sessions) {
+        const byFolder = new Map();
+
+        return sessions.filter(session => {
+            const file = session.files[0];
+            if (!file || !ZOOM_LOCAL_FOLDER_PATTERN.test(file.parentFolderName || '')) return true;
+
+            const existing = byFolder.get(file.parentFolderId);
+            if (!existing) {
+                session.confidence = Math.max(session.confidence || 0, ZOOM_FOLDER_CONFIDENCE);
+                byFolder.set(file.parentFolderId, session);
+                return true;
+            }
+
+            existing.files.push(...session.files);
+            existing.metadata = this.matcher.mergeMetadata(existing.metadata, session.metadata);
+            return false;
+        });
+    }
+
+    _attachOrphanFiles(sessions) {
+        const hasMedia = session => session.files.some(file => file.fileType === 'video' || file.fileType === 'audio');
+        const folderOf = session => session.files[0]?.parentFolderId;
+
+        const mediaSessionsByFolder = new Map();
+        for (const session of sessions.filter(hasMedia)) {
+            const folder = folderOf(session);
+            mediaSessionsByFolder.set(folder, [...(mediaSessionsByFolder.get(folder) || []), session]);
+        }
+
+        return sessions.filter(session => {
+            if (hasMedia(session)) return true;
+
+            const candidates = mediaSessionsByFolder.get(folderOf(session)) || [];
+            if (candidates.length !== 1) return true;
+
+            candidates[0].files.push(...session.files);
+            candidates[0].metadata = this.matcher.mergeMetadata(candidates[0].metadata, session.metadata);
+            return false;
+        });
+    }
+
+    _pickLocalFiles(files) {
+        const localFiles = {};
+        // Prefer the speaker view over the gallery view when both exist
+        const ordered = [...files].sort((a, b) => a.name.toLowerCase().includes('gallery') - b.name.toLowerCase().includes('gallery'));
+        for (const file of ordered) {
+            if (FILE_TYPE_CODES[file.fileType] && !localFiles[file.fileType]) {
+                localFiles[file.fileType] = file.localPath;
+            }
+        }
+        return localFiles;
+    }
+
+    _parseFolderName(folderName) {
+        const match = folderName.match(ZOOM_LOCAL_FOLDER_PATTERN);
+        if (!match) return {};
+
+        const [, date, hours, minutes, seconds, topic, meetingId] = match;
+        return {
+            startTime: new Date(`${date}T${hours}:${minutes}:${seconds}`).toISOString(),
+            topic,
+            meetingId: meetingId || null
+        };
+    }
+
+    _inferStartTime(files, folderInfo, metadata = {}) {
+        for (const file of files) {
+            const match = file.name.match(GMT_TIMESTAMP_PATTERN);
+            if (match) {
+                const [, year, month, day, hours, minutes, seconds] = match;
+                return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)).toISOString();
+            }
+        }
+
+        if (folderInfo.startTime) return folderInfo.startTime;
+
+        const parsed = metadata.date?.raw ? new Date(metadata.date.raw) : null;
+        if (parsed && !Number.isNaN(parsed.getTime())) return parsed.toISOString();
+
+        const modified = files.map(file => new Date(file.modifiedTime).getTime()).filter(Number.isFinite);
+        return new Date(modified.length > 0 ? Math.min(...modified) : Date.now()).toISOString();
+    }
+
+    /**
+     * Use the end of the last transcript cue as the duration (seconds)
+     */
+    async _estimateDuration(transcriptPath) {
+        if (!transcriptPath) return DEFAULT_DURATION_SECONDS;
+
+        try {
+            const lastEnd = Math.floor(Transcript.parse(await fs.readFile(transcriptPath, 'utf8')).end);
+            return lastEnd > 0 ? lastEnd : DEFAULT_DURATION_SECONDS;
+        } catch (error) {
+            this.logger.warn(`Could not read transcript for duration: ${error.message}`);
+            return DEFAULT_DURATION_SECONDS;
+        }
+    }
+
+    /**
+     * Stable, Zoom-shaped (24 char base64) uuid from the session's relative file paths,
+     * so re-importing the same folder maps to the same Sheet row
+     */
+    _buildUuid(files) {
+        const key = files.map(file => file.relativePath || file.name).sort().join('|');
+        return crypto.createHash('sha1').update(key).digest().subarray(0, 16).toString('base64');
+    }
+}
+
+module.exports = { LocalFolderRecordingSource };
@@ -0,0 +1,161 @@
+/**
+ * RecordingSource contract
+ *
+ * Every place recordings come from (Zoom API batch, Zoom webhooks, Google
+ * Drive imports, ...) is an adapter implementing this class. The processor
+ * only sees the normalized recording produced by `normalize()`, so a new
+ * source plugs in without another copy of the pipeline.
+ *
+ * Adapters implement:
+ *   listRecordings(options)          -> Promise<NormalizedRecording[]>
+ *   fetchMetadata(ref)               -> Promise<NormalizedRecording>
+ *   fetchFiles(recording, options)   -> Promise<{ success, files, results }>
+ *     files maps video / audio / transcript / chat / timeline to a local path
+ *     (or, for sources that are not downloaded, a remote file reference)
+ */
+
+// Indicator used in standardized names: {SessionType}_{indicator}_...
+const SOURCE_INDICATORS = {
+    'zoom-api': 'A',
+    'google-drive': 'B',
+    webhook: 'C',
+    'local-folder': 'D'
+};
+
+/**
+ * Map a dataSource string to its name indicator (A, B, C, D). Accepts the canonical ids
+ * as well as the free-form labels older code writes ("Zoom API", "Google Drive
+ * Import", "zoom-cloud-batch", ...).
+ */
+function getSourceIndicator(dataSource) {
+    if (!dataSource) return '';
+
+    const source = String(dataSource).toLowerCase();
+    if (SOURCE_INDICATORS[source]) return SOURCE_INDICATORS[source];
+
+    if (source.includes('zoom') && (source.includes('api') || source.includes('cloud') || source.includes('batch'))) {
+        return SOURCE_INDICATORS['zoom-api'];
+    }
+    if (source.includes('google') || source.includes('drive')) {
+        return SOURCE_INDICATORS['google-drive'];
+    }
+    if (source.includes('webhook')) {
+        return SOURCE_INDICATORS.webhook;
+    }
+    if (source.includes('local')) {
+        return SOURCE_INDICATORS['local-folder'];
+    }
+    return '';
+}
+
+/**
+ * Register the indicator for a new source id
+ */
+function registerSourceIndicator(sourceId, indicator) {
+    SOURCE_INDICATORS[sourceId] = indicator;
+}
+
+/**
+ * Map a Zoom / Drive file type to the key the pipeline uses for downloaded files
+ */
+function canonicalFileKey(fileType) {
+    const type = String(fileType || '').toUpperCase();
+    const keys = {
+        MP4: 'video',
+        VIDEO: 'video',
+        M4A: 'audio',
+        AUDIO: 'audio',
+        AUDIO_ONLY: 'audio',
+        TRANSCRIPT: 'transcript',
+        VTT: 'transcript',
+        CC: 'transcript',
+        CHAT: 'chat',
+        TXT: 'chat',
+        TIMELINE: 'timeline',
+        JSON: 'timeline'
+    };
+    return keys[type] || type.toLowerCase();
+}
+
+/**
+ * Build the normalized recording shape the processor consumes. Source
+ * specific fields (download tokens, Drive folder ids, ...) are kept as-is.
+ */
+function normalizeRecording(raw, { sourceId, indicator = getSourceIndicator(sourceId) }) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error(`Cannot normalize recording from ${sourceId}: no recording data`);
+    }
+
+    const uuid = raw.uuid || raw.id;
+    const id = raw.id ?? raw.meeting_id ?? raw.uuid;
+    if (!uuid && !id) {
+        throw new Error(`Cannot normalize recording from ${sourceId}: missing uuid and id`);
+    }
+
+    const recordingFiles = raw.recording_files || [];
+
+    return {
+        ...raw,
+        uuid,
+        id: id !== undefined && id !== null ? String(id) : id,
+        meeting_id: String(raw.meeting_id ?? id),
+        topic: raw.topic || 'Untitled Recording',
+        start_time: raw.start_time || raw.startTime || null,
+        duration: raw.duration ?? 0,
+        host_email: raw.host_email || raw.hostEmail || '',
+        host_name: raw.host_name || raw.hostName || '',
+        recording_files: recordingFiles,
+        total_size: raw.total_size ?? recordingFiles.reduce((total, file) => total + (file.file_size || 0), 0),
+        source: sourceId,
+        dataSource: sourceId,
+        sourceIndicator: indicator,
+        normalized: true
+    };
+}
+
+class RecordingSource {
+    constructor({ id, name, indicator = getSourceIndicator(id), logger }) {
+        this.id = id;
+        this.name = name;
+        this.indicator = indicator;
+        this.logger = logger || console;
+    }
+
+    getSourceIndicator() {
+        return this.indicator;
+    }
+
+    async listRecordings(options = {}) {
+        throw new Error(`${this.constructor.name} does not implement listRecordings`);
+    }
+
+    async fetchMetadata(ref) {
+        throw new Error(`${this.constructor.name} does not implement fetchMetadata`);
+    }
+
+    async fetchFiles(recording, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement fetchFiles`);
+    }
+
+    normalize(raw) {
+        return normalizeRecording(raw, { sourceId: this.id, indicator: this.indicator });
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            indicator: this.indicator,
+            type: this.constructor.name
+        };
+    }
+}
+
+module.exports = {
+    RecordingSource,
+    normalizeRecording,
+    getSourceIndicator,
+    registerSourceIndicator,
+    canonicalFileKey,
+    SOURCE_INDICATORS
+};
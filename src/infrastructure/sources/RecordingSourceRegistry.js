@@ -0,0 +1,72 @@
+/**
+ * RecordingSourceRegistry
+ *
+ * Holds the configured RecordingSource adapters and normalizes recordings
+ * handed to the processor from any of them.
+ */
+
+const { getSourceIndicator } = require('./RecordingSource');
+
+class RecordingSourceRegistry {
+    constructor({ logger, defaultSourceId = 'zoom-api' } = {}) {
+        this.logger = logger || console;
+        this.defaultSourceId = defaultSourceId;
+        this.sources = new Map();
+    }
+
+    register(source) {
+        if (!source?.id) {
+            throw new Error('Recording source must have an id');
+        }
+        this.sources.set(source.id, source);
+        return this;
+    }
+
+    has(sourceId) {
+        return this.sources.has(sourceId);
+    }
+
+    get(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source) {
+            throw new Error(`Unknown recording source: ${sourceId} (available: ${[...this.sources.keys()].join(', ')})`);
+        }
+        return source;
+    }
+
+    list() {
+        return [...this.sources.values()].map(source => source.describe());
+    }
+
+    /**
+     * Find the source a recording came from. Matches the source id first, then
+     * the A/B/C indicator of legacy dataSource labels ("Google Drive Import", ...).
+     */
+    resolveFor(recording) {
+        const label = recording?.dataSource || recording?.source;
+        if (!label) return this.sources.get(this.defaultSourceId) || null;
+        if (this.sources.has(label)) return this.sources.get(label);
+
+        const indicator = getSourceIndicator(label);
+        for (const source of this.sources.values()) {
+            if (indicator && source.indicator === indicator) return source;
+        }
+        return this.sources.get(this.defaultSourceId) || null;
+    }
+
+    /**
+     * Normalize a recording from whichever source produced it. Already
+     * normalized recordings are returned unchanged.
+     */
+    normalize(recording) {
+        if (recording?.normalized) return recording;
+
+        const source = this.resolveFor(recording);
+        if (!source) {
+            throw new Error(`No recording source registered for ${recording?.dataSource || recording?.source || 'unknown'}`);
+        }
+        return source.normalize(recording);
+    }
+}
+
+module.exports = { RecordingSourceRegistry };
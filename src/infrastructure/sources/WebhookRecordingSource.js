@@ -0,0 +1,83 @@
+/**
+ * Zoom recordings delivered by webhook (indicator C). Transformation and
+ * downloads stay in WebhookRecordingAdapter; this wraps them in the
+ * RecordingSource contract.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { RecordingSource, canonicalFileKey } = require('./RecordingSource');
+
+class WebhookRecordingSource extends RecordingSource {
+    constructor({
+        logger,
+        webhookAdapter,
+        queueDir = path.join(process.env.OUTPUT_DIR || './output', 'webhook-queue')
+    }) {
+        super({ id: 'webhook', name: 'Zoom Cloud Recordings (Webhook)', logger });
+        this.webhookAdapter = webhookAdapter;
+        this.queueDir = queueDir;
+    }
+
+    /**
+     * Recordings queued to disk for batch processing
+     */
+    async listRecordings({ limit = 50 } = {}) {
+        let fileNames;
+        try {
+            fileNames = (await fs.readdir(this.queueDir)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const recordings = [];
+        for (const fileName of fileNames.slice(0, limit)) {
+            try {
+                const content = await fs.readFile(path.join(this.queueDir, fileName), 'utf8');
+                recordings.push(this.normalize(JSON.parse(content)));
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable queued webhook recording ${fileName}: ${error.message}`);
+            }
+        }
+        return recordings;
+    }
+
+    /**
+     * Build the recording from a raw webhook body
+     */
+    async fetchMetadata(webhookPayload) {
+        this._requireAdapter();
+        const transformed = await this.webhookAdapter.transformWebhookRecording(webhookPayload);
+        return this.normalize(transformed);
+    }
+
+    /**
+     * Download files with the webhook's download_access_token (falls back to the Zoom API)
+     */
+    async fetchFiles(recording) {
+        this._requireAdapter();
+        const results = await this.webhookAdapter.downloadWebhookRecordingFiles(recording);
+
+        const files = {};
+        for (const result of results) {
+            if (result.success && result.file_path) {
+                files[canonicalFileKey(result.file_type)] = result.file_path;
+            }
+        }
+
+        return {
+            success: results.length === 0 || results.some(result => result.success),
+            files,
+            results
+        };
+    }
+
+    _requireAdapter() {
+        if (!this.webhookAdapter) {
+            throw new Error('WebhookRecordingAdapter not available for the webhook source');
+        }
+    }
+}
+
+module.exports = { WebhookRecordingSource };
@@ -0,0 +1,76 @@
+/**
+ * Zoom cloud recordings fetched through the Zoom API (batch processing, indicator A)
+ */
+
+const path = require('path');
+const { RecordingSource } = require('./RecordingSource');
+const { RecordingUuid } = require('../../core/value-objects');
+
+class ZoomApiRecordingSource extends RecordingSource {
+    constructor({ logger, zoomService, recordingDownloader }) {
+        super({ id: 'zoom-api', name: 'Zoom Cloud Recordings (API)', logger });
+        this.zoomService = zoomService;
+        this.recordingDownloader = recordingDownloader;
+    }
+
+    /**
+     * List recordings between two dates, most recent first.
+     * Options: { from, to, limit }
+     */
+    async listRecordings({ from, to, limit = 50 } = {}) {
+        this._requireZoomService('getAllRecordings');
+
+        const toDate = to || new Date().toISOString().split('T')[0];
+        const fromDate = from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        this.logger.info(`🔍 Fetching recordings from Zoom cloud (${fromDate} to ${toDate})...`);
+        const recordings = await this.zoomService.getAllRecordings(fromDate, toDate) || [];
+
+        return recordings
+            .sort((a, b) => new Date(b.start_time) - new Date(a.start_time))
+            .slice(0, limit)
+            .map(recording => this.normalize(recording));
+    }
+
+    /**
+     * Fetch one recording by UUID
+     */
+    async fetchMetadata(uuid) {
+        this._requireZoomService('getRecordingByUUID');
+
+        const recording = await this.zoomService.getRecordingByUUID(uuid);
+        if (!recording) {
+            throw new Error(`Recording not found in Zoom cloud: ${uuid}`);
+        }
+        return this.normalize(recording);
+    }
+
+    /**
+     * Download the recording's files into outputDir (defaults to OUTPUT_DIR/M:<id>U:<uuid>)
+     */
+    async fetchFiles(recording, { outputDir, skipVideo = false, skipAudio = false } = {}) {
+        if (!this.recordingDownloader) {
+            throw new Error('RecordingDownloader not available - cannot download Zoom files');
+        }
+
+        const targetDir = outputDir || path.join(
+            process.env.OUTPUT_DIR || './output',
+            `M:${recording.id}U:${RecordingUuid.parse(recording.uuid)}`
+        );
+        const result = await this.recordingDownloader.downloadRecordingFiles(recording, targetDir, { skipVideo, skipAudio });
+
+        return {
+            success: !!result.success,
+            files: result.files || {},
+            results: result
+        };
+    }
+
+    _requireZoomService(method) {
+        if (!this.zoomService || typeof this.zoomService[method] !== 'function') {
+            throw new Error(`ZoomService.${method} not available - cannot fetch Zoom recordings`);
+        }
+    }
+}
+
+module.exports = { ZoomApiRecordingSource };
@@ -0,0 +1,27 @@
+const {
+    RecordingSource,
+    normalizeRecording,
+    getSourceIndicator,
+    registerSourceIndicator,
+    canonicalFileKey,
+    SOURCE_INDICATORS
+} = require('./RecordingSource');
+const { RecordingSourceRegistry } = require('./RecordingSourceRegistry');
+const { ZoomApiRecordingSource } = require('./ZoomApiRecordingSource');
+const { WebhookRecordingSource } = require('./WebhookRecordingSource');
+const { DriveRecordingSource } = require('./DriveRecordingSource');
+const { LocalFolderRecordingSource } = require('./LocalFolderRecordingSource');
+
+module.exports = {
+    RecordingSource,
+    RecordingSourceRegistry,
+    ZoomApiRecordingSource,
+    WebhookRecordingSource,
+    DriveRecordingSource,
+    LocalFolderRecordingSource,
+    normalizeRecording,
+    getSourceIndicator,
+    registerSourceIndicator,
+    canonicalFileKey,
+    SOURCE_INDICATORS
+};
@@ -5,6 +5,7 @@ const DriveScanner = require('../drive-source/services/DriveScanner');
 const S3IvylevelScanner = require('../drive-source/services/S3IvylevelScanner');
 const RecordingMatcher = require('../drive-source/services/RecordingMatcherV2');
 const IntegratedDriveProcessorV4 = require('../drive-source/services/IntegratedDriveProcessorV4');
+const { DriveRecordingSource, SOURCE_INDICATORS } = require('../infrastructure/sources');
 
 class RecordingSourceManager {
   constructor(config, services = {}) {
@@ -22,11 +23,17 @@ class RecordingSourceManager {
     
     // Source 3: Drive source (NEW)
     if (this.config.driveSource && this.config.driveSource.enabled) {
+      const processor = new IntegratedDriveProcessorV4(this.config, this.services);
       this.sources.set('drive', {
         name: 'Google Drive Historical Recordings',
-        scanner: new S3IvylevelScanner(this.config),
-        matcher: new RecordingMatcher(),
-        processor: new IntegratedDriveProcessorV4(this.config, this.services),
+        source: new DriveRecordingSource({
+          logger: this.services.logger,
+          scanner: new S3IvylevelScanner(this.config),
+          matcher: new RecordingMatcher(),
+          driveProcessor: processor,
+          scanOptions: this.config.driveSource.scanOptions
+        }),
+        processor,
         enabled: true
       });
     }
@@ -41,6 +48,7 @@ class RecordingSourceManager {
       id: 'zoom-webhook',
       name: 'Zoom Cloud Recordings (Real-time)',
       type: 'webhook',
+      indicator: SOURCE_INDICATORS.webhook,
       enabled: true,
       description: 'Processes recordings from Zoom webhooks'
     });
@@ -49,6 +57,7 @@ class RecordingSourceManager {
       id: 'zoom-batch',
       name: 'Zoom Cloud Recordings (Batch)',
       type: 'batch',
+      indicator: SOURCE_INDICATORS['zoom-api'],
       enabled: true,
       description: 'Batch processes recordings from Zoom API'
     });
@@ -59,6 +68,7 @@ class RecordingSourceManager {
         id: 'drive',
         name: 'Google Drive Historical Recordings',
         type: 'scan',
+        indicator: SOURCE_INDICATORS['google-drive'],
         enabled: true,
         description: 'Scans and processes recordings from Google Drive'
       });
@@ -95,19 +105,10 @@ class RecordingSourceManager {
         targetFolderId = this.config.driveSource.s3IvylevelFolderId;
       }
 
-      const files = await driveSource.scanner.scanFolder(targetFolderId, {
-        maxDepth: this.config.driveSource.scanOptions.maxDepth || 5,
-        minFileSize: this.config.driveSource.scanOptions.minFileSize || 100 * 1024
-      });
+      // Step 2: Group into sessions (scanning and matching live in the Drive recording source)
+      const { files, sessions: validSessions } = await driveSource.source.listSessions({ folderId: targetFolderId });
 
       results.scanned = files.length;
-      console.log(`✅ Found ${files.length} files`);
-
-      // Step 2: Group into sessions
-      console.log('\n📊 Grouping files into sessions...');
-      const sessions = await driveSource.matcher.matchRecordings(files);
-      const { validSessions } = driveSource.matcher.validateSessions(sessions);
-      
       console.log(`✅ Identified ${validSessions.length} valid sessions`);
 
       // Step 3: Process sessions
@@ -178,14 +179,12 @@ class RecordingSourceManager {
     }
 
     console.log(`📁 Scanning ${coachName}'s folder...`);
-    const files = await driveSource.scanner.scanFolder(coachFolderId, {
+    const { files, sessions: validSessions } = await driveSource.source.listSessions({
+      folderId: coachFolderId,
       maxDepth: 3,
       minFileSize: 100 * 1024
     });
 
-    const sessions = await driveSource.matcher.matchRecordings(files);
-    const { validSessions } = driveSource.matcher.validateSessions(sessions);
-
     return {
       coach: coachName,
       folderId: coachFolderId,
@@ -0,0 +1,202 @@
+/**
+ * Transcript
+ *
+ * The one in-memory form of a transcript or chat log: an ordered list of cues
+ * ({ start, end, speaker, text }, times in seconds) parsed from VTT, SRT, Zoom
+ * chat or plain text, with serializers back to each format and the helpers
+ * analyzers share (speaker turns, time slices, speakers, duration).
+ * Transcripts are immutable; helpers return a new Transcript.
+ */
+
+const { detectFormat, parse } = require('./parsers');
+
+class Transcript {
+    constructor(cues = [], { format = null } = {}) {
+        this.cues = cues.map(cue => Object.freeze({ start: null, end: null, speaker: null, ...cue, text: cue.text || '' }));
+        this.format = format;
+        Object.freeze(this.cues);
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {string} content - transcript or chat file content
+     * @param {Object} [options]
+     * @param {'vtt'|'srt'|'chat'|'text'} [options.format] - detected when omitted
+     */
+    static parse(content, { format = null } = {}) {
+        const resolved = format || detectFormat(content);
+        return new Transcript(parse(content, { format: resolved }), { format: resolved });
+    }
+
+    /**
+     * Rebuild from toJSON() output, or from a bare cue array
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        return Array.isArray(data)
+            ? new Transcript(data)
+            : new Transcript(data?.cues || [], { format: data?.format || null });
+    }
+
+    get length() {
+        return this.cues.length;
+    }
+
+    get isEmpty() {
+        return this.cues.length === 0;
+    }
+
+    /**
+     * Named speakers in order of first appearance
+     */
+    get speakers() {
+        return [...new Set(this.cues.map(cue => cue.speaker).filter(Boolean))];
+    }
+
+    /**
+     * Seconds into the recording at which the last cue ends (0 without timings)
+     */
+    get end() {
+        const ends = this.cues.map(cue => (Number.isFinite(cue.end) ? cue.end : cue.start)).filter(Number.isFinite);
+        return ends.length > 0 ? Math.max(...ends) : 0;
+    }
+
+    /**
+     * Seconds from the first cue's start to the last cue's end (0 without timings)
+     */
+    get duration() {
+        const starts = this.cues.map(cue => cue.start).filter(Number.isFinite);
+        return starts.length > 0 ? Math.max(0, this.end - Math.min(...starts)) : 0;
+    }
+
+    /**
+     * Spoken text only, no speakers or timings
+     */
+    get text() {
+        return this.cues.map(cue => cue.text).join(' ');
+    }
+
+    get wordCount() {
+        return this.cues.reduce((count, cue) => count + cue.text.split(/\s+/).filter(Boolean).length, 0);
+    }
+
+    /**
+     * Join consecutive cues by the same speaker into one turn
+     * @param {Object} [options]
+     * @param {number} [options.maxGap] - seconds of silence that still count as one turn
+     */
+    mergeTurns({ maxGap = Infinity } = {}) {
+        const turns = [];
+        for (const cue of this.cues) {
+            const last = turns[turns.length - 1];
+            const gap = last && Number.isFinite(cue.start) && Number.isFinite(last.end) ? cue.start - last.end : 0;
+            if (last && cue.speaker && cue.speaker === last.speaker && gap <= maxGap) {
+                last.text = `${last.text} ${cue.text}`;
+                last.end = Number.isFinite(cue.end) ? cue.end : last.end;
+                last.cueCount++;
+            } else {
+                const { id, ...rest } = cue;
+                turns.push({ ...rest, cueCount: 1 });
+            }
+        }
+        return new Transcript(turns, { format: this.format });
+    }
+
+    /**
+     * Cues overlapping [from, to) seconds; cues without timings are dropped
+     */
+    slice(from = 0, to = Infinity) {
+        return new Transcript(this.cues.filter(cue => {
+            if (!Number.isFinite(cue.start)) return false;
+            const end = Number.isFinite(cue.end) ? cue.end : cue.start;
+            return cue.start < to && (end > from || cue.start >= from);
+        }), { format: this.format });
+    }
+
+    /**
+     * Cues by the given speaker(s)
+     */
+    filterSpeakers(...speakers) {
+        const wanted = new Set(speakers.flat());
+        return new Transcript(this.cues.filter(cue => wanted.has(cue.speaker)), { format: this.format });
+    }
+
+    // ---------------------------------------------------------------------
+    // Serializers
+    // ---------------------------------------------------------------------
+
+    serialize(format) {
+        switch (format) {
+            case 'vtt':
+                return this.toVTT();
+            case 'srt':
+                return this.toSRT();
+            case 'text':
+            case 'txt':
+                return this.toText();
+            case 'json':
+                return JSON.stringify(this.toJSON(), null, 2);
+            default:
+                throw new Error(`Cannot serialize transcript as ${format}`);
+        }
+    }
+
+    toVTT() {
+        const blocks = this._timedCues().map(({ cue, start, end }, i) =>
+            `${i + 1}\n${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${labelled(cue)}`);
+        return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+    }
+
+    toSRT() {
+        const blocks = this._timedCues().map(({ cue, start, end }, i) =>
+            `${i + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${labelled(cue)}`);
+        return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+    }
+
+    /**
+     * One "Speaker: text" line per cue, optionally prefixed with [HH:MM:SS]
+     */
+    toText({ timestamps = false } = {}) {
+        return this.cues.map(cue => {
+            const line = labelled(cue).replace(/\n/g, ' ');
+            return timestamps && Number.isFinite(cue.start)
+                ? `[${formatTimestamp(cue.start).slice(0, 8)}] ${line}`
+                : line;
+        }).join('\n');
+    }
+
+    toJSON() {
+        return { format: this.format, cues: this.cues.map(cue => ({ ...cue })) };
+    }
+
+    /**
+     * VTT and SRT need a time on every cue; untimed cues follow the previous one
+     */
+    _timedCues() {
+        let previous = 0;
+        return this.cues.map(cue => {
+            const start = Number.isFinite(cue.start) ? cue.start : previous;
+            const end = Number.isFinite(cue.end) && cue.end >= start ? cue.end : start;
+            previous = end;
+            return { cue, start, end };
+        });
+    }
+}
+
+/**
+ * Seconds to "HH:MM:SS.mmm" (or "HH:MM:SS,mmm" for SRT)
+ */
+function formatTimestamp(seconds, separator = '.') {
+    const millis = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    const hours = Math.floor(millis / 3600000);
+    const minutes = Math.floor(millis / 60000) % 60;
+    const secs = Math.floor(millis / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+function labelled(cue) {
+    return cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text;
+}
+
+module.exports = { Transcript, formatTimestamp };
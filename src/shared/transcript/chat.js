@@ -0,0 +1,198 @@
+/**
+ * Chat resources
+ *
+ * What a Zoom chat log shares beyond names: links (Google Docs and Drive
+ * links told apart from other URLs), file names, dates and deadlines, and
+ * which messages were private. Works on a Transcript parsed from the chat
+ * export, where each cue is one message and `to` holds the recipient
+ * ("Everyone", "Jenny Duan(Direct Message)", "Huda (privately)").
+ *
+ * Dates without a year, weekdays and "tomorrow" are resolved against the
+ * session date when one is given; otherwise their `date` is null.
+ */
+
+const { formatTimestamp } = require('./Transcript');
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const FILE_PATTERN = /(?:^|[\s"'(])([\w][\w\-.]*\.(pdf|docx?|pptx?|xlsx?|csv|txt|rtf|pages|key|numbers|png|jpe?g|gif|heic|zip|mp4|m4a|mov))(?=$|[\s"'),.;:!?])/gi;
+const DEADLINE_WORDS = /\b(due|deadlines?|by|before|submit|send|turn in|no later than|until|finish)\b/i;
+const PRIVATE_SUFFIX = /\s*\((?:direct message|privately|private)\)\s*$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_PATTERNS = [
+    // "Nov 1", "November 1st, 2024"
+    {
+        pattern: /\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?/gi,
+        resolve: ([, month, day, year], session) => calendarDate(year, MONTHS.indexOf(month.slice(0, 3).toLowerCase()), Number(day), session)
+    },
+    // "2024-11-01"
+    {
+        pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+        resolve: ([, year, month, day]) => calendarDate(year, Number(month) - 1, Number(day))
+    },
+    // "11/1", "11/01/2024" (US order)
+    {
+        pattern: /(?<![\w/])(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?(?![\w/])/g,
+        resolve: ([, month, day, year], session) => calendarDate(year && year.length === 2 ? `20${year}` : year, Number(month) - 1, Number(day), session)
+    },
+    // "Friday", "next Friday", "tomorrow", "tonight", "today"
+    {
+        pattern: /\b(?:(?:next|this)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|tomorrow|tonight|today)\b/gi,
+        resolve: ([, word], session) => relativeDate(word.toLowerCase(), session)
+    }
+];
+
+/**
+ * @param {Transcript} chat - parsed chat export (format 'chat')
+ * @param {Object} [options]
+ * @param {string|Date} [options.sessionDate] - when the session started
+ * @returns {{ messageCount, participants, privateMessages, urls, files, dates, deadlines }}
+ */
+function chatResources(chat, { sessionDate = null } = {}) {
+    const session = toDate(sessionDate);
+    const resources = { messageCount: 0, participants: [], privateMessages: [], urls: [], files: [], dates: [], deadlines: [] };
+    const seenUrls = new Set();
+    const seenFiles = new Set();
+
+    for (const cue of chat.cues) {
+        const message = {
+            time: Number.isFinite(cue.start) ? formatTimestamp(cue.start).slice(0, 8) : null,
+            from: cue.speaker || null,
+            ...recipient(cue.to)
+        };
+        resources.messageCount++;
+        if (message.from && !resources.participants.includes(message.from)) resources.participants.push(message.from);
+        if (message.private) resources.privateMessages.push({ ...message, text: cue.text });
+
+        for (const url of extractUrls(cue.text)) {
+            if (seenUrls.has(url)) continue;
+            seenUrls.add(url);
+            resources.urls.push({ url, kind: linkKind(url), ...message });
+        }
+
+        for (const file of extractFiles(cue.text)) {
+            if (seenFiles.has(file.name.toLowerCase())) continue;
+            seenFiles.add(file.name.toLowerCase());
+            resources.files.push({ ...file, ...message });
+        }
+
+        const dates = extractDates(cue.text, session);
+        resources.dates.push(...dates.map(date => ({ ...date, ...message })));
+        if (dates.length > 0 && DEADLINE_WORDS.test(withoutUrls(cue.text))) {
+            resources.deadlines.push({ date: dates[0].date, dateText: dates[0].text, text: cue.text, ...message });
+        }
+    }
+
+    return resources;
+}
+
+/**
+ * URLs in a message, without trailing punctuation
+ */
+function extractUrls(text) {
+    return (String(text || '').match(URL_PATTERN) || [])
+        .map(url => url.replace(/[.,;:!?)\]]+$/, ''))
+        .map(url => (url.startsWith('www.') ? `https://${url}` : url));
+}
+
+/**
+ * File names like "Kavya_Week28_Essay.docx" mentioned in a message (not in URLs)
+ */
+function extractFiles(text) {
+    const files = [];
+    for (const match of withoutUrls(text).matchAll(FILE_PATTERN)) {
+        files.push({ name: match[1], extension: match[2].toLowerCase() });
+    }
+    return files;
+}
+
+/**
+ * Dates mentioned in a message, in the order they appear
+ * @returns {{ text: string, date: string|null }[]} date as YYYY-MM-DD
+ */
+function extractDates(text, sessionDate = null) {
+    const session = toDate(sessionDate);
+    const source = withoutUrls(text);
+    const found = [];
+    for (const { pattern, resolve } of DATE_PATTERNS) {
+        for (const match of source.matchAll(pattern)) {
+            // Earlier patterns win where two read the same words
+            const end = match.index + match[0].length;
+            if (found.some(date => match.index < date.end && end > date.index)) continue;
+            const date = resolve(match, session);
+            if (date !== undefined) found.push({ index: match.index, end, text: match[0], date });
+        }
+    }
+    return found.sort((a, b) => a.index - b.index).map(({ text: dateText, date }) => ({ text: dateText, date }));
+}
+
+/**
+ * "Jenny Duan(Direct Message)" -> { to: 'Jenny Duan', private: true }
+ */
+function recipient(to) {
+    const name = String(to || '').replace(PRIVATE_SUFFIX, '').trim();
+    if (!name || /^everyone\b/i.test(name)) return { to: 'Everyone', private: false };
+    return { to: name, private: true };
+}
+
+function linkKind(url) {
+    if (/docs\.google\.com\/document/i.test(url)) return 'google-doc';
+    if (/docs\.google\.com\/spreadsheets/i.test(url)) return 'google-sheet';
+    if (/docs\.google\.com\/presentation/i.test(url)) return 'google-slides';
+    if (/docs\.google\.com\/forms|forms\.gle/i.test(url)) return 'google-form';
+    if (/drive\.google\.com/i.test(url)) return 'google-drive';
+    if (/zoom\.us\//i.test(url)) return 'zoom';
+    return 'link';
+}
+
+/**
+ * A calendar date; without a year, the occurrence nearest the session
+ * (null when there is neither a year nor a session date)
+ * @returns {string|null|undefined} undefined when the numbers are not a date
+ */
+function calendarDate(year, month, day, session = null) {
+    if (month < 0 || month > 11 || day < 1 || day > 31) return undefined;
+    if (year) return isoDate(new Date(Date.UTC(Number(year), month, day)), month, day);
+    if (!session) return null;
+
+    const candidates = [-1, 0, 1].map(offset => new Date(Date.UTC(session.getUTCFullYear() + offset, month, day)));
+    const nearest = candidates.reduce((best, date) =>
+        (Math.abs(date - session) < Math.abs(best - session) ? date : best));
+    return isoDate(nearest, month, day);
+}
+
+/**
+ * Weekdays are the first one after the session day ("next Friday" included)
+ */
+function relativeDate(word, session) {
+    if (!session) return null;
+    const day = new Date(Date.UTC(session.getUTCFullYear(), session.getUTCMonth(), session.getUTCDate()));
+    if (word === 'today' || word === 'tonight') return isoDate(day);
+    if (word === 'tomorrow') return isoDate(addDays(day, 1));
+
+    const ahead = (WEEKDAYS.indexOf(word) - day.getUTCDay() + 7) % 7 || 7;
+    return isoDate(addDays(day, ahead));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+// "Feb 30" rolls over in Date; reject it instead
+function isoDate(date, month = date.getUTCMonth(), day = date.getUTCDate()) {
+    if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return undefined;
+    return date.toISOString().slice(0, 10);
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function withoutUrls(text) {
+    return String(text || '').replace(URL_PATTERN, ' ');
+}
+
+module.exports = { chatResources, extractUrls, extractFiles, extractDates };
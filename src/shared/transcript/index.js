@@ -0,0 +1,19 @@
+const { Transcript, formatTimestamp } = require('./Transcript');
+const { FORMATS, detectFormat, parse, parseTimestamp, splitSpeaker } = require('./parsers');
+const { conversationMetrics } = require('./metrics');
+const { chatResources, extractUrls, extractFiles, extractDates } = require('./chat');
+
+module.exports = {
+    Transcript,
+    TRANSCRIPT_FORMATS: FORMATS,
+    detectFormat,
+    parseCues: parse,
+    parseTimestamp,
+    formatTimestamp,
+    splitSpeaker,
+    conversationMetrics,
+    chatResources,
+    extractUrls,
+    extractFiles,
+    extractDates
+};
@@ -0,0 +1,181 @@
+/**
+ * Conversation metrics
+ *
+ * Talk time, turn-taking and interaction numbers computed from cue timings
+ * alone, so the same transcript always gives the same numbers:
+ *
+ *   talk time / ratio    seconds each speaker's cues cover, share of all speech
+ *   turns                runs of cues by one speaker, broken by a silence gap
+ *   longest monologue    longest turn, in seconds
+ *   overlaps             a cue starting before another speaker's cue has ended
+ *   interruptions        overlaps that cut the other speaker off by at least
+ *                        `interruptionThreshold` seconds, counted for the one who cut in
+ *   questions            sentences ending in "?"
+ *   response latency     silence between one speaker's turn and the next speaker's
+ *   silence gaps         stretches of at least `silenceThreshold` seconds nobody speaks
+ *
+ * Untimed transcripts (plain text) still get words, turns and questions; talk
+ * ratios then fall back to word counts.
+ */
+
+const { Transcript } = require('./Transcript');
+
+const DEFAULT_OPTIONS = {
+    silenceThreshold: 3,
+    interruptionThreshold: 1,
+    // Longer pauses are a new topic, not a reply
+    maxResponseLatency: 30
+};
+
+/**
+ * @param {Transcript} transcript - cues may carry a role (see SpeakerResolver)
+ * @param {Object} [options] - see DEFAULT_OPTIONS
+ * @returns {Object} session totals plus `speakers` (per label) and `roles` (per role)
+ */
+function conversationMetrics(transcript, options = {}) {
+    const { silenceThreshold, interruptionThreshold, maxResponseLatency } = { ...DEFAULT_OPTIONS, ...options };
+    const spoken = new Transcript(transcript.cues.filter(cue => cue.speaker), { format: transcript.format });
+    const timed = spoken.cues
+        .filter(cue => Number.isFinite(cue.start))
+        .map(cue => ({ ...cue, end: Number.isFinite(cue.end) && cue.end >= cue.start ? cue.end : cue.start }))
+        .sort((a, b) => a.start - b.start);
+    const isTimed = timed.length > 0;
+
+    const stats = new Map();
+    const statsFor = cue => {
+        if (!stats.has(cue.speaker)) {
+            stats.set(cue.speaker, {
+                speaker: cue.speaker,
+                role: cue.role || null,
+                talkTime: 0,
+                words: 0,
+                turns: 0,
+                longestMonologue: 0,
+                questions: 0,
+                interruptions: 0,
+                interrupted: 0,
+                latencies: []
+            });
+        }
+        return stats.get(cue.speaker);
+    };
+
+    for (const cue of spoken.cues) {
+        const entry = statsFor(cue);
+        entry.words += cue.text.split(/\s+/).filter(Boolean).length;
+        entry.questions += countQuestions(cue.text);
+    }
+
+    // Turns and the pause before each reply
+    const turns = spoken.mergeTurns({ maxGap: silenceThreshold }).cues;
+    turns.forEach((turn, i) => {
+        const entry = statsFor(turn);
+        entry.turns++;
+        if (Number.isFinite(turn.start) && Number.isFinite(turn.end)) {
+            entry.longestMonologue = Math.max(entry.longestMonologue, turn.end - turn.start);
+        }
+        const previous = turns[i - 1];
+        if (previous && previous.speaker !== turn.speaker && Number.isFinite(turn.start) && Number.isFinite(previous.end)) {
+            const latency = Math.max(0, turn.start - previous.end);
+            if (latency <= maxResponseLatency) entry.latencies.push(latency);
+        }
+    });
+
+    // Talk time, overlaps and silence from the timeline
+    let overlapCount = 0;
+    let overlapSeconds = 0;
+    const silences = [];
+    let active = null;
+    for (const cue of timed) {
+        statsFor(cue).talkTime += cue.end - cue.start;
+
+        if (active && active.speaker !== cue.speaker && active.end > cue.start) {
+            overlapCount++;
+            overlapSeconds += Math.min(active.end, cue.end) - cue.start;
+            if (active.end - cue.start >= interruptionThreshold) {
+                statsFor(cue).interruptions++;
+                statsFor(active).interrupted++;
+            }
+        } else if (active && cue.start - active.end >= silenceThreshold) {
+            silences.push(cue.start - active.end);
+        }
+        if (!active || cue.end > active.end) active = cue;
+    }
+
+    const speakers = [...stats.values()];
+    const basis = isTimed ? 'talkTime' : 'words';
+    const totalTalk = sum(speakers.map(entry => entry[basis]));
+    const allLatencies = speakers.flatMap(entry => entry.latencies);
+
+    return {
+        timed: isTimed,
+        duration: round(spoken.duration),
+        speakerCount: speakers.length,
+        turnCount: turns.length,
+        questionCount: sum(speakers.map(entry => entry.questions)),
+        overlapCount,
+        overlapSeconds: round(overlapSeconds),
+        interruptionCount: sum(speakers.map(entry => entry.interruptions)),
+        averageResponseLatency: average(allLatencies),
+        silence: {
+            threshold: silenceThreshold,
+            count: silences.length,
+            totalSeconds: round(sum(silences)),
+            longestSeconds: round(Math.max(0, ...silences))
+        },
+        speakers: speakers.map(({ latencies, ...entry }) => ({
+            ...entry,
+            talkTime: round(entry.talkTime),
+            talkRatio: ratio(entry[basis], totalTalk),
+            longestMonologue: round(entry.longestMonologue),
+            averageResponseLatency: average(latencies)
+        })),
+        roles: byRole(speakers, basis, totalTalk)
+    };
+}
+
+/**
+ * Speakers of the same role added together ("coach", "student", "parent")
+ */
+function byRole(speakers, basis, totalTalk) {
+    const roles = {};
+    for (const entry of speakers) {
+        if (!entry.role) continue;
+        const role = roles[entry.role] || (roles[entry.role] = { speakers: [], talkTime: 0, words: 0, turns: 0, questions: 0, longestMonologue: 0, interruptions: 0 });
+        role.speakers.push(entry.speaker);
+        role.talkTime += entry.talkTime;
+        role.words += entry.words;
+        role.turns += entry.turns;
+        role.questions += entry.questions;
+        role.interruptions += entry.interruptions;
+        role.longestMonologue = Math.max(role.longestMonologue, entry.longestMonologue);
+    }
+    for (const role of Object.values(roles)) {
+        role.talkRatio = ratio(role[basis], totalTalk);
+        role.talkTime = round(role.talkTime);
+        role.longestMonologue = round(role.longestMonologue);
+    }
+    return roles;
+}
+
+function countQuestions(text) {
+    return (text.match(/[^.!?]*\?+/g) || []).length;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function average(values) {
+    return values.length > 0 ? round(sum(values) / values.length) : null;
+}
+
+function ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+module.exports = { conversationMetrics, DEFAULT_OPTIONS };
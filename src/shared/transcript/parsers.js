@@ -0,0 +1,199 @@
+/**
+ * Transcript parsers
+ *
+ * Every format is read into the same cue model:
+ *   { start, end, speaker, text }    start/end in seconds (null when unknown)
+ * plus `id` for VTT/SRT cue identifiers and `to` for chat messages.
+ *
+ * Supported formats:
+ *   vtt   - WEBVTT; multi-line cues, "Name: text" and <v Name> speakers
+ *   srt   - numbered cues with comma millisecond separators
+ *   chat  - Zoom chat export, "HH:MM:SS\tName:\ttext", "HH:MM:SS From Name : text" or
+ *           "HH:MM:SS From Name to Everyone:" with the message on the next lines
+ *   text  - plain text, one utterance per line, or Zoom's
+ *           "[Name] HH:MM:SS" header followed by what they said
+ */
+
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+const CHAT_HEADER = /^(\d{1,2}:\d{2}:\d{2})\s+(?:From\s+(.+?)\s+to\s+(.+?)|From\s+([^:\t]+?)|([^:\t]+?))\s*:\s*(.*)$/;
+const TEXT_HEADER = /^\[([^\]]+)\]\s+(\d{1,2}:\d{2}:\d{2})\s*$/;
+const VOICE_TAG = /^<v(?:\.[^\s>]+)*\s+([^>]+)>(.*?)(?:<\/v>)?$/;
+const SPEAKER_PREFIX = /^([^:\n]{1,60}?):\s+(.*)$/;
+const BRACKET_SPEAKER = /^\[([^\]]{1,60})\]\s+(.+)$/;
+
+// Longer prefixes are sentences with a colon in them, not names
+const MAX_SPEAKER_WORDS = 5;
+
+const FORMATS = ['vtt', 'srt', 'chat', 'text'];
+
+/**
+ * Best guess at the format of transcript content
+ * @returns {'vtt'|'srt'|'chat'|'text'}
+ */
+function detectFormat(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('WEBVTT')) return 'vtt';
+
+    const timing = text.match(new RegExp(TIMING_LINE.source, 'm'));
+    if (timing) return timing[1].includes(',') ? 'srt' : 'vtt';
+
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    if (CHAT_HEADER.test(firstLine)) return 'chat';
+
+    return 'text';
+}
+
+/**
+ * Parse content of a known or detected format into cues
+ */
+function parse(content, { format = null } = {}) {
+    const resolved = format || detectFormat(content);
+    switch (resolved) {
+        case 'vtt':
+        case 'srt':
+            return parseCueBlocks(content);
+        case 'chat':
+            return parseChat(content);
+        case 'text':
+            return parseText(content);
+        default:
+            throw new Error(`Unknown transcript format: ${resolved}`);
+    }
+}
+
+/**
+ * VTT and SRT: a timing line opens a cue, a blank line closes it. Lines outside
+ * a cue (WEBVTT header, NOTE/STYLE blocks, cue numbers) only ever name the next cue.
+ */
+function parseCueBlocks(content) {
+    const cues = [];
+    let cue = null;
+    let pendingId = null;
+
+    for (const rawLine of lines(content)) {
+        const line = rawLine.trim();
+        const timing = line.match(TIMING_LINE);
+
+        if (timing) {
+            cue = { start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), speaker: null, text: '' };
+            if (pendingId) cue.id = pendingId;
+            cues.push(cue);
+            pendingId = null;
+        } else if (!line) {
+            cue = null;
+            pendingId = null;
+        } else if (cue) {
+            appendLine(cue, line);
+        } else if (!/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(line)) {
+            pendingId = line;
+        }
+    }
+
+    return cues.filter(entry => entry.text);
+}
+
+/**
+ * Zoom chat export. Messages have no end time, so end = start.
+ */
+function parseChat(content) {
+    const cues = [];
+    let cue = null;
+
+    for (const rawLine of lines(content)) {
+        const header = rawLine.trim() ? rawLine.match(CHAT_HEADER) : null;
+        if (header) {
+            const [, time, from, to, sender, name, message] = header;
+            const start = parseTimestamp(time);
+            cue = { start, end: start, speaker: (from || sender || name).trim(), text: message.trim() };
+            if (to) cue.to = to.trim();
+            cues.push(cue);
+        } else if (cue && rawLine.trim()) {
+            cue.text = cue.text ? `${cue.text}\n${rawLine.trim()}` : rawLine.trim();
+        }
+    }
+
+    return cues.filter(entry => entry.text);
+}
+
+/**
+ * Plain text: each line is an utterance unless a "[Name] HH:MM:SS" header
+ * says who is speaking until the next header
+ */
+function parseText(content) {
+    const cues = [];
+    let current = null;
+
+    for (const rawLine of lines(content)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const header = line.match(TEXT_HEADER);
+        if (header) {
+            current = { start: parseTimestamp(header[2]), end: null, speaker: header[1].trim(), text: '' };
+            cues.push(current);
+        } else if (current && !current.text) {
+            current.text = line;
+        } else if (current && !splitSpeaker(line).speaker) {
+            current.text += ` ${line}`;
+        } else {
+            current = null;
+            cues.push({ start: null, end: null, ...splitSpeaker(line) });
+        }
+    }
+
+    return cues.filter(entry => entry.text);
+}
+
+/**
+ * "Jenny Duan: text", "<v Jenny Duan>text</v>" or "[Jenny Duan] text"
+ * @returns {{ speaker: string|null, text: string }}
+ */
+function splitSpeaker(line) {
+    const match = line.match(VOICE_TAG) || line.match(BRACKET_SPEAKER) || line.match(SPEAKER_PREFIX);
+    if (match) {
+        const speaker = match[1].trim();
+        if (speaker && !/^\d+$/.test(speaker) && speaker.split(/\s+/).length <= MAX_SPEAKER_WORDS) {
+            return { speaker, text: stripTags(match[2]) };
+        }
+    }
+    return { speaker: null, text: stripTags(line) };
+}
+
+/**
+ * "01:02:03.450", "02:03,450", "01:02:03" to seconds; null if unreadable
+ */
+function parseTimestamp(value) {
+    const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+    const millis = ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(fraction.padEnd(3, '0'));
+    return millis / 1000;
+}
+
+function appendLine(cue, line) {
+    if (!cue.text) {
+        Object.assign(cue, splitSpeaker(line));
+    } else {
+        cue.text += ` ${stripTags(line)}`;
+    }
+}
+
+function stripTags(text) {
+    return text.replace(/<\/?[a-z][^>]*>/gi, '').trim();
+}
+
+function lines(content) {
+    return String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    parse,
+    parseCueBlocks,
+    parseChat,
+    parseText,
+    parseTimestamp,
+    splitSpeaker
+};
@@ -8,11 +8,26 @@
  * 4. MISC hosts (Ivylevel/Siraj) without student → MISC_
  * 5. TRIVIAL sessions (MISC + duration < 15min) → TRIVIAL_
  * 6. Other cases → contextual decision
+ *
+ * A session type in data/manual-overrides.json beats all of the above.
  */
 
+const { ManualOverrideRegistry, OVERRIDE_SOURCE } = require('../infrastructure/services/ManualOverrideRegistry');
+
+// Override session types (standardizer vocabulary) → categories returned here
+const OVERRIDE_CATEGORIES = {
+    Coaching: 'Coaching',
+    GamePlan: 'Coaching_GamePlan',
+    SAT: 'SAT',
+    MISC: 'MISC',
+    TRIVIAL: 'TRIVIAL',
+    NO_SHOW: 'NO_SHOW'
+};
+
 class RecordingCategorizer {
-    constructor(logger) {
+    constructor(logger, overrideRegistry = null) {
         this.logger = logger || console;
+        this.overrides = overrideRegistry || ManualOverrideRegistry.getDefault();
         
         // Define ADMIN/MANAGEMENT accounts (NOT coaches/students)
         this.adminAccounts = [
@@ -55,6 +70,13 @@ class RecordingCategorizer {
         
         this.logger.debug('Categorizing:', { coach, student, topic, duration });
         
+        // Rule 0: Manual override for this recording or meeting
+        const override = this.findOverride(recording);
+        if (override) {
+            this.logger.info(`Rule 0 matched: Manual override (${override.key}) → ${OVERRIDE_CATEGORIES[override.sessionType]}`);
+            return OVERRIDE_CATEGORIES[override.sessionType];
+        }
+        
         // Rule 1: Game Plan Session → Special Coaching
         if (this.isGamePlanSession(topic, components)) {
             this.logger.info('Rule 1 matched: Game Plan Session → Coaching_GamePlan');
@@ -108,6 +130,28 @@ class RecordingCategorizer {
         return 'MISC';
     }
     
+    /**
+     * categorize() plus where the category came from:
+     * 'manual-override' or 'rules'
+     */
+    categorizeWithSource(components, recording = {}) {
+        return {
+            category: this.categorize(components, recording),
+            source: this.findOverride(recording) ? OVERRIDE_SOURCE : 'rules'
+        };
+    }
+    
+    /**
+     * Manual override that sets a session type for this recording, or null
+     */
+    findOverride(recording = {}) {
+        const override = this.overrides.find({
+            uuid: recording.uuid || recording.originalUuid,
+            meetingId: recording.meeting_id || recording.meetingId || recording.id
+        });
+        return override && override.sessionType ? override : null;
+    }
+    
     /**
      * Check if this is a Game Plan session
      */
@@ -3,6 +3,10 @@ require('dotenv').config();
 const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
+const { StandardizedName } = require('./src/core/value-objects');
+
+// How recording folders were recognized before the name grammar; kept for names it cannot parse
+const LEGACY_UUID_IDENTIFIER = /U[_:]([A-Za-z0-9+/=]+)/;
 
 class DriveFileStandardizer {
     constructor() {
@@ -13,6 +17,7 @@ class DriveFileStandardizer {
             totalFiles: 0,
             filesRenamed: 0,
             filesSkipped: 0,
+            folderMigrations: [],
             errors: []
         };
         this.dryRun = true; // Set to false to actually rename files
@@ -54,10 +59,16 @@ class DriveFileStandardizer {
             console.log(`   Progress: ${this.stats.totalFolders} folders scanned...`);
         }
         
-        // Check if this is a recording folder (contains UUID pattern)
-        const isRecordingFolder = /U[_:]([A-Za-z0-9+/=]+)/.test(folderName);
+        // Check if this is a recording folder (a standardized name carrying a UUID,
+        // or an older name outside the grammar that still has a U: identifier)
+        const parsedFolder = StandardizedName.tryParse(folderName);
+        const isRecordingFolder = !!parsedFolder?.name.uuid || LEGACY_UUID_IDENTIFIER.test(folderName);
         
         if (isRecordingFolder) {
+            if (!parsedFolder?.canonical) {
+                const migration = StandardizedName.migrate(folderName);
+                this.stats.folderMigrations.push({ folderId, ...migration });
+            }
             await this.processRecordingFolder(folderId, folderName);
         }
         
@@ -152,8 +163,8 @@ class DriveFileStandardizer {
     }
 
     createStandardizedName(folderName, fileName) {
-        // If file already starts with a similar pattern, extract just the file type
-        if (fileName.includes('_M_') && fileName.includes('U_')) {
+        // If file already carries an (older) standardized name, extract just the file type
+        if (StandardizedName.tryParse(fileName)?.name.uuid || (fileName.includes('_M_') && fileName.includes('U_'))) {
             // Extract just the file extension and type
             const extension = path.extname(fileName);
             const fileType = this.getFileTypeFromName(fileName);
@@ -202,6 +213,10 @@ class DriveFileStandardizer {
         console.log(`Total files found: ${this.stats.totalFiles}`);
         console.log(`Files ${this.dryRun ? 'to be' : ''} renamed: ${this.stats.filesRenamed}`);
         console.log(`Files already standardized: ${this.stats.filesSkipped}`);
+        console.log(`Folders with non-canonical names: ${this.stats.folderMigrations.length}`);
+        for (const migration of this.stats.folderMigrations.slice(0, 10)) {
+            console.log(`- ${migration.from} → ${migration.to || '(outside the naming grammar, left as is)'} (${migration.issues.join(', ')})`);
+        }
         
         if (this.stats.errors.length > 0) {
             console.log(`\n❌ Errors encountered: ${this.stats.errors.length}`);
@@ -226,8 +241,10 @@ class DriveFileStandardizer {
                 totalFiles: this.stats.totalFiles,
                 filesRenamed: this.stats.filesRenamed,
                 filesSkipped: this.stats.filesSkipped,
+                folderMigrations: this.stats.folderMigrations.length,
                 errors: this.stats.errors.length
             },
+            folderMigrations: this.stats.folderMigrations,
             errors: this.stats.errors
         }, null, 2));
         
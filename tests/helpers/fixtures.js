@@ -0,0 +1,62 @@
+/**
+ * Fixtures shared by the unit tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Zoom recording UUIDs; OTHER_UUID has a '/' like the UUIDs Zoom needs double-encoded
+const UUID = '4444AAAIQme3n+FOlpmMVw==';
+const OTHER_UUID = 'ab/dAAAIQme3n+FOlpmMVw==';
+
+/**
+ * A fresh temporary directory per test, removed after it. Call at the top of
+ * a describe block, before any beforeEach that uses the directory.
+ * @param {string} prefix - e.g. 'webhook-ledger-'
+ * @returns {Function} returns the current test's directory
+ */
+function useTmpDir(prefix) {
+    let dir = null;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return () => dir;
+}
+
+/**
+ * A reconciliation inventory item (Zoom recording, Drive folder or Sheet row)
+ */
+const item = (source, fields) => ({
+    source,
+    kind: source === 'drive' ? 'folder' : 'recording',
+    ref: `${source}-${fields.uuid || fields.meetingId || fields.name}`,
+    uuid: null,
+    meetingId: null,
+    date: null,
+    name: null,
+    topic: null,
+    coach: null,
+    student: null,
+    fileTypes: [],
+    details: {},
+    ...fields
+});
+
+/**
+ * A WebVTT transcript with one 30-second cue per line, a minute apart
+ */
+const vtt = lines => `WEBVTT\n\n${lines.map((line, i) => {
+    const minute = String(i).padStart(2, '0');
+    return `${i + 1}\n00:${minute}:00.000 --> 00:${minute}:30.000\n${line}`;
+}).join('\n\n')}\n`;
+
+module.exports = { silentLogger, useTmpDir, UUID, OTHER_UUID, item, vtt };
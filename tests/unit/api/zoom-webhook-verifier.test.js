@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const {
+    createZoomWebhookVerifier,
+    computeSignature,
+    loadWebhookSecrets,
+    REJECTION_REASONS
+} = require('../../../src/api/middleware/zoom-webhook-verifier');
+
+const silentLogger = { info: () => {}, warn: jest.fn(), error: () => {} };
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const signedRequest = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    const rawBody = JSON.stringify(body);
+    return {
+        body,
+        rawBody,
+        headers: {
+            'x-zm-request-timestamp': String(timestamp),
+            'x-zm-signature': computeSignature(secret, timestamp, rawBody)
+        }
+    };
+};
+
+describe('zoom webhook verifier', () => {
+    const body = { event: 'recording.completed', payload: { object: { uuid: 'abc==' } } };
+
+    test('accepts either secret while a rotation is in progress', () => {
+        const verifier = createZoomWebhookVerifier({ logger: silentLogger, secrets: ['new-secret', 'old-secret'] });
+
+        for (const secret of ['new-secret', 'old-secret']) {
+            const next = jest.fn();
+            const req = signedRequest(body, secret);
+            verifier(req, mockResponse(), next);
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(req.zoomWebhook.verified).toBe(true);
+        }
+    });
+
+    test('rejects bad signatures and stale timestamps with a logged reason', () => {
+        const verifier = createZoomWebhookVerifier({ logger: silentLogger, secrets: ['secret'], toleranceSeconds: 300 });
+
+        const forged = signedRequest(body, 'other-secret');
+        const res = mockResponse();
+        verifier(forged, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json.mock.calls[0][0].reason).toBe(REJECTION_REASONS.SIGNATURE_MISMATCH);
+
+        const stale = signedRequest(body, 'secret', Math.floor(Date.now() / 1000) - 3600);
+        const staleRes = mockResponse();
+        verifier(stale, staleRes, jest.fn());
+        expect(staleRes.json.mock.calls[0][0].reason).toBe(REJECTION_REASONS.STALE_TIMESTAMP);
+        expect(silentLogger.warn).toHaveBeenCalled();
+    });
+
+    test('answers the endpoint.url_validation challenge', () => {
+        const verifier = createZoomWebhookVerifier({ logger: silentLogger, secrets: ['secret'] });
+        const res = mockResponse();
+        verifier({ body: { event: 'endpoint.url_validation', payload: { plainToken: 'plain' } }, headers: {} }, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0]).toEqual({
+            plainToken: 'plain',
+            encryptedToken: crypto.createHmac('sha256', 'secret').update('plain').digest('hex')
+        });
+    });
+
+    test('loads the rotation list and the single-secret variable', () => {
+        expect(loadWebhookSecrets({
+            ZOOM_WEBHOOK_SECRET_TOKENS: 'new, old',
+            ZOOM_WEBHOOK_SECRET_TOKEN: 'old'
+        })).toEqual(['new', 'old']);
+    });
+
+    test('checks handler signatures against ZOOM_WEBHOOK_TIMESTAMP_TOLERANCE', () => {
+        const config = require('../../../src/config');
+        const { ZoomWebhookHandler } = require('../../../src/api/webhooks/zoom-webhook-handler');
+        const previous = { secret: process.env.ZOOM_WEBHOOK_SECRET_TOKEN, tolerance: config.zoom.webhookTimestampTolerance };
+        process.env.ZOOM_WEBHOOK_SECRET_TOKEN = 'secret';
+        // validateSignature uses no instance state (the constructor needs the app's logger)
+        const validateSignature = req => ZoomWebhookHandler.prototype.validateSignature.call(null, req);
+        const twoMinutesOld = signedRequest(body, 'secret', Math.floor(Date.now() / 1000) - 120);
+
+        try {
+            config.zoom.webhookTimestampTolerance = 60;
+            expect(() => validateSignature(twoMinutesOld)).toThrow('Invalid webhook signature');
+            config.zoom.webhookTimestampTolerance = 600;
+            expect(() => validateSignature(twoMinutesOld)).not.toThrow();
+        } finally {
+            config.zoom.webhookTimestampTolerance = previous.tolerance;
+            if (previous.secret === undefined) delete process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
+            else process.env.ZOOM_WEBHOOK_SECRET_TOKEN = previous.secret;
+        }
+    });
+});
@@ -0,0 +1,126 @@
+const {
+    ReconciliationEngine,
+    ReconciliationInventoryLoader,
+    ReconciliationReport,
+    RECONCILIATION_CATEGORIES,
+    MATCH_METHODS
+} = require('../../../src/application/reconciliation');
+const { UUID, OTHER_UUID, item } = require('../../helpers/fixtures');
+
+const HEX = 'e38e380000084267b79fe14e96998c57';
+
+describe('ReconciliationEngine', () => {
+    test('matches by UUID, then meeting ID and date, then fuzzy name', () => {
+        const engine = new ReconciliationEngine({ logger: { info: jest.fn() } });
+        const result = engine.reconcile({
+            zoom: [
+                item('zoom', { uuid: UUID, meetingId: '123', date: '2024-01-01', topic: 'Jenny & Huda', fileTypes: ['video', 'transcript'] }),
+                item('zoom', { uuid: OTHER_UUID, meetingId: '123', date: '2024-01-02', topic: 'Jenny & Huda' })
+            ],
+            drive: [
+                item('drive', { ref: 'folder-1', uuid: UUID, meetingId: '123', date: '2024-01-01', coach: 'Jenny', student: 'Huda', fileTypes: ['video', 'transcript'] })
+            ],
+            sheets: [
+                item('sheets', { ref: 'Zoom API - Standardized!2', uuid: HEX, details: { tab: 'Zoom API - Standardized' } }),
+                item('sheets', { ref: 'Drive Import - Standardized!2', meetingId: '555', date: '2024-02-01', details: { tab: 'Drive Import - Standardized' } }),
+                item('sheets', { ref: 'Webhook - Standardized!2', date: '2024-03-01', name: 'Rishi Aarav SAT prep', details: { tab: 'Webhook - Standardized' } })
+            ],
+            local: [
+                item('local', { ref: 'output/M:555', meetingId: '555', date: '2024-02-02' }),
+                item('local', { ref: 'output/rishi', date: '2024-03-01', name: 'Rishi Aarav' })
+            ]
+        });
+
+        const byKey = Object.fromEntries(result.recordings.map(recording => [recording.key, recording]));
+        expect(byKey[UUID].sources).toEqual(['drive', 'sheets', 'zoom']);
+        expect(byKey[UUID].matchedBy).toEqual([MATCH_METHODS.UUID]);
+        expect(byKey[OTHER_UUID].sources).toEqual(['zoom']);
+        expect(byKey['M:555@2024-02-01'].matchedBy).toEqual([MATCH_METHODS.MEETING_DATE]);
+
+        const fuzzy = result.recordings.find(recording => recording.matchedBy.includes(MATCH_METHODS.FUZZY_NAME));
+        expect(fuzzy.sources).toEqual(['local', 'sheets']);
+        expect(fuzzy.confidence).toBe(0.67);
+        expect(result.summary.recordings).toBe(4);
+    });
+
+    test('categorizes discrepancies and writes CSV and HTML', () => {
+        const engine = new ReconciliationEngine();
+        const result = engine.reconcile({
+            zoom: [
+                item('zoom', { uuid: UUID, meetingId: '1', date: '2024-01-01', fileTypes: ['video', 'audio', 'chat'] }),
+                item('zoom', { uuid: OTHER_UUID, meetingId: '2', date: '2024-01-01' })
+            ],
+            drive: [
+                item('drive', { ref: 'folder-a', uuid: UUID, fileTypes: ['video'] }),
+                item('drive', { ref: 'folder-b', uuid: UUID, fileTypes: ['audio'] }),
+                item('drive', { ref: 'folder-orphan', meetingId: '9', date: '2023-05-05', name: 'Coaching_A_Jenny_Huda_Wk01_2023-05-05_M:9U:x' }),
+                item('drive', { ref: 'shortcut-ok', kind: 'shortcut', uuid: UUID, details: { targetId: 'folder-a' } }),
+                item('drive', { ref: 'shortcut-dead', kind: 'shortcut', meetingId: '8', details: { targetId: 'gone' } })
+            ],
+            sheets: [
+                item('sheets', { ref: 'Tab!2', meetingId: '7', date: '2022-01-01', name: 'Old, "quoted" <row>', details: { tab: 'Tab' } })
+            ]
+        });
+
+        const categories = result.findings.map(finding => [finding.category, finding.refs.join('|')]);
+        expect(categories).toEqual(expect.arrayContaining([
+            [RECONCILIATION_CATEGORIES.DUPLICATE, 'folder-a|folder-b'],
+            [RECONCILIATION_CATEGORIES.MISSING_FILE_TYPE, 'folder-a|folder-b'],
+            [RECONCILIATION_CATEGORIES.MISSING_IN_DRIVE, `zoom-${OTHER_UUID}`],
+            [RECONCILIATION_CATEGORIES.ORPHAN_FOLDER, 'folder-orphan'],
+            [RECONCILIATION_CATEGORIES.ORPHAN_FOLDER, 'shortcut-dead'],
+            [RECONCILIATION_CATEGORIES.SHEET_ONLY, 'Tab!2']
+        ]));
+        expect(result.findings).toHaveLength(6);
+        expect(result.findings.find(finding => finding.missingFileTypes).missingFileTypes).toEqual(['chat']);
+        expect(result.summary.categories).toEqual({
+            'missing-in-drive': 1,
+            'orphan-folder': 2,
+            'missing-file-type': 1,
+            'sheet-only': 1,
+            'duplicate': 1
+        });
+
+        const report = new ReconciliationReport(result, { generatedAt: '2024-06-01T00:00:00.000Z' });
+        const csv = report.toCSV().trim().split('\n');
+        expect(csv[0]).toBe('category,key,uuid,meetingId,date,name,sources,matchedBy,confidence,detail,refs');
+        expect(csv.find(line => line.startsWith('sheet-only'))).toContain('"Old, ""quoted"" <row>"');
+        expect(report.toHTML()).toContain('Old, &quot;quoted&quot; &lt;row&gt;');
+        expect(report.toJSON().recordings[0].drive).toEqual(['folder-a', 'folder-b']);
+    });
+});
+
+describe('ReconciliationInventoryLoader', () => {
+    test('walks Drive below the configured roots', async () => {
+        const tree = {
+            root: [
+                { id: 'coach', name: 'Coach Jenny', mimeType: 'application/vnd.google-apps.folder' },
+                { id: 'sc', name: `Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}`, mimeType: 'application/vnd.google-apps.shortcut', shortcutDetails: { targetId: 'session', targetMimeType: 'application/vnd.google-apps.folder' } }
+            ],
+            coach: [
+                { id: 'session', name: `Coaching_A_Jenny_Huda_Wk05_2024-01-01_M_123U_${UUID}`, mimeType: 'application/vnd.google-apps.folder' }
+            ],
+            session: [
+                { id: 'f1', name: 'Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:x_video.mp4', mimeType: 'video/mp4' },
+                { id: 'f2', name: 'chat.txt', mimeType: 'text/plain' }
+            ]
+        };
+        const googleDriveService = { listFolder: jest.fn(async id => tree[id] || []) };
+        const loader = new ReconciliationInventoryLoader({
+            logger: { info: jest.fn(), warn: jest.fn() },
+            config: { google: { drive: { recordingsRootFolderId: 'root' } } },
+            googleDriveService
+        });
+
+        const items = await loader.loadDrive();
+
+        expect(items.map(entry => [entry.kind, entry.ref, entry.uuid, entry.meetingId])).toEqual([
+            ['shortcut', 'sc', UUID, '123'],
+            ['folder', 'session', UUID, '123']
+        ]);
+        expect(items[1].fileTypes).toEqual(['video', 'chat']);
+        expect(items[0].details.targetId).toBe('session');
+        expect(ReconciliationInventoryLoader.identityFromName(`M:123U:${UUID}`)).toEqual(expect.objectContaining({ uuid: UUID, meetingId: '123' }));
+        expect(ReconciliationInventoryLoader.identityFromName('Coach Jenny')).toBeNull();
+    });
+});
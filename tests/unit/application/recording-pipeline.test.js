@@ -0,0 +1,106 @@
+const { RecordingPipeline, StageCheckpointStore } = require('../../../src/application/pipeline');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+describe('RecordingPipeline', () => {
+    const checkpointDir = useTmpDir('pipeline-checkpoints-');
+    let checkpointStore;
+    let calls;
+    let failSheets;
+
+    const buildPipeline = () => new RecordingPipeline({
+        logger: silentLogger,
+        checkpointStore,
+        stages: [
+            {
+                name: 'download',
+                outputs: ['files'],
+                run: async () => {
+                    calls.push('download');
+                    return { files: { transcript: '/tmp/t.vtt' } };
+                }
+            },
+            {
+                name: 'ai',
+                inputs: ['files'],
+                outputs: ['insights'],
+                run: async () => {
+                    calls.push('ai');
+                    return { insights: { summary: `run ${calls.length}` } };
+                }
+            },
+            {
+                name: 'record',
+                inputs: ['insights'],
+                checkpoint: false,
+                run: async context => {
+                    calls.push('record');
+                    return { row: { summary: context.insights.summary } };
+                }
+            },
+            {
+                name: 'sheets',
+                inputs: ['row'],
+                outputs: ['sheetsUpdated'],
+                optional: true,
+                run: async () => {
+                    calls.push('sheets');
+                    if (failSheets) throw new Error('quota exceeded');
+                    return { sheetsUpdated: true };
+                }
+            }
+        ]
+    });
+
+    const newContext = () => ({ recording: { uuid: 'abc/def+==' } });
+
+    beforeEach(async () => {
+        checkpointStore = new StageCheckpointStore({ logger: silentLogger, checkpointDir: checkpointDir() });
+        calls = [];
+        failSheets = false;
+    });
+
+    test('resumes from the stage that failed instead of starting over', async () => {
+        failSheets = true;
+        const first = await buildPipeline().run(newContext());
+        expect(first.stages.find(stage => stage.name === 'sheets')).toEqual(expect.objectContaining({ status: 'failed', error: 'quota exceeded' }));
+
+        failSheets = false;
+        calls = [];
+        const second = await buildPipeline().run(newContext());
+
+        expect(calls).toEqual(['record', 'sheets']);
+        expect(second.context.insights).toEqual({ summary: 'run 2' });
+        expect(second.stages.map(stage => stage.status)).toEqual(['restored', 'restored', 'completed', 'completed']);
+    });
+
+    test('reruns only the selected stages and restores the rest', async () => {
+        await buildPipeline().run(newContext());
+        calls = [];
+
+        const pipeline = buildPipeline();
+        const { context } = await pipeline.run(newContext(), { stages: pipeline.parseStageList('ai,sheets') });
+
+        expect(calls).toEqual(['ai', 'record', 'sheets']);
+        expect(context.files).toEqual({ transcript: '/tmp/t.vtt' });
+        expect(context.row).toEqual({ summary: 'run 1' });
+    });
+
+    test('starts over once every stage has completed, and validates stage names', async () => {
+        const pipeline = buildPipeline();
+        await pipeline.run(newContext());
+        expect((await pipeline.getStatus('abc/def+==')).isComplete).toBe(true);
+
+        calls = [];
+        await pipeline.run(newContext());
+        expect(calls).toEqual(['download', 'ai', 'record', 'sheets']);
+
+        expect(() => pipeline.parseStageList('ai,drive')).toThrow('Unknown pipeline stage(s): drive');
+    });
+
+    test('refuses to rerun a stage whose inputs were never checkpointed', async () => {
+        const pipeline = buildPipeline();
+
+        await expect(pipeline.run(newContext(), { stages: ['ai'] }))
+            .rejects.toThrow('Stage "download" has not completed for abc/def+==');
+    });
+});
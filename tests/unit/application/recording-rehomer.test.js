@@ -0,0 +1,139 @@
+const { RecordingRehomer, REHOME_STEPS } = require('../../../src/application/services/RecordingRehomer');
+const DriveOrganizer = require('../../../src/infrastructure/services/DriveOrganizer');
+const { silentLogger, UUID } = require('../../helpers/fixtures');
+
+const OLD_NAME = `MISC_B_Unknown_Iqra_Wk07_2024-06-17_M:123U:${UUID}`;
+const NEW_NAME = `Coaching_B_Katie_Iqra_Wk07_2024-06-17_M:123U:${UUID}`;
+const folderName = name => name.replace(/:/g, '_');
+
+/**
+ * Just enough of GoogleDriveService to follow names, parents and trash state
+ */
+function fakeDrive() {
+    const items = new Map([
+        ['misc', { name: 'MISC', parents: [] }],
+        ['students', { name: 'Students', parents: [] }],
+        ['coaches', { name: 'Coaches', parents: [] }],
+        ['misc-iqra', { name: 'Iqra', parents: ['misc'] }],
+        ['session', { name: folderName(OLD_NAME), parents: ['misc-iqra'] }],
+        ['video', { name: `${folderName(OLD_NAME)}.mp4`, parents: ['session'] }],
+        ['notes', { name: 'notes.txt', parents: ['session'] }],
+        ['stale-shortcut', { name: folderName(OLD_NAME), parents: ['misc'], targetId: 'session' }]
+    ]);
+    let nextId = 1;
+    const children = parentId => [...items].filter(([, item]) => item.parents.includes(parentId) && !item.trashed);
+
+    return {
+        items,
+        renameFile: jest.fn(async (id, name) => {
+            const previousName = items.get(id).name;
+            items.get(id).name = name;
+            return { id, name, previousName };
+        }),
+        listFolder: async id => children(id).map(([childId, item]) => ({ id: childId, name: item.name })),
+        getFile: async id => ({ id, ...items.get(id) }),
+        moveFile: async (id, parentId) => {
+            const previousParents = items.get(id).parents;
+            items.get(id).parents = [parentId];
+            return { id, previousParents };
+        },
+        getOrCreateFolder: async (name, parentId) => {
+            const found = children(parentId).find(([, item]) => item.name === name);
+            if (found) return { id: found[0], name };
+            const id = `folder-${nextId++}`;
+            items.set(id, { name, parents: [parentId] });
+            return { id, name };
+        },
+        findShortcutsTo: async targetId => [...items]
+            .filter(([, item]) => item.targetId === targetId && !item.trashed)
+            .map(([id, item]) => ({ id, name: item.name, parents: item.parents })),
+        createShortcut: async (targetId, parentId, name) => {
+            const id = `shortcut-${nextId++}`;
+            items.set(id, { name, parents: [parentId], targetId });
+            return { id, name };
+        },
+        trashFile: async id => { items.get(id).trashed = true; },
+        untrashFile: async id => { items.get(id).trashed = false; }
+    };
+}
+
+function setup({ sheetUpdates = [true] } = {}) {
+    const googleDriveService = fakeDrive();
+    const driveOrganizer = new DriveOrganizer({
+        logger: silentLogger,
+        config: { google: { drive: { studentsFolderId: 'students', coachesFolderId: 'coaches', miscFolderId: 'misc' } } },
+        googleDriveService
+    });
+    const record = {
+        uuid: UUID,
+        meetingId: '123',
+        meetingTopic: 'Ivylevel & Iqra',
+        duration: '60',
+        standardizedName: OLD_NAME,
+        driveFolder: folderName(OLD_NAME),
+        driveFolderId: 'session'
+    };
+    const googleSheetsService = {
+        getAllTabRecords: jest.fn(async () => [{ tabName: 'Drive Import - Standardized', row: 7, kind: 'standardized', record }]),
+        updateRecordingByUUID: jest.fn(async () => sheetUpdates.shift() ?? true)
+    };
+    const rehomer = new RecordingRehomer({ logger: silentLogger, driveOrganizer, googleSheetsService });
+    return { rehomer, googleDriveService, googleSheetsService };
+}
+
+describe('RecordingRehomer', () => {
+    test('renames, moves, repairs shortcuts and updates the Sheet row as one transaction', async () => {
+        const { rehomer, googleDriveService, googleSheetsService } = setup();
+        const { items } = googleDriveService;
+
+        const [planned] = await rehomer.rehome(UUID, { name: NEW_NAME, dryRun: true });
+        expect(planned).toEqual(expect.objectContaining({
+            status: 'planned', folderName: folderName(NEW_NAME), root: 'students', participant: 'Iqra', coachShortcut: 'Katie/Iqra'
+        }));
+        expect(googleDriveService.renameFile).not.toHaveBeenCalled();
+
+        const [result] = await rehomer.rehome(UUID, { name: NEW_NAME });
+        expect(result.status).toBe('committed');
+        expect(result.journal.map(entry => entry.step)).toEqual([
+            REHOME_STEPS.RENAME_FOLDER, REHOME_STEPS.MOVE_FOLDER, REHOME_STEPS.REPAIR_SHORTCUTS, REHOME_STEPS.UPDATE_SHEET_ROW
+        ]);
+
+        const session = items.get('session');
+        const studentFolder = items.get(session.parents[0]);
+        expect(session.name).toBe(folderName(NEW_NAME));
+        expect([studentFolder.name, studentFolder.parents]).toEqual(['Iqra', ['students']]);
+        expect(items.get('video').name).toBe(`${folderName(NEW_NAME)}.mp4`);
+        expect(items.get('notes').name).toBe('notes.txt');
+        expect(items.get('stale-shortcut').trashed).toBe(true);
+
+        const shortcuts = await googleDriveService.findShortcutsTo('session');
+        expect(shortcuts).toHaveLength(1);
+        const coachStudentFolder = items.get(shortcuts[0].parents[0]);
+        expect([shortcuts[0].name, coachStudentFolder.name, items.get(coachStudentFolder.parents[0]).name]).toEqual([folderName(NEW_NAME), 'Iqra', 'Katie']);
+
+        expect(googleSheetsService.updateRecordingByUUID).toHaveBeenCalledWith(UUID, expect.objectContaining({
+            standardizedName: NEW_NAME,
+            driveFolder: folderName(NEW_NAME),
+            driveFolderId: 'session',
+            driveLink: 'https://drive.google.com/drive/folders/session'
+        }));
+    });
+
+    test('rolls every completed step back when a later one fails', async () => {
+        const { rehomer, googleDriveService } = setup({ sheetUpdates: [false] });
+        const { items } = googleDriveService;
+
+        const [result] = await rehomer.rehome(UUID, { name: NEW_NAME });
+
+        expect(result.status).toBe('rolled-back');
+        expect(result.error).toMatch(/could not be updated/);
+        expect(result.rollback).toEqual({
+            undone: [REHOME_STEPS.REPAIR_SHORTCUTS, REHOME_STEPS.MOVE_FOLDER, REHOME_STEPS.RENAME_FOLDER],
+            failed: []
+        });
+        expect(items.get('session')).toEqual({ name: folderName(OLD_NAME), parents: ['misc-iqra'] });
+        expect(items.get('video').name).toBe(`${folderName(OLD_NAME)}.mp4`);
+        expect(items.get('stale-shortcut').trashed).toBe(false);
+        expect((await googleDriveService.findShortcutsTo('session')).map(shortcut => shortcut.id)).toEqual(['stale-shortcut']);
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    ReconciliationEngine,
+    RepairPlanner,
+    RepairPlan,
+    RepairExecutor,
+    REPAIR_ACTIONS
+} = require('../../../src/application/reconciliation');
+const { silentLogger, useTmpDir, UUID, OTHER_UUID, item } = require('../../helpers/fixtures');
+
+const FOLDER_NAME = `Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}`;
+
+const reconcile = () => new ReconciliationEngine({ logger: silentLogger }).reconcile({
+    zoom: [
+        item('zoom', { uuid: UUID, meetingId: '123', date: '2024-01-01', topic: 'Jenny & Huda', fileTypes: ['video', 'transcript', 'chat'], details: { startTime: '2024-01-01T10:00:00Z', duration: 60 } }),
+        item('zoom', { uuid: OTHER_UUID, meetingId: '456', date: '2024-01-03' })
+    ],
+    drive: [
+        item('drive', { ref: 'folder-full', uuid: UUID, name: FOLDER_NAME, fileTypes: ['video'], details: { files: [{ id: 'v' }] } }),
+        item('drive', { ref: 'folder-empty', uuid: UUID, name: FOLDER_NAME, fileTypes: [], details: { files: [] } }),
+        item('drive', { ref: 'shortcut-dead', kind: 'shortcut', uuid: OTHER_UUID, name: 'dead link', details: { targetId: 'gone' } })
+    ],
+    local: [
+        item('local', { ref: '/out/M:123', uuid: UUID, fileTypes: ['transcript'], details: { directory: '/out/M:123', files: ['meeting_transcript.vtt'] } })
+    ]
+});
+
+describe('RepairPlanner', () => {
+    test('proposes merges, uploads, downloads, sheet rows and shortcut removal', () => {
+        const plan = new RepairPlanner({ logger: silentLogger }).plan(reconcile());
+
+        expect(plan.actions.map(action => [action.type, action.key])).toEqual([
+            [REPAIR_ACTIONS.MERGE_FOLDERS, UUID],
+            [REPAIR_ACTIONS.REUPLOAD_FILE, UUID],
+            [REPAIR_ACTIONS.REDOWNLOAD_FROM_ZOOM, UUID],
+            [REPAIR_ACTIONS.DELETE_SHORTCUT, OTHER_UUID],
+            [REPAIR_ACTIONS.ADD_SHEET_ROW, UUID]
+        ]);
+        const [merge, upload, download, shortcut, row] = plan.actions;
+        expect(merge.params).toEqual({
+            keepFolder: { id: 'folder-full', name: FOLDER_NAME },
+            duplicateFolder: { id: 'folder-empty', name: FOLDER_NAME }
+        });
+        expect(upload.params).toEqual(expect.objectContaining({ fileType: 'transcript', localPath: path.join('/out/M:123', 'meeting_transcript.vtt') }));
+        expect(download.params.fileTypes).toEqual(['chat']);
+        expect(shortcut.params).toEqual({ shortcutId: 'shortcut-dead', name: 'dead link', targetId: 'gone' });
+        expect(row.params).toEqual(expect.objectContaining({
+            uuid: UUID,
+            dataSource: 'zoom-api',
+            standardizedName: FOLDER_NAME,
+            driveFolderId: 'folder-full',
+            startTime: '2024-01-01T10:00:00Z'
+        }));
+        expect(plan.skipped).toEqual([expect.objectContaining({ category: 'missing-in-drive', key: OTHER_UUID })]);
+
+        const diff = plan.toDiff();
+        expect(diff).toContain(`~ merge-folders          ${UUID}`);
+        expect(diff).toContain(`- delete-shortcut        ${OTHER_UUID}`);
+        expect(diff).toContain('# skipped (needs manual review)');
+        expect(RepairPlan.fromJSON(JSON.stringify(plan)).toDiff()).toBe(diff);
+    });
+});
+
+describe('RepairExecutor', () => {
+    const undoDir = useTmpDir('repair-undo-');
+
+    test('is a dry run by default, applies with an undo log and reverses it', async () => {
+        const calls = [];
+        const driveOrganizer = {
+            mergeSessionFolders: jest.fn(async (keep, duplicate) => ({ keepFolderId: keep, duplicateFolderId: duplicate, moved: [] })),
+            unmergeSessionFolders: jest.fn(async undo => calls.push(['unmerge', undo.duplicateFolderId])),
+            uploadRecordingFiles: jest.fn(async (recording, files) => Object.fromEntries(Object.keys(files).map(type => [type, { id: `uploaded-${type}` }]))),
+            trashItems: jest.fn(async ids => calls.push(['trash', ...ids])),
+            restoreItems: jest.fn(async ids => calls.push(['restore', ...ids]))
+        };
+        const googleSheetsService = {
+            updateMasterSpreadsheet: jest.fn(async () => ({ action: 'added' })),
+            removeRecording: jest.fn(async uuid => calls.push(['remove-row', uuid]))
+        };
+        const recordingSource = {
+            fetchMetadata: jest.fn(async uuid => ({ uuid })),
+            fetchFiles: jest.fn(async () => ({ success: true, files: { chat: '/tmp/chat.txt', video: '/tmp/v.mp4' } }))
+        };
+        const executor = new RepairExecutor({ logger: silentLogger, driveOrganizer, googleSheetsService, recordingSource, undoDir: undoDir() });
+        const plan = new RepairPlanner({ logger: silentLogger }).plan(reconcile());
+
+        const dryRun = await executor.apply(plan);
+        expect(dryRun.dryRun).toBe(true);
+        expect(dryRun.diff).toBe(plan.toDiff());
+        expect(driveOrganizer.mergeSessionFolders).not.toHaveBeenCalled();
+
+        const applied = await executor.apply(plan, { dryRun: false });
+        expect(applied.applied).toHaveLength(5);
+        expect(applied.failed).toEqual([]);
+        expect(recordingSource.fetchFiles).toHaveBeenCalledWith({ uuid: UUID }, { skipVideo: true, skipAudio: true });
+        expect(driveOrganizer.uploadRecordingFiles).toHaveBeenLastCalledWith(
+            expect.objectContaining({ uuid: UUID }),
+            { chat: '/tmp/chat.txt' },
+            { id: 'folder-full', name: FOLDER_NAME }
+        );
+        expect(driveOrganizer.trashItems).toHaveBeenCalledWith(['shortcut-dead']);
+
+        const undone = await executor.undo(plan.id);
+        expect(undone.undone).toHaveLength(5);
+        expect(calls.slice(1)).toEqual([
+            ['remove-row', UUID],
+            ['restore', 'shortcut-dead'],
+            ['trash', 'uploaded-chat'],
+            ['trash', 'uploaded-transcript'],
+            ['unmerge', 'folder-empty']
+        ]);
+        await expect(fs.access(path.join(undoDir(), `${plan.id}.undone.jsonl`))).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,74 @@
+const { SpeakerResolver } = require('../../../src/application/services/SpeakerResolver');
+const { Transcript } = require('../../../src/shared/transcript');
+const { silentLogger, vtt } = require('../../helpers/fixtures');
+
+const knowledgeBaseService = {
+    initialize: async () => {},
+    getCoaches: () => [
+        { name: 'Jenny Duan', firstName: 'Jenny', email: 'jenny@ivymentors.co', alternateNames: ['Jenny', 'Jennifer Duan'] }
+    ],
+    getStudents: () => [
+        { name: 'Kavya Venkatesan', firstName: 'Kavya', coach: 'Jenny', alternateNames: ['Kavyamridula'], parent: { name: 'Srihari Venkatesan', alternateNames: [] } },
+        { name: 'Aaryan Shah', firstName: 'Aaryan', coach: 'Rishi', alternateNames: ['A. Shah'], parent: { name: 'Leena Shah', alternateNames: ['Leena'] } },
+        { name: 'Anoushka Patel', firstName: 'Anoushka', coach: 'Jenny', alternateNames: [] }
+    ],
+    getFamilies: () => [
+        { surname: 'shah', student: 'Aaryan Shah', alternateNames: ['shah family', 'mrs. shah'] },
+        { surname: 'patel', student: 'Anoushka Patel', alternateNames: [] }
+    ],
+    getFamilyRules: () => ({ parentKeywords: ['mom', 'dad', 'mother', 'father', 'parent'] })
+};
+
+describe('SpeakerResolver', () => {
+    test('maps pronoun, nickname and parent labels to canonical names and roles', async () => {
+        const resolver = new SpeakerResolver({ logger: silentLogger, knowledgeBaseService });
+        const { transcript, speakers } = await resolver.resolve(vtt([
+            'Jenny Duan (she/her): How did the essay go this week?',
+            'Kavyamridula: I rewrote the opening paragraph twice.',
+            'Leena Shah: Can I ask about the deadlines?',
+            'Mrs. Patel: And the Georgetown supplement?'
+        ]));
+
+        expect(speakers.map(({ label, name, role, method }) => [label, name, role, method])).toEqual([
+            ['Jenny Duan (she/her)', 'Jenny Duan', 'coach', 'name'],
+            ['Kavyamridula', 'Kavya Venkatesan', 'student', 'alternate-name'],
+            ['Leena Shah', 'Leena Shah', 'parent', 'parent-name'],
+            ['Mrs. Patel', 'Mrs Patel', 'parent', 'family-mapping']
+        ]);
+        expect(speakers[2].student).toBe('Aaryan Shah');
+        expect(speakers[3]).toEqual(expect.objectContaining({ student: 'Anoushka Patel', confidence: 0.8 }));
+
+        expect(transcript.cues[1]).toEqual(expect.objectContaining({
+            speaker: 'Kavya Venkatesan', role: 'student', originalSpeaker: 'Kavyamridula'
+        }));
+        expect(Transcript.parse(transcript.toVTT()).speakers).toEqual(['Jenny Duan', 'Kavya Venkatesan', 'Leena Shah', 'Mrs Patel']);
+    });
+
+    test('gives unrecognised labels the open roles from how they talk, using the session hints', async () => {
+        const resolver = new SpeakerResolver({ logger: silentLogger, knowledgeBaseService });
+        const { speakers } = await resolver.resolve(vtt([
+            'iPhone: So what did you get done? Let\'s look at the list. Make sure you send it by Friday.',
+            'Galaxy S21: I finished the activity list and most of the personal statement draft last weekend.',
+            'iPhone: Great, what about the supplements?'
+        ]), { coach: 'Jenny', student: 'Kavya' });
+
+        expect(speakers.map(({ label, name, role, method }) => [label, name, role, method])).toEqual([
+            ['iPhone', 'Jenny Duan', 'coach', 'talk-pattern'],
+            ['Galaxy S21', 'Kavya Venkatesan', 'student', 'talk-pattern']
+        ]);
+
+        // A lone unrecognised speaker could be either
+        const alone = await resolver.resolve(vtt(['iPhone: Testing, testing.']));
+        expect(alone.speakers[0]).toEqual(expect.objectContaining({ name: 'iPhone', role: 'unknown', confidence: 0 }));
+    });
+
+    test('normalizes labels and falls back to the session hints without a knowledge base', async () => {
+        expect(SpeakerResolver.normalizeLabel('Jenny Duan (she/her)')).toBe('jenny duan');
+        expect(SpeakerResolver.normalizeLabel("Aaryan's iPad")).toBe('aaryan');
+        expect(SpeakerResolver.isDeviceLabel("Aaryan's iPad")).toBe(false);
+
+        const resolver = new SpeakerResolver({ logger: silentLogger });
+        const { speakers } = await resolver.resolve('Huda: Hi\nJenny: Hello', { coach: 'Jenny' });
+        expect(speakers.map(({ name, role }) => [name, role])).toEqual([['Huda', 'student'], ['Jenny', 'coach']]);
+    });
+});
@@ -0,0 +1,50 @@
+const { RecordingUuid } = require('../../../src/core/value-objects');
+
+const BASE64 = '4444AAAIQme3n+FOlpmMVw==';
+const HEX = 'e38e380000084267b79fe14e96998c57';
+const HEX_WITH_DASHES = 'e38e3800-0008-4267-b79f-e14e96998c57';
+
+describe('RecordingUuid', () => {
+    test('parses every spelling of the same UUID to equal values', () => {
+        const spellings = [
+            BASE64,
+            HEX,
+            HEX_WITH_DASHES.toUpperCase(),
+            encodeURIComponent(BASE64),
+            encodeURIComponent(encodeURIComponent(BASE64)),
+            BASE64.replace('+', ' '),
+            '4444AAAIQme3n-FOlpmMVw'
+        ];
+
+        for (const spelling of spellings) {
+            const uuid = RecordingUuid.parse(spelling);
+            expect(uuid.isValid()).toBe(true);
+            expect(uuid.toBase64()).toBe(BASE64);
+            expect(uuid.equals(BASE64)).toBe(true);
+        }
+        expect(RecordingUuid.parse(HEX).equals('4444AAAIQme3n+FOlpmMVA==')).toBe(false);
+    });
+
+    test('produces the Zoom API, hex and lookup forms', () => {
+        const uuid = RecordingUuid.parse(HEX);
+
+        expect(uuid.toZoomApiPath()).toBe('4444AAAIQme3n%252BFOlpmMVw%253D%253D');
+        expect(uuid.toHex()).toBe(HEX);
+        expect(uuid.toHexWithDashes()).toBe(HEX_WITH_DASHES);
+        expect(uuid.variants()).toEqual([HEX, BASE64, HEX_WITH_DASHES]);
+        expect(`U:${uuid}`).toBe(`U:${BASE64}`);
+        expect(JSON.stringify({ uuid })).toBe(`{"uuid":"${BASE64}"}`);
+    });
+
+    test('keeps ids that are not Zoom UUIDs as opaque values', () => {
+        const uuid = RecordingUuid.parse('drive-1a2b3c');
+
+        expect(uuid.isValid()).toBe(false);
+        expect(uuid.toBase64()).toBe('drive-1a2b3c');
+        expect(uuid.toHex()).toBeNull();
+        expect(uuid.equals('drive-1a2b3c')).toBe(true);
+        expect(uuid.equals('drive-1a2b3d')).toBe(false);
+        expect(() => RecordingUuid.parse('')).toThrow('Recording UUID is empty');
+        expect(RecordingUuid.tryParse(null)).toBeNull();
+    });
+});
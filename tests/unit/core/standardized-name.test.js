@@ -0,0 +1,89 @@
+const { StandardizedName, NAME_CATEGORIES } = require('../../../src/core/value-objects');
+const { UUID } = require('../../helpers/fixtures');
+
+describe('StandardizedName', () => {
+    test('round-trips every category through format and parse', () => {
+        const names = [
+            `Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}`,
+            `Coaching_GamePlan_B_Jenny_Huda_Wk1_2024-01-01_M:123U:${UUID}`,
+            `SAT_C_Rishi_Aarav_Wk12A_2024-01-01_M:123U:${UUID}`,
+            `MISC_A_Jenny_Unknown_WkUnknown_2024-01-01_M:123U:${UUID}`,
+            `TRIVIAL_D_unknown_Unknown_2024-01-01_M:123U:${UUID}`,
+            `NO_SHOW_A_Jenny_Huda_WkUnknown_2024-01-01_M:123U:${UUID}`
+        ];
+
+        for (const value of names) {
+            const parsed = StandardizedName.parse(value);
+            expect(parsed.canonical).toBe(true);
+            expect(parsed.issues).toEqual([]);
+            expect(parsed.name.toString()).toBe(value);
+            expect(StandardizedName.format(parsed.name.toJSON())).toBe(value);
+        }
+
+        const { name } = StandardizedName.parse(names[0]);
+        expect(name.toJSON()).toEqual(expect.objectContaining({
+            category: NAME_CATEGORIES.COACHING,
+            indicator: 'A',
+            dataSource: 'zoom-api',
+            coach: 'Jenny',
+            student: 'Huda',
+            weekNumber: 5,
+            date: '2024-01-01',
+            meetingId: '123',
+            uuid: UUID,
+            version: 1
+        }));
+    });
+
+    test('reads file names and version markers', () => {
+        const file = StandardizedName.parse(`Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}_shared_screen_with_gallery_view.mp4`);
+        expect(file.suffix).toBe('shared_screen_with_gallery_view');
+        expect(file.extension).toBe('mp4');
+        expect(file.canonical).toBe(true);
+
+        const marked = StandardizedName.parse(`Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}_v2_transcript.vtt`);
+        expect(marked.name.version).toBe(2);
+        expect(marked.suffix).toBe('transcript');
+        expect(marked.name.toFileName('transcript', 'vtt')).toBe(`Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}_v2_transcript.vtt`);
+    });
+
+    test('migrates older spellings to the canonical name', () => {
+        const sanitizedUuid = 'ab/dAAAIQme3n+FOlpmMVw==';
+        const cases = [
+            [`Coaching_Jenny_Huda_Wk5_2024-01-01_M:123U:${UUID}`, `Coaching_Jenny_Huda_Wk05_2024-01-01_M:123U:${UUID}`, ['missing-indicator', 'unpadded-week']],
+            [`Coaching_B_Jenny_Huda_Wk05_2024-01-01_M_123U_${sanitizedUuid.replace('/', '_')}_video.mp4`, `Coaching_B_Jenny_Huda_Wk05_2024-01-01_M:123U:${sanitizedUuid}_video.mp4`, ['sanitized-identifier']],
+            [`GamePlan_A_Jenny_Huda_Wk1_2024-01-01_M:123_U:${UUID}`, `Coaching_GamePlan_A_Jenny_Huda_Wk1_2024-01-01_M:123U:${UUID}`, ['split-identifier', 'legacy-gameplan-prefix']]
+        ];
+
+        for (const [from, to, issues] of cases) {
+            const migration = StandardizedName.migrate(from);
+            expect(migration.to).toBe(to);
+            expect(migration.changed).toBe(true);
+            expect(migration.issues).toEqual(issues);
+        }
+
+        const driveSource = StandardizedName.parse(`Coaching_B_Jenny_Huda_PC2_Wk05_2024-01-01_${UUID}`);
+        expect(driveSource.name.programCycle).toBe(2);
+        expect(driveSource.name.uuid).toBe(UUID);
+        expect(driveSource.issues).toEqual(['bare-uuid']);
+
+        expect(StandardizedName.migrate('shared_screen_with_gallery_view.mp4')).toEqual(expect.objectContaining({ to: null, issues: ['unparseable'] }));
+    });
+
+    test('keeps a lone uuid or meeting ID and the program cycle when migrating', () => {
+        const cases = [
+            [`Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:${UUID}`, `Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:${UUID}`],
+            [`Coaching_B_Jenny_Huda_PC2_Wk05_2024-01-01_${UUID}`, `Coaching_B_Jenny_Huda_PC2_Wk05_2024-01-01_M:${UUID}`],
+            [`Coaching_B_Jenny_Huda_PC2_Wk05_2024-01-01_M:123U:${UUID}_transcript.vtt`, `Coaching_B_Jenny_Huda_PC2_Wk05_2024-01-01_M:123U:${UUID}_transcript.vtt`],
+            ['Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:', 'Coaching_A_Jenny_Huda_Wk05_2024-01-01_M:123U:']
+        ];
+
+        for (const [from, to] of cases) {
+            const { name } = StandardizedName.parse(from);
+            const migrated = StandardizedName.parse(StandardizedName.migrate(from).to).name;
+            expect(StandardizedName.migrate(from).to).toBe(to);
+            expect(migrated.toJSON()).toEqual(name.toJSON());
+        }
+        expect(StandardizedName.parse(`Coaching_B_Jenny_Huda_PC2_Wk05_2024-01-01_M:123U:${UUID}`).canonical).toBe(true);
+    });
+});
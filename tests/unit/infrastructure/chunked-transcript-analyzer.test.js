@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { ChunkedTranscriptAnalyzer } = require('../../../src/infrastructure/ai/ChunkedTranscriptAnalyzer');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+const MEETING = { topic: 'Huda Week 8', coach: 'Jenny Duan', student: 'Huda' };
+
+// Each minute: a coach question, then two student lines
+function session(minutes, { edit = {} } = {}) {
+    const blocks = [];
+    for (let minute = 0; minute < minutes; minute++) {
+        const lines = [
+            ['Jenny Duan', `How did part ${minute} of the essay go?`],
+            ['Huda', edit[minute] || `Part ${minute} went fine, I rewrote the opening.`],
+            ['Huda', 'I still need to check the word count.']
+        ];
+        lines.forEach(([speaker, text], i) => {
+            const start = minute * 60 + i * 10;
+            blocks.push(`${blocks.length + 1}\n${stamp(start)} --> ${stamp(start + 8)}\n${speaker}: ${text}`);
+        });
+    }
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+function stamp(seconds) {
+    return `00:${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}.000`;
+}
+
+// Answers each chunk prompt with JSON that mention its first minute
+function fakeModel() {
+    return jest.fn(async prompt => {
+        const part = Number(prompt.match(/analyzing part (\d+)/)[1]);
+        const minute = prompt.match(/\[00:(\d\d):00\]/)[1];
+        return {
+            aiSummary: { executiveSummary: `Part ${part} summary.`, keyThemes: ['Essay revision', `Theme ${part}`], mainDiscussionPoints: [] },
+            aiHighlights: { breakthroughMoments: [{ timestamp: `00:${minute}:10`, description: `Breakthrough ${part}`, impact: 'high' }] },
+            aiTopics: [{ topic: 'Essay', timeSpent: '1 minute', importance: 'medium', details: `Part ${part}` }],
+            aiActionItems: {
+                highPriority: [{ item: 'Check the word count', assignee: 'Huda', timestamp: `00:${minute}:20` }],
+                mediumPriority: [{ item: `Rewrite section ${part}`, assignee: 'Huda' }]
+            },
+            aiQuestions: { coachingQuestions: [{ question: `How did part ${minute} go?`, type: 'reflective' }] },
+            aiSentiment: {
+                overall: part === 1 ? 'neutral' : 'positive',
+                intensity: 0.6,
+                emotionalJourney: [{ timestamp: `00:${minute}:15`, emotion: 'relieved', context: `part ${part}` }]
+            }
+        };
+    });
+}
+
+describe('ChunkedTranscriptAnalyzer', () => {
+    const dir = useTmpDir('ai-chunk-cache-');
+
+    test('splits on speaker-turn boundaries within the token budget, keeping timestamps', () => {
+        const analyzer = new ChunkedTranscriptAnalyzer({ logger: silentLogger, maxChunkTokens: 40, cacheDir: dir() });
+        const chunks = analyzer.chunk(session(4));
+
+        expect(chunks.length).toBeGreaterThan(1);
+        for (const chunk of chunks) {
+            expect(chunk.tokens).toBeLessThanOrEqual(40);
+            // Every chunk opens with the coach's question: Huda's two lines are never split
+            expect(chunk.text.split('\n')[0]).toMatch(/^\[00:0\d:00\] Jenny Duan: How did part \d/);
+        }
+        expect(chunks[0].text).toBe([
+            '[00:00:00] Jenny Duan: How did part 0 of the essay go?',
+            '[00:00:10] Huda: Part 0 went fine, I rewrote the opening. I still need to check the word count.'
+        ].join('\n'));
+        expect(chunks.map(({ index, start }) => [index, start])).toEqual([[0, 0], [1, 60], [2, 120], [3, 180]]);
+        expect(chunks[3].end).toBe(208);
+
+        expect(analyzer.needsChunking(session(4))).toBe(true);
+        expect(new ChunkedTranscriptAnalyzer({ maxChunkTokens: 3000 }).needsChunking(session(4))).toBe(false);
+    });
+
+    test('merges chunk results in order and only re-analyzes chunks that changed', async () => {
+        const analyzer = new ChunkedTranscriptAnalyzer({ logger: silentLogger, maxChunkTokens: 40, cacheDir: dir() });
+        const completeJSON = fakeModel();
+
+        const merged = await analyzer.analyze(session(3), MEETING, { completeJSON, model: 'test-model' });
+
+        expect(completeJSON).toHaveBeenCalledTimes(3);
+        expect(merged.aiSummary.executiveSummary).toBe('Part 1 summary. Part 2 summary. Part 3 summary.');
+        expect(merged.aiSummary.keyThemes).toEqual(['Essay revision', 'Theme 1', 'Theme 2', 'Theme 3']);
+        expect(merged.aiSummary.sessionStructure.phases[1]).toEqual({ name: 'Part 2 (00:01:00-00:01:28)', description: 'Part 2 summary.' });
+        expect(merged.aiHighlights.breakthroughMoments.map(moment => moment.timestamp)).toEqual(['00:00:10', '00:01:10', '00:02:10']);
+        expect(merged.aiTopics).toEqual([{ topic: 'Essay', timeSpent: '1 minute', importance: 'medium', details: 'Part 1 Part 2 Part 3' }]);
+        expect(merged.aiActionItems.highPriority).toEqual([{ item: 'Check the word count', assignee: 'Huda', timestamp: '00:00:20' }]);
+        expect(merged.aiActionItems.mediumPriority.map(item => item.item)).toEqual(['Rewrite section 1', 'Rewrite section 2', 'Rewrite section 3']);
+        expect(merged.aiQuestions.coachingQuestions).toHaveLength(3);
+        expect(merged.aiSentiment.overall).toBe('positive');
+        expect(merged.aiSentiment.progression.map(({ phase, sentiment }) => [phase, sentiment])).toEqual([
+            ['00:00:00-00:00:28', 'neutral'],
+            ['00:01:00-00:01:28', 'positive'],
+            ['00:02:00-00:02:28', 'positive']
+        ]);
+        expect(merged.aiSentiment.emotionalJourney.map(entry => entry.timestamp)).toEqual(['00:00:15', '00:01:15', '00:02:15']);
+
+        // Same transcript: everything from the cache
+        const rerun = fakeModel();
+        expect(await analyzer.analyze(session(3), MEETING, { completeJSON: rerun, model: 'test-model' })).toEqual(merged);
+        expect(rerun).not.toHaveBeenCalled();
+
+        // One edited line: only its chunk goes back to the model
+        const edited = fakeModel();
+        await analyzer.analyze(session(3, { edit: { 1: 'Part 1 was hard, I cut two paragraphs.' } }), MEETING, { completeJSON: edited, model: 'test-model' });
+        expect(edited).toHaveBeenCalledTimes(1);
+        expect(edited.mock.calls[0][0]).toContain('Huda: Part 1 was hard, I cut two paragraphs.');
+
+        // A fourth minute adds a chunk; the first three are still cached although they are now "of 4"
+        const longer = fakeModel();
+        await analyzer.analyze(session(4), MEETING, { completeJSON: longer, model: 'test-model' });
+        expect(longer).toHaveBeenCalledTimes(1);
+        expect(longer.mock.calls[0][0]).toContain('part 4 of 4');
+
+        // A different model does not reuse another model's results
+        const otherModel = fakeModel();
+        await analyzer.analyze(session(3), MEETING, { completeJSON: otherModel, model: 'other-model' });
+        expect(otherModel).toHaveBeenCalledTimes(3);
+    });
+
+    test('keys the cache on the meeting details and keeps only the most recent entries', async () => {
+        const analyzer = new ChunkedTranscriptAnalyzer({ logger: silentLogger, maxChunkTokens: 40, cacheDir: dir(), maxCacheEntries: 3 });
+        await analyzer.analyze(session(3), MEETING, { completeJSON: fakeModel(), model: 'test-model' });
+        const lastWeek = new Date(Date.now() - 7 * 24 * 3600 * 1000);
+        for (const file of fs.readdirSync(dir())) fs.utimesSync(path.join(dir(), file), lastWeek, lastWeek);
+
+        // The topic is not in the chunk text but still changes the prompt
+        const renamed = fakeModel();
+        await analyzer.analyze(session(3), { ...MEETING, topic: 'Huda Week 9' }, { completeJSON: renamed, model: 'test-model' });
+        expect(renamed).toHaveBeenCalledTimes(3);
+        expect(fs.readdirSync(dir())).toHaveLength(3);
+
+        const rerun = fakeModel();
+        await analyzer.analyze(session(3), { ...MEETING, topic: 'Huda Week 9' }, { completeJSON: rerun, model: 'test-model' });
+        expect(rerun).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ContentHashIndex } = require('../../../src/infrastructure/services/ContentHashIndex');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+const ZOOM_UUID = '4444AAAIQme3n+FOlpmMVw==';
+const ZOOM_UUID_HEX = 'e38e380000084267b79fe14e96998c57';
+const DRIVE_ID = 'drive-session-5b31180545b65a78';
+
+const SPEECH = [
+    'Jenny Duan: Okay so this week we are looking at the common app essay and your activity list.',
+    'Huda: I finished the first draft of the personal statement and started on the supplements.',
+    'Jenny Duan: Great, let us go through the opening paragraph together and then talk about deadlines.'
+];
+const VTT = `WEBVTT\n\n${SPEECH.map((line, i) => `${i + 1}\n00:00:0${i}.000 --> 00:00:0${i + 1}.000\n${line}`).join('\n\n')}\n`;
+
+describe('ContentHashIndex', () => {
+    const dir = useTmpDir('content-index-');
+    let video;
+
+    beforeEach(async () => {
+        video = crypto.randomBytes(3 * 1024 * 1024 + 17);
+        await fs.writeFile(path.join(dir(), 'zoom.mp4'), video);
+        await fs.writeFile(path.join(dir(), 'zoom.vtt'), VTT);
+    });
+
+    test('hashes a local MP4 and the same file on Drive alike, and VTT, SRT and plain text alike', async () => {
+        const googleDriveService = {
+            getFile: jest.fn(async () => ({ id: 'drive-video', size: String(video.length) })),
+            downloadRange: jest.fn(async (id, start, end) => video.subarray(start, end + 1))
+        };
+        const index = new ContentHashIndex({ logger: silentLogger, googleDriveService, indexDir: dir() });
+
+        const local = await index.fingerprint({ video: path.join(dir(), 'zoom.mp4'), transcript: path.join(dir(), 'zoom.vtt') });
+        const drive = await index.fingerprint({ video: 'drive-video' }, { transcriptContent: SPEECH.join('\n') });
+
+        expect(local.video.size).toBe(video.length);
+        expect(drive).toEqual(local);
+        expect(googleDriveService.downloadRange.mock.calls.map(([, start, end]) => [start, end])).toEqual([
+            [0, 1024 * 1024 - 1],
+            [video.length - 1024 * 1024, video.length - 1]
+        ]);
+
+        const changedMiddle = Buffer.from(video);
+        changedMiddle[2 * 1024 * 1024] ^= 0xff;
+        const changedEnd = Buffer.from(video);
+        changedEnd[video.length - 1] ^= 0xff;
+        const hash = buffer => {
+            const { head, tail } = ContentHashIndex.partialRanges(buffer.length);
+            return ContentHashIndex.partialHash(buffer.length, buffer.subarray(...head), buffer.subarray(...tail));
+        };
+        expect(hash(changedMiddle)).toBe(local.video.partialHash);
+        expect(hash(changedEnd)).not.toBe(local.video.partialHash);
+
+        const srt = SPEECH.map((line, i) => `${i + 1}\n00:00:0${i},000 --> 00:00:0${i + 1},000\n${line}`).join('\n\n');
+        expect(ContentHashIndex.transcriptHash(srt)).toBe(local.transcriptHash);
+        expect(ContentHashIndex.transcriptHash('WEBVTT\n\n1\n00:00:00.000 --> 00:00:01.000\nThanks, bye')).toBeNull();
+    });
+
+    test('links a Drive import to the Zoom recording of the same session and remembers it', async () => {
+        const index = new ContentHashIndex({ logger: silentLogger, indexDir: dir() });
+        const fingerprint = await index.fingerprint({ video: path.join(dir(), 'zoom.mp4') }, { transcriptContent: VTT });
+
+        await index.register(ZOOM_UUID, fingerprint, { dataSource: 'zoom-api', meetingId: '123', driveFolderId: 'folder-1', driveLink: 'https://drive/folder-1' });
+        expect(await index.findDuplicate(fingerprint, { uuid: ZOOM_UUID_HEX })).toBeNull();
+
+        const transcriptOnly = { video: null, transcriptHash: fingerprint.transcriptHash };
+        const match = await index.findDuplicate(transcriptOnly, { uuid: DRIVE_ID });
+        expect(match).toEqual(expect.objectContaining({ uuid: ZOOM_UUID, matchedOn: ['transcript'] }));
+        expect(match.entry).toEqual(expect.objectContaining({ dataSource: 'zoom-api', driveFolderId: 'folder-1' }));
+
+        await index.link(DRIVE_ID, match.uuid, match.matchedOn);
+        await index.register(DRIVE_ID, transcriptOnly, { dataSource: 'google-drive', driveFolderId: 'folder-1' });
+
+        // After a reload, a webhook copy of the session still resolves to the Zoom recording
+        const reloaded = new ContentHashIndex({ logger: silentLogger, indexDir: dir() });
+        expect(await reloaded.findDuplicate(fingerprint, { uuid: 'webhook-copy' })).toEqual(expect.objectContaining({
+            uuid: ZOOM_UUID, matchedOn: ['video', 'transcript']
+        }));
+        expect((await reloaded.getLinked(ZOOM_UUID_HEX)).sort()).toEqual([ZOOM_UUID, DRIVE_ID].sort());
+        // Reprocessing the Drive import finds the same folder again
+        expect(await reloaded.findDuplicate(transcriptOnly, { uuid: DRIVE_ID })).toEqual(expect.objectContaining({ uuid: ZOOM_UUID }));
+    });
+});
@@ -0,0 +1,95 @@
+const { validateInsights, schemaFor, tagFields, withZoom, summarizeProvenance, INSIGHTS_SCHEMA_VERSION } = require('../../../src/infrastructure/ai/insights');
+const { LLMGateway, llmConfig, MockLLMProvider } = require('../../../src/infrastructure/ai/llm');
+const AIPoweredInsightsGenerator = require('../../../src/infrastructure/ai/ai-powered-insights-generator');
+const { silentLogger } = require('../../helpers/fixtures');
+
+const transcript = [
+    'Jenny Duan: How is the essay going? Did you finish the draft?',
+    'Huda: Mostly. I will send the revised draft by Friday.'
+].join('\n');
+
+// A schema-valid response, as the offline provider writes it
+async function validResponse() {
+    const { text } = await new MockLLMProvider().complete({ prompt: transcript, json: true });
+    return JSON.parse(text);
+}
+
+describe('insights schema', () => {
+    test('reports invalid and missing fields by path', async () => {
+        const response = await validResponse();
+        expect(validateInsights(response)).toEqual({ valid: true, errors: [], invalidFields: [] });
+
+        response.aiSummary.keyThemes = 'essays';
+        response.aiTopics[0].importance = 'urgent';
+        response.aiSentiment.emotionalJourney = [{ timestamp: 'soon', emotion: 'calm' }];
+        delete response.aiQualityMetrics;
+
+        const result = validateInsights(response);
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            { path: 'aiSummary.keyThemes', message: 'should be an array' },
+            { path: 'aiTopics[0].importance', message: 'should be one of high, medium, low' },
+            { path: 'aiSentiment.emotionalJourney[0].timestamp', message: 'should match ^\\d{1,2}:\\d{2}(:\\d{2})?$' },
+            { path: 'aiQualityMetrics', message: 'is missing' }
+        ]);
+        expect(result.invalidFields).toEqual(['aiSummary.keyThemes', 'aiTopics', 'aiSentiment.emotionalJourney', 'aiQualityMetrics']);
+        expect(schemaFor('aiSummary.keyThemes')).toEqual({ type: 'array', items: { type: 'string', minLength: 1 } });
+    });
+
+    test('repairs only the invalid fields and tags what stays broken as default', async () => {
+        const broken = await validResponse();
+        broken.aiSummary.keyThemes = 'essays, deadlines';
+        broken.aiSentiment.overall = 'great';
+
+        const provider = new MockLLMProvider({
+            respond: () => (provider.calls.length === 1
+                ? broken
+                // The repair fixes the themes but not the sentiment
+                : { aiSummary: { keyThemes: ['essays', 'deadlines'] }, aiSentiment: { overall: 'very good' }, aiTopics: [] })
+        });
+        const generator = new AIPoweredInsightsGenerator({
+            logger: silentLogger,
+            llmGateway: new LLMGateway({ logger: silentLogger, settings: llmConfig({ providers: ['mock'] }, {}), providers: { mock: provider } })
+        });
+
+        const { insights } = await generator.generateLLMInsights(transcript, { coach: 'Jenny Duan', student: 'Huda' });
+
+        expect(provider.calls).toHaveLength(2);
+        const repairPrompt = provider.calls[1].prompt;
+        expect(repairPrompt).toContain('- aiSummary.keyThemes: should be an array');
+        expect(repairPrompt).toContain('Current value: "essays, deadlines"');
+        expect(repairPrompt).not.toContain('### aiTopics');
+        expect(repairPrompt).not.toContain('TRANSCRIPT:');
+
+        expect(insights.aiSummary.keyThemes).toEqual(['essays', 'deadlines']);
+        expect(insights.aiTopics).toHaveLength(3);
+        expect(insights.aiSentiment.overall).toBe('neutral');
+        expect(insights.provenance).toEqual(expect.objectContaining({
+            'aiSummary.keyThemes': 'ai',
+            'aiSummary.sessionStructure': 'default',
+            'aiSentiment.overall': 'default',
+            aiTopics: 'ai',
+            aiActionItems: 'ai'
+        }));
+    });
+
+    test('marks fields Zoom supplied or added to, and counts fields per source', () => {
+        const ai = { aiSummary: { executiveSummary: 'Essay review', keyThemes: ['essays'], mainDiscussionPoints: [] }, aiTopics: [{ topic: 'essays' }] };
+        const zoom = { zoomSummary: { executiveSummary: 'Zoom summary', keyThemes: ['deadlines'], mainDiscussionPoints: [] }, zoomTopics: [] };
+        const combined = {
+            aiSummary: { executiveSummary: 'Zoom summary', keyThemes: ['essays', 'deadlines'], mainDiscussionPoints: [] },
+            aiTopics: [{ topic: 'essays' }]
+        };
+
+        const provenance = withZoom(tagFields(ai, 'ai'), combined, ai, zoom);
+
+        expect(provenance['aiSummary.executiveSummary']).toBe('zoom');
+        expect(provenance['aiSummary.keyThemes']).toBe('ai+zoom');
+        expect(provenance['aiSummary.mainDiscussionPoints']).toBe('ai');
+        expect(provenance['aiSummary.sessionStructure']).toBe('default');
+        expect(provenance.aiSummary).toBe('ai+zoom+default');
+        expect(provenance.aiTopics).toBe('ai');
+        expect(summarizeProvenance(provenance)).toEqual({ ai: 3, zoom: 2, 'rule-based': 0, default: 36 });
+        expect(INSIGHTS_SCHEMA_VERSION).toMatch(/^\d+\.\d+\.\d+$/);
+    });
+});
@@ -0,0 +1,98 @@
+const { LLMGateway, llmConfig, MockLLMProvider } = require('../../../src/infrastructure/ai/llm');
+const AIPoweredInsightsGenerator = require('../../../src/infrastructure/ai/ai-powered-insights-generator');
+const { silentLogger } = require('../../helpers/fixtures');
+
+const failing = name => ({
+    name,
+    isAvailable: true,
+    complete: jest.fn(async () => { throw new Error('503 overloaded'); })
+});
+
+describe('LLMGateway', () => {
+    test('picks the model per task and provider from one config, with environment overrides', () => {
+        const settings = llmConfig({ models: { anthropic: { summary: 'claude-3-haiku-20240307' } } }, {
+            AI_PROVIDERS: 'openai, anthropic, mock',
+            AI_PROVIDER: 'anthropic',
+            OPENAI_MODEL: 'gpt-4o',
+            AI_TASK_MODELS: 'insights-chunk=openai:gpt-4o-mini'
+        });
+        const gateway = new LLMGateway({ logger: silentLogger, settings, providers: { openai: failing('openai'), anthropic: failing('anthropic'), mock: new MockLLMProvider() } });
+
+        expect(settings.providers).toEqual(['anthropic', 'openai', 'mock']);
+        expect(gateway.modelFor('summary')).toBe('claude-3-haiku-20240307');
+        expect(gateway.modelFor('insights')).toBe('claude-3-sonnet-20240229');
+        expect(gateway.modelFor('insights', 'openai')).toBe('gpt-4');
+        expect(gateway.modelFor('insights-chunk', 'openai')).toBe('gpt-4o-mini');
+        expect(gateway.modelFor('summary', 'openai')).toBe('gpt-4o');
+
+        // Placeholder keys do not count as configured
+        const unconfigured = new LLMGateway({ logger: silentLogger, settings: llmConfig({}, { OPENAI_API_KEY: 'your-openai-api-key-here' }) });
+        expect(unconfigured.isAvailable).toBe(false);
+    });
+
+    test('fails over to the next provider and reports usage and cost of the one that answered', async () => {
+        const openai = failing('openai');
+        const anthropic = {
+            name: 'anthropic',
+            isAvailable: true,
+            complete: jest.fn(async () => ({ text: 'Sure: {"summary": "Essay review"}', usage: { inputTokens: 1200, outputTokens: 300 } }))
+        };
+        const gateway = new LLMGateway({
+            logger: silentLogger,
+            settings: llmConfig({ providers: ['openai', 'anthropic'] }, {}),
+            providers: { openai, anthropic }
+        });
+
+        const response = await gateway.completeJSON({ task: 'summary', system: 'Be brief', prompt: 'Summarize' });
+
+        expect(openai.complete).toHaveBeenCalledWith(expect.objectContaining({ model: 'gpt-4-turbo-preview', json: true, maxTokens: 4000, temperature: 0.3 }));
+        expect(response).toEqual(expect.objectContaining({
+            json: { summary: 'Essay review' },
+            provider: 'anthropic',
+            model: 'claude-3-sonnet-20240229',
+            usage: { inputTokens: 1200, outputTokens: 300 },
+            // 1200 * $3/M + 300 * $15/M
+            cost: 0.0081
+        }));
+        expect(gateway.cost({ model: 'unpriced-model', inputTokens: 10 })).toBeNull();
+    });
+
+    test('treats a reply without valid JSON as a failure and throws when every provider fails', async () => {
+        const chatty = new MockLLMProvider({ respond: () => 'I cannot answer in JSON today.' });
+        const gateway = new LLMGateway({
+            logger: silentLogger,
+            settings: llmConfig({ providers: ['mock', 'openai'] }, {}),
+            providers: { mock: chatty, openai: failing('openai') }
+        });
+
+        expect((await gateway.complete({ prompt: 'Hi' })).text).toBe('I cannot answer in JSON today.');
+        await expect(gateway.completeJSON({ task: 'insights', prompt: 'Hi' })).rejects.toMatchObject({
+            name: 'AIServiceError',
+            provider: 'openai',
+            message: expect.stringContaining('openai gpt-4 failed for insights: 503 overloaded')
+        });
+        expect(chatty.calls).toHaveLength(2);
+    });
+
+    test('runs session insights offline and deterministically with the mock provider', async () => {
+        const transcript = [
+            'Jenny Duan: How is the essay going? Did you finish the draft?',
+            'Huda: Mostly. I will send the revised draft by Friday.',
+            'Jenny Duan: Good. The opening paragraph about the robotics project is the strongest part.'
+        ].join('\n');
+        const generate = () => new AIPoweredInsightsGenerator({
+            logger: silentLogger,
+            llmGateway: new LLMGateway({ logger: silentLogger, settings: llmConfig({ providers: ['mock'] }, {}) })
+        }).generateLLMInsights(transcript, { topic: 'Huda Week 8', coach: 'Jenny Duan', student: 'Huda' });
+
+        const { insights, provider, model } = await generate();
+
+        expect([provider, model]).toEqual(['mock', 'mock-llm-1']);
+        expect(insights.aiSummary.executiveSummary).toBe('Conversation of 3 lines between Jenny Duan, Huda.');
+        expect(insights.aiActionItems.highPriority.map(item => [item.item, item.assignee])).toEqual([
+            ['Mostly. I will send the revised draft by Friday.', 'Huda']
+        ]);
+        expect(insights.aiQuestions.coachingQuestions.map(question => question.question)).toEqual(['How is the essay going? Did you finish the draft?']);
+        expect((await generate()).insights).toEqual(insights);
+    });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { LLMGateway, LLMUsageLedger, llmConfig, MockLLMProvider } = require('../../../src/infrastructure/ai/llm');
+const { OpenAIService } = require('../../../src/infrastructure/services/OpenAIService');
+const AIPoweredInsightsGenerator = require('../../../src/infrastructure/ai/ai-powered-insights-generator');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+// $1 per thousand tokens either way, so every mock call costs something
+const settings = budgets => llmConfig({ providers: ['mock'], pricing: { 'mock-llm-1': { input: 1000, output: 1000 } }, budgets }, {});
+
+describe('LLMUsageLedger', () => {
+    const usageDir = useTmpDir('ai-usage-');
+
+    test('records every call against its recording and totals the run and the day across runs', async () => {
+        const usage = new LLMUsageLedger({ logger: silentLogger, usageDir: usageDir(), runId: 'run-1' });
+        const provider = new MockLLMProvider({ respond: request => (request.prompt === 'chatty' ? 'no JSON here' : { ok: true }) });
+        const gateway = new LLMGateway({ logger: silentLogger, settings: settings(), providers: { mock: provider }, usage });
+
+        await gateway.completeJSON({ task: 'insights', prompt: 'x'.repeat(400), recordingUuid: 'uuid-a', caller: 'AIPoweredInsightsGenerator' });
+        await expect(gateway.completeJSON({ task: 'insights', prompt: 'chatty', recordingUuid: 'uuid-a' })).rejects.toThrow('No JSON found');
+        await gateway.recordCacheHit({ task: 'insights-chunk', model: 'mock-llm-1', recordingUuid: 'uuid-a' });
+        await gateway.complete({ task: 'summary', prompt: 'y'.repeat(40), recordingUuid: 'uuid-b', caller: 'OpenAIService' });
+
+        // 100 + 3 tokens, then the unreadable reply (billed) 2 + 3, then 10 + 3
+        expect(usage.totals({ recordingUuid: 'uuid-a' })).toEqual(expect.objectContaining({
+            calls: 2, cachedCalls: 1, failedCalls: 1, inputTokens: 102, outputTokens: 6, cost: 0.108
+        }));
+        expect(usage.totals()).toEqual(expect.objectContaining({ calls: 3, totalTokens: 121, cost: 0.121 }));
+        expect(Object.keys(usage.summary().byCaller)).toEqual(['AIPoweredInsightsGenerator', 'unknown', 'OpenAIService']);
+
+        // A later run (or the webhook server) sees the day's spend from the file
+        const nextRun = new LLMUsageLedger({ logger: silentLogger, usageDir: usageDir(), runId: 'run-2' });
+        expect(await nextRun.dayCost()).toBe(0.121);
+        const report = await nextRun.report();
+        expect(report).toEqual(expect.objectContaining({ runs: 1, calls: 3, cachedCalls: 1, cost: 0.121 }));
+        expect(report.byRecording['uuid-b'].cost).toBe(0.013);
+        await expect(nextRun.report({ date: '../secrets' })).rejects.toThrow('Invalid date');
+    });
+
+    test('sees spend that another process adds to the day file after its first check', async () => {
+        const batch = new LLMUsageLedger({ logger: silentLogger, usageDir: usageDir(), runId: 'batch' });
+        const server = new LLMUsageLedger({ logger: silentLogger, usageDir: usageDir(), runId: 'server' });
+        const gateway = new LLMGateway({ logger: silentLogger, settings: settings({ daily: 0.1 }), providers: { mock: new MockLLMProvider() }, usage: server });
+
+        await server.record({ task: 'insights', cost: 0.03 });
+        expect(await server.dayCost()).toBe(0.03);
+        expect(await gateway.budgetStatus()).toBeNull();
+
+        await batch.record({ task: 'insights', cost: 0.05 });
+        await batch.record({ task: 'summary', cost: 0.04 });
+        expect(await server.dayCost()).toBe(0.12);
+        expect(await batch.dayCost()).toBe(0.12);
+        expect(await gateway.budgetStatus()).toEqual({ scope: 'daily', limit: 0.1, spent: 0.12 });
+    });
+
+    test('records Whisper transcriptions and needs an OpenAI key for them even with the mock provider', async () => {
+        const usage = new LLMUsageLedger({ logger: silentLogger, usageDir: null });
+        const llmGateway = new LLMGateway({ logger: silentLogger, settings: settings(), providers: { mock: new MockLLMProvider() }, usage });
+        const audio = path.join(usageDir(), 'audio.m4a');
+        fs.writeFileSync(audio, '');
+
+        const keyless = new OpenAIService({ logger: silentLogger, llmGateway });
+        await expect(keyless.generateTranscription(audio)).rejects.toThrow('OpenAI API key is required for transcription');
+
+        const service = new OpenAIService({ logger: silentLogger, apiKey: 'sk-test', llmGateway });
+        const create = async ({ file }) => {
+            // Read the upload through so the stream is closed before the directory goes
+            await new Promise(resolve => file.on('close', resolve).resume());
+            return { text: 'Hello Huda', duration: 150 };
+        };
+        service.openai = { audio: { transcriptions: { create } } };
+        expect(await service.generateTranscription(audio, { recordingUuid: 'uuid-a' })).toBe('Hello Huda');
+        expect(usage.calls).toEqual([expect.objectContaining({ recordingUuid: 'uuid-a', task: 'transcription', provider: 'openai', model: 'whisper-1', cost: 0.015, failed: false })]);
+    });
+
+    test('stops calling models once the run budget is spent and falls back to rule-based insights', async () => {
+        const usage = new LLMUsageLedger({ logger: silentLogger, usageDir: null });
+        const provider = new MockLLMProvider();
+        const gateway = new LLMGateway({ logger: silentLogger, settings: settings({ run: 0.05 }), providers: { mock: provider }, usage });
+        const generator = new AIPoweredInsightsGenerator({ logger: silentLogger, llmGateway: gateway });
+        const transcript = [
+            'Jenny Duan: How is the essay going? Did you finish the draft?',
+            'Huda: Mostly. I will send the revised draft by Friday.'
+        ].join('\n');
+        const meeting = { uuid: 'uuid-a', topic: 'Huda Week 8', coach: 'Jenny Duan', student: 'Huda', dataSource: 'google-drive' };
+
+        const first = await generator.generateAIInsights(transcript, meeting);
+        expect(first.metadata.aiGenerated).toBe(true);
+        expect(usage.totals({ recordingUuid: 'uuid-a' }).cost).toBeGreaterThan(0.05);
+
+        const second = await generator.generateAIInsights(transcript, { ...meeting, uuid: 'uuid-b' });
+        expect(second.metadata.aiGenerated).toBe(false);
+        expect(second.provenance.aiTopics).toBe('rule-based');
+        expect(provider.calls).toHaveLength(1);
+        expect(await gateway.budgetStatus()).toEqual({ scope: 'run', limit: 0.05, spent: usage.totals().cost });
+        await expect(gateway.complete({ prompt: 'Hi' })).rejects.toThrow('LLM run budget of $0.05 spent');
+    });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { LocalFolderRecordingSource } = require('../../../src/infrastructure/sources');
+const LocalDirectoryScanner = require('../../../src/drive-source/services/LocalDirectoryScanner');
+const RecordingMatcherV2 = require('../../../src/drive-source/services/RecordingMatcherV2');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+describe('LocalFolderRecordingSource', () => {
+    const rootDir = useTmpDir('local-source-');
+    let source;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const sessionDir = path.join(rootDir(), '2024-01-01 15.00.00 Jenny <> Huda 123456789');
+        await fs.mkdir(sessionDir);
+        await fs.writeFile(path.join(sessionDir, 'video1234.mp4'), 'fake video');
+        await fs.writeFile(path.join(sessionDir, 'audio1234.m4a'), 'fake audio');
+        await fs.writeFile(path.join(sessionDir, 'closed_caption.vtt'),
+            'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nJenny: Hi Huda\n\n2\n00:42:10.000 --> 00:42:15.000\nHuda: Bye\n');
+        await fs.writeFile(path.join(sessionDir, 'chat.txt'), '15:01:00 From Jenny to Everyone: essay.docx\n');
+
+        source = new LocalFolderRecordingSource({
+            logger: silentLogger,
+            scanner: new LocalDirectoryScanner(),
+            matcher: new RecordingMatcherV2()
+        });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+    });
+
+    test('groups a Zoom local recording folder into one session with inferred metadata', async () => {
+        const recordings = await source.listRecordings({ rootDir: rootDir(), minFileSize: 0 });
+
+        expect(recordings).toHaveLength(1);
+        const [recording] = recordings;
+        expect(recording).toEqual(expect.objectContaining({
+            meeting_id: '123456789',
+            topic: 'Jenny <> Huda',
+            duration: 42 * 60 + 15,
+            dataSource: 'local-folder',
+            sourceIndicator: 'D'
+        }));
+        expect(recording.start_time).toBe(new Date('2024-01-01T15:00:00').toISOString());
+        expect(recording.uuid).toHaveLength(24);
+        expect(Object.keys(recording.local_files).sort()).toEqual(['audio', 'chat', 'transcript', 'video']);
+        expect(recording.recording_files.map(file => file.file_type).sort()).toEqual(['M4A', 'MP4', 'TXT', 'VTT']);
+    });
+
+    test('re-importing the same folder yields the same uuid', async () => {
+        const [first] = await source.listRecordings({ rootDir: rootDir(), minFileSize: 0 });
+        const [second] = await source.listRecordings({ rootDir: rootDir(), minFileSize: 0 });
+
+        expect(second.uuid).toBe(first.uuid);
+        const { files } = await source.fetchFiles(first);
+        expect(files.transcript).toMatch(/closed_caption\.vtt$/);
+    });
+});
@@ -0,0 +1,173 @@
+const path = require('path');
+const { ManualOverrideRegistry, OVERRIDE_SOURCE } = require('../../../src/infrastructure/services/ManualOverrideRegistry');
+const { CompleteSmartNameStandardizer } = require('../../../src/infrastructure/services/CompleteSmartNameStandardizer');
+const { SmartWeekInferencer } = require('../../../src/infrastructure/services/SmartWeekInferencer');
+const { RecordingCategorizer } = require('../../../src/utils/RecordingCategorizer');
+const { ManualOverrideService } = require('../../../src/application/services/ManualOverrideService');
+const { RecordingRehomer } = require('../../../src/application/services/RecordingRehomer');
+const DriveOrganizer = require('../../../src/infrastructure/services/DriveOrganizer');
+const { silentLogger, useTmpDir, UUID, OTHER_UUID } = require('../../helpers/fixtures');
+
+const UUID_HEX = 'e38e380000084267b79fe14e96998c57';
+
+describe('ManualOverrideRegistry', () => {
+    const dir = useTmpDir('overrides-');
+    let filePath;
+
+    beforeEach(async () => {
+        filePath = path.join(dir(), 'manual-overrides.json');
+    });
+
+    test('finds overrides by any UUID spelling, then by meeting ID, and round-trips the file', async () => {
+        const registry = new ManualOverrideRegistry({ logger: silentLogger, filePath });
+        registry.set({ uuid: encodeURIComponent(UUID) }, { coach: 'Katie', student: 'Iqra', week: 3 });
+        registry.set({ meetingId: '123 456 789' }, { sessionType: 'MISC' });
+        registry.set({ uuid: ' drive-1AbCdEfGh ' }, { student: 'Huda' });
+        await registry.save();
+
+        const reloaded = new ManualOverrideRegistry({ logger: silentLogger, filePath });
+        expect(reloaded.find({ uuid: UUID_HEX })).toEqual(expect.objectContaining({
+            coach: 'Katie', week: 3, key: UUID, keyType: 'uuid', source: OVERRIDE_SOURCE
+        }));
+        expect(reloaded.find({ uuid: 'other', meetingId: 123456789 })).toEqual(expect.objectContaining({
+            sessionType: 'MISC', keyType: 'meetingId'
+        }));
+        expect(reloaded.find({ uuid: 'other' })).toBeNull();
+        // Drive import ids are not Zoom UUIDs and are kept as they are
+        expect(reloaded.find({ uuid: 'drive-1AbCdEfGh', meetingId: 123456789 })).toEqual(expect.objectContaining({
+            student: 'Huda', key: 'drive-1AbCdEfGh', keyType: 'uuid'
+        }));
+
+        reloaded.set({ uuid: UUID }, { week: null, date: '2024-06-03' });
+        expect(reloaded.find({ uuid: UUID })).toEqual(expect.objectContaining({ coach: 'Katie', date: '2024-06-03' }));
+        expect(reloaded.find({ uuid: UUID }).week).toBeUndefined();
+        expect(() => reloaded.set({ uuid: UUID }, { sessionType: 'Webinar' })).toThrow(/sessionType/);
+        expect(() => reloaded.set({}, { coach: 'Katie' })).toThrow(/UUID or a meeting ID/);
+    });
+});
+
+describe('manual overrides in naming, week inference and categorization', () => {
+    const registry = new ManualOverrideRegistry({ logger: silentLogger, filePath: '/nonexistent/manual-overrides.json' });
+    registry.set({ uuid: UUID }, { coach: 'Katie', student: 'Iqra', week: 7, date: '2024-06-17' });
+    registry.set({ meetingId: '999' }, { sessionType: 'TRIVIAL' });
+    registry.set({ uuid: OTHER_UUID }, { coach: 'Jenny', student: 'Huda', sessionType: 'NO_SHOW', date: '2024-06-18' });
+
+    test('the standardizer, week inferencer and categorizer use the override and say so', async () => {
+        const standardizer = new CompleteSmartNameStandardizer({ logger: silentLogger, manualOverrideRegistry: registry });
+        const result = await standardizer.standardizeName('Ivylevel & Iqra', {
+            uuid: UUID_HEX, id: '123', start_time: '2025-07-07T10:00:00Z', dataSource: 'google-drive'
+        });
+        expect(result.standardized).toBe(`Coaching_B_Katie_Iqra_Wk07_2024-06-17_M:123U:${UUID}`);
+        expect(result).toEqual(expect.objectContaining({ method: 'manual_override', confidence: 100, source: OVERRIDE_SOURCE }));
+
+        const noShow = await standardizer.standardizeName('Personal Meeting Room', { uuid: OTHER_UUID, id: '555', duration: 45, dataSource: 'zoom-api' });
+        expect(noShow.standardized).toBe(`NO_SHOW_A_Jenny_Huda_WkUnknown_2024-06-18_M:555U:${OTHER_UUID}`);
+
+        const plain = await standardizer.standardizeName('Ivylevel & Iqra', { uuid: 'unrelated', id: '123' });
+        expect(plain.source).toBeUndefined();
+
+        const weekInferencer = new SmartWeekInferencer({ cache: null, manualOverrideRegistry: registry });
+        expect(await weekInferencer.inferWeekNumber({ uuid: UUID, id: '123', topic: 'Week 2' })).toEqual(expect.objectContaining({
+            weekNumber: 7, method: 'manual_override', source: OVERRIDE_SOURCE
+        }));
+
+        const categorizer = new RecordingCategorizer(silentLogger, registry);
+        const components = { coach: 'Jenny', student: 'Huda' };
+        expect(categorizer.categorize(components, { id: 999 })).toBe('TRIVIAL');
+        expect(categorizer.categorizeWithSource(components, { id: 999 })).toEqual({ category: 'TRIVIAL', source: OVERRIDE_SOURCE });
+        expect(categorizer.categorizeWithSource(components, { id: 1 })).toEqual({ category: 'Coaching', source: 'rules' });
+    });
+});
+
+describe('ManualOverrideService', () => {
+    test('re-homes the recording under the corrected name, or only previews on a dry run', async () => {
+        const registry = new ManualOverrideRegistry({ logger: silentLogger, filePath: '/nonexistent/manual-overrides.json' });
+        registry.save = jest.fn(async () => registry.filePath);
+        const oldName = `Coaching_B_Ivylevel_Iqra_Wk07_2024-06-17_M:123U:${UUID}`;
+        const folderName = oldName.replace(/:/g, '_');
+        const googleDriveService = {
+            renameFile: jest.fn(async (id, name) => ({ id, name, previousName: id === 'folder-1' ? folderName : 'x' })),
+            listFolder: jest.fn(async () => [{ id: 'video', name: `${folderName}.mp4` }, { id: 'chat', name: `${folderName}_chat.txt` }]),
+            getOrCreateFolder: jest.fn(async name => ({ id: `${name}-folder`, name })),
+            getFile: jest.fn(async () => ({ id: 'folder-1', parents: ['Iqra-folder'] })),
+            moveFile: jest.fn(),
+            findShortcutsTo: jest.fn(async () => []),
+            createShortcut: jest.fn(async () => ({ id: 'shortcut-1' }))
+        };
+        const driveOrganizer = new DriveOrganizer({
+            logger: silentLogger,
+            config: { google: { drive: { studentsFolderId: 'students', coachesFolderId: 'coaches' } } },
+            googleDriveService
+        });
+        jest.spyOn(driveOrganizer, 'renameSessionFolder');
+        const googleSheetsService = {
+            getAllTabRecords: jest.fn(async () => [
+                { tabName: 'Drive Import - Raw', row: 4, kind: 'raw', record: { uuid: UUID } },
+                {
+                    tabName: 'Drive Import - Standardized',
+                    row: 4,
+                    kind: 'standardized',
+                    record: {
+                        uuid: UUID,
+                        meetingId: '123',
+                        meetingTopic: 'Ivylevel & Iqra',
+                        startTime: '2024-06-17T10:00:00Z',
+                        duration: '60',
+                        dataSource: 'google-drive',
+                        standardizedName: oldName,
+                        driveFolder: oldName,
+                        driveFolderId: 'folder-1'
+                    }
+                }
+            ]),
+            updateRecordingByUUID: jest.fn(async () => true)
+        };
+        const recordingStateStore = { upsertRecording: jest.fn(async () => ({})) };
+        const service = new ManualOverrideService({
+            logger: silentLogger,
+            manualOverrideRegistry: registry,
+            recordingRehomer: new RecordingRehomer({
+                logger: silentLogger,
+                nameStandardizer: new CompleteSmartNameStandardizer({ logger: silentLogger, manualOverrideRegistry: registry }),
+                driveOrganizer,
+                googleSheetsService
+            }),
+            recordingStateStore
+        });
+        const newName = `Coaching_B_Katie_Iqra_Wk07_2024-06-17_M:123U:${UUID}`;
+
+        const preview = await service.addOverride({ uuid: UUID_HEX }, { coach: 'Katie' }, { dryRun: true });
+        expect(preview.recordings).toEqual([expect.objectContaining({ previousName: oldName, name: newName, driveRenamed: false })]);
+        expect(registry.save).not.toHaveBeenCalled();
+        expect(registry.find({ uuid: UUID })).toBeNull();
+        expect(driveOrganizer.renameSessionFolder).not.toHaveBeenCalled();
+
+        const applied = await service.addOverride({ uuid: UUID_HEX }, { coach: 'Katie' });
+        expect(registry.save).toHaveBeenCalled();
+        expect(applied.recordings).toEqual([expect.objectContaining({
+            name: newName, status: 'committed', driveRenamed: true, renamedFiles: 2, driveMoved: false, sheetUpdated: true
+        })]);
+        expect(driveOrganizer.renameSessionFolder).toHaveBeenCalledWith('folder-1', newName.replace(/:/g, '_'));
+        expect(googleDriveService.createShortcut).toHaveBeenCalledWith('folder-1', 'Iqra-folder', newName.replace(/:/g, '_'));
+        const [uuid, update] = googleSheetsService.updateRecordingByUUID.mock.calls[0];
+        expect(uuid).toBe(UUID);
+        expect(update).toEqual(expect.objectContaining({
+            standardizedName: newName,
+            driveFolder: newName.replace(/:/g, '_'),
+            driveLink: 'https://drive.google.com/drive/folders/folder-1',
+            nameResolutionMethod: 'manual_override'
+        }));
+        expect(update).not.toHaveProperty('weekNumber');
+        expect(recordingStateStore.upsertRecording).toHaveBeenCalledWith(UUID, expect.objectContaining({ coach: 'Katie', student: 'Iqra' }));
+    });
+
+    test('keeps the program cycle and a uuid-only identifier in the corrected name', async () => {
+        const registry = new ManualOverrideRegistry({ logger: silentLogger, filePath: '/nonexistent/manual-overrides.json' });
+        const service = new ManualOverrideService({ logger: silentLogger, manualOverrideRegistry: registry });
+        const record = { uuid: UUID, standardizedName: `Coaching_B_Ivylevel_Iqra_PC2_Wk07_2024-06-17_${UUID}` };
+
+        const renamed = await service.rename(record, { coach: 'Katie', source: OVERRIDE_SOURCE });
+
+        expect(renamed.standardized).toBe(`Coaching_B_Katie_Iqra_PC2_Wk07_2024-06-17_M:${UUID}`);
+    });
+});
@@ -0,0 +1,96 @@
+const path = require('path');
+const { PromptRegistry, PromptEvaluator, parsePromptVersions } = require('../../../src/infrastructure/ai/prompts');
+const { LLMGateway, llmConfig, MockLLMProvider } = require('../../../src/infrastructure/ai/llm');
+const AIPoweredInsightsGenerator = require('../../../src/infrastructure/ai/ai-powered-insights-generator');
+const { silentLogger } = require('../../helpers/fixtures');
+
+const CORPUS_DIR = path.join(__dirname, '../../../data/prompt-eval');
+
+const GREETING = {
+    name: 'greeting',
+    current: '1.0.0',
+    versions: {
+        '1.0.0': { system: 'You write greetings for {{ audience }}.', prompt: 'Say hello to {{name}}.' },
+        '1.10.0': { prompt: 'Say hello to {{name}} and mention {{topic}}.' },
+        '1.2.0': { system: 'You write short greetings for {{audience}}.', prompt: 'Greet {{name}}.' }
+    }
+};
+
+function mockGateway(provider) {
+    return new LLMGateway({ logger: silentLogger, settings: llmConfig({ providers: ['mock'] }, {}), providers: { mock: provider } });
+}
+
+describe('PromptRegistry', () => {
+    test('renders the pinned version and rejects missing variables and unknown versions', () => {
+        const registry = new PromptRegistry({ templates: [GREETING], versions: parsePromptVersions('greeting=1.2.0, not-a-pin') });
+
+        expect(registry.versions('greeting')).toEqual(['1.0.0', '1.2.0', '1.10.0']);
+        expect(registry.current('greeting')).toBe('1.2.0');
+        expect(registry.render('greeting', { name: 'Huda', audience: 'students' })).toEqual({
+            id: 'greeting@1.2.0',
+            name: 'greeting',
+            version: '1.2.0',
+            system: 'You write short greetings for students.',
+            prompt: 'Greet Huda.'
+        });
+        expect(registry.withVersions({ greeting: '1.10.0' }).render('greeting', { name: '$& {{name}}', topic: 'essays' }).prompt)
+            .toBe('Say hello to $& {{name}} and mention essays.');
+        expect(() => registry.render('greeting', { name: 'Huda', audience: null })).toThrow('Prompt greeting@1.2.0 is missing variable(s): audience');
+        expect(() => registry.withVersions({ greeting: '2.0.0' })).toThrow('Unknown version 2.0.0 of prompt greeting (available: 1.0.0, 1.2.0, 1.10.0)');
+    });
+
+    test('tags insights with the prompt version that produced them', async () => {
+        const provider = new MockLLMProvider();
+        const generator = new AIPoweredInsightsGenerator({
+            logger: silentLogger,
+            llmGateway: mockGateway(provider),
+            promptRegistry: new PromptRegistry({ versions: { insights: '1.1.0' } })
+        });
+        const transcript = [
+            'Jenny Duan: How is the essay going? Did you finish the draft?',
+            'Huda: Mostly. I will send the revised draft by Friday.'
+        ].join('\n');
+
+        const insights = await generator.generateAIInsights(transcript, { uuid: 'uuid-a', coach: 'Jenny Duan', student: 'Huda', dataSource: 'google-drive' });
+
+        expect(insights.metadata.promptVersion).toBe('insights@1.1.0');
+        expect(provider.calls[0].prompt).toContain('RULES:');
+        expect(provider.calls[0].prompt).toContain('- Coach: Jenny Duan');
+        expect(provider.calls[0].system).toBe('You are an expert coaching session analyst. Analyze the transcript and provide comprehensive insights in JSON format.');
+    });
+});
+
+describe('PromptEvaluator', () => {
+    test('scores two prompt versions on the corpus and diffs their outputs', async () => {
+        const corpus = await PromptEvaluator.loadCorpus(CORPUS_DIR);
+        expect(corpus.cases.map(testCase => testCase.id)).toEqual(['essay-revision', 'summer-programs', 'robotics-leadership']);
+
+        // Same answers for both versions except the sentiment, which only the candidate gets right
+        const labelled = { 'Jenny Duan': 'positive', Rishi: 'mixed', Katie: 'neutral' };
+        const plain = new MockLLMProvider();
+        const provider = new MockLLMProvider({
+            respond: async request => {
+                const answer = JSON.parse((await plain.complete(request)).text);
+                const coach = request.prompt.match(/- Coach: (.+)/)[1];
+                answer.aiSentiment.overall = request.prompt.includes('RULES:') ? labelled[coach] : 'negative';
+                return answer;
+            }
+        });
+        const evaluator = new PromptEvaluator({ logger: silentLogger, llmGateway: mockGateway(provider) });
+
+        const report = await evaluator.compare({ prompt: 'insights', baseline: '1.0.0', candidate: '1.1.0', corpus });
+
+        expect(provider.calls).toHaveLength(6);
+        expect(report.winner).toBe('insights@1.1.0');
+        expect(report.summary.baseline.checks.sentiment).toBe(0);
+        expect(report.summary.candidate.checks.sentiment).toBe(1);
+        expect(report.summary.candidate.failures).toBe(0);
+        for (const testCase of report.cases) {
+            // Four labelled checks per case, one of which flipped
+            expect(testCase.candidate.score - testCase.baseline.score).toBeCloseTo(0.25);
+            expect(testCase.changes.map(change => change.path)).toEqual(['aiSentiment.overall']);
+        }
+        expect(report.cases[1].candidate.checks.sentiment).toEqual({ score: 1, expected: 'mixed', actual: 'mixed' });
+        expect(report.cases[0].baseline.checks.actionItems).toEqual({ score: 1, missed: [] });
+    });
+});
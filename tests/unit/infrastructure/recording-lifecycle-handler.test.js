@@ -0,0 +1,113 @@
+const { RecordingLifecycleHandler } = require('../../../src/infrastructure/services/RecordingLifecycleHandler');
+const { RecordingTimeline } = require('../../../src/infrastructure/services/RecordingTimeline');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+const lifecycleEvent = (event, eventTs, extra = {}) => ({
+    event,
+    event_ts: eventTs,
+    payload: {
+        operator: 'coach@ivymentors.co',
+        object: { id: 987654321, uuid: 'Abc/123==', topic: 'Jenny <> Huda' },
+        ...extra
+    }
+});
+
+describe('RecordingLifecycleHandler', () => {
+    const timelineDir = useTmpDir('recording-timeline-');
+    let sheets;
+    let driveOrganizer;
+    let handler;
+
+    beforeEach(() => {
+        sheets = {
+            findRecordingByUUID: jest.fn().mockResolvedValue({
+                uuid: 'Abc/123==',
+                driveFolderId: 'session-folder',
+                recordingStatus: 'active',
+                source_tab: 'Zoom API - Standardized'
+            }),
+            updateRecordingByUUID: jest.fn().mockResolvedValue(true)
+        };
+        driveOrganizer = {
+            archiveSessionFolder: jest.fn().mockResolvedValue({
+                folderId: 'session-folder',
+                archiveFolderId: 'archive-root',
+                previousParents: ['student-folder']
+            }),
+            restoreSessionFolder: jest.fn().mockResolvedValue({
+                folderId: 'session-folder',
+                restoredTo: 'student-folder',
+                previousParents: ['archive-root']
+            })
+        };
+        handler = new RecordingLifecycleHandler({
+            logger: silentLogger,
+            config: { google: { drive: { archiveFolderId: 'archive-root', archiveOnDelete: true } } },
+            googleSheetsService: sheets,
+            driveOrganizer,
+            recordingTimeline: new RecordingTimeline({ logger: silentLogger, timelineDir: timelineDir() })
+        });
+    });
+
+    test('archives once on trash/delete and restores the folder on recover', async () => {
+        const trashed = await handler.handle(lifecycleEvent('recording.trashed', 1));
+        expect(trashed.status).toBe('trashed');
+        expect(trashed.drive.action).toBe('archived');
+        expect(sheets.updateRecordingByUUID).toHaveBeenCalledWith('Abc/123==', expect.objectContaining({ recordingStatus: 'trashed' }));
+
+        const deleted = await handler.handle(lifecycleEvent('recording.deleted', 2));
+        expect(deleted.drive).toEqual(expect.objectContaining({ action: 'skipped', reason: 'already archived' }));
+        expect(driveOrganizer.archiveSessionFolder).toHaveBeenCalledTimes(1);
+
+        const recovered = await handler.handle(lifecycleEvent('recording.recovered', 3));
+        expect(recovered.status).toBe('active');
+        expect(driveOrganizer.restoreSessionFolder).toHaveBeenCalledWith('session-folder', 'student-folder');
+
+        const timeline = await handler.timeline.getTimeline('Abc/123==');
+        expect(timeline.map(entry => entry.event)).toEqual(['recording.trashed', 'recording.deleted', 'recording.recovered']);
+    });
+
+    test('updates the topic on rename and only records meeting.ended', async () => {
+        await handler.handle(lifecycleEvent('recording.renamed', 4, {
+            object: { id: 987654321, uuid: 'Abc/123==', topic: 'Jenny & Huda Week 5' },
+            old_object: { topic: 'Jenny <> Huda' }
+        }));
+        expect(sheets.updateRecordingByUUID).toHaveBeenCalledWith('Abc/123==', expect.objectContaining({ meetingTopic: 'Jenny & Huda Week 5' }));
+
+        const ended = await handler.handle(lifecycleEvent('meeting.ended', 5));
+        expect(ended.sheetUpdated).toBe(false);
+        expect(sheets.updateRecordingByUUID).toHaveBeenCalledTimes(1);
+
+        const [renamed] = await handler.timeline.getTimeline('Abc/123==');
+        expect(renamed.previousTopic).toBe('Jenny <> Huda');
+    });
+
+    test('leaves Drive alone when archiving is disabled', async () => {
+        handler.config = { google: { drive: { archiveFolderId: 'archive-root', archiveOnDelete: false } } };
+        const result = await handler.handle(lifecycleEvent('recording.trashed', 6));
+
+        expect(result.drive.reason).toBe('archiving disabled');
+        expect(driveOrganizer.archiveSessionFolder).not.toHaveBeenCalled();
+        expect(result.sheetUpdated).toBe(true);
+    });
+
+    test('throws when the Sheet row is not updated and does not repeat the Drive move on retry', async () => {
+        sheets.updateRecordingByUUID
+            .mockRejectedValueOnce(new Error('quota exceeded'))
+            .mockResolvedValueOnce(false);
+
+        await expect(handler.handle(lifecycleEvent('recording.trashed', 7))).rejects.toThrow('quota exceeded');
+        await expect(handler.handle(lifecycleEvent('recording.trashed', 7))).rejects.toThrow('no column');
+
+        const retried = await handler.handle(lifecycleEvent('recording.trashed', 7));
+        expect(retried.sheetUpdated).toBe(true);
+        expect(driveOrganizer.archiveSessionFolder).toHaveBeenCalledTimes(1);
+
+        const timeline = await handler.timeline.getTimeline('Abc/123==');
+        expect(timeline.map(entry => entry.sheetError || null)).toEqual([
+            'quota exceeded',
+            'no column in Zoom API - Standardized for recordingStatus, statusUpdatedAt, lastUpdated',
+            null
+        ]);
+    });
+});
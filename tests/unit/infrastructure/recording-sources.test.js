@@ -0,0 +1,83 @@
+const {
+    RecordingSourceRegistry,
+    ZoomApiRecordingSource,
+    WebhookRecordingSource,
+    DriveRecordingSource,
+    getSourceIndicator
+} = require('../../../src/infrastructure/sources');
+const { silentLogger } = require('../../helpers/fixtures');
+
+describe('recording sources', () => {
+    const zoomRecording = (uuid, startTime) => ({
+        uuid,
+        id: 987654321,
+        topic: 'Jenny <> Huda',
+        start_time: startTime,
+        duration: 60,
+        recording_files: [{ file_type: 'MP4', file_size: 100 }, { file_type: 'TRANSCRIPT', file_size: 5 }]
+    });
+
+    test('maps canonical ids and legacy labels to the A/B/C/D indicator', () => {
+        expect(getSourceIndicator('zoom-api')).toBe('A');
+        expect(getSourceIndicator('Google Drive Import - Full Pipeline')).toBe('B');
+        expect(getSourceIndicator('webhook')).toBe('C');
+        expect(getSourceIndicator('Local Import')).toBe('D');
+        expect(getSourceIndicator(null)).toBe('');
+    });
+
+    test('Zoom API source lists normalized recordings, most recent first', async () => {
+        const zoomService = {
+            getAllRecordings: jest.fn().mockResolvedValue([
+                zoomRecording('older==', '2024-01-01T10:00:00Z'),
+                zoomRecording('newer==', '2024-02-01T10:00:00Z')
+            ])
+        };
+        const source = new ZoomApiRecordingSource({ logger: silentLogger, zoomService });
+
+        const recordings = await source.listRecordings({ from: '2024-01-01', to: '2024-02-28', limit: 1 });
+
+        expect(recordings).toHaveLength(1);
+        expect(recordings[0]).toEqual(expect.objectContaining({
+            uuid: 'newer==',
+            id: '987654321',
+            meeting_id: '987654321',
+            dataSource: 'zoom-api',
+            sourceIndicator: 'A',
+            total_size: 105,
+            normalized: true
+        }));
+    });
+
+    test('webhook source maps downloaded files onto pipeline keys', async () => {
+        const webhookAdapter = {
+            downloadWebhookRecordingFiles: jest.fn().mockResolvedValue([
+                { file_type: 'MP4', file_path: '/tmp/video.mp4', success: true },
+                { file_type: 'TRANSCRIPT', file_path: '/tmp/transcript.vtt', success: true },
+                { file_type: 'CHAT', success: false, error: '401' }
+            ])
+        };
+        const source = new WebhookRecordingSource({ logger: silentLogger, webhookAdapter });
+
+        const { success, files } = await source.fetchFiles(source.normalize(zoomRecording('abc==')));
+
+        expect(success).toBe(true);
+        expect(files).toEqual({ video: '/tmp/video.mp4', transcript: '/tmp/transcript.vtt' });
+    });
+
+    test('registry normalizes recordings from whichever source produced them', () => {
+        const registry = new RecordingSourceRegistry({ logger: silentLogger })
+            .register(new ZoomApiRecordingSource({ logger: silentLogger }))
+            .register(new WebhookRecordingSource({ logger: silentLogger }))
+            .register(new DriveRecordingSource({ logger: silentLogger }));
+
+        const drive = registry.normalize({ uuid: 'session-1', topic: 'Jenny & Huda', dataSource: 'Google Drive Import' });
+        expect(drive.dataSource).toBe('google-drive');
+        expect(drive.sourceIndicator).toBe('B');
+
+        const batch = registry.normalize({ id: 'test-recording-123', topic: 'Test' });
+        expect(batch.sourceIndicator).toBe('A');
+        expect(registry.normalize(batch)).toBe(batch);
+
+        expect(() => registry.get('s3')).toThrow('Unknown recording source: s3');
+    });
+});
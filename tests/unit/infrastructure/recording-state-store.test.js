@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { RecordingStateStore } = require('../../../src/infrastructure/services/RecordingStateStore');
+const { SmartWeekInferencer } = require('../../../src/infrastructure/services/SmartWeekInferencer');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+describe('RecordingStateStore', () => {
+    const stateDir = useTmpDir('recording-state-');
+    let store;
+
+    beforeEach(() => {
+        store = new RecordingStateStore({ logger: silentLogger, stateDir: stateDir() });
+    });
+
+    test('tracks attempts, stages, checksums and references across reloads', async () => {
+        const videoPath = path.join(stateDir(), 'video.mp4');
+        fs.writeFileSync(videoPath, 'not really a video');
+
+        await store.upsertRecording('Abc/123==', {
+            id: 987654321,
+            topic: 'Jenny <> Huda',
+            start_time: '2024-01-01T15:00:00Z',
+            dataSource: 'zoom-api',
+            aliases: ['69b7...hex']
+        });
+        const failedAttempt = await store.startAttempt('Abc/123==');
+        await store.finishAttempt('Abc/123==', failedAttempt, { success: false, error: 'quota exceeded', failedStage: 'sheets' });
+        expect(await store.isProcessed('Abc/123==')).toBe(false);
+
+        const attempt = await store.startAttempt('Abc/123==');
+        await store.recordStages('Abc/123==', [{ name: 'sheets', status: 'completed', durationMs: 12 }]);
+        await store.recordFiles('Abc/123==', { video: videoPath, transcript: path.join(stateDir(), 'missing.vtt') });
+        await store.recordDriveReference('Abc/123==', { folderId: 'folder-1', folderLink: 'https://drive/folder-1' });
+        await store.recordSheetReference('Abc/123==', { spreadsheetId: 'sheet-1', tab: 'zoomStandardized', action: 'added' });
+        await store.finishAttempt('Abc/123==', attempt, { success: true });
+
+        const reloaded = new RecordingStateStore({ logger: silentLogger, stateDir: stateDir() });
+        const record = await reloaded.get('987654321');
+
+        expect(record.uuid).toBe('Abc/123==');
+        expect(record.status).toBe('processed');
+        expect(record.attempts.map(entry => entry.success)).toEqual([false, true]);
+        expect(record.stages.sheets.status).toBe('completed');
+        expect(record.files.video.sha256).toMatch(/^[0-9a-f]{64}$/);
+        expect(record.files.transcript).toBeUndefined();
+        expect(record.drive.folderId).toBe('folder-1');
+        expect(record.sheet).toEqual(expect.objectContaining({ spreadsheetId: 'sheet-1', action: 'added' }));
+        expect((await reloaded.findProcessed(['unknown', '69b7...hex'])).uuid).toBe('Abc/123==');
+    });
+
+    test('queries recordings and feeds relative week positioning', async () => {
+        const sessions = [
+            ['u1', '2024-01-01T15:00:00Z', 1],
+            ['u2', '2024-01-08T15:00:00Z', 2],
+            ['u3', '2024-01-22T15:00:00Z', null]
+        ];
+        for (const [uuid, startTime, weekNumber] of sessions) {
+            await store.upsertRecording(uuid, { meetingId: `m-${uuid}`, startTime, weekNumber, coach: 'Jenny', student: 'Huda', category: 'Coaching' });
+        }
+        await store.upsertRecording('other', { meetingId: 'm-other', startTime: '2024-01-05T15:00:00Z', coach: 'Jenny', student: 'Arshiya' });
+
+        const latest = await store.query({ coach: 'jenny', from: '2024-01-05', order: 'desc', limit: 2 });
+        expect(latest.map(record => record.uuid)).toEqual(['u3', 'u2']);
+        expect((await store.getStats()).total).toBe(4);
+
+        const inferencer = new SmartWeekInferencer({ cache: null, recordingRepository: store });
+        const result = await inferencer.analyzeByRelativePositioning(
+            { id: 'm-u3', uuid: 'u3', start_time: '2024-01-22T15:00:00Z' },
+            { studentName: 'Huda', coachName: 'Jenny' }
+        );
+        expect(result.weekNumber).toBe(3);
+    });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { TranscriptSimilarityMatcher } = require('../../../src/infrastructure/services/TranscriptSimilarityMatcher');
+const { silentLogger, useTmpDir, vtt } = require('../../helpers/fixtures');
+
+const ZOOM_UUID = '4444AAAIQme3n+FOlpmMVw==';
+const ZOOM_NAME = `Coaching_B_Jenny_Huda_Wk08_2024-06-17_M:123U:${ZOOM_UUID}`;
+
+const SESSION = [
+    'Jenny Duan: Okay so this week we are looking at the common app essay and your activity list.',
+    'Huda: I finished the first draft of the personal statement and started on the supplements.',
+    'Jenny Duan: Great, let us go through the opening paragraph together and then talk about deadlines.',
+    'Huda: The early action deadline for Georgetown is November first so I want that essay done first.',
+    'Jenny Duan: That makes sense, send me the Georgetown draft by Friday and we will review it next week.'
+];
+const OTHER_SESSION = [
+    'Katie: Welcome back, today we are mapping out your summer research program applications.',
+    'Iqra: I looked at three programs in biology and one in computer science over the weekend.',
+    'Katie: Let us rank them by deadline and by how well they fit the story of your application.'
+];
+
+describe('TranscriptSimilarityMatcher', () => {
+    const dir = useTmpDir('transcript-matcher-');
+
+    test('ranks Zoom transcripts in the date window and ignores timings, speaker labels and other Drive imports', async () => {
+        const write = async (name, lines) => {
+            const file = path.join(dir(), name);
+            await fs.writeFile(file, vtt(lines));
+            return file;
+        };
+        const records = [
+            { uuid: ZOOM_UUID, meetingId: '123', standardizedName: ZOOM_NAME, startTime: '2024-06-17T15:00:00Z', dataSource: 'zoom-api', files: { transcript: { path: await write('twin.vtt', SESSION) } } },
+            { uuid: 'other-uuid', meetingId: '456', standardizedName: 'Coaching_B_Katie_Iqra_Wk07_2024-06-16', startTime: '2024-06-16T15:00:00Z', dataSource: 'webhook', files: { transcript: { path: await write('other.vtt', OTHER_SESSION) } } },
+            { uuid: 'drive-session-1', startTime: '2024-06-17T15:00:00Z', dataSource: 'google-drive', files: { transcript: { path: await write('drive.vtt', SESSION) } } },
+            { uuid: 'no-transcript', startTime: '2024-06-17T15:00:00Z', dataSource: 'zoom-api', files: {} }
+        ];
+        const recordingStateStore = { query: jest.fn(async () => records) };
+        const matcher = new TranscriptSimilarityMatcher({ logger: silentLogger, recordingStateStore, minScore: 0 });
+
+        // The Drive copy is plain text, with the Zoom recording's last remark cut off
+        const imported = SESSION.slice(0, 4).join('\n');
+        const matches = await matcher.findMatches(imported, { date: '2024-06-18T09:00:00Z', excludeUuid: 'drive-session-2' });
+
+        expect(recordingStateStore.query).toHaveBeenCalledWith({ from: '2024-06-15T09:00:00.000Z', to: '2024-06-21T09:00:00.000Z' });
+        expect(matches.map(match => match.uuid)).toEqual([ZOOM_UUID, 'other-uuid']);
+        expect(matches[0]).toEqual(expect.objectContaining({
+            meetingId: '123', standardizedName: ZOOM_NAME, dataSource: 'zoom-api', containment: 1, daysApart: 0.8
+        }));
+        expect(matches[0].score).toBeGreaterThanOrEqual(matcher.acceptScore);
+        expect(matches[1].score).toBe(0);
+
+        expect((await matcher.bestMatch(imported, { date: '2024-06-18T09:00:00Z' })).uuid).toBe(ZOOM_UUID);
+        expect(await matcher.bestMatch(OTHER_SESSION.slice(0, 1).join('\n'), { candidates: [records[0]].map(record => ({ ...record, transcript: vtt(SESSION) })) })).toBeNull();
+    });
+
+    test('fingerprints VTT and plain-text copies of a transcript identically', () => {
+        const fromVtt = TranscriptSimilarityMatcher.fingerprint(vtt(SESSION));
+        const fromText = TranscriptSimilarityMatcher.fingerprint(SESSION.map(line => line.replace(/^[^:]+: /, '')).join(' '));
+
+        expect(TranscriptSimilarityMatcher.words('WEBVTT\n\n1\n00:00:00.000 --> 00:00:01.000\nHuda: Thanks, bye!')).toEqual(['thanks', 'bye']);
+        expect(TranscriptSimilarityMatcher.similarity(fromVtt, fromText)).toEqual(expect.objectContaining({ score: 1, jaccard: 1, containment: 1 }));
+        expect(TranscriptSimilarityMatcher.fingerprint('')).toEqual(new Set());
+    });
+});
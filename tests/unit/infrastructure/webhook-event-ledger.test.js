@@ -0,0 +1,103 @@
+const { WebhookEventLedger } = require('../../../src/infrastructure/services/WebhookEventLedger');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+const delivery = (event = 'recording.completed', eventTs = 1700000000000) => ({
+    event,
+    event_ts: eventTs,
+    payload: { object: { id: 987654321, uuid: 'Abc/123==', topic: 'Jenny <> Huda' } }
+});
+
+describe('WebhookEventLedger', () => {
+    const ledgerDir = useTmpDir('webhook-ledger-');
+    let ledger;
+
+    beforeEach(() => {
+        ledger = new WebhookEventLedger({ logger: silentLogger, ledgerDir: ledgerDir() });
+    });
+
+    test('skips redeliveries of an event that is already received or processed', async () => {
+        const first = await ledger.recordReceived(delivery());
+        expect(first.duplicate).toBe(false);
+        expect(first.entry.key).toBe('recording.completed:Abc/123==:1700000000000');
+
+        const retry = await ledger.recordReceived(delivery(), { 'x-zm-trackingid': 'track-2' });
+        expect(retry.duplicate).toBe(true);
+        expect(retry.entry.deliveries).toBe(2);
+        expect(retry.entry.eventIds).toEqual(['1700000000000', 'track-2']);
+
+        await ledger.markProcessed(first.entry.key);
+        expect((await ledger.recordReceived(delivery())).duplicate).toBe(true);
+    });
+
+    test('keys on event type and event id so other events for the recording are not duplicates', async () => {
+        await ledger.recordReceived(delivery('recording.completed'));
+        const transcript = await ledger.recordReceived(delivery('recording.transcript_completed'));
+        expect(transcript.duplicate).toBe(false);
+
+        const laterEvent = await ledger.recordReceived(delivery('recording.completed', 1700000600000));
+        expect(laterEvent.duplicate).toBe(false);
+        expect(laterEvent.entry.key).toBe('recording.completed:Abc/123==:1700000600000');
+    });
+
+    test('accepts the redelivery of an event that could not be enqueued', async () => {
+        const enqueue = jest.fn()
+            .mockRejectedValueOnce(new Error('disk full'))
+            .mockResolvedValueOnce({ id: 'job-1' });
+
+        await expect(ledger.recordAndEnqueue(delivery(), {}, enqueue)).rejects.toThrow('disk full');
+        const key = WebhookEventLedger.buildKey(delivery());
+        expect((await ledger.get(key)).status).toBe('failed');
+
+        const redelivery = await ledger.recordAndEnqueue(delivery(), { 'x-zm-trackingid': 'track-2' }, enqueue);
+        expect(redelivery.duplicate).toBe(false);
+        expect(redelivery.job).toEqual({ id: 'job-1' });
+        expect(redelivery.entry).toMatchObject({ status: 'received', jobId: 'job-1', deliveries: 2, lastError: 'disk full' });
+        expect(enqueue).toHaveBeenCalledTimes(2);
+
+        expect((await ledger.recordAndEnqueue(delivery(), {}, enqueue)).duplicate).toBe(true);
+        expect(enqueue).toHaveBeenCalledTimes(2);
+    });
+
+    test('accepts a new delivery after a failure and persists state across instances', async () => {
+        const { entry } = await ledger.recordReceived(delivery());
+        await ledger.markFailed(entry.key, new Error('sheets quota'));
+
+        const reloaded = new WebhookEventLedger({ logger: silentLogger, ledgerDir: ledgerDir() });
+        expect((await reloaded.get(entry.key)).lastError).toBe('sheets quota');
+
+        const redelivery = await reloaded.recordReceived(delivery());
+        expect(redelivery.duplicate).toBe(false);
+        expect(redelivery.entry.deliveries).toBe(2);
+
+        const [listed] = await reloaded.list({ status: 'received' });
+        expect(listed.payload).toBeUndefined();
+        expect((await reloaded.getStats()).byStatus.received).toBe(1);
+    });
+
+    test('saves payloads without download tokens and passcodes', async () => {
+        const webhookData = delivery();
+        webhookData.download_token = 'secret-token';
+        webhookData.payload.object.password = 'secret-passcode';
+        webhookData.payload.object.recording_files = [{ file_type: 'MP4', download_access_token: 'secret-file-token' }];
+
+        const { entry } = await ledger.recordReceived(webhookData);
+
+        const saved = JSON.stringify(await new WebhookEventLedger({ logger: silentLogger, ledgerDir: ledgerDir() }).get(entry.key));
+        expect(saved).not.toContain('secret');
+        expect(entry.payload.payload.object.recording_files).toEqual([{ file_type: 'MP4' }]);
+        expect(webhookData.download_token).toBe('secret-token');
+    });
+
+    test('keeps only the newest processed entries', async () => {
+        ledger = new WebhookEventLedger({ logger: silentLogger, ledgerDir: ledgerDir(), keepProcessed: 2 });
+        for (const eventTs of [1, 2, 3]) {
+            const { entry } = await ledger.recordReceived(delivery('recording.completed', eventTs));
+            await ledger.markProcessed(entry.key);
+        }
+        const { entry: failed } = await ledger.recordReceived(delivery('recording.completed', 4));
+        await ledger.markFailed(failed.key, new Error('drive down'));
+        await ledger.recordReceived(delivery('recording.completed', 5));
+
+        expect((await ledger.getStats()).byStatus).toEqual({ received: 1, processing: 0, processed: 2, failed: 1 });
+    });
+});
@@ -0,0 +1,115 @@
+const { WebhookJobQueue } = require('../../../src/infrastructure/queue/WebhookJobQueue');
+const { FileQueueBackend } = require('../../../src/infrastructure/queue/FileQueueBackend');
+const { silentLogger, useTmpDir } = require('../../helpers/fixtures');
+
+const webhook = (uuid, eventTs = 1700000000000) => ({
+    event: 'recording.completed',
+    event_ts: eventTs,
+    payload: { object: { id: 123, uuid, topic: 'Coaching session' } }
+});
+
+describe('WebhookJobQueue (file backend)', () => {
+    const storeDir = useTmpDir('webhook-jobs-');
+
+    const createQueue = (options = {}) => new WebhookJobQueue({
+        logger: silentLogger,
+        backend: new FileQueueBackend({ logger: silentLogger, storeDir: storeDir(), pollInterval: 60000 }),
+        backoffDelay: 0,
+        ...options
+    });
+
+    test('persists jobs and completes them through the registered handler', async () => {
+        const queue = createQueue();
+        const handler = jest.fn().mockResolvedValue({ ok: true });
+        queue.registerHandler('recording.completed', handler);
+
+        const job = await queue.enqueue('recording.completed', webhook('abc=='));
+        expect(job.id).toBe('recording.completed:abc==:1700000000000');
+
+        await queue.start();
+        await queue.drain();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        const stored = await queue.getJob(job.id);
+        expect(stored.state).toBe('completed');
+        expect(stored.result).toEqual({ ok: true });
+        await queue.close();
+    });
+
+    test('does not enqueue the same delivery twice while it is pending', async () => {
+        const queue = createQueue();
+        await queue.enqueue('recording.completed', webhook('abc=='));
+        await queue.enqueue('recording.completed', webhook('abc=='));
+
+        const status = await queue.getStatus();
+        expect(status.counts.waiting).toBe(1);
+    });
+
+    test('retries failed jobs and dead-letters them after maxAttempts', async () => {
+        const queue = createQueue({ maxAttempts: 2 });
+        queue.registerHandler('recording.completed', jest.fn().mockRejectedValue(new Error('drive down')));
+        const failed = jest.fn();
+        const dead = jest.fn();
+        queue.on('failed', failed).on('dead', dead);
+
+        const job = await queue.enqueue('recording.completed', webhook('dead=='));
+        await queue.start();
+        await queue.drain();
+        expect((await queue.getJob(job.id)).state).toBe('waiting');
+        expect(failed).toHaveBeenCalledTimes(1);
+        expect(dead).not.toHaveBeenCalled();
+
+        await queue.drain();
+        const stored = await queue.getJob(job.id);
+        expect(stored.state).toBe('dead');
+        expect(failed).toHaveBeenCalledTimes(2);
+        expect(dead).toHaveBeenCalledWith(expect.objectContaining({ id: job.id }), expect.objectContaining({ message: 'drive down' }));
+        expect(stored.attempts).toBe(2);
+        expect(stored.lastError).toBe('drive down');
+
+        const [retried] = await queue.retryDeadLetters();
+        expect(retried.state).toBe('waiting');
+        expect(retried.attempts).toBe(0);
+        await queue.close();
+    });
+
+    test('recovers jobs left active by a crashed process', async () => {
+        const first = createQueue();
+        const job = await first.enqueue('recording.completed', webhook('crash=='));
+        const backend = new FileQueueBackend({ logger: silentLogger, storeDir: storeDir() });
+        await backend.saveJob({ ...(await backend.getJob(job.id)), state: 'active', attempts: 1 });
+
+        const restarted = createQueue();
+        const handler = jest.fn().mockResolvedValue(null);
+        restarted.registerHandler('recording.completed', handler);
+        await restarted.start();
+        await restarted.drain();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect((await restarted.getJob(job.id)).state).toBe('completed');
+        await restarted.close();
+    });
+
+    test('keeps only the newest completed jobs and never prunes dead ones', async () => {
+        const queue = createQueue({
+            maxAttempts: 1,
+            backend: new FileQueueBackend({ logger: silentLogger, storeDir: storeDir(), pollInterval: 60000, keepCompleted: 2 })
+        });
+        queue.registerHandler('recording.completed', async webhookData => {
+            if (webhookData.payload.object.uuid === 'dead==') throw new Error('drive down');
+            return null;
+        });
+
+        await queue.enqueue('recording.completed', webhook('dead=='));
+        for (let i = 0; i < 4; i++) {
+            await queue.enqueue('recording.completed', webhook(`done-${i}==`));
+        }
+        await queue.start();
+        await queue.drain();
+
+        const status = await queue.getStatus();
+        expect(status.counts.completed).toBe(2);
+        expect(status.counts.dead).toBe(1);
+        await queue.close();
+    });
+});
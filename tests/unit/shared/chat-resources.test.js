@@ -0,0 +1,59 @@
+const { Transcript, chatResources, extractDates } = require('../../../src/shared/transcript');
+
+const CHAT = [
+    '00:02:10 From Jenny Duan to Everyone:',
+    '\tHere is the essay rubric https://docs.google.com/document/d/abc123/edit, and the list www.example.com/colleges.',
+    '00:05:41 From Huda to Jenny Duan(Direct Message):',
+    '\tI uploaded Huda_Week8_Essay.docx and notes.pdf. The Georgetown EA deadline is Nov 1',
+    '00:06:00 From Jenny Duan to Huda(privately):',
+    '\tGreat, send me the revised draft by Friday',
+    '00:07:30 From Huda : Thanks! Same rubric? https://docs.google.com/document/d/abc123/edit'
+].join('\n');
+
+describe('chatResources', () => {
+    test('extracts links, files, private messages and deadlines with who shared them', () => {
+        const chat = Transcript.parse(CHAT);
+        expect(chat.cues.map(cue => [cue.speaker, cue.to])).toEqual([
+            ['Jenny Duan', 'Everyone'],
+            ['Huda', 'Jenny Duan(Direct Message)'],
+            ['Jenny Duan', 'Huda(privately)'],
+            ['Huda', undefined]
+        ]);
+
+        const resources = chatResources(chat, { sessionDate: '2024-10-16T15:00:00Z' });
+
+        expect(resources.messageCount).toBe(4);
+        expect(resources.participants).toEqual(['Jenny Duan', 'Huda']);
+        expect(resources.privateMessages.map(({ from, to }) => [from, to])).toEqual([['Huda', 'Jenny Duan'], ['Jenny Duan', 'Huda']]);
+        expect(resources.urls).toEqual([
+            { url: 'https://docs.google.com/document/d/abc123/edit', kind: 'google-doc', time: '00:02:10', from: 'Jenny Duan', to: 'Everyone', private: false },
+            { url: 'https://www.example.com/colleges', kind: 'link', time: '00:02:10', from: 'Jenny Duan', to: 'Everyone', private: false }
+        ]);
+        expect(resources.files.map(file => [file.name, file.extension, file.private])).toEqual([
+            ['Huda_Week8_Essay.docx', 'docx', true],
+            ['notes.pdf', 'pdf', true]
+        ]);
+        expect(resources.deadlines.map(({ date, dateText, from }) => [date, dateText, from])).toEqual([
+            ['2024-11-01', 'Nov 1', 'Huda'],
+            ['2024-10-18', 'Friday', 'Jenny Duan']
+        ]);
+    });
+
+    test('resolves dates against the session date and leaves relative ones open without it', () => {
+        const session = '2024-12-20T18:00:00Z';
+        expect(extractDates('Early decision results Jan 3rd, apps due 1/15, interview 2025-02-03', session)).toEqual([
+            { text: 'Jan 3rd', date: '2025-01-03' },
+            { text: '1/15', date: '2025-01-15' },
+            { text: '2025-02-03', date: '2025-02-03' }
+        ]);
+        expect(extractDates('see you tomorrow or next Monday', session)).toEqual([
+            { text: 'tomorrow', date: '2024-12-21' },
+            { text: 'next Monday', date: '2024-12-23' }
+        ]);
+        expect(extractDates('by Friday, or Nov 30, 2024')).toEqual([
+            { text: 'Friday', date: null },
+            { text: 'Nov 30, 2024', date: '2024-11-30' }
+        ]);
+        expect(extractDates('2/30 is not a date, 10/10 is', session)).toEqual([{ text: '10/10', date: '2024-10-10' }]);
+    });
+});
@@ -0,0 +1,58 @@
+const { Transcript, conversationMetrics } = require('../../../src/shared/transcript');
+
+const cue = (start, end, speaker, text, role) => ({ start, end, speaker, text, ...(role && { role }) });
+
+describe('conversationMetrics', () => {
+    test('measures talk time, turns, overlaps, response latency and silence from cue timings', () => {
+        const transcript = new Transcript([
+            cue(0, 10, 'Jenny Duan', 'Hi Huda, how was your week? Did you finish the essay?', 'coach'),
+            cue(11, 15, 'Huda', 'Yes I did.', 'student'),
+            cue(15, 20, 'Huda', 'I wrote two drafts of it.', 'student'),
+            cue(18, 25, 'Jenny Duan', 'Great. Send both over tonight.', 'coach'),
+            cue(24.5, 26, 'Huda', 'Okay.', 'student'),
+            cue(60, 70, 'Huda', 'What about the supplements?', 'student')
+        ]);
+
+        const metrics = conversationMetrics(transcript);
+
+        expect(metrics).toEqual(expect.objectContaining({
+            timed: true,
+            duration: 70,
+            speakerCount: 2,
+            turnCount: 5,
+            questionCount: 3,
+            overlapCount: 2,
+            overlapSeconds: 2.5,
+            interruptionCount: 1,
+            averageResponseLatency: 0.33,
+            silence: { threshold: 3, count: 1, totalSeconds: 34, longestSeconds: 34 }
+        }));
+        expect(metrics.speakers).toEqual([
+            expect.objectContaining({ speaker: 'Jenny Duan', role: 'coach', talkTime: 17, talkRatio: 0.453, words: 16, turns: 2 }),
+            expect.objectContaining({ speaker: 'Huda', role: 'student', talkTime: 20.5, talkRatio: 0.547, words: 14, turns: 3 })
+        ]);
+        expect(metrics.speakers.map(({ longestMonologue, questions, interruptions, interrupted, averageResponseLatency }) =>
+            [longestMonologue, questions, interruptions, interrupted, averageResponseLatency])).toEqual([
+            [10, 2, 1, 0, 0],
+            [10, 1, 0, 1, 0.5]
+        ]);
+        expect(metrics.roles.coach).toEqual(expect.objectContaining({ speakers: ['Jenny Duan'], talkRatio: 0.453, questions: 2 }));
+        expect(metrics.roles.student).toEqual(expect.objectContaining({ speakers: ['Huda'], talkTime: 20.5, turns: 3 }));
+
+        // Same input, same numbers
+        expect(conversationMetrics(Transcript.fromJSON(transcript.toJSON()))).toEqual(metrics);
+    });
+
+    test('falls back to word counts for untimed transcripts and ignores unlabelled lines', () => {
+        const metrics = conversationMetrics(Transcript.parse('Jenny: How are you?\nHuda: Good thanks, I finished it\nsome stray note'));
+
+        expect(metrics.timed).toBe(false);
+        expect(metrics.speakers.map(({ speaker, talkRatio, turns }) => [speaker, talkRatio, turns])).toEqual([
+            ['Jenny', 0.375, 1],
+            ['Huda', 0.625, 1]
+        ]);
+        expect(metrics.averageResponseLatency).toBeNull();
+        expect(metrics.roles).toEqual({});
+        expect(conversationMetrics(new Transcript([])).speakerCount).toBe(0);
+    });
+});
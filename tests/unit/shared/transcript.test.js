@@ -0,0 +1,93 @@
+const { Transcript, detectFormat, parseTimestamp, formatTimestamp } = require('../../../src/shared/transcript');
+
+const VTT = `WEBVTT
+
+1
+00:00:01.000 --> 00:00:04.500
+Jenny Duan: Okay so this week we are looking
+at the common app essay.
+
+2
+00:00:05.000 --> 00:00:07.000
+Jenny Duan: And your activity list.
+
+NOTE the next cue has no speaker label
+
+3
+00:00:08.250 --> 00:00:10.000
+<v Huda>I finished the first draft.</v>
+
+4
+01:02:03.450 --> 01:02:05.000
+Huda: Step two is the supplements: Georgetown first.
+`;
+
+describe('Transcript', () => {
+    test('parses multi-line VTT cues, speaker prefixes, voice tags and timings into one cue model', () => {
+        const transcript = Transcript.parse(VTT);
+
+        expect(transcript.format).toBe('vtt');
+        expect(transcript.cues).toEqual([
+            { id: '1', start: 1, end: 4.5, speaker: 'Jenny Duan', text: 'Okay so this week we are looking at the common app essay.' },
+            { id: '2', start: 5, end: 7, speaker: 'Jenny Duan', text: 'And your activity list.' },
+            { id: '3', start: 8.25, end: 10, speaker: 'Huda', text: 'I finished the first draft.' },
+            { id: '4', start: 3723.45, end: 3725, speaker: 'Huda', text: 'Step two is the supplements: Georgetown first.' }
+        ]);
+        expect(transcript.speakers).toEqual(['Jenny Duan', 'Huda']);
+        expect([transcript.end, transcript.duration]).toEqual([3725, 3724]);
+
+        const srt = Transcript.parse(transcript.toSRT());
+        expect(srt.format).toBe('srt');
+        expect(srt.cues.map(({ id, ...cue }) => cue)).toEqual(transcript.cues.map(({ id, ...cue }) => cue));
+        expect(Transcript.parse(transcript.toVTT()).cues).toEqual(transcript.cues);
+        expect(Transcript.fromJSON(transcript.serialize('json')).cues).toEqual(transcript.cues);
+    });
+
+    test('reads Zoom chat exports and plain-text transcripts', () => {
+        const chat = Transcript.parse([
+            '00:05:12\tJenny Duan:\tHere is the essay rubric https://example.com/rubric',
+            '00:06:40 From  Huda  to  Jenny Duan(Direct Message):',
+            '\tCan we talk about Georgetown?',
+            '\tIt is due Nov 1'
+        ].join('\n'));
+        expect(chat.format).toBe('chat');
+        expect(chat.cues).toEqual([
+            { start: 312, end: 312, speaker: 'Jenny Duan', text: 'Here is the essay rubric https://example.com/rubric' },
+            { start: 400, end: 400, speaker: 'Huda', to: 'Jenny Duan(Direct Message)', text: 'Can we talk about Georgetown?\nIt is due Nov 1' }
+        ]);
+
+        const zoomText = Transcript.parse('[Jenny Duan] 00:00:01\nOkay so this week\nwe look at essays\n\n[Huda] 00:00:09\nSounds good');
+        expect(zoomText.format).toBe('text');
+        expect(zoomText.toText({ timestamps: true })).toBe('[00:00:01] Jenny Duan: Okay so this week we look at essays\n[00:00:09] Huda: Sounds good');
+
+        const plain = Transcript.parse('Jenny Duan: Hi Huda\nHuda: Hi\nWe meet at 3:30 tomorrow, then review the list: essays first');
+        expect(plain.cues.map(cue => cue.speaker)).toEqual(['Jenny Duan', 'Huda', null]);
+    });
+
+    test('merges speaker turns and slices by time range', () => {
+        const transcript = Transcript.parse(VTT);
+
+        const turns = transcript.mergeTurns({ maxGap: 60 });
+        expect(turns.cues.map(turn => [turn.speaker, turn.start, turn.end, turn.cueCount])).toEqual([
+            ['Jenny Duan', 1, 7, 2],
+            ['Huda', 8.25, 10, 1],
+            ['Huda', 3723.45, 3725, 1]
+        ]);
+        expect(turns.cues[0].text).toBe('Okay so this week we are looking at the common app essay. And your activity list.');
+        expect(transcript.mergeTurns().length).toBe(2);
+
+        expect(transcript.slice(4, 9).cues.map(cue => cue.id)).toEqual(['1', '2', '3']);
+        expect(transcript.slice(60).cues.map(cue => cue.id)).toEqual(['4']);
+        expect(transcript.filterSpeakers('Huda').wordCount).toBe(12);
+    });
+
+    test('converts timestamps and detects formats', () => {
+        expect(parseTimestamp('01:02:03.450')).toBe(3723.45);
+        expect(parseTimestamp('02:03,5')).toBe(123.5);
+        expect(parseTimestamp('not a time')).toBeNull();
+        expect(formatTimestamp(3723.45)).toBe('01:02:03.450');
+        expect(formatTimestamp(3723.45, ',')).toBe('01:02:03,450');
+        expect(detectFormat('1\n00:00:01,000 --> 00:00:02,000\nHi')).toBe('srt');
+        expect(detectFormat('just some notes')).toBe('text');
+    });
+});
@@ -257,7 +257,7 @@ class WebhookReadinessValidator {
         const requirements = {
             envVars: ['ZOOM_WEBHOOK_SECRET', 'GOOGLE_APPLICATION_CREDENTIALS', 'GOOGLE_SHEET_ID'],
             folders: ['output', 'logs', 'validation-reports'],
-            scripts: ['process-zoom-webhook.js', 'knowledge-base-validator.js']
+            scripts: ['process-zoom-webhook.js', 'reconcile-recordings.js']
         };
 
         let allRequirementsMet = true;
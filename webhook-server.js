@@ -48,6 +48,11 @@ const crypto = require('crypto');
 const axios = require('axios');
 const { ProductionZoomProcessor } = require('./complete-production-processor');
 const { WebhookRecordingAdapter } = require('./src/infrastructure/services/WebhookRecordingAdapter');
+const { WebhookJobQueue } = require('./src/infrastructure/queue/WebhookJobQueue');
+const { WebhookEventLedger } = require('./src/infrastructure/services/WebhookEventLedger');
+const { LIFECYCLE_EVENTS } = require('./src/infrastructure/services/RecordingLifecycleHandler');
+const { createZoomWebhookVerifier, captureRawBody } = require('./src/api/middleware/zoom-webhook-verifier');
+const { LLMUsageLedger, llmConfig } = require('./src/infrastructure/ai/llm');
 const { createContainer } = require('awilix');
 const fs = require('fs').promises;
 const path = require('path');
@@ -60,25 +65,47 @@ let productionProcessor = null;
 let webhookAdapter = null;
 let isInitialized = false;
 
-// Middleware
-app.use(bodyParser.json());
-
-// Zoom webhook validation
-function validateWebhook(req, res, next) {
-    const message = `v0:${req.headers['x-zm-request-timestamp']}:${JSON.stringify(req.body)}`;
-    const hashForValidate = crypto
-        .createHmac('sha256', process.env.ZOOM_WEBHOOK_SECRET_TOKEN)
-        .update(message)
-        .digest('hex');
-    const signature = `v0=${hashForValidate}`;
-
-    if (req.headers['x-zm-signature'] === signature) {
-        next();
-    } else {
-        console.error('Webhook validation failed');
-        res.status(401).send('Unauthorized');
+// Durable job queue - webhooks are persisted here before being acknowledged
+const jobQueue = new WebhookJobQueue({ logger: console });
+jobQueue
+    .registerHandler('recording.completed', processRecordingCompleted)
+    .registerHandler('recording.transcript_completed', processTranscriptCompleted)
+    .registerHandler('recording.queued', processQueuedRecording);
+Object.keys(LIFECYCLE_EVENTS).forEach(eventType => jobQueue.registerHandler(eventType, processLifecycleEvent));
+
+const RECORDING_EVENTS = ['recording.completed', 'recording.transcript_completed'];
+const QUEUED_EVENTS = [...RECORDING_EVENTS, ...Object.keys(LIFECYCLE_EVENTS)];
+
+// Event ledger - dedupes Zoom redeliveries and tracks each event's lifecycle
+const eventLedger = new WebhookEventLedger({ logger: console });
+
+const trackLedger = (operation) => operation.catch(error => {
+    console.error('⚠️ Failed to update webhook event ledger:', error.message);
+});
+
+jobQueue.on('active', job => {
+    if (QUEUED_EVENTS.includes(job.eventType)) {
+        trackLedger(eventLedger.markProcessing(WebhookEventLedger.buildKey(job.payload)));
     }
-}
+});
+jobQueue.on('completed', (job, result) => {
+    if (QUEUED_EVENTS.includes(job.eventType)) {
+        trackLedger(eventLedger.markProcessed(WebhookEventLedger.buildKey(job.payload), result));
+    }
+});
+// Only once the job is dead-lettered: while it is retrying, Zoom's redeliveries
+// must still be skipped as duplicates
+jobQueue.on('dead', (job, error) => {
+    if (QUEUED_EVENTS.includes(job.eventType)) {
+        trackLedger(eventLedger.markFailed(WebhookEventLedger.buildKey(job.payload), error));
+    }
+});
+
+// Middleware - keep the raw body so signatures are checked against the exact bytes Zoom sent
+app.use(bodyParser.json({ verify: captureRawBody }));
+
+// Zoom webhook validation (CRC challenge, timestamp window, rotating secrets)
+const validateWebhook = createZoomWebhookVerifier({ logger: console });
 
 // Initialize processor
 async function initializeProcessor() {
@@ -94,6 +121,9 @@ async function initializeProcessor() {
         webhookAdapter = new WebhookRecordingAdapter(productionProcessor.container);
         
         isInitialized = true;
+        
+        // Start consuming queued webhook jobs (including any left over from a restart)
+        await jobQueue.start();
         console.log('✅ Webhook server initialized successfully');
     } catch (error) {
         console.error('❌ Failed to initialize webhook server:', error);
@@ -120,55 +150,56 @@ app.post('/webhook-test', async (req, res) => {
     console.log(`📨 TEST Webhook received: ${event}`);
     console.log('⚠️  This is a TEST endpoint - no signature validation');
     
-    // Immediately acknowledge the webhook
-    res.status(200).json({ message: 'Test webhook received' });
-    
-    // Process recording.completed events
-    if (event === 'recording.completed') {
-        processRecordingCompleted(req.body).catch(error => {
-            console.error('Error processing recording.completed:', error);
-        });
+    // Unsigned requests may only (re)process recordings; trashing, deleting or
+    // renaming one changes Drive and the Sheet, so it needs the signed /webhook
+    if (LIFECYCLE_EVENTS[event]) {
+        return res.status(403).json({ error: `${event} is only accepted on the signed /webhook endpoint` });
     }
     
-    // Process recording.transcript_completed events
-    if (event === 'recording.transcript_completed') {
-        processTranscriptCompleted(req.body).catch(error => {
-            console.error('Error processing recording.transcript_completed:', error);
-        });
-    }
+    await enqueueWebhook(req, res, 'Test webhook received');
 });
 
-// Webhook endpoint for recording.completed events
+// Webhook endpoint for Zoom recording events
 app.post('/webhook', validateWebhook, async (req, res) => {
     const { event, payload } = req.body;
     
     console.log(`📨 Webhook received: ${event}`);
     
-    // Immediately acknowledge the webhook
-    res.status(200).json({ message: 'Webhook received' });
+    await enqueueWebhook(req, res, 'Webhook received');
+});
+
+// Persist the webhook as a queue job, then acknowledge. If the job cannot be
+// stored we answer 500 so Zoom redelivers instead of the event being lost.
+async function enqueueWebhook(req, res, message) {
+    const { event } = req.body;
     
-    // Process recording.completed events
-    if (event === 'recording.completed') {
-        processRecordingCompleted(req.body).catch(error => {
-            console.error('Error processing recording.completed:', error);
-        });
+    if (!QUEUED_EVENTS.includes(event)) {
+        console.log(`ℹ️ Ignoring unhandled webhook event: ${event}`);
+        return res.status(200).json({ message });
     }
     
-    // Process recording.transcript_completed events
-    if (event === 'recording.transcript_completed') {
-        processTranscriptCompleted(req.body).catch(error => {
-            console.error('Error processing recording.transcript_completed:', error);
-        });
+    try {
+        const { duplicate, entry, job } = await eventLedger.recordAndEnqueue(req.body, req.headers, body => jobQueue.enqueue(event, body));
+        if (duplicate) {
+            console.log(`⏭️ Duplicate ${event} delivery for ${entry.uuid || entry.meetingId} (status: ${entry.status}) - skipping`);
+            return res.status(200).json({ message, duplicate: true, ledgerKey: entry.key });
+        }
+        
+        res.status(200).json({ message, jobId: job.id, ledgerKey: entry.key });
+    } catch (error) {
+        console.error(`❌ Failed to enqueue ${event} webhook:`, error);
+        res.status(500).json({ error: 'Failed to queue webhook' });
     }
-});
+}
 
 // Process recording.completed event
+// Throws on failure so the job queue can retry it
 async function processRecordingCompleted(webhookData) {
     try {
         const recording = webhookData.payload?.object;
         if (!recording) {
             console.error('No recording object in webhook payload');
-            return;
+            return { skipped: true, reason: 'missing recording object' };
         }
 
         console.log(`\n${'='.repeat(80)}`);
@@ -187,19 +218,56 @@ async function processRecordingCompleted(webhookData) {
             productionProcessor
         );
 
-        if (result.success) {
+        if (result.success && result.processingResult?.success !== false) {
             console.log(`✅ Webhook recording processed successfully`);
             console.log(`📁 Standardized Name: ${result.processingResult?.nameAnalysis?.standardizedName || result.processingResult?.nameAnalysis?.standardized}`);
             console.log(`📊 Category: ${result.processingResult?.category}`);
         } else {
-            console.error(`❌ Webhook recording processing failed: ${result.error}`);
+            const reason = result.error || result.processingResult?.error || 'unknown error';
+            console.error(`❌ Webhook recording processing failed: ${reason}`);
+            throw new Error(`Webhook recording processing failed: ${reason}`);
         }
+        
+        return {
+            recordingId: recording.id,
+            standardizedName: result.processingResult?.nameAnalysis?.standardizedName || null,
+            category: result.processingResult?.category || null
+        };
 
     } catch (error) {
         console.error('Fatal error in processRecordingCompleted:', error);
+        throw error;
     }
 }
 
+// Process a recording that was queued to disk by WebhookRecordingAdapter.queueForBatchProcessing
+async function processQueuedRecording(recording) {
+    await initializeProcessor();
+    
+    const result = await productionProcessor.processRecording(recording);
+    if (!result.success) {
+        throw new Error(`Queued recording processing failed: ${result.error}`);
+    }
+    
+    return { recordingId: recording.id, category: result.category || null };
+}
+
+// Process trashed / deleted / recovered / renamed recordings and meeting.ended
+// Throws on failure so the job queue can retry it
+async function processLifecycleEvent(webhookData) {
+    const object = webhookData.payload?.object || {};
+    console.log(`🔄 Processing ${webhookData.event} for ${object.topic || object.uuid}`);
+    
+    const result = await webhookAdapter.processLifecycleEvent(webhookData, productionProcessor);
+    if (!result.success) {
+        throw new Error(`${webhookData.event} processing failed: ${result.error}`);
+    }
+    
+    const { status, sheetUpdated, drive } = result.result;
+    console.log(`✅ ${webhookData.event} handled (status: ${status || 'unchanged'}, sheet updated: ${sheetUpdated}, drive: ${drive?.action || 'n/a'})`);
+    return result.result;
+}
+
 // Log webhook recordings for monitoring
 async function logWebhookRecording(webhookData) {
     try {
@@ -222,7 +290,7 @@ async function processTranscriptCompleted(webhookData) {
         const recording = webhookData.payload?.object;
         if (!recording) {
             console.error('No recording object in transcript webhook payload');
-            return;
+            return { skipped: true, reason: 'missing recording object' };
         }
         
         console.log('================================================================================');
@@ -248,7 +316,7 @@ async function processTranscriptCompleted(webhookData) {
         
         if (!transcriptFile) {
             console.error('❌ No transcript file found in webhook payload');
-            return;
+            return { skipped: true, reason: 'no transcript file in payload' };
         }
         
         console.log(`📄 Transcript file found: ${transcriptFile.file_type} (${transcriptFile.file_size} bytes)`);
@@ -309,10 +377,14 @@ async function processTranscriptCompleted(webhookData) {
                 console.error(`   Status: ${error.response.status}`);
                 console.error(`   Headers:`, error.response.headers);
             }
+            throw error;
         }
         
+        return { recordingId: recording.id, transcriptUpdated: true };
+        
     } catch (error) {
         console.error('Fatal error in processTranscriptCompleted:', error);
+        throw error;
     }
 }
 
@@ -328,8 +400,7 @@ async function updateRecordingWithTranscript(recording, transcriptContent, trans
         const logger = productionProcessor.logger;
         
         if (!aiService || !sheetsService) {
-            console.error('❌ Required services not available');
-            return;
+            throw new Error('Required services not available');
         }
         
         // Generate AI insights with transcript
@@ -349,9 +420,9 @@ async function updateRecordingWithTranscript(recording, transcriptContent, trans
         // Find the existing recording in Google Sheets to get folder info
         const existingRow = await sheetsService.findRecordingByUUID(recording.uuid);
         
+        // The recording.completed job may not have finished yet - throw so the queue retries later
         if (!existingRow) {
-            console.error('❌ Recording not found in Google Sheets');
-            return;
+            throw new Error(`Recording ${recording.uuid} not found in Google Sheets yet`);
         }
         
         console.log('📊 Found existing recording in sheets');
@@ -477,63 +548,210 @@ async function updateRecordingWithTranscript(recording, transcriptContent, trans
         
     } catch (error) {
         console.error('❌ Error updating recording with transcript:', error);
+        throw error;
+    }
+}
+
+// Admin endpoints require ADMIN_TOKEN via `Authorization: Bearer <token>` or `x-admin-token`
+function requireAdminToken(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)' });
+    }
+    
+    const provided = req.headers['x-admin-token']
+        || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expected = Buffer.from(adminToken);
+    const actual = Buffer.from(provided || '');
+    
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
     }
+    next();
 }
 
+// List webhook ledger entries
+// GET /admin/webhook-ledger?status=failed&event=recording.completed&uuid=...&limit=50
+app.get('/admin/webhook-ledger', requireAdminToken, async (req, res) => {
+    try {
+        const entries = await eventLedger.list({
+            status: req.query.status || null,
+            eventType: req.query.event || null,
+            uuid: req.query.uuid || null,
+            limit: parseInt(req.query.limit || '100', 10),
+            includePayload: req.query.payload === 'true'
+        });
+        
+        res.json({
+            stats: await eventLedger.getStats(),
+            entries
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Force-replay one ledger event through the handler its event type is queued to, bypassing dedupe
+// POST /admin/webhook-ledger/replay { "key": "recording.completed:<uuid>:<event_ts>" }
+app.post('/admin/webhook-ledger/replay', requireAdminToken, async (req, res) => {
+    const { key } = req.body || {};
+    if (!key) {
+        return res.status(400).json({ error: 'key is required' });
+    }
+    
+    try {
+        const entry = await eventLedger.get(key);
+        if (!entry) {
+            return res.status(404).json({ error: `Ledger entry not found: ${key}` });
+        }
+        const handler = jobQueue.handlers.get(entry.eventType);
+        if (!handler) {
+            return res.status(400).json({ error: `No handler for event type ${entry.eventType}` });
+        }
+        
+        await initializeProcessor();
+        console.log(`🔁 Force-replaying webhook event ${key}`);
+        
+        // Handlers throw when processing fails, which is recorded below as a failed replay
+        const result = await handler(entry.payload);
+        const updated = await eventLedger.recordReplay(key, {
+            success: true,
+            requestedBy: req.ip
+        });
+        
+        res.status(200).json({
+            success: true,
+            error: null,
+            result,
+            entry: { ...updated, payload: undefined }
+        });
+    } catch (error) {
+        const updated = await trackLedger(eventLedger.recordReplay(key, { success: false, error: error.message, requestedBy: req.ip }));
+        res.status(502).json({
+            success: false,
+            error: error.message,
+            entry: updated ? { ...updated, payload: undefined } : null
+        });
+    }
+});
+
+// LLM usage for a day, read from the ledger files every processor run appends to
+// GET /stats/ai?date=2026-01-31 (UTC day, default today)
+const aiUsageLedger = new LLMUsageLedger({ logger: console });
+app.get('/stats/ai', async (req, res) => {
+    try {
+        const report = await aiUsageLedger.report({ date: req.query.date || undefined });
+        res.json({ ...report, budgets: llmConfig().budgets });
+    } catch (error) {
+        res.status(/^Invalid date/.test(error.message) ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// Legacy queue directory written by WebhookRecordingAdapter.queueForBatchProcessing
+const LEGACY_QUEUE_DIR = path.join(process.env.OUTPUT_DIR || './output', 'webhook-queue');
+
 // Queue monitoring endpoint
+// GET /queue-status?jobs=true&state=dead
 app.get('/queue-status', async (req, res) => {
     try {
-        const queueDir = path.join(process.env.OUTPUT_DIR || './output', 'webhook-queue');
-        const files = await fs.readdir(queueDir).catch(() => []);
+        const status = await jobQueue.getStatus({
+            includeJobs: req.query.jobs === 'true' || !!req.query.state,
+            state: req.query.state || null
+        });
+        const legacyFiles = (await fs.readdir(LEGACY_QUEUE_DIR).catch(() => []))
+            .filter(file => file.endsWith('.json'));
         
         res.json({
-            queued_recordings: files.length,
-            files: files
+            ...status,
+            queued_recordings: status.counts.waiting + status.counts.delayed,
+            legacy_queue_files: legacyFiles
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Process queued recordings endpoint (manual trigger)
-app.post('/process-queue', async (req, res) => {
+// Queue control endpoint
+// body.action: drain (default) | retry | pause | resume
+//   - drain:  import legacy queue files and run all due jobs now
+//   - retry:  re-queue body.jobId, or every dead-lettered job when no id is given
+app.post('/process-queue', requireAdminToken, async (req, res) => {
     try {
-        const queueDir = path.join(process.env.OUTPUT_DIR || './output', 'webhook-queue');
-        const files = await fs.readdir(queueDir).catch(() => []);
-        
-        const results = [];
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(queueDir, file);
-                const recording = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        const { action = 'drain', jobId } = req.body || {};
+        
+        switch (action) {
+            case 'pause':
+                await jobQueue.pause();
+                break;
                 
-                const result = await productionProcessor.processRecording(recording);
-                results.push({
-                    file,
-                    success: result.success,
-                    error: result.error
-                });
+            case 'resume':
+                await jobQueue.resume();
+                break;
                 
-                // Remove from queue after processing
-                if (result.success) {
-                    await fs.unlink(filePath);
+            case 'retry': {
+                const retried = jobId
+                    ? [await jobQueue.retry(jobId)].filter(Boolean)
+                    : await jobQueue.retryDeadLetters();
+                if (jobId && retried.length === 0) {
+                    return res.status(404).json({ error: `Job not found: ${jobId}` });
                 }
+                await jobQueue.drain();
+                return res.json({
+                    action,
+                    retried: retried.map(job => job.id),
+                    status: await jobQueue.getStatus()
+                });
+            }
+                
+            case 'drain': {
+                const imported = await importLegacyQueueFiles();
+                await jobQueue.drain();
+                return res.json({
+                    action,
+                    imported,
+                    status: await jobQueue.getStatus()
+                });
             }
+                
+            default:
+                return res.status(400).json({ error: `Unknown action: ${action}` });
         }
         
-        res.json({
-            processed: results.length,
-            results
-        });
+        res.json({ action, status: await jobQueue.getStatus() });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Move recordings queued to disk by the adapter into the durable job queue
+async function importLegacyQueueFiles() {
+    const files = (await fs.readdir(LEGACY_QUEUE_DIR).catch(() => []))
+        .filter(file => file.endsWith('.json'));
+    
+    const imported = [];
+    for (const file of files) {
+        const filePath = path.join(LEGACY_QUEUE_DIR, file);
+        const recording = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        const job = await jobQueue.enqueue('recording.queued', recording, {
+            jobId: `recording.queued:${recording.uuid || file}`
+        });
+        await fs.unlink(filePath);
+        imported.push(job.id);
+    }
+    
+    return imported;
+}
+
 // Graceful shutdown
 async function shutdown() {
     console.log('\n🔄 Shutting down webhook server...');
     
+    try {
+        await jobQueue.close();
+    } catch (error) {
+        console.error('Error closing webhook job queue:', error);
+    }
+    
     if (productionProcessor) {
         await productionProcessor.shutdown();
     }
@@ -557,7 +775,8 @@ app.listen(PORT, async () => {
     
     console.log(`\n✅ Webhook server is ready!`);
     console.log(`📍 Webhook URL: http://localhost:${PORT}/webhook`);
-    console.log(`🧪 Test Webhook URL: http://localhost:${PORT}/webhook-test (no validation)`);
+    console.log(`🧪 Test Webhook URL: http://localhost:${PORT}/webhook-test (no validation, recording events only)`);
     console.log(`📊 Health Check: http://localhost:${PORT}/health`);
-    console.log(`📋 Queue Status: http://localhost:${PORT}/queue-status\n`);
+    console.log(`📋 Queue Status: http://localhost:${PORT}/queue-status`);
+    console.log(`📒 Event Ledger: http://localhost:${PORT}/admin/webhook-ledger (ADMIN_TOKEN required)\n`);
 });
\ No newline at end of file